@@ -3,9 +3,10 @@
  */
 
 import * as d3 from 'd3'
+import fs from 'fs'
 
-// Load map data
-const worldData = await d3.json('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json')
+// Load the vendored map data (same file the app serves from public/data/geo)
+const worldData = JSON.parse(fs.readFileSync('public/data/geo/countries-110m.json', 'utf8'))
 const topojson = await import('topojson-client')
 const countries = topojson.feature(worldData, worldData.objects.countries)
 
@@ -0,0 +1,447 @@
+#!/usr/bin/env node
+
+/**
+ * Derived data build
+ * Reads the source datasets in public/data (expense_clean.csv, expense_clean_usd.csv,
+ * gdp_vals.csv) and writes every derived file the app loads, plus manifest.json with
+ * the sha256, size and row count of each one:
+ *
+ * - 48-indicators/IMF_GFSE_<code>_G14.csv: one file per indicator in IMF SDMX layout
+ *   (REF_AREA, REF_AREA_LABEL, TIME_PERIOD, OBS_VALUE, ...), local currency plus USD
+ * - indicators/<code>.json: compact per-indicator country x year matrices of local and
+ *   USD values with hierarchy totals already derived, indexed by indicators/index.json,
+ *   plus indicators/reconciliation.json; the spending view loads these one at a time
+ * - <sector>_matrix.csv: USD spending of the GFS expense totals, one row per country,
+ *   one column per year
+ * - metadata.json: coverage and the list of indicators with data
+ * - global_insights.json: highest and lowest spenders in % of GDP per indicator
+ * - us_summary.json, us_spending_breakdown.csv: United States summary and series
+ *
+ * The World Bank files the app loads as they are (population.csv, gdp_deflator.csv,
+ * ppp_conversion.csv, income_history.csv) are checksummed as inputs too, so the
+ * manifest pins every data file a deploy serves.
+ *
+ * Output is deterministic (sorted rows, no timestamps), so the same sources always give
+ * the same checksums. With --check nothing is written: the script verifies the data
+ * directory against manifest.json and exits with code 1 on a missing or changed file.
+ *
+ * Usage: npm run data:build, npm run data:check
+ *        node scripts/build-data.js [--check]
+ */
+
+import fs from 'fs'
+import crypto from 'crypto'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import * as d3 from 'd3'
+import { getIso3, isAggregateCode } from '../src/shared/utils/CountryRegistry.js'
+import { CATEGORY_TO_CODE, INDICATOR_METADATA } from '../src/modules/spending/services/UnifiedDataService.js'
+import { GFS_HIERARCHY, aggregateHierarchy, reconcileHierarchy } from '../src/modules/spending/services/GfsHierarchy.js'
+import {
+  MANIFEST_FILE,
+  sha256File,
+  isLfsPointer,
+  verifyManifest,
+  describeManifestProblems
+} from './data-manifest.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const DATA_DIR = path.join(projectRoot, 'public/data')
+
+const INPUTS = ['expense_clean.csv', 'expense_clean_usd.csv', 'gdp_vals.csv', 'population.csv', 'gdp_deflator.csv', 'ppp_conversion.csv', 'income_history.csv']
+const INDICATOR_DIR = '48-indicators'
+const COMPACT_DIR = 'indicators'
+const COMPACT_VERSION = 1
+
+// Matrix files and the expense category each one holds
+const MATRICES = {
+  'total_government_expense_matrix.csv': 'Expense',
+  'social_benefits_matrix.csv': 'Social benefits expense',
+  'compensation_of_employees_matrix.csv': 'Compensation of employees',
+  'interest_expense_matrix.csv': 'Interest expense',
+  'use_of_goods_and_services_matrix.csv': 'Use of goods and services',
+  'grants_expense_matrix.csv': 'Grants expense',
+  'other_expense_matrix.csv': 'Other expense'
+}
+
+const INSIGHT_COUNT = 5
+const US_CODE = 'USA'
+
+const relative = (file) => path.relative(projectRoot, path.join(DATA_DIR, file))
+
+// ---------------------------------------------------------------------------
+// --check
+// ---------------------------------------------------------------------------
+
+if (process.argv.includes('--check')) {
+  const result = verifyManifest(DATA_DIR)
+  const problems = describeManifestProblems(result)
+  if (problems) {
+    console.error(`❌ Derived data is not up to date (${problems})`)
+    console.error('   Run npm run data:build')
+    process.exit(1)
+  }
+  console.log(`✅ ${Object.keys(result.manifest.artifacts).length} derived files match ${relative(MANIFEST_FILE)}`)
+  process.exit(0)
+}
+
+// ---------------------------------------------------------------------------
+// Sources
+// ---------------------------------------------------------------------------
+
+INPUTS.forEach(file => {
+  const filePath = path.join(DATA_DIR, file)
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ ${relative(file)} not found`)
+    process.exit(1)
+  }
+  if (isLfsPointer(filePath)) {
+    console.error(`❌ ${relative(file)} is a Git LFS pointer, run git lfs pull first`)
+    process.exit(1)
+  }
+})
+
+const readCsv = (file) => d3.csvParse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'))
+
+console.log('📊 Reading source data')
+const localRows = readCsv('expense_clean.csv')
+const usdRows = readCsv('expense_clean_usd.csv')
+const gdpRows = readCsv('gdp_vals.csv')
+
+// country|category|year -> value; the first row wins when a category repeats (as in UnifiedDataService)
+const readExpense = (rows, column) => {
+  const values = new Map()
+  rows.forEach(row => {
+    const country = row['Country Name']
+    const category = row['Expense Category']
+    const year = parseInt(row.Year)
+    const value = parseFloat(row[column])
+    if (!country || !category || isNaN(year) || isNaN(value)) return
+
+    const key = `${country}|${category}|${year}`
+    if (!values.has(key)) values.set(key, value)
+  })
+  return values
+}
+
+const localValues = readExpense(localRows, 'Value')
+const usdLocalValues = readExpense(usdRows, 'Value')
+const usdValues = readExpense(usdRows, 'Value_USD')
+
+// ISO3|year -> GDP in current US$ (countries only)
+const gdpValues = new Map()
+gdpRows.forEach(row => {
+  const code = row['Country Code']
+  if (!code || isAggregateCode(code)) return
+  const iso3 = getIso3(code) || code
+  Object.keys(row).slice(4).forEach(column => {
+    const year = parseInt(column)
+    const value = parseFloat(row[column])
+    if (!isNaN(year) && !isNaN(value) && value > 0) gdpValues.set(`${iso3}|${year}`, value)
+  })
+})
+
+// Every reported value as { country, iso3, category, code, year, local, usd }
+// A value missing from expense_clean.csv takes its local value from the Value column of
+// expense_clean_usd.csv, as the expense dataset does in the app
+const records = []
+const iso3ByCountry = new Map()
+const keys = new Set([...localValues.keys(), ...usdLocalValues.keys(), ...usdValues.keys()])
+keys.forEach(key => {
+  const [country, category, yearText] = key.split('|')
+  const code = CATEGORY_TO_CODE[category]
+  if (!code || !INDICATOR_METADATA[code]) return
+
+  if (!iso3ByCountry.has(country)) iso3ByCountry.set(country, getIso3(country) || '')
+  records.push({
+    country,
+    iso3: iso3ByCountry.get(country),
+    category,
+    code,
+    year: parseInt(yearText),
+    local: localValues.get(key) ?? usdLocalValues.get(key) ?? null,
+    usd: usdValues.get(key) ?? null
+  })
+})
+
+records.sort((a, b) => a.code.localeCompare(b.code) || a.country.localeCompare(b.country) || a.year - b.year)
+
+if (records.length === 0) {
+  console.error('❌ No expense values with a known category were found')
+  process.exit(1)
+}
+
+const years = Array.from(new Set(records.map(d => d.year))).sort((a, b) => a - b)
+const countries = Array.from(new Set(records.map(d => d.country))).sort((a, b) => a.localeCompare(b))
+console.log(`   ${records.length} values, ${countries.length} countries, ${years[0]}-${years[years.length - 1]}`)
+
+// The expense files have been read both as units and as millions of USD elsewhere in the
+// app; total expense is tens of percent of GDP, which tells the two apart
+const expenseRatios = records
+  .filter(d => d.code === 'GE' && d.usd > 0 && gdpValues.has(`${d.iso3}|${d.year}`))
+  .map(d => d.usd / gdpValues.get(`${d.iso3}|${d.year}`))
+const expenseScale = expenseRatios.length > 0 && d3.median(expenseRatios) < 1e-4 ? 1e6 : 1
+const expenseUnit = expenseScale === 1 ? 'Units' : 'Millions'
+console.log(`   Expense values are in ${expenseUnit.toLowerCase()}`)
+
+const percentOfGdp = (d) => {
+  const gdp = gdpValues.get(`${d.iso3}|${d.year}`)
+  return d.usd !== null && gdp ? (d.usd * expenseScale / gdp) * 100 : null
+}
+
+// ---------------------------------------------------------------------------
+// Artifacts
+// ---------------------------------------------------------------------------
+
+const artifacts = {}
+
+const writeArtifact = (file, content, rows = null) => {
+  const filePath = path.join(DATA_DIR, file)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, content)
+  artifacts[file] = {
+    sha256: sha256File(filePath),
+    bytes: fs.statSync(filePath).size,
+    ...(rows !== null ? { rows } : {})
+  }
+}
+
+const writeCsv = (file, rows, columns) => writeArtifact(file, d3.csvFormat(rows, columns) + '\n', rows.length)
+const writeJson = (file, value) => writeArtifact(file, JSON.stringify(value, null, 2) + '\n')
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)))
+
+// The indicator directory is generated as a whole
+fs.rmSync(path.join(DATA_DIR, INDICATOR_DIR), { recursive: true, force: true })
+
+// 48 indicator files (IMF SDMX column names, as read by the indicator loaders)
+const INDICATOR_COLUMNS = [
+  'REF_AREA', 'REF_AREA_LABEL', 'INDICATOR', 'INDICATOR_LABEL', 'TIME_PERIOD',
+  'OBS_VALUE', 'UNIT_MEASURE', 'UNIT_MEASURE_LABEL', 'UNIT_MULT_LABEL', 'OBS_VALUE_USD'
+]
+const recordsByCode = d3.group(records, d => d.code)
+const indicatorSummaries = {}
+
+Object.keys(INDICATOR_METADATA).forEach(code => {
+  const rows = (recordsByCode.get(code) || [])
+    .filter(d => d.local !== null)
+    .map(d => ({
+      REF_AREA: d.iso3,
+      REF_AREA_LABEL: d.country,
+      INDICATOR: code,
+      INDICATOR_LABEL: d.category,
+      TIME_PERIOD: d.year,
+      OBS_VALUE: d.local,
+      UNIT_MEASURE: 'XDC',
+      UNIT_MEASURE_LABEL: 'Domestic currency',
+      UNIT_MULT_LABEL: expenseUnit,
+      OBS_VALUE_USD: d.usd ?? ''
+    }))
+
+  writeCsv(`${INDICATOR_DIR}/IMF_GFSE_${code}_G14.csv`, rows, INDICATOR_COLUMNS)
+
+  if (rows.length > 0) {
+    const indicatorYears = rows.map(d => d.TIME_PERIOD)
+    indicatorSummaries[code] = {
+      name: INDICATOR_METADATA[code].name,
+      category: INDICATOR_METADATA[code].category,
+      countries: new Set(rows.map(d => d.REF_AREA_LABEL)).size,
+      records: rows.length,
+      years: [d3.min(indicatorYears), d3.max(indicatorYears)]
+    }
+  }
+})
+console.log(`✅ Wrote ${Object.keys(INDICATOR_METADATA).length} indicator files (${Object.keys(indicatorSummaries).length} with data)`)
+
+// Compact indicator files, one JSON document per indicator:
+// - rows: country indexes into index.json countries
+// - offsets: first year of each row, as an index into the index.json year range
+// - local, usd: one array per row, consecutive years from its offset, null for gaps
+// - derived: [row, position] of totals summed from their components (GfsHierarchy.js)
+fs.rmSync(path.join(DATA_DIR, COMPACT_DIR), { recursive: true, force: true })
+
+const hierarchyCountries = {}
+records.forEach(d => {
+  if (d.local === null) return
+  if (!hierarchyCountries[d.country]) hierarchyCountries[d.country] = { indicators: {} }
+  const indicators = hierarchyCountries[d.country].indicators
+  if (!indicators[d.code]) indicators[d.code] = {}
+  indicators[d.code][d.year] = { local: d.local, usd: d.usd }
+})
+const derivedCount = aggregateHierarchy(hierarchyCountries)
+const reconciliation = reconcileHierarchy(hierarchyCountries)
+
+const compactCountries = Object.keys(hierarchyCountries).sort((a, b) => a.localeCompare(b))
+const compactYears = d3.extent(records.filter(d => d.local !== null), d => d.year)
+const compactIndicators = {}
+
+Object.keys(INDICATOR_METADATA).forEach(code => {
+  const payload = { version: COMPACT_VERSION, code, rows: [], offsets: [], local: [], usd: [], derived: [] }
+  let valueCount = 0
+
+  compactCountries.forEach((country, countryIndex) => {
+    const values = hierarchyCountries[country].indicators[code]
+    if (!values) return
+
+    const rowYears = Object.keys(values).map(Number)
+    const [first, last] = d3.extent(rowYears)
+    const row = payload.rows.length
+    payload.rows.push(countryIndex)
+    payload.offsets.push(first - compactYears[0])
+    payload.local.push([])
+    payload.usd.push([])
+    for (let year = first; year <= last; year++) {
+      const value = values[year]
+      payload.local[row].push(value ? value.local : null)
+      payload.usd[row].push(value ? value.usd : null)
+      if (value?.derived) payload.derived.push([row, year - first])
+    }
+    valueCount += rowYears.length
+  })
+
+  if (payload.rows.length === 0) return
+
+  const file = `${COMPACT_DIR}/${code}.json`
+  writeArtifact(file, JSON.stringify(payload) + '\n', valueCount)
+  compactIndicators[code] = {
+    file,
+    countries: payload.rows.length,
+    values: valueCount,
+    derived: payload.derived.length
+  }
+})
+
+writeArtifact(`${COMPACT_DIR}/index.json`, JSON.stringify({
+  version: COMPACT_VERSION,
+  expense_unit: expenseUnit,
+  years: compactYears,
+  countries: compactCountries.map(country => [country, iso3ByCountry.get(country)]),
+  indicators: compactIndicators
+}) + '\n')
+writeArtifact(`${COMPACT_DIR}/reconciliation.json`, JSON.stringify(reconciliation) + '\n', reconciliation.length)
+console.log(`✅ Wrote ${Object.keys(compactIndicators).length} compact indicator files (${derivedCount} derived totals, ${reconciliation.length} reconciliation issues)`)
+
+// Sector matrices (USD, one column per year)
+const matrixColumns = ['Country', 'Country Code', ...years.map(String)]
+Object.entries(MATRICES).forEach(([file, category]) => {
+  const byCountry = d3.group(records.filter(d => d.category === category && d.usd !== null), d => d.country)
+  const rows = Array.from(byCountry, ([country, values]) => {
+    const row = { Country: country, 'Country Code': values[0].iso3 }
+    values.forEach(d => {
+      row[d.year] = d.usd
+    })
+    return row
+  }).sort((a, b) => a.Country.localeCompare(b.Country))
+
+  writeCsv(file, rows, matrixColumns)
+})
+console.log(`✅ Wrote ${Object.keys(MATRICES).length} sector matrices`)
+
+// metadata.json
+writeJson('metadata.json', {
+  source: INPUTS,
+  countries_covered: countries.length,
+  date_range: [years[0], years[years.length - 1]],
+  total_records: records.length,
+  expense_unit: expenseUnit,
+  priority_indicators: Object.fromEntries(
+    Object.entries(indicatorSummaries).map(([code, summary]) => [`IMF_GFSE_${code}_G14`, summary.name])
+  ),
+  indicators: indicatorSummaries
+})
+
+// global_insights.json: latest year covering at least half the indicator's best year
+const insights = {}
+Object.entries(indicatorSummaries).forEach(([code, summary]) => {
+  const shares = recordsByCode.get(code)
+    .map(d => ({ ...d, share: percentOfGdp(d) }))
+    .filter(d => d.share !== null && d.iso3)
+  if (shares.length === 0) return
+
+  const byYear = d3.group(shares, d => d.year)
+  const mostCountries = d3.max(byYear.values(), values => values.length)
+  const year = d3.max(Array.from(byYear).filter(([, values]) => values.length >= mostCountries / 2), ([y]) => y)
+  const ranked = byYear.get(year)
+    .map(d => ({ country: d.country, code: d.iso3, value: round(d.share) }))
+    .sort((a, b) => b.value - a.value || a.country.localeCompare(b.country))
+
+  insights[summary.name] = {
+    code,
+    unit: '% of GDP',
+    year,
+    countries: ranked.length,
+    median: round(d3.median(ranked, d => d.value)),
+    top: ranked.slice(0, INSIGHT_COUNT),
+    bottom: ranked.slice(-INSIGHT_COUNT).reverse()
+  }
+})
+writeJson('global_insights.json', insights)
+console.log(`✅ Wrote metadata.json and global_insights.json (${Object.keys(insights).length} indicators)`)
+
+// United States summary and breakdown
+const usRecords = records.filter(d => d.iso3 === US_CODE && d.local !== null)
+const usBreakdown = []
+d3.group(usRecords, d => d.code).forEach(values => {
+  values.forEach((d, i) => {
+    const previous = i > 0 && values[i - 1].year === d.year - 1 ? values[i - 1].local : null
+    usBreakdown.push({
+      IndicatorCode: d.code,
+      Indicator: INDICATOR_METADATA[d.code].name,
+      SectorGroup: INDICATOR_METADATA[d.code].category,
+      Year: d.year,
+      Value: d.local,
+      YoY_Change: previous ? round(((d.local - previous) / Math.abs(previous)) * 100) : ''
+    })
+  })
+})
+writeCsv('us_spending_breakdown.csv', usBreakdown, ['IndicatorCode', 'Indicator', 'SectorGroup', 'Year', 'Value', 'YoY_Change'])
+
+const usTotals = usRecords.filter(d => d.code === 'GE')
+const usLatest = usTotals.length > 0 ? usTotals[usTotals.length - 1] : null
+writeJson('us_summary.json', usLatest ? {
+  country: usLatest.country,
+  code: US_CODE,
+  years: [usTotals[0].year, usLatest.year],
+  latest_year: usLatest.year,
+  total_expense: usLatest.local,
+  expense_pct_gdp: round(percentOfGdp(usLatest)),
+  categories: Object.fromEntries(GFS_HIERARCHY.GE.breakdowns[0]
+    .map(code => usRecords.find(d => d.code === code && d.year === usLatest.year))
+    .filter(Boolean)
+    .map(d => [INDICATOR_METADATA[d.code].name, {
+      code: d.code,
+      value: d.local,
+      share_of_total: round((d.local / usLatest.local) * 100)
+    }])),
+  trend: usTotals.map(d => ({ year: d.year, value: d.local, pct_gdp: round(percentOfGdp(d)) }))
+} : { country: 'United States', code: US_CODE, years: null })
+console.log(`✅ Wrote us_summary.json and us_spending_breakdown.csv (${usBreakdown.length} rows)`)
+
+// ---------------------------------------------------------------------------
+// Manifest
+// ---------------------------------------------------------------------------
+
+const inputs = Object.fromEntries(INPUTS.map(file => {
+  const filePath = path.join(DATA_DIR, file)
+  return [file, { sha256: sha256File(filePath), bytes: fs.statSync(filePath).size }]
+}))
+const sortedArtifacts = Object.fromEntries(Object.keys(artifacts).sort().map(file => [file, artifacts[file]]))
+
+// Short id of this exact set of files, shown in the app and used by the service worker
+// to keep every cached file from the same build
+const dataVersion = crypto.createHash('sha256')
+  .update(JSON.stringify({ inputs, artifacts: sortedArtifacts }))
+  .digest('hex')
+  .slice(0, 12)
+
+const manifest = {
+  version: 1,
+  generator: 'scripts/build-data.js',
+  data_version: dataVersion,
+  inputs,
+  artifacts: sortedArtifacts
+}
+fs.writeFileSync(path.join(DATA_DIR, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n')
+console.log(`✅ Wrote ${relative(MANIFEST_FILE)} (${Object.keys(artifacts).length} files, data version ${dataVersion})`)
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Aggregation check
+ * Runs the aggregation engine (src/shared/services/AggregationService.js) on small
+ * hand-made inputs and compares the results with values worked out by hand:
+ * - aggregateValues: sum, mean, median and the GDP-weighted mean with missing weights
+ * - buildSeries: members, coverage and minCoverage gating for a region, an income
+ *   group and a custom country group
+ *
+ * Exits with code 1 when a result differs, so a change to the aggregation rules
+ * is caught before it shifts every regional and group series in the app.
+ */
+
+// CountryGroupService keeps custom groups in localStorage; keep them in memory here
+const storage = new Map()
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+}
+
+const { aggregateValues, aggregationService } = await import('../src/shared/services/AggregationService.js')
+const { countryGroupService } = await import('../src/shared/services/CountryGroupService.js')
+
+const YEAR = 2015
+
+let checks = 0
+let failures = 0
+
+const sameValue = (actual, expected) => {
+  if (expected === null) return actual === null
+  return typeof actual === 'number' && Math.abs(actual - expected) < 1e-9
+}
+
+const expect = (label, actual, expected) => {
+  checks++
+  if (sameValue(actual, expected)) {
+    console.log(`   ✅ ${label}: ${expected}`)
+    return
+  }
+  failures++
+  console.log(`   ❌ ${label}: expected ${expected}, got ${actual}`)
+}
+
+// (iso3, year) => value lookup from a { ISO3: value } table for YEAR
+const lookup = (table) => (iso3, year) => (year === YEAR ? table[iso3] ?? null : null)
+
+const pointFor = (code, values, options) => aggregationService.buildSeries(code, lookup(values), [YEAR], options).points[0]
+
+console.log('🧮 Aggregation check')
+console.log('='.repeat(50))
+
+console.log('\naggregateValues')
+const entries = [
+  { value: 10, weight: 1 },
+  { value: 20, weight: 3 },
+  { value: 60, weight: null },
+  { value: 30 }
+]
+expect('sum', aggregateValues(entries, 'sum'), 120)
+expect('mean', aggregateValues(entries, 'mean'), 30)
+expect('median', aggregateValues(entries, 'median'), 25)
+expect('median of an odd count', aggregateValues(entries.slice(0, 3), 'median'), 20)
+// Members without a weight are left out: (10 × 1 + 20 × 3) / 4
+expect('gdpWeighted skips missing weights', aggregateValues(entries, 'gdpWeighted'), 17.5)
+expect('gdpWeighted without any weight', aggregateValues([{ value: 5, weight: null }, { value: 7 }], 'gdpWeighted'), null)
+expect('no entries', aggregateValues([], 'sum'), null)
+
+// North America: Bermuda, Canada and the United States
+console.log('\nRegion (NAC, North America)')
+const regionValues = { USA: 100, CAN: 20, MEX: 999 }
+const regionWeights = lookup({ USA: 18, CAN: 1.5, BMU: 0.5 })
+let point = pointFor('NAC', regionValues)
+expect('members', point.members, 3)
+expect('reporting (Mexico is not a member)', point.reporting, 2)
+expect('country coverage', point.countryCoverage, 2 / 3)
+expect('sum at the default 50% coverage', point.value, 120)
+point = pointFor('NAC', regionValues, { minCoverage: 0.9 })
+expect('sum below 90% country coverage', point.value, null)
+point = pointFor('NAC', regionValues, { weightFor: regionWeights, minCoverage: 0.9 })
+expect('GDP coverage', point.gdpCoverage, 19.5 / 20)
+expect('sum at 90% GDP coverage', point.value, 120)
+point = pointFor('NAC', regionValues, { method: 'gdpWeighted', weightFor: regionWeights })
+expect('GDP-weighted mean', point.value, (100 * 18 + 20 * 1.5) / 19.5)
+
+// Income group members follow the classification of the year
+console.log('\nIncome group (LIC, low income)')
+const lowIncome = aggregationService.getMembers('LIC', YEAR)
+const reportingLowIncome = lowIncome.slice(0, Math.ceil(lowIncome.length * 0.6))
+const incomeValues = Object.fromEntries([...reportingLowIncome.map(iso3 => [iso3, 1]), ['USA', 1000]])
+point = pointFor('LIC', incomeValues)
+expect('members', point.members, lowIncome.length)
+expect('reporting (United States is not a member)', point.reporting, reportingLowIncome.length)
+expect('sum at the default 50% coverage', point.value, reportingLowIncome.length)
+point = pointFor('LIC', incomeValues, { method: 'mean', minCoverage: 0.75 })
+expect('mean below 75% country coverage', point.value, null)
+expect('sufficient flag below 75% country coverage', point.sufficient ? 1 : 0, 0)
+
+console.log('\nCustom country group')
+const group = countryGroupService.createGroup('Aggregation check', ['USA', 'DEU', 'JPN', 'BRA'])
+const groupValues = { USA: 10, DEU: 20 }
+const groupWeights = lookup({ USA: 20, DEU: 4, JPN: 5, BRA: 1 })
+point = pointFor(group.id, groupValues)
+expect('members', point.members, 4)
+expect('country coverage', point.countryCoverage, 0.5)
+expect('sum at exactly 50% country coverage', point.value, 30)
+point = pointFor(group.id, groupValues, { minCoverage: 0.75 })
+expect('sum below 75% country coverage', point.value, null)
+point = pointFor(group.id, groupValues, { weightFor: groupWeights, minCoverage: 0.75 })
+expect('GDP coverage', point.gdpCoverage, 0.8)
+expect('sum at 75% GDP coverage', point.value, 30)
+point = pointFor(group.id, groupValues, { weightFor: groupWeights, minCoverage: 0.9 })
+expect('sum below 90% GDP coverage', point.value, null)
+point = pointFor(group.id, {}, { minCoverage: 0 })
+expect('no member with data, even at 0% coverage', point.value, null)
+
+console.log('\n' + '='.repeat(50))
+
+if (failures > 0) {
+  console.log(`❌ ${failures} of ${checks} aggregation check(s) failed`)
+  process.exit(1)
+}
+
+console.log(`✅ All ${checks} aggregation checks passed`)
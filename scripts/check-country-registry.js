@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Country registry check
+ * Lists the country names in each dataset that the canonical registry
+ * (src/shared/utils/CountryRegistry.js) cannot resolve.
+ *
+ * Exits with code 1 when a dataset contains an unexpected unmatched name,
+ * so a new spelling in a data refresh is caught before it silently drops
+ * a country from the maps and charts.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import * as d3 from 'd3'
+import * as topojson from 'topojson-client'
+import { resolveCountry, resolveFeature, isAggregateCode } from '../src/shared/utils/CountryRegistry.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+
+// Map features that are not countries in the World Bank / IMF data (no values expected)
+const EXPECTED_UNMATCHED_FEATURES = new Set([
+  'Antarctica',
+  'Fr. S. Antarctic Lands',
+  'Heard I. and McDonald Is.',
+  'S. Geo. and the Is.',
+  'Br. Indian Ocean Ter.',
+  'Indian Ocean Ter.',
+  'Siachen Glacier',
+  'N. Cyprus',
+  'Somaliland',
+  'Saint Helena',
+  'Pitcairn Is.',
+  'Anguilla',
+  'Montserrat',
+  'Niue',
+  'Cook Is.',
+  'St. Pierre and Miquelon',
+  'Wallis and Futuna Is.',
+  'St-Barthélemy',
+  'Åland',
+  'Norfolk Island'
+])
+
+const readText = (relativePath) => {
+  const fullPath = path.join(projectRoot, relativePath)
+  if (!fs.existsSync(fullPath)) return null
+  const text = fs.readFileSync(fullPath, 'utf8')
+  // Data files are stored in Git LFS; a pointer means the real file is not checked out
+  if (text.startsWith('version https://git-lfs')) return null
+  return text
+}
+
+const checkMap = (relativePath) => {
+  const text = readText(relativePath)
+  if (!text) return null
+
+  const topology = JSON.parse(text)
+  const features = topojson.feature(topology, topology.objects.countries).features
+
+  return features
+    .filter(feature => !resolveFeature(feature))
+    .map(feature => feature.properties?.name || `id ${feature.id}`)
+}
+
+const checkCsv = (relativePath, nameColumn, codeColumn = null) => {
+  const text = readText(relativePath)
+  if (!text) return null
+
+  const rows = d3.csvParse(text)
+  const unmatched = new Set()
+
+  rows.forEach(row => {
+    const name = row[nameColumn]
+    const code = codeColumn ? row[codeColumn] : null
+    if (!name || (code && isAggregateCode(code))) return
+    if (!resolveCountry(code) && !resolveCountry(name)) {
+      unmatched.add(name)
+    }
+  })
+
+  return Array.from(unmatched)
+}
+
+const checkCountryMappingJson = (relativePath) => {
+  const text = readText(relativePath)
+  if (!text) return null
+
+  const { nameToCode = {} } = JSON.parse(text)
+
+  return Object.entries(nameToCode)
+    .filter(([name, code]) => {
+      const byCode = resolveCountry(code)
+      return !byCode || resolveCountry(name) !== byCode
+    })
+    .map(([name, code]) => `${name} (${code})`)
+}
+
+const DATASETS = [
+  { label: 'Map geometry 110m', check: () => checkMap('public/data/geo/countries-110m.json'), expected: EXPECTED_UNMATCHED_FEATURES },
+  { label: 'Map geometry 50m', check: () => checkMap('public/data/geo/countries-50m.json'), expected: EXPECTED_UNMATCHED_FEATURES },
+  { label: 'gdp_vals.csv', check: () => checkCsv('public/data/gdp_vals.csv', 'Country Name', 'Country Code') },
+  { label: 'population.csv', check: () => checkCsv('public/data/population.csv', 'Country Name', 'Country Code') },
+  { label: 'gdp_deflator.csv', check: () => checkCsv('public/data/gdp_deflator.csv', 'Country Name', 'Country Code') },
+  { label: 'ppp_conversion.csv', check: () => checkCsv('public/data/ppp_conversion.csv', 'Country Name', 'Country Code') },
+  { label: 'expense_clean.csv', check: () => checkCsv('public/data/expense_clean.csv', 'Country Name') },
+  { label: 'expense_clean_usd.csv', check: () => checkCsv('public/data/expense_clean_usd.csv', 'Country Name') },
+  { label: 'scripts/country-mapping.json', check: () => checkCountryMappingJson('scripts/country-mapping.json') }
+]
+
+console.log('🌍 Country registry check')
+console.log('='.repeat(50))
+
+let failures = 0
+
+DATASETS.forEach(({ label, check, expected = new Set() }) => {
+  const unmatched = check()
+
+  if (unmatched === null) {
+    console.log(`\n⏭️  ${label}: not available (missing or Git LFS pointer), skipped`)
+    return
+  }
+
+  const unexpected = unmatched.filter(name => !expected.has(name))
+  const known = unmatched.filter(name => expected.has(name))
+
+  if (unexpected.length === 0) {
+    console.log(`\n✅ ${label}: all names resolved${known.length ? ` (${known.length} expected non-country features)` : ''}`)
+    return
+  }
+
+  failures += unexpected.length
+  console.log(`\n❌ ${label}: ${unexpected.length} unmatched name(s)`)
+  unexpected.sort().forEach(name => console.log(`   - ${name}`))
+})
+
+console.log('\n' + '='.repeat(50))
+
+if (failures > 0) {
+  console.log(`❌ ${failures} unmatched name(s). Add them as aliases in src/shared/utils/CountryRegistry.js`)
+  process.exit(1)
+}
+
+console.log('✅ Every dataset resolves through the country registry')
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * World Bank income classification history
+ * Converts the "Country Analytical History" sheet of the World Bank OGHIST workbook
+ * (historical income group of every country since FY89) to public/data/income_history.csv,
+ * one row per country and GNI data year, for IncomeClassificationService.
+ *
+ * OGHIST is published as an Excel workbook only: open it, save the
+ * "Country Analytical History" sheet as CSV and pass that file to this script.
+ * The sheet has one column per fiscal year (FY89, FY90, ...), a
+ * "Data for calendar year :" row with the GNI year behind each classification,
+ * and cells L, LM, UM or H (".." when a country was not classified).
+ *
+ * Usage: npm run data:income -- <path to the sheet exported as CSV>
+ *        node scripts/convert-income-history.js <path>
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import * as d3 from 'd3'
+import { resolveCountry, isAggregateCode } from '../src/shared/utils/CountryRegistry.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+
+const OUTPUT = path.join(projectRoot, 'public/data/income_history.csv')
+const GROUP_CODES = new Set(['L', 'LM', 'UM', 'H'])
+
+const input = process.argv[2]
+if (!input || !fs.existsSync(input)) {
+  console.error('❌ Pass the "Country Analytical History" sheet of OGHIST exported as CSV')
+  console.error('   npm run data:income -- ~/Downloads/OGHIST-country-analytical-history.csv')
+  process.exit(1)
+}
+
+const rows = d3.csvParseRows(fs.readFileSync(input, 'utf8'))
+
+// GNI data year of each column, from the "Data for calendar year" row
+const yearRow = rows.find(row => row.some(cell => /data for calendar year/i.test(cell)))
+if (!yearRow) {
+  console.error('❌ No "Data for calendar year" row found; is this the Country Analytical History sheet?')
+  process.exit(1)
+}
+const columnYears = yearRow.map(cell => (/^\d{4}$/.test(cell.trim()) ? parseInt(cell) : null))
+
+const records = []
+const unknown = []
+
+rows.forEach(row => {
+  const code = (row[0] || '').trim().toUpperCase()
+  if (!/^[A-Z]{3}$/.test(code) || isAggregateCode(code)) return
+
+  const country = resolveCountry(code)
+  if (!country) {
+    unknown.push(code)
+    return
+  }
+
+  row.forEach((cell, column) => {
+    const year = columnYears[column]
+    const group = cell.trim().replace(/\*$/, '').toUpperCase()
+    if (year && GROUP_CODES.has(group)) {
+      records.push({
+        'Country Code': country.iso3,
+        'Country Name': country.name,
+        Year: year,
+        'Income Group': group
+      })
+    }
+  })
+})
+
+if (records.length === 0) {
+  console.error('❌ No classifications found in the file')
+  process.exit(1)
+}
+
+records.sort((a, b) => a['Country Code'].localeCompare(b['Country Code']) || a.Year - b.Year)
+fs.writeFileSync(OUTPUT, d3.csvFormat(records, ['Country Code', 'Country Name', 'Year', 'Income Group']) + '\n')
+
+const countries = new Set(records.map(record => record['Country Code']))
+const years = d3.extent(records, record => record.Year)
+console.log(`🏦 Wrote ${records.length} classifications for ${countries.size} countries (${years[0]}-${years[1]}) to ${path.relative(projectRoot, OUTPUT)}`)
+if (unknown.length > 0) {
+  console.log(`⚠️  Skipped codes not in the country registry: ${unknown.join(', ')}`)
+}
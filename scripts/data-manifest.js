@@ -0,0 +1,92 @@
+/**
+ * Data manifest helpers
+ * Shared by scripts/build-data.js (writes and checks the manifest) and the Vite build
+ * (refuses to bundle a data directory whose derived files are missing or out of date).
+ *
+ * public/data/manifest.json lists every derived artifact with its sha256, size and row
+ * count, and the sha256 of the source files it was built from. The app reads the same
+ * manifest at runtime (src/shared/services/DataManifestService.js).
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+export const MANIFEST_FILE = 'manifest.json'
+
+/**
+ * sha256 of a file's contents
+ * @param {string} filePath - Absolute path
+ * @returns {string} Hex digest
+ */
+export function sha256File(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+}
+
+/**
+ * Check whether a file is a Git LFS pointer rather than the real data
+ * @param {string} filePath - Absolute path
+ * @returns {boolean} True for an LFS pointer
+ */
+export function isLfsPointer(filePath) {
+  const fd = fs.openSync(filePath, 'r')
+  const buffer = Buffer.alloc(64)
+  const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0)
+  fs.closeSync(fd)
+  return buffer.toString('utf8', 0, bytes).startsWith('version https://git-lfs.github.com/spec/')
+}
+
+/**
+ * Read the manifest of a data directory
+ * @param {string} dataDir - Absolute path of public/data
+ * @returns {Object|null} Parsed manifest, null when there is none
+ */
+export function readManifest(dataDir) {
+  const manifestPath = path.join(dataDir, MANIFEST_FILE)
+  if (!fs.existsSync(manifestPath)) return null
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+}
+
+/**
+ * Compare a data directory against its manifest
+ * @param {string} dataDir - Absolute path of public/data
+ * @returns {Object} { manifest, missing, changed, staleInputs } (file paths relative to dataDir)
+ */
+export function verifyManifest(dataDir) {
+  const manifest = readManifest(dataDir)
+  const result = { manifest, missing: [], changed: [], staleInputs: [] }
+  if (!manifest) return result
+
+  Object.entries(manifest.artifacts || {}).forEach(([file, entry]) => {
+    const filePath = path.join(dataDir, file)
+    if (!fs.existsSync(filePath)) {
+      result.missing.push(file)
+    } else if (sha256File(filePath) !== entry.sha256) {
+      result.changed.push(file)
+    }
+  })
+
+  Object.entries(manifest.inputs || {}).forEach(([file, entry]) => {
+    const filePath = path.join(dataDir, file)
+    if (!fs.existsSync(filePath) || sha256File(filePath) !== entry.sha256) {
+      result.staleInputs.push(file)
+    }
+  })
+
+  return result
+}
+
+/**
+ * One-line summary of verifyManifest problems
+ * @param {Object} result - verifyManifest result
+ * @returns {string|null} Description, null when the directory matches its manifest
+ */
+export function describeManifestProblems(result) {
+  if (!result.manifest) return `${MANIFEST_FILE} not found`
+
+  const problems = []
+  if (result.missing.length > 0) problems.push(`missing: ${result.missing.join(', ')}`)
+  if (result.changed.length > 0) problems.push(`checksum mismatch: ${result.changed.join(', ')}`)
+  if (result.staleInputs.length > 0) problems.push(`source changed since the last build: ${result.staleInputs.join(', ')}`)
+  return problems.length > 0 ? problems.join('; ') : null
+}
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * World Bank indicator fetch
+ * Downloads a World Bank indicator and writes it to public/data in the same wide
+ * layout as gdp_vals.csv (Country Name, Country Code, Indicator Name, Indicator Code,
+ * one column per year), so GdpExpenseDataService parses every file the same way
+ * and joins them on ISO3.
+ *
+ * Datasets:
+ * - population: total population (SP.POP.TOTL) -> population.csv
+ * - deflator: GDP deflator index (NY.GDP.DEFL.ZS) -> gdp_deflator.csv
+ * - ppp: price level ratio of PPP conversion factor to market exchange rate (PA.NUS.PPPC.RF) -> ppp_conversion.csv
+ *
+ * Usage: npm run data:population, npm run data:deflator, npm run data:ppp
+ *        node scripts/fetch-worldbank-indicator.js <dataset>
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import * as d3 from 'd3'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+
+const DATASETS = {
+  population: { indicator: 'SP.POP.TOTL', file: 'population.csv', icon: '👥' },
+  deflator: { indicator: 'NY.GDP.DEFL.ZS', file: 'gdp_deflator.csv', icon: '💲' },
+  ppp: { indicator: 'PA.NUS.PPPC.RF', file: 'ppp_conversion.csv', icon: '💱' }
+}
+
+const datasetName = process.argv[2]
+const dataset = DATASETS[datasetName]
+if (!dataset) {
+  console.error(`❌ Unknown dataset "${datasetName || ''}". Use one of: ${Object.keys(DATASETS).join(', ')}`)
+  process.exit(1)
+}
+
+const INDICATOR = dataset.indicator
+// Same years as gdp_vals.csv; fixed so that a refetch reproduces the committed files
+const FIRST_YEAR = 1960
+const LAST_YEAR = 2022
+const API_URL = `https://api.worldbank.org/v2/country/all/indicator/${INDICATOR}?format=json&per_page=20000&date=${FIRST_YEAR}:${LAST_YEAR}`
+const OUTPUT = path.join(projectRoot, 'public/data', dataset.file)
+
+const fetchPage = async (page) => {
+  const response = await fetch(`${API_URL}&page=${page}`)
+  if (!response.ok) {
+    throw new Error(`World Bank API returned ${response.status}`)
+  }
+  const [meta, rows] = await response.json()
+  if (!meta || !Array.isArray(rows)) {
+    throw new Error(meta?.message?.[0]?.value || 'Unexpected World Bank API response')
+  }
+  return { pages: meta.pages, rows }
+}
+
+console.log(`${dataset.icon} Fetching ${INDICATOR} (${FIRST_YEAR}-${LAST_YEAR}) from the World Bank API`)
+
+try {
+  const first = await fetchPage(1)
+  const rows = [...first.rows]
+  for (let page = 2; page <= first.pages; page++) {
+    rows.push(...(await fetchPage(page)).rows)
+  }
+
+  // One row per country, one column per year
+  const countries = new Map()
+  rows.forEach(row => {
+    const code = row.countryiso3code
+    if (!code) return
+
+    if (!countries.has(code)) {
+      countries.set(code, {
+        'Country Name': row.country.value,
+        'Country Code': code,
+        'Indicator Name': row.indicator.value,
+        'Indicator Code': row.indicator.id
+      })
+    }
+    countries.get(code)[row.date] = row.value ?? ''
+  })
+
+  const years = d3.range(FIRST_YEAR, LAST_YEAR + 1).map(String)
+  const columns = ['Country Name', 'Country Code', 'Indicator Name', 'Indicator Code', ...years]
+  const records = Array.from(countries.values()).sort((a, b) => a['Country Name'].localeCompare(b['Country Name']))
+
+  fs.writeFileSync(OUTPUT, d3.csvFormat(records, columns) + '\n')
+  console.log(`✅ Wrote ${records.length} countries to ${path.relative(projectRoot, OUTPUT)}`)
+  console.log('   Run npm run check:countries to confirm every name resolves')
+} catch (error) {
+  console.error(`❌ Failed to fetch ${datasetName} data: ${error.message}`)
+  process.exit(1)
+}
@@ -1,25 +1,56 @@
 import { useState, useEffect } from 'react'
 import './App.css'
 import { filterStateManager } from './shared/services/FilterStateManager.js'
+import { urlStateService } from './shared/services/UrlStateService.js'
+import SavedViewsMenu from './shared/components/SavedViewsMenu.jsx'
+import PriceBasisSelector from './shared/components/PriceBasisSelector.jsx'
+import CurrencySelector from './shared/components/CurrencySelector.jsx'
+import DataLoadDebugPanel from './shared/components/DataLoadDebugPanel.jsx'
+import OfflineBadge from './shared/components/OfflineBadge.jsx'
+import { expenseDatasetService } from './shared/services/ExpenseDatasetService.js'
 
 // Import modules
 import { SpendingAnalysis } from './modules/spending'
 import { GDPAnalysis } from './modules/gdp'
 import { ComparisonPage } from './modules/comparison'
 import { AboutPage } from './modules/about'
+import { DataQualityPage } from './modules/quality'
 
 function App() {
   const [currentView, setCurrentView] = useState(() => {
-    // Restore last viewed module from session storage, default to 'about'
+    // Restore module from the URL (deep link), then session storage, default to 'about'
+    urlStateService.init()
     return filterStateManager.getCurrentModule() || 'about'
   })
+  const [linkCopied, setLinkCopied] = useState(false)
   // Page-specific loading states
   const [spendingLoading, setSpendingLoading] = useState(true)
   const [gdpLoading, setGdpLoading] = useState(true)
   const [comparisonLoading, setComparisonLoading] = useState(true)
+  const [qualityLoading, setQualityLoading] = useState(true)
   
   // Comparison controls state
   const [comparisonControls, setComparisonControls] = useState(null)
+  // Download/parse progress of the shared expense dataset
+  const [datasetStatus, setDatasetStatus] = useState(() => expenseDatasetService.getStatus())
+
+  useEffect(() => {
+    return expenseDatasetService.subscribe(setDatasetStatus)
+  }, [])
+
+  // Alt+Shift+D toggles the data loading debug panel
+  const [showLoadDebug, setShowLoadDebug] = useState(false)
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.altKey && event.shiftKey && event.code === 'KeyD') {
+        event.preventDefault()
+        setShowLoadDebug(show => !show)
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
 
   // Reset loading state when switching to a new view
   useEffect(() => {
@@ -29,14 +60,41 @@ function App() {
       setGdpLoading(true)
     } else if (currentView === 'comparison') {
       setComparisonLoading(true)
+    } else if (currentView === 'quality') {
+      setQualityLoading(true)
     }
   }, [currentView])
 
+  // Browser back/forward restores the module encoded in the URL
+  useEffect(() => {
+    return urlStateService.subscribe((module) => {
+      setCurrentView(module)
+    })
+  }, [])
+
   // Handle module switching with filter restoration
   const handleModuleSwitch = (newModule) => {
     // Restore filters for the new module
     filterStateManager.restoreFiltersForModule(newModule)
     setCurrentView(newModule)
+    // New history entry so back/forward moves between modules
+    urlStateService.sync()
+  }
+
+  // Saved views have already been applied to FilterStateManager; just show their module
+  const handleApplySavedView = (module) => {
+    setCurrentView(module)
+  }
+
+  // Copy a link that reopens the current view
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(urlStateService.getShareableUrl())
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    } catch (error) {
+      console.error('Failed to copy link:', error)
+    }
   }
 
   return (
@@ -71,7 +129,29 @@ function App() {
             >
               Comparison
             </button>
+            <button 
+              className={`nav-tab ${currentView === 'quality' ? 'active' : ''}`}
+              onClick={() => handleModuleSwitch('quality')}
+            >
+              Data Quality
+            </button>
           </nav>
+          
+          <div className="header-actions">
+            <OfflineBadge />
+            {(currentView === 'spending' || currentView === 'comparison') && <CurrencySelector />}
+            {currentView !== 'about' && currentView !== 'quality' && <PriceBasisSelector />}
+            <SavedViewsMenu onApplyView={handleApplySavedView} />
+            {currentView !== 'about' && (
+              <button 
+                className="share-link-button"
+                onClick={handleCopyLink}
+                title="Copy a link to this view"
+              >
+                {linkCopied ? '✓ Link copied' : '🔗 Copy link'}
+              </button>
+            )}
+          </div>
         </div>
       </header>
 
@@ -104,20 +184,33 @@ function App() {
             </div>
           )}
           
+          {currentView === 'quality' && (
+            <div className="view-container">
+              <DataQualityPage onLoadingChange={setQualityLoading} />
+            </div>
+          )}
+          
           {/* Page-specific Loading Overlay - Only covers main content (not for About page) */}
           {currentView !== 'about' && ((currentView === 'spending' && spendingLoading) ||
             (currentView === 'gdp' && gdpLoading) ||
-            (currentView === 'comparison' && comparisonLoading)) && (
+            (currentView === 'comparison' && comparisonLoading) ||
+            (currentView === 'quality' && qualityLoading)) && (
             <div className="global-loading-overlay">
               <div className="loading-content">
                 <div className="spinner"></div>
-                <p>Loading {currentView} data...</p>
+                <p>{datasetStatus.isLoading && datasetStatus.message ? datasetStatus.message : `Loading ${currentView} data...`}</p>
+                {datasetStatus.isLoading && (
+                  <div className="loading-progress" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={datasetStatus.progress}>
+                    <div className="loading-progress-bar" style={{ width: `${datasetStatus.progress}%` }}></div>
+                  </div>
+                )}
               </div>
             </div>
           )}
         </div>
       </main>
 
+      {showLoadDebug && <DataLoadDebugPanel onClose={() => setShowLoadDebug(false)} />}
     </div>
   )
 }
@@ -2,6 +2,10 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
 import './index.css'
+import { offlineService } from './shared/services/OfflineService.js'
+
+// Service worker (production) and the online/data version state behind the header badge
+offlineService.init()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
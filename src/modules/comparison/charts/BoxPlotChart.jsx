@@ -3,7 +3,7 @@
  * 
  * Features:
  * - Shows quartiles, median, and outliers
- * - Groups by region or income level
+ * - Groups by region or by World Bank income group of each year (countries move between groups)
  * - Interactive tooltips
  * - Color-coded by group
  * 
@@ -15,6 +15,9 @@ import * as d3 from 'd3'
 import { useComparison } from '../context/ComparisonContext.jsx'
 import ChartTooltip from '../components/ChartTooltip.jsx'
 import { getNumberFormatter } from '../utils/formatNumber.js'
+import { getCountryRegion as getComparisonRegion } from '../../../utils/regionMapping.js'
+import { INCOME_LEVELS, incomeClassificationService } from '../../../shared/services/IncomeClassificationService.js'
+import { useIncomeClassification } from '../../../shared/hooks/useIncomeClassification.js'
 
 const REGION_COLORS = {
   'Europe': '#4e79a7',
@@ -26,22 +29,23 @@ const REGION_COLORS = {
   'Other': '#bab0ab'
 }
 
-function getCountryRegion(countryName) {
-  const regions = {
-    'Europe': ['Germany', 'France', 'United Kingdom', 'Italy', 'Spain', 'Poland', 'Netherlands', 'Belgium', 'Greece', 'Portugal', 'Sweden', 'Austria', 'Denmark', 'Finland', 'Norway', 'Ireland', 'Switzerland'],
-    'Asia': ['China', 'Japan', 'India', 'South Korea', 'Indonesia', 'Thailand', 'Vietnam', 'Philippines', 'Malaysia', 'Singapore', 'Bangladesh', 'Pakistan'],
-    'Africa': ['South Africa', 'Nigeria', 'Egypt', 'Kenya', 'Ethiopia', 'Ghana', 'Tanzania', 'Uganda', 'Morocco', 'Algeria'],
-    'Americas': ['United States', 'Canada', 'Brazil', 'Mexico', 'Argentina', 'Colombia', 'Chile', 'Peru', 'Venezuela'],
-    'Oceania': ['Australia', 'New Zealand', 'Papua New Guinea', 'Fiji'],
-    'Middle East': ['Saudi Arabia', 'United Arab Emirates', 'Israel', 'Turkey', 'Iran', 'Iraq', 'Kuwait', 'Qatar']
-  }
+const INCOME_COLORS = {
+  'High income': '#1a9850',
+  'Upper middle income': '#91cf60',
+  'Lower middle income': '#fc8d59',
+  'Low income': '#d73027'
+}
 
-  for (const [region, countries] of Object.entries(regions)) {
-    if (countries.some(c => countryName.includes(c) || c.includes(countryName))) {
-      return region
-    }
-  }
-  return 'Other'
+const GROUPINGS = {
+  region: { label: 'Region', colors: REGION_COLORS },
+  income: { label: 'Income group', colors: INCOME_COLORS }
+}
+
+function getCountryRegion(countryName) {
+  // Comparison regions from the country registry, with the Americas combined
+  const region = getComparisonRegion(countryName)
+  if (region === 'North America' || region === 'South America') return 'Americas'
+  return region === 'Unknown' ? 'Other' : region
 }
 
 export function BoxPlotChart({ width = 800, height = 500, groupBy = 'region' }) {
@@ -49,6 +53,8 @@ export function BoxPlotChart({ width = 800, height = 500, groupBy = 'region' })
   const { state } = useComparison()
   const [tooltipData, setTooltipData] = useState(null)
   const [tooltipPosition, setTooltipPosition] = useState(null)
+  const [grouping, setGrouping] = useState(GROUPINGS[groupBy] ? groupBy : 'region')
+  const { ready: incomeReady, sourceNote: incomeSourceNote } = useIncomeClassification()
 
   useEffect(() => {
     if (!state.chartData || !svgRef.current) return
@@ -64,22 +70,28 @@ export function BoxPlotChart({ width = 800, height = 500, groupBy = 'region' })
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`)
 
-    // Prepare data grouped by region
+    // Prepare data grouped by region, or by the income group of each value's year
     const groupedData = {}
     
     Object.entries(state.chartData.countries).forEach(([countryName, countryData]) => {
-      const region = getCountryRegion(countryName)
-      const values = Object.values(countryData.data).filter(v => !isNaN(v))
-      
-      if (values.length > 0) {
-        if (!groupedData[region]) {
-          groupedData[region] = []
+      Object.entries(countryData.data).forEach(([year, value]) => {
+        if (isNaN(value)) return
+
+        const group = grouping === 'income'
+          ? incomeClassificationService.getIncomeGroup(countryData.code || countryName, parseInt(year))
+          : getCountryRegion(countryName)
+        if (!group) return
+
+        if (!groupedData[group]) {
+          groupedData[group] = []
         }
-        groupedData[region].push(...values)
-      }
+        groupedData[group].push(value)
+      })
     })
 
-    const groups = Object.keys(groupedData).sort()
+    const groups = grouping === 'income'
+      ? INCOME_LEVELS.map(level => level.group).filter(group => groupedData[group])
+      : Object.keys(groupedData).sort()
     
     if (groups.length === 0) return
 
@@ -121,9 +133,10 @@ export function BoxPlotChart({ width = 800, height = 500, groupBy = 'region' })
       .domain([0, d3.max(allValues) * 1.1])
       .range([innerHeight, 0])
 
+    const groupColors = GROUPINGS[grouping].colors
     const colorScale = d3.scaleOrdinal()
-      .domain(Object.keys(REGION_COLORS))
-      .range(Object.values(REGION_COLORS))
+      .domain(Object.keys(groupColors))
+      .range(Object.values(groupColors))
 
     // Create number formatter
     const maxValue = d3.max(boxPlotData.flatMap(d => [d.max, d.q3, d.median, d.q1, d.min])) || 0
@@ -148,7 +161,7 @@ export function BoxPlotChart({ width = 800, height = 500, groupBy = 'region' })
       .attr('x', innerWidth / 2)
       .attr('y', innerHeight + 70)
       .attr('text-anchor', 'middle')
-      .text('Region')
+      .text(GROUPINGS[grouping].label)
 
     g.append('text')
       .attr('class', 'axis-label')
@@ -275,10 +288,23 @@ export function BoxPlotChart({ width = 800, height = 500, groupBy = 'region' })
       svg.selectAll('*').remove()
       setTooltipData(null)
     }
-  }, [state.chartData, width, height, groupBy])
+  }, [state.chartData, width, height, grouping, incomeReady])
 
   return (
-    <div className="box-plot-chart">
+    <div className="box-plot-chart" style={{ position: 'relative' }}>
+      <div style={{ position: 'absolute', top: 0, right: 8, display: 'flex', alignItems: 'center', gap: 6, fontSize: 12 }}>
+        <label htmlFor="box-plot-grouping">Group by</label>
+        <select
+          id="box-plot-grouping"
+          value={grouping}
+          onChange={(e) => setGrouping(e.target.value)}
+          title={grouping === 'income' ? incomeSourceNote : undefined}
+        >
+          {Object.entries(GROUPINGS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
       <svg
         ref={svgRef}
         width={width}
@@ -16,6 +16,7 @@ import * as d3 from 'd3'
 import { useComparison } from '../context/ComparisonContext.jsx'
 import ChartTooltip from '../components/ChartTooltip.jsx'
 import { getNumberFormatter } from '../utils/formatNumber.js'
+import { getCountryRegion as getComparisonRegion } from '../../../utils/regionMapping.js'
 
 const REGION_COLORS = {
   'Europe': '#4e79a7',
@@ -28,21 +29,10 @@ const REGION_COLORS = {
 }
 
 function getCountryRegion(countryName) {
-  const regions = {
-    'Europe': ['Germany', 'France', 'United Kingdom', 'Italy', 'Spain', 'Poland', 'Netherlands', 'Belgium', 'Greece', 'Portugal', 'Sweden', 'Austria', 'Denmark', 'Finland', 'Norway', 'Ireland', 'Switzerland'],
-    'Asia': ['China', 'Japan', 'India', 'South Korea', 'Indonesia', 'Thailand', 'Vietnam', 'Philippines', 'Malaysia', 'Singapore', 'Bangladesh', 'Pakistan'],
-    'Africa': ['South Africa', 'Nigeria', 'Egypt', 'Kenya', 'Ethiopia', 'Ghana', 'Tanzania', 'Uganda', 'Morocco', 'Algeria'],
-    'Americas': ['United States', 'Canada', 'Brazil', 'Mexico', 'Argentina', 'Colombia', 'Chile', 'Peru', 'Venezuela'],
-    'Oceania': ['Australia', 'New Zealand', 'Papua New Guinea', 'Fiji'],
-    'Middle East': ['Saudi Arabia', 'United Arab Emirates', 'Israel', 'Turkey', 'Iran', 'Iraq', 'Kuwait', 'Qatar']
-  }
-
-  for (const [region, countries] of Object.entries(regions)) {
-    if (countries.some(c => countryName.includes(c) || c.includes(countryName))) {
-      return region
-    }
-  }
-  return 'Other'
+  // Comparison regions from the country registry, with the Americas combined
+  const region = getComparisonRegion(countryName)
+  if (region === 'North America' || region === 'South America') return 'Americas'
+  return region === 'Unknown' ? 'Other' : region
 }
 
 export function BubbleChart({ width = 800, height = 500 }) {
@@ -134,8 +124,8 @@ export function BubbleChart({ width = 800, height = 500 }) {
           .attr('cx', d => newXScale(d.x))
           .attr('cy', d => newYScale(d.y))
 
-        const maxX = d3.max(bubbleData, d => d.x) || 0
-        const maxY = d3.max(bubbleData, d => d.y) || 0
+        const maxX = d3.max(data, d => d.x) || 0
+        const maxY = d3.max(data, d => d.y) || 0
         const xAxisFormatter = getNumberFormatter(maxX)
         const yAxisFormatter = getNumberFormatter(maxY)
         
@@ -146,8 +136,8 @@ export function BubbleChart({ width = 800, height = 500 }) {
     svg.call(zoom)
 
     // Create number formatters
-    const maxX = d3.max(bubbleData, d => d.x) || 0
-    const maxY = d3.max(bubbleData, d => d.y) || 0
+    const maxX = d3.max(data, d => d.x) || 0
+    const maxY = d3.max(data, d => d.y) || 0
     const xAxisFormatter = getNumberFormatter(maxX)
     const yAxisFormatter = getNumberFormatter(maxY)
 
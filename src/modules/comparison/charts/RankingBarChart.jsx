@@ -6,6 +6,7 @@
  * - Sorted by value
  * - Shows country labels and values
  * - Interactive tooltips
+ * - Linked selection and hover highlight shared with the other charts and maps
  * - Color by region
  * - Accessibility: ARIA labels, keyboard navigation
  * 
@@ -17,6 +18,8 @@ import * as d3 from 'd3'
 import { useComparison } from '../context/ComparisonContext.jsx'
 import ChartTooltip from '../components/ChartTooltip.jsx'
 import { getNumberFormatter } from '../utils/formatNumber.js'
+import { getCountryRegion as getComparisonRegion } from '../../../utils/regionMapping.js'
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
 
 const REGION_COLORS = {
   'Europe': '#4e79a7',
@@ -28,22 +31,14 @@ const REGION_COLORS = {
   'Other': '#bab0ab'
 }
 
+const MARGIN = { top: 20, right: 100, bottom: 30, left: 150 }
+const BAR_HEIGHT = 25
+
 function getCountryRegion(countryName) {
-  const regions = {
-    'Europe': ['Germany', 'France', 'United Kingdom', 'Italy', 'Spain', 'Poland', 'Netherlands', 'Belgium', 'Greece', 'Portugal', 'Sweden', 'Austria', 'Denmark', 'Finland', 'Norway', 'Ireland', 'Switzerland'],
-    'Asia': ['China', 'Japan', 'India', 'South Korea', 'Indonesia', 'Thailand', 'Vietnam', 'Philippines', 'Malaysia', 'Singapore', 'Bangladesh', 'Pakistan'],
-    'Africa': ['South Africa', 'Nigeria', 'Egypt', 'Kenya', 'Ethiopia', 'Ghana', 'Tanzania', 'Uganda', 'Morocco', 'Algeria'],
-    'Americas': ['United States', 'Canada', 'Brazil', 'Mexico', 'Argentina', 'Colombia', 'Chile', 'Peru', 'Venezuela'],
-    'Oceania': ['Australia', 'New Zealand', 'Papua New Guinea', 'Fiji'],
-    'Middle East': ['Saudi Arabia', 'United Arab Emirates', 'Israel', 'Turkey', 'Iran', 'Iraq', 'Kuwait', 'Qatar']
-  }
-
-  for (const [region, countries] of Object.entries(regions)) {
-    if (countries.some(c => countryName.includes(c) || c.includes(countryName))) {
-      return region
-    }
-  }
-  return 'Other'
+  // Comparison regions from the country registry, with the Americas combined
+  const region = getComparisonRegion(countryName)
+  if (region === 'North America' || region === 'South America') return 'Americas'
+  return region === 'Unknown' ? 'Other' : region
 }
 
 export function RankingBarChart({ width = 800, height = 600 }) {
@@ -71,6 +66,7 @@ export function RankingBarChart({ width = 800, height = 600 }) {
         return {
           country: countryName,
           code: countryData.code,
+          iso3: getIso3(countryData.code) || getIso3(countryName),
           value: latestValue,
           year: parseInt(latestYear),
           region: getCountryRegion(countryName)
@@ -80,25 +76,46 @@ export function RankingBarChart({ width = 800, height = 600 }) {
       .sort((a, b) => b.value - a.value)
   }, [state.chartData])
 
+  // Virtualization for large datasets
+  const virtualized = sortedData.length > 100
+  const visibleData = useMemo(
+    () => (virtualized ? sortedData.slice(visibleRange.start, visibleRange.end) : sortedData),
+    [sortedData, virtualized, visibleRange]
+  )
+
+  // Memoize scales
+  const xScale = useMemo(() =>
+    d3.scaleLinear()
+      .domain([0, (d3.max(sortedData, d => d.value) || 0) * 1.1])
+      .range([0, width - MARGIN.left - MARGIN.right]),
+    [sortedData, width]
+  )
+
+  const yScale = useMemo(() =>
+    d3.scaleBand()
+      .domain(visibleData.map(d => d.country))
+      .range([0, visibleData.length * BAR_HEIGHT])
+      .padding(0.1),
+    [visibleData]
+  )
+
+  const colorScale = useMemo(() =>
+    d3.scaleOrdinal()
+      .domain(Object.keys(REGION_COLORS))
+      .range(Object.values(REGION_COLORS)),
+    []
+  )
+
   useEffect(() => {
     if (!sortedData || sortedData.length === 0 || !svgRef.current) return
 
     const svg = d3.select(svgRef.current)
     svg.selectAll('*').remove()
 
-    // Virtualization for large datasets
-    const useVirtualization = sortedData.length > 100
-    const visibleData = useVirtualization 
-      ? sortedData.slice(visibleRange.start, visibleRange.end)
-      : sortedData
-
-    const margin = { top: 20, right: 100, bottom: 30, left: 150 }
-    const barHeight = 25
-    const innerWidth = width - margin.left - margin.right
-    const chartHeight = useVirtualization 
-      ? Math.min(sortedData.length * barHeight, height - margin.top - margin.bottom)
-      : visibleData.length * barHeight
-    const totalHeight = chartHeight + margin.top + margin.bottom
+    const chartHeight = virtualized 
+      ? Math.min(sortedData.length * BAR_HEIGHT, height - MARGIN.top - MARGIN.bottom)
+      : visibleData.length * BAR_HEIGHT
+    const totalHeight = chartHeight + MARGIN.top + MARGIN.bottom
 
     svg
       .attr('height', totalHeight)
@@ -108,30 +125,7 @@ export function RankingBarChart({ width = 800, height = 600 }) {
 
     const g = svg
       .append('g')
-      .attr('transform', `translate(${margin.left},${margin.top})`)
-
-    // Memoize scales
-    const xScale = useMemo(() => 
-      d3.scaleLinear()
-        .domain([0, d3.max(sortedData, d => d.value) * 1.1])
-        .range([0, innerWidth]),
-      [sortedData, innerWidth]
-    )
-
-    const yScale = useMemo(() =>
-      d3.scaleBand()
-        .domain(visibleData.map(d => d.country))
-        .range([0, visibleData.length * barHeight])
-        .padding(0.1),
-      [visibleData, barHeight]
-    )
-
-    const colorScale = useMemo(() =>
-      d3.scaleOrdinal()
-        .domain(Object.keys(REGION_COLORS))
-        .range(Object.values(REGION_COLORS)),
-      []
-    )
+      .attr('transform', `translate(${MARGIN.left},${MARGIN.top})`)
 
     // Create number formatter
     const maxValue = d3.max(visibleData, d => d.value) || 0
@@ -140,7 +134,7 @@ export function RankingBarChart({ width = 800, height = 600 }) {
     // Add axes
     g.append('g')
       .attr('class', 'x-axis')
-      .attr('transform', `translate(0,${visibleData.length * barHeight})`)
+      .attr('transform', `translate(0,${visibleData.length * BAR_HEIGHT})`)
       .call(d3.axisBottom(xScale).tickFormat(xAxisFormatter))
 
     // Draw bars
@@ -165,9 +159,8 @@ export function RankingBarChart({ width = 800, height = 600 }) {
 
     // Add hover effects
     bars
-      .on('mouseover', function(event, d) {
-        d3.select(this)
-          .attr('opacity', 1)
+      .on('mouseover', (event, d) => {
+        actions.setHoveredCountry(d.country)
 
         const rank = sortedData.findIndex(item => item.country === d.country) + 1
 
@@ -186,10 +179,8 @@ export function RankingBarChart({ width = 800, height = 600 }) {
         })
         setTooltipPosition({ x: event.pageX, y: event.pageY })
       })
-      .on('mouseout', function() {
-        d3.select(this)
-          .attr('opacity', 0.8)
-
+      .on('mouseout', () => {
+        actions.setHoveredCountry(null)
         setTooltipData(null)
       })
       .on('click', (event, d) => {
@@ -228,10 +219,10 @@ export function RankingBarChart({ width = 800, height = 600 }) {
       .text(d => d.value.toFixed(2))
 
     // Add scroll handler for virtualization
-    if (useVirtualization && containerRef.current) {
+    if (virtualized && containerRef.current) {
       const handleScroll = () => {
         const scrollTop = containerRef.current.scrollTop
-        const start = Math.floor(scrollTop / barHeight)
+        const start = Math.floor(scrollTop / BAR_HEIGHT)
         const end = Math.min(start + 50, sortedData.length)
         
         if (start !== visibleRange.start) {
@@ -251,7 +242,23 @@ export function RankingBarChart({ width = 800, height = 600 }) {
       svg.selectAll('*').remove()
       setTooltipData(null)
     }
-  }, [sortedData, width, height, visibleRange, actions, state.chartData, xScale, yScale, colorScale, selectedIndex])
+  }, [sortedData, visibleData, virtualized, width, height, visibleRange, actions, state.chartData, xScale, yScale, colorScale, selectedIndex])
+
+  // Reflect the linked selection and hover highlight without redrawing the chart;
+  // re-applied whenever the render effect above redraws the bars
+  useEffect(() => {
+    if (!svgRef.current) return
+
+    const selected = new Set(state.selectedCountries)
+    const highlighted = new Set(state.highlightedCountries)
+    const dimOthers = selected.size > 0 || highlighted.size > 0
+
+    d3.select(svgRef.current)
+      .selectAll('.bar')
+      .attr('opacity', d => (highlighted.has(d.iso3) || selected.has(d.iso3) ? 1 : dimOthers ? 0.3 : 0.8))
+      .attr('stroke', d => (selected.has(d.iso3) ? '#ff6b00' : highlighted.has(d.iso3) ? '#000' : null))
+      .attr('stroke-width', d => (selected.has(d.iso3) || highlighted.has(d.iso3) ? 2 : 0))
+  }, [state.selectedCountries, state.highlightedCountries, state.chartData, visibleData, xScale, yScale, colorScale, width, height, actions, selectedIndex])
 
   return (
     <div 
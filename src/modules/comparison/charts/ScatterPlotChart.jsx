@@ -2,11 +2,13 @@
  * ScatterPlotChart - D3.js scatter plot with correlation analysis
  * 
  * Features:
+ * - Latest value (x) against average annual growth (y) for each country
  * - Scatter plot with trend line
  * - Correlation coefficient display
  * - Color by region using CATEGORY_COLORS
  * - Interactive tooltips
- * - Zoom and pan
+ * - Zoom (mouse wheel) and pan
+ * - Brush to select countries in every linked view (Shift adds to the selection)
  * 
  * Requirements: 3.1, 3.5, 4.1, 4.2, 4.3, 4.4, 4.5
  */
@@ -16,6 +18,10 @@ import * as d3 from 'd3'
 import { useComparison } from '../context/ComparisonContext.jsx'
 import ChartTooltip from '../components/ChartTooltip.jsx'
 import { getNumberFormatter } from '../utils/formatNumber.js'
+import { createBrushBehavior } from '../utils/InteractionUtils.js'
+import { chartInteractionManager } from '../services/ChartInteractionManager.js'
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
+import { getCountryRegion as getComparisonRegion } from '../../../utils/regionMapping.js'
 
 // Region colors (simplified mapping)
 const REGION_COLORS = {
@@ -29,25 +35,13 @@ const REGION_COLORS = {
 }
 
 function getCountryRegion(countryName) {
-  // Simplified region mapping - in production, use proper region data
-  const regions = {
-    'Europe': ['Germany', 'France', 'United Kingdom', 'Italy', 'Spain', 'Poland', 'Netherlands', 'Belgium', 'Greece', 'Portugal', 'Sweden', 'Austria', 'Denmark', 'Finland', 'Norway', 'Ireland', 'Switzerland'],
-    'Asia': ['China', 'Japan', 'India', 'South Korea', 'Indonesia', 'Thailand', 'Vietnam', 'Philippines', 'Malaysia', 'Singapore', 'Bangladesh', 'Pakistan'],
-    'Africa': ['South Africa', 'Nigeria', 'Egypt', 'Kenya', 'Ethiopia', 'Ghana', 'Tanzania', 'Uganda', 'Morocco', 'Algeria'],
-    'Americas': ['United States', 'Canada', 'Brazil', 'Mexico', 'Argentina', 'Colombia', 'Chile', 'Peru', 'Venezuela'],
-    'Oceania': ['Australia', 'New Zealand', 'Papua New Guinea', 'Fiji'],
-    'Middle East': ['Saudi Arabia', 'United Arab Emirates', 'Israel', 'Turkey', 'Iran', 'Iraq', 'Kuwait', 'Qatar']
-  }
-
-  for (const [region, countries] of Object.entries(regions)) {
-    if (countries.some(c => countryName.includes(c) || c.includes(countryName))) {
-      return region
-    }
-  }
-  return 'Other'
+  // Comparison regions from the country registry, with the Americas combined
+  const region = getComparisonRegion(countryName)
+  if (region === 'North America' || region === 'South America') return 'Americas'
+  return region === 'Unknown' ? 'Other' : region
 }
 
-export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndicator }) {
+export function ScatterPlotChart({ width = 800, height = 500 }) {
   const svgRef = useRef(null)
   const { state, actions } = useComparison()
   const [tooltipData, setTooltipData] = useState(null)
@@ -67,21 +61,28 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`)
 
-    // Prepare data - use latest year for each country
+    // Prepare data - latest value and average annual growth for each country
     const data = Object.entries(state.chartData.countries)
       .map(([countryName, countryData]) => {
         const values = Object.entries(countryData.data)
           .filter(([_, value]) => !isNaN(value))
-          .sort(([yearA], [yearB]) => parseInt(yearB) - parseInt(yearA))
+          .map(([year, value]) => [parseInt(year), value])
+          .sort(([yearA], [yearB]) => yearA - yearB)
+
+        if (values.length < 2) return null
 
-        if (values.length === 0) return null
+        const [firstYear, firstValue] = values[0]
+        const [latestYear, latestValue] = values[values.length - 1]
+        if (firstValue <= 0 || latestValue <= 0) return null
 
-        const [latestYear, latestValue] = values[0]
         return {
           country: countryName,
           code: countryData.code,
+          iso3: getIso3(countryData.code) || getIso3(countryName),
           value: latestValue,
-          year: parseInt(latestYear),
+          growth: (Math.pow(latestValue / firstValue, 1 / (latestYear - firstYear)) - 1) * 100,
+          year: latestYear,
+          firstYear,
           region: getCountryRegion(countryName)
         }
       })
@@ -94,36 +95,39 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
       .domain([0, d3.max(data, d => d.value) * 1.1])
       .range([0, innerWidth])
 
+    const yExtent = d3.extent(data, d => d.growth)
+    const yPadding = (yExtent[1] - yExtent[0]) * 0.1 || 1
     const yScale = d3.scaleLinear()
-      .domain([0, d3.max(data, d => d.value) * 1.1])
+      .domain([Math.min(0, yExtent[0] - yPadding), yExtent[1] + yPadding])
       .range([innerHeight, 0])
 
     const colorScale = d3.scaleOrdinal()
       .domain(Object.keys(REGION_COLORS))
       .range(Object.values(REGION_COLORS))
 
-    // Add zoom with touch support
+    // Scales after zooming, used for brushing
+    let currentXScale = xScale
+    let currentYScale = yScale
+
+    const xAxisFormatter = getNumberFormatter(d3.max(data, d => d.value) || 0)
+    const yAxisFormatter = d => `${d}%`
+
+    // Add zoom (mouse wheel and touch; dragging is used for brushing)
     const zoom = d3.zoom()
       .scaleExtent([0.5, 5])
       .filter((event) => {
-        // Allow touch events and mouse wheel
-        return !event.ctrlKey && !event.button
+        return !event.ctrlKey && (event.type === 'wheel' || event.type.startsWith('touch'))
       })
       .on('zoom', (event) => {
-        const newXScale = event.transform.rescaleX(xScale)
-        const newYScale = event.transform.rescaleY(yScale)
+        currentXScale = event.transform.rescaleX(xScale)
+        currentYScale = event.transform.rescaleY(yScale)
 
-        g.selectAll('circle')
-          .attr('cx', d => newXScale(d.value))
-          .attr('cy', d => newYScale(d.value))
-
-        const maxX = d3.max(scatterData, d => d.x) || 0
-        const maxY = d3.max(scatterData, d => d.y) || 0
-        const xAxisFormatter = getNumberFormatter(maxX)
-        const yAxisFormatter = getNumberFormatter(maxY)
+        g.selectAll('circle.scatter-point')
+          .attr('cx', d => currentXScale(d.value))
+          .attr('cy', d => currentYScale(d.growth))
         
-        g.select('.x-axis').call(d3.axisBottom(newXScale).tickFormat(xAxisFormatter))
-        g.select('.y-axis').call(d3.axisLeft(newYScale).tickFormat(yAxisFormatter))
+        g.select('.x-axis').call(d3.axisBottom(currentXScale).tickFormat(xAxisFormatter))
+        g.select('.y-axis').call(d3.axisLeft(currentYScale).tickFormat(yAxisFormatter))
       })
 
     svg.call(zoom)
@@ -140,14 +144,27 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
         setTooltipPosition(null)
       })
 
+    const tooltipFor = (d) => ({
+      countryName: d.country,
+      countryCode: d.code,
+      year: d.year,
+      value: d.value,
+      indicator: state.chartData.metadata?.name,
+      unit: state.chartData.metadata?.unit,
+      additionalInfo: {
+        Region: d.region,
+        [`Growth ${d.firstYear}-${d.year}`]: `${d.growth.toFixed(1)}% / year`
+      }
+    })
+
     // Touch handler for finding nearest point
     function handleTouchPoint(x, y, pageX, pageY) {
       let closestPoint = null
       let minDistance = Infinity
 
       data.forEach(d => {
-        const pointX = xScale(d.value)
-        const pointY = yScale(d.value)
+        const pointX = currentXScale(d.value)
+        const pointY = currentYScale(d.growth)
         const distance = Math.sqrt(Math.pow(x - pointX, 2) + Math.pow(y - pointY, 2))
         
         if (distance < minDistance && distance < 40) { // 40px threshold for touch
@@ -157,27 +174,11 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
       })
 
       if (closestPoint) {
-        setTooltipData({
-          countryName: closestPoint.country,
-          countryCode: closestPoint.code,
-          year: closestPoint.year,
-          value: closestPoint.value,
-          indicator: state.chartData.metadata?.name,
-          unit: state.chartData.metadata?.unit,
-          additionalInfo: {
-            Region: closestPoint.region
-          }
-        })
+        setTooltipData(tooltipFor(closestPoint))
         setTooltipPosition({ x: pageX, y: pageY })
       }
     }
 
-    // Create number formatters
-    const maxX = d3.max(scatterData, d => d.x) || 0
-    const maxY = d3.max(scatterData, d => d.y) || 0
-    const xAxisFormatter = getNumberFormatter(maxX)
-    const yAxisFormatter = getNumberFormatter(maxY)
-
     // Add axes
     g.append('g')
       .attr('class', 'x-axis')
@@ -194,7 +195,7 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
       .attr('x', innerWidth / 2)
       .attr('y', innerHeight + 45)
       .attr('text-anchor', 'middle')
-      .text(state.chartData.metadata?.name || 'Value')
+      .text(`${state.chartData.metadata?.name || 'Value'} (latest, ${state.chartData.metadata?.unit || ''})`)
 
     g.append('text')
       .attr('class', 'axis-label')
@@ -202,11 +203,11 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
       .attr('x', -innerHeight / 2)
       .attr('y', -50)
       .attr('text-anchor', 'middle')
-      .text(state.chartData.metadata?.name || 'Value')
+      .text('Average annual growth (%)')
 
     // Calculate correlation and trend line
     const xValues = data.map(d => d.value)
-    const yValues = data.map(d => d.value)
+    const yValues = data.map(d => d.growth)
     const correlation = calculateCorrelation(xValues, yValues)
     const regression = linearRegression(xValues, yValues)
 
@@ -230,13 +231,47 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
       .attr('fill', 'none')
       .attr('opacity', 0.5)
 
+    // Brush below the points so points keep their hover and click
+    const brush = createBrushBehavior({
+      extent: [[0, 0], [innerWidth, innerHeight]],
+      onBrushEnd: (event) => {
+        if (!event.sourceEvent) return // Programmatic clear
+
+        if (!event.selection) {
+          // Click on the background clears the selection
+          actions.setSelectedCountries([])
+          return
+        }
+
+        const [[x0, y0], [x1, y1]] = event.selection
+        const brushed = data
+          .filter(d => {
+            const x = currentXScale(d.value)
+            const y = currentYScale(d.growth)
+            return x >= x0 && x <= x1 && y >= y0 && y <= y1
+          })
+          .map(d => d.iso3 || d.country)
+
+        const current = event.sourceEvent.shiftKey
+          ? chartInteractionManager.getGlobalState().selectedCountries
+          : []
+        actions.setSelectedCountries([...current, ...brushed])
+        brushGroup.call(brush.move, null)
+      }
+    })
+
+    const brushGroup = g.append('g')
+      .attr('class', 'brush')
+      .call(brush)
+
     // Draw points
-    g.selectAll('circle')
+    g.selectAll('circle.scatter-point')
       .data(data)
       .enter()
       .append('circle')
+      .attr('class', 'scatter-point')
       .attr('cx', d => xScale(d.value))
-      .attr('cy', d => yScale(d.value))
+      .attr('cy', d => yScale(d.growth))
       .attr('r', 6)
       .attr('fill', d => colorScale(d.region))
       .attr('opacity', 0.7)
@@ -244,32 +279,16 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
       .attr('stroke-width', 1)
       .style('cursor', 'pointer')
       .on('mouseover', function(event, d) {
-        d3.select(this)
-          .attr('r', 8)
-          .attr('opacity', 1)
-
-        setTooltipData({
-          countryName: d.country,
-          countryCode: d.code,
-          year: d.year,
-          value: d.value,
-          indicator: state.chartData.metadata?.name,
-          unit: state.chartData.metadata?.unit,
-          additionalInfo: {
-            Region: d.region
-          }
-        })
+        actions.setHoveredCountry(d.iso3 || d.country)
+        setTooltipData(tooltipFor(d))
         setTooltipPosition({ x: event.pageX, y: event.pageY })
       })
       .on('mouseout', function() {
-        d3.select(this)
-          .attr('r', 6)
-          .attr('opacity', 0.7)
-
+        actions.setHoveredCountry(null)
         setTooltipData(null)
       })
       .on('click', (event, d) => {
-        actions.selectCountry(d.country)
+        actions.selectCountry(d.iso3 || d.country)
       })
 
     // Add correlation label
@@ -313,6 +332,27 @@ export function ScatterPlotChart({ width = 800, height = 500, xIndicator, yIndic
     }
   }, [state.chartData, width, height, actions])
 
+  // Linked selection and hover styling (no redraw)
+  useEffect(() => {
+    if (!svgRef.current) return
+
+    const selected = new Set(state.selectedCountries)
+    const highlighted = new Set(state.highlightedCountries)
+    const hasSelection = selected.size > 0
+
+    d3.select(svgRef.current)
+      .selectAll('circle.scatter-point')
+      .attr('r', d => highlighted.has(d.iso3) ? 9 : selected.has(d.iso3) ? 7 : 6)
+      .attr('opacity', d => {
+        if (highlighted.has(d.iso3) || selected.has(d.iso3)) return 1
+        return hasSelection ? 0.2 : 0.7
+      })
+      .attr('stroke', d => highlighted.has(d.iso3) ? '#000' : selected.has(d.iso3) ? '#ff6b00' : '#fff')
+      .attr('stroke-width', d => highlighted.has(d.iso3) || selected.has(d.iso3) ? 2 : 1)
+      .filter(d => highlighted.has(d.iso3))
+      .raise()
+  }, [state.selectedCountries, state.highlightedCountries, state.chartData, width, height])
+
   return (
     <div className="scatter-plot-chart">
       <svg
@@ -4,7 +4,9 @@
  * Features:
  * - Multiple country lines
  * - Interactive hover with tooltip
+ * - Linked selection and hover highlight shared with the other charts and maps
  * - Zoom and pan capabilities
+ * - Event annotations for the selected countries (or all charted ones, up to 10)
  * - Smooth animations
  * - Accessibility: ARIA labels, keyboard navigation
  * - Performance: Canvas rendering for >500 points, memoized scales
@@ -17,6 +19,12 @@ import * as d3 from 'd3'
 import { useComparison } from '../context/ComparisonContext.jsx'
 import ChartTooltip from '../components/ChartTooltip.jsx'
 import { getNumberFormatter } from '../utils/formatNumber.js'
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
+import { useAnnotations } from '../../../shared/hooks/useAnnotations.js'
+import { drawAnnotations } from '../../../shared/utils/AnnotationLayer.js'
+
+// Above this many lines, only global events and selected countries' events are shown
+const MAX_ANNOTATED_COUNTRIES = 10
 
 export function TimeSeriesChart({ width = 800, height = 500 }) {
   const svgRef = useRef(null)
@@ -44,6 +52,7 @@ export function TimeSeriesChart({ width = 800, height = 500 }) {
         return {
           country: countryName,
           code: countryData.code,
+          iso3: getIso3(countryData.code) || getIso3(countryName),
           values
         }
       })
@@ -72,6 +81,13 @@ export function TimeSeriesChart({ width = 800, height = 500 }) {
     [lineData]
   )
 
+  const annotatedCountries = useMemo(() => {
+    if (state.selectedCountries.length > 0) return state.selectedCountries
+    return lineData.length <= MAX_ANNOTATED_COUNTRIES ? lineData.map(d => d.iso3) : []
+  }, [state.selectedCountries, lineData])
+
+  const annotations = useAnnotations(annotatedCountries, years.length > 0 ? d3.extent(years) : null)
+
   const xScale = useMemo(() =>
     d3.scaleLinear()
       .domain(d3.extent(years))
@@ -106,6 +122,8 @@ export function TimeSeriesChart({ width = 800, height = 500 }) {
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`)
 
+    let annotationLayer = null
+
     // Add zoom behavior with touch support
     const zoom = d3.zoom()
       .scaleExtent([0.5, 5])
@@ -129,6 +147,7 @@ export function TimeSeriesChart({ width = 800, height = 500 }) {
             return line(d.values)
           })
 
+        annotationLayer?.update(newXScale)
         g.select('.x-axis').call(d3.axisBottom(newXScale).tickFormat(d3.format('d')))
         g.select('.y-axis').call(d3.axisLeft(newYScale).tickFormat(yAxisFormatter))
       })
@@ -245,18 +264,10 @@ export function TimeSeriesChart({ width = 800, height = 500 }) {
 
     // Add hover effects
     lines
-      .on('mouseover', function(event, d) {
-        d3.select(this)
-          .attr('stroke-width', 4)
-          .attr('opacity', 1)
-
+      .on('mouseover', (event, d) => {
         actions.setHoveredCountry(d.country)
       })
-      .on('mouseout', function() {
-        d3.select(this)
-          .attr('stroke-width', 2)
-          .attr('opacity', 0.7)
-
+      .on('mouseout', () => {
         actions.setHoveredCountry(null)
       })
       .on('mousemove', function(event, d) {
@@ -286,6 +297,8 @@ export function TimeSeriesChart({ width = 800, height = 500 }) {
         }
       })
 
+    annotationLayer = drawAnnotations(g, annotations, { x: xScale, height: innerHeight })
+
     // Add legend
     const legend = g.append('g')
       .attr('class', 'legend')
@@ -318,7 +331,27 @@ export function TimeSeriesChart({ width = 800, height = 500 }) {
       setTooltipData(null)
       setTooltipPosition(null)
     }
-  }, [state.chartData, width, height, actions, lineData, useCanvas, totalDataPoints, xScale, yScale, colorScale, margin, innerWidth, innerHeight])
+  }, [state.chartData, width, height, actions, lineData, useCanvas, totalDataPoints, xScale, yScale, colorScale, margin, innerWidth, innerHeight, annotations])
+
+  // Reflect the linked selection and hover highlight without redrawing the chart
+  useEffect(() => {
+    if (!svgRef.current) return
+
+    const selected = new Set(state.selectedCountries)
+    const highlighted = new Set(state.highlightedCountries)
+    const hasSelection = selected.size > 0
+
+    d3.select(svgRef.current)
+      .selectAll('.line')
+      .attr('stroke-width', d => (highlighted.has(d.iso3) ? 4 : selected.has(d.iso3) ? 3 : 2))
+      .attr('opacity', d => {
+        if (highlighted.has(d.iso3) || selected.has(d.iso3)) return 1
+        return hasSelection || highlighted.size > 0 ? 0.15 : 0.7
+      })
+      .style('filter', d => (selected.has(d.iso3) ? 'drop-shadow(0 0 2px #ff6b00)' : null))
+      .filter(d => highlighted.has(d.iso3) || selected.has(d.iso3))
+      .raise()
+  }, [state.selectedCountries, state.highlightedCountries, lineData, width, height])
 
   return (
     <div className="time-series-chart">
@@ -1,110 +1,236 @@
 /**
- * BubbleChart.jsx - GDP vs Spending heatmap
- * 
+ * BubbleChart.jsx - Animated GDP vs spending share bubble chart
+ *
  * Features:
- * - Heatmap showing GDP vs Spending density
- * - Color intensity represents number of countries in each bin
- * - Better visualization for overlapping data points
+ * - GDP (x, log scale) against spending as % of GDP (y), one bubble per country
+ * - Bubble size by population or total spending, color by continent
+ * - Driven by a TimeSeriesAnimator: tweens between years with interpolateFrame
+ * - Fading trajectory trails for selected countries (click a bubble to toggle)
+ * - Linked selection and hover highlight shared with the other charts and maps
+ * - Scales fixed across the timeline so movement reflects change over time
  */
 
-import { useEffect, useRef, useState } from 'react'
+import { useEffect, useRef, useState, useCallback } from 'react'
 import * as d3 from 'd3'
-import { formatComparisonValueShort } from '../utils/formatComparisonValue.js'
+import { formatComparisonValue, formatComparisonValueShort, getValueUnit, getConversionNote } from '../utils/formatComparisonValue.js'
+import { useLinkedSelection } from '../../../shared/hooks/useLinkedSelection.js'
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
 
-function BubbleChart({ 
-  data, 
-  visibility = { gdp: true, spending: true },
-  selectedYear
+const MAX_RADIUS = 28
+const MIN_RADIUS = 2
+
+const SIZE_LABELS = {
+  population: 'population',
+  spending: 'total spending'
+}
+
+const formatPopulation = d3.format('.3s')
+
+/**
+ * Records that can be placed on the chart
+ * @private
+ */
+function isPlottable(d) {
+  return d.gdp > 0 && d.spending > 0 && d.ratio > 0
+}
+
+function BubbleChart({
+  timeline, // useTimeSeriesAnimator result over bubble records ({ country, year, gdp, spending, ratio, size, region })
+  sizeBy = 'spending', // 'population' or 'spending'
+  trailCountries = [], // Countries with a trail shown initially
+  perCapita = false, // Values are USD per person
+  currency = 'market' // 'ppp' when values are international dollars
 }) {
   const svgRef = useRef(null)
+  const layoutRef = useRef(null)
+  const previousIndexRef = useRef(null)
   const [tooltip, setTooltip] = useState({ show: false, x: 0, y: 0, content: '' })
-  
+  const [trails, setTrails] = useState(() => new Set(trailCountries))
+  const trailsRef = useRef(trails)
+  trailsRef.current = trails
+  const { selected: linkedSelected, highlighted, toggle: toggleLinked, highlight, clearHighlight } = useLinkedSelection('dashboard-bubble')
+  const linkedRef = useRef(null)
+  linkedRef.current = { selected: new Set(linkedSelected), highlighted: new Set(highlighted) }
+
+  const { animator, currentIndex, version, speed, totalFrames } = timeline
+  const trailKey = trailCountries.join('|')
+
+  // Follow the dashboard's country selection
   useEffect(() => {
-    if (!data || data.length === 0 || !svgRef.current) {
-      if (svgRef.current) {
-        d3.select(svgRef.current).selectAll('*').remove()
-      }
-      return
-    }
-    
-    // Clear previous chart
+    setTrails(new Set(trailCountries))
+  }, [trailKey])
+
+  const toggleTrail = useCallback((country) => {
+    setTrails(prev => {
+      const next = new Set(prev)
+      if (next.has(country)) next.delete(country)
+      else next.add(country)
+      return next
+    })
+  }, [])
+
+  /**
+   * Draw bubbles and labels for a (possibly interpolated) frame
+   */
+  const renderFrame = useCallback((frame) => {
+    const layout = layoutRef.current
+    if (!layout || !frame) return
+    const { xScale, yScale, rScale, colorScale, bubbles, labels, yearLabel } = layout
+    const selected = trailsRef.current
+    const linked = linkedRef.current
+    const isLinked = d => linked.selected.has(getIso3(d.country))
+    const isHighlighted = d => linked.highlighted.has(getIso3(d.country))
+    const dimOthers = selected.size > 0 || linked.selected.size > 0 || linked.highlighted.size > 0
+    const points = frame.data.filter(isPlottable).sort((a, b) => b.size - a.size)
+
+    yearLabel.text(Math.round(frame.time))
+
+    bubbles.selectAll('circle.bubble')
+      .data(points, d => d.country)
+      .join(enter => enter.append('circle')
+        .attr('class', 'bubble')
+        .style('cursor', 'pointer')
+        .on('mouseover', (event, d) => {
+          highlight([d.country])
+          setTooltip({
+            show: true,
+            x: event.pageX,
+            y: event.pageY - 120, // Position above cursor to avoid cutoff at bottom
+            content: `
+              <div style="font-weight: bold; margin-bottom: 4px;">${d.country} (${Math.round(d.year)})</div>
+              <div style="color: #3b82f6; font-size: 11px;">GDP: ${formatComparisonValue(d.gdp, perCapita)}</div>
+              <div style="color: #ef4444; font-size: 11px;">Spending: ${formatComparisonValue(d.spending, perCapita)} (${d.ratio.toFixed(1)}% of GDP)</div>
+              ${d.population ? `<div style="font-size: 11px; color: #666;">Population: ${formatPopulation(d.population)}</div>` : ''}
+              <div style="color: #999; margin-top: 4px; font-size: 9px;">${getConversionNote(currency)} · click to ${trailsRef.current.has(d.country) ? 'hide' : 'show'} trail</div>
+            `
+          })
+        })
+        .on('mouseout', () => {
+          clearHighlight()
+          setTooltip({ show: false, x: 0, y: 0, content: '' })
+        })
+        .on('click', (event, d) => {
+          toggleTrail(d.country)
+          toggleLinked(d.country)
+        }))
+      .attr('cx', d => xScale(d.gdp))
+      .attr('cy', d => yScale(d.ratio))
+      .attr('r', d => Math.max(rScale(d.size || 0), MIN_RADIUS))
+      .attr('fill', d => colorScale(d.region))
+      .attr('opacity', d => (!dimOthers || selected.has(d.country) || isLinked(d) || isHighlighted(d) ? 0.8 : 0.35))
+      .attr('stroke', d => {
+        if (isHighlighted(d)) return '#000'
+        if (isLinked(d)) return '#ff6b00'
+        return selected.has(d.country) ? '#333' : 'white'
+      })
+      .attr('stroke-width', d => (isHighlighted(d) || isLinked(d) ? 2 : selected.has(d.country) ? 1.5 : 0.5))
+
+    labels.selectAll('text')
+      .data(points.filter(d => selected.has(d.country) || isHighlighted(d)), d => d.country)
+      .join('text')
+      .attr('x', d => xScale(d.gdp))
+      .attr('y', d => yScale(d.ratio) - Math.max(rScale(d.size || 0), MIN_RADIUS) - 4)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '10px')
+      .style('font-weight', '600')
+      .style('fill', '#333')
+      .text(d => d.country)
+  }, [perCapita, currency, toggleTrail, toggleLinked, highlight, clearHighlight])
+
+  /**
+   * Draw trails for selected countries up to the current frame, older points fading out
+   */
+  const renderTrails = useCallback(() => {
+    const layout = layoutRef.current
+    if (!layout) return
+    const { xScale, yScale, colorScale, trailGroup } = layout
+
+    const trajectories = Array.from(trailsRef.current)
+      .map(country => ({ country, points: animator.getTrajectory('country', country).filter(isPlottable) }))
+      .filter(trail => trail.points.length > 1)
+
+    const line = d3.line()
+      .x(d => xScale(d.gdp))
+      .y(d => yScale(d.ratio))
+      .curve(d3.curveCatmullRom)
+
+    const groups = trailGroup.selectAll('g.trail')
+      .data(trajectories, d => d.country)
+      .join('g')
+      .attr('class', 'trail')
+
+    groups.selectAll('path')
+      .data(d => [d])
+      .join('path')
+      .attr('d', d => line(d.points))
+      .attr('fill', 'none')
+      .attr('stroke', d => colorScale(d.points[0].region))
+      .attr('stroke-width', 1.5)
+      .attr('opacity', 0.35)
+
+    groups.selectAll('circle')
+      .data(d => d.points.slice(0, -1).map((point, i, all) => ({ ...point, age: (i + 1) / (all.length + 1) })))
+      .join('circle')
+      .attr('cx', d => xScale(d.gdp))
+      .attr('cy', d => yScale(d.ratio))
+      .attr('r', 2.5)
+      .attr('fill', d => colorScale(d.region))
+      .attr('opacity', d => 0.1 + 0.6 * d.age)
+  }, [animator])
+
+  // Axes and scales, fixed over the whole timeline
+  useEffect(() => {
+    if (!svgRef.current) return
     d3.select(svgRef.current).selectAll('*').remove()
-    
+    layoutRef.current = null
+    previousIndexRef.current = null
+
+    const allPoints = animator.timelineData.flatMap(frame => frame.data).filter(isPlottable)
+    if (allPoints.length === 0) return
+
     // Dimensions - responsive to container with more left margin for y-axis
     const containerWidth = svgRef.current.clientWidth || 400
     const containerHeight = svgRef.current.clientHeight || 300
-    const margin = { top: 10, right: 30, bottom: 40, left: 70 }
+    const margin = { top: 10, right: 20, bottom: 40, left: 50 }
     const width = Math.max(containerWidth - margin.left - margin.right, 100)
     const height = Math.max(containerHeight - margin.top - margin.bottom, 100)
-    
-    // Set SVG dimensions
+
     d3.select(svgRef.current)
       .attr('width', containerWidth)
       .attr('height', containerHeight)
-    
-    // Create SVG
+
     const svg = d3.select(svgRef.current)
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`)
-    
-    // Filter data for selected year
-    const yearData = data.filter(d => d.year === selectedYear)
-    
-    if (yearData.length === 0) return
-    
-    // Create bins for heatmap
-    const numBinsX = 20
-    const numBinsY = 20
-    
-    const maxGdp = d3.max(yearData, d => d.gdp)
-    const maxSpending = d3.max(yearData, d => d.spending)
-    
-    // Scales
-    const xScale = d3.scaleLinear()
-      .domain([0, maxGdp * 1.1])
+
+    const [minGdp, maxGdp] = d3.extent(allPoints, d => d.gdp)
+    const xScale = d3.scaleLog()
+      .domain([minGdp * 0.8, maxGdp * 1.2])
       .range([0, width])
-    
+      .clamp(true)
+
     const yScale = d3.scaleLinear()
-      .domain([0, maxSpending * 1.1])
+      .domain([0, d3.max(allPoints, d => d.ratio) * 1.05])
       .range([height, 0])
-    
-    // Create bins
-    const binWidth = (maxGdp * 1.1) / numBinsX
-    const binHeight = (maxSpending * 1.1) / numBinsY
-    
-    // Initialize bin matrix
-    const bins = Array(numBinsY).fill(null).map(() => Array(numBinsX).fill(0).map(() => ({ count: 0, countries: [] })))
-    
-    // Populate bins
-    yearData.forEach(d => {
-      const binX = Math.min(Math.floor(d.gdp / binWidth), numBinsX - 1)
-      const binY = Math.min(Math.floor(d.spending / binHeight), numBinsY - 1)
-      bins[binY][binX].count++
-      bins[binY][binX].countries.push(d)
-    })
-    
-    // Flatten bins for rendering
-    const flatBins = []
-    bins.forEach((row, i) => {
-      row.forEach((bin, j) => {
-        if (bin.count > 0) {
-          flatBins.push({
-            x: j * binWidth,
-            y: i * binHeight,
-            width: binWidth,
-            height: binHeight,
-            count: bin.count,
-            countries: bin.countries
-          })
-        }
-      })
-    })
-    
-    // Color scale based on count
-    const maxCount = d3.max(flatBins, d => d.count)
-    const colorScale = d3.scaleSequential(d3.interpolateYlOrRd)
-      .domain([0, maxCount])
-    
+      .nice()
+
+    const rScale = d3.scaleSqrt()
+      .domain([0, d3.max(allPoints, d => d.size || 0) || 1])
+      .range([0, Math.min(MAX_RADIUS, width / 12)])
+
+    const regions = Array.from(new Set(allPoints.map(d => d.region))).sort()
+    const colorScale = d3.scaleOrdinal(d3.schemeTableau10).domain(regions)
+
+    // Year in the background
+    const yearLabel = svg.append('text')
+      .attr('x', width - 8)
+      .attr('y', height - 8)
+      .attr('text-anchor', 'end')
+      .style('font-size', `${Math.min(64, height / 3)}px`)
+      .style('font-weight', '700')
+      .style('fill', '#e5e7eb')
+      .style('pointer-events', 'none')
+
     // Grid lines
     svg.append('g')
       .attr('class', 'grid')
@@ -113,26 +239,17 @@ function BubbleChart({
         .tickSize(-width)
         .tickFormat('')
       )
-    
-    svg.append('g')
-      .attr('class', 'grid')
-      .attr('opacity', 0.1)
-      .attr('transform', `translate(0,${height})`)
-      .call(d3.axisBottom(xScale)
-        .tickSize(-height)
-        .tickFormat('')
-      )
-    
+
     // Axes
     svg.append('g')
       .attr('transform', `translate(0,${height})`)
-      .call(d3.axisBottom(xScale).tickFormat(d => formatComparisonValueShort(d)))
+      .call(d3.axisBottom(xScale).ticks(5, '~s').tickFormat(d => formatComparisonValueShort(d, perCapita)))
       .style('font-size', '11px')
-    
+
     svg.append('g')
-      .call(d3.axisLeft(yScale).tickFormat(d => formatComparisonValueShort(d)))
+      .call(d3.axisLeft(yScale).ticks(6).tickFormat(d => `${d}%`))
       .style('font-size', '11px')
-    
+
     // Axis labels
     svg.append('text')
       .attr('x', width / 2)
@@ -140,68 +257,88 @@ function BubbleChart({
       .attr('text-anchor', 'middle')
       .style('font-size', '11px')
       .style('fill', '#666')
-      .text('GDP (USD)')
-    
+      .text(`GDP (${getValueUnit(perCapita, currency)}, log scale) · size: ${SIZE_LABELS[sizeBy]}`)
+
     svg.append('text')
       .attr('transform', 'rotate(-90)')
-      .attr('y', -margin.left + 18)
+      .attr('y', -margin.left + 14)
       .attr('x', -height / 2)
       .attr('text-anchor', 'middle')
       .style('font-size', '11px')
       .style('fill', '#666')
-      .text('Spending (USD)')
-    
-    // Draw heatmap rectangles
-    svg.selectAll('rect.heatmap-cell')
-      .data(flatBins)
-      .enter()
-      .append('rect')
-      .attr('class', 'heatmap-cell')
-      .attr('x', d => xScale(d.x))
-      .attr('y', d => yScale(d.y + d.height))
-      .attr('width', d => xScale(d.x + d.width) - xScale(d.x))
-      .attr('height', d => yScale(d.y) - yScale(d.y + d.height))
-      .attr('fill', d => colorScale(d.count))
-      .attr('opacity', 0.9)
-      .attr('stroke', '#666')
-      .attr('stroke-width', 1.5)
-      .on('mouseover', function(event, d) {
-        d3.select(this)
-          .attr('opacity', 1)
-          .attr('stroke-width', 2)
-          .attr('stroke', '#333')
-        
-        const countryList = d.countries.slice(0, 5).map(c => c.country).join(', ')
-        const moreText = d.count > 5 ? ` +${d.count - 5} more` : ''
-        
-        const tooltipContent = `
-          <div style="font-weight: bold; margin-bottom: 4px;">${d.count} ${d.count === 1 ? 'Country' : 'Countries'}</div>
-          <div style="font-size: 11px; color: #666; margin-bottom: 4px;">${countryList}${moreText}</div>
-          <div style="color: #3b82f6; font-size: 11px;">GDP: ${formatComparisonValueShort(d.x)} - ${formatComparisonValueShort(d.x + d.width)}</div>
-          <div style="color: #ef4444; font-size: 11px;">Spending: ${formatComparisonValueShort(d.y)} - ${formatComparisonValueShort(d.y + d.height)}</div>
-        `
-        
-        setTooltip({
-          show: true,
-          x: event.pageX,
-          y: event.pageY - 120, // Position above cursor to avoid cutoff at bottom
-          content: tooltipContent
-        })
-      })
-      .on('mouseout', function() {
-        d3.select(this)
-          .attr('opacity', 0.9)
-          .attr('stroke-width', 1.5)
-          .attr('stroke', '#666')
-        
-        setTooltip({ show: false, x: 0, y: 0, content: '' })
-      })
-    
-  }, [data, selectedYear, visibility])
-  
+      .text('Spending (% of GDP)')
+
+    // Continent legend
+    const legend = svg.append('g')
+      .attr('transform', 'translate(8, 4)')
+      .style('font-size', '9px')
+      .style('pointer-events', 'none')
+    regions.forEach((region, i) => {
+      const item = legend.append('g').attr('transform', `translate(0, ${i * 12})`)
+      item.append('circle').attr('cx', 4).attr('cy', 4).attr('r', 4).attr('fill', colorScale(region))
+      item.append('text').attr('x', 12).attr('y', 7).style('fill', '#555').text(region)
+    })
+
+    layoutRef.current = {
+      xScale,
+      yScale,
+      rScale,
+      colorScale,
+      yearLabel,
+      trailGroup: svg.append('g').attr('class', 'trails'),
+      bubbles: svg.append('g').attr('class', 'bubbles'),
+      labels: svg.append('g').attr('class', 'bubble-labels').style('pointer-events', 'none')
+    }
+
+    previousIndexRef.current = animator.currentIndex
+    renderTrails()
+    renderFrame(animator.getCurrentFrame())
+  }, [animator, version, sizeBy, perCapita, currency, renderFrame, renderTrails])
+
+  // Tween from the previous frame to the current one
+  useEffect(() => {
+    if (!layoutRef.current) return
+
+    const fromIndex = previousIndexRef.current
+    previousIndexRef.current = currentIndex
+    const target = animator.getCurrentFrame()
+
+    if (fromIndex === null || fromIndex === currentIndex || fromIndex >= totalFrames) {
+      renderTrails()
+      renderFrame(target)
+      return
+    }
+
+    const duration = Math.min(speed * 0.8, 800)
+    const ease = d3.easeCubicInOut
+    const timer = d3.timer(elapsed => {
+      const t = Math.min(elapsed / duration, 1)
+      if (t >= 1) {
+        timer.stop()
+        renderTrails()
+        renderFrame(target)
+        return
+      }
+      renderFrame(animator.interpolateFrame(fromIndex, currentIndex, ease(t)))
+    })
+
+    return () => timer.stop()
+  }, [animator, currentIndex, totalFrames, speed, renderFrame, renderTrails])
+
+  // Redraw when trails are toggled
+  useEffect(() => {
+    renderTrails()
+    renderFrame(animator.getCurrentFrame())
+  }, [trails, animator, renderFrame, renderTrails])
+
+  // Restyle when the linked selection or hover highlight changes
+  useEffect(() => {
+    renderFrame(animator.getCurrentFrame())
+  }, [linkedSelected, highlighted, animator, renderFrame])
+
   return (
     <div className="bubble-chart" style={{ display: 'flex', flexDirection: 'column', height: '100%', minHeight: 0 }}>
-      {data && data.length > 0 ? (
+      {totalFrames > 0 ? (
         <svg ref={svgRef} style={{ flex: 1, minHeight: 0 }}></svg>
       ) : (
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', flex: 1, color: '#9ca3af', fontSize: '12px' }}>
@@ -209,7 +346,7 @@ function BubbleChart({
         </div>
       )}
       {tooltip.show && (
-        <div 
+        <div
           className="chart-tooltip"
           style={{
             position: 'fixed',
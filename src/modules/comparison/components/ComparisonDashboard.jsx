@@ -5,6 +5,9 @@
  * - 4 visible charts in grid layout
  * - Dropdown to switch between different chart types
  * - Uses existing GdpExpenseDataService for fast loading
+ * - Year-by-year playback through a TimeSeriesAnimator (animated bubble chart, growing year range)
+ * - World, regions, income groups and country groups as pseudo-countries (AggregationService),
+ *   with the aggregation method, coverage threshold and coverage of the viewed year
  */
 
 import { useState, useEffect, useMemo, useCallback } from 'react'
@@ -12,9 +15,37 @@ import UnifiedLegend from './UnifiedLegend.jsx'
 import TrendLineChart from './TrendLineChart.jsx'
 import YearComparisonBarChart from './YearComparisonBarChart.jsx'
 import BubbleChart from './BubbleChart.jsx'
+import TimelineControls from './TimelineControls.jsx'
+import LinkedSelectionBar from '../../../shared/components/LinkedSelectionBar.jsx'
+import ProjectionControls from '../../../shared/components/ProjectionControls.jsx'
+import AnnotationControls from '../../../shared/components/AnnotationControls.jsx'
+import FiscalElasticityPanel from './FiscalElasticityPanel.jsx'
+import { useTimeSeriesAnimator } from '../hooks/useTimeSeriesAnimator.js'
+import { getCountryRegion } from '../utils/regionMapping.js'
 import { normalizeComparisonData } from '../utils/normalizeComparisonData.js'
-import { loadUnifiedData, INDICATOR_METADATA, CATEGORY_COLORS } from '../../spending/services/UnifiedDataService.js'
+import { loadUnifiedData, convertUnifiedData, INDICATOR_METADATA, CATEGORY_COLORS } from '../../spending/services/UnifiedDataService.js'
 import { formatWithBothCurrencies, getCurrencyWithFallback } from '../../spending/utils/currencyMapping.js'
+import { getConversionNote, getValueUnit } from '../utils/formatComparisonValue.js'
+import { exportService } from '../services/ExportService.js'
+import { filterStateManager } from '../../../shared/services/FilterStateManager.js'
+import { getIso3, getCanonicalName } from '../../../shared/utils/CountryRegistry.js'
+import { loadPopulationData, createPopulationLookup } from '../services/GdpExpenseDataService.js'
+import { priceBasisService } from '../../../shared/services/PriceBasisService.js'
+import { usePriceBasis } from '../../../shared/hooks/usePriceBasis.js'
+import { currencyConversionService } from '../../../shared/services/CurrencyConversionService.js'
+import { useAggregates } from '../../../shared/hooks/useAggregates.js'
+import { projectionService, DEFAULT_PROJECTION } from '../../../shared/services/ProjectionService.js'
+import {
+  aggregationService,
+  createValueLookup,
+  describeCoverage,
+  AGGREGATION_METHODS,
+  COVERAGE_THRESHOLDS,
+  DEFAULT_METHOD,
+  DEFAULT_MIN_COVERAGE,
+  WORLD_CODE
+} from '../../../shared/services/AggregationService.js'
+import { useCurrencyConversion } from '../../../shared/hooks/useCurrencyConversion.js'
 import '../styles/ComparisonDashboard.css'
 
 // Category descriptions for info modals
@@ -28,6 +59,31 @@ const CATEGORY_DESCRIPTIONS = {
   social: 'Government spending on social protection including cash benefits, in-kind benefits, social assistance, and social security programs.'
 }
 
+const COMPARISON_YEAR_BOUNDS = [2005, 2022]
+
+// Shared filter state <-> dashboard selection (countries are stored as ISO3 codes,
+// aggregates as their code; the World is the default and is not stored)
+const countryToCodes = (country) => {
+  if (country === WORLD_CODE) return []
+  const code = aggregationService.isAggregate(country) ? country : getIso3(country)
+  return code ? [code] : []
+}
+
+const codesToCountry = (codes = []) => {
+  if (codes.length === 0) return WORLD_CODE
+  if (aggregationService.isAggregate(codes[0])) return aggregationService.getAggregate(codes[0]).code
+  return getCanonicalName(codes[0]) || WORLD_CODE
+}
+
+const countryCodeOf = (d) => d.countryCode || d.country
+
+const clampYearRange = (yearRange) => {
+  if (!Array.isArray(yearRange)) return COMPARISON_YEAR_BOUNDS
+  const start = Math.max(COMPARISON_YEAR_BOUNDS[0], Math.min(yearRange[0], COMPARISON_YEAR_BOUNDS[1]))
+  const end = Math.max(start, Math.min(yearRange[1], COMPARISON_YEAR_BOUNDS[1]))
+  return [start, end]
+}
+
 function ComparisonDashboard({ onLoadingChange }) {
   const [rawData, setRawData] = useState(null) // All loaded data
   const [metadata, setMetadata] = useState(null)
@@ -37,16 +93,29 @@ function ComparisonDashboard({ onLoadingChange }) {
   const [visibility, setVisibility] = useState({ gdp: true, spending: true })
   const [highlightYear, setHighlightYear] = useState(null)
   const [dataYearRange, setDataYearRange] = useState([2005, 2022]) // Actual data loaded range
-  const [displayYearRange, setDisplayYearRange] = useState([2005, 2022]) // Display filter for animation
+  const [displayYearRange, setDisplayYearRange] = useState(() => clampYearRange(filterStateManager.getFilters().yearRange)) // Display filter for animation
   const [selectedYear, setSelectedYear] = useState(null) // Will be set from metadata
-  const [selectedCountry, setSelectedCountry] = useState('World') // Default to World (all countries)
-  const [isAnimating, setIsAnimating] = useState(false)
-  const [animationInterval, setAnimationInterval] = useState(null)
+  const [selectedCountry, setSelectedCountry] = useState(() => codesToCountry(filterStateManager.getFilters().countries)) // Country name or aggregate code, default World
+  const [aggregationMethod, setAggregationMethod] = useState(DEFAULT_METHOD)
+  const [minCoverage, setMinCoverage] = useState(DEFAULT_MIN_COVERAGE)
+  const [projectionSettings, setProjectionSettings] = useState(DEFAULT_PROJECTION)
   const [spendingData, setSpendingData] = useState(null) // Unified spending data for categories
   const [showCategoriesPanel, setShowCategoriesPanel] = useState(false) // Track if categories panel is visible
   const [showMissingCountries, setShowMissingCountries] = useState(false)
+  const [showElasticityPanel, setShowElasticityPanel] = useState(false)
   const [dataDiscrepancyTab, setDataDiscrepancyTab] = useState('all') // 'all', 'gdp', 'spending'
   const [categoryInfoModal, setCategoryInfoModal] = useState(null) // Category key for info modal
+  const [valueMeasure, setValueMeasure] = useState('total') // 'total' (millions USD) or 'perCapita' (USD per person)
+  const [bubbleSize, setBubbleSize] = useState('spending') // Bubble chart size: 'spending' or 'population'
+  const [populationLookup, setPopulationLookup] = useState(null)
+  const [populationUnavailable, setPopulationUnavailable] = useState(false)
+  const perCapitaActive = valueMeasure === 'perCapita' && !!populationLookup
+  const { aggregates, aggregateOptions } = useAggregates()
+  const selectedAggregate = useMemo(() => aggregationService.getAggregate(selectedCountry), [selectedCountry, aggregates])
+  // Aggregates only get global events; country events would clutter a group chart
+  const annotatedCountries = useMemo(() => (selectedAggregate ? [] : [selectedCountry]), [selectedCountry, selectedAggregate])
+  const { baseYear } = usePriceBasis() // null = nominal, else constant base-year US$
+  const { currency } = useCurrencyConversion() // 'market' (exchange rate USD) or 'ppp' (Int$)
   
   // Notify parent of loading state changes
   useEffect(() => {
@@ -55,6 +124,25 @@ function ComparisonDashboard({ onLoadingChange }) {
     }
   }, [loading, onLoadingChange])
   
+  // Follow shared filter changes (browser back/forward on a shared link)
+  useEffect(() => {
+    const unsubscribe = filterStateManager.subscribe((shared) => {
+      const codes = shared.countries || []
+      setSelectedCountry(prev => countryToCodes(prev).join(',') === codes.join(',') ? prev : codesToCountry(codes))
+      
+      const yearRange = clampYearRange(shared.yearRange)
+      setDisplayYearRange(prev => prev.join('-') === yearRange.join('-') ? prev : yearRange)
+    })
+    return unsubscribe
+  }, [])
+  
+  // Country groups are aggregates too; fall back to the World when the selected group is deleted
+  useEffect(() => {
+    if (selectedCountry.startsWith('group-') && !selectedAggregate) {
+      setSelectedCountry(WORLD_CODE)
+    }
+  }, [selectedCountry, selectedAggregate])
+  
   // Load spending data for category analysis
   useEffect(() => {
     async function loadSpendingData() {
@@ -68,7 +156,32 @@ function ComparisonDashboard({ onLoadingChange }) {
     loadSpendingData()
   }, [])
   
-  // Force reload to pick up normalization fix
+  // Load population the first time per capita values or population-sized bubbles are selected
+  useEffect(() => {
+    if ((valueMeasure !== 'perCapita' && bubbleSize !== 'population') || populationLookup) return
+    
+    let cancelled = false
+    loadPopulationData()
+      .then(data => {
+        if (!cancelled) setPopulationLookup(() => createPopulationLookup(data))
+      })
+      .catch(error => {
+        console.error('Failed to load population data:', error)
+        if (!cancelled) {
+          setPopulationUnavailable(true)
+          setValueMeasure('total')
+          setBubbleSize('spending')
+        }
+      })
+    
+    return () => {
+      cancelled = true
+    }
+  }, [valueMeasure, bubbleSize, populationLookup])
+  
+  // All aggregates share one load of every country
+  const loadKey = selectedAggregate ? WORLD_CODE : selectedCountry
+  
   
   // Load data once - only reload when country changes, not when display year range changes
   useEffect(() => {
@@ -88,7 +201,8 @@ function ComparisonDashboard({ onLoadingChange }) {
         }
         
         // Load ALL data for the full range (2005-2022) - we'll filter client-side
-        const selectedCountries = selectedCountry === 'World' ? [] : [selectedCountry]
+        // Aggregates load every country and are built from their members below
+        const selectedCountries = aggregationService.isAggregate(selectedCountry) ? [] : [selectedCountry]
         const result = await normalizeComparisonData(selectedCountries, dataYearRange, onProgress)
         
         if (isCancelled) return
@@ -124,7 +238,7 @@ function ComparisonDashboard({ onLoadingChange }) {
     return () => {
       isCancelled = true
     }
-  }, [selectedCountry]) // Only reload when country changes, NOT when year range changes
+  }, [loadKey]) // Only reload when country changes, NOT when year range changes
   
   const handleLegendToggle = useCallback((newVisibility) => {
     setVisibility(newVisibility)
@@ -138,68 +252,9 @@ function ComparisonDashboard({ onLoadingChange }) {
     setSelectedYear(year)
   }, [])
   
-  // Animation controls - incrementally updates display year range from 2005-2006, 2005-2007, etc.
-  const startAnimation = useCallback(() => {
-    if (isAnimating) return
-    
-    // Determine max year based on available data for selected country
-    let maxYear = 2022 // Default max
-    if (rawData && rawData.length > 0) {
-      if (selectedCountry === 'World') {
-        // For World, use all available data
-        const years = rawData.map(d => d.year)
-        maxYear = Math.max(...years)
-      } else {
-        // For specific country, use that country's data range
-        const countryData = rawData.filter(d => d.country === selectedCountry)
-        if (countryData.length > 0) {
-          const years = countryData.map(d => d.year)
-          maxYear = Math.max(...years)
-        }
-      }
-    }
-    
-    setIsAnimating(true)
-    let currentEndYear = 2006 // Start with 2005-2006
-    setDisplayYearRange([2005, currentEndYear])
-    setSelectedYear(currentEndYear)
-    
-    const interval = setInterval(() => {
-      currentEndYear++
-      if (currentEndYear > maxYear) {
-        // Stop animation when reaching max year with data
-        clearInterval(interval)
-        setAnimationInterval(null)
-        setIsAnimating(false)
-        return
-      }
-      setDisplayYearRange([2005, currentEndYear])
-      setSelectedYear(currentEndYear)
-    }, 1000) // Change year every 1 second for smooth visualization
-    
-    setAnimationInterval(interval)
-  }, [isAnimating, rawData, selectedCountry])
-  
-  const stopAnimation = useCallback(() => {
-    if (animationInterval) {
-      clearInterval(animationInterval)
-      setAnimationInterval(null)
-    }
-    setIsAnimating(false)
-  }, [animationInterval])
-  
-  // Cleanup animation on unmount
-  useEffect(() => {
-    return () => {
-      if (animationInterval) {
-        clearInterval(animationInterval)
-      }
-    }
-  }, [animationInterval])
-  
   // Auto-adjust year range based on available data for selected country
   useEffect(() => {
-    if (!rawData || rawData.length === 0 || selectedCountry === 'World') return
+    if (!rawData || rawData.length === 0 || selectedAggregate) return
     
     // Get data for selected country
     const countryData = rawData.filter(d => d.country === selectedCountry)
@@ -254,15 +309,237 @@ function ComparisonDashboard({ onLoadingChange }) {
     return rawData.filter(d => d.year >= displayYearRange[0] && d.year <= displayYearRange[1])
   }, [rawData, displayYearRange])
   
+  // Values for all loaded years: millions USD, or USD per person (country-years without population are dropped)
+  // PPP converts both series with the country's price level and real values rebase both with
+  // the US deflator, so the spending/GDP ratio is unchanged
+  const measuredData = useMemo(() => {
+    if (!rawData || rawData.length === 0) return []
+    if (!perCapitaActive && !baseYear && currency === 'market') return rawData
+    
+    return rawData
+      .map(d => {
+        const pppFactor = currency === 'ppp'
+          ? currencyConversionService.toPpp(1, d.countryCode || d.country, d.year)
+          : 1
+        const priceFactor = baseYear ? priceBasisService.getUsdFactor(d.year, baseYear) : 1
+        if (!pppFactor || !priceFactor) return null
+        const factor = pppFactor * priceFactor
+
+        const population = perCapitaActive ? populationLookup(d.countryCode || d.country, d.year) : null
+        if (perCapitaActive && !population) return null
+
+        const scale = perCapitaActive ? (factor * 1_000_000) / population : factor
+        return {
+          ...d,
+          gdp: d.gdp * scale,
+          spending: d.spending * scale,
+          ...(perCapitaActive && { population })
+        }
+      })
+      .filter(Boolean)
+  }, [rawData, perCapitaActive, populationLookup, baseYear, currency])
+  
+  // Chart values within the display year range
+  const measuredChartData = useMemo(
+    () => measuredData.filter(d => d.year >= displayYearRange[0] && d.year <= displayYearRange[1]),
+    [measuredData, displayYearRange]
+  )
+  
+  // Rows of the aggregate's member countries (membership can change by year for income groups)
+  const memberData = useMemo(() => {
+    if (!selectedAggregate || selectedAggregate.kind === 'world') return measuredData
+    
+    const membersByYear = new Map()
+    return measuredData.filter(d => {
+      if (!membersByYear.has(d.year)) {
+        membersByYear.set(d.year, new Set(aggregationService.getMembers(selectedAggregate.code, d.year)))
+      }
+      return membersByYear.get(d.year).has(getIso3(countryCodeOf(d)))
+    })
+  }, [measuredData, selectedAggregate])
+  
+  // Aggregate series for a selected region, income group or country group: one row per year
+  // with enough coverage. Coverage is measured against the members' nominal market-rate GDP.
+  // In per capita view "Sum" is the members' total divided by their total population.
+  const aggregate = useMemo(() => {
+    if (!selectedAggregate || memberData.length === 0) return null
+    
+    const code = selectedAggregate.code
+    const years = [...new Set(memberData.map(d => d.year))].sort((a, b) => a - b)
+    const lookup = (value) => createValueLookup(memberData, { country: countryCodeOf, year: d => d.year, value })
+    const weightFor = createValueLookup(rawData, { country: countryCodeOf, year: d => d.year, value: d => d.gdp })
+    const options = { method: aggregationMethod, weightFor, minCoverage }
+    const perCapitaSum = perCapitaActive && aggregationMethod === 'sum'
+    
+    const buildMeasure = (key) => {
+      if (!perCapitaSum) return aggregationService.buildSeries(code, lookup(d => d[key]), years, options)
+      
+      // Σ total / Σ population over the same reporting members
+      const totals = aggregationService.buildSeries(code, lookup(d => d[key] * d.population), years, options)
+      const valueFor = lookup(d => d[key])
+      const populationFor = lookup(d => d.population)
+      const population = aggregationService.buildSeries(code, (iso3, year) => (valueFor(iso3, year) !== null ? populationFor(iso3, year) : null), years, { ...options, method: 'sum' })
+      return {
+        ...totals,
+        points: totals.points.map((point, i) => ({
+          ...point,
+          value: point.value !== null && population.points[i].value > 0 ? point.value / population.points[i].value : null
+        }))
+      }
+    }
+    
+    const gdp = buildMeasure('gdp')
+    const spending = buildMeasure('spending')
+    
+    // Spending share over members reporting both; for totals this is Σ spending / Σ GDP
+    const gdpFor = lookup(d => d.gdp)
+    const spendingFor = lookup(d => d.spending)
+    const ratio = aggregationService.buildSeries(code, (iso3, year) => {
+      const g = gdpFor(iso3, year)
+      const sp = spendingFor(iso3, year)
+      return g > 0 && sp !== null ? (sp / g) * 100 : null
+    }, years, { ...options, method: aggregationMethod === 'sum' ? 'gdpWeighted' : aggregationMethod })
+    
+    const rows = years
+      .map((year, i) => ({
+        country: selectedAggregate.name,
+        countryCode: code,
+        year,
+        gdp: gdp.points[i].value,
+        spending: spending.points[i].value,
+        ratio: ratio.points[i].value,
+        population: 1, // Rows are already per person; a unit weight lets the trend chart use them as is
+        coverage: spending.points[i].coverage
+      }))
+      .filter(row => row.gdp !== null && row.spending !== null)
+    
+    return {
+      rows,
+      hiddenYears: years.length - rows.length,
+      // Coverage of spending, the sparser series, including years below the threshold
+      coverageFor: (year) => spending.points.find(point => point.year === year) || null
+    }
+  }, [selectedAggregate, memberData, rawData, aggregationMethod, minCoverage, perCapitaActive])
+  
+  // Trend line values: the aggregate series, or the selected country
+  const trendData = useMemo(() => {
+    const rows = aggregate ? aggregate.rows : measuredData
+    return rows.filter(d => d.year >= displayYearRange[0] && d.year <= displayYearRange[1])
+  }, [aggregate, measuredData, displayYearRange])
+  
+  // Trend line projections past the last charted year
+  const trendProjection = useMemo(() => {
+    if (!projectionSettings.enabled) return null
+    const seriesOf = (key) => trendData
+      .filter(d => d[key] > 0)
+      .map(d => ({ year: d.year, value: d[key] }))
+    return {
+      gdp: projectionService.project(seriesOf('gdp'), projectionSettings),
+      spending: projectionService.project(seriesOf('spending'), projectionSettings)
+    }
+  }, [trendData, projectionSettings])
+  
+  // Bar chart values: members of the selected aggregate, or the selected country
+  const memberChartData = useMemo(
+    () => memberData.filter(d => d.year >= displayYearRange[0] && d.year <= displayYearRange[1]),
+    [memberData, displayYearRange]
+  )
+  
+  // Bubble chart records for every year: spending share, continent and bubble size
+  const bubbleRecords = useMemo(() => memberData
+    .filter(d => d.gdp > 0 && d.spending > 0)
+    .map(d => {
+      const population = d.population ?? (populationLookup ? populationLookup(d.countryCode || d.country, d.year) : null)
+      return {
+        country: d.country,
+        countryCode: d.countryCode,
+        year: d.year,
+        gdp: d.gdp,
+        spending: d.spending,
+        ratio: (d.spending / d.gdp) * 100,
+        population,
+        size: bubbleSize === 'population' ? population : (perCapitaActive ? d.spending * population : d.spending),
+        region: getCountryRegion(d.countryCode || d.country)
+      }
+    }), [memberData, populationLookup, bubbleSize, perCapitaActive])
+  
+  // Playback: each frame selects its year and grows the display range up to it
+  const handleFrame = useCallback(({ time }) => {
+    setSelectedYear(time)
+    setDisplayYearRange(prev => (time > prev[1] ? [prev[0], time] : time < prev[0] ? [time, prev[1]] : prev))
+  }, [])
+  
+  const timeline = useTimeSeriesAnimator(bubbleRecords, { onFrame: handleFrame })
+  const isAnimating = timeline.isAnimating
+  
+  // Playback starts from the first year, like the original "Play Timeline"
+  useEffect(() => {
+    if (isAnimating && timeline.times.length > 0) {
+      setDisplayYearRange([timeline.times[0], timeline.currentTime ?? timeline.times[0]])
+    }
+  }, [isAnimating])
+  
+  // Publish country and year range to the shared filter state (and so the URL);
+  // skipped mid-animation so playback doesn't rewrite the URL on every frame
+  useEffect(() => {
+    if (isAnimating) return
+    
+    const shared = filterStateManager.getFilters()
+    const countries = countryToCodes(selectedCountry)
+    const sameCountries = countries.join(',') === (shared.countries || []).join(',')
+    const sameYears = displayYearRange.join('-') === (shared.yearRange || []).join('-')
+    
+    if (!sameCountries || !sameYears) {
+      filterStateManager.updateFilters({ countries, yearRange: displayYearRange }, true)
+    }
+  }, [selectedCountry, displayYearRange, isAnimating])
+  
+  // Keep the animator on the selected year when it changes elsewhere (bar chart, range inputs)
+  useEffect(() => {
+    if (!isAnimating && selectedYear !== null && timeline.currentTime !== selectedYear) {
+      timeline.animator.jumpToTime(selectedYear)
+    }
+  }, [selectedYear, timeline.version, isAnimating])
+  
+  const priceNote = baseYear ? ` (${baseYear} prices)` : ''
+  
+  // Export the charted values with their unit, currency conversion and price basis
+  const handleExportCSV = useCallback(() => {
+    const unit = perCapitaActive ? getValueUnit(true, currency) : `millions ${getValueUnit(false, currency)}`
+    // Aggregate rows come first, with their method and coverage, then the member countries
+    const rows = [...(aggregate ? trendData : []), ...(aggregate ? memberChartData : measuredChartData)].map(d => ({
+      country: d.country,
+      country_code: d.countryCode,
+      year: d.year,
+      gdp: d.gdp,
+      spending: d.spending,
+      spending_gdp_ratio: d.ratio,
+      aggregation: d.coverage !== undefined ? AGGREGATION_METHODS[aggregationMethod].label : '',
+      coverage: d.coverage !== undefined ? d.coverage : '',
+      unit,
+      conversion: currency === 'ppp' ? 'PPP' : 'market exchange rate',
+      prices: baseYear ? `constant ${baseYear}` : 'current'
+    }))
+
+    exportService.exportWithTimestamp('csv', rows, `gdp-vs-spending-${currency}`)
+      .catch(error => console.error('❌ Comparison CSV export failed:', error))
+  }, [measuredChartData, memberChartData, trendData, aggregate, aggregationMethod, perCapitaActive, currency, baseYear])
+  
+  // Spending categories in the same conversion and price basis as the charts
+  const convertedSpendingData = useMemo(
+    () => convertUnifiedData(spendingData, { baseYear, currency }),
+    [spendingData, baseYear, currency]
+  )
+  
   // Get unique countries for dropdown
   const availableCountries = useMemo(() => {
     if (!metadata || !metadata.countries) return []
-    return ['World', ...metadata.countries.sort()]
+    return [...metadata.countries].sort()
   }, [metadata])
   
   // Calculate available year range for selected country
   const countryYearRange = useMemo(() => {
-    if (!rawData || rawData.length === 0 || selectedCountry === 'World') {
+    if (!rawData || rawData.length === 0 || selectedAggregate) {
       return null
     }
     
@@ -275,23 +552,25 @@ function ComparisonDashboard({ onLoadingChange }) {
       max: years[years.length - 1],
       count: years.length
     }
-  }, [rawData, selectedCountry])
+  }, [rawData, selectedCountry, selectedAggregate])
   
   // Calculate average spending/GDP ratio
   const avgRatio = useMemo(() => {
-    if (!chartData || chartData.length === 0) return 0
-    const ratios = chartData.map(d => d.ratio).filter(r => !isNaN(r) && r > 0)
+    const rows = aggregate ? trendData : chartData
+    if (!rows || rows.length === 0) return 0
+    const ratios = rows.map(d => d.ratio).filter(r => !isNaN(r) && r > 0)
     if (ratios.length === 0) return 0
     const sum = ratios.reduce((acc, val) => acc + val, 0)
     return (sum / ratios.length).toFixed(1)
-  }, [chartData])
+  }, [chartData, aggregate, trendData])
   
   // Calculate GDP growth for selected year (year-over-year)
   const gdpGrowth = useMemo(() => {
-    if (!chartData || chartData.length === 0 || !selectedYear) return { value: 0, isPositive: true }
+    const rows = aggregate ? trendData : chartData
+    if (!rows || rows.length === 0 || !selectedYear) return { value: 0, isPositive: true }
     
-    const currentYearData = chartData.filter(d => d.year === selectedYear)
-    const previousYearData = chartData.filter(d => d.year === selectedYear - 1)
+    const currentYearData = rows.filter(d => d.year === selectedYear)
+    const previousYearData = rows.filter(d => d.year === selectedYear - 1)
     
     if (currentYearData.length === 0 || previousYearData.length === 0) return { value: 0, isPositive: true }
     
@@ -300,7 +579,13 @@ function ComparisonDashboard({ onLoadingChange }) {
     
     const growth = ((currentGDP - previousGDP) / previousGDP) * 100
     return { value: Math.abs(growth).toFixed(1), isPositive: growth >= 0 }
-  }, [chartData, selectedYear])
+  }, [chartData, aggregate, trendData, selectedYear])
+  
+  // Aggregate coverage of the viewed year (spending, the sparser series)
+  const aggregateCoverage = aggregate?.coverageFor(selectedYear) || null
+  const aggregateCoverageNote = aggregateCoverage
+    ? `${selectedYear} spending ${describeCoverage(aggregateCoverage, selectedAggregate.kind)}`
+    : null
   
   // Calculate data coverage for selected year
   const dataCoverage = useMemo(() => {
@@ -468,7 +753,7 @@ function ComparisonDashboard({ onLoadingChange }) {
   
   // Calculate top 5 spending categories for selected country or world (average)
   const topSpendingCategories = useMemo(() => {
-    if (!spendingData || !selectedCountry || !displayYearRange) {
+    if (!convertedSpendingData || !selectedCountry || !displayYearRange) {
       return []
     }
     
@@ -486,13 +771,16 @@ function ComparisonDashboard({ onLoadingChange }) {
     // Aggregate spending by category over the selected year range
     const categoryData = {}
     
-    // Determine which countries to aggregate
-    const countriesToAggregate = selectedCountry === 'World' 
-      ? Object.keys(spendingData.countries)
+    // Determine which countries to aggregate (aggregate members in the last year of the range)
+    const members = selectedAggregate && selectedAggregate.kind !== 'world'
+      ? new Set(aggregationService.getMembers(selectedAggregate.code, displayYearRange[1]))
+      : null
+    const countriesToAggregate = selectedAggregate
+      ? Object.keys(convertedSpendingData.countries).filter(name => !members || members.has(getIso3(convertedSpendingData.countries[name].code || name)))
       : [selectedCountry]
     
     countriesToAggregate.forEach(countryName => {
-      const countryData = spendingData.countries[countryName]
+      const countryData = convertedSpendingData.countries[countryName]
       if (!countryData) return
       
       Object.entries(INDICATOR_METADATA).forEach(([indicatorCode, metadata]) => {
@@ -572,7 +860,7 @@ function ComparisonDashboard({ onLoadingChange }) {
     }))
     
     return categoriesWithPercentage
-  }, [spendingData, selectedCountry, displayYearRange])
+  }, [convertedSpendingData, selectedCountry, selectedAggregate, displayYearRange])
   
   if (loading) {
     return (
@@ -638,9 +926,18 @@ function ComparisonDashboard({ onLoadingChange }) {
               onChange={(e) => setSelectedCountry(e.target.value)}
               className="filter-select"
             >
-              {availableCountries.map(country => (
-                <option key={country} value={country}>{country}</option>
+              {aggregateOptions.map(({ kind, label, aggregates: options }) => (
+                <optgroup key={kind} label={label}>
+                  {options.map(agg => (
+                    <option key={agg.code} value={agg.code}>{agg.name}</option>
+                  ))}
+                </optgroup>
               ))}
+              <optgroup label="Countries">
+                {availableCountries.map(country => (
+                  <option key={country} value={country}>{country}</option>
+                ))}
+              </optgroup>
             </select>
             {countryYearRange && (
               <div className="data-availability-hint" style={{
@@ -653,16 +950,82 @@ function ComparisonDashboard({ onLoadingChange }) {
             )}
           </div>
           
+          {selectedAggregate && (
+            <div className="filter-item">
+              <label>Aggregate:</label>
+              <select
+                value={aggregationMethod}
+                onChange={(e) => setAggregationMethod(e.target.value)}
+                className="filter-select"
+                title={AGGREGATION_METHODS[aggregationMethod].description}
+              >
+                {Object.entries(AGGREGATION_METHODS).map(([method, meta]) => (
+                  <option key={method} value={method}>{meta.label}</option>
+                ))}
+              </select>
+              <select
+                value={minCoverage}
+                onChange={(e) => setMinCoverage(parseFloat(e.target.value))}
+                className="filter-select"
+                title="Minimum share of the group's GDP that must report a value for a year to be shown"
+              >
+                {COVERAGE_THRESHOLDS.map(threshold => (
+                  <option key={threshold} value={threshold}>
+                    {threshold === 0 ? 'Any coverage' : `≥ ${threshold * 100}% coverage`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          
+          <div className="filter-item">
+            <TimelineControls timeline={timeline} />
+          </div>
+          
           <div className="filter-item">
-            <button 
-              onClick={isAnimating ? stopAnimation : startAnimation}
-              className="animation-button"
-              title={isAnimating ? "Stop year-by-year animation" : "Animate data from 2005 onwards, year by year"}
+            <label>Values:</label>
+            <select
+              value={valueMeasure}
+              onChange={(e) => setValueMeasure(e.target.value)}
+              className="filter-select"
+              title={populationUnavailable ? 'Population data (population.csv) is not available' : 'Show totals or values per person'}
             >
-              {isAnimating ? '⏸️ Stop Animation' : '▶️ Play Timeline'}
-            </button>
+              <option value="total">Total (USD)</option>
+              <option value="perCapita" disabled={populationUnavailable}>Per capita (USD per person)</option>
+            </select>
           </div>
           
+          <div className="filter-item">
+            <label>Bubbles:</label>
+            <select
+              value={bubbleSize}
+              onChange={(e) => setBubbleSize(e.target.value)}
+              className="filter-select"
+              title={populationUnavailable ? 'Population data (population.csv) is not available' : 'Bubble size in the GDP vs spending chart'}
+            >
+              <option value="spending">Sized by spending</option>
+              <option value="population" disabled={populationUnavailable}>Sized by population</option>
+            </select>
+          </div>
+          
+          <button
+            onClick={handleExportCSV}
+            className="animation-button"
+            disabled={measuredChartData.length === 0}
+            title={`Download the charted values as CSV (${getConversionNote(currency)}${priceNote})`}
+          >
+            ⬇️ CSV
+          </button>
+
+          <button
+            onClick={() => setShowElasticityPanel(true)}
+            className="animation-button"
+            disabled={!selectedCountry}
+            title="Lead/lag correlation and elasticity of spending growth to GDP growth"
+          >
+            📐 Elasticity
+          </button>
+          
           <div className="filter-divider"></div>
           
           <UnifiedLegend 
@@ -672,6 +1035,10 @@ function ComparisonDashboard({ onLoadingChange }) {
           
           <div className="filter-divider"></div>
           
+          <AnnotationControls countries={annotatedCountries} />
+          
+          <div className="filter-divider"></div>
+          
           <button 
             className={`categories-tab-button ${showCategoriesPanel ? 'active' : ''}`}
             onClick={() => setShowCategoriesPanel(!showCategoriesPanel)}
@@ -682,6 +1049,8 @@ function ComparisonDashboard({ onLoadingChange }) {
         </div>
       </div>
       
+      <LinkedSelectionBar />
+
       {/* Main Content Area with optional Categories Panel */}
       <div className={`dashboard-content ${showCategoriesPanel ? 'with-categories' : ''}`}>
         {/* 4-Grid Layout: 3 Charts + 1 Analytics Cards */}
@@ -689,35 +1058,58 @@ function ComparisonDashboard({ onLoadingChange }) {
         {/* Line Chart */}
         <div className="grid-item">
           <TrendLineChart 
-            data={chartData}
+            data={trendData}
+            perCapita={perCapitaActive}
+            currency={currency}
             visibility={visibility}
             onHover={handleHover}
             highlightYear={highlightYear}
+            projection={trendProjection}
+            countries={annotatedCountries}
           />
-          <div className="chart-description">GDP vs Spending trends over time</div>
+          <ProjectionControls
+            settings={projectionSettings}
+            onChange={setProjectionSettings}
+            lastYear={trendData.length > 0 ? Math.max(...trendData.map(d => d.year)) : null}
+            backtests={[
+              visibility.gdp && trendProjection?.gdp && { label: 'GDP', backtest: trendProjection.gdp.backtest },
+              visibility.spending && trendProjection?.spending && { label: 'Spending', backtest: trendProjection.spending.backtest }
+            ].filter(Boolean)}
+          />
+          <div className="chart-description" title={aggregateCoverageNote || undefined}>
+            {selectedAggregate
+              ? `${selectedAggregate.name} – ${AGGREGATION_METHODS[aggregationMethod].label.toLowerCase()} of members${aggregate?.hiddenYears ? `, ${aggregate.hiddenYears} years below coverage hidden` : ''}`
+              : 'GDP vs Spending trends over time'}{priceNote}
+          </div>
         </div>
         
         {/* Bar Chart */}
         <div className="grid-item">
           <YearComparisonBarChart 
-            data={chartData}
+            data={memberChartData}
+            perCapita={perCapitaActive}
+            currency={currency}
             visibility={visibility}
             selectedYear={selectedYear}
             onYearChange={handleYearChange}
           />
           <div className="chart-description">
-            {selectedCountry === 'World' ? 'Top 15 countries (sortable by GDP or Spending)' : `${selectedCountry} - Year-over-year comparison`}
+            {selectedAggregate
+              ? `Top 15 countries${selectedAggregate.kind === 'world' ? '' : ` in ${selectedAggregate.name}`} (sortable by GDP or Spending)`
+              : `${selectedCountry} - Year-over-year comparison`}{priceNote}
           </div>
         </div>
         
         {/* Bubble Chart */}
         <div className="grid-item">
           <BubbleChart 
-            data={chartData}
-            visibility={visibility}
-            selectedYear={selectedYear}
+            timeline={timeline}
+            sizeBy={bubbleSize === 'population' && populationLookup ? 'population' : 'spending'}
+            trailCountries={selectedAggregate ? [] : [selectedCountry]}
+            perCapita={perCapitaActive}
+            currency={currency}
           />
-          <div className="chart-description">GDP vs Spending correlation</div>
+          <div className="chart-description">GDP vs spending share over time – click bubbles for trails{priceNote}</div>
         </div>
         
         {/* Analytics Cards */}
@@ -767,9 +1159,16 @@ function ComparisonDashboard({ onLoadingChange }) {
                 </div>
               </div>
               
-              <div className="metric-card highlight-alt">
+              <div className="metric-card highlight-alt" title={aggregateCoverageNote || undefined}>
                 <div className="metric-label">Coverage</div>
-                <div className="metric-value">{dataCoverage}%</div>
+                <div className="metric-value">
+                  {aggregateCoverage ? `${Math.round(aggregateCoverage.coverage * 100)}%` : `${dataCoverage}%`}
+                </div>
+                {aggregateCoverage && (
+                  <div className="metric-subvalue">
+                    {aggregateCoverage.gdpCoverage !== null ? 'of members\' GDP' : 'of members'}
+                  </div>
+                )}
               </div>
             </>
           )}
@@ -783,6 +1182,7 @@ function ComparisonDashboard({ onLoadingChange }) {
           <div className="spending-categories-content">
             <div className="spending-categories-header">
               <div className="spending-disclaimer">Correlation with growth is assumed based on total spending</div>
+              <div className="spending-disclaimer">Values in {getConversionNote(currency)}{priceNote}</div>
             </div>
             
             <div className="spending-categories-grid">
@@ -859,6 +1259,14 @@ function ComparisonDashboard({ onLoadingChange }) {
       </div>
       
       {/* Data Discrepancy Modal */}
+      {showElasticityPanel && selectedCountry && (
+        <FiscalElasticityPanel
+          country={selectedCountry}
+          yearRange={displayYearRange}
+          onClose={() => setShowElasticityPanel(false)}
+        />
+      )}
+
       {showMissingCountries && countriesDataInfo.allCountriesData && (
         <>
           {/* Modal Overlay */}
@@ -918,6 +1326,9 @@ function ComparisonDashboard({ onLoadingChange }) {
                 <div style={{ fontSize: '11px', color: '#666' }}>
                   Showing data coverage for {metadata.countries.length} countries ({displayYearRange[0]}-{displayYearRange[1]})
                 </div>
+                <div style={{ fontSize: '11px', color: '#666' }}>
+                  Per-indicator coverage, GDP join mismatches and extreme values are in the Data Quality tab
+                </div>
               </div>
               <button
                 onClick={() => setShowMissingCountries(false)}
@@ -3,7 +3,7 @@
  * 
  * Features:
  * - Hamburger menu for collapse/expand
- * - Chart type dropdown
+ * - Chart type and indicator dropdowns
  * - Filter and export buttons
  * - Smooth 300ms animation
  * - Persists collapse state in sessionStorage
@@ -14,6 +14,7 @@
 import React, { useEffect } from 'react'
 import { useComparison } from '../context/ComparisonContext.jsx'
 import ChartTypeDropdown from './ChartTypeDropdown.jsx'
+import IndicatorDropdown from './IndicatorDropdown.jsx'
 import FilterButton from './FilterButton.jsx'
 import ExportButton from './ExportButton.jsx'
 import '../styles/ComparisonHeader.css'
@@ -90,6 +91,7 @@ const ComparisonHeader = ({ onOpenFilters, onExport }) => {
 
           <div className="header-center">
             <ChartTypeDropdown />
+            <IndicatorDropdown />
           </div>
 
           <div className="header-actions">
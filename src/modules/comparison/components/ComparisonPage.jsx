@@ -1,23 +1,76 @@
 /**
  * ComparisonPage - GDP vs Expense Growth Comparison
- * 
+ *
  * Features:
- * - Multi-chart dashboard with optimized data loading
+ * - Dashboard mode: multi-chart GDP vs spending dashboard with optimized data loading
+ * - Analyze mode: multi-chart workspace for any spending indicator (ComparisonWorkspace)
  * - Unit normalization (GDP in millions USD, Spending in millions USD)
  * - Interactive charts with synchronized hover
  * - Year range filtering for performance
- * 
+ *
+ * The active mode follows the shared chart type filter: Analyze mode keeps its chart
+ * type in the URL, so shared links and browser navigation reopen the same view.
+ *
  * Requirements: Comprehensive comparison view for GDP vs Expense analysis
  */
 
+import { useState, useEffect } from 'react'
 import ComparisonDashboard from './ComparisonDashboard.jsx'
+import ComparisonWorkspace from './ComparisonWorkspace.jsx'
+import { filterStateManager } from '../../../shared/services/FilterStateManager.js'
 import '../styles/ComparisonPage.css'
 
+const MODES = [
+  { id: 'dashboard', label: '📊 Dashboard', title: 'GDP vs spending dashboard' },
+  { id: 'analyze', label: '🔬 Analyze', title: 'Compare any indicator across countries with multiple chart types' }
+]
+
+const getModeFromFilters = (filters) => (filters.chartType ? 'analyze' : 'dashboard')
+
 // Main component
 function ComparisonContent({ onLoadingChange }) {
+  const [mode, setMode] = useState(() => getModeFromFilters(filterStateManager.getFilters()))
+
+  // Follow mode changes from browser back/forward
+  useEffect(() => {
+    const unsubscribe = filterStateManager.subscribe((filters) => {
+      setMode(getModeFromFilters(filters))
+    })
+    return unsubscribe
+  }, [])
+
+  const handleModeChange = (nextMode) => {
+    if (nextMode === mode) return
+
+    const { chartType } = filterStateManager.getFilters()
+    filterStateManager.updateFilters({
+      chartType: nextMode === 'analyze' ? (chartType || 'timeSeries') : null
+    }, true)
+    setMode(nextMode)
+  }
+
   return (
-    <div className="comparison-page-dashboard">
-      <ComparisonDashboard onLoadingChange={onLoadingChange} />
+    <div className={`comparison-page-dashboard comparison-mode-${mode}`}>
+      <div className="comparison-mode-toggle" role="tablist" aria-label="Comparison mode">
+        {MODES.map(({ id, label, title }) => (
+          <button
+            key={id}
+            role="tab"
+            aria-selected={mode === id}
+            className={`comparison-mode-button ${mode === id ? 'active' : ''}`}
+            onClick={() => handleModeChange(id)}
+            title={title}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'analyze' ? (
+        <ComparisonWorkspace onLoadingChange={onLoadingChange} />
+      ) : (
+        <ComparisonDashboard onLoadingChange={onLoadingChange} />
+      )}
     </div>
   )
 }
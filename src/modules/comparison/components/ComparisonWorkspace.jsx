@@ -0,0 +1,178 @@
+/**
+ * ComparisonWorkspace - Multi-chart analytical workspace ("Analyze" mode)
+ *
+ * Features:
+ * - ComparisonProvider state shared by header, charts, metric cards and sidebar
+ * - Time series, scatter, ranking, bubble, heatmap and box plot charts for any indicator
+ * - Filters live in the context reducer, so switching chart types keeps them
+ * - Brushing and selection linked with the dashboard and maps, with undo/redo
+ * - PNG/SVG/CSV/complete view export of the active chart
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react'
+import { ComparisonProvider, useComparison } from '../context/ComparisonContext.jsx'
+import ComparisonLayout, {
+  LayoutHeader,
+  LayoutTopMetrics,
+  LayoutMainChart,
+  LayoutBottomMetrics,
+  LayoutRightSidebar
+} from './ComparisonLayout.jsx'
+import ComparisonHeader from './ComparisonHeader.jsx'
+import ChartContainer from './ChartContainer.jsx'
+import TopMetricCards from './TopMetricCards.jsx'
+import BottomMetricCards from './BottomMetricCards.jsx'
+import RightSidebar from './RightSidebar.jsx'
+import FilterPanel from './FilterPanel.jsx'
+import LinkedSelectionBar from '../../../shared/components/LinkedSelectionBar.jsx'
+import {
+  TimeSeriesChart,
+  ScatterPlotChart,
+  RankingBarChart,
+  BubbleChart,
+  HeatmapChart,
+  BoxPlotChart
+} from '../charts/index.js'
+import exportService from '../services/ExportService.js'
+import '../styles/MetricCards.css'
+
+// Chart components keyed by ChartTypeDropdown ids
+const CHART_COMPONENTS = {
+  timeSeries: TimeSeriesChart,
+  scatterPlot: ScatterPlotChart,
+  barChart: RankingBarChart,
+  bubbleChart: BubbleChart,
+  heatmap: HeatmapChart,
+  boxPlot: BoxPlotChart
+}
+
+const MIN_CHART_SIZE = { width: 480, height: 320 }
+
+/**
+ * Flatten chart data into CSV rows
+ * @param {Object} chartData - Comparison chart data
+ * @returns {Array} Rows of { country, code, year, value, unit }
+ */
+function toCsvRows(chartData) {
+  if (!chartData) return []
+
+  return Object.entries(chartData.countries).flatMap(([country, countryData]) =>
+    Object.entries(countryData.data).map(([year, value]) => ({
+      indicator: chartData.indicator,
+      country,
+      code: countryData.code,
+      year,
+      value,
+      unit: chartData.unit
+    }))
+  )
+}
+
+function WorkspaceContent() {
+  const { state, actions } = useComparison()
+  const [filterPanelOpen, setFilterPanelOpen] = useState(false)
+  const [chartSize, setChartSize] = useState({ width: 800, height: 500 })
+  const containerRef = useRef(null)
+  const chartRef = useRef(null)
+
+  // Size charts to the main chart area
+  useEffect(() => {
+    const measure = () => {
+      if (!chartRef.current) return
+      setChartSize({
+        width: Math.max(chartRef.current.clientWidth - 40, MIN_CHART_SIZE.width),
+        height: Math.max(chartRef.current.clientHeight - 40, MIN_CHART_SIZE.height)
+      })
+    }
+
+    measure()
+    window.addEventListener('resize', measure)
+    return () => window.removeEventListener('resize', measure)
+  }, [state.headerCollapsed])
+
+  const handleExport = useCallback(async (format) => {
+    const filename = `comparison-${state.selectedIndicator}-${state.chartType}`
+
+    try {
+      switch (format) {
+        case 'png':
+          await exportService.exportWithTimestamp('png', chartRef.current, filename)
+          break
+        case 'svg':
+          await exportService.exportWithTimestamp('svg', chartRef.current?.querySelector('svg'), filename)
+          break
+        case 'csv':
+          await exportService.exportWithTimestamp('csv', toCsvRows(state.chartData), filename)
+          break
+        case 'complete':
+          await exportService.exportWithTimestamp('complete', containerRef.current, filename)
+          break
+        default:
+          throw new Error(`Unknown export format: ${format}`)
+      }
+      console.log(`📤 Exported ${filename} as ${format}`)
+    } catch (error) {
+      console.error('❌ Export failed:', error)
+    }
+  }, [state.selectedIndicator, state.chartType, state.chartData])
+
+  const ChartComponent = CHART_COMPONENTS[state.chartType] || TimeSeriesChart
+
+  return (
+    <div ref={containerRef} className="comparison-workspace">
+      <LinkedSelectionBar />
+
+      <ComparisonLayout>
+        <LayoutHeader>
+          <ComparisonHeader
+            onOpenFilters={() => setFilterPanelOpen(true)}
+            onExport={handleExport}
+          />
+        </LayoutHeader>
+
+        <LayoutTopMetrics>
+          <TopMetricCards />
+        </LayoutTopMetrics>
+
+        <LayoutMainChart>
+          <div ref={chartRef} className="comparison-workspace-chart">
+            <ChartContainer>
+              <ChartComponent
+                key={`${state.chartType}-${state.selectedIndicator}`}
+                width={chartSize.width}
+                height={chartSize.height}
+              />
+            </ChartContainer>
+          </div>
+        </LayoutMainChart>
+
+        <LayoutBottomMetrics>
+          <BottomMetricCards />
+        </LayoutBottomMetrics>
+
+        <LayoutRightSidebar>
+          <RightSidebar />
+        </LayoutRightSidebar>
+      </ComparisonLayout>
+
+      <FilterPanel
+        isOpen={filterPanelOpen}
+        onClose={() => setFilterPanelOpen(false)}
+        currentFilters={state.filters}
+        onApply={actions.setFilters}
+        filteredCount={state.chartData ? Object.keys(state.chartData.countries).length : 0}
+        totalCount={state.chartData?.availableCountries || 0}
+      />
+    </div>
+  )
+}
+
+const ComparisonWorkspace = ({ onLoadingChange }) => {
+  return (
+    <ComparisonProvider onLoadingChange={onLoadingChange}>
+      <WorkspaceContent />
+    </ComparisonProvider>
+  )
+}
+
+export default ComparisonWorkspace
@@ -4,6 +4,7 @@
  * Features:
  * - Region filter (same regions as Spending module)
  * - Income level filter
+ * - Country group filter (presets and saved groups, with the group editor)
  * - Data availability filter
  * - Shows filtered country count
  * - Apply/Reset buttons
@@ -14,15 +15,10 @@
 import { useState, useEffect, useRef } from 'react'
 import { REGIONS } from '../../../utils/regionMapping.js'
 import FocusTrap from './FocusTrap.jsx'
+import { INCOME_LEVELS, incomeClassificationService } from '../../../shared/services/IncomeClassificationService.js'
+import CountryGroupSelect from '../../../shared/components/CountryGroupSelect.jsx'
 import '../styles/FilterPanel.css'
 
-const INCOME_LEVELS = [
-  { id: 'high', label: 'High Income' },
-  { id: 'upper-middle', label: 'Upper Middle Income' },
-  { id: 'lower-middle', label: 'Lower Middle Income' },
-  { id: 'low', label: 'Low Income' }
-]
-
 const DATA_AVAILABILITY_OPTIONS = [
   { id: 'all', label: 'All Countries' },
   { id: 'complete', label: 'Complete Data Only' },
@@ -33,6 +29,7 @@ const FilterPanel = ({ isOpen, onClose, currentFilters, onApply, filteredCount,
   const [localFilters, setLocalFilters] = useState({
     regions: [],
     incomeLevel: [],
+    countryGroup: null,
     dataAvailability: 'all'
   })
 
@@ -44,6 +41,7 @@ const FilterPanel = ({ isOpen, onClose, currentFilters, onApply, filteredCount,
       setLocalFilters({
         regions: currentFilters.regions || [],
         incomeLevel: currentFilters.incomeLevel || [],
+        countryGroup: currentFilters.countryGroup || null,
         dataAvailability: currentFilters.dataAvailability || 'all'
       })
     }
@@ -95,6 +93,14 @@ const FilterPanel = ({ isOpen, onClose, currentFilters, onApply, filteredCount,
     }))
   }
 
+  // Handle country group change
+  const handleCountryGroupChange = (groupId) => {
+    setLocalFilters(prev => ({
+      ...prev,
+      countryGroup: groupId
+    }))
+  }
+
   // Handle data availability change
   const handleDataAvailabilityChange = (availability) => {
     setLocalFilters(prev => ({
@@ -114,6 +120,7 @@ const FilterPanel = ({ isOpen, onClose, currentFilters, onApply, filteredCount,
     const resetFilters = {
       regions: [],
       incomeLevel: [],
+      countryGroup: null,
       dataAvailability: 'all'
     }
     setLocalFilters(resetFilters)
@@ -124,6 +131,7 @@ const FilterPanel = ({ isOpen, onClose, currentFilters, onApply, filteredCount,
   const activeFilterCount = 
     localFilters.regions.length + 
     localFilters.incomeLevel.length + 
+    (localFilters.countryGroup ? 1 : 0) +
     (localFilters.dataAvailability !== 'all' ? 1 : 0)
 
   if (!isOpen) return null
@@ -195,6 +203,19 @@ const FilterPanel = ({ isOpen, onClose, currentFilters, onApply, filteredCount,
                 </label>
               ))}
             </div>
+            <p className="filter-section-note">
+              {incomeClassificationService.getSourceNote()}, in the last year of the range
+            </p>
+          </div>
+
+          {/* Country Group Filter */}
+          <div className="filter-section">
+            <h3 className="filter-section-title">Country Group</h3>
+            <CountryGroupSelect
+              id="comparison-country-group"
+              value={localFilters.countryGroup}
+              onChange={handleCountryGroupChange}
+            />
           </div>
 
           {/* Data Availability Filter */}
@@ -0,0 +1,421 @@
+/**
+ * FiscalElasticityPanel.jsx - Lead/lag analysis of spending and GDP growth
+ *
+ * Features:
+ * - Cross-correlation of spending growth and GDP growth at lags -3..+3 with 95% intervals
+ * - Elasticity of spending to GDP (slope of spending growth on GDP growth)
+ * - Rolling-window correlation chart with the significance threshold
+ * - CSV export of every table
+ *
+ * Computed on the joined GDP and expense data of GdpExpenseDataService, for a country
+ * (in local currency or USD) or an aggregate (chain-linked USD sums of its members).
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react'
+import * as d3 from 'd3'
+import FocusTrap from './FocusTrap.jsx'
+import { loadJoinedGdpExpenseData, buildGrowthSeries } from '../services/GdpExpenseDataService.js'
+import { exportService } from '../services/ExportService.js'
+import {
+  fiscalElasticityService,
+  describeCorrelation,
+  describeLag,
+  ROLLING_WINDOWS,
+  DEFAULT_ELASTICITY_OPTIONS
+} from '../../../shared/services/FiscalElasticityService.js'
+import { aggregationService } from '../../../shared/services/AggregationService.js'
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
+import '../styles/FiscalElasticityPanel.css'
+
+const formatR = (r) => (r === null || r === undefined ? '–' : r.toFixed(2))
+const formatP = (p) => (p === null || p === undefined ? '–' : p < 0.001 ? '<0.001' : p.toFixed(3))
+const formatSigned = (value, digits = 2) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`
+
+function FiscalElasticityPanel({ country, yearRange, onClose }) {
+  const [joined, setJoined] = useState(null)
+  const [error, setError] = useState(null)
+  const [basis, setBasis] = useState('local')
+  const [rollingWindow, setRollingWindow] = useState(DEFAULT_ELASTICITY_OPTIONS.window)
+  const lagChartRef = useRef(null)
+  const rollingChartRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    loadJoinedGdpExpenseData()
+      .then(rows => !cancelled && setJoined(rows))
+      .catch(err => !cancelled && setError(err.message || 'Failed to load GDP and expense data'))
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const aggregate = aggregationService.getAggregate(country)
+  const label = aggregate ? aggregate.name : country
+
+  // Aggregate membership as of the last year shown (income groups change over time)
+  const members = useMemo(() => {
+    if (aggregationService.isAggregate(country)) return aggregationService.getMembers(country, yearRange[1])
+    const iso3 = getIso3(country)
+    return iso3 ? [iso3] : []
+  }, [country, yearRange])
+
+  const series = useMemo(
+    () => (joined ? buildGrowthSeries(joined, members, { basis, yearRange }) : null),
+    [joined, members, basis, yearRange]
+  )
+
+  const analysis = useMemo(
+    () => (series ? fiscalElasticityService.analyze({ growth: series.growth }, { window: rollingWindow }) : null),
+    [series, rollingWindow]
+  )
+
+  // Cross-correlation bars with 95% interval whiskers
+  useEffect(() => {
+    if (!lagChartRef.current) return
+    const svg = d3.select(lagChartRef.current)
+    svg.selectAll('*').remove()
+    if (!analysis) return
+
+    const width = lagChartRef.current.clientWidth || 360
+    const height = 180
+    const margin = { top: 10, right: 10, bottom: 30, left: 36 }
+    const innerWidth = width - margin.left - margin.right
+    const innerHeight = height - margin.top - margin.bottom
+    svg.attr('width', width).attr('height', height)
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`)
+    const x = d3.scaleBand()
+      .domain(analysis.crossCorrelation.map(d => d.lag))
+      .range([0, innerWidth])
+      .padding(0.35)
+    const y = d3.scaleLinear().domain([-1, 1]).range([innerHeight, 0])
+
+    g.append('g')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).tickFormat(lag => (lag > 0 ? `+${lag}` : `${lag}`)))
+      .style('font-size', '10px')
+    g.append('g').call(d3.axisLeft(y).ticks(5)).style('font-size', '10px')
+    g.append('line')
+      .attr('x1', 0).attr('x2', innerWidth)
+      .attr('y1', y(0)).attr('y2', y(0))
+      .attr('stroke', '#999')
+    g.append('text')
+      .attr('x', innerWidth / 2)
+      .attr('y', innerHeight + 26)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '10px')
+      .style('fill', '#666')
+      .text('Lag (years; + = spending leads GDP)')
+
+    const bars = g.selectAll('.lag-bar')
+      .data(analysis.crossCorrelation.filter(d => d.r !== null))
+      .enter()
+      .append('g')
+      .attr('class', 'lag-bar')
+
+    bars.append('rect')
+      .attr('x', d => x(d.lag))
+      .attr('width', x.bandwidth())
+      .attr('y', d => y(Math.max(0, d.r)))
+      .attr('height', d => Math.abs(y(d.r) - y(0)))
+      .attr('fill', d => (d.significant ? '#667eea' : '#c3cbf5'))
+      .append('title')
+      .text(d => `${describeLag(d.lag)}\nr = ${formatR(d.r)} (95% CI ${formatR(d.lower)} to ${formatR(d.upper)})\np = ${formatP(d.p)}, ${d.n} pairs`)
+
+    bars.append('line')
+      .attr('x1', d => x(d.lag) + x.bandwidth() / 2)
+      .attr('x2', d => x(d.lag) + x.bandwidth() / 2)
+      .attr('y1', d => y(d.lower))
+      .attr('y2', d => y(d.upper))
+      .attr('stroke', '#2d3748')
+      .attr('stroke-width', 1)
+      .style('pointer-events', 'none')
+  }, [analysis])
+
+  // Rolling correlation with the significance threshold of one window
+  useEffect(() => {
+    if (!rollingChartRef.current) return
+    const svg = d3.select(rollingChartRef.current)
+    svg.selectAll('*').remove()
+    if (!analysis || analysis.rolling.length === 0) return
+
+    const width = rollingChartRef.current.clientWidth || 360
+    const height = 180
+    const margin = { top: 10, right: 10, bottom: 30, left: 36 }
+    const innerWidth = width - margin.left - margin.right
+    const innerHeight = height - margin.top - margin.bottom
+    svg.attr('width', width).attr('height', height)
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`)
+    const rolling = analysis.rolling
+    const x = rolling.length > 1
+      ? d3.scaleLinear().domain(d3.extent(rolling, d => d.year)).range([0, innerWidth])
+      : d3.scaleLinear().domain([rolling[0].year - 1, rolling[0].year + 1]).range([0, innerWidth])
+    const y = d3.scaleLinear().domain([-1, 1]).range([innerHeight, 0])
+    const critical = rolling[0].critical
+
+    if (critical) {
+      g.append('rect')
+        .attr('x', 0)
+        .attr('width', innerWidth)
+        .attr('y', y(critical))
+        .attr('height', y(-critical) - y(critical))
+        .attr('fill', '#f1f5f9')
+      ;[critical, -critical].forEach(value => {
+        g.append('line')
+          .attr('x1', 0).attr('x2', innerWidth)
+          .attr('y1', y(value)).attr('y2', y(value))
+          .attr('stroke', '#94a3b8')
+          .attr('stroke-dasharray', '4,3')
+      })
+    }
+
+    g.append('g')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).tickFormat(d3.format('d')).ticks(Math.min(rolling.length, 8)))
+      .style('font-size', '10px')
+    g.append('g').call(d3.axisLeft(y).ticks(5)).style('font-size', '10px')
+
+    g.append('path')
+      .datum(rolling)
+      .attr('fill', 'none')
+      .attr('stroke', '#667eea')
+      .attr('stroke-width', 2)
+      .attr('d', d3.line().x(d => x(d.year)).y(d => y(d.r)))
+
+    g.selectAll('.rolling-point')
+      .data(rolling)
+      .enter()
+      .append('circle')
+      .attr('class', 'rolling-point')
+      .attr('cx', d => x(d.year))
+      .attr('cy', d => y(d.r))
+      .attr('r', 3)
+      .attr('fill', d => (d.significant ? '#667eea' : 'white'))
+      .attr('stroke', '#667eea')
+      .append('title')
+      .text(d => `${d.startYear}-${d.year}: r = ${formatR(d.r)}, p = ${formatP(d.p)}`)
+
+    g.append('text')
+      .attr('x', innerWidth / 2)
+      .attr('y', innerHeight + 26)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '10px')
+      .style('fill', '#666')
+      .text(`Last year of each ${analysis.window}-year window`)
+  }, [analysis])
+
+  const fileBase = `fiscal-linkage-${(aggregate ? aggregate.code : getIso3(country) || country).toString().toLowerCase()}`
+
+  const exportTable = (name, rows) => {
+    exportService.exportCSV(rows, `${fileBase}-${name}`).catch(err => {
+      console.error('Fiscal linkage export failed:', err)
+      alert('Failed to export the table. Please try again.')
+    })
+  }
+
+  const lagRows = () => analysis.crossCorrelation.map(d => ({
+    lag: d.lag,
+    relationship: describeLag(d.lag),
+    correlation: d.r,
+    ci_lower: d.lower,
+    ci_upper: d.upper,
+    pairs: d.n,
+    effective_n: d.effectiveN !== undefined ? Number(d.effectiveN.toFixed(1)) : null,
+    p_value: d.p,
+    significant: d.significant
+  }))
+
+  const elasticityRows = () => {
+    const e = analysis.elasticity
+    return e ? [{
+      elasticity: e.elasticity,
+      ci_lower: e.lower,
+      ci_upper: e.upper,
+      std_error: e.se,
+      t_stat: e.t,
+      p_value: e.p,
+      r_squared: e.r2,
+      years: e.n,
+      basis: series.basis
+    }] : []
+  }
+
+  const rollingRows = () => analysis.rolling.map(d => ({
+    window_start: d.startYear,
+    window_end: d.year,
+    correlation: d.r,
+    p_value: d.p,
+    critical_r: d.critical,
+    significant: d.significant
+  }))
+
+  const growthRows = () => analysis.growth.map(d => ({
+    year: d.year,
+    spending_growth_pct: d.spending,
+    gdp_growth_pct: d.gdp,
+    reporting_countries: d.members
+  }))
+
+  const sameYear = analysis?.crossCorrelation.find(d => d.lag === 0)
+  const elasticity = analysis?.elasticity
+
+  return (
+    <>
+      <div className="fiscal-panel-overlay" onClick={onClose} />
+      <div className="fiscal-panel" role="dialog" aria-modal="true" aria-labelledby="fiscal-panel-title">
+        <FocusTrap>
+          <div className="fiscal-panel-header">
+            <div>
+              <h3 id="fiscal-panel-title">📐 Spending and GDP growth: {label}</h3>
+              <div className="fiscal-panel-subtitle">
+                Lead/lag correlation, elasticity and rolling correlation of yearly growth, {yearRange[0]}-{yearRange[1]}
+              </div>
+            </div>
+            <button className="close-btn" onClick={onClose} title="Close" aria-label="Close">×</button>
+          </div>
+
+          <div className="fiscal-panel-controls">
+            <label>
+              Values
+              <select
+                value={aggregate ? 'usd' : basis}
+                onChange={(e) => setBasis(e.target.value)}
+                disabled={!!aggregate}
+                title={aggregate ? 'Groups add up members in USD' : 'Local currency avoids exchange-rate swings moving both series together'}
+              >
+                <option value="local">Local currency</option>
+                <option value="usd">USD</option>
+              </select>
+            </label>
+            <label>
+              Rolling window
+              <select value={rollingWindow} onChange={(e) => setRollingWindow(parseInt(e.target.value))}>
+                {ROLLING_WINDOWS.map(years => (
+                  <option key={years} value={years}>{years} years</option>
+                ))}
+              </select>
+            </label>
+            {analysis && (
+              <div className="fiscal-panel-exports">
+                <span>⬇️ CSV:</span>
+                <button onClick={() => exportTable('lags', lagRows())}>Lags</button>
+                <button onClick={() => exportTable('elasticity', elasticityRows())} disabled={!elasticity}>Elasticity</button>
+                <button onClick={() => exportTable('rolling', rollingRows())} disabled={analysis.rolling.length === 0}>Rolling</button>
+                <button onClick={() => exportTable('growth', growthRows())}>Growth</button>
+              </div>
+            )}
+          </div>
+
+          {error && <div className="fiscal-panel-message error">{error}</div>}
+          {!error && !joined && <div className="fiscal-panel-message">Loading GDP and expense data...</div>}
+          {joined && !analysis && (
+            <div className="fiscal-panel-message">
+              Not enough consecutive years with both GDP and spending for {label} in {yearRange[0]}-{yearRange[1]}
+            </div>
+          )}
+
+          {analysis && (
+            <>
+              <div className="fiscal-panel-cards">
+                <div className="fiscal-card">
+                  <div className="fiscal-card-label">Strongest link</div>
+                  <div className="fiscal-card-value">{analysis.peak ? describeLag(analysis.peak.lag) : '–'}</div>
+                  {analysis.peak && (
+                    <div className="fiscal-card-note">
+                      r = {formatR(analysis.peak.r)}, p = {formatP(analysis.peak.p)}
+                      {analysis.peak.significant ? '' : ' (not significant)'}
+                    </div>
+                  )}
+                </div>
+                <div className="fiscal-card">
+                  <div className="fiscal-card-label">Elasticity of spending to GDP</div>
+                  <div className="fiscal-card-value">{elasticity ? elasticity.elasticity.toFixed(2) : '–'}</div>
+                  {elasticity && (
+                    <div className="fiscal-card-note">
+                      95% CI {elasticity.lower.toFixed(2)} to {elasticity.upper.toFixed(2)}, p = {formatP(elasticity.p)}, R² = {elasticity.r2 !== null ? elasticity.r2.toFixed(2) : '–'}
+                    </div>
+                  )}
+                </div>
+                <div className="fiscal-card">
+                  <div className="fiscal-card-label">Same-year correlation</div>
+                  <div className="fiscal-card-value">{formatR(sameYear?.r)}</div>
+                  <div className="fiscal-card-note">{describeCorrelation(sameYear?.r)}, {analysis.growth.length} years of growth</div>
+                </div>
+              </div>
+
+              <div className="fiscal-panel-charts">
+                <div className="fiscal-chart">
+                  <div className="fiscal-chart-title">Cross-correlation by lag</div>
+                  <svg ref={lagChartRef} className="fiscal-chart-svg" />
+                </div>
+                <div className="fiscal-chart">
+                  <div className="fiscal-chart-title">Rolling {analysis.window}-year correlation (same year)</div>
+                  {analysis.rolling.length === 0 ? (
+                    <div className="fiscal-panel-message">Fewer than {analysis.window} consecutive years of growth</div>
+                  ) : (
+                    <svg ref={rollingChartRef} className="fiscal-chart-svg" />
+                  )}
+                </div>
+              </div>
+
+              <table className="fiscal-table">
+                <thead>
+                  <tr>
+                    <th>Lag</th>
+                    <th>Relationship</th>
+                    <th>r</th>
+                    <th>95% CI</th>
+                    <th>Pairs</th>
+                    <th>p-value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analysis.crossCorrelation.map(d => (
+                    <tr key={d.lag} className={d.significant ? 'significant' : ''}>
+                      <td>{d.lag > 0 ? `+${d.lag}` : d.lag}</td>
+                      <td>{describeLag(d.lag)}</td>
+                      <td>{formatR(d.r)}</td>
+                      <td>{d.r === null ? '–' : `${formatR(d.lower)} to ${formatR(d.upper)}`}</td>
+                      <td>{d.n}</td>
+                      <td>{formatP(d.p)}{d.significant ? ' *' : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="fiscal-panel-notes">
+                <p>
+                  Growth is the yearly log change in {series.basis === 'local' ? 'local currency (GDP converted with the exchange rate implied by the expense data)' : 'USD'}
+                  {aggregate ? `, chain-linked over the ${members.length} members reporting both values in consecutive years` : ''}.
+                  Lag k pairs spending growth in year t with GDP growth in year t + k; * marks p &lt; {analysis.alpha}.
+                  Elasticity {elasticity ? formatSigned(elasticity.elasticity) : ''} is the slope of spending growth on same-year GDP growth.
+                </p>
+                <p>
+                  Lag tests use an effective sample size adjusted for autocorrelation. Correlation is not causation: these
+                  are descriptive links, not estimated fiscal multipliers.
+                </p>
+                {series.excludedYears.length > 0 && (
+                  <p>
+                    Left out: {series.excludedYears.map(d => `${d.year} (${d.reason.toLowerCase()})`).join(', ')}.
+                  </p>
+                )}
+              </div>
+            </>
+          )}
+        </FocusTrap>
+      </div>
+    </>
+  )
+}
+
+export default FiscalElasticityPanel
@@ -6,6 +6,7 @@
  * - Timeline view (years on x-axis)
  * - Interactive tooltips
  * - Formatted axis labels
+ * - Event annotations (crises, currency reforms, user events) on the timeline view
  * 
  * Requirements: Show GDP and expense growth trends over time
  */
@@ -15,78 +16,9 @@ import * as d3 from 'd3'
 import ChartTooltip from './ChartTooltip.jsx'
 import { getNumberFormatter } from '../utils/formatNumber.js'
 import { getCountryData } from '../services/GdpExpenseDataService.js'
-
-// Comprehensive continent mapping - shared across component
-const COUNTRY_TO_CONTINENT = {
-  // North America
-  'United States': 'North America', 'Canada': 'North America', 'Mexico': 'North America',
-  'Costa Rica': 'North America', 'Panama': 'North America', 'Guatemala': 'North America',
-  'Honduras': 'North America', 'Nicaragua': 'North America', 'El Salvador': 'North America',
-  'Belize': 'North America', 'Jamaica': 'North America', 'Trinidad and Tobago': 'North America',
-  'Bahamas': 'North America', 'Barbados': 'North America', 'Dominican Republic': 'North America',
-  'Haiti': 'North America', 'Cuba': 'North America',
-  
-  // South America
-  'Brazil': 'South America', 'Argentina': 'South America', 'Chile': 'South America',
-  'Colombia': 'South America', 'Peru': 'South America', 'Venezuela': 'South America',
-  'Ecuador': 'South America', 'Bolivia': 'South America', 'Paraguay': 'South America',
-  'Uruguay': 'South America', 'Guyana': 'South America', 'Suriname': 'South America',
-  'French Guiana': 'South America',
-  
-  // Europe
-  'United Kingdom': 'Europe', 'Germany': 'Europe', 'France': 'Europe', 'Italy': 'Europe',
-  'Spain': 'Europe', 'Poland': 'Europe', 'Romania': 'Europe', 'Netherlands': 'Europe',
-  'Belgium': 'Europe', 'Greece': 'Europe', 'Portugal': 'Europe', 'Czech Republic': 'Europe',
-  'Hungary': 'Europe', 'Sweden': 'Europe', 'Austria': 'Europe', 'Bulgaria': 'Europe',
-  'Denmark': 'Europe', 'Finland': 'Europe', 'Slovakia': 'Europe', 'Norway': 'Europe',
-  'Ireland': 'Europe', 'Croatia': 'Europe', 'Bosnia and Herzegovina': 'Europe',
-  'Albania': 'Europe', 'Lithuania': 'Europe', 'Slovenia': 'Europe', 'Latvia': 'Europe',
-  'Estonia': 'Europe', 'Luxembourg': 'Europe', 'Malta': 'Europe', 'Iceland': 'Europe',
-  'Switzerland': 'Europe', 'Serbia': 'Europe', 'Montenegro': 'Europe',
-  'North Macedonia': 'Europe', 'Moldova': 'Europe', 'Belarus': 'Europe',
-  'Ukraine': 'Europe', 'Russia': 'Europe', 'Kosovo': 'Europe',
-  
-  // Asia
-  'China': 'Asia', 'India': 'Asia', 'Japan': 'Asia', 'South Korea': 'Asia',
-  'Indonesia': 'Asia', 'Pakistan': 'Asia', 'Bangladesh': 'Asia', 'Philippines': 'Asia',
-  'Vietnam': 'Asia', 'Thailand': 'Asia', 'Myanmar': 'Asia', 'Iraq': 'Asia',
-  'Afghanistan': 'Asia', 'Saudi Arabia': 'Asia', 'Malaysia': 'Asia', 'Nepal': 'Asia',
-  'Yemen': 'Asia', 'North Korea': 'Asia', 'Sri Lanka': 'Asia', 'Cambodia': 'Asia',
-  'Jordan': 'Asia', 'Azerbaijan': 'Asia', 'United Arab Emirates': 'Asia',
-  'Tajikistan': 'Asia', 'Israel': 'Asia', 'Laos': 'Asia', 'Lebanon': 'Asia',
-  'Singapore': 'Asia', 'Oman': 'Asia', 'Kuwait': 'Asia', 'Georgia': 'Asia',
-  'Mongolia': 'Asia', 'Armenia': 'Asia', 'Qatar': 'Asia', 'Bahrain': 'Asia',
-  'East Timor': 'Asia', 'Cyprus': 'Asia', 'Bhutan': 'Asia', 'Maldives': 'Asia',
-  'Brunei': 'Asia', 'Syria': 'Asia', 'Palestine': 'Asia', 'Kazakhstan': 'Asia',
-  'Uzbekistan': 'Asia', 'Turkmenistan': 'Asia', 'Kyrgyzstan': 'Asia',
-  'Turkey': 'Asia', 'Iran': 'Asia', 'Timor-Leste': 'Asia',
-  
-  // Africa
-  'Nigeria': 'Africa', 'Ethiopia': 'Africa', 'Egypt': 'Africa', 'South Africa': 'Africa',
-  'Kenya': 'Africa', 'Democratic Republic of the Congo': 'Africa', 'Tanzania': 'Africa',
-  'Uganda': 'Africa', 'Algeria': 'Africa', 'Sudan': 'Africa', 'Morocco': 'Africa',
-  'Angola': 'Africa', 'Ghana': 'Africa', 'Mozambique': 'Africa', 'Madagascar': 'Africa',
-  'Cameroon': 'Africa', 'Ivory Coast': 'Africa', 'Niger': 'Africa',
-  'Burkina Faso': 'Africa', 'Mali': 'Africa', 'Malawi': 'Africa', 'Zambia': 'Africa',
-  'Senegal': 'Africa', 'Somalia': 'Africa', 'Chad': 'Africa', 'Zimbabwe': 'Africa',
-  'Guinea': 'Africa', 'Rwanda': 'Africa', 'Benin': 'Africa', 'Tunisia': 'Africa',
-  'Burundi': 'Africa', 'South Sudan': 'Africa', 'Togo': 'Africa',
-  'Sierra Leone': 'Africa', 'Libya': 'Africa', 'Liberia': 'Africa',
-  'Mauritania': 'Africa', 'Central African Republic': 'Africa', 'Eritrea': 'Africa',
-  'Gambia': 'Africa', 'Botswana': 'Africa', 'Namibia': 'Africa', 'Gabon': 'Africa',
-  'Lesotho': 'Africa', 'Guinea-Bissau': 'Africa', 'Equatorial Guinea': 'Africa',
-  'Mauritius': 'Africa', 'Eswatini': 'Africa', 'Djibouti': 'Africa',
-  'Comoros': 'Africa', 'Cape Verde': 'Africa', 'Sao Tome and Principe': 'Africa',
-  'Seychelles': 'Africa', 'Réunion': 'Africa', 'Mayotte': 'Africa',
-  
-  // Oceania
-  'Australia': 'Oceania', 'Papua New Guinea': 'Oceania', 'New Zealand': 'Oceania',
-  'Fiji': 'Oceania', 'Solomon Islands': 'Oceania', 'Micronesia': 'Oceania',
-  'Vanuatu': 'Oceania', 'Samoa': 'Oceania', 'Kiribati': 'Oceania', 'Tonga': 'Oceania',
-  'Palau': 'Oceania', 'Marshall Islands': 'Oceania', 'Tuvalu': 'Oceania',
-  'Nauru': 'Oceania', 'French Polynesia': 'Oceania', 'New Caledonia': 'Oceania',
-  'Guam': 'Oceania'
-}
+import { getContinent } from '../../../shared/utils/CountryRegistry.js'
+import { useAnnotations } from '../../../shared/hooks/useAnnotations.js'
+import { drawAnnotations } from '../../../shared/utils/AnnotationLayer.js'
 
 export function GdpExpenseChart({ selectedCountry, data, chartType = 'line', width, height }) {
   // Use dynamic dimensions for bubble chart, fixed for line chart
@@ -139,6 +71,11 @@ export function GdpExpenseChart({ selectedCountry, data, chartType = 'line', wid
     }
   }, [data, selectedCountry])
 
+  const annotations = useAnnotations(
+    selectedCountry && selectedCountry !== 'WORLD' ? [selectedCountry] : [],
+    chartData?.years.length ? d3.extent(chartData.years) : null
+  )
+
   // Render bubble chart - force-directed layout with no axes
   const renderScatterPlot = useCallback((svg, chartData, scales, margin, innerWidth, innerHeight, allData) => {
     // Ignore scales for bubble chart - we'll use force simulation
@@ -154,203 +91,6 @@ export function GdpExpenseChart({ selectedCountry, data, chartType = 'line', wid
       'Unknown': { light: '#e0e0e0', dark: '#6b6b6b' }
     }
     
-    // Use shared continent mapping
-    const countryToContinent = COUNTRY_TO_CONTINENT
-    
-    const _unused = {
-      // North America
-      'United States': 'North America',
-      'Canada': 'North America',
-      'Mexico': 'North America',
-      'Costa Rica': 'North America',
-      'Panama': 'North America',
-      'Guatemala': 'North America',
-      'Honduras': 'North America',
-      'Nicaragua': 'North America',
-      'El Salvador': 'North America',
-      'Belize': 'North America',
-      'Jamaica': 'North America',
-      'Trinidad and Tobago': 'North America',
-      'Bahamas': 'North America',
-      'Barbados': 'North America',
-      
-      // South America
-      'Brazil': 'South America',
-      'Argentina': 'South America',
-      'Chile': 'South America',
-      'Colombia': 'South America',
-      'Peru': 'South America',
-      'Venezuela': 'South America',
-      'Ecuador': 'South America',
-      'Bolivia': 'South America',
-      'Paraguay': 'South America',
-      'Uruguay': 'South America',
-      'Guyana': 'South America',
-      'Suriname': 'South America',
-      
-      // Europe
-      'United Kingdom': 'Europe',
-      'Germany': 'Europe',
-      'France': 'Europe',
-      'Italy': 'Europe',
-      'Spain': 'Europe',
-      'Poland': 'Europe',
-      'Romania': 'Europe',
-      'Netherlands': 'Europe',
-      'Belgium': 'Europe',
-      'Greece': 'Europe',
-      'Portugal': 'Europe',
-      'Czech Republic': 'Europe',
-      'Hungary': 'Europe',
-      'Sweden': 'Europe',
-      'Austria': 'Europe',
-      'Bulgaria': 'Europe',
-      'Denmark': 'Europe',
-      'Finland': 'Europe',
-      'Slovakia': 'Europe',
-      'Norway': 'Europe',
-      'Ireland': 'Europe',
-      'Croatia': 'Europe',
-      'Bosnia and Herzegovina': 'Europe',
-      'Albania': 'Europe',
-      'Lithuania': 'Europe',
-      'Slovenia': 'Europe',
-      'Latvia': 'Europe',
-      'Estonia': 'Europe',
-      'Luxembourg': 'Europe',
-      'Malta': 'Europe',
-      'Iceland': 'Europe',
-      'Switzerland': 'Europe',
-      'Serbia': 'Europe',
-      'Montenegro': 'Europe',
-      'North Macedonia': 'Europe',
-      'Moldova': 'Europe',
-      'Belarus': 'Europe',
-      'Ukraine': 'Europe',
-      'Russia': 'Europe',
-      
-      // Asia
-      'China': 'Asia',
-      'India': 'Asia',
-      'Japan': 'Asia',
-      'South Korea': 'Asia',
-      'Indonesia': 'Asia',
-      'Pakistan': 'Asia',
-      'Bangladesh': 'Asia',
-      'Philippines': 'Asia',
-      'Vietnam': 'Asia',
-      'Thailand': 'Asia',
-      'Myanmar': 'Asia',
-      'Iraq': 'Asia',
-      'Afghanistan': 'Asia',
-      'Saudi Arabia': 'Asia',
-      'Malaysia': 'Asia',
-      'Nepal': 'Asia',
-      'Yemen': 'Asia',
-      'North Korea': 'Asia',
-      'Sri Lanka': 'Asia',
-      'Cambodia': 'Asia',
-      'Jordan': 'Asia',
-      'Azerbaijan': 'Asia',
-      'United Arab Emirates': 'Asia',
-      'Tajikistan': 'Asia',
-      'Israel': 'Asia',
-      'Laos': 'Asia',
-      'Lebanon': 'Asia',
-      'Singapore': 'Asia',
-      'Oman': 'Asia',
-      'Kuwait': 'Asia',
-      'Georgia': 'Asia',
-      'Mongolia': 'Asia',
-      'Armenia': 'Asia',
-      'Qatar': 'Asia',
-      'Bahrain': 'Asia',
-      'East Timor': 'Asia',
-      'Cyprus': 'Asia',
-      'Bhutan': 'Asia',
-      'Maldives': 'Asia',
-      'Brunei': 'Asia',
-      'Syria': 'Asia',
-      'Palestine': 'Asia',
-      'Kazakhstan': 'Asia',
-      'Uzbekistan': 'Asia',
-      'Turkmenistan': 'Asia',
-      'Kyrgyzstan': 'Asia',
-      'Turkey': 'Asia',
-      'Iran': 'Asia',
-      
-      // Africa
-      'Nigeria': 'Africa',
-      'Ethiopia': 'Africa',
-      'Egypt': 'Africa',
-      'Democratic Republic of the Congo': 'Africa',
-      'Tanzania': 'Africa',
-      'South Africa': 'Africa',
-      'Kenya': 'Africa',
-      'Uganda': 'Africa',
-      'Algeria': 'Africa',
-      'Sudan': 'Africa',
-      'Morocco': 'Africa',
-      'Angola': 'Africa',
-      'Ghana': 'Africa',
-      'Mozambique': 'Africa',
-      'Madagascar': 'Africa',
-      'Cameroon': 'Africa',
-      'Ivory Coast': 'Africa',
-      'Niger': 'Africa',
-      'Burkina Faso': 'Africa',
-      'Mali': 'Africa',
-      'Malawi': 'Africa',
-      'Zambia': 'Africa',
-      'Senegal': 'Africa',
-      'Somalia': 'Africa',
-      'Chad': 'Africa',
-      'Zimbabwe': 'Africa',
-      'Guinea': 'Africa',
-      'Rwanda': 'Africa',
-      'Benin': 'Africa',
-      'Tunisia': 'Africa',
-      'Burundi': 'Africa',
-      'South Sudan': 'Africa',
-      'Togo': 'Africa',
-      'Sierra Leone': 'Africa',
-      'Libya': 'Africa',
-      'Liberia': 'Africa',
-      'Mauritania': 'Africa',
-      'Central African Republic': 'Africa',
-      'Eritrea': 'Africa',
-      'Gambia': 'Africa',
-      'Botswana': 'Africa',
-      'Namibia': 'Africa',
-      'Gabon': 'Africa',
-      'Lesotho': 'Africa',
-      'Guinea-Bissau': 'Africa',
-      'Equatorial Guinea': 'Africa',
-      'Mauritius': 'Africa',
-      'Eswatini': 'Africa',
-      'Djibouti': 'Africa',
-      'Comoros': 'Africa',
-      'Cape Verde': 'Africa',
-      'Sao Tome and Principe': 'Africa',
-      'Seychelles': 'Africa',
-      
-      // Oceania
-      'Australia': 'Oceania',
-      'Papua New Guinea': 'Oceania',
-      'New Zealand': 'Oceania',
-      'Fiji': 'Oceania',
-      'Solomon Islands': 'Oceania',
-      'Micronesia': 'Oceania',
-      'Vanuatu': 'Oceania',
-      'Samoa': 'Oceania',
-      'Kiribati': 'Oceania',
-      'Tonga': 'Oceania',
-      'Palau': 'Oceania',
-      'Marshall Islands': 'Oceania',
-      'Tuvalu': 'Oceania',
-      'Nauru': 'Oceania'
-    }
-    
     // Create bubble data - one bubble per country (aggregate latest year data)
     const bubbleData = []
     
@@ -424,7 +164,7 @@ export function GdpExpenseChart({ selectedCountry, data, chartType = 'line', wid
           expenseGrowth: overallExpenseGrowth,
           gdpGrowth: overallGdpGrowth,
           growthDiff: Math.max(growthDiff, 2), // Minimum size of 2 for visibility
-          continent: countryToContinent[country] || 'Unknown'
+          continent: getContinent(country)
         })
       })
       
@@ -703,6 +443,9 @@ export function GdpExpenseChart({ selectedCountry, data, chartType = 'line', wid
       renderScatterPlot(svg, chartData, { xScale, yScale }, margin, innerWidth, innerHeight, data)
     } else {
       // Render line chart (default)
+      // Events go under the lines so the data points stay hoverable
+      drawAnnotations(g, annotations, { x: xScale, height: innerHeight })
+
       // Line generators with defined check to skip null/undefined values
       const gdpLine = d3.line()
         .defined(d => d && d.year && d.value && !isNaN(d.value) && d.value > 0)
@@ -1030,7 +773,7 @@ export function GdpExpenseChart({ selectedCountry, data, chartType = 'line', wid
     }
 
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [chartData, chartWidth, chartHeight, selectedCountry, chartType, data, selectedContinent, currentYear])
+  }, [chartData, chartWidth, chartHeight, selectedCountry, chartType, data, selectedContinent, currentYear, annotations])
 
   if (!chartData) {
     return (
@@ -1046,12 +789,12 @@ export function GdpExpenseChart({ selectedCountry, data, chartType = 'line', wid
     
     const { gdpData, expenseData } = data
     
-    // Use shared continent mapping and get all countries from actual data
+    // Get all countries from actual data; continents come from the country registry
     const allCountries = [...new Set(gdpData.map(d => d.countryName))]
     
     // Filter to only countries in the selected continent
     const continentCountries = allCountries.filter(country => 
-      COUNTRY_TO_CONTINENT[country] === selectedContinent
+      getContinent(country) === selectedContinent
     )
     
     console.log(`${selectedContinent}: Found ${continentCountries.length} countries`, continentCountries.slice(0, 5))
@@ -0,0 +1,77 @@
+/**
+ * IndicatorDropdown - Selector for the indicator analysed in the comparison workspace
+ *
+ * Features:
+ * - Every INDICATOR_METADATA indicator, grouped by spending category
+ * - Same overlay-select presentation as ChartTypeDropdown
+ */
+
+import React from 'react'
+import { useComparison } from '../context/ComparisonContext.jsx'
+import { INDICATOR_METADATA, CATEGORY_DESCRIPTIONS } from '../../spending/services/UnifiedDataService.js'
+
+// Indicators grouped by category, in metadata order
+const INDICATOR_GROUPS = Object.entries(INDICATOR_METADATA).reduce((groups, [code, metadata]) => {
+  if (!groups[metadata.category]) groups[metadata.category] = []
+  groups[metadata.category].push({ code, ...metadata })
+  return groups
+}, {})
+
+const IndicatorDropdown = () => {
+  const { state, actions } = useComparison()
+  const { selectedIndicator } = state
+
+  const handleChange = (event) => {
+    actions.setSelectedIndicator(event.target.value)
+  }
+
+  const selected = INDICATOR_METADATA[selectedIndicator] || INDICATOR_METADATA.GE
+
+  return (
+    <div className="chart-type-dropdown-container indicator-dropdown-container">
+      <label htmlFor="indicator-select" className="chart-type-label">
+        Indicator:
+      </label>
+      <select
+        id="indicator-select"
+        className="chart-type-dropdown"
+        value={selectedIndicator}
+        onChange={handleChange}
+        aria-label="Select indicator"
+      >
+        {Object.entries(INDICATOR_GROUPS).map(([category, indicators]) => (
+          <optgroup key={category} label={CATEGORY_DESCRIPTIONS[category] || category}>
+            {indicators.map(indicator => (
+              <option key={indicator.code} value={indicator.code}>
+                {indicator.name} ({indicator.code})
+              </option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+
+      <div className="chart-type-display" aria-hidden="true">
+        <span className="chart-type-icon">{selected.icon}</span>
+        <div className="chart-type-info">
+          <span className="chart-type-name">{selected.name}</span>
+          <span className="chart-type-desc">{selectedIndicator} · {selected.category}</span>
+        </div>
+        <svg
+          className="dropdown-arrow"
+          width="16"
+          height="16"
+          viewBox="0 0 16 16"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        >
+          <polyline points="4 6 8 10 12 6" />
+        </svg>
+      </div>
+    </div>
+  )
+}
+
+export default IndicatorDropdown
@@ -4,19 +4,24 @@
  * Features:
  * - Area chart showing spending-to-GDP ratio
  * - Highlights periods of high/low spending
+ * - Event annotations (crises, currency reforms, user events) for the charted countries
  */
 
 import { useEffect, useRef, useState } from 'react'
 import * as d3 from 'd3'
+import { useAnnotations } from '../../../shared/hooks/useAnnotations.js'
+import { drawAnnotations, annotationsForYear, getAnnotationColor } from '../../../shared/utils/AnnotationLayer.js'
 
 function RatioAreaChart({ 
   data, 
   visibility = { gdp: true, spending: true },
   onHover,
-  highlightYear 
+  highlightYear,
+  countries = [] // Countries whose events are annotated (global events are always shown)
 }) {
   const svgRef = useRef(null)
   const [tooltip, setTooltip] = useState({ show: false, x: 0, y: 0, content: '' })
+  const annotations = useAnnotations(countries, data && data.length > 0 ? d3.extent(data, d => d.year) : null)
   
   useEffect(() => {
     if (!data || data.length === 0 || !svgRef.current) {
@@ -134,6 +139,9 @@ function RatioAreaChart({
       .attr('fill', 'none')
       .attr('pointer-events', 'all')
     
+    // Events above the overlay so their labels can be hovered
+    drawAnnotations(svg, annotations, { x: xScale, height })
+    
     overlay.on('mousemove', function(event) {
       const [mouseX] = d3.pointer(event)
       const year = Math.round(xScale.invert(mouseX))
@@ -143,6 +151,9 @@ function RatioAreaChart({
         const tooltipContent = `
           <div style="font-weight: bold; margin-bottom: 4px;">${year}</div>
           <div style="color: #8b5cf6;">Spending Ratio: ${yearPoint.ratio.toFixed(2)}%</div>
+          ${annotationsForYear(annotations, year)
+            .map(event => `<div style="color: ${getAnnotationColor(event)}; font-size: 10px; margin-top: 2px;">📌 ${event.title}</div>`)
+            .join('')}
         `
         
         setTooltip({
@@ -165,7 +176,7 @@ function RatioAreaChart({
       }
     })
     
-  }, [data, visibility, highlightYear, onHover])
+  }, [data, visibility, highlightYear, onHover, annotations])
   
   return (
     <div className="ratio-area-chart" style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
@@ -2,16 +2,17 @@
  * RightSidebar - Fixed sidebar displaying highlights and insights
  * 
  * Features:
- * - Single section: Top Performers
- * - Fixed position without scrolling
- * - Updates dynamically based on data selection
- * - Notable Trends and Significant Outliers moved to tab section at bottom of page
+ * - Top Performers, Notable Trends and Significant Outliers
+ * - Scrolls within the sidebar grid area
+ * - Updates dynamically with the indicator and filters in the comparison context
  * 
  * Requirements: 5.7, 9.1, 9.2, 9.6, 9.8
  */
 
 import React from 'react'
 import TopPerformers from './TopPerformers.jsx'
+import NotableTrends from './NotableTrends.jsx'
+import SignificantOutliers from './SignificantOutliers.jsx'
 import { useComparison } from '../context/ComparisonContext.jsx'
 
 const RightSidebar = () => {
@@ -35,7 +36,11 @@ const RightSidebar = () => {
       )}
 
       {!loading && !error && (
-        <TopPerformers />
+        <>
+          <TopPerformers />
+          <NotableTrends />
+          <SignificantOutliers />
+        </>
       )}
     </div>
   )
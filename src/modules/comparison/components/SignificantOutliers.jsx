@@ -1,10 +1,10 @@
 /**
- * SignificantOutliers - List of statistical outliers
+ * SignificantOutliers - List of statistical anomalies
  * 
  * Features:
- * - Displays outliers with country, value, reason
- * - Uses ComparisonDataService.identifyOutliers() (IQR method)
- * - Shows deviation from normal range
+ * - Displays anomalies with country, year, value and an explanation
+ * - Uses ComparisonDataService.identifyOutliers() (robust z-scores, change points, redenominations)
+ * - Shows the kind of anomaly and its confidence
  * 
  * Requirements: 9.1, 9.2, 9.4, 9.5, 9.6, 9.7
  */
@@ -12,6 +12,7 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import { useComparison } from '../context/ComparisonContext.jsx'
+import { ANOMALY_METHODS } from '../../../shared/services/AnomalyDetectionService.js'
 
 const SignificantOutliers = () => {
   const { state } = useComparison()
@@ -61,13 +62,15 @@ const SignificantOutliers = () => {
   }
 
   // Get outlier type class
-  const getOutlierClass = (reason) => {
-    return reason.includes('below') ? 'outlier-low' : 'outlier-high'
+  const getOutlierClass = (outlier) => {
+    return outlier.direction === 'low' ? 'outlier-low' : 'outlier-high'
   }
 
   // Get outlier icon
-  const getOutlierIcon = (reason) => {
-    return reason.includes('below') ? '⚠️' : '⭐'
+  const getOutlierIcon = (outlier) => {
+    if (outlier.method === 'redenomination') return '💱'
+    if (outlier.method === 'changePoint') return '🔀'
+    return outlier.direction === 'low' ? '⚠️' : '⭐'
   }
 
   return (
@@ -76,25 +79,26 @@ const SignificantOutliers = () => {
       <div className="outlier-list">
         {outliers.map((outlier, index) => (
           <div 
-            key={`${outlier.country}-${index}`} 
-            className={`outlier-item ${getOutlierClass(outlier.reason)}`}
+            key={`${outlier.country}-${outlier.year}-${index}`} 
+            className={`outlier-item ${getOutlierClass(outlier)}`}
+            title={ANOMALY_METHODS[outlier.method]?.description}
           >
             <div className="outlier-header">
               <span className="outlier-flag" aria-label={`${outlier.country} flag`}>
                 {getCountryFlag(outlier.code)}
               </span>
               <span className="outlier-icon" aria-hidden="true">
-                {getOutlierIcon(outlier.reason)}
+                {getOutlierIcon(outlier)}
               </span>
             </div>
             <div className="outlier-content">
               <div className="outlier-name">{outlier.country}</div>
               <div className="outlier-value">
-                {formatValue(outlier.value)} {unit}
+                {outlier.year}: {formatValue(outlier.value)} {unit}
               </div>
               <div className="outlier-reason">{outlier.reason}</div>
               <div className="outlier-deviation">
-                {outlier.deviation}× IQR deviation
+                {outlier.type} · {Math.round(outlier.confidence * 100)}% confidence
               </div>
             </div>
           </div>
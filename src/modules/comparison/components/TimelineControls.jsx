@@ -0,0 +1,78 @@
+/**
+ * TimelineControls.jsx - Playback controls for year-by-year animation
+ *
+ * Features:
+ * - Play/pause, step back/forward
+ * - Speed selector (frames per second)
+ * - Year scrubber across the whole timeline
+ */
+
+const SPEEDS = [
+  { value: 2000, label: '0.5×' },
+  { value: 1000, label: '1×' },
+  { value: 500, label: '2×' },
+  { value: 250, label: '4×' }
+]
+
+function TimelineControls({ timeline, disabled = false }) {
+  const { times, currentIndex, currentTime, isAnimating, speed, toggle, step, seek, setSpeed } = timeline
+  const hasTimeline = times.length > 1 && !disabled
+
+  return (
+    <div className="timeline-controls" role="group" aria-label="Timeline playback">
+      <button
+        className="animation-button timeline-step"
+        onClick={() => step(-1)}
+        disabled={!hasTimeline || currentIndex <= 0}
+        title="Previous year"
+        aria-label="Previous year"
+      >
+        ⏮️
+      </button>
+      <button
+        className="animation-button"
+        onClick={toggle}
+        disabled={!hasTimeline}
+        title={isAnimating ? 'Pause the year-by-year animation' : 'Animate the data year by year'}
+      >
+        {isAnimating ? '⏸️ Pause' : '▶️ Play Timeline'}
+      </button>
+      <button
+        className="animation-button timeline-step"
+        onClick={() => step(1)}
+        disabled={!hasTimeline || currentIndex >= times.length - 1}
+        title="Next year"
+        aria-label="Next year"
+      >
+        ⏭️
+      </button>
+      <input
+        type="range"
+        className="timeline-scrubber"
+        min={0}
+        max={Math.max(times.length - 1, 0)}
+        step={1}
+        value={currentIndex}
+        onChange={(e) => seek(parseInt(e.target.value))}
+        disabled={!hasTimeline}
+        aria-label="Year"
+        aria-valuetext={currentTime ?? ''}
+      />
+      <span className="timeline-year">{currentTime ?? '–'}</span>
+      <select
+        className="filter-select timeline-speed"
+        value={speed}
+        onChange={(e) => setSpeed(parseInt(e.target.value))}
+        disabled={!hasTimeline}
+        title="Animation speed"
+        aria-label="Animation speed"
+      >
+        {SPEEDS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+export default TimelineControls
@@ -33,6 +33,7 @@ const TopMetricCards = () => {
   const activeFiltersCount = 
     (filters.regions?.length || 0) + 
     (filters.incomeLevel?.length || 0) + 
+    (filters.countryGroup ? 1 : 0) +
     (filters.dataAvailability !== 'all' ? 1 : 0)
 
   // Format year display
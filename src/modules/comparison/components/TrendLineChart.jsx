@@ -6,20 +6,30 @@
  * - Dual y-axis if needed
  * - Grid lines and year markers
  * - Synchronized hover interactions
+ * - Optional projection: dashed line past the last year with a shaded prediction band
+ * - Event annotations (crises, currency reforms, user events) for the charted countries
  */
 
 import { useEffect, useRef, useState } from 'react'
 import * as d3 from 'd3'
-import { formatComparisonValue, formatComparisonValueShort } from '../utils/formatComparisonValue.js'
+import { formatComparisonValue, formatComparisonValueShort, getValueUnit, getConversionNote } from '../utils/formatComparisonValue.js'
+import { useAnnotations } from '../../../shared/hooks/useAnnotations.js'
+import { drawAnnotations, annotationsForYear, getAnnotationColor } from '../../../shared/utils/AnnotationLayer.js'
 
 function TrendLineChart({ 
   data, 
   visibility = { gdp: true, spending: true },
   onHover,
-  highlightYear 
+  highlightYear,
+  perCapita = false, // Values are USD per person
+  currency = 'market', // 'ppp' when values are international dollars
+  projection = null, // { gdp, spending } results of projectionService.project (null = off)
+  countries = [] // Countries whose events are annotated (global events are always shown)
 }) {
   const svgRef = useRef(null)
   const [tooltip, setTooltip] = useState({ show: false, x: 0, y: 0, content: '' })
+  const dataYears = data && data.length > 0 ? d3.extent(data, d => d.year) : null
+  const annotations = useAnnotations(countries, dataYears)
   
   useEffect(() => {
     if (!data || data.length === 0 || !svgRef.current) {
@@ -51,18 +61,33 @@ function TrendLineChart({
       .attr('transform', `translate(${margin.left},${margin.top})`)
     
     // Group data by year - use sum for multiple countries, first value for single country
+    // Per capita values are averaged weighted by population (total / total population)
+    const perPerson = (values, key) => {
+      const reported = values.filter(d => d[key] > 0)
+      const population = d3.sum(reported, d => d.population)
+      return population > 0 ? d3.sum(reported, d => d[key] * d.population) / population : 0
+    }
     const yearData = d3.group(data, d => d.year)
     const aggregatedData = Array.from(yearData, ([year, values]) => ({
       year,
       // Sum values if multiple data points (multiple countries), otherwise use the single value
-      gdp: d3.sum(values, d => d.gdp),
-      spending: d3.sum(values, d => d.spending)
+      gdp: perCapita ? perPerson(values, 'gdp') : d3.sum(values, d => d.gdp),
+      spending: perCapita ? perPerson(values, 'spending') : d3.sum(values, d => d.spending)
     })).sort((a, b) => a.year - b.year)
     
     // Get unique years for x-axis
     const uniqueYears = [...new Set(aggregatedData.map(d => d.year))].sort((a, b) => a - b)
     const yearCount = uniqueYears.length
     
+    // Projections of the visible series
+    const projected = {
+      gdp: visibility.gdp && yearCount > 1 ? projection?.gdp : null,
+      spending: visibility.spending && yearCount > 1 ? projection?.spending : null
+    }
+    const projectedPoints = [...(projected.gdp?.points || []), ...(projected.spending?.points || [])]
+    const projectedYears = [...new Set(projectedPoints.map(d => d.year))].filter(year => !uniqueYears.includes(year))
+    const axisYears = [...uniqueYears, ...projectedYears].sort((a, b) => a - b)
+    
     // Scales - use point scale for single year, linear for multiple
     const xScale = yearCount === 1
       ? d3.scalePoint()
@@ -70,11 +95,14 @@ function TrendLineChart({
           .range([width / 2, width / 2]) // Center single point
           .padding(0.5)
       : d3.scaleLinear()
-          .domain(d3.extent(aggregatedData, d => d.year))
+          .domain(d3.extent(axisYears))
           .range([0, width])
     
     const yScale = d3.scaleLinear()
-      .domain([0, d3.max(aggregatedData, d => Math.max(d.gdp, d.spending)) * 1.1])
+      .domain([0, Math.max(
+        d3.max(aggregatedData, d => Math.max(d.gdp, d.spending)),
+        d3.max(projectedPoints, d => d.upper) || 0
+      ) * 1.1])
       .range([height, 0])
     
     // Grid lines
@@ -89,7 +117,7 @@ function TrendLineChart({
     // X-Axis - show only unique years
     const xAxis = d3.axisBottom(xScale)
       .tickFormat(d3.format('d'))
-      .tickValues(uniqueYears) // Only show unique years
+      .tickValues(axisYears) // Only show unique years
     
     svg.append('g')
       .attr('transform', `translate(0,${height})`)
@@ -97,7 +125,7 @@ function TrendLineChart({
       .style('font-size', '11px')
     
     svg.append('g')
-      .call(d3.axisLeft(yScale).tickFormat(d => formatComparisonValueShort(d)))
+      .call(d3.axisLeft(yScale).tickFormat(d => formatComparisonValueShort(d, perCapita)))
       .style('font-size', '11px')
     
     // Y-axis label
@@ -108,7 +136,7 @@ function TrendLineChart({
       .attr('text-anchor', 'middle')
       .style('font-size', '11px')
       .style('fill', '#666')
-      .text('Value (USD)')
+      .text(`Value (${getValueUnit(perCapita, currency)})`)
     
     // Line generators
     const gdpLine = d3.line()
@@ -143,6 +171,45 @@ function TrendLineChart({
         .attr('d', spendingLine)
     }
     
+    // Draw projections: band, then a dashed line continuing from the last actual year
+    const drawProjection = (result, color) => {
+      if (!result) return
+      const anchor = { year: result.lastYear, value: result.lastValue, lower: result.lastValue, upper: result.lastValue }
+      const points = [anchor, ...result.points]
+      
+      svg.append('path')
+        .datum(points)
+        .attr('class', 'projection-band')
+        .attr('fill', color)
+        .attr('opacity', 0.15)
+        .attr('d', d3.area()
+          .x(d => xScale(d.year))
+          .y0(d => yScale(d.lower))
+          .y1(d => yScale(d.upper)))
+      
+      svg.append('path')
+        .datum(points)
+        .attr('class', 'projection-line')
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '6,4')
+        .attr('d', d3.line()
+          .x(d => xScale(d.year))
+          .y(d => yScale(d.value)))
+    }
+    drawProjection(projected.gdp, '#3b82f6')
+    drawProjection(projected.spending, '#ef4444')
+    
+    if (projectedYears.length > 0) {
+      svg.append('text')
+        .attr('x', xScale(d3.min(projectedYears)))
+        .attr('y', 10)
+        .style('font-size', '10px')
+        .style('fill', '#999')
+        .text('Projected')
+    }
+    
     // Draw GDP dots (always show dots for data points)
     if (visibility.gdp) {
       svg.selectAll('.dot-gdp')
@@ -198,26 +265,64 @@ function TrendLineChart({
       .attr('fill', 'none')
       .attr('pointer-events', 'all')
     
+    // Events above the overlay so their labels can be hovered
+    if (yearCount > 1) {
+      drawAnnotations(svg, annotations, { x: xScale, height })
+    }
+    
+    const eventLines = (year) => annotationsForYear(annotations, year)
+      .map(event => `<div style="color: ${getAnnotationColor(event)}; font-size: 10px; margin-top: 2px;">📌 ${event.title}</div>`)
+      .join('')
+    
     overlay.on('mousemove', function(event) {
       const [mouseX] = d3.pointer(event)
       const year = Math.round(xScale.invert(mouseX))
       const yearPoint = aggregatedData.find(d => d.year === year)
+      const gdpProjection = projected.gdp?.points.find(d => d.year === year)
+      const spendingProjection = projected.spending?.points.find(d => d.year === year)
       
-      if (yearPoint) {
+      if (!yearPoint && (gdpProjection || spendingProjection)) {
+        const level = Math.round((projected.gdp || projected.spending).level * 100)
+        const projectedValue = (point, label, color) => point ? `
+          <div style="color: ${color}; margin: 4px 0;">
+            <div style="font-weight: 600; font-size: 11px;">${label}</div>
+            <div style="font-size: 13px; font-weight: 700;">${formatComparisonValue(point.value, perCapita)}</div>
+            <div style="font-size: 10px;">${level}%: ${formatComparisonValue(point.lower, perCapita)} – ${formatComparisonValue(point.upper, perCapita)}</div>
+          </div>
+        ` : ''
+        
+        setTooltip({
+          show: true,
+          x: event.pageX,
+          y: event.pageY - 120,
+          content: `
+            <div style="font-weight: bold; margin-bottom: 6px; font-size: 13px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px;">${year} (projected)</div>
+            ${projectedValue(gdpProjection, 'GDP', '#3b82f6')}
+            ${projectedValue(spendingProjection, 'Government Spending', '#ef4444')}
+            ${eventLines(year)}
+          `
+        })
+        
+        if (onHover) {
+          onHover(null)
+        }
+      } else if (yearPoint) {
         const tooltipContent = `
           <div style="font-weight: bold; margin-bottom: 6px; font-size: 13px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px;">Year ${year}</div>
           ${visibility.gdp ? `
             <div style="color: #3b82f6; margin: 4px 0;">
               <div style="font-weight: 600; font-size: 11px;">GDP</div>
-              <div style="font-size: 13px; font-weight: 700;">${formatComparisonValue(yearPoint.gdp)}</div>
+              <div style="font-size: 13px; font-weight: 700;">${formatComparisonValue(yearPoint.gdp, perCapita)}</div>
             </div>
           ` : ''}
           ${visibility.spending ? `
             <div style="color: #ef4444; margin: 4px 0;">
               <div style="font-weight: 600; font-size: 11px;">Government Spending</div>
-              <div style="font-size: 13px; font-weight: 700;">${formatComparisonValue(yearPoint.spending)}</div>
+              <div style="font-size: 13px; font-weight: 700;">${formatComparisonValue(yearPoint.spending, perCapita)}</div>
             </div>
           ` : ''}
+          ${eventLines(year)}
+          <div style="color: #999; margin-top: 4px; font-size: 9px;">${getConversionNote(currency)}</div>
         `
         
         setTooltip({
@@ -240,7 +345,7 @@ function TrendLineChart({
       }
     })
     
-  }, [data, visibility, highlightYear, onHover])
+  }, [data, visibility, highlightYear, onHover, perCapita, currency, projection, annotations])
   
   return (
     <div 
@@ -8,46 +8,27 @@
 
 import { useEffect, useRef, useState } from 'react'
 import * as d3 from 'd3'
-import { formatComparisonValueShort } from '../utils/formatComparisonValue.js'
-
-// Country code mapping
-const COUNTRY_CODES = {
-  'United States': 'USA',
-  'China': 'CHN',
-  'Japan': 'JPN',
-  'Germany': 'DEU',
-  'United Kingdom': 'GBR',
-  'India': 'IND',
-  'France': 'FRA',
-  'Italy': 'ITA',
-  'Brazil': 'BRA',
-  'Canada': 'CAN',
-  'Russia': 'RUS',
-  'South Korea': 'KOR',
-  'Spain': 'ESP',
-  'Australia': 'AUS',
-  'Mexico': 'MEX',
-  'Indonesia': 'IDN',
-  'Netherlands': 'NLD',
-  'Saudi Arabia': 'SAU',
-  'Turkey': 'TUR',
-  'Switzerland': 'CHE'
-}
+import { formatComparisonValueShort, getValueUnit, getConversionNote } from '../utils/formatComparisonValue.js'
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
+import { useLinkedSelection } from '../../../shared/hooks/useLinkedSelection.js'
 
 function getCountryCode(countryName) {
-  return COUNTRY_CODES[countryName] || countryName.substring(0, 3).toUpperCase()
+  return getIso3(countryName) || countryName.substring(0, 3).toUpperCase()
 }
 
 function YearComparisonBarChart({ 
   data, 
   visibility = { gdp: true, spending: true },
   selectedYear,
-  onYearChange
+  onYearChange,
+  perCapita = false, // Values are USD per person
+  currency = 'market' // 'ppp' when values are international dollars
 }) {
   const svgRef = useRef(null)
   const [tooltip, setTooltip] = useState({ show: false, x: 0, y: 0, content: '' })
   const [sortBy, setSortBy] = useState('gdp') // 'gdp' or 'spending'
   const [showTopBottom, setShowTopBottom] = useState('top') // 'top' or 'bottom'
+  const { selected, highlighted, toggle, highlight, clearHighlight } = useLinkedSelection('dashboard-bars')
   
   useEffect(() => {
     if (!data || data.length === 0 || !svgRef.current) {
@@ -138,7 +119,7 @@ function YearComparisonBarChart({
       .style('font-size', '9px')
     
     svg.append('g')
-      .call(d3.axisLeft(yScale).tickFormat(d => formatComparisonValueShort(d)))
+      .call(d3.axisLeft(yScale).tickFormat(d => formatComparisonValueShort(d, perCapita)))
       .style('font-size', '11px')
     
     // Y-axis label
@@ -149,7 +130,7 @@ function YearComparisonBarChart({
       .attr('text-anchor', 'middle')
       .style('font-size', '11px')
       .style('fill', '#666')
-      .text('Average Value (USD)')
+      .text(`Average Value (${getValueUnit(perCapita, currency)})`)
     
     const barWidth = xScale.bandwidth() / 2
     
@@ -165,8 +146,9 @@ function YearComparisonBarChart({
         .attr('width', barWidth)
         .attr('height', d => height - yScale(d.gdp))
         .attr('fill', '#3b82f6')
-        .on('mouseover', function(event, d) {
-          d3.select(this).attr('opacity', 0.7)
+        .style('cursor', 'pointer')
+        .on('mouseover', (event, d) => {
+          highlight([d.countryCode])
           const ratio = ((d.spending / d.gdp) * 100).toFixed(2)
           setTooltip({
             show: true,
@@ -176,7 +158,7 @@ function YearComparisonBarChart({
               <div style="font-weight: bold; margin-bottom: 6px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px;">${d.country} (${d.countryCode})</div>
               <div style="color: #3b82f6; margin: 4px 0;">
                 <div style="font-size: 10px; font-weight: 600;">Average GDP (${d.minYear === d.maxYear ? d.minYear : `${d.minYear}-${d.maxYear}`})</div>
-                <div style="font-size: 12px; font-weight: 700;">${formatComparisonValueShort(d.gdp)}</div>
+                <div style="font-size: 12px; font-weight: 700;">${formatComparisonValueShort(d.gdp, perCapita)}</div>
               </div>
               <div style="color: #666; margin: 4px 0; font-size: 10px;">
                 Spending/GDP Ratio: ${ratio}%
@@ -184,13 +166,15 @@ function YearComparisonBarChart({
               <div style="color: #999; margin-top: 4px; font-size: 9px;">
                 ${d.dataPoints === 1 ? `Single year (${d.minYear})` : `Average of ${d.dataPoints} years (${d.minYear}-${d.maxYear})`}
               </div>
+              <div style="color: #999; font-size: 9px;">${getConversionNote(currency)}</div>
             `
           })
         })
-        .on('mouseout', function() {
-          d3.select(this).attr('opacity', 1)
+        .on('mouseout', () => {
+          clearHighlight()
           setTooltip({ show: false, x: 0, y: 0, content: '' })
         })
+        .on('click', (event, d) => toggle(d.countryCode))
     }
     
     // Draw Spending bars
@@ -205,8 +189,9 @@ function YearComparisonBarChart({
         .attr('width', barWidth)
         .attr('height', d => height - yScale(d.spending))
         .attr('fill', '#ef4444')
-        .on('mouseover', function(event, d) {
-          d3.select(this).attr('opacity', 0.7)
+        .style('cursor', 'pointer')
+        .on('mouseover', (event, d) => {
+          highlight([d.countryCode])
           const ratio = ((d.spending / d.gdp) * 100).toFixed(2)
           setTooltip({
             show: true,
@@ -216,7 +201,7 @@ function YearComparisonBarChart({
               <div style="font-weight: bold; margin-bottom: 6px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px;">${d.country} (${d.countryCode})</div>
               <div style="color: #ef4444; margin: 4px 0;">
                 <div style="font-size: 10px; font-weight: 600;">Average Government Spending (${d.minYear === d.maxYear ? d.minYear : `${d.minYear}-${d.maxYear}`})</div>
-                <div style="font-size: 12px; font-weight: 700;">${formatComparisonValueShort(d.spending)}</div>
+                <div style="font-size: 12px; font-weight: 700;">${formatComparisonValueShort(d.spending, perCapita)}</div>
               </div>
               <div style="color: #666; margin: 4px 0; font-size: 10px;">
                 Spending/GDP Ratio: ${ratio}%
@@ -224,18 +209,35 @@ function YearComparisonBarChart({
               <div style="color: #999; margin-top: 4px; font-size: 9px;">
                 ${d.dataPoints === 1 ? `Single year (${d.minYear})` : `Average of ${d.dataPoints} years (${d.minYear}-${d.maxYear})`}
               </div>
+              <div style="color: #999; font-size: 9px;">${getConversionNote(currency)}</div>
             `
           })
         })
-        .on('mouseout', function() {
-          d3.select(this).attr('opacity', 1)
+        .on('mouseout', () => {
+          clearHighlight()
           setTooltip({ show: false, x: 0, y: 0, content: '' })
         })
+        .on('click', (event, d) => toggle(d.countryCode))
     }
     
     // Year selector removed - now controlled by universal filter in sub-header
     
-  }, [data, visibility, selectedYear, onYearChange, sortBy, showTopBottom])
+  }, [data, visibility, selectedYear, onYearChange, sortBy, showTopBottom, perCapita, currency, toggle, highlight, clearHighlight])
+
+  // Reflect the linked selection and hover highlight without redrawing the chart
+  useEffect(() => {
+    if (!svgRef.current) return
+
+    const selectedSet = new Set(selected)
+    const highlightedSet = new Set(highlighted)
+    const dimOthers = selectedSet.size > 0 || highlightedSet.size > 0
+
+    d3.select(svgRef.current)
+      .selectAll('rect.bar-gdp, rect.bar-spending')
+      .attr('opacity', d => (!dimOthers || selectedSet.has(d.countryCode) || highlightedSet.has(d.countryCode) ? 1 : 0.35))
+      .attr('stroke', d => (highlightedSet.has(d.countryCode) ? '#000' : selectedSet.has(d.countryCode) ? '#ff6b00' : null))
+      .attr('stroke-width', d => (highlightedSet.has(d.countryCode) || selectedSet.has(d.countryCode) ? 1.5 : 0))
+  }, [selected, highlighted, data, visibility, sortBy, showTopBottom, perCapita, currency])
   
   return (
     <div className="year-comparison-bar-chart" style={{ display: 'flex', flexDirection: 'column', height: '100%', minHeight: 0 }}>
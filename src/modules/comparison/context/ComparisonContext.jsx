@@ -5,13 +5,22 @@
  * - Centralized state for chart type, indicator, filters, and data
  * - Actions for updating state
  * - Automatic data loading when dependencies change
+ * - Country selection and hover shared with other views through ChartInteractionManager
  * 
  * Requirements: 1.1, 1.2, 1.3, 1.4, 2.1, 6.1, 6.2, 6.3
  */
 
-import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react'
+import React, { createContext, useContext, useReducer, useEffect, useMemo } from 'react'
 import PropTypes from 'prop-types'
 import { comparisonDataService } from '../services/ComparisonDataService.js'
+import { filterStateManager } from '../../../shared/services/FilterStateManager.js'
+import { INDICATOR_METADATA } from '../../spending/services/UnifiedDataService.js'
+import { loadGdpForNormalization } from '../../spending/services/SpendingNormalizationService.js'
+import { chartInteractionManager } from '../services/ChartInteractionManager.js'
+import { toCountryCodes } from '../../../shared/hooks/useLinkedSelection.js'
+
+// Id of the workspace in ChartInteractionManager
+const INTERACTION_CHART_ID = 'comparison-workspace'
 
 // Initial state
 const initialState = {
@@ -23,7 +32,7 @@ const initialState = {
   
   // Data State
   selectedIndicator: 'GE', // Total Government Expense (default)
-  selectedCountries: [],
+  selectedCountries: [], // ISO3 codes, shared with linked views
   selectedYear: null,
   yearRange: [2010, 2022],
   
@@ -31,6 +40,7 @@ const initialState = {
   filters: {
     regions: [],
     incomeLevel: [],
+    countryGroup: null, // CountryGroupService group id
     dataAvailability: 'all' // 'all', 'complete', 'partial'
   },
   filterPanelOpen: false,
@@ -45,7 +55,7 @@ const initialState = {
   },
   
   // Interaction State
-  hoveredCountry: null,
+  highlightedCountries: [], // ISO3 codes hovered here or in a linked view
   selectedDataPoint: null,
   tooltipData: null
 }
@@ -60,8 +70,8 @@ const ActionTypes = {
   SET_METRICS: 'SET_METRICS',
   SET_HIGHLIGHTS: 'SET_HIGHLIGHTS',
   SET_TOOLTIP: 'SET_TOOLTIP',
-  SELECT_COUNTRY: 'SELECT_COUNTRY',
-  SET_HOVERED_COUNTRY: 'SET_HOVERED_COUNTRY',
+  SET_SELECTED_COUNTRIES: 'SET_SELECTED_COUNTRIES',
+  SET_HIGHLIGHTED_COUNTRIES: 'SET_HIGHLIGHTED_COUNTRIES',
   SET_YEAR_RANGE: 'SET_YEAR_RANGE',
   SET_SELECTED_YEAR: 'SET_SELECTED_YEAR',
   SET_LOADING: 'SET_LOADING',
@@ -102,18 +112,11 @@ function comparisonReducer(state, action) {
     case ActionTypes.SET_TOOLTIP:
       return { ...state, tooltipData: action.payload }
     
-    case ActionTypes.SELECT_COUNTRY:
-      const country = action.payload
-      const isSelected = state.selectedCountries.includes(country)
-      return {
-        ...state,
-        selectedCountries: isSelected
-          ? state.selectedCountries.filter(c => c !== country)
-          : [...state.selectedCountries, country]
-      }
+    case ActionTypes.SET_SELECTED_COUNTRIES:
+      return { ...state, selectedCountries: action.payload }
     
-    case ActionTypes.SET_HOVERED_COUNTRY:
-      return { ...state, hoveredCountry: action.payload }
+    case ActionTypes.SET_HIGHLIGHTED_COUNTRIES:
+      return { ...state, highlightedCountries: action.payload }
     
     case ActionTypes.SET_YEAR_RANGE:
       return { ...state, yearRange: action.payload, loading: true }
@@ -151,7 +154,18 @@ const ComparisonContext = createContext(null)
 
 // Provider component
 export function ComparisonProvider({ children, onLoadingChange }) {
-  const [state, dispatch] = useReducer(comparisonReducer, initialState)
+  // Chart type is part of the shared filter state so it survives in shareable links;
+  // the indicator and year range start from the shared filters as well
+  const [state, dispatch] = useReducer(comparisonReducer, initialState, (initial) => {
+    const shared = filterStateManager.getFilters()
+    return {
+      ...initial,
+      chartType: shared.chartType || initial.chartType,
+      selectedIndicator: INDICATOR_METADATA[shared.indicator] ? shared.indicator : initial.selectedIndicator,
+      yearRange: shared.yearRange || initial.yearRange,
+      selectedCountries: chartInteractionManager.getGlobalState().selectedCountries
+    }
+  })
 
   // Notify parent of loading state changes
   useEffect(() => {
@@ -160,7 +174,18 @@ export function ComparisonProvider({ children, onLoadingChange }) {
     }
   }, [state.loading, onLoadingChange])
 
-  // Load data when indicator changes (filters handled separately to avoid infinite loop)
+  // Follow chart type changes from browser back/forward
+  useEffect(() => {
+    const unsubscribe = filterStateManager.subscribe((filters) => {
+      if (filters.chartType && filters.chartType !== state.chartType) {
+        dispatch({ type: ActionTypes.SET_CHART_TYPE, payload: filters.chartType })
+      }
+    })
+    return unsubscribe
+  }, [state.chartType])
+
+  // Load data when the indicator, filters or year range change. Filters and year range are
+  // only replaced by their own actions, so loading results never retrigger this effect
   useEffect(() => {
     let isMounted = true
 
@@ -188,7 +213,13 @@ export function ComparisonProvider({ children, onLoadingChange }) {
         // Calculate highlights
         const topPerformers = comparisonDataService.getTopPerformers(data, 5)
         const trends = comparisonDataService.identifyTrends(data)
-        const outliers = comparisonDataService.identifyOutliers(data)
+        // GDP adds the expense-to-GDP checks; anomalies are still found without it
+        const gdpData = await loadGdpForNormalization().catch(err => {
+          console.warn('GDP not available for anomaly detection:', err.message)
+          return null
+        })
+        if (!isMounted) return
+        const outliers = comparisonDataService.identifyOutliers(data, gdpData)
 
         dispatch({
           type: ActionTypes.SET_HIGHLIGHTS,
@@ -214,7 +245,7 @@ export function ComparisonProvider({ children, onLoadingChange }) {
     return () => {
       isMounted = false
     }
-  }, [state.selectedIndicator])
+  }, [state.selectedIndicator, state.filters, state.yearRange])
 
   // Recalculate metrics when chart type changes
   useEffect(() => {
@@ -224,56 +255,94 @@ export function ComparisonProvider({ children, onLoadingChange }) {
     }
   }, [state.chartType, state.chartData])
 
-  // Actions
-  const actions = {
-    setChartType: useCallback((chartType) => {
-      dispatch({ type: ActionTypes.SET_CHART_TYPE, payload: chartType })
-    }, []),
-
-    toggleHeader: useCallback(() => {
-      dispatch({ type: ActionTypes.TOGGLE_HEADER })
-    }, []),
-
-    setSelectedIndicator: useCallback((indicator) => {
-      dispatch({ type: ActionTypes.SET_SELECTED_INDICATOR, payload: indicator })
-    }, []),
-
-    setFilters: useCallback((filters) => {
-      dispatch({ type: ActionTypes.SET_FILTERS, payload: filters })
-    }, []),
-
-    selectCountry: useCallback((country) => {
-      dispatch({ type: ActionTypes.SELECT_COUNTRY, payload: country })
-    }, []),
+  // Follow selection and hover from linked views (maps, dashboard charts, undo/redo)
+  useEffect(() => {
+    chartInteractionManager.registerChart(INTERACTION_CHART_ID, {
+      type: 'comparisonWorkspace',
+      updateSelection: (codes) => dispatch({ type: ActionTypes.SET_SELECTED_COUNTRIES, payload: [...codes] }),
+      highlightCountries: (codes) => dispatch({ type: ActionTypes.SET_HIGHLIGHTED_COUNTRIES, payload: [...codes] }),
+      clearHighlights: () => dispatch({ type: ActionTypes.SET_HIGHLIGHTED_COUNTRIES, payload: [] }),
+      updateZoom: () => {},
+      updateFilters: () => {},
+      getSelection: () => chartInteractionManager.getGlobalState().selectedCountries
+    })
+    return () => chartInteractionManager.unregisterChart(INTERACTION_CHART_ID)
+  }, [])
+
+  // Actions (stable across renders so chart effects do not redraw on every state change)
+  const actions = useMemo(() => {
+    const setSelectedCountries = (countries) => {
+      const codes = toCountryCodes(countries)
+      dispatch({ type: ActionTypes.SET_SELECTED_COUNTRIES, payload: codes })
+      chartInteractionManager.updateSelection(codes, INTERACTION_CHART_ID)
+    }
 
-    setHoveredCountry: useCallback((country) => {
-      dispatch({ type: ActionTypes.SET_HOVERED_COUNTRY, payload: country })
-    }, []),
+    return {
+      setChartType: (chartType) => {
+        dispatch({ type: ActionTypes.SET_CHART_TYPE, payload: chartType })
+        filterStateManager.updateFilters({ chartType }, true)
+      },
+
+      toggleHeader: () => {
+        dispatch({ type: ActionTypes.TOGGLE_HEADER })
+      },
+
+      setSelectedIndicator: (indicator) => {
+        dispatch({ type: ActionTypes.SET_SELECTED_INDICATOR, payload: indicator })
+      },
+
+      setFilters: (filters) => {
+        dispatch({ type: ActionTypes.SET_FILTERS, payload: filters })
+      },
+
+      // Toggle one country in the shared selection
+      selectCountry: (country) => {
+        const [code] = toCountryCodes([country])
+        if (!code) return
+
+        const current = chartInteractionManager.getGlobalState().selectedCountries
+        setSelectedCountries(current.includes(code) ? current.filter(c => c !== code) : [...current, code])
+      },
+
+      // Replace the shared selection (e.g. from a brush)
+      setSelectedCountries,
+
+      // Highlight a country in every linked view; null clears the highlight
+      setHoveredCountry: (country) => {
+        const codes = country ? toCountryCodes([country]) : []
+        dispatch({ type: ActionTypes.SET_HIGHLIGHTED_COUNTRIES, payload: codes })
+        if (codes.length > 0) {
+          chartInteractionManager.highlightCountries(codes, INTERACTION_CHART_ID)
+        } else {
+          chartInteractionManager.clearHighlights(INTERACTION_CHART_ID)
+        }
+      },
 
-    setTooltip: useCallback((tooltipData) => {
-      dispatch({ type: ActionTypes.SET_TOOLTIP, payload: tooltipData })
-    }, []),
+      setTooltip: (tooltipData) => {
+        dispatch({ type: ActionTypes.SET_TOOLTIP, payload: tooltipData })
+      },
 
-    setYearRange: useCallback((yearRange) => {
-      dispatch({ type: ActionTypes.SET_YEAR_RANGE, payload: yearRange })
-    }, []),
+      setYearRange: (yearRange) => {
+        dispatch({ type: ActionTypes.SET_YEAR_RANGE, payload: yearRange })
+      },
 
-    setSelectedYear: useCallback((year) => {
-      dispatch({ type: ActionTypes.SET_SELECTED_YEAR, payload: year })
-    }, []),
+      setSelectedYear: (year) => {
+        dispatch({ type: ActionTypes.SET_SELECTED_YEAR, payload: year })
+      },
 
-    resetState: useCallback(() => {
-      dispatch({ type: ActionTypes.RESET_STATE })
-    }, []),
+      resetState: () => {
+        dispatch({ type: ActionTypes.RESET_STATE })
+      },
 
-    toggleFilterPanel: useCallback(() => {
-      dispatch({ type: ActionTypes.TOGGLE_FILTER_PANEL })
-    }, []),
+      toggleFilterPanel: () => {
+        dispatch({ type: ActionTypes.TOGGLE_FILTER_PANEL })
+      },
 
-    applyFilters: useCallback((filters) => {
-      dispatch({ type: ActionTypes.APPLY_FILTERS, payload: filters })
-    }, [])
-  }
+      applyFilters: (filters) => {
+        dispatch({ type: ActionTypes.APPLY_FILTERS, payload: filters })
+      }
+    }
+  }, [])
 
   const value = {
     state,
@@ -0,0 +1,135 @@
+/**
+ * useTimeSeriesAnimator - Hook binding a TimeSeriesAnimator to React state
+ *
+ * Features:
+ * - One animator per component, destroyed on unmount
+ * - Timeline rebuilt when the records change, keeping the current year when possible
+ * - Play/pause/step/seek/speed controls and a state snapshot for rendering
+ * - onFrame callback for every frame change (playback, stepping or seeking)
+ */
+
+import { useEffect, useRef, useState, useCallback } from 'react'
+import { createAnimator } from '../utils/TimeSeriesAnimator.js'
+
+const STATE_EVENTS = ['timelineLoaded', 'frameChanged', 'playStarted', 'paused', 'resumed', 'stopped', 'speedChanged']
+
+/**
+ * Hook for animating records through time
+ * @param {Array} records - Records with a time field (e.g. { country, year, gdp, spending })
+ * @param {Object} options - { timeField, onFrame, speed }
+ * @returns {Object} { animator, isAnimating, currentIndex, currentTime, speed, totalFrames, times, version, play, pause, toggle, step, seek, setSpeed }
+ */
+export function useTimeSeriesAnimator(records, { timeField = 'year', onFrame = null, speed = 1000 } = {}) {
+  const animatorRef = useRef(null)
+  if (!animatorRef.current) {
+    animatorRef.current = createAnimator({ defaultSpeed: speed, minSpeed: 250 })
+  }
+  const animator = animatorRef.current
+
+  const onFrameRef = useRef(onFrame)
+  onFrameRef.current = onFrame
+
+  const [state, setState] = useState(() => ({ ...animator.getState(), times: [], version: 0 }))
+
+  // Mirror animator events into React state
+  useEffect(() => {
+    const sync = () => setState(prev => ({ ...prev, ...animator.getState(), times: animator.getTimeValues() }))
+    const handleFrame = (frame) => onFrameRef.current?.(frame)
+    // stop() at the end of the timeline rewinds to frame 0; stay on the last frame instead
+    const handleComplete = ({ finalIndex }) => animator.jumpToFrame(finalIndex)
+
+    STATE_EVENTS.forEach(event => animator.on(event, sync))
+    animator.on('frameChanged', handleFrame)
+    animator.on('animationComplete', handleComplete)
+
+    return () => {
+      STATE_EVENTS.forEach(event => animator.off(event, sync))
+      animator.off('frameChanged', handleFrame)
+      animator.off('animationComplete', handleComplete)
+    }
+  }, [animator])
+
+  // Stop timers on unmount
+  useEffect(() => () => animator.destroy(), [animator])
+
+  // Rebuild the timeline when the records change
+  useEffect(() => {
+    const currentTime = animator.getCurrentTime()
+    animator.setTimelineData(records || [], timeField)
+
+    const index = animator.getTimeValues().indexOf(currentTime)
+    if (index > 0) animator.jumpToFrame(index)
+
+    setState(prev => ({
+      ...prev,
+      ...animator.getState(),
+      times: animator.getTimeValues(),
+      version: prev.version + 1
+    }))
+  }, [animator, records, timeField])
+
+  const play = useCallback(() => {
+    if (animator.timelineData.length < 2) return
+
+    if (animator.isPaused) {
+      animator.resume()
+      return
+    }
+
+    // Replay from the start once the last frame is reached
+    if (animator.currentIndex >= animator.timelineData.length - 1) {
+      animator.jumpToFrame(0)
+    }
+    animator.play()
+  }, [animator])
+
+  const pause = useCallback(() => {
+    animator.pause()
+  }, [animator])
+
+  const isAnimating = state.isPlaying && !state.isPaused
+
+  const toggle = useCallback(() => {
+    if (animator.isPlaying && !animator.isPaused) {
+      animator.pause()
+    } else {
+      play()
+    }
+  }, [animator, play])
+
+  const step = useCallback((direction = 1) => {
+    animator.pause()
+    if (direction < 0) {
+      animator.previousFrame()
+    } else if (animator.currentIndex < animator.timelineData.length - 1) {
+      animator.jumpToFrame(animator.currentIndex + 1)
+    }
+  }, [animator])
+
+  const seek = useCallback((index) => {
+    animator.jumpToFrame(index)
+  }, [animator])
+
+  const setSpeed = useCallback((ms) => {
+    animator.setSpeed(ms)
+  }, [animator])
+
+  return {
+    animator,
+    isAnimating,
+    currentIndex: state.currentIndex,
+    currentTime: state.currentTime,
+    speed: state.speed,
+    totalFrames: state.totalFrames,
+    times: state.times,
+    version: state.version,
+    play,
+    pause,
+    toggle,
+    step,
+    seek,
+    setSpeed
+  }
+}
+
+export default useTimeSeriesAnimator
@@ -8,12 +8,15 @@ export { default as ComparisonPage } from './components/ComparisonPage.jsx'
 // Context and Layout
 export { ComparisonProvider, useComparison } from './context/ComparisonContext.jsx'
 export { default as ComparisonLayout } from './components/ComparisonLayout.jsx'
+export { default as ComparisonWorkspace } from './components/ComparisonWorkspace.jsx'
 
 // Header and Controls
 export { default as ComparisonHeader } from './components/ComparisonHeader.jsx'
 export { default as ChartTypeDropdown } from './components/ChartTypeDropdown.jsx'
+export { default as IndicatorDropdown } from './components/IndicatorDropdown.jsx'
 export { default as FilterButton } from './components/FilterButton.jsx'
 export { default as ExportButton } from './components/ExportButton.jsx'
+export { default as TimelineControls } from './components/TimelineControls.jsx'
 
 // Panels
 export { default as FilterPanel } from './components/FilterPanel.jsx'
@@ -57,4 +60,7 @@ export * from './utils/regionMapping.js'
 
 // Accessibility
 export { default as FocusTrap } from './components/FocusTrap.jsx'
-export { default as useKeyboardShortcuts } from './hooks/useKeyboardShortcuts.js'
\ No newline at end of file
+export { default as useKeyboardShortcuts } from './hooks/useKeyboardShortcuts.js'
+
+// Animation
+export { default as useTimeSeriesAnimator } from './hooks/useTimeSeriesAnimator.js'
\ No newline at end of file
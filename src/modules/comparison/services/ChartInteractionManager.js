@@ -7,6 +7,9 @@
  * - Unified filtering system
  * - Shared color schemes and interaction states
  * - Event-driven architecture for loose coupling
+ * - Undo/redo of selection, year, filter and zoom changes from the interaction history
+ *
+ * Countries are identified by ISO3 code so charts, maps and tables can share a selection.
  */
 
 import * as d3 from 'd3'
@@ -60,8 +63,10 @@ export class ChartInteractionManager extends SimpleEventEmitter {
     }
     this.colorSchemes = this.initializeColorSchemes()
     this.interactionHistory = []
+    this.redoStack = []
     this.maxHistorySize = 50
     this.isUpdating = false // Flag to prevent infinite loops
+    this.isRestoring = false // Undo/redo in progress: do not record history
   }
 
   /**
@@ -141,7 +146,7 @@ export class ChartInteractionManager extends SimpleEventEmitter {
 
   /**
    * Update country selection across all charts
-   * @param {Array} countries - Array of selected country names
+   * @param {Array} countries - Array of selected country ISO3 codes
    * @param {string} sourceChartId - ID of chart that initiated the selection
    */
   updateSelection(countries, sourceChartId = null) {
@@ -380,8 +385,8 @@ export class ChartInteractionManager extends SimpleEventEmitter {
   }
 
   /**
-   * Highlight specific countries across all charts
-   * @param {Array} countries - Countries to highlight
+   * Highlight specific countries across all charts (transient, e.g. on hover; not recorded in history)
+   * @param {Array} countries - ISO3 codes of countries to highlight
    * @param {string} sourceChartId - Source chart ID
    */
   highlightCountries(countries, sourceChartId = null) {
@@ -503,15 +508,105 @@ export class ChartInteractionManager extends SimpleEventEmitter {
 
   /**
    * Add interaction to history
+   * A new interaction discards the redo stack
    * @param {Object} interaction - Interaction details
    */
   addToHistory(interaction) {
+    if (this.isRestoring) return
+
     this.interactionHistory.push(interaction)
+    this.redoStack = []
     
     // Limit history size
     if (this.interactionHistory.length > this.maxHistorySize) {
       this.interactionHistory.shift()
     }
+
+    this.emit('historyChanged', this.getUndoState())
+  }
+
+  /**
+   * Re-apply one side of a recorded interaction to all charts
+   * @param {Object} interaction - History entry
+   * @param {boolean} forward - true to re-apply the change, false to restore the previous value
+   * @private
+   */
+  restoreInteraction(interaction, forward) {
+    const { type, data } = interaction
+
+    this.isRestoring = true
+    try {
+      switch (type) {
+        case 'selection':
+          this.updateSelection(forward ? data.countries : data.previousSelection)
+          break
+        case 'year':
+          this.updateYear(forward ? data.year : data.previousYear)
+          break
+        case 'zoom':
+          this.updateZoom(forward ? data.transform : data.previousTransform)
+          break
+        case 'filter':
+          // Filters merge into the current state, so restore the complete previous state
+          this.globalState.filterState = {}
+          this.updateFilters(forward ? { ...data.previousFilters, ...data.filters } : data.previousFilters)
+          break
+        case 'batch': {
+          const state = forward ? { ...data.previousState, ...data.updates } : data.previousState
+          this.globalState = { ...this.globalState, ...state, filterState: {} }
+          this.batchUpdate({
+            selectedCountries: state.selectedCountries,
+            selectedYear: state.selectedYear,
+            filterState: state.filterState,
+            colorScheme: state.colorScheme
+          })
+          break
+        }
+        default:
+          break
+      }
+    } finally {
+      this.isRestoring = false
+    }
+  }
+
+  /**
+   * Undo the most recent interaction
+   * @returns {boolean} True if an interaction was undone
+   */
+  undo() {
+    const interaction = this.interactionHistory.pop()
+    if (!interaction) return false
+
+    this.restoreInteraction(interaction, false)
+    this.redoStack.push(interaction)
+    this.emit('historyChanged', this.getUndoState())
+    return true
+  }
+
+  /**
+   * Redo the most recently undone interaction
+   * @returns {boolean} True if an interaction was redone
+   */
+  redo() {
+    const interaction = this.redoStack.pop()
+    if (!interaction) return false
+
+    this.restoreInteraction(interaction, true)
+    this.interactionHistory.push(interaction)
+    this.emit('historyChanged', this.getUndoState())
+    return true
+  }
+
+  /**
+   * Get undo/redo availability
+   * @returns {Object} { canUndo, canRedo }
+   */
+  getUndoState() {
+    return {
+      canUndo: this.interactionHistory.length > 0,
+      canRedo: this.redoStack.length > 0
+    }
   }
 
   /**
@@ -600,6 +695,7 @@ export class ChartInteractionManager extends SimpleEventEmitter {
   destroy() {
     this.charts.clear()
     this.interactionHistory = []
+    this.redoStack = []
     this.removeAllListeners()
   }
 }
@@ -5,19 +5,27 @@
  * - Integrates with UnifiedDataService for all 48 indicators
  * - Uses MapColorService for consistent country mapping
  * - Loads ALL countries without sampling
- * - Calculates metrics, identifies outliers, trends, and top performers
+ * - Calculates metrics, identifies anomalies (AnomalyDetectionService), trends, and top performers
  * 
  * Requirements: 1.1, 1.2, 1.3, 1.4, 2.1, 2.4, 6.1, 6.2, 6.3
  */
 
 import { 
-  loadUnifiedData, 
+  loadIndicators, 
   getIndicatorData, 
   INDICATOR_METADATA,
   CATEGORY_COLORS 
 } from '../../spending/services/UnifiedDataService.js'
 import { MapColorService } from '../../../shared/services/MapColorService.js'
 import { getCountryRegion } from '../../../utils/regionMapping.js'
+import { incomeClassificationService } from '../../../shared/services/IncomeClassificationService.js'
+import { countryGroupService } from '../../../shared/services/CountryGroupService.js'
+import { anomalyDetectionService } from '../../../shared/services/AnomalyDetectionService.js'
+import { createValueLookup } from '../../../shared/services/AggregationService.js'
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
+
+// Anomalies listed in the sidebar
+const OUTLIER_LIMIT = 5
 
 class ComparisonDataService {
   constructor() {
@@ -45,8 +53,8 @@ class ComparisonDataService {
       }
     }
     
-    // Ensure unified data is loaded
-    await loadUnifiedData()
+    // Ensure the indicator (and per-year income groups for the income filter) are loaded
+    await Promise.all([loadIndicators([indicatorCode]), incomeClassificationService.load()])
     
     // Get indicator data (loads ALL countries, no sampling)
     const indicatorData = getIndicatorData(indicatorCode, options.yearRange)
@@ -55,13 +63,14 @@ class ComparisonDataService {
       throw new Error(`Failed to load indicator: ${indicatorCode}`)
     }
 
-    // Apply country name normalization
-    const normalizedData = this.applyCountryMapping(indicatorData)
+    // Flatten to numeric values and apply country name normalization
+    const normalizedData = this.applyCountryMapping(this.toChartData(indicatorData))
     
     // Apply filters if provided
-    const filteredData = options.filters 
-      ? this.applyFilters(normalizedData, options.filters)
-      : normalizedData
+    const filteredData = {
+      ...(options.filters ? this.applyFilters(normalizedData, options.filters) : normalizedData),
+      availableCountries: Object.keys(normalizedData.countries).length
+    }
 
     // Cache the result
     this.cache.set(cacheKey, {
@@ -72,6 +81,52 @@ class ComparisonDataService {
     return filteredData
   }
 
+  /**
+   * Flatten indicator data to one number per country-year for the charts
+   * Values are in billions: USD when the dataset has USD values, local currency otherwise.
+   * Local currency values are kept in localData for the redenomination check.
+   * @param {Object} indicatorData - Data from getIndicatorData() ({ local, usd } per year)
+   * @returns {Object} Chart data with metadata, unit and numeric year values
+   */
+  toChartData(indicatorData) {
+    const useUsd = indicatorData.hasBothCurrencies
+    const unit = useUsd ? 'USD bn' : 'bn (local currency)'
+    const countries = {}
+
+    Object.entries(indicatorData.countries).forEach(([countryName, countryData]) => {
+      const data = {}
+      const localData = {}
+      Object.entries(countryData.data).forEach(([year, valueObj]) => {
+        const value = typeof valueObj === 'object'
+          ? (useUsd ? valueObj.usd : valueObj.local)
+          : valueObj
+        if (value !== null && value !== undefined && !isNaN(value)) {
+          data[year] = value / 1e9
+        }
+        if (typeof valueObj === 'object' && valueObj.local > 0) {
+          localData[year] = valueObj.local
+        }
+      })
+
+      if (Object.keys(data).length > 0) {
+        countries[countryName] = { ...countryData, data, localData }
+      }
+    })
+
+    return {
+      ...indicatorData,
+      countries,
+      unit,
+      metadata: {
+        code: indicatorData.indicator,
+        name: indicatorData.name,
+        category: indicatorData.category,
+        icon: indicatorData.icon,
+        unit
+      }
+    }
+  }
+
   /**
    * Apply country name normalization using MapColorService
    * @param {Object} indicatorData - Raw indicator data
@@ -121,10 +176,17 @@ class ComparisonDataService {
         }
       }
 
-      // Income level filter
+      // Income level filter - income group in the last year of the range
       if (includeCountry && filters.incomeLevel && filters.incomeLevel.length > 0) {
-        // TODO: Implement income level filtering when data is available
-        // For now, we'll include all countries if income level filter is set
+        const lastYear = data.years?.length > 0 ? Math.max(...data.years) : undefined
+        if (!incomeClassificationService.matchesIncomeLevels(countryData.code || countryName, filters.incomeLevel, lastYear)) {
+          includeCountry = false
+        }
+      }
+
+      // Country group filter
+      if (includeCountry && !countryGroupService.matchesGroup(countryData.code || countryName, filters.countryGroup)) {
+        includeCountry = false
       }
 
       // Data availability filter
@@ -167,8 +229,8 @@ class ComparisonDataService {
       return null
     }
 
-    // Create cache key
-    const cacheKey = `${JSON.stringify(Object.keys(data.countries))}-${chartType}`
+    // Create cache key (same countries can carry different indicators or years)
+    const cacheKey = `${data.indicator}-${data.years.join(',')}-${JSON.stringify(Object.keys(data.countries))}-${chartType}`
     
     // Check memoized cache
     if (this.memoizedMetrics.has(cacheKey)) {
@@ -266,17 +328,23 @@ class ComparisonDataService {
   }
 
   /**
-   * Identify outliers using IQR method (with memoization)
+   * Identify anomalies with AnomalyDetectionService (with memoization)
+   * Each country is judged against its own history; expense-to-GDP checks need gdpData
+   * and USD values, the redenomination check needs local currency values.
    * @param {Object} data - Indicator data
-   * @returns {Array} Array of outlier objects
+   * @param {Array} [gdpData] - GDP points ({ countryName, countryCode, year, value in millions USD })
+   * @returns {Array} Most confident anomalies ({ country, code, year, value, type, direction, reason, confidence, severity })
    */
-  identifyOutliers(data) {
+  identifyOutliers(data, gdpData = null) {
     if (!data || !data.countries) {
       return []
     }
 
+    // GDP ratios only make sense for values in USD
+    const useGdp = Boolean(gdpData) && data.hasBothCurrencies
+
     // Create cache key
-    const cacheKey = JSON.stringify(Object.keys(data.countries))
+    const cacheKey = `${data.indicator}-${data.years.join(',')}-${useGdp}-${JSON.stringify(Object.keys(data.countries))}`
     
     // Check memoized cache
     if (this.memoizedOutliers.has(cacheKey)) {
@@ -286,44 +354,31 @@ class ComparisonDataService {
       }
     }
 
-    const countryValues = []
-    
-    Object.entries(data.countries).forEach(([countryName, countryData]) => {
-      const values = Object.values(countryData.data).filter(v => !isNaN(v))
-      if (values.length > 0) {
-        const avgValue = values.reduce((sum, v) => sum + v, 0) / values.length
-        countryValues.push({ country: countryName, value: avgValue, code: countryData.code })
+    const gdpFor = useGdp
+      ? createValueLookup(gdpData, { country: d => d.countryCode || d.countryName, year: d => d.year, value: d => d.value })
+      : null
+
+    const entries = Object.entries(data.countries).map(([countryName, countryData]) => {
+      const iso3 = getIso3(countryData.code) || getIso3(countryData.originalName || countryName)
+      return {
+        country: countryName,
+        code: countryData.code,
+        points: Object.entries(countryData.data).map(([year, value]) => {
+          const gdp = gdpFor && iso3 ? gdpFor(iso3, parseInt(year)) : null
+          return {
+            year: parseInt(year),
+            value,
+            gdp: gdp !== null ? gdp / 1000 : null, // Millions to billions, the unit of the chart values
+            usd: data.hasBothCurrencies ? value : null,
+            local: countryData.localData?.[year] ?? null
+          }
+        })
       }
     })
 
-    if (countryValues.length < 4) {
-      return []
-    }
-
-    // Calculate IQR
-    const sortedValues = countryValues.map(cv => cv.value).sort((a, b) => a - b)
-    const q1 = this.percentile(sortedValues, 25)
-    const q3 = this.percentile(sortedValues, 75)
-    const iqr = q3 - q1
-    const lowerBound = q1 - 1.5 * iqr
-    const upperBound = q3 + 1.5 * iqr
-
-    // Find outliers
-    const outliers = countryValues
-      .filter(cv => cv.value < lowerBound || cv.value > upperBound)
-      .map(cv => ({
-        country: cv.country,
-        code: cv.code,
-        value: cv.value,
-        reason: cv.value < lowerBound 
-          ? 'Significantly below average' 
-          : 'Significantly above average',
-        deviation: cv.value < lowerBound 
-          ? ((lowerBound - cv.value) / iqr).toFixed(1)
-          : ((cv.value - upperBound) / iqr).toFixed(1)
-      }))
-      .sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation))
-      .slice(0, 5) // Top 5 outliers
+    const outliers = anomalyDetectionService.detect(entries)
+      .slice(0, OUTLIER_LIMIT)
+      .map(flag => ({ ...flag, reason: flag.explanation }))
 
     // Cache the result
     this.memoizedOutliers.set(cacheKey, {
@@ -345,7 +400,7 @@ class ComparisonDataService {
     }
 
     // Create cache key
-    const cacheKey = `${JSON.stringify(Object.keys(data.countries))}-${data.years.join(',')}`
+    const cacheKey = `${data.indicator}-${JSON.stringify(Object.keys(data.countries))}-${data.years.join(',')}`
     
     // Check memoized cache
     if (this.memoizedTrends.has(cacheKey)) {
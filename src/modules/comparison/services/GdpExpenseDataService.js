@@ -4,19 +4,28 @@
  * Features:
  * - Load GDP data from gdp_vals.csv (GDP in current US$)
  * - Load total government expense from expense_clean_usd.csv (USD-converted values)
+ * - Load population from population.csv for per-capita values
+ * - Rebase values to constant prices (real values) with a deflator factor
  * - Calculate world averages
+ * - Join GDP and total expense by country-year and build growth series for lead/lag analysis
  * - Format data for chart visualization
  * 
  * Data Sources:
  * - GDP: gdp_vals.csv - World Bank GDP data in current US$
  * - Expense: expense_clean_usd.csv - Government spending converted to USD for comparison
+ * - Population: population.csv - World Bank total population (SP.POP.TOTL), same layout as gdp_vals.csv
+ * - Sectors: *_matrix.csv - USD spending per GFS expense total, derived by npm run data:build
  */
 
 import * as d3 from 'd3'
 import { getDataPath } from '../../../utils/pathUtils.js'
+import { getIso3, isAggregateCode } from '../../../shared/utils/CountryRegistry.js'
+import { anomalyDetectionService } from '../../../shared/services/AnomalyDetectionService.js'
+import { dataManifestService, DATA_BUILD_COMMAND } from '../../../shared/services/DataManifestService.js'
+import { expenseDatasetService } from '../../../shared/services/ExpenseDatasetService.js'
 
 /**
- * Sector data files and metadata
+ * Sector data files (derived by npm run data:build) and metadata
  */
 const SECTOR_FILES = [
   'social_benefits_matrix.csv',
@@ -66,6 +75,53 @@ const SECTOR_METADATA = {
   }
 }
 
+/**
+ * Parse a World Bank indicator CSV (gdp_vals.csv layout) into per-country series
+ * Columns: Country Name, Country Code, Indicator Name, Indicator Code, then one column per year
+ * Regional aggregates are skipped and countries are keyed by ISO3
+ * @param {Array} data - Rows from d3.csv
+ * @returns {Map} ISO3 -> { countryName, countryCode, yearlyData: [{ year, value }] }
+ */
+function parseWorldBankIndicatorRows(data) {
+  const countryDataMap = new Map()
+  
+  data.forEach(row => {
+    const countryName = row['Country Name']
+    const rawCode = row['Country Code']
+    
+    if (!countryName || !rawCode) return
+    
+    // Skip regional aggregates (World Bank codes listed in the country registry)
+    if (isAggregateCode(rawCode)) return
+    
+    const countryCode = getIso3(rawCode) || rawCode
+    
+    // Get year columns (starting from column index 4)
+    const headers = Object.keys(row)
+    const yearColumns = headers.slice(4).filter(h => !isNaN(parseInt(h)))
+    
+    if (!countryDataMap.has(countryCode)) {
+      countryDataMap.set(countryCode, {
+        countryName,
+        countryCode,
+        yearlyData: []
+      })
+    }
+    
+    const countryData = countryDataMap.get(countryCode)
+    
+    yearColumns.forEach(yearStr => {
+      const value = parseFloat(row[yearStr])
+      
+      if (!isNaN(value) && value > 0) {
+        countryData.yearlyData.push({ year: parseInt(yearStr), value })
+      }
+    })
+  })
+  
+  return countryDataMap
+}
+
 /**
  * Load GDP data from gdp_vals.csv
  * Note: This contains actual GDP values in current US$
@@ -79,50 +135,9 @@ async function loadGDPGrowthData() {
       throw new Error('No GDP data loaded from CSV')
     }
     
-    // Regional aggregate codes to filter out
-    const regionalCodes = new Set([
-      'ARB', 'CSS', 'CEB', 'EAR', 'EAS', 'EAP', 'TEA', 'EMU', 'ECS', 'ECA', 'TEC',
-      'EUU', 'FCS', 'HPC', 'HIC', 'IBD', 'IBT', 'IDB', 'IDX', 'IDA', 'LTE', 'LCN',
-      'LAC', 'TLA', 'LDC', 'LMY', 'LIC', 'LMC', 'MEA', 'MNA', 'TMN', 'MIC', 'NAC',
-      'OED', 'OSS', 'PSS', 'PST', 'PRE', 'SST', 'SAS', 'TSA', 'SSF', 'SSA', 'TSS',
-      'UMC', 'WLD', 'AFE', 'AFW'
-    ])
-    
     // Transform to our format
     const gdpGrowthData = []
-    const countryDataMap = new Map()
-    
-    data.forEach(row => {
-      const countryName = row['Country Name']
-      const countryCode = row['Country Code']
-      
-      // Skip regional aggregates
-      if (regionalCodes.has(countryCode)) return
-      
-      // Get year columns (starting from column index 4)
-      const headers = Object.keys(row)
-      const yearColumns = headers.slice(4).filter(h => !isNaN(parseInt(h)))
-      
-      if (!countryDataMap.has(countryCode)) {
-        countryDataMap.set(countryCode, {
-          countryName,
-          countryCode,
-          yearlyData: []
-        })
-      }
-      
-      const countryData = countryDataMap.get(countryCode)
-      
-      // Parse GDP values for each year
-      yearColumns.forEach(yearStr => {
-        const year = parseInt(yearStr)
-        const gdpValue = parseFloat(row[yearStr])
-        
-        if (!isNaN(gdpValue) && gdpValue > 0) {
-          countryData.yearlyData.push({ year, gdpValue })
-        }
-      })
-    })
+    const countryDataMap = parseWorldBankIndicatorRows(data)
     
     // Calculate growth rates from GDP values
     countryDataMap.forEach(countryData => {
@@ -134,15 +149,15 @@ async function loadGDPGrowthData() {
         const current = countryData.yearlyData[i]
         const previous = countryData.yearlyData[i - 1]
         
-        if (previous.gdpValue > 0) {
-          const growth = ((current.gdpValue - previous.gdpValue) / previous.gdpValue) * 100
+        if (previous.value > 0) {
+          const growth = ((current.value - previous.value) / previous.value) * 100
           
           gdpGrowthData.push({
             countryName: countryData.countryName,
             countryCode: countryData.countryCode,
             year: current.year,
             growth: growth,
-            gdpValue: current.gdpValue
+            gdpValue: current.value
           })
         }
       }
@@ -155,11 +170,79 @@ async function loadGDPGrowthData() {
   }
 }
 
+/**
+ * Load a World Bank indicator CSV laid out like gdp_vals.csv (population, deflator, ...)
+ * @param {string} filename - File in the data directory
+ * @returns {Promise<Array>} Points ({ countryName, countryCode, year, value }), countries keyed by ISO3
+ */
+export async function loadWorldBankIndicatorFile(filename) {
+  const data = await d3.csv(getDataPath(filename))
+  const points = []
+  
+  parseWorldBankIndicatorRows(data).forEach(countryData => {
+    countryData.yearlyData.forEach(({ year, value }) => {
+      points.push({
+        countryName: countryData.countryName,
+        countryCode: countryData.countryCode,
+        year,
+        value
+      })
+    })
+  })
+  
+  if (points.length === 0) {
+    throw new Error(`No data loaded from ${filename}`)
+  }
+  
+  return points
+}
+
+let populationDataPromise = null
+
+/**
+ * Load total population from population.csv (World Bank SP.POP.TOTL)
+ * Same layout as gdp_vals.csv and parsed through the same path, so both join on ISO3.
+ * Loaded once and shared by the GDP, Spending and Comparison modules.
+ * @returns {Promise<Array>} Population points ({ countryName, countryCode, year, value }), value in persons
+ */
+export function loadPopulationData() {
+  if (!populationDataPromise) {
+    populationDataPromise = loadWorldBankIndicatorFile('population.csv')
+      .then(populationData => {
+        console.log(`👥 Loaded ${populationData.length} population data points from population.csv`)
+        return populationData
+      })
+      .catch(error => {
+        console.error('Failed to load population data:', error)
+        populationDataPromise = null // Allow a retry
+        throw new Error('Failed to load population data from population.csv')
+      })
+  }
+  return populationDataPromise
+}
+
+/**
+ * Build a population lookup keyed by ISO3 and year
+ * @param {Array} populationData - Output of loadPopulationData
+ * @returns {Function} (country, year) => population or null; country may be an ISO3 code or a name
+ */
+export function createPopulationLookup(populationData = []) {
+  const populationMap = new Map()
+  populationData.forEach(d => {
+    populationMap.set(`${d.countryCode}-${d.year}`, d.value)
+  })
+  
+  return (country, year) => {
+    const iso3 = getIso3(country)
+    return iso3 ? populationMap.get(`${iso3}-${year}`) ?? null : null
+  }
+}
+
 /**
  * Load GDP data (actual absolute values from World Bank)
  * Uses gdp_vals.csv which contains GDP in current US$
  */
-async function loadGDPAbsoluteData() {
+export async function loadGDPAbsoluteData() {
   try {
     // Load actual GDP values from World Bank data
     const data = await d3.csv(getDataPath('gdp_vals.csv'))
@@ -222,36 +305,21 @@ async function loadGDPAbsoluteData() {
 /**
  * Load total government expense data from expense_clean_usd.csv
  * Uses USD-converted values for proper comparison with GDP data
- * Calculates total by summing all expense categories per country-year
+ * Reads the "Expense" category (the total) from the shared expense dataset
  */
 async function loadTotalExpenseData() {
   try {
-    const data = await d3.csv(getDataPath('expense_clean_usd.csv'))
-    
-    console.log(`📊 Loading expense data from expense_clean_usd.csv (${data.length} rows)`)
+    const dataset = await expenseDatasetService.load()
     
     // Filter for "Expense" category only (which is the total)
     // Don't sum all categories as that would double-count
-    const expenseData = []
-    
-    data.forEach(row => {
-      const countryName = row['Country Name']
-      const year = parseInt(row['Year'])
-      const valueUSD = parseFloat(row['Value_USD']) // Use USD-converted value
-      const category = row['Expense Category']
-      
-      // Only use the "Expense" category which represents total government spending
-      if (category !== 'Expense') return
-      
-      if (!countryName || isNaN(year) || isNaN(valueUSD)) return
-      
-      // Value_USD is in millions USD - keep as millions for consistent units with GDP
-      expenseData.push({
-        countryName,
-        year,
-        value: valueUSD // In millions USD, same unit as GDP
-      })
-    })
+    // Value_USD is in millions USD - keep as millions for consistent units with GDP
+    const expenseData = dataset.select({ category: 'Expense', requireUsd: true }).map(row => ({
+      countryName: row.country,
+      year: row.year,
+      value: row.usd, // In millions USD, same unit as GDP
+      local: row.local // Local currency, for redenomination checks
+    }))
     
     console.log(`✅ Calculated total expenses for ${expenseData.length} country-year combinations`)
     console.log(`Sample data (first 3):`, expenseData.slice(0, 3))
@@ -375,20 +443,62 @@ export async function loadGdpExpenseData() {
   }
 }
 
+/**
+ * Rebase loaded GDP and expense data to constant prices
+ * Values are USD, so one USD deflator factor per year applies to every country;
+ * growth rates are recomputed as real growth. Points without a factor are dropped.
+ * @param {Object} data - Result of loadGdpExpenseData
+ * @param {Function} usdFactorFor - (year) => index(base) / index(year), or null if unknown
+ * @returns {Object} Data with real gdpData, expenseData and gdpGrowthData
+ */
+export function rebaseGdpExpenseData(data, usdFactorFor) {
+  if (!data || !usdFactorFor) return data
+
+  const rebasePoints = (points = []) => points
+    .map(point => {
+      const factor = usdFactorFor(point.year)
+      return factor ? { ...point, value: point.value * factor } : null
+    })
+    .filter(Boolean)
+
+  const gdpGrowthData = (data.gdpGrowthData || [])
+    .map(point => {
+      const factor = usdFactorFor(point.year)
+      const previousFactor = usdFactorFor(point.year - 1)
+      if (!factor || !previousFactor) return null
+
+      // (1 + real growth) = (1 + nominal growth) × factor(t) / factor(t - 1)
+      return {
+        ...point,
+        growth: ((1 + point.growth / 100) * (factor / previousFactor) - 1) * 100,
+        gdpValue: point.gdpValue * factor
+      }
+    })
+    .filter(Boolean)
+
+  return {
+    ...data,
+    gdpData: rebasePoints(data.gdpData),
+    expenseData: rebasePoints(data.expenseData),
+    gdpGrowthData
+  }
+}
+
 /**
  * Detect anomalies in government expense patterns
- * Anomalies include:
- * - Unusually high expense-to-GDP ratios (>40%)
- * - Sudden spikes in spending (>50% year-over-year increase)
- * - Unusually low ratios (<15%)
+ * Each country is judged against its own history by AnomalyDetectionService:
+ * - Expense-to-GDP ratios far from the median of their regime (robust z-score)
+ * - Spending spikes and drops far from the country's typical yearly change
+ * - Lasting shifts in the expense-to-GDP ratio (change points)
+ * - Local currency values rescaled by a power of ten (currency redenominations)
  * 
  * @param {Array} gdpData - Array of GDP data points
- * @param {Array} expenseData - Array of expense data points
- * @returns {Array} Array of anomalies with country, year, type, value, severity
+ * @param {Array} expenseData - Array of expense data points (with local currency values when loaded)
+ * @param {Object} [options] - Overrides of DEFAULT_ANOMALY_OPTIONS
+ * @returns {Array} Anomalies with country, year, type, value, ratio or change, explanation, confidence and severity,
+ *   most confident first
  */
-export function detectAnomalies(gdpData, expenseData) {
-  const anomalies = []
-  
+export function detectAnomalies(gdpData, expenseData, options = {}) {
   // Create a map for quick GDP lookup
   const gdpMap = new Map()
   gdpData.forEach(d => {
@@ -396,107 +506,161 @@ export function detectAnomalies(gdpData, expenseData) {
     gdpMap.set(key, d.value)
   })
   
-  // Group expense data by country for year-over-year comparison
+  // Group expense data by country, with the GDP of the same year
   const countryExpenseMap = new Map()
   expenseData.forEach(d => {
     if (!countryExpenseMap.has(d.countryName)) {
       countryExpenseMap.set(d.countryName, [])
     }
-    countryExpenseMap.get(d.countryName).push(d)
+    countryExpenseMap.get(d.countryName).push({
+      year: d.year,
+      value: d.value,
+      gdp: gdpMap.get(`${d.countryName}-${d.year}`) ?? null,
+      usd: d.value,
+      local: d.local ?? null
+    })
   })
   
-  // Check each country's expense patterns
-  countryExpenseMap.forEach((countryData, countryName) => {
-    // Sort by year
-    const sortedData = countryData.sort((a, b) => a.year - b.year)
-    
-    sortedData.forEach((expensePoint, idx) => {
-      const key = `${expensePoint.countryName}-${expensePoint.year}`
-      const gdpValue = gdpMap.get(key)
-      
-      if (gdpValue && gdpValue > 0) {
-        const ratio = (expensePoint.value / gdpValue) * 100
-        
-        // Anomaly 1: Unusually high expense-to-GDP ratio (>40%)
-        if (ratio > 40) {
-          let severity = 'low'
-          let type = 'High Spending Ratio'
-          if (ratio > 50) {
-            severity = 'high'
-            type = 'Very High Spending'
-          } else if (ratio > 45) {
-            severity = 'medium'
-            type = 'High Spending'
-          }
-          
-          anomalies.push({
-            country: expensePoint.countryName,
-            year: expensePoint.year,
-            type: type,
-            value: expensePoint.value,
-            ratio: ratio,
-            severity: severity
-          })
-        }
-        
-        // Anomaly 2: Unusually low expense-to-GDP ratio (<15%)
-        if (ratio < 15) {
-          anomalies.push({
-            country: expensePoint.countryName,
-            year: expensePoint.year,
-            type: 'Low Spending Ratio',
-            value: expensePoint.value,
-            ratio: ratio,
-            severity: 'low'
-          })
-        }
+  const entries = Array.from(countryExpenseMap, ([countryName, points]) => ({
+    country: countryName,
+    code: getIso3(countryName),
+    points
+  }))
+  
+  return anomalyDetectionService.detect(entries, options)
+}
+
+/**
+ * Join GDP and total expense by country and year
+ * Countries are matched by ISO3, so names that differ between the two files still pair up;
+ * World Bank aggregate rows are left out.
+ * @param {Array} gdpData - GDP points from loadGDPAbsoluteData (millions USD)
+ * @param {Array} expenseData - Expense points from loadTotalExpenseData (millions USD, local currency)
+ * @returns {Array} Rows ({ countryName, iso3, year, gdp, spending, local }) for years with both values
+ */
+export function joinGdpExpenseData(gdpData, expenseData) {
+  const gdpMap = new Map()
+  gdpData.forEach(d => {
+    if (isAggregateCode(d.countryCode)) return
+    const iso3 = getIso3(d.countryCode) || getIso3(d.countryName)
+    if (iso3) gdpMap.set(`${iso3}-${d.year}`, d.value)
+  })
+
+  const rows = []
+  expenseData.forEach(d => {
+    const iso3 = getIso3(d.countryName)
+    const gdp = iso3 ? gdpMap.get(`${iso3}-${d.year}`) : undefined
+    if (!(gdp > 0) || !(d.value > 0)) return
+    rows.push({
+      countryName: d.countryName,
+      iso3,
+      year: d.year,
+      gdp,
+      spending: d.value,
+      local: d.local > 0 ? d.local : null
+    })
+  })
+  return rows
+}
+
+let joinedDataPromise = null
+
+/**
+ * Load GDP and total expense and join them; loaded once per session
+ * @returns {Promise<Array>} Rows from joinGdpExpenseData
+ */
+export function loadJoinedGdpExpenseData() {
+  if (!joinedDataPromise) {
+    joinedDataPromise = Promise.all([loadGDPAbsoluteData(), loadTotalExpenseData()])
+      .then(([gdpData, expenseData]) => {
+        const joined = joinGdpExpenseData(gdpData, expenseData)
+        console.log(`🔗 Joined GDP and expense for ${joined.length} country-years`)
+        return joined
+      })
+      .catch(error => {
+        joinedDataPromise = null
+        throw error
+      })
+  }
+  return joinedDataPromise
+}
+
+/**
+ * Yearly growth of spending and GDP (log changes in %) for a country or a group
+ * - One country in local currency: GDP is converted with the exchange rate implied by the
+ *   expense file (local / USD), so exchange-rate swings do not move both series together.
+ *   Years with a currency redenomination or unit error are left out.
+ * - One country in USD (also when it has no local values), or a group: groups sum members' USD values, chain-linked so that each
+ *   year's growth only uses members reporting both GDP and spending in that year and the previous one
+ * @param {Array} joined - Rows from joinGdpExpenseData
+ * @param {Array<string>} countries - ISO3 codes (one for a country)
+ * @param {Object} [options] - { basis: 'local' | 'usd', yearRange: [start, end] }
+ * @returns {Object} { growth: [{ year, spending, gdp, members }], basis, excludedYears: [{ year, reason }] }
+ */
+export function buildGrowthSeries(joined, countries, { basis = 'usd', yearRange = null } = {}) {
+  const members = new Set(countries)
+  const rows = joined.filter(d => members.has(d.iso3) &&
+    (!yearRange || (d.year >= yearRange[0] && d.year <= yearRange[1])))
+  const excludedYears = []
+  const points = rows
+    .filter(d => d.local > 0)
+    .sort((a, b) => a.year - b.year)
+    .map(d => ({ year: d.year, value: d.spending, usd: d.spending, local: d.local }))
+
+  // Without local currency values a country falls back to USD
+  if (basis === 'local' && members.size === 1 && points.length > 1) {
+    const flags = anomalyDetectionService.detectCountry({ country: rows[0]?.countryName, code: countries[0], points })
+      .filter(flag => flag.method === 'redenomination')
+
+    const skipped = new Set()
+    flags.forEach(flag => {
+      skipped.add(flag.year)
+      excludedYears.push({ year: flag.year, reason: flag.type })
+      // A one-year unit error also distorts the following year's change
+      if (flag.type === 'Unit Error') {
+        skipped.add(flag.year + 1)
+        excludedYears.push({ year: flag.year + 1, reason: flag.type })
       }
-      
-      // Anomaly 3: Sudden spike in spending (year-over-year)
-      if (idx > 0) {
-        const prevExpense = sortedData[idx - 1].value
-        const change = ((expensePoint.value - prevExpense) / prevExpense) * 100
-        
-        if (change > 50) {
-          let severity = 'medium'
-          let type = 'Spending Spike'
-          if (change > 100) {
-            severity = 'high'
-            type = 'Major Spending Spike'
-          }
-          
-          anomalies.push({
-            country: expensePoint.countryName,
-            year: expensePoint.year,
-            type: type,
-            value: expensePoint.value,
-            change: change,
-            severity: severity
-          })
-        }
-        
-        // Anomaly 4: Sudden drop in spending
-        if (change < -40) {
-          anomalies.push({
-            country: expensePoint.countryName,
-            year: expensePoint.year,
-            type: 'Spending Drop',
-            value: expensePoint.value,
-            change: change,
-            severity: 'medium'
-          })
+    })
+
+    const byYear = new Map(points.map(d => [d.year, d]))
+    const rowByYear = new Map(rows.map(d => [d.year, d]))
+    const growth = points
+      .filter(d => byYear.has(d.year - 1) && !skipped.has(d.year))
+      .map(d => {
+        const previous = rowByYear.get(d.year - 1)
+        const current = rowByYear.get(d.year)
+        // GDP in local currency = GDP in USD × (local / USD) of the expense values
+        const gdpLocal = (row) => row.gdp * (row.local / row.spending)
+        return {
+          year: d.year,
+          spending: Math.log(current.local / previous.local) * 100,
+          gdp: Math.log(gdpLocal(current) / gdpLocal(previous)) * 100,
+          members: 1
         }
+      })
+    return { growth, basis: 'local', excludedYears }
+  }
+
+  const byYear = d3.group(rows, d => d.year)
+  const growth = Array.from(byYear.keys())
+    .sort((a, b) => a - b)
+    .filter(year => byYear.has(year - 1))
+    .map(year => {
+      const previous = new Map(byYear.get(year - 1).map(d => [d.iso3, d]))
+      const matched = byYear.get(year).filter(d => previous.has(d.iso3))
+      if (matched.length === 0) return null
+      const total = (list, key) => d3.sum(list, d => d[key])
+      const before = matched.map(d => previous.get(d.iso3))
+      return {
+        year,
+        spending: Math.log(total(matched, 'spending') / total(before, 'spending')) * 100,
+        gdp: Math.log(total(matched, 'gdp') / total(before, 'gdp')) * 100,
+        members: matched.length
       }
     })
-  })
-  
-  // Sort by severity and year (most recent first)
-  return anomalies.sort((a, b) => {
-    const severityOrder = { high: 3, medium: 2, low: 1 }
-    const severityDiff = severityOrder[b.severity] - severityOrder[a.severity]
-    if (severityDiff !== 0) return severityDiff
-    return b.year - a.year
-  })
+    .filter(Boolean)
+  return { growth, basis: 'usd', excludedYears }
 }
 
 /**
@@ -700,13 +864,18 @@ export function analyzeGlobalTrends(data) {
  */
 export async function loadSectorBreakdown(countryName, year) {
   try {
-    // Load all sector CSV files
-    const sectorDataPromises = SECTOR_FILES.map(async (filename) => {
+    // Load the sector CSV files listed in the data manifest
+    const sectorFiles = await dataManifestService.filterAvailable(SECTOR_FILES)
+    if (sectorFiles.length === 0) {
+      throw new Error(`No sector matrices in the data manifest. Run ${DATA_BUILD_COMMAND}`)
+    }
+    
+    const sectorDataPromises = sectorFiles.map(async (filename) => {
       try {
         const data = await d3.csv(getDataPath(filename))
         
-        // Extract sector key from filename (e.g., 'social_benefits_matrix.csv' -> 'social_benefits')
-        const sectorKey = filename.replace('_matrix.csv', '').replace('_expense', '')
+        // Extract sector key from filename (e.g., 'grants_expense_matrix.csv' -> 'grants_expense')
+        const sectorKey = filename.replace('_matrix.csv', '')
         const metadata = SECTOR_METADATA[sectorKey]
         
         if (!metadata) {
@@ -788,10 +957,18 @@ export async function loadSectorBreakdown(countryName, year) {
 
 export default {
   loadGdpExpenseData,
+  rebaseGdpExpenseData,
+  loadGDPAbsoluteData,
+  loadWorldBankIndicatorFile,
+  loadPopulationData,
+  createPopulationLookup,
   getCountryData,
   getAvailableCountries,
   getAvailableYears,
   detectAnomalies,
+  joinGdpExpenseData,
+  loadJoinedGdpExpenseData,
+  buildGrowthSeries,
   calculateExpenseToGdpRatios,
   getTopSpenders,
   calculateStatistics,
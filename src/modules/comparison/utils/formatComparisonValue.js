@@ -2,18 +2,27 @@
  * formatComparisonValue.js - Value formatting for comparison charts
  * 
  * Formats values in millions USD to T/B/M suffix format
+ * Per capita values (USD per person) are formatted as plain dollars
+ * Values converted at PPP are international dollars; the unit helpers label them
  */
 
+import { ValueFormatUtils } from '../../../shared/utils/ValueFormatUtils.js'
+
 /**
  * Format value in millions USD to T/B/M suffix
- * @param {number} valueInMillions - Value in millions USD
- * @returns {string} Formatted string (e.g., "$26.00T", "$543.20B", "$850.00M")
+ * @param {number} valueInMillions - Value in millions USD (USD per person when perCapita)
+ * @param {boolean} perCapita - Value is USD per person
+ * @returns {string} Formatted string (e.g., "$26.00T", "$543.20B", "$850.00M", "$65,432")
  */
-export function formatComparisonValue(valueInMillions) {
+export function formatComparisonValue(valueInMillions, perCapita = false) {
   if (valueInMillions === null || valueInMillions === undefined || isNaN(valueInMillions)) {
     return 'N/A'
   }
   
+  if (perCapita) {
+    return ValueFormatUtils.formatPerCapita(valueInMillions)
+  }
+  
   const absValue = Math.abs(valueInMillions)
   
   // Convert millions to trillions (divide by 1,000,000)
@@ -32,16 +41,23 @@ export function formatComparisonValue(valueInMillions) {
 
 /**
  * Format value in millions USD to T/B/M suffix (short version with 1 decimal)
- * @param {number} valueInMillions - Value in millions USD
- * @returns {string} Formatted string (e.g., "$26.0T", "$543.2B", "$850.0M")
+ * @param {number} valueInMillions - Value in millions USD (USD per person when perCapita)
+ * @param {boolean} perCapita - Value is USD per person
+ * @returns {string} Formatted string (e.g., "$26.0T", "$543.2B", "$850.0M", "$65.4K")
  */
-export function formatComparisonValueShort(valueInMillions) {
+export function formatComparisonValueShort(valueInMillions, perCapita = false) {
   if (valueInMillions === null || valueInMillions === undefined || isNaN(valueInMillions)) {
     return 'N/A'
   }
   
   const absValue = Math.abs(valueInMillions)
   
+  if (perCapita) {
+    return absValue >= 1_000
+      ? `$${(valueInMillions / 1_000).toFixed(1)}K`
+      : `$${valueInMillions.toFixed(0)}`
+  }
+  
   if (absValue >= 1_000_000) {
     return `$${(valueInMillions / 1_000_000).toFixed(1)}T`
   }
@@ -66,8 +82,31 @@ export function formatPercentage(percentage) {
   return `${percentage.toFixed(2)}%`
 }
 
+/**
+ * Unit label for axis titles
+ * @param {boolean} perCapita - Values are per person
+ * @param {string} currency - 'market' (USD) or 'ppp' (international dollars)
+ * @returns {string} e.g. "USD", "Int$ PPP per person"
+ */
+export function getValueUnit(perCapita = false, currency = 'market') {
+  return `${currency === 'ppp' ? 'Int$ PPP' : 'USD'}${perCapita ? ' per person' : ''}`
+}
+
+/**
+ * Conversion note for tooltips
+ * @param {string} currency - 'market' or 'ppp'
+ * @returns {string} Which conversion the values use
+ */
+export function getConversionNote(currency = 'market') {
+  return currency === 'ppp'
+    ? 'International dollars (PPP conversion)'
+    : 'USD (market exchange rate conversion)'
+}
+
 export default {
   formatComparisonValue,
   formatComparisonValueShort,
-  formatPercentage
+  formatPercentage,
+  getValueUnit,
+  getConversionNote
 }
@@ -8,6 +8,7 @@
 
 import * as d3 from 'd3'
 import { getDataPath } from '../../../utils/pathUtils.js'
+import { expenseDatasetService } from '../../../shared/services/ExpenseDatasetService.js'
 
 /**
  * Load and normalize GDP data from gdp_vals.csv
@@ -112,7 +113,8 @@ async function loadNormalizedGDPData(yearRange = [2005, 2022], countries = []) {
 
 /**
  * Load and normalize Spending data from expense_clean_usd.csv
- * OPTIMIZED: Filters during parsing to reduce memory usage
+ * Reads the "Expense" category (total government spending) from the shared expense dataset,
+ * filtered by year and country
  * @param {Array} yearRange - [minYear, maxYear] to filter (default [2005, 2022])
  * @param {Array} countries - Optional array of country names to filter
  * @returns {Promise<Array>} Array of {country, year, spending} in millions USD
@@ -120,72 +122,21 @@ async function loadNormalizedGDPData(yearRange = [2005, 2022], countries = []) {
 async function loadNormalizedSpendingData(yearRange = [2005, 2022], countries = []) {
   try {
     console.time('⏱️ Spending data loading')
-    const data = await d3.csv(getDataPath('expense_clean_usd.csv'))
+    const dataset = await expenseDatasetService.load()
     console.timeEnd('⏱️ Spending data loading')
     
-    console.log(`📊 Spending Processing: ${data.length} rows from expense_clean_usd.csv`)
-    console.time('⏱️ Spending data processing')
-    
-    // Log first row for debugging
-    if (data.length > 0) {
-      const firstExpenseRow = data.find(row => row['Expense Category'] === 'Expense')
-      if (firstExpenseRow) {
-        console.log('📋 Spending CSV First Row Sample:', {
-          country: firstExpenseRow['Country Name'],
-          year: firstExpenseRow['Year'],
-          valueUSD: firstExpenseRow['Value_USD'],
-          parsed: parseFloat(firstExpenseRow['Value_USD']),
-          category: firstExpenseRow['Expense Category']
-        })
-      }
-    }
-    
-    const spendingData = []
-    const [minYear, maxYear] = yearRange
-    
-    data.forEach(row => {
-      const countryName = row['Country Name']
-      const year = parseInt(row['Year'])
-      const valueUSD = parseFloat(row['Value_USD'])
-      const category = row['Expense Category']
-      
-      // Only use the "Expense" category which represents total government spending
-      if (category !== 'Expense') return
-      
-      if (!countryName || isNaN(year) || isNaN(valueUSD)) return
-      
-
-      // Apply year filter (optimization: filter early)
-      if (year < minYear || year > maxYear) return
-      
-      // Apply country filter if specified (optimization: skip early)
-      if (countries.length > 0 && !countries.includes(countryName)) return
-      
-      // CRITICAL FIX: The CSV Value_USD is in actual USD, NOT millions
-      // Must convert to millions USD to match GDP units
-      // Example: 5,135,523,000,000 USD → 5,135,523 millions USD (divide by 1M)
-      const spendingInMillions = valueUSD / 1_000_000 // CONVERT TO MILLIONS
-      
-      spendingData.push({
-        country: countryName,
-        year,
-        spending: spendingInMillions // Convert to millions USD
-      })
-      
-      // Log USA 2022 for verification
-      if (countryName === 'United States' && year === 2022) {
-        console.log('🔍 Spending Normalization (USA 2022):', {
-          rawValue: valueUSD,
-          rawFormatted: valueUSD.toExponential(2),
-          normalizedToMillions: spendingInMillions,
-          unit: 'millions USD (divided by 1M)',
-          formatted: `${(spendingInMillions / 1_000_000).toFixed(2)}T`
-        })
-      }
-    })
-    
-    console.timeEnd('⏱️ Spending data processing')
-    console.log(`✅ Loaded ${spendingData.length} spending data points (already in millions USD)`)
+    // CRITICAL FIX: The CSV Value_USD is in actual USD, NOT millions
+    // Must convert to millions USD to match GDP units
+    // Example: 5,135,523,000,000 USD → 5,135,523 millions USD (divide by 1M)
+    const spendingData = dataset
+      .select({ category: 'Expense', countries, yearRange, requireUsd: true })
+      .map(row => ({
+        country: row.country,
+        year: row.year,
+        spending: row.usd / 1_000_000 // Convert to millions USD
+      }))
+    
+    console.log(`✅ Loaded ${spendingData.length} spending data points (converted to millions USD)`)
     
     return spendingData
   } catch (error) {
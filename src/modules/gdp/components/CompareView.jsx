@@ -1,7 +1,8 @@
 import { useEffect, useRef, useState, useMemo } from 'react'
 import * as d3 from 'd3'
-import * as topojson from 'topojson-client'
 import { formatGDPValue } from '../utils/dataLoader.js'
+import { loadWorldTopology, getCountryFeatures } from '../../../shared/services/GeographyService.js'
+import { expenseDatasetService } from '../../../shared/services/ExpenseDatasetService.js'
 import '../styles/CompareView.css'
 
 // GDP Comparison Line Chart Component
@@ -201,9 +202,9 @@ const SpendingComparisonChart = ({ selectedCountries, yearRange, expenseData })
     // Process spending data by country and year (using USD values)
     const spendingByCountry = {}
     expenseData.forEach(row => {
-      const countryName = row['Country Name']
-      const year = parseInt(row['Year'])
-      const valueUSD = parseFloat(row['Value_USD']) // Use USD-converted value
+      const countryName = row.country
+      const year = row.year
+      const valueUSD = row.usd // Use USD-converted value
 
       if (!isNaN(year) && !isNaN(valueUSD) && year >= yearRange[0] && year <= yearRange[1]) {
         if (!spendingByCountry[countryName]) {
@@ -383,16 +384,10 @@ const SpendingComparisonChart = ({ selectedCountries, yearRange, expenseData })
 const CompareView = ({ selectedCountries, yearRange }) => {
   const [expenseData, setExpenseData] = useState(null)
   
-  // Load expense data (USD-converted)
+  // Load expense data (USD-converted) from the shared expense dataset
   useEffect(() => {
-    import('../../../utils/pathUtils.js').then(({ getDataPath }) => {
-      return fetch(getDataPath('expense_clean_usd.csv'))
-    })
-      .then(response => response.text())
-      .then(data => {
-        const parsedData = d3.csvParse(data);
-        setExpenseData(parsedData);
-      })
+    expenseDatasetService.load()
+      .then(dataset => setExpenseData(dataset.select({ requireUsd: true })))
       .catch(err => console.error('Error loading expense data:', err))
   }, [])
   const [worldData, setWorldData] = useState(null)
@@ -400,8 +395,7 @@ const CompareView = ({ selectedCountries, yearRange }) => {
 
   useEffect(() => {
     // Load world map data
-    fetch('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json')
-      .then(response => response.json())
+    loadWorldTopology()
       .then(data => {
         setWorldData(data)
       })
@@ -456,9 +450,9 @@ const CompareView = ({ selectedCountries, yearRange }) => {
     if (expenseData) {
       const spendingByCountry = {}
       expenseData.forEach(row => {
-        const countryName = row['Country Name']
-        const year = parseInt(row['Year'])
-        const valueUSD = parseFloat(row['Value_USD']) // Use USD-converted value
+        const countryName = row.country
+        const year = row.year
+        const valueUSD = row.usd // Use USD-converted value
 
         if (!isNaN(year) && !isNaN(valueUSD) && year >= yearRange[0] && year <= yearRange[1]) {
           if (!spendingByCountry[countryName]) {
@@ -517,7 +511,7 @@ const CompareView = ({ selectedCountries, yearRange }) => {
   useEffect(() => {
     if (!worldData || !selectedCountries || selectedCountries.length === 0) return
 
-    const countries = topojson.feature(worldData, worldData.objects.countries)
+    const countries = getCountryFeatures(worldData)
 
     selectedCountries.forEach((country, index) => {
       const mapRef = mapRefs.current[index]
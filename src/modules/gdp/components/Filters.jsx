@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react'
 import { filterStateManager } from '../../../shared/services/FilterStateManager.js'
 import FilterStatusIndicator from '../../../shared/components/FilterStatusIndicator.jsx'
+import AggregateSelect from '../../../shared/components/AggregateSelect.jsx'
+import CountryGroupSelect from '../../../shared/components/CountryGroupSelect.jsx'
+import { INCOME_LEVELS, incomeClassificationService } from '../../../shared/services/IncomeClassificationService.js'
 import '../styles/Filters.css'
 
 const Filters = ({ 
@@ -12,12 +15,19 @@ const Filters = ({
   showLabels, 
   onToggleLabels,
   availableCountries = [],
-  onCountrySelect
+  onCountrySelect,
+  gdpMeasure = 'total',
+  onMeasureChange,
+  perCapitaUnavailable = false,
+  selectedAggregate = null,
+  onAggregateSelect
 }) => {
   // Initialize from FilterStateManager
   const initialFilters = filterStateManager.getFiltersForModule('gdp')
   const [tempFilters, setTempFilters] = useState({
     regions: initialFilters.regions || [],
+    incomeLevels: initialFilters.incomeLevels || [],
+    countryGroup: initialFilters.countryGroup || null,
     yearRange: initialFilters.yearRange || [minYear, maxYear],
     gdpRange: initialFilters.gdpRange || [0, 30000],
     countries: selectedCountries
@@ -33,6 +43,8 @@ const Filters = ({
       setTempFilters(prev => ({
         ...prev,
         regions: gdpFilters.regions || [],
+        incomeLevels: gdpFilters.incomeLevels || [],
+        countryGroup: gdpFilters.countryGroup || null,
         yearRange: gdpFilters.yearRange || [minYear, maxYear],
         gdpRange: gdpFilters.gdpRange || [0, 30000]
       }))
@@ -74,6 +86,28 @@ const Filters = ({
     }
   };
 
+  const handleIncomeLevelChange = (level) => {
+    const newLevels = tempFilters.incomeLevels.includes(level)
+      ? tempFilters.incomeLevels.filter(l => l !== level)
+      : [...tempFilters.incomeLevels, level];
+    
+    const updatedFilters = { ...tempFilters, incomeLevels: newLevels };
+    setTempFilters(updatedFilters);
+    // Update FilterStateManager
+    filterStateManager.updateFilters({ incomeLevels: newLevels }, false, 'gdp');
+    // Apply filters immediately in real-time
+    onFilterChange(updatedFilters);
+  };
+
+  const handleCountryGroupChange = (groupId) => {
+    const updatedFilters = { ...tempFilters, countryGroup: groupId };
+    setTempFilters(updatedFilters);
+    // Update FilterStateManager
+    filterStateManager.updateFilters({ countryGroup: groupId }, false, 'gdp');
+    // Apply filters immediately in real-time
+    onFilterChange(updatedFilters);
+  };
+
   const handleYearRangeChange = (index, value) => {
     const newYearRange = [...tempFilters.yearRange];
     const newValue = parseInt(value) || minYear;
@@ -111,6 +145,8 @@ const Filters = ({
   const handleReset = () => {
     const resetFilters = {
       regions: [],
+      incomeLevels: [],
+      countryGroup: null,
       yearRange: [minYear, maxYear],
       gdpRange: [0, 30000],
       countries: []
@@ -151,6 +187,65 @@ const Filters = ({
         </div>
       </div>
 
+      <div className="filter-section">
+        <label className="filter-label">INCOME LEVEL:</label>
+        <div className="filter-chips">
+          {INCOME_LEVELS.map(level => (
+            <button
+              key={level.id}
+              className={`filter-chip ${tempFilters.incomeLevels.includes(level.id) ? 'active' : ''}`}
+              onClick={() => handleIncomeLevelChange(level.id)}
+              title={`${incomeClassificationService.getSourceNote()}, in ${tempFilters.yearRange[1]}`}
+            >
+              {level.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="filter-section">
+        <label className="filter-label" htmlFor="gdp-country-group">COUNTRY GROUP:</label>
+        <CountryGroupSelect
+          id="gdp-country-group"
+          value={tempFilters.countryGroup}
+          onChange={handleCountryGroupChange}
+        />
+      </div>
+
+      {onAggregateSelect && (
+        <div className="filter-section">
+          <label className="filter-label" htmlFor="gdp-aggregate">AGGREGATE:</label>
+          <AggregateSelect
+            id="gdp-aggregate"
+            className="aggregate-select"
+            value={selectedAggregate}
+            onChange={onAggregateSelect}
+          />
+        </div>
+      )}
+
+      {onMeasureChange && (
+        <div className="filter-section">
+          <label className="filter-label">MEASURE:</label>
+          <div className="filter-chips">
+            <button
+              className={`filter-chip ${gdpMeasure === 'total' ? 'active' : ''}`}
+              onClick={() => onMeasureChange('total')}
+            >
+              Total GDP
+            </button>
+            <button
+              className={`filter-chip ${gdpMeasure === 'perCapita' ? 'active' : ''}`}
+              onClick={() => onMeasureChange('perCapita')}
+              disabled={perCapitaUnavailable}
+              title={perCapitaUnavailable ? 'Population data (population.csv) is not available' : 'GDP divided by population (USD per person)'}
+            >
+              Per capita
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="filter-section">
         <label className="filter-label">YEAR RANGE:</label>
         <div className="year-slider-wrapper">
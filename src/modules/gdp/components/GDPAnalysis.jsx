@@ -1,8 +1,19 @@
-import React, { useEffect, useRef, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import * as d3 from 'd3'
-import * as topojson from 'topojson-client'
 import { getDataPath } from '../../../utils/pathUtils.js'
+import { loadWorldTopology, getCountryFeatures } from '../../../shared/services/GeographyService.js'
 import { formatGDPValue } from '../utils/dataLoader.js'
+import { findCountryRecord, getContinent, resolveFeature } from '../../../shared/utils/CountryRegistry.js'
+import { filterStateManager } from '../../../shared/services/FilterStateManager.js'
+import { ValueFormatUtils } from '../../../shared/utils/ValueFormatUtils.js'
+import { loadPopulationData, createPopulationLookup } from '../../comparison/services/GdpExpenseDataService.js'
+import { priceBasisService } from '../../../shared/services/PriceBasisService.js'
+import { usePriceBasis } from '../../../shared/hooks/usePriceBasis.js'
+import { useLinkedSelection } from '../../../shared/hooks/useLinkedSelection.js'
+import { useIncomeClassification } from '../../../shared/hooks/useIncomeClassification.js'
+import { incomeClassificationService } from '../../../shared/services/IncomeClassificationService.js'
+import { countryGroupService } from '../../../shared/services/CountryGroupService.js'
+import { aggregationService, createValueLookup, describeCoverage } from '../../../shared/services/AggregationService.js'
 import SearchBar from './SearchBar.jsx';
 import Filters from './Filters.jsx';
 import ZoomControls from './ZoomControls.jsx';
@@ -16,7 +27,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
   const gRef = useRef(null)
   const zoomRef = useRef(null)
   
-  const [gdpData, setGdpData] = useState({})
+  const [nominalGdpData, setNominalGdpData] = useState({}) // Current US$ as loaded
   const [filteredCountries, setFilteredCountries] = useState([])
   const [selectedCountry, setSelectedCountry] = useState(null)
   const [selectedCountries, setSelectedCountries] = useState([]) // For search selections
@@ -26,17 +37,57 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
   const [error, setError] = useState(null)
   const [showLabels, setShowLabels] = useState(false) // Toggle for labels
   const [allYears, setAllYears] = useState({ min: 2005, max: 2022 }) // Locked to reliable data range
-  const [filters, setFilters] = useState({
-    regions: [],
-    yearRange: [2005, 2022], // Locked to reliable data range
-    gdpRange: [0, 30000], // In billions USD
-    countries: [] // Selected countries from search
+  const [filters, setFilters] = useState(() => {
+    // Regions and year range come from the shared filter state (session or shared link)
+    const stored = filterStateManager.getFiltersForModule('gdp')
+    return {
+      regions: stored.regions || [],
+      incomeLevels: stored.incomeLevels || [],
+      countryGroup: stored.countryGroup || null,
+      yearRange: stored.yearRange || [2005, 2022], // Locked to reliable data range
+      gdpRange: [0, 30000], // In billions USD
+      countries: [] // Selected countries from search (restored once GDP data is loaded)
+    }
   })
   const [globalStats, setGlobalStats] = useState(null)
   const [showUSDeepDive, setShowUSDeepDive] = useState(false)
   const [showTopPerformers, setShowTopPerformers] = useState(false)
   const [showBottomPerformers, setShowBottomPerformers] = useState(false)
   const [activeInsightTab, setActiveInsightTab] = useState('global') // 'global' or 'country'
+  const [gdpMeasure, setGdpMeasure] = useState('total') // 'total' (billions USD) or 'perCapita' (USD per person)
+  const [populationLookup, setPopulationLookup] = useState(null)
+  const [populationUnavailable, setPopulationUnavailable] = useState(false)
+  const isPerCapita = gdpMeasure === 'perCapita'
+  const perCapitaActive = isPerCapita && !!populationLookup // Values on screen are per person
+  const { baseYear } = usePriceBasis()
+  const { selected: linkedSelected, highlighted: linkedHighlighted, highlight, clearHighlight } = useLinkedSelection('gdp-map')
+  const { ready: incomeReady, sourceNote: incomeSourceNote } = useIncomeClassification()
+
+  // GDP shown everywhere: nominal, or constant base-year US$ (US deflator) with real growth
+  const gdpData = useMemo(() => {
+    if (!baseYear) return nominalGdpData
+
+    const priced = {}
+    Object.entries(nominalGdpData).forEach(([code, country]) => {
+      const data = country.data
+        .map(d => {
+          const factor = priceBasisService.getUsdFactor(d.year, baseYear)
+          const previousFactor = priceBasisService.getUsdFactor(d.year - 1, baseYear)
+          if (!factor) return null
+
+          // (1 + real growth) = (1 + nominal growth) × factor(t) / factor(t - 1)
+          const growth = d.growth !== null && d.growth !== undefined && !isNaN(d.growth) && previousFactor
+            ? ((1 + d.growth / 100) * (factor / previousFactor) - 1) * 100
+            : null
+          return { ...d, gdp: d.gdp * factor, growth }
+        })
+        .filter(Boolean)
+
+      priced[code] = { ...country, data, latest: data[0] }
+    })
+    return priced
+  }, [nominalGdpData, baseYear])
+  const priceSuffix = baseYear ? `, ${baseYear} prices` : ''
 
   useEffect(() => {
     loadData()
@@ -46,7 +97,29 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
     if (Object.keys(gdpData).length > 0) {
       applyFilters()
     }
-  }, [gdpData, filters])
+  }, [gdpData, filters, gdpMeasure, populationLookup, incomeReady])
+
+  // Load population the first time the per capita measure is selected
+  useEffect(() => {
+    if (!isPerCapita || populationLookup) return
+
+    let cancelled = false
+    loadPopulationData()
+      .then(data => {
+        if (!cancelled) setPopulationLookup(() => createPopulationLookup(data))
+      })
+      .catch(err => {
+        console.error('❌ Error loading population for GDP per capita:', err)
+        if (!cancelled) {
+          setPopulationUnavailable(true)
+          setGdpMeasure('total')
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isPerCapita, populationLookup])
 
   // Sync loading state with parent component
   useEffect(() => {
@@ -55,6 +128,77 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
     }
   }, [loading, onLoadingChange])
 
+  // Restore the shared selection once GDP data is available, and follow
+  // back/forward navigation (UrlStateService feeds it into FilterStateManager)
+  const filtersRef = useRef(filters)
+  const selectedCountryRef = useRef(selectedCountry)
+  const selectionRestoredRef = useRef(false)
+  filtersRef.current = filters
+  selectedCountryRef.current = selectedCountry
+
+  useEffect(() => {
+    if (Object.keys(gdpData).length === 0) return
+
+    const applySharedFilters = (shared) => {
+      const current = filtersRef.current
+      const codes = shared.countries || []
+      const regions = shared.regions || []
+      const incomeLevels = shared.incomeLevels || []
+      const countryGroup = shared.countryGroup || null
+      const yearRange = shared.yearRange || current.yearRange
+
+      const selected = selectedCountryRef.current
+      const currentCodes = selected?.isAggregate ? [selected.code] : current.countries.map(c => c.code)
+      const sameCountries = codes.join(',') === currentCodes.join(',')
+      const sameRegions = regions.join(',') === current.regions.join(',')
+      const sameIncomeLevels = incomeLevels.join(',') === (current.incomeLevels || []).join(',')
+      const sameGroup = countryGroup === (current.countryGroup || null)
+      const sameYears = yearRange.join('-') === current.yearRange.join('-')
+      if (sameCountries && sameRegions && sameIncomeLevels && sameGroup && sameYears) return
+
+      // An aggregate code (EAS, HIC, ...) selects that aggregate instead of countries
+      const aggregate = codes.length === 1 ? aggregationService.getAggregate(codes[0]) : null
+      const countries = aggregate ? [] : codes.map(code => gdpData[code]).filter(Boolean)
+      setFilters(prev => ({ ...prev, regions, incomeLevels, countryGroup, yearRange, countries }))
+
+      if (!sameCountries) {
+        if (aggregate) {
+          setSelectedCountry({ name: aggregate.name, code: aggregate.code, isAggregate: true })
+          setActiveInsightTab('country')
+        } else if (countries.length === 0) {
+          setSelectedCountry(null)
+          setActiveInsightTab('global')
+        } else {
+          setSelectedCountry(countries.length === 1 ? countries[0] : {
+            name: 'Multiple Countries',
+            code: 'MULTI',
+            countries
+          })
+          setActiveInsightTab('country')
+        }
+      }
+    }
+
+    applySharedFilters(filterStateManager.getFiltersForModule('gdp'))
+    selectionRestoredRef.current = true
+
+    const unsubscribe = filterStateManager.subscribe(() => {
+      applySharedFilters(filterStateManager.getFiltersForModule('gdp'))
+    })
+    return unsubscribe
+  }, [gdpData])
+
+  // Publish selected countries (ISO3) or the selected aggregate so they are part of the shareable URL
+  useEffect(() => {
+    if (!selectionRestoredRef.current) return
+
+    const codes = selectedCountry?.isAggregate ? [selectedCountry.code] : filters.countries.map(c => c.code)
+    const stored = filterStateManager.getFilters().countries || []
+    if (codes.join(',') !== stored.join(',')) {
+      filterStateManager.updateFilters({ countries: codes }, true, 'gdp')
+    }
+  }, [filters.countries, selectedCountry])
+
   useEffect(() => {
     if (filteredCountries.length > 0) {
       drawMap()
@@ -68,154 +212,58 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
     }
   }, [showLabels])
 
-  // Helper function to normalize country names for matching
-  const normalizeCountryName = (name) => {
-    const nameMap = {
-      // ...existing code from InfoPanel.jsx...
-      'United States of America': 'United States',
-      'United States': 'United States',
-      'USA': 'United States',
-      'Russia': 'Russian Federation',
-      'Russian Federation': 'Russian Federation',
-      'South Korea': 'Korea, Rep.',
-      'Korea, Republic of': 'Korea, Rep.',
-      'North Korea': 'Korea, Dem. People\'s Rep.',
-      'Democratic People\'s Republic of Korea': 'Korea, Dem. People\'s Rep.',
-      'Iran': 'Iran, Islamic Rep.',
-      'Venezuela': 'Venezuela, RB',
-      'Egypt': 'Egypt, Arab Rep.',
-      'Yemen': 'Yemen, Rep.',
-      'Syria': 'Syrian Arab Republic',
-      'Laos': 'Lao PDR',
-      'Vietnam': 'Viet Nam',
-      'Congo': 'Congo, Rep.',
-      'Democratic Republic of the Congo': 'Congo, Dem. Rep.',
-      'Tanzania': 'Tanzania',
-      'Macedonia': 'North Macedonia',
-      'Czech Republic': 'Czechia',
-      'Slovakia': 'Slovak Republic',
-      'The Bahamas': 'Bahamas, The',
-      'The Gambia': 'Gambia, The',
-      'Ivory Coast': 'Cote d\'Ivoire',
-      'Cape Verde': 'Cabo Verde',
-      'Swaziland': 'Eswatini',
-      'Myanmar': 'Myanmar',
-      'Burma': 'Myanmar',
-      'East Timor': 'Timor-Leste',
-      'Timor-Leste': 'Timor-Leste',
-      'Brunei': 'Brunei Darussalam',
-      'Kyrgyzstan': 'Kyrgyz Republic',
-      'Palestine': 'West Bank and Gaza',
-      'West Bank and Gaza': 'West Bank and Gaza',
-      'Turkey': 'Turkiye',
-      'Türkiye': 'Turkiye'
-    };
-    return nameMap[name] || name;
-  };
-
-  // Helper function to find country by name (with normalization)
-  const findCountryByName = (mapName, gdpData) => {
-    const normalizedMapName = normalizeCountryName(mapName);
-    
-    // Try direct match first
-    let country = Object.values(gdpData).find(c => c.name === normalizedMapName);
-    if (country) return country;
-    
-    // Try original name
-    country = Object.values(gdpData).find(c => c.name === mapName);
-    if (country) return country;
-    
-    // Try case-insensitive partial match
-    country = Object.values(gdpData).find(c => 
-      c.name.toLowerCase().includes(mapName.toLowerCase()) ||
-      mapName.toLowerCase().includes(c.name.toLowerCase())
-    );
-    
-    return country;
-  };
-  
-  // Helper function to determine region from country code
-  const getRegion = (code) => {
-    const regionMap = {
-      // Africa
-      'DZA': 'Africa', 'AGO': 'Africa', 'BEN': 'Africa', 'BWA': 'Africa', 'BFA': 'Africa',
-      'BDI': 'Africa', 'CMR': 'Africa', 'CPV': 'Africa', 'CAF': 'Africa', 'TCD': 'Africa',
-      'COM': 'Africa', 'COG': 'Africa', 'COD': 'Africa', 'CIV': 'Africa', 'DJI': 'Africa',
-      'EGY': 'Africa', 'GNQ': 'Africa', 'ERI': 'Africa', 'ETH': 'Africa', 'GAB': 'Africa',
-      'GMB': 'Africa', 'GHA': 'Africa', 'GIN': 'Africa', 'GNB': 'Africa', 'KEN': 'Africa',
-      'LSO': 'Africa', 'LBR': 'Africa', 'LBY': 'Africa', 'MDG': 'Africa', 'MWI': 'Africa',
-      'MLI': 'Africa', 'MRT': 'Africa', 'MUS': 'Africa', 'MAR': 'Africa', 'MOZ': 'Africa',
-      'NAM': 'Africa', 'NER': 'Africa', 'NGA': 'Africa', 'RWA': 'Africa', 'STP': 'Africa',
-      'SEN': 'Africa', 'SYC': 'Africa', 'SLE': 'Africa', 'SOM': 'Africa', 'ZAF': 'Africa',
-      'SSD': 'Africa', 'SDN': 'Africa', 'SWZ': 'Africa', 'TZA': 'Africa', 'TGO': 'Africa',
-      'TUN': 'Africa', 'UGA': 'Africa', 'ZMB': 'Africa', 'ZWE': 'Africa',
-      
-      // Asia
-      'AFG': 'Asia', 'ARM': 'Asia', 'AZE': 'Asia', 'BHR': 'Asia', 'BGD': 'Asia',
-      'BTN': 'Asia', 'BRN': 'Asia', 'KHM': 'Asia', 'CHN': 'Asia', 'GEO': 'Asia',
-      'IND': 'Asia', 'IDN': 'Asia', 'IRN': 'Asia', 'IRQ': 'Asia', 'ISR': 'Asia',
-      'JPN': 'Asia', 'JOR': 'Asia', 'KAZ': 'Asia', 'KWT': 'Asia', 'KGZ': 'Asia',
-      'LAO': 'Asia', 'LBN': 'Asia', 'MYS': 'Asia', 'MDV': 'Asia', 'MNG': 'Asia',
-      'MMR': 'Asia', 'NPL': 'Asia', 'PRK': 'Asia', 'OMN': 'Asia', 'PAK': 'Asia',
-      'PSE': 'Asia', 'PHL': 'Asia', 'QAT': 'Asia', 'SAU': 'Asia', 'SGP': 'Asia',
-      'KOR': 'Asia', 'LKA': 'Asia', 'SYR': 'Asia', 'TWN': 'Asia', 'TJK': 'Asia',
-      'THA': 'Asia', 'TLS': 'Asia', 'TUR': 'Asia', 'TKM': 'Asia', 'ARE': 'Asia',
-      'UZB': 'Asia', 'VNM': 'Asia', 'YEM': 'Asia', 'HKG': 'Asia', 'MAC': 'Asia',
-      
-      // Europe
-      'ALB': 'Europe', 'AND': 'Europe', 'AUT': 'Europe', 'BLR': 'Europe', 'BEL': 'Europe',
-      'BIH': 'Europe', 'BGR': 'Europe', 'HRV': 'Europe', 'CYP': 'Europe', 'CZE': 'Europe',
-      'DNK': 'Europe', 'EST': 'Europe', 'FIN': 'Europe', 'FRA': 'Europe', 'DEU': 'Europe',
-      'GRC': 'Europe', 'HUN': 'Europe', 'ISL': 'Europe', 'IRL': 'Europe', 'ITA': 'Europe',
-      'XKX': 'Europe', 'LVA': 'Europe', 'LIE': 'Europe', 'LTU': 'Europe', 'LUX': 'Europe',
-      'MKD': 'Europe', 'MLT': 'Europe', 'MDA': 'Europe', 'MCO': 'Europe', 'MNE': 'Europe',
-      'NLD': 'Europe', 'NOR': 'Europe', 'POL': 'Europe', 'PRT': 'Europe', 'ROU': 'Europe',
-      'RUS': 'Europe', 'SMR': 'Europe', 'SRB': 'Europe', 'SVK': 'Europe', 'SVN': 'Europe',
-      'ESP': 'Europe', 'SWE': 'Europe', 'CHE': 'Europe', 'UKR': 'Europe', 'GBR': 'Europe',
-      'VAT': 'Europe', 'GRL': 'Europe',
-      
-      // North America
-      'ATG': 'North America', 'BHS': 'North America', 'BRB': 'North America', 'BLZ': 'North America',
-      'CAN': 'North America', 'CRI': 'North America', 'CUB': 'North America', 'DMA': 'North America',
-      'DOM': 'North America', 'SLV': 'North America', 'GRD': 'North America', 'GTM': 'North America',
-      'HTI': 'North America', 'HND': 'North America', 'JAM': 'North America', 'MEX': 'North America',
-      'NIC': 'North America', 'PAN': 'North America', 'KNA': 'North America', 'LCA': 'North America',
-      'VCT': 'North America', 'TTO': 'North America', 'USA': 'North America',
-      
-      // South America
-      'ARG': 'South America', 'BOL': 'South America', 'BRA': 'South America', 'CHL': 'South America',
-      'COL': 'South America', 'ECU': 'South America', 'GUY': 'South America', 'PRY': 'South America',
-      'PER': 'South America', 'SUR': 'South America', 'URY': 'South America', 'VEN': 'South America',
-      
-      // Oceania
-      'AUS': 'Oceania', 'FJI': 'Oceania', 'KIR': 'Oceania', 'MHL': 'Oceania', 'FSM': 'Oceania',
-      'NRU': 'Oceania', 'NZL': 'Oceania', 'PLW': 'Oceania', 'PNG': 'Oceania', 'WSM': 'Oceania',
-      'SLB': 'Oceania', 'TON': 'Oceania', 'TUV': 'Oceania', 'VUT': 'Oceania'
-    };
-    
-    return regionMap[code] || 'Other';
-  };  const
- applyFilters = () => {
+  // Outline countries selected or hovered in the linked charts
+  useEffect(() => {
+    if (!gRef.current) return
+
+    const selectedSet = new Set(linkedSelected)
+    const highlightedSet = new Set(linkedHighlighted)
+
+    d3.select(gRef.current)
+      .selectAll('path.country')
+      .classed('linked-selected', d => selectedSet.has(resolveFeature(d)?.iso3))
+      .classed('linked-highlighted', d => highlightedSet.has(resolveFeature(d)?.iso3))
+  }, [linkedSelected, linkedHighlighted, filteredCountries, selectedCountry, showLabels])
+
+  // Region of a country code (continent from the shared country registry)
+  const getRegion = (code) => getContinent(code, 'Other');
+
+  // GDP per person (USD) for one data point, null when population is missing
+  const toPerCapita = (code, d) => {
+    const population = populationLookup ? populationLookup(code, d.year) : null
+    return population ? d.gdp / population : null
+  }
+
+  // Map value shown for a country: billions USD, or USD per person in per capita view
+  const formatMeasure = (value) => {
+    if (perCapitaActive) return ValueFormatUtils.formatPerCapita(value)
+    return value >= 1000 ? `$${(value / 1000).toFixed(1)}T` : `$${value.toFixed(1)}B`
+  }
+
+  const applyFilters = () => {
+    // Wait for population before recoloring in per capita view
+    if (isPerCapita && !populationLookup) return
+
     const countries = Object.values(gdpData)
     
     // Calculate average GDP value for the selected year range
     const filteredWithAverage = countries.map(country => {
-      // Filter data points within year range
-      const dataInRange = country.data.filter(d => 
-        d.year >= filters.yearRange[0] && d.year <= filters.yearRange[1]
-      )
+      // Filter data points within year range (per capita drops years without population)
+      const dataInRange = country.data
+        .filter(d => d.year >= filters.yearRange[0] && d.year <= filters.yearRange[1])
+        .map(d => isPerCapita ? { ...d, value: toPerCapita(country.code, d) } : { ...d, value: d.gdp / 1e9 })
+        .filter(d => d.value !== null)
       
-
-      
-      // Calculate average GDP for the year range (in billions USD)
+      // Calculate average GDP for the year range (billions USD, or USD per person)
       if (dataInRange.length > 0) {
-        const avgGDP = dataInRange.reduce((sum, d) => sum + (d.gdp / 1e9), 0) / dataInRange.length
+        const avgGDP = dataInRange.reduce((sum, d) => sum + d.value, 0) / dataInRange.length
         
 
         return {
           ...country,
           avgGDP: avgGDP,
-          dataPointsInRange: dataInRange.length
+          dataPointsInRange: dataInRange.length,
+          valuesInRange: dataInRange
         }
       }
       
@@ -233,6 +281,16 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       const hasAnyData = country.data && country.data.length > 0
       if (!hasAnyData) return false
       
+      // Income level filter - income group in the last year of the range
+      if (!incomeClassificationService.matchesIncomeLevels(country.code, filters.incomeLevels, filters.yearRange[1])) {
+        return false
+      }
+      
+      // Country group filter - members of the selected preset or user group
+      if (!countryGroupService.matchesGroup(country.code, filters.countryGroup)) {
+        return false
+      }
+      
       // When region is selected, apply region filter
       if (filters.regions.length > 0) {
         const countryRegion = getRegion(country.code);
@@ -296,6 +354,11 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       const top10 = sortedByGDP.slice(0, 10)
       const bottom10 = sortedByGDP.slice(-10).reverse()
       
+      // Averages by the income group of each year (a country can move between groups)
+      const byIncome = incomeClassificationService.aggregateByIncomeLevel(
+        validCountries.flatMap(c => c.valuesInRange.map(d => ({ country: c.code, year: d.year, value: d.value })))
+      )
+      
       // Calculate data availability
       const totalAllCountries = Object.keys(gdpData).length
       const countriesWithData = filtered.length
@@ -318,7 +381,8 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
         countriesWithoutData,
         yearRange: filters.yearRange,
         top10,
-        bottom10
+        bottom10,
+        byIncome
       })
     } else {
       setGlobalStats(null)
@@ -336,7 +400,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       
       // Load world map and GDP data
       const [worldData, gdpDataResult] = await Promise.all([
-        d3.json('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json'),
+        loadWorldTopology(),
         loadAllData()
       ])
 
@@ -400,7 +464,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       
       setColorScale(() => scale)
 
-      setGdpData(processedGDP)
+      setNominalGdpData(processedGDP)
       
       // Store world data for drawing
       window.worldMapData = worldData
@@ -429,10 +493,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       .attr('height', height)
 
     // Convert TopoJSON to GeoJSON first to get bounds
-    const allCountries = topojson.feature(
-      window.worldMapData,
-      window.worldMapData.objects.countries
-    )
+    const allCountries = getCountryFeatures(window.worldMapData)
     
     // Filter out Antarctica which has no data
     const countries = {
@@ -486,7 +547,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       }
 
       labelsGroup.selectAll('.country-label').each(function(d) {
-        const countryGDP = findCountryByName(d.properties.name, gdpData)
+        const countryGDP = findCountryRecord(d, gdpData)
         if (!countryGDP || !countryGDP.latest) {
           d3.select(this).style('opacity', 0)
           return
@@ -570,7 +631,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       .attr('fill', d => {
         // Find country in filteredCountries (which has avgGDP)
         // Use normalized name matching instead of direct comparison
-        const mapCountry = findCountryByName(d.properties.name, gdpData)
+        const mapCountry = findCountryRecord(d, gdpData)
         const countryGDP = mapCountry ? filteredCountries.find(
           c => c.code === mapCountry.code
         ) : null
@@ -590,7 +651,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
         }
         
         // Fallback to original gdpData if not in filtered
-        const originalCountry = findCountryByName(d.properties.name, gdpData)
+        const originalCountry = findCountryRecord(d, gdpData)
         if (originalCountry && originalCountry.latest && !isNaN(originalCountry.latest.gdp)) {
           // Country exists but not in year range - show dimmed
           return '#e0e0e0'
@@ -599,7 +660,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
         return '#e0e0e0'
       })
       .attr('stroke', d => {
-        const countryGDP = findCountryByName(d.properties.name, gdpData)
+        const countryGDP = findCountryRecord(d, gdpData)
         
         // Check if country is in selected countries list
         if (countryGDP && filters.countries && filters.countries.length > 0) {
@@ -620,7 +681,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
         return '#fff'
       })
       .attr('stroke-width', d => {
-        const countryGDP = findCountryByName(d.properties.name, gdpData)
+        const countryGDP = findCountryRecord(d, gdpData)
         
         // Thicker stroke for selected countries
         if (countryGDP && filters.countries && filters.countries.length > 0) {
@@ -642,13 +703,13 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       })
       .style('cursor', 'pointer')
       .on('click', (event, d) => {
-        const countryGDP = findCountryByName(d.properties.name, gdpData)
+        const countryGDP = findCountryRecord(d, gdpData)
         if (countryGDP) {
           handleCountrySelect(countryGDP)
         }
       })
       .on('mouseenter', function(event, d) {
-        const countryGDP = findCountryByName(d.properties.name, gdpData)
+        const countryGDP = findCountryRecord(d, gdpData)
         const isSelected = countryGDP && filters.countries && filters.countries.some(c => c.code === countryGDP.code)
         
         if (!isSelected) {
@@ -656,9 +717,10 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
             .attr('stroke', '#333')
             .attr('stroke-width', 2)
         }
+        if (countryGDP) highlight([countryGDP.code])
       })
       .on('mouseleave', function(event, d) {
-        const countryGDP = findCountryByName(d.properties.name, gdpData)
+        const countryGDP = findCountryRecord(d, gdpData)
         const isSelected = countryGDP && filters.countries && filters.countries.some(c => c.code === countryGDP.code)
         
         if (!isSelected) {
@@ -666,10 +728,11 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
             .attr('stroke', '#fff')
             .attr('stroke-width', 0.5)
         }
+        clearHighlight()
       })
       .append('title')
       .text(d => {
-        const mapCountry = findCountryByName(d.properties.name, gdpData)
+        const mapCountry = findCountryRecord(d, gdpData)
         const countryGDP = mapCountry ? filteredCountries.find(
           c => c.code === mapCountry.code
         ) : null
@@ -678,9 +741,10 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
             ? `${filters.yearRange[0]}`
             : `${filters.yearRange[0]}-${filters.yearRange[1]}`
           // Use formatGDPValue utility function
-          const gdpInUSD = countryGDP.avgGDP * 1e9
-          const formattedGDP = formatGDPValue(gdpInUSD)
-          return `${d.properties.name}\nGDP (${yearRangeText}): ${formattedGDP}\nData points: ${countryGDP.dataPointsInRange}`
+          const formattedGDP = perCapitaActive
+            ? ValueFormatUtils.formatPerCapita(countryGDP.avgGDP)
+            : formatGDPValue(countryGDP.avgGDP * 1e9)
+          return `${d.properties.name}\n${perCapitaActive ? 'GDP per capita' : 'GDP'} (${yearRangeText}): ${formattedGDP}\nData points: ${countryGDP.dataPointsInRange}`
         }
         return d.properties.name
       })
@@ -705,7 +769,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
       .style('opacity', 0)
       .style('user-select', 'none')
       .text(d => {
-        const countryGDP = findCountryByName(d.properties.name, gdpData)
+        const countryGDP = findCountryRecord(d, gdpData)
         return countryGDP ? countryGDP.code : ''
       })
 
@@ -855,6 +919,19 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
     });
   }
 
+  // Select an aggregate as a pseudo-country (replaces the country selection)
+  const handleAggregateSelect = (code) => {
+    const aggregate = aggregationService.getAggregate(code)
+    setFilters(prev => ({ ...prev, countries: [] }))
+    if (aggregate) {
+      setSelectedCountry({ name: aggregate.name, code: aggregate.code, isAggregate: true })
+      setActiveInsightTab('country')
+    } else {
+      setSelectedCountry(null)
+      setActiveInsightTab('global')
+    }
+  }
+
   const handleClosePanel = () => {
     setSelectedCountry(null)
     setActiveInsightTab('global') // Switch back to global tab
@@ -869,6 +946,69 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
     setFilters(newFilters)
   }
 
+  const measureLabel = `${perCapitaActive ? 'GDP per capita' : 'GDP'}${baseYear ? ` (${baseYear} prices)` : ''}`
+
+  // Selected aggregate as a pseudo-country: GDP summed over members with data (per person:
+  // Σ GDP / Σ population of the same members), growth as the GDP-weighted mean of member growth
+  const aggregateCountry = useMemo(() => {
+    if (!selectedCountry?.isAggregate) return null
+
+    const code = selectedCountry.code
+    const years = d3.range(allYears.min, allYears.max + 1)
+    const points = Object.values(gdpData).flatMap(country => country.data.map(d => ({ ...d, code: country.code })))
+    const gdpFor = createValueLookup(points, { country: d => d.code, year: d => d.year, value: d => d.gdp })
+    const growthFor = createValueLookup(points, { country: d => d.code, year: d => d.year, value: d => d.growth })
+    const valueFor = perCapitaActive
+      ? (iso3, year) => (populationLookup(iso3, year) ? gdpFor(iso3, year) : null)
+      : gdpFor
+
+    const gdp = aggregationService.buildSeries(code, valueFor, years, { method: 'sum' })
+    const population = perCapitaActive
+      ? aggregationService.buildSeries(code, (iso3, year) => (valueFor(iso3, year) !== null ? populationLookup(iso3, year) : null), years, { method: 'sum', minCoverage: 0 })
+      : null
+    const growth = aggregationService.buildSeries(code, growthFor, years, { method: 'gdpWeighted', weightFor: gdpFor })
+
+    const data = gdp.points
+      .map((point, i) => {
+        if (point.value === null) return null
+        const value = population ? point.value / population.points[i].value : point.value
+        return { year: point.year, gdp: value, growth: growth.points[i].value, coverage: point }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.year - a.year)
+
+    const inRange = data.find(d => d.year <= filters.yearRange[1]) || data[0]
+
+    return {
+      name: gdp.name,
+      code,
+      isAggregate: true,
+      data,
+      latest: data.find(d => d.growth !== null) || null,
+      coverageNote: inRange ? `${inRange.year} ${describeCoverage(inRange.coverage, gdp.kind)}` : null
+    }
+  }, [selectedCountry, gdpData, allYears, perCapitaActive, populationLookup, filters.yearRange])
+
+  // Country passed to the insights panel, with GDP per person in per capita view
+  const infoPanelCountry = useMemo(() => {
+    if (selectedCountry?.isAggregate) return aggregateCountry
+    const withMeasure = (selected) => {
+      // Selection keeps the record it was made with; show it at the current price basis
+      const country = selected ? gdpData[selected.code] || selected : selected
+      if (!country || !perCapitaActive) return country
+      return {
+        ...country,
+        data: country.data
+          .map(d => ({ ...d, gdp: toPerCapita(country.code, d) }))
+          .filter(d => d.gdp !== null)
+      }
+    }
+    if (selectedCountry?.code === 'MULTI') {
+      return { ...selectedCountry, countries: selectedCountry.countries.map(withMeasure) }
+    }
+    return withMeasure(selectedCountry)
+  }, [selectedCountry, aggregateCountry, gdpData, perCapitaActive, populationLookup])
+
   if (loading) {
     return (
       <div className="loading">
@@ -955,7 +1095,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
             onClick={() => setActiveInsightTab('country')}
             disabled={!selectedCountry}
           >
-            <span className="tab-icon">{selectedCountry?.code === 'MULTI' ? '🏴🏴' : '🏴'}</span>
+            <span className="tab-icon">{selectedCountry?.isAggregate ? '🌐' : selectedCountry?.code === 'MULTI' ? '🏴🏴' : '🏴'}</span>
             {selectedCountry 
               ? (selectedCountry.code === 'MULTI' 
                   ? `${selectedCountry.countries.length} Countries` 
@@ -1002,11 +1142,9 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
 
               <div className="insights-grid">
                 <div className="insight-card">
-                  <span className="insight-label">Average GDP</span>
+                  <span className="insight-label">Average {measureLabel}</span>
                   <span className="insight-value">
-                    {globalStats.avgGDP >= 1000 
-                      ? `$${(globalStats.avgGDP / 1000).toFixed(1)}T`
-                      : `$${globalStats.avgGDP.toFixed(1)}B`}
+                    {formatMeasure(globalStats.avgGDP)}
                   </span>
                   {filters.countries && filters.countries.length > 0 && (
                     <span className="insight-subvalue">selected only</span>
@@ -1022,32 +1160,52 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
                   </span>
                 </div>
                 <div className="insight-card highlight">
-                  <span className="insight-label">Highest GDP</span>
+                  <span className="insight-label">Highest {measureLabel}</span>
                   <span className="insight-value">{globalStats.maxCountry}</span>
                   <span className="insight-subvalue">
-                    {globalStats.maxGDP >= 1000 
-                      ? `$${(globalStats.maxGDP / 1000).toFixed(1)}T`
-                      : `$${globalStats.maxGDP.toFixed(1)}B`}
+                    {formatMeasure(globalStats.maxGDP)}
                   </span>
                 </div>
                 <div className="insight-card highlight">
-                  <span className="insight-label">Lowest GDP</span>
+                  <span className="insight-label">Lowest {measureLabel}</span>
                   <span className="insight-value">{globalStats.minCountry}</span>
                   <span className="insight-subvalue">
-                    {globalStats.minGDP >= 1000 
-                      ? `$${(globalStats.minGDP / 1000).toFixed(1)}T`
-                      : `$${globalStats.minGDP.toFixed(1)}B`}
+                    {formatMeasure(globalStats.minGDP)}
                   </span>
                 </div>
               </div>
 
+              {globalStats.byIncome.length > 0 && (
+                <div className="gdp-income-groups">
+                  <table className="gdp-performers-table">
+                    <thead>
+                      <tr>
+                        <th>Income group</th>
+                        <th>Countries</th>
+                        <th>Avg {measureLabel}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {globalStats.byIncome.map(group => (
+                        <tr key={group.id}>
+                          <td className="gdp-country-name">{group.label}</td>
+                          <td>{group.countries}</td>
+                          <td className="gdp-value">{formatMeasure(group.average)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="gdp-income-note">{incomeSourceNote}</div>
+                </div>
+              )}
+
               {/* Top 10 Performers Accordion */}
               <div className="gdp-accordion">
                 <button 
                   className={`gdp-accordion-header ${showTopPerformers ? 'active' : ''}`}
                   onClick={() => setShowTopPerformers(!showTopPerformers)}
                 >
-                  <span>🏆 Top 10 by GDP</span>
+                  <span>🏆 Top 10 by {measureLabel}</span>
                   <span className="gdp-accordion-icon">{showTopPerformers ? '−' : '+'}</span>
                 </button>
                 {showTopPerformers && (
@@ -1057,7 +1215,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
                         <tr>
                           <th>#</th>
                           <th>Country</th>
-                          <th>Avg GDP</th>
+                          <th>Avg {measureLabel}</th>
                         </tr>
                       </thead>
                       <tbody>
@@ -1066,9 +1224,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
                             <td className="gdp-rank">{index + 1}</td>
                             <td className="gdp-country-name">{country.name}</td>
                             <td className="gdp-value positive">
-                              {country.avgGDP >= 1000 
-                                ? `$${(country.avgGDP / 1000).toFixed(1)}T`
-                                : `$${country.avgGDP.toFixed(1)}B`}
+                              {formatMeasure(country.avgGDP)}
                             </td>
                           </tr>
                         ))}
@@ -1084,7 +1240,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
                   className={`gdp-accordion-header ${showBottomPerformers ? 'active' : ''}`}
                   onClick={() => setShowBottomPerformers(!showBottomPerformers)}
                 >
-                  <span>📉 Bottom 10 by GDP</span>
+                  <span>📉 Bottom 10 by {measureLabel}</span>
                   <span className="gdp-accordion-icon">{showBottomPerformers ? '−' : '+'}</span>
                 </button>
                 {showBottomPerformers && (
@@ -1094,7 +1250,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
                         <tr>
                           <th>#</th>
                           <th>Country</th>
-                          <th>Avg GDP</th>
+                          <th>Avg {measureLabel}</th>
                         </tr>
                       </thead>
                       <tbody>
@@ -1103,9 +1259,7 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
                             <td className="gdp-rank">{index + 1}</td>
                             <td className="gdp-country-name">{country.name}</td>
                             <td className="gdp-value negative">
-                              {country.avgGDP >= 1000 
-                                ? `$${(country.avgGDP / 1000).toFixed(1)}T`
-                                : `$${country.avgGDP.toFixed(1)}B`}
+                              {formatMeasure(country.avgGDP)}
                             </td>
                           </tr>
                         ))}
@@ -1120,7 +1274,9 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
           {/* Country Insights Tab */}
           {activeInsightTab === 'country' && selectedCountry && (
             <InfoPanel
-              country={selectedCountry}
+              country={infoPanelCountry}
+              perCapita={perCapitaActive}
+              baseYear={baseYear}
               onClose={handleClosePanel}
               yearRange={filters.yearRange}
               embedded={true}
@@ -1144,6 +1300,11 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
           region: getRegion(country.code)
         }))}
         onCountrySelect={handleSearchSelect}
+        gdpMeasure={gdpMeasure}
+        onMeasureChange={setGdpMeasure}
+        perCapitaUnavailable={populationUnavailable}
+        selectedAggregate={selectedCountry?.isAggregate ? selectedCountry.code : null}
+        onAggregateSelect={handleAggregateSelect}
       />
       
       <ZoomControls
@@ -1152,7 +1313,16 @@ const GDPAnalysis = ({ compareMode = false, showGDPView = true, onLoadingChange
         onReset={handleResetZoom}
       />
       
-      <Legend extent={extent} colorScale={colorScale} />
+      {perCapitaActive ? (
+        <Legend
+          extent={extent}
+          colorScale={colorScale}
+          title={`GDP per capita (USD${priceSuffix})`}
+          formatValue={(value) => ValueFormatUtils.formatPerCapita(value)}
+        />
+      ) : (
+        <Legend extent={extent} colorScale={colorScale} title={`GDP (Billions USD${priceSuffix})`} />
+      )}
       
       <svg ref={svgRef}>
         <g ref={gRef}></g>
@@ -1,10 +1,21 @@
-import React, { useEffect, useRef, useMemo } from 'react'
+import React, { useEffect, useRef, useMemo, useState } from 'react'
 import * as d3 from 'd3'
 import '../styles/InfoPanel.css'
 import { formatGDPValue } from '../utils/dataLoader'
-
-const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = false, compareMode = false }) => {
+import { ValueFormatUtils } from '../../../shared/utils/ValueFormatUtils.js'
+import { projectionService, DEFAULT_PROJECTION } from '../../../shared/services/ProjectionService.js'
+import ProjectionControls from '../../../shared/components/ProjectionControls.jsx'
+import AnnotationControls from '../../../shared/components/AnnotationControls.jsx'
+import { useAnnotations } from '../../../shared/hooks/useAnnotations.js'
+import { drawAnnotations } from '../../../shared/utils/AnnotationLayer.js'
+
+const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = false, compareMode = false, perCapita = false, baseYear = null }) => {
   const chartRef = useRef(null)
+  const [projectionSettings, setProjectionSettings] = useState(DEFAULT_PROJECTION)
+
+  // In per capita view the country data carries GDP per person (USD) instead of total GDP
+  const formatValue = perCapita ? (value) => ValueFormatUtils.formatPerCapita(value) : formatGDPValue
+  const gdpLabel = perCapita ? 'GDP per capita' : 'GDP'
 
   // Calculate insights based on year range - supports single or multiple countries
   const insights = useMemo(() => {
@@ -175,17 +186,33 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
     };
   }, [country, yearRange]);
 
+  // Projection of the single-country trend past the last year in range
+  const projection = useMemo(() => {
+    if (!projectionSettings.enabled || !insights || insights.isMultiple) return null;
+    const series = insights.filteredData
+      .filter(d => d.gdp > 0)
+      .map(d => ({ year: d.year, value: d.gdp }));
+    return projectionService.project(series, projectionSettings);
+  }, [insights, projectionSettings]);
+
+  // Events for the shown countries (global events always apply)
+  const annotatedCountries = useMemo(() => {
+    if (!country) return [];
+    return country.code === 'MULTI' ? (country.countries || []).map(c => c.code || c.name) : [country.code];
+  }, [country]);
+  const annotations = useAnnotations(annotatedCountries, yearRange);
+
   useEffect(() => {
     if (insights && insights.filteredData && insights.filteredData.length > 0) {
       if (insights.isMultiple && insights.countriesData) {
         drawMultiCountryChart(insights.countriesData);
       } else {
-        drawChart(insights.filteredData);
+        drawChart(insights.filteredData, projection);
       }
     }
-  }, [insights]);
+  }, [insights, projection, annotations]);
 
-  const drawChart = (data) => {
+  const drawChart = (data, projection = null) => {
     const container = d3.select(chartRef.current)
     container.selectAll('*').remove()
 
@@ -213,13 +240,19 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
     // Sort data by year
     const sortedData = [...data].sort((a, b) => a.year - b.year)
 
+    // Projected years extend the x axis, their band the y axis
+    const projected = projection?.points || []
+
     // Scales
     const x = d3
       .scaleLinear()
-      .domain(d3.extent(sortedData, (d) => d.year))
+      .domain(d3.extent([...sortedData, ...projected], (d) => d.year))
       .range([0, width])
 
-    const gdpExtent = d3.extent(sortedData, (d) => d.gdp)
+    const gdpExtent = d3.extent([
+      ...sortedData.map((d) => d.gdp),
+      ...projected.flatMap((d) => [d.lower, d.upper])
+    ])
     const gdpRange = gdpExtent[1] - gdpExtent[0]
     const y = d3
       .scaleLinear()
@@ -241,16 +274,19 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
       .attr('transform', `translate(0,${height})`)
       .call(d3.axisBottom(x)
         .tickFormat(d3.format('d'))
-        .ticks(Math.min(sortedData.length, 8))) // Limit number of ticks
+        .ticks(Math.min(sortedData.length + projected.length, 8))) // Limit number of ticks
       .style('font-size', '10px')
       .selectAll('text')
       .attr('transform', 'rotate(-45)')
       .style('text-anchor', 'end')
 
     svg.append('g')
-      .call(d3.axisLeft(y).tickFormat(d => formatGDPValue(d)))
+      .call(d3.axisLeft(y).tickFormat(d => formatValue(d)))
       .style('font-size', '10px')
 
+    // Events under the line so the dots keep their hover titles
+    drawAnnotations(svg, annotations, { x, height })
+
     // Add line
     svg
       .append('path')
@@ -260,12 +296,56 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
       .attr('stroke-width', 2)
       .attr('d', line)
 
+    // Add projection: shaded band and dashed line from the last actual year
+    if (projection) {
+      const projectedPoints = [
+        { year: projection.lastYear, value: projection.lastValue, lower: projection.lastValue, upper: projection.lastValue },
+        ...projected
+      ]
+
+      svg
+        .append('path')
+        .datum(projectedPoints)
+        .attr('fill', '#667eea')
+        .attr('opacity', 0.15)
+        .attr('d', d3.area()
+          .x((d) => x(d.year))
+          .y0((d) => y(d.lower))
+          .y1((d) => y(d.upper)))
+
+      svg
+        .append('path')
+        .datum(projectedPoints)
+        .attr('fill', 'none')
+        .attr('stroke', '#667eea')
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '5,4')
+        .attr('d', d3.line()
+          .x((d) => x(d.year))
+          .y((d) => y(d.value)))
+
+      svg
+        .selectAll('circle.projected')
+        .data(projected)
+        .enter()
+        .append('circle')
+        .attr('class', 'projected')
+        .attr('cx', (d) => x(d.year))
+        .attr('cy', (d) => y(d.value))
+        .attr('r', 3)
+        .attr('fill', 'white')
+        .attr('stroke', '#667eea')
+        .append('title')
+        .text((d) => `${d.year} (projected)\n${gdpLabel}: ${formatValue(d.value)}\n${Math.round(projection.level * 100)}% interval: ${formatValue(d.lower)} – ${formatValue(d.upper)}`)
+    }
+
     // Add dots
     svg
-      .selectAll('circle')
+      .selectAll('circle.actual')
       .data(sortedData)
       .enter()
       .append('circle')
+      .attr('class', 'actual')
       .attr('cx', (d) => x(d.year))
       .attr('cy', (d) => y(d.gdp))
       .attr('r', 3)
@@ -274,7 +354,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
       .text((d) => {
         const gdpValue = d.gdp || d.GDP
         if (gdpValue) {
-          return `${d.year}\nGDP: ${formatGDPValue(gdpValue)}`
+          return `${d.year}\n${gdpLabel}: ${formatValue(gdpValue)}`
         }
         return `${d.year}: N/A`
       })
@@ -348,9 +428,11 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
       .style('text-anchor', 'end')
 
     svg.append('g')
-      .call(d3.axisLeft(y).tickFormat(d => formatGDPValue(d)))
+      .call(d3.axisLeft(y).tickFormat(d => formatValue(d)))
       .style('font-size', '10px')
 
+    drawAnnotations(svg, annotations, { x, height })
+
     // Draw line for each country
     countriesData.forEach((countryData, index) => {
       const sortedData = [...countryData.data].sort((a, b) => a.year - b.year)
@@ -380,7 +462,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
         .text((d) => {
           const gdpValue = d.gdp || d.GDP
           if (gdpValue) {
-            return `${countryData.name} ${d.year}\nGDP: ${formatGDPValue(gdpValue)}`
+            return `${countryData.name} ${d.year}\n${gdpLabel}: ${formatValue(gdpValue)}`
           }
           return `${countryData.name} ${d.year}: N/A`
         })
@@ -453,7 +535,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
         {insights ? (
           <>
             <div className="info-section">
-              <h3>GDP Information</h3>
+              <h3>{gdpLabel} Information</h3>
               <div className="year-range-indicator">
                 {yearRange[0] === yearRange[1] 
                   ? `Year: ${yearRange[0]}`
@@ -481,6 +563,12 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
                       {country.latest ? country.latest.year : '-'}
                     </span>
                   </div>
+                  {country.coverageNote && (
+                    <div className="info-stat">
+                      <label>Coverage:</label>
+                      <span className="value">{country.coverageNote}</span>
+                    </div>
+                  )}
                 </>
               )}
             </div>
@@ -489,18 +577,18 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
               <h3>Period Statistics ({yearRange[0]}-{yearRange[1]})</h3>
               <div className="stats-grid">
                 <div className="stat-card">
-                  <label>Average GDP</label>
+                  <label>Average {gdpLabel}</label>
                   <span className="stat-value">
-                    {formatGDPValue(insights.avgGDP)}
+                    {formatValue(insights.avgGDP)}
                   </span>
                   {insights.isMultiple && (
                     <span className="stat-year">combined avg</span>
                   )}
                 </div>
                 <div className="stat-card">
-                  <label>Highest GDP</label>
+                  <label>Highest {gdpLabel}</label>
                   <span className="stat-value positive">
-                    {formatGDPValue(insights.maxGDP)}
+                    {formatValue(insights.maxGDP)}
                   </span>
                   <span className="stat-year">
                     {insights.isMultiple 
@@ -509,9 +597,9 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
                   </span>
                 </div>
                 <div className="stat-card">
-                  <label>Lowest GDP</label>
+                  <label>Lowest {gdpLabel}</label>
                   <span className="stat-value negative">
-                    {formatGDPValue(insights.minGDP)}
+                    {formatValue(insights.minGDP)}
                   </span>
                   <span className="stat-year">
                     {insights.isMultiple 
@@ -522,7 +610,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
                 <div className="stat-card">
                   <label>Volatility</label>
                   <span className="stat-value">
-                    {formatGDPValue(insights.volatility)}
+                    {formatValue(insights.volatility)}
                   </span>
                 </div>
               </div>
@@ -540,7 +628,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
                           color: '#667eea',
                           fontWeight: '600'
                         }}>
-                          ${formatGDPValue(pattern.avgGDP)}
+                          ${formatValue(pattern.avgGDP)}
                         </span>
                       </div>
                       <div className="pattern-bars-container">
@@ -575,7 +663,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
                       {insights.trend >= 0 ? '↑' : '↓'} 
                       {insights.trend >= 0 ? ' Increasing' : ' Decreasing'}
                       <span className="trend-detail">
-                        ({formatGDPValue(Math.abs(insights.trend))} change)
+                        ({formatValue(Math.abs(insights.trend))} change)
                       </span>
                     </span>
                   </div>
@@ -610,7 +698,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
                       {insights.trend >= 0 ? '↑' : '↓'} 
                       {insights.trend >= 0 ? ' Increasing' : ' Decreasing'}
                       <span className="trend-detail">
-                        ({formatGDPValue(Math.abs(insights.trend))} change)
+                        ({formatValue(Math.abs(insights.trend))} change)
                       </span>
                     </span>
                   </div>
@@ -619,10 +707,19 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
             </div>
 
             <div className="info-section gdp-growth-trend-section">
-              <h3>GDP Trend</h3>
+              <h3>{gdpLabel} Trend{baseYear ? ` (${baseYear} prices)` : ''}</h3>
               <div className="gdp-chart-wrapper">
                 <div ref={chartRef} className="gdp-chart"></div>
               </div>
+              {!insights.isMultiple && (
+                <ProjectionControls
+                  settings={projectionSettings}
+                  onChange={setProjectionSettings}
+                  lastYear={d3.max(insights.filteredData, d => d.year)}
+                  backtests={projection ? [{ label: '', backtest: projection.backtest }] : []}
+                />
+              )}
+              <AnnotationControls countries={annotatedCountries} />
             </div>
           </>
         ) : (
@@ -648,7 +745,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
         {insights ? (
           <>
             <div className="info-section">
-              <h3>GDP Information</h3>
+              <h3>{gdpLabel} Information</h3>
               <div className="year-range-indicator">
                 {yearRange[0] === yearRange[1] 
                   ? `Year: ${yearRange[0]}`
@@ -675,36 +772,36 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
               <h3>Period Statistics ({yearRange[0]}-{yearRange[1]})</h3>
               <div className="stats-grid">
                 <div className="stat-card">
-                  <label>Average GDP</label>
+                  <label>Average {gdpLabel}</label>
                   <span className="stat-value">
-                    ${formatGDPValue(insights.avgGDP)}
+                    ${formatValue(insights.avgGDP)}
                   </span>
                 </div>
                 <div className="stat-card">
-                  <label>Highest GDP</label>
+                  <label>Highest {gdpLabel}</label>
                   <span className="stat-value positive">
-                    ${formatGDPValue(insights.maxGDP)}
+                    ${formatValue(insights.maxGDP)}
                   </span>
                   <span className="stat-year">in {insights.maxYear}</span>
                 </div>
                 <div className="stat-card">
-                  <label>Lowest GDP</label>
+                  <label>Lowest {gdpLabel}</label>
                   <span className="stat-value negative">
-                    ${formatGDPValue(insights.minGDP)}
+                    ${formatValue(insights.minGDP)}
                   </span>
                   <span className="stat-year">in {insights.minYear}</span>
                 </div>
                 <div className="stat-card">
                   <label>Volatility</label>
                   <span className="stat-value">
-                    ${formatGDPValue(insights.volatility)}
+                    ${formatValue(insights.volatility)}
                   </span>
                 </div>
               </div>
             </div>
 
             <div className="info-section">
-              <h3>GDP Pattern</h3>
+              <h3>{gdpLabel} Pattern</h3>
               <div className="pattern-stats">
                 <div className="pattern-item">
                   <div className="pattern-bar">
@@ -734,7 +831,7 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
                     {insights.trend >= 0 ? '↑' : '↓'} 
                     {insights.trend >= 0 ? ' Increasing' : ' Decreasing'}
                     <span className="trend-detail">
-                      (${formatGDPValue(Math.abs(insights.trend))} change)
+                      (${formatValue(Math.abs(insights.trend))} change)
                     </span>
                   </span>
                 </div>
@@ -742,10 +839,19 @@ const InfoPanel = ({ country, onClose, yearRange = [2005, 2024], embedded = fals
             </div>
 
             <div className="info-section gdp-growth-trend-section">
-              <h3>GDP Trend</h3>
+              <h3>{gdpLabel} Trend{baseYear ? ` (${baseYear} prices)` : ''}</h3>
               <div className="gdp-chart-wrapper">
                 <div ref={chartRef} className="gdp-chart"></div>
               </div>
+              {!insights.isMultiple && (
+                <ProjectionControls
+                  settings={projectionSettings}
+                  onChange={setProjectionSettings}
+                  lastYear={d3.max(insights.filteredData, d => d.year)}
+                  backtests={projection ? [{ label: '', backtest: projection.backtest }] : []}
+                />
+              )}
+              <AnnotationControls countries={annotatedCountries} />
             </div>
           </>
         ) : (
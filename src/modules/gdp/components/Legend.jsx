@@ -3,7 +3,10 @@ import * as d3 from 'd3'
 import { formatGDPValue } from '../utils/dataLoader'
 import '../styles/Legend.css'
 
-const Legend = ({ extent, colorScale }) => {
+// Extent values are in billions USD unless a formatter is provided
+const formatBillions = (value) => formatGDPValue(value * 1e9)
+
+const Legend = ({ extent, colorScale, title = 'GDP (Billions USD)', formatValue = formatBillions }) => {
   const gradientRef = useRef(null)
 
   useEffect(() => {
@@ -34,11 +37,11 @@ const Legend = ({ extent, colorScale }) => {
 
   return (
     <div className="legend">
-      <h3>GDP (Billions USD)</h3>
+      <h3>{title}</h3>
       <div className="legend-scale" ref={gradientRef}></div>
       <div className="legend-labels">
-        <span>{formatGDPValue(extent[0])}</span>
-        <span>{formatGDPValue(extent[1])}</span>
+        <span>{formatValue(extent[0])}</span>
+        <span>{formatValue(extent[1])}</span>
       </div>
     </div>
   )
@@ -1,7 +1,7 @@
 import React, { useEffect, useRef, useState } from 'react'
 import * as d3 from 'd3'
-import * as topojson from 'topojson-client'
 import { getCountryRegion } from '../utils/regionMapping.js'
+import { loadWorldTopology, getCountryFeatures } from '../../../shared/services/GeographyService.js'
 import '../styles/WorldMap.css'
 
 const WorldMap = ({ 
@@ -21,12 +21,8 @@ const WorldMap = ({
     const loadWorldData = async () => {
       try {
         setIsLoading(true)
-        // Using a public world topology dataset
-        const response = await fetch('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json')
-        if (!response.ok) {
-          throw new Error('Failed to load world map data')
-        }
-        const world = await response.json()
+        // Shared, locally bundled world topology
+        const world = await loadWorldTopology()
         setWorldData(world)
         setError(null)
       } catch (err) {
@@ -68,7 +64,7 @@ const WorldMap = ({
     const mapGroup = svg.append('g').attr('class', 'map-group')
 
     // Convert topology to features
-    const countries = topojson.feature(worldData, worldData.objects.countries)
+    const countries = getCountryFeatures(worldData)
 
     // Draw countries
     mapGroup.selectAll('.country')
@@ -133,7 +129,7 @@ const WorldMap = ({
     if (!zoom || !projection || !path) return
 
     // Find the country feature by code or name
-    const countries = topojson.feature(worldData, worldData.objects.countries)
+    const countries = getCountryFeatures(worldData)
     const countryFeature = countries.features.find(d => {
       const featureName = d.properties.name || 'Unknown'
       return d.id === selectedCountry.countryCode || 
@@ -0,0 +1,101 @@
+/**
+ * CoverageHeatmap - Country × year coverage of one indicator
+ *
+ * Cells are reported, derived from their components (GFS hierarchy) or missing;
+ * outliers in the indicator's share of GDP are outlined.
+ */
+
+import { useEffect, useRef } from 'react'
+import * as d3 from 'd3'
+
+const CELL_WIDTH = 12
+const CELL_HEIGHT = 10
+const MARGIN = { top: 28, right: 10, bottom: 4, left: 170 }
+
+export const COVERAGE_COLORS = {
+  reported: '#667eea',
+  derived: '#b4bdf5',
+  missing: '#f1f2f6',
+  outlier: '#f5576c'
+}
+
+function CoverageHeatmap({ coverage, outliers = [] }) {
+  const svgRef = useRef(null)
+
+  useEffect(() => {
+    if (!svgRef.current) return
+    const svg = d3.select(svgRef.current)
+    svg.selectAll('*').remove()
+    if (!coverage || coverage.rows.length === 0 || coverage.years.length === 0) return
+
+    const { years, rows } = coverage
+    const innerWidth = years.length * CELL_WIDTH
+    const innerHeight = rows.length * CELL_HEIGHT
+    svg
+      .attr('width', MARGIN.left + innerWidth + MARGIN.right)
+      .attr('height', MARGIN.top + innerHeight + MARGIN.bottom)
+
+    const x = d3.scaleBand().domain(years).range([0, innerWidth])
+    const y = d3.scaleBand().domain(rows.map(row => row.country)).range([0, innerHeight])
+    const g = svg.append('g').attr('transform', `translate(${MARGIN.left},${MARGIN.top})`)
+
+    // Missing cells are the background; only values are drawn
+    g.append('rect')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight)
+      .attr('fill', COVERAGE_COLORS.missing)
+
+    const flagged = new Map(outliers.map(outlier => [`${outlier.country}-${outlier.year}`, outlier]))
+    const cells = []
+    rows.forEach(row => {
+      row.cells.forEach((cell, year) => {
+        if (x(year) === undefined) return
+        cells.push({ country: row.country, year, ...cell, outlier: flagged.get(`${row.country}-${year}`) })
+      })
+    })
+
+    g.selectAll('.coverage-cell')
+      .data(cells)
+      .enter()
+      .append('rect')
+      .attr('class', 'coverage-cell')
+      .attr('x', d => x(d.year) + 0.5)
+      .attr('y', d => y(d.country) + 0.5)
+      .attr('width', x.bandwidth() - 1)
+      .attr('height', y.bandwidth() - 1)
+      .attr('fill', d => COVERAGE_COLORS[d.status])
+      .attr('stroke', d => (d.outlier ? COVERAGE_COLORS.outlier : 'none'))
+      .attr('stroke-width', 1.5)
+      .append('title')
+      .text(d => {
+        let text = `${d.country} ${d.year}: ${d.status}`
+        if (d.usd !== null && d.usd !== undefined) text += `\n${d3.format(',.0f')(d.usd)} USD`
+        if (d.outlier) text += `\nOutlier (${d.outlier.severity}): ${d.outlier.shareOfGdp.toFixed(1)}% of GDP`
+        return text
+      })
+
+    g.selectAll('.coverage-country')
+      .data(rows)
+      .enter()
+      .append('text')
+      .attr('class', 'coverage-country')
+      .attr('x', -6)
+      .attr('y', d => y(d.country) + y.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .style('font-size', '9px')
+      .style('fill', d => (d.reported + d.derived === 0 ? '#999' : '#2d3748'))
+      .text(d => (d.country.length > 28 ? `${d.country.slice(0, 27)}…` : d.country))
+      .append('title')
+      .text(d => `${d.country}: ${d.reported} reported, ${d.derived} derived of ${years.length} years`)
+
+    g.append('g')
+      .call(d3.axisTop(x).tickValues(years.filter(year => year % 5 === 0)).tickSize(3))
+      .style('font-size', '9px')
+      .call(axis => axis.select('.domain').remove())
+  }, [coverage, outliers])
+
+  return <svg ref={svgRef} className="coverage-heatmap" role="img" aria-label="Coverage by country and year" />
+}
+
+export default CoverageHeatmap
@@ -0,0 +1,399 @@
+/**
+ * DataQualityPage.jsx - Data quality and coverage of the GDP and expense data
+ *
+ * Features:
+ * - Country × year coverage heatmap of the selected indicator, with share-of-GDP outliers
+ * - Validation of GDP growth, spending as % of GDP and their merge (ValidationUtils)
+ * - Quality score of the selected indicator (assessDataQuality) and processing report
+ * - GDP/expense join mismatches and expense categories dropped by CATEGORY_TO_CODE
+ * - Extreme values, and the whole report as CSV
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import CoverageHeatmap, { COVERAGE_COLORS } from './CoverageHeatmap.jsx'
+import {
+  loadQualityInputs,
+  countUnmappedCategories,
+  findJoinMismatches,
+  buildCoverage,
+  validateSources,
+  collectExtremeValues,
+  assessIndicatorQuality,
+  buildQualityReportRows
+} from '../services/DataQualityService.js'
+import {
+  loadIndicators,
+  INDICATOR_METADATA,
+  CATEGORY_COLORS,
+  CATEGORY_DESCRIPTIONS
+} from '../../spending/services/UnifiedDataService.js'
+import { validationUtils } from '../../comparison/utils/ValidationUtils.js'
+import { exportService } from '../../comparison/services/ExportService.js'
+import { filterStateManager } from '../../../shared/services/FilterStateManager.js'
+import '../styles/DataQuality.css'
+
+const DEFAULT_INDICATOR = 'GE'
+const TABLE_LIMIT = 100
+const SUMMARY_LINE_LIMIT = 40
+
+const validIndicator = (code) => (INDICATOR_METADATA[code] ? code : DEFAULT_INDICATOR)
+const formatValue = (value, digits = 1) => (typeof value === 'number' ? value.toFixed(digits) : value)
+const formatSpan = (entry) => (entry.firstYear === null ? '–' : entry.firstYear === entry.lastYear
+  ? `${entry.firstYear}`
+  : `${entry.firstYear}-${entry.lastYear}`)
+
+// Validation summary text, cut to its first lines (the CSV report has every finding)
+function summaryText(result) {
+  const lines = validationUtils.generateValidationSummary(result).trimEnd().split('\n')
+  if (lines.length <= SUMMARY_LINE_LIMIT) return lines.join('\n')
+  return [...lines.slice(0, SUMMARY_LINE_LIMIT), `  … ${lines.length - SUMMARY_LINE_LIMIT} more lines in the CSV report`].join('\n')
+}
+
+function ValidationCard({ title, description, result }) {
+  const { statistics } = result
+  return (
+    <div className={`data-quality-card ${result.isValid ? 'passed' : 'failed'}`}>
+      <div className="data-quality-card-title">{title}</div>
+      <div className="data-quality-card-status">{result.isValid ? '✓ Passed' : '✗ Failed'}</div>
+      <div className="data-quality-card-detail">{description}</div>
+      <div className="data-quality-card-stats">
+        <span>{statistics.totalRecords ?? 0} records</span>
+        <span>{statistics.totalErrors} errors</span>
+        <span>{statistics.totalWarnings} warnings</span>
+      </div>
+      <details>
+        <summary>Validation summary</summary>
+        <pre>{summaryText(result)}</pre>
+      </details>
+    </div>
+  )
+}
+
+function MismatchList({ title, description, entries, renderDetail }) {
+  return (
+    <div className="data-quality-mismatch">
+      <div className="data-quality-mismatch-title">
+        {title} <span className="data-quality-count">{entries.length}</span>
+      </div>
+      <div className="data-quality-mismatch-description">{description}</div>
+      {entries.length === 0 ? (
+        <div className="data-quality-empty">None</div>
+      ) : (
+        <ul>
+          {entries.map(entry => (
+            <li key={`${entry.country}-${entry.iso3}`}>
+              <span>{entry.country}{entry.iso3 && <span className="data-quality-code">{entry.iso3}</span>}</span>
+              <span className="data-quality-mismatch-detail">{renderDetail(entry)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function DataQualityPage({ onLoadingChange }) {
+  const [inputs, setInputs] = useState(null)
+  const [error, setError] = useState(null)
+  const [indicator, setIndicator] = useState(() => validIndicator(filterStateManager.getFilters().indicator))
+  const [unifiedData, setUnifiedData] = useState(null)
+  const [indicatorQuality, setIndicatorQuality] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    loadQualityInputs()
+      .then(result => !cancelled && setInputs(result))
+      .catch(err => !cancelled && setError(err.message || 'Failed to load GDP and expense data'))
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  useEffect(() => {
+    if (onLoadingChange) onLoadingChange(!inputs && !error)
+  }, [inputs, error, onLoadingChange])
+
+  // Follow the shared indicator (other modules, back/forward)
+  useEffect(() => {
+    return filterStateManager.subscribe((filters) => {
+      setIndicator(validIndicator(filters.indicator))
+    })
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+    loadIndicators([indicator])
+      .then(data => !cancelled && setUnifiedData(data))
+      .catch(err => !cancelled && setError(err.message || `Failed to load ${indicator}`))
+    return () => {
+      cancelled = true
+    }
+  }, [indicator])
+
+  const coverage = useMemo(
+    () => (unifiedData?.indicators?.[indicator] ? buildCoverage(unifiedData, indicator) : null),
+    [unifiedData, indicator]
+  )
+
+  useEffect(() => {
+    if (!coverage || !inputs) return
+    let cancelled = false
+    setIndicatorQuality(null)
+    assessIndicatorQuality(coverage, inputs.gdpPoints)
+      .then(result => !cancelled && setIndicatorQuality(result))
+      .catch(err => console.error('Indicator quality assessment failed:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [coverage, inputs])
+
+  const unmapped = useMemo(() => (inputs ? countUnmappedCategories(inputs.dataset) : null), [inputs])
+  const mismatches = useMemo(() => (inputs ? findJoinMismatches(inputs.dataset, inputs.gdpPoints) : null), [inputs])
+  const validation = useMemo(() => (inputs ? validateSources(inputs.gdpPoints, inputs.joined) : null), [inputs])
+  const extremeValues = useMemo(() => (validation ? collectExtremeValues(validation) : []), [validation])
+
+  const handleIndicatorChange = (code) => {
+    setIndicator(code)
+    filterStateManager.updateFilters({ indicator: code }, true)
+  }
+
+  const handleDownload = () => {
+    const rows = buildQualityReportRows({
+      indicator,
+      coverage,
+      indicatorQuality,
+      mismatches,
+      unmapped,
+      validation,
+      extremeValues
+    })
+    exportService.exportCSV(rows, `data-quality-${indicator.toLowerCase()}`).catch(err => {
+      console.error('Data quality export failed:', err)
+      alert('Failed to export the report. Please try again.')
+    })
+  }
+
+  if (error) {
+    return (
+      <div className="data-quality-page">
+        <div className="data-quality-error">⚠️ {error}</div>
+      </div>
+    )
+  }
+
+  if (!inputs || !validation) return <div className="data-quality-page" />
+
+  const metadata = INDICATOR_METADATA[indicator]
+
+  return (
+    <div className="data-quality-page">
+      <div className="data-quality-header">
+        <div>
+          <h2>Data Quality</h2>
+          <div className="data-quality-subtitle">
+            Coverage, validation and join checks of the expense (IMF GFS) and GDP (World Bank) data
+          </div>
+        </div>
+        <div className="data-quality-actions">
+          <label>
+            Indicator
+            <select value={indicator} onChange={(e) => handleIndicatorChange(e.target.value)}>
+              {Object.keys(CATEGORY_COLORS).map(category => (
+                <optgroup key={category} label={CATEGORY_DESCRIPTIONS[category]}>
+                  {Object.entries(INDICATOR_METADATA)
+                    .filter(([, meta]) => meta.category === category)
+                    .map(([code, meta]) => (
+                      <option key={code} value={code}>{meta.name} ({code})</option>
+                    ))}
+                </optgroup>
+              ))}
+            </select>
+          </label>
+          <button className="data-quality-download" onClick={handleDownload} disabled={!coverage}>
+            ⬇ Download report (CSV)
+          </button>
+        </div>
+      </div>
+
+      <section className="data-quality-cards">
+        <ValidationCard
+          title="GDP growth"
+          description="Year-on-year growth of GDP (current US$)"
+          result={validation.gdp}
+        />
+        <ValidationCard
+          title="Spending % of GDP"
+          description="Total expense over GDP, for country-years in both files"
+          result={validation.spending}
+        />
+        <ValidationCard
+          title="Merged GDP and spending"
+          description="Country-years with either value, gaps and sparse countries"
+          result={validation.merged}
+        />
+        <div className="data-quality-card">
+          <div className="data-quality-card-title">{metadata.name}</div>
+          {indicatorQuality ? (
+            <>
+              <div className="data-quality-card-status">
+                Grade {indicatorQuality.quality.overall.grade}
+                <span className="data-quality-score">{indicatorQuality.quality.overall.score.toFixed(0)}/100</span>
+              </div>
+              <div className="data-quality-card-detail">
+                {indicatorQuality.quality.totalRecords} reported values, {indicatorQuality.quality.completeness.toFixed(0)}% with
+                USD and GDP, {indicatorQuality.outliers.length} outliers in share of GDP
+              </div>
+              <div className="data-quality-card-stats">
+                <span>{indicatorQuality.report.totalProcessingRuns} runs</span>
+                <span>quality trend: {indicatorQuality.report.qualityTrend}</span>
+              </div>
+              {indicatorQuality.quality.recommendations.length > 0 && (
+                <details>
+                  <summary>Recommendations</summary>
+                  <ul>
+                    {indicatorQuality.quality.recommendations.map(text => <li key={text}>{text}</li>)}
+                  </ul>
+                </details>
+              )}
+            </>
+          ) : (
+            <div className="data-quality-card-detail">Assessing…</div>
+          )}
+        </div>
+      </section>
+
+      <section className="data-quality-section">
+        <h3>Coverage: {metadata.name} ({indicator})</h3>
+        {coverage ? (
+          <>
+            <div className="data-quality-legend">
+              <span><i style={{ background: COVERAGE_COLORS.reported }} />Reported</span>
+              <span><i style={{ background: COVERAGE_COLORS.derived }} />Derived from components</span>
+              <span><i style={{ background: COVERAGE_COLORS.missing }} />Missing</span>
+              <span><i style={{ border: `2px solid ${COVERAGE_COLORS.outlier}` }} />Outlier (share of GDP)</span>
+              <span className="data-quality-legend-totals">
+                {coverage.totals.coverage.toFixed(1)}% of {coverage.rows.length} countries × {coverage.years.length} years
+                ({coverage.totals.reported} reported, {coverage.totals.derived} derived, {coverage.totals.missing} missing)
+              </span>
+            </div>
+            <div className="data-quality-heatmap">
+              <CoverageHeatmap coverage={coverage} outliers={indicatorQuality?.outliers} />
+            </div>
+          </>
+        ) : (
+          <div className="data-quality-empty">Loading {indicator}…</div>
+        )}
+      </section>
+
+      <section className="data-quality-section">
+        <h3>GDP and spending join</h3>
+        <div className="data-quality-mismatches">
+          <MismatchList
+            title="No ISO3 code"
+            description="Expense country names the country registry does not know; never joined"
+            entries={mismatches.unresolved}
+            renderDetail={formatSpan}
+          />
+          <MismatchList
+            title="Expense without GDP"
+            description="Countries with expense data but no GDP in gdp_vals.csv"
+            entries={mismatches.spendingWithoutGdp}
+            renderDetail={formatSpan}
+          />
+          <MismatchList
+            title="GDP without expense"
+            description="Countries in gdp_vals.csv with no expense data"
+            entries={mismatches.gdpWithoutSpending}
+            renderDetail={formatSpan}
+          />
+          <MismatchList
+            title="Expense years without GDP"
+            description="Total expense (USD) reported for years without GDP"
+            entries={mismatches.yearGaps}
+            renderDetail={entry => entry.years.join(', ')}
+          />
+        </div>
+      </section>
+
+      <section className="data-quality-section">
+        <h3>
+          Unmapped expense categories <span className="data-quality-count">{unmapped.categories.length}</span>
+        </h3>
+        <div className="data-quality-note">
+          {unmapped.droppedRows} of {unmapped.totalRows} expense rows belong to categories without an indicator
+          in CATEGORY_TO_CODE and are left out of every view.
+        </div>
+        {unmapped.categories.length > 0 && (
+          <table className="data-quality-table">
+            <thead>
+              <tr><th>Category</th><th>Rows</th><th>Countries</th><th>Years</th></tr>
+            </thead>
+            <tbody>
+              {unmapped.categories.map(entry => (
+                <tr key={entry.category}>
+                  <td>{entry.category}</td>
+                  <td>{entry.rows}</td>
+                  <td>{entry.countries}</td>
+                  <td>{formatSpan(entry)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="data-quality-section">
+        <h3>
+          Extreme values <span className="data-quality-count">{extremeValues.length}</span>
+        </h3>
+        <div className="data-quality-note">
+          GDP growth beyond ±{validationUtils.validationRules.gdp.ranges.gdpGrowth.extreme}% and spending above
+          {' '}{validationUtils.validationRules.spending.ranges.totalSpending.extreme}% of GDP
+          {extremeValues.length > TABLE_LIMIT && ` (first ${TABLE_LIMIT} shown, all in the CSV report)`}
+        </div>
+        {extremeValues.length > 0 && (
+          <table className="data-quality-table">
+            <thead>
+              <tr><th>Severity</th><th>Measure</th><th>Country</th><th>Year</th><th>Value</th><th>Finding</th></tr>
+            </thead>
+            <tbody>
+              {extremeValues.slice(0, TABLE_LIMIT).map(entry => (
+                <tr key={`${entry.source}-${entry.iso3}-${entry.year}`} className={`severity-${entry.severity}`}>
+                  <td>{entry.severity}</td>
+                  <td>{entry.source}</td>
+                  <td>{entry.country}</td>
+                  <td>{entry.year}</td>
+                  <td>{formatValue(entry.value)}%</td>
+                  <td>{entry.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {indicatorQuality?.outliers.length > 0 && (
+          <>
+            <h4>{metadata.name}: outliers in share of GDP</h4>
+            <table className="data-quality-table">
+              <thead>
+                <tr><th>Severity</th><th>Country</th><th>Year</th><th>% of GDP</th></tr>
+              </thead>
+              <tbody>
+                {indicatorQuality.outliers.slice(0, TABLE_LIMIT).map(entry => (
+                  <tr key={`${entry.iso3}-${entry.year}`} className={`severity-${entry.severity}`}>
+                    <td>{entry.severity}</td>
+                    <td>{entry.country}</td>
+                    <td>{entry.year}</td>
+                    <td>{formatValue(entry.shareOfGdp, 2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default DataQualityPage
@@ -0,0 +1,8 @@
+/**
+ * Data Quality Module Exports
+ */
+
+export { default as DataQualityPage } from './components/DataQualityPage.jsx'
+export { default as CoverageHeatmap } from './components/CoverageHeatmap.jsx'
+
+export * from './services/DataQualityService.js'
@@ -0,0 +1,471 @@
+/**
+ * Data Quality Service
+ * Coverage, join and validation diagnostics of the GDP and expense data behind the dashboard
+ *
+ * This service:
+ * - Builds the country × year coverage of an indicator (reported, derived from components, missing)
+ * - Lists where GDP and total expense fail to join: country names without an ISO3 code,
+ *   countries found in only one file, and expense years without GDP
+ * - Counts the expense categories dropped because CATEGORY_TO_CODE has no indicator for them
+ * - Validates GDP growth and spending as % of GDP with ValidationUtils, and scores an
+ *   indicator with DataProcessor (assessDataQuality, outliers, processing report)
+ * - Flattens everything into rows for the CSV report
+ */
+
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
+import { expenseDatasetService } from '../../../shared/services/ExpenseDatasetService.js'
+import { CATEGORY_TO_CODE, INDICATOR_METADATA } from '../../spending/services/UnifiedDataService.js'
+import { loadWorldBankIndicatorFile, loadJoinedGdpExpenseData } from '../../comparison/services/GdpExpenseDataService.js'
+import { validationUtils } from '../../comparison/utils/ValidationUtils.js'
+import { dataProcessor } from '../../../services/DataProcessor.js'
+
+// Category holding total expense, the side of the GDP join
+const TOTAL_EXPENSE_CATEGORY = 'Expense'
+
+// Validation findings reported as extreme values
+const EXTREME_TYPES = [validationUtils.errorTypes.EXTREME_VALUE, validationUtils.errorTypes.OUT_OF_RANGE]
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'info']
+
+// Outlier severities (from identifyAnomalies) flagged on the coverage heatmap
+const FLAGGED_OUTLIER_SEVERITIES = ['high', 'medium']
+
+let inputsPromise = null
+
+/**
+ * Load the expense dataset, GDP (all years, countries only) and the joined GDP and total expense
+ * Loaded once per session.
+ * @returns {Promise<Object>} { dataset, gdpPoints, joined }
+ */
+export function loadQualityInputs() {
+  if (!inputsPromise) {
+    inputsPromise = Promise.all([
+      expenseDatasetService.load(),
+      loadWorldBankIndicatorFile('gdp_vals.csv'),
+      loadJoinedGdpExpenseData()
+    ])
+      .then(([dataset, gdpPoints, joined]) => ({ dataset, gdpPoints, joined }))
+      .catch(error => {
+        inputsPromise = null
+        throw error
+      })
+  }
+  return inputsPromise
+}
+
+const yearSpan = (years) => {
+  if (years.length === 0) return { firstYear: null, lastYear: null }
+  return { firstYear: Math.min(...years), lastYear: Math.max(...years) }
+}
+
+/**
+ * Expense categories without an indicator in CATEGORY_TO_CODE
+ * Their rows are skipped when the unified data and the compact indicator files are built.
+ * @param {ExpenseDataset} dataset - Shared expense dataset
+ * @returns {Object} { categories: [{ category, rows, countries, firstYear, lastYear }], droppedRows, totalRows }
+ */
+export function countUnmappedCategories(dataset) {
+  const { country, category, year } = dataset.columns
+  const unmapped = dataset.categories.map(name => !INDICATOR_METADATA[CATEGORY_TO_CODE[name]])
+
+  const counts = new Map()
+  for (let i = 0; i < year.length; i++) {
+    if (!unmapped[category[i]]) continue
+
+    if (!counts.has(category[i])) {
+      counts.set(category[i], { rows: 0, countries: new Set(), firstYear: year[i], lastYear: year[i] })
+    }
+    const entry = counts.get(category[i])
+    entry.rows++
+    entry.countries.add(country[i])
+    entry.firstYear = Math.min(entry.firstYear, year[i])
+    entry.lastYear = Math.max(entry.lastYear, year[i])
+  }
+
+  const categories = Array.from(counts, ([id, entry]) => ({
+    category: dataset.categories[id],
+    rows: entry.rows,
+    countries: entry.countries.size,
+    firstYear: entry.firstYear,
+    lastYear: entry.lastYear
+  })).sort((a, b) => b.rows - a.rows || a.category.localeCompare(b.category))
+
+  return {
+    categories,
+    droppedRows: categories.reduce((sum, entry) => sum + entry.rows, 0),
+    totalRows: dataset.size
+  }
+}
+
+/**
+ * Where GDP and total expense do not join (countries are matched by ISO3, as in joinGdpExpenseData)
+ * @param {ExpenseDataset} dataset - Shared expense dataset
+ * @param {Array} gdpPoints - GDP points from loadWorldBankIndicatorFile (ISO3 keyed, no aggregates)
+ * @returns {Object} {
+ *   unresolved: expense countries without an ISO3 code,
+ *   spendingWithoutGdp: expense countries with no GDP at all,
+ *   gdpWithoutSpending: GDP countries with no expense at all,
+ *   yearGaps: countries in both files with total expense years that have no GDP ({ years })
+ * } Each entry is { country, iso3, firstYear, lastYear }
+ */
+export function findJoinMismatches(dataset, gdpPoints) {
+  const gdpYears = new Map()
+  const gdpNames = new Map()
+  gdpPoints.forEach(point => {
+    if (!gdpYears.has(point.countryCode)) {
+      gdpYears.set(point.countryCode, new Set())
+      gdpNames.set(point.countryCode, point.countryName)
+    }
+    gdpYears.get(point.countryCode).add(point.year)
+  })
+
+  // Years of every expense country, and those with total expense in USD (what gets joined)
+  const { country, category, year, usd } = dataset.columns
+  const totalId = dataset.categories.indexOf(TOTAL_EXPENSE_CATEGORY)
+  const expenseYears = dataset.countries.map(() => new Set())
+  const totalYears = dataset.countries.map(() => new Set())
+  for (let i = 0; i < year.length; i++) {
+    expenseYears[country[i]].add(year[i])
+    if (category[i] === totalId && !isNaN(usd[i])) totalYears[country[i]].add(year[i])
+  }
+
+  const unresolved = []
+  const spendingWithoutGdp = []
+  const yearGaps = []
+  const matched = new Set()
+
+  dataset.countries.forEach((name, id) => {
+    const years = Array.from(expenseYears[id])
+    if (years.length === 0) return
+
+    const iso3 = getIso3(name)
+    if (!iso3) {
+      unresolved.push({ country: name, iso3: null, ...yearSpan(years) })
+      return
+    }
+
+    matched.add(iso3)
+    const gdp = gdpYears.get(iso3)
+    if (!gdp) {
+      spendingWithoutGdp.push({ country: name, iso3, ...yearSpan(years) })
+      return
+    }
+
+    const missing = Array.from(totalYears[id]).filter(y => !gdp.has(y)).sort((a, b) => a - b)
+    if (missing.length > 0) {
+      yearGaps.push({ country: name, iso3, years: missing, ...yearSpan(missing) })
+    }
+  })
+
+  const gdpWithoutSpending = Array.from(gdpYears)
+    .filter(([iso3]) => !matched.has(iso3))
+    .map(([iso3, years]) => ({ country: gdpNames.get(iso3), iso3, ...yearSpan(Array.from(years)) }))
+
+  const byName = (a, b) => a.country.localeCompare(b.country)
+  return {
+    unresolved: unresolved.sort(byName),
+    spendingWithoutGdp: spendingWithoutGdp.sort(byName),
+    gdpWithoutSpending: gdpWithoutSpending.sort(byName),
+    yearGaps: yearGaps.sort(byName)
+  }
+}
+
+/**
+ * Country × year coverage of one indicator in the unified data
+ * Countries without any value of the indicator are kept (as empty rows).
+ * @param {Object} data - Unified data with the indicator loaded (loadIndicators)
+ * @param {string} indicatorCode - Indicator code
+ * @returns {Object} { code, years, rows: [{ country, iso3, cells: Map(year -> { status, local, usd }),
+ *   reported, derived, firstYear, lastYear }], totals: { reported, derived, missing, coverage } }
+ */
+export function buildCoverage(data, indicatorCode) {
+  const allYears = (data?.years || []).map(y => parseInt(y))
+  if (allYears.length === 0) {
+    return { code: indicatorCode, years: [], rows: [], totals: { reported: 0, derived: 0, missing: 0, coverage: 0 } }
+  }
+
+  const { firstYear, lastYear } = yearSpan(allYears)
+  const years = Array.from({ length: lastYear - firstYear + 1 }, (_, i) => firstYear + i)
+
+  const rows = Object.entries(data.countries).map(([country, countryData]) => {
+    const cells = new Map()
+    let reported = 0
+    let derived = 0
+
+    Object.entries(countryData.indicators[indicatorCode] || {}).forEach(([year, value]) => {
+      const status = value.derived ? 'derived' : 'reported'
+      cells.set(parseInt(year), { status, local: value.local, usd: value.usd })
+      if (value.derived) derived++
+      else reported++
+    })
+
+    return { country, iso3: getIso3(country), cells, reported, derived, ...yearSpan(Array.from(cells.keys())) }
+  }).sort((a, b) => (b.reported + b.derived) - (a.reported + a.derived) || a.country.localeCompare(b.country))
+
+  const reported = rows.reduce((sum, row) => sum + row.reported, 0)
+  const derived = rows.reduce((sum, row) => sum + row.derived, 0)
+  const cellCount = rows.length * years.length
+
+  return {
+    code: indicatorCode,
+    years,
+    rows,
+    totals: {
+      reported,
+      derived,
+      missing: cellCount - reported - derived,
+      coverage: cellCount > 0 ? ((reported + derived) / cellCount) * 100 : 0
+    }
+  }
+}
+
+/**
+ * Validate GDP growth, total spending as % of GDP and their merge with ValidationUtils
+ * GDP growth is computed between consecutive years of gdp_vals.csv.
+ * @param {Array} gdpPoints - GDP points from loadWorldBankIndicatorFile
+ * @param {Array} joined - Rows from loadJoinedGdpExpenseData
+ * @returns {Object} { gdp, spending, merged } validation results, plus the validated records
+ *   ({ records: { gdp, spending, merged } }) that the findings' indexes refer to
+ */
+export function validateSources(gdpPoints, joined) {
+  const byCountry = new Map()
+  gdpPoints.forEach(point => {
+    if (!byCountry.has(point.countryCode)) byCountry.set(point.countryCode, [])
+    byCountry.get(point.countryCode).push(point)
+  })
+
+  const gdpRecords = []
+  byCountry.forEach(points => {
+    points.sort((a, b) => a.year - b.year)
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].year !== points[i - 1].year + 1) continue
+      gdpRecords.push({
+        countryName: points[i].countryName,
+        countryCode: points[i].countryCode,
+        year: points[i].year,
+        gdpGrowth: ((points[i].value - points[i - 1].value) / points[i - 1].value) * 100
+      })
+    }
+  })
+
+  const spendingRecords = joined.map(row => ({
+    countryName: row.countryName,
+    countryCode: row.iso3,
+    year: row.year,
+    totalSpending: (row.spending / row.gdp) * 100
+  }))
+
+  // One record per country-year with either value; expense names win so each country has one name
+  const merged = new Map()
+  const names = new Map()
+  spendingRecords.forEach(record => names.set(record.countryCode, record.countryName))
+  const mergeRecord = (record, field) => {
+    const key = `${record.countryCode}-${record.year}`
+    if (!merged.has(key)) {
+      merged.set(key, {
+        countryName: names.get(record.countryCode) || record.countryName,
+        countryCode: record.countryCode,
+        year: record.year,
+        gdpGrowth: null,
+        totalSpending: null
+      })
+    }
+    merged.get(key)[field] = record[field]
+  }
+  gdpRecords.forEach(record => mergeRecord(record, 'gdpGrowth'))
+  spendingRecords.forEach(record => mergeRecord(record, 'totalSpending'))
+  const mergedRecords = Array.from(merged.values())
+
+  return {
+    gdp: validationUtils.validateGDPData(gdpRecords),
+    spending: validationUtils.validateSpendingData(spendingRecords),
+    merged: validationUtils.validateMergedData(mergedRecords),
+    records: { gdp: gdpRecords, spending: spendingRecords, merged: mergedRecords }
+  }
+}
+
+/**
+ * Extreme and out-of-range values found by validateSources
+ * @param {Object} validation - Result of validateSources
+ * @returns {Array} [{ source, country, iso3, year, field, value, severity, message }], most severe first
+ */
+export function collectExtremeValues(validation) {
+  const sources = [
+    { key: 'gdp', label: 'GDP growth' },
+    { key: 'spending', label: 'Spending % of GDP' }
+  ]
+
+  const values = []
+  sources.forEach(({ key, label }) => {
+    const result = validation[key]
+    const records = validation.records[key]
+    ;[...result.errors, ...result.warnings]
+      .filter(finding => EXTREME_TYPES.includes(finding.type) && finding.field !== 'year' && finding.index !== undefined)
+      .forEach(finding => {
+        const record = records[finding.index]
+        values.push({
+          source: label,
+          country: record.countryName,
+          iso3: record.countryCode,
+          year: record.year,
+          field: finding.field,
+          value: finding.value,
+          severity: finding.severity,
+          message: finding.message
+        })
+      })
+  })
+
+  return values.sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+    Math.abs(b.value) - Math.abs(a.value))
+}
+
+/**
+ * Score the reported values of one indicator with DataProcessor
+ * Each value is a record { countryName, countryCode, year, value (USD), shareOfGdp }; values
+ * derived from components are left out. Completeness therefore counts values that have a
+ * USD amount and a GDP to compare with; outliers are taken on the share of GDP, which is
+ * comparable across countries.
+ * @param {Object} coverage - Result of buildCoverage
+ * @param {Array} gdpPoints - GDP points from loadWorldBankIndicatorFile (current US$)
+ * @returns {Promise<Object>} { quality (assessDataQuality), cleaning, outliers: [{ country, iso3, year,
+ *   shareOfGdp, severity }], report (generateProcessingReport) }
+ */
+export async function assessIndicatorQuality(coverage, gdpPoints) {
+  // Expense values are millions of USD, as in joinGdpExpenseData
+  const gdpMillions = new Map()
+  gdpPoints.forEach(point => gdpMillions.set(`${point.countryCode}-${point.year}`, point.value / 1_000_000))
+
+  const records = []
+  coverage.rows.forEach(row => {
+    row.cells.forEach((cell, year) => {
+      if (cell.status !== 'reported') return
+      const gdp = row.iso3 ? gdpMillions.get(`${row.iso3}-${year}`) : undefined
+      records.push({
+        countryName: row.country,
+        countryCode: row.iso3 || '',
+        year,
+        value: cell.usd,
+        shareOfGdp: gdp && cell.usd !== null ? (cell.usd / gdp) * 100 : null
+      })
+    })
+  })
+
+  const result = await dataProcessor.processData(records, {
+    requiredFields: ['countryName', 'countryCode', 'year', 'value'],
+    numericFields: ['shareOfGdp']
+  })
+
+  const outliers = result.anomalies.records
+    .filter(anomaly => FLAGGED_OUTLIER_SEVERITIES.includes(anomaly.severity))
+    .map(anomaly => ({
+      country: anomaly.record.countryName,
+      iso3: anomaly.record.countryCode,
+      year: anomaly.record.year,
+      shareOfGdp: anomaly.value,
+      severity: anomaly.severity
+    }))
+    .sort((a, b) => b.shareOfGdp - a.shareOfGdp)
+
+  return {
+    quality: result.qualityAssessment,
+    cleaning: result.cleaningReport,
+    outliers,
+    report: dataProcessor.generateProcessingReport()
+  }
+}
+
+/**
+ * Flatten a report into CSV rows
+ * @param {Object} report - { indicator, coverage, indicatorQuality, mismatches, unmapped, validation, extremeValues }
+ * @returns {Array} Rows with section, country, iso3, year, indicator, detail, value, severity
+ */
+export function buildQualityReportRows(report) {
+  const { indicator, coverage, indicatorQuality, mismatches, unmapped, validation, extremeValues } = report
+  const rows = []
+  const add = (row) => rows.push({
+    section: row.section,
+    country: row.country ?? '',
+    iso3: row.iso3 ?? '',
+    year: row.year ?? '',
+    indicator: row.indicator ?? '',
+    detail: row.detail ?? '',
+    value: row.value ?? '',
+    severity: row.severity ?? ''
+  })
+
+  const spanText = (entry) => {
+    if (entry.firstYear === null) return 'no years'
+    return entry.firstYear === entry.lastYear ? `${entry.firstYear}` : `${entry.firstYear}-${entry.lastYear}`
+  }
+
+  ;[['GDP growth', validation.gdp], ['Spending % of GDP', validation.spending], ['Merged', validation.merged]]
+    .forEach(([label, result]) => add({
+      section: 'Validation',
+      detail: `${label}: ${result.isValid ? 'passed' : 'failed'}, ${result.statistics.totalRecords} records, ` +
+        `${result.statistics.totalErrors} errors, ${result.statistics.totalWarnings} warnings`,
+      value: result.statistics.totalErrors + result.statistics.totalWarnings
+    }))
+
+  if (indicatorQuality) {
+    const { quality } = indicatorQuality
+    add({
+      section: 'Indicator quality',
+      indicator,
+      detail: `Grade ${quality.overall.grade}: completeness ${quality.completeness}%, ` +
+        `validity ${quality.validity}%, uniqueness ${quality.uniqueness}%, timeliness ${quality.timeliness}%`,
+      value: quality.overall.score
+    })
+  }
+
+  coverage.rows.forEach(row => add({
+    section: 'Coverage',
+    country: row.country,
+    iso3: row.iso3,
+    indicator,
+    detail: `${row.reported} reported, ${row.derived} derived of ${coverage.years.length} years` +
+      (row.firstYear === null ? '' : ` (${row.firstYear}-${row.lastYear})`),
+    value: coverage.years.length > 0 ? Number((((row.reported + row.derived) / coverage.years.length) * 100).toFixed(1)) : 0
+  }))
+
+  mismatches.unresolved.forEach(entry => add({
+    section: 'Join: no ISO3 code', country: entry.country, detail: `Expense ${spanText(entry)}`
+  }))
+  mismatches.spendingWithoutGdp.forEach(entry => add({
+    section: 'Join: expense without GDP', country: entry.country, iso3: entry.iso3, detail: `Expense ${spanText(entry)}`
+  }))
+  mismatches.gdpWithoutSpending.forEach(entry => add({
+    section: 'Join: GDP without expense', country: entry.country, iso3: entry.iso3, detail: `GDP ${spanText(entry)}`
+  }))
+  mismatches.yearGaps.forEach(entry => entry.years.forEach(year => add({
+    section: 'Join: expense year without GDP', country: entry.country, iso3: entry.iso3, year
+  })))
+
+  unmapped.categories.forEach(entry => add({
+    section: 'Unmapped category',
+    detail: `${entry.category} (${entry.countries} countries, ${spanText(entry)})`,
+    value: entry.rows
+  }))
+
+  extremeValues.forEach(entry => add({
+    section: `Extreme value: ${entry.source}`,
+    country: entry.country,
+    iso3: entry.iso3,
+    year: entry.year,
+    detail: entry.message,
+    value: entry.value,
+    severity: entry.severity
+  }))
+
+  ;(indicatorQuality?.outliers || []).forEach(entry => add({
+    section: 'Outlier: share of GDP',
+    country: entry.country,
+    iso3: entry.iso3,
+    year: entry.year,
+    indicator,
+    value: entry.shareOfGdp,
+    severity: entry.severity
+  }))
+
+  return rows
+}
@@ -0,0 +1,259 @@
+/**
+ * ExpenseHierarchyModal.jsx - Drill-down view of a country's expense breakdown
+ *
+ * Features:
+ * - Zoomable sunburst from Total Expense (GE) through the GFS hierarchy for one country-year
+ * - Side-by-side mode comparing two years or two countries in the same hierarchy
+ * - Breadcrumb and drill level shared by both charts
+ * - Sizes in USD (market rate or PPP) so countries compare; local currency when USD is missing
+ */
+
+import { useState, useMemo, useEffect, useCallback } from 'react'
+import { CATEGORY_COLORS, CATEGORY_DESCRIPTIONS } from '../services/UnifiedDataService.js'
+import { buildHierarchyTree, getAncestry } from '../services/GfsHierarchy.js'
+import { formatWithBothCurrencies, formatValueWithCurrency, getCurrencyWithFallback } from '../utils/currencyMapping.js'
+import ExpenseHierarchySunburst, { getNodeName } from './ExpenseHierarchySunburst.jsx'
+import FocusTrap from '../../comparison/components/FocusTrap.jsx'
+import '../styles/ExpenseHierarchy.css'
+
+const MODES = [
+  { key: 'single', label: 'Single' },
+  { key: 'years', label: 'Compare years' },
+  { key: 'countries', label: 'Compare countries' }
+]
+
+/**
+ * Years with at least one expense value for a country
+ * @private
+ */
+function getCountryYears(countryData) {
+  const years = new Set()
+  Object.values(countryData?.indicators || {}).forEach(yearValues => {
+    Object.keys(yearValues).forEach(year => years.add(parseInt(year)))
+  })
+  return Array.from(years).sort((a, b) => a - b)
+}
+
+/**
+ * Latest available year not after the requested one (or the earliest year)
+ * @private
+ */
+function pickYear(years, requested) {
+  const before = years.filter(year => year <= requested)
+  return before.length > 0 ? before[before.length - 1] : years[0] ?? null
+}
+
+function ExpenseHierarchyModal({ unifiedData, country, initialYear, onClose }) {
+  const countryYears = useMemo(
+    () => getCountryYears(unifiedData?.countries[country.name]),
+    [unifiedData, country.name]
+  )
+
+  const [mode, setMode] = useState('single')
+  const [year, setYear] = useState(() => pickYear(countryYears, initialYear))
+  const [compareYear, setCompareYear] = useState(() => countryYears[0] ?? null)
+  const [compareCountry, setCompareCountry] = useState('')
+  const [focusCode, setFocusCode] = useState('GE')
+
+  const currency = unifiedData?.currency || 'market'
+  const usdLabel = currency === 'ppp' ? 'Int$' : 'USD'
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const countryNames = useMemo(
+    () => Object.keys(unifiedData?.countries || {}).filter(name => name !== country.name).sort(),
+    [unifiedData, country.name]
+  )
+
+  const compareCountryYears = useMemo(
+    () => getCountryYears(unifiedData?.countries[compareCountry]),
+    [unifiedData, compareCountry]
+  )
+
+  // Comparing countries needs a year both have data for
+  const sharedYears = useMemo(
+    () => (compareCountry ? countryYears.filter(y => compareCountryYears.includes(y)) : countryYears),
+    [countryYears, compareCountry, compareCountryYears]
+  )
+
+  useEffect(() => {
+    if (mode === 'countries' && sharedYears.length > 0 && !sharedYears.includes(year)) {
+      setYear(pickYear(sharedYears, year))
+    }
+  }, [mode, sharedYears, year])
+
+  // Panels to draw: { key, title, country, year }
+  const panels = useMemo(() => {
+    const primary = { key: 'primary', country, year }
+    if (mode === 'years') {
+      return [
+        { ...primary, title: `${year}` },
+        { key: 'secondary', country, year: compareYear, title: `${compareYear}` }
+      ]
+    }
+    if (mode === 'countries') {
+      const record = unifiedData?.countries[compareCountry]
+      return [
+        { ...primary, title: country.name },
+        {
+          key: 'secondary',
+          country: record ? { name: record.name, code: record.code } : null,
+          year,
+          title: record ? record.name : 'Choose a country'
+        }
+      ]
+    }
+    return [{ ...primary, title: '' }]
+  }, [mode, country, year, compareYear, compareCountry, unifiedData])
+
+  // Sizes in USD whenever the data has it, so two countries share one unit
+  const valueKey = unifiedData?.hasBothCurrencies ? 'usd' : 'local'
+
+  const trees = useMemo(() => panels.map(panel => {
+    const indicators = panel.country ? unifiedData?.countries[panel.country.name]?.indicators : null
+    return indicators && panel.year ? buildHierarchyTree(indicators, panel.year, valueKey) : null
+  }), [panels, unifiedData, valueKey])
+
+  const formatterFor = useCallback((panelCountry) => (node, root) => {
+    const share = root.value > 0 ? `${((node.value / root.value) * 100).toFixed(1)}% of total expense` : ''
+    const value = node.local !== null && node.local !== undefined
+      ? formatWithBothCurrencies(node.local, node.usd, panelCountry.code, panelCountry.name, currency)
+      : formatValueWithCurrency(node.value, valueKey === 'usd' ? usdLabel : getCurrencyWithFallback(panelCountry.code, panelCountry.name))
+
+    const lines = [
+      node.unallocated ? getNodeName(node) : `${getNodeName(node)} (${node.code})`,
+      value,
+      share
+    ]
+    if (node.unallocated) lines.push('Reported total minus the reported components')
+    else if (node.derived) lines.push('Σ Not reported; summed from components')
+    return lines.filter(Boolean).join('\n')
+  }, [currency, usdLabel, valueKey])
+
+  const formatters = useMemo(
+    () => panels.map(panel => (panel.country ? formatterFor(panel.country) : null)),
+    [panels, formatterFor]
+  )
+
+  const ancestry = getAncestry(focusCode)
+  const chartSize = panels.length > 1 ? 320 : 420
+
+  return (
+    <>
+      <div className="expense-hierarchy-overlay" onClick={onClose} />
+      <div
+        className="expense-hierarchy-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="expense-hierarchy-title"
+      >
+        <FocusTrap>
+          <div className="expense-hierarchy-header">
+            <h3 id="expense-hierarchy-title">🌳 Expense breakdown – {country.name}</h3>
+            <button className="close-btn" onClick={onClose} title="Close" aria-label="Close">×</button>
+          </div>
+
+          <div className="expense-hierarchy-controls">
+            <div className="expense-hierarchy-modes" role="group" aria-label="Comparison mode">
+              {MODES.map(({ key, label }) => (
+                <button
+                  key={key}
+                  className={`expense-hierarchy-mode ${mode === key ? 'active' : ''}`}
+                  onClick={() => setMode(key)}
+                  aria-pressed={mode === key}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <label>
+              Year
+              <select value={year ?? ''} onChange={(e) => setYear(parseInt(e.target.value))}>
+                {(mode === 'countries' ? sharedYears : countryYears).map(y => (
+                  <option key={y} value={y}>{y}</option>
+                ))}
+              </select>
+            </label>
+
+            {mode === 'years' && (
+              <label>
+                vs.
+                <select value={compareYear ?? ''} onChange={(e) => setCompareYear(parseInt(e.target.value))}>
+                  {countryYears.map(y => <option key={y} value={y}>{y}</option>)}
+                </select>
+              </label>
+            )}
+
+            {mode === 'countries' && (
+              <label>
+                vs.
+                <select value={compareCountry} onChange={(e) => setCompareCountry(e.target.value)}>
+                  <option value="">Choose a country…</option>
+                  {countryNames.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </label>
+            )}
+          </div>
+
+          <nav className="expense-hierarchy-breadcrumb" aria-label="Drill level">
+            {ancestry.map((code, index) => (
+              <span key={code}>
+                {index > 0 && <span className="breadcrumb-separator">›</span>}
+                <button
+                  className="breadcrumb-item"
+                  onClick={() => setFocusCode(code)}
+                  disabled={code === focusCode}
+                >
+                  {getNodeName({ code })}
+                </button>
+              </span>
+            ))}
+          </nav>
+
+          <div className="expense-hierarchy-charts">
+            {panels.map((panel, index) => (
+              <ExpenseHierarchySunburst
+                key={panel.key}
+                tree={trees[index]}
+                focusCode={focusCode}
+                onFocusChange={setFocusCode}
+                formatNode={formatters[index]}
+                size={chartSize}
+                title={panel.title}
+              />
+            ))}
+          </div>
+
+          <div className="expense-hierarchy-legend">
+            {Object.entries(CATEGORY_COLORS).filter(([category]) => category !== 'overview').map(([category, color]) => (
+              <span key={category} className="legend-entry" title={CATEGORY_DESCRIPTIONS[category]}>
+                <span className="legend-swatch" style={{ backgroundColor: color }} />
+                {category}
+              </span>
+            ))}
+            <span className="legend-entry" title="Part of a reported total that is not broken down into components">
+              <span className="legend-swatch unallocated" />
+              not broken down
+            </span>
+          </div>
+
+          <p className="expense-hierarchy-note">
+            Click a segment to drill in, the center to go back up. Sizes in {valueKey === 'usd'
+              ? `${usdLabel} (${currency === 'ppp' ? 'PPP' : 'market rate'})`
+              : 'local currency'}; hover for values and shares of total expense.
+          </p>
+        </FocusTrap>
+      </div>
+    </>
+  )
+}
+
+export default ExpenseHierarchyModal
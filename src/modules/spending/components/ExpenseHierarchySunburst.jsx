@@ -0,0 +1,165 @@
+/**
+ * ExpenseHierarchySunburst.jsx - Zoomable sunburst of the GFS expense hierarchy
+ *
+ * Features:
+ * - Rings from Total Expense (GE) down to the leaf indicators, colored by category
+ * - Click a ring segment to drill into it, click the center to go back up
+ * - Drill level is controlled by the parent so side-by-side charts stay in sync
+ * - Shows up to three rings below the focused indicator
+ */
+
+import { useEffect, useRef } from 'react'
+import * as d3 from 'd3'
+import { CATEGORY_COLORS, INDICATOR_METADATA } from '../services/UnifiedDataService.js'
+import { getParentCode } from '../services/GfsHierarchy.js'
+
+const VISIBLE_RINGS = 3
+const UNALLOCATED_COLOR = '#d1d5db'
+
+/**
+ * Display name of a tree node
+ * @param {Object} node - Tree node from buildHierarchyTree
+ * @returns {string} Indicator name, or "Not broken down" for the unallocated remainder
+ */
+export function getNodeName(node) {
+  if (node.unallocated) return 'Not broken down'
+  return INDICATOR_METADATA[node.code]?.name || node.code
+}
+
+/**
+ * Color of a tree node: category color, lighter with depth
+ * @private
+ */
+function getNodeColor(node) {
+  if (node.data.unallocated) return UNALLOCATED_COLOR
+
+  const base = CATEGORY_COLORS[INDICATOR_METADATA[node.data.code]?.category] || '#9ca3af'
+  return d3.interpolateRgb(base, '#ffffff')(Math.min(Math.max(node.depth - 1, 0) * 0.22, 0.66))
+}
+
+function ExpenseHierarchySunburst({
+  tree,
+  focusCode = 'GE',
+  onFocusChange,
+  formatNode, // (node, root) => tooltip text
+  size = 360,
+  title = ''
+}) {
+  const svgRef = useRef(null)
+
+  useEffect(() => {
+    if (!svgRef.current) return
+    const svg = d3.select(svgRef.current)
+    svg.selectAll('*').remove()
+    if (!tree) return
+
+    const root = d3.hierarchy(tree)
+      .sum(d => (d.children ? 0 : d.value))
+      .sort((a, b) => b.value - a.value)
+
+    // Focus on the requested indicator, or the closest ancestor this tree has
+    let focus = null
+    let code = focusCode
+    while (code && !focus) {
+      focus = root.find(node => node.data.code === code)
+      code = getParentCode(code)
+    }
+    focus = focus || root
+
+    const subtree = focus.copy()
+    d3.partition().size([2 * Math.PI, VISIBLE_RINGS + 1])(subtree)
+
+    const radius = size / 2 / (VISIBLE_RINGS + 1)
+    const arc = d3.arc()
+      .startAngle(d => d.x0)
+      .endAngle(d => d.x1)
+      .padAngle(d => Math.min((d.x1 - d.x0) / 2, 0.004))
+      .padRadius(radius * 1.5)
+      .innerRadius(d => d.y0 * radius)
+      .outerRadius(d => Math.max(d.y0 * radius, d.y1 * radius - 1))
+
+    const g = svg
+      .attr('viewBox', [-size / 2, -size / 2, size, size])
+      .attr('width', size)
+      .attr('height', size)
+      .append('g')
+
+    const nodes = subtree.descendants().filter(d => d.depth > 0 && d.depth <= VISIBLE_RINGS)
+
+    g.selectAll('path')
+      .data(nodes)
+      .join('path')
+      .attr('class', d => `sunburst-arc${d.children ? ' drillable' : ''}`)
+      .attr('fill', getNodeColor)
+      .attr('d', arc)
+      .on('click', (event, d) => {
+        if (d.children && onFocusChange) onFocusChange(d.data.code)
+      })
+      .append('title')
+      .text(d => (formatNode ? formatNode(d.data, root.data) : getNodeName(d.data)))
+
+    // Labels on segments wide enough to hold them
+    g.append('g')
+      .attr('pointer-events', 'none')
+      .attr('text-anchor', 'middle')
+      .selectAll('text')
+      .data(nodes.filter(d => (d.y1 - d.y0) * radius * (d.x1 - d.x0) > 14 && !d.data.unallocated))
+      .join('text')
+      .attr('class', 'sunburst-label')
+      .attr('transform', d => {
+        const x = (d.x0 + d.x1) / 2 * 180 / Math.PI
+        const y = (d.y0 + d.y1) / 2 * radius
+        return `rotate(${x - 90}) translate(${y},0) rotate(${x < 180 ? 0 : 180})`
+      })
+      .attr('dy', '0.35em')
+      .text(d => d.data.code)
+
+    // Center: focused indicator, click to go up one level
+    const parentCode = focus.parent?.data.code || null
+    const center = g.append('g')
+      .attr('class', `sunburst-center${parentCode ? ' drillable' : ''}`)
+      .on('click', () => {
+        if (parentCode && onFocusChange) onFocusChange(parentCode)
+      })
+
+    center.append('circle')
+      .attr('r', radius - 2)
+      .attr('fill', d3.color(getNodeColor(focus)).copy({ opacity: 0.25 }))
+
+    center.append('title')
+      .text(formatNode ? formatNode(focus.data, root.data) : getNodeName(focus.data))
+
+    center.append('text')
+      .attr('class', 'sunburst-center-code')
+      .attr('text-anchor', 'middle')
+      .attr('dy', parentCode ? '-0.2em' : '0.35em')
+      .text(focus.data.code)
+
+    if (parentCode) {
+      center.append('text')
+        .attr('class', 'sunburst-center-up')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '1.2em')
+        .text('↑ up')
+    }
+  }, [tree, focusCode, onFocusChange, formatNode, size])
+
+  return (
+    <figure className="expense-sunburst">
+      {title && <figcaption className="expense-sunburst-title">{title}</figcaption>}
+      <svg
+        ref={svgRef}
+        role="img"
+        aria-label={`Expense breakdown ${title}`}
+        style={tree ? undefined : { display: 'none' }}
+      />
+      {!tree && (
+        <div className="expense-sunburst-empty" style={{ width: size, height: size }}>
+          No expense data for this selection
+        </div>
+      )}
+    </figure>
+  )
+}
+
+export default ExpenseHierarchySunburst
@@ -0,0 +1,166 @@
+/**
+ * SpendingAggregatePanel.jsx - Selected indicator for a region, income group or country group
+ *
+ * Features:
+ * - Per-year aggregate of the member countries over the year range
+ * - Sum of USD values, or mean / GDP-weighted mean / median (the only choices for ratios)
+ * - Coverage of each year ("covers 87% of regional GDP"); years below the threshold stay empty
+ */
+
+import { useState, useMemo, useEffect } from 'react'
+import {
+  aggregationService,
+  createValueLookup,
+  describeCoverage,
+  AGGREGATION_METHODS,
+  COVERAGE_THRESHOLDS,
+  DEFAULT_MIN_COVERAGE
+} from '../../../shared/services/AggregationService.js'
+import { loadGdpForNormalization, formatNormalizedValue } from '../services/SpendingNormalizationService.js'
+import { INDICATOR_METADATA } from '../services/UnifiedDataService.js'
+import { formatSpendingValue } from '../utils/formatUtils.js'
+
+/**
+ * Country-year records of an indicator, with the value to aggregate
+ * Raw data is aggregated in USD (local currencies cannot be added up), normalized data as is
+ * @private
+ */
+function getIndicatorRecords(indicatorData) {
+  const records = []
+  Object.entries(indicatorData?.countries || {}).forEach(([countryName, country]) => {
+    Object.entries(country.data || {}).forEach(([year, value]) => {
+      records.push({
+        country: country.code || countryName,
+        year: parseInt(year),
+        value: typeof value === 'object' && value !== null ? value.usd : value
+      })
+    })
+  })
+  return records
+}
+
+function SpendingAggregatePanel({
+  aggregateCode,
+  spendingData, // Raw indicator data ({ usd, local } per year)
+  normalizedData = null, // Indicator as % of GDP / % of GE / per capita (null = raw values)
+  selectedIndicator,
+  yearRange
+}) {
+  const normalization = normalizedData?.normalization || null
+  const [method, setMethod] = useState(normalization ? 'gdpWeighted' : 'sum')
+  const [minCoverage, setMinCoverage] = useState(DEFAULT_MIN_COVERAGE)
+  const [gdpData, setGdpData] = useState(null)
+
+  // Ratios cannot be summed
+  useEffect(() => {
+    if (normalization && method === 'sum') setMethod('gdpWeighted')
+  }, [normalization])
+
+  // GDP weights and coverage; without them coverage falls back to member counts
+  useEffect(() => {
+    let cancelled = false
+    loadGdpForNormalization()
+      .then(data => {
+        if (!cancelled) setGdpData(data)
+      })
+      .catch(err => {
+        console.warn('GDP not available for aggregate weights:', err.message)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const series = useMemo(() => {
+    const source = normalizedData || spendingData
+    if (!source?.countries) return null
+
+    const valueFor = createValueLookup(getIndicatorRecords(source), {
+      country: d => d.country,
+      year: d => d.year,
+      value: d => d.value
+    })
+    const weightFor = gdpData
+      ? createValueLookup(gdpData, { country: d => d.countryCode, year: d => d.year, value: d => d.value })
+      : null
+
+    const years = []
+    for (let year = yearRange[0]; year <= yearRange[1]; year++) {
+      years.push(year)
+    }
+
+    return aggregationService.buildSeries(aggregateCode, valueFor, years, { method, weightFor, minCoverage })
+  }, [aggregateCode, spendingData, normalizedData, gdpData, method, minCoverage, yearRange])
+
+  if (!series) return null
+
+  const formatValue = (value) => {
+    if (value === null) return '—'
+    return normalization ? formatNormalizedValue(value, normalization) : `$${formatSpendingValue(value)}`
+  }
+
+  const points = [...series.points].reverse()
+  const withValues = series.points.filter(point => point.value !== null)
+  const indicatorName = INDICATOR_METADATA[selectedIndicator]?.name || selectedIndicator
+
+  return (
+    <div className="insights-section aggregate-panel">
+      <h4>{indicatorName}</h4>
+
+      <div className="aggregate-controls">
+        <label>
+          Method
+          <select value={method} onChange={(e) => setMethod(e.target.value)}>
+            {Object.entries(AGGREGATION_METHODS)
+              .filter(([key]) => !(normalization && key === 'sum'))
+              .map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+          </select>
+        </label>
+        <label>
+          Min. coverage
+          <select value={minCoverage} onChange={(e) => setMinCoverage(parseFloat(e.target.value))}>
+            {COVERAGE_THRESHOLDS.map(threshold => (
+              <option key={threshold} value={threshold}>
+                {threshold === 0 ? 'Any' : `${threshold * 100}%`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="aggregate-note">
+        {AGGREGATION_METHODS[method].description}
+        {method === 'gdpWeighted' && !gdpData && ' (waiting for GDP data)'}
+      </p>
+
+      {withValues.length === 0 ? (
+        <p className="aggregate-empty">
+          No year in {yearRange[0]}-{yearRange[1]} reaches the coverage threshold
+        </p>
+      ) : (
+        <table className="aggregate-table">
+          <thead>
+            <tr>
+              <th>Year</th>
+              <th>Value</th>
+              <th>Coverage</th>
+            </tr>
+          </thead>
+          <tbody>
+            {points.map(point => (
+              <tr key={point.year} className={point.sufficient ? '' : 'insufficient'}>
+                <td>{point.year}</td>
+                <td>{formatValue(point.value)}</td>
+                <td>{point.reporting > 0 ? describeCoverage(point, series.kind) : 'no data'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default SpendingAggregatePanel
@@ -1,18 +1,41 @@
 import { useState, useEffect, useCallback, useMemo } from 'react'
-import * as d3 from 'd3'
 import { 
-  loadUnifiedData,
+  loadIndicators,
+  loadIndicatorData,
+  preloadUnifiedData,
+  subscribeToUnifiedData,
   getIndicatorData,
+  convertUnifiedData,
   CATEGORY_COLORS,
   INDICATOR_METADATA
 } from '../services/UnifiedDataService.js'
-import { ColorSchemeService } from '../../../shared/services/ColorSchemeService.js'
 import { MapColorService } from '../../../shared/services/MapColorService.js'
 import { filterStateManager } from '../../../shared/services/FilterStateManager.js'
+import { loadWorldTopology } from '../../../shared/services/GeographyService.js'
+import { getCountryRegion } from '../../../shared/utils/RegionMapping.js'
+import { incomeClassificationService } from '../../../shared/services/IncomeClassificationService.js'
+import { countryGroupService } from '../../../shared/services/CountryGroupService.js'
+import { aggregationService } from '../../../shared/services/AggregationService.js'
+import { findCountryRecord, getIso3 } from '../../../shared/utils/CountryRegistry.js'
+import { ValueFormatUtils } from '../../../shared/utils/ValueFormatUtils.js'
+import { usePriceBasis } from '../../../shared/hooks/usePriceBasis.js'
+import { useCurrencyConversion } from '../../../shared/hooks/useCurrencyConversion.js'
+import {
+  NORMALIZATION_MODES,
+  DEFAULT_NORMALIZATION,
+  normalizeIndicatorData,
+  getDisplayExtent,
+  loadGdpForNormalization,
+  loadPopulationForNormalization,
+  requiresGdp,
+  requiresPopulation
+} from '../services/SpendingNormalizationService.js'
 
 import SpendingFilters from './SpendingFilters.jsx'
 import SpendingWorldMap from './SpendingWorldMap.jsx'
 import SpendingInsightsPanel from './SpendingInsightsPanel.jsx'
+import SpendingLegend from './SpendingLegend.jsx'
+import { formatSpendingValue } from '../utils/formatUtils.js'
 import '../styles/SpendingAnalysis.css'
 
 /**
@@ -27,26 +50,49 @@ import '../styles/SpendingAnalysis.css'
  * - Export functionality with charts and data
  */
 const SpendingAnalysis = ({ onLoadingChange }) => {
+  // Initial view comes from FilterStateManager (restored from the URL or session)
+  const [initialState] = useState(() => {
+    const stored = filterStateManager.getFilters()
+    const indicator = INDICATOR_METADATA[stored.indicator] ? stored.indicator : 'GE'
+    return {
+      indicator,
+      category: INDICATOR_METADATA[indicator].category,
+      yearRange: stored.yearRange || [2005, 2022],
+      regions: stored.regions || [],
+      incomeLevels: stored.incomeLevels || [],
+      countryGroup: stored.countryGroup || null,
+      countries: stored.countries || [],
+      normalization: NORMALIZATION_MODES[stored.normalization] ? stored.normalization : DEFAULT_NORMALIZATION
+    }
+  })
+
   // Core state
-  const [unifiedData, setUnifiedData] = useState(null) // 48 indicators pre-loaded
+  const [unifiedData, setUnifiedData] = useState(null) // Grows as indicators load in the background
   const [spendingData, setSpendingData] = useState({})
-  const [selectedIndicator, setSelectedIndicator] = useState('GE')
-  const [selectedCategory, setSelectedCategory] = useState('overview')
+  const [selectedIndicator, setSelectedIndicator] = useState(initialState.indicator)
+  const [selectedCategory, setSelectedCategory] = useState(initialState.category)
   const [selectedCountry, setSelectedCountry] = useState(null)
-  const [expandedGroups, setExpandedGroups] = useState(new Set(['overview']))
+  const [expandedGroups, setExpandedGroups] = useState(new Set(['overview', initialState.category]))
   
   // Map and visualization state
   const [worldData, setWorldData] = useState(null)
-  const [colorScale, setColorScale] = useState(null)
+  const [gdpData, setGdpData] = useState(null) // Loaded on demand for '% of GDP'
+  const [populationData, setPopulationData] = useState(null) // Loaded on demand for 'Per capita'
+  const [populationUnavailable, setPopulationUnavailable] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   
   // Filter state
   const [filters, setFilters] = useState({ 
-    yearRange: [2005, 2022], // Reliable data range: 2005-2022 (consistent with GDP and Comparison pages)
-    categories: ['overview'],
-    countries: [],
+    yearRange: initialState.yearRange, // Reliable data range: 2005-2022 (consistent with GDP and Comparison pages)
+    regions: initialState.regions,
+    incomeLevels: initialState.incomeLevels,
+    countryGroup: initialState.countryGroup,
+    categories: [initialState.category],
+    countries: initialState.countries,
     sectors: [],
+    indicator: initialState.indicator,
+    normalization: initialState.normalization,
     visualizationMode: 'dominant'
   })
   const [showStatsPopup, setShowStatsPopup] = useState(false)
@@ -56,6 +102,11 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
     loadInitialData()
   }, [])
 
+  // Indicators warmed in the background are merged into a new unified data object
+  useEffect(() => {
+    return subscribeToUnifiedData(setUnifiedData)
+  }, [])
+
   // Sync loading state with parent component
   useEffect(() => {
     if (onLoadingChange) {
@@ -84,18 +135,22 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
       setLoading(true)
       setError(null)
 
-      console.log('🚀 Loading ALL 48 indicators using UnifiedDataService...')
+      console.log(`🚀 Loading ${selectedIndicator} using UnifiedDataService...`)
 
-      // Load world map data and ALL 48 indicators in parallel
+      // Load world map data, the selected indicator and income classifications in parallel
       const [world, unified] = await Promise.all([
-        d3.json('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json'),
-        loadUnifiedData() // Loads all 48 indicators at once!
+        loadWorldTopology(),
+        loadIndicators([selectedIndicator]),
+        incomeClassificationService.load()
       ])
       
       setWorldData(world)
       setUnifiedData(unified)
 
-      console.log('✅ UNIFIED DATA LOADED - ALL 48 INDICATORS')
+      // The other indicators follow in the background
+      preloadUnifiedData().catch(err => console.warn('⚠️ Background indicator loading failed:', err.message))
+
+      console.log('✅ UNIFIED DATA LOADED')
       console.log('Unified data structure:', {
         totalCountries: Object.keys(unified.countries).length,
         totalIndicators: Object.keys(unified.indicators).length,
@@ -105,30 +160,16 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
         sampleCountryData: unified.countries[Object.keys(unified.countries)[0]]
       })
 
-      // Load initial indicator data (GE - Total Government Expense)
-      const initialData = getIndicatorData('GE', filters.yearRange)
+      // Load initial indicator data (GE unless a link or the session selected another)
+      const initialData = getIndicatorData(selectedIndicator, filters.yearRange)
       setSpendingData(initialData)
 
-      console.log('Initial indicator (GE) loaded:', {
+      console.log(`Initial indicator (${selectedIndicator}) loaded:`, {
         countries: Object.keys(initialData.countries).length,
         category: initialData.category,
         hasGlobalStats: !!initialData.globalStats
       })
 
-      // Create color scale using ColorSchemeService directly
-      const scale = MapColorService.createMapColorScale(initialData, 'category', {
-        minValue: initialData.globalStats?.minSpending,
-        maxValue: initialData.globalStats?.maxSpending
-      })
-      setColorScale(() => scale)
-      
-      console.log('✅ Color scale created for category:', initialData.category, {
-        colorMode: 'category',
-        categoryColor: ColorSchemeService.getCategoryColor(initialData.category),
-        minValue: initialData.globalStats?.minSpending,
-        maxValue: initialData.globalStats?.maxSpending
-      })
-
     } catch (err) {
       console.error('❌ Error loading initial data:', err)
       setError('Failed to load spending data. Please check if data files are available.')
@@ -137,7 +178,7 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
     }
   }
 
-  const handleIndicatorSelect = (indicatorCode) => {
+  const handleIndicatorSelect = async (indicatorCode) => {
     // Prevent selecting while loading or if unified data not ready
     if (loading || !unifiedData) return
     
@@ -164,14 +205,17 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
 
       console.log(`📊 Switching to indicator: ${indicatorCode} (${INDICATOR_METADATA[indicatorCode]?.name})`)
 
-      // Get indicator data from unified data (instant - no loading!)
-      const data = getIndicatorData(indicatorCode, filters.yearRange)
+      // Get indicator data from unified data (fetched first if not warmed yet)
+      const data = await loadIndicatorData(indicatorCode, filters.yearRange)
       
       if (!data) {
         throw new Error(`Indicator ${indicatorCode} not found in unified data`)
       }
 
       setSpendingData(data)
+      
+      // Record the indicator so it is shared in the URL
+      filterStateManager.updateFilters({ indicator: indicatorCode }, true)
 
       console.log('Indicator data loaded:', {
         indicator: indicatorCode,
@@ -180,21 +224,6 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
         globalStats: data.globalStats
       })
 
-      // Create color scale using ColorSchemeService directly for consistency
-      const scale = MapColorService.createMapColorScale(data, 'category', {
-        minValue: data.globalStats?.minSpending,
-        maxValue: data.globalStats?.maxSpending
-      })
-      
-      setColorScale(() => scale)
-      
-      console.log(`✅ Color scale created for category: ${data.category}`, {
-        colorMode: 'category',
-        categoryColor: ColorSchemeService.getCategoryColor(data.category),
-        minValue: data.globalStats?.minSpending,
-        maxValue: data.globalStats?.maxSpending
-      })
-
     } catch (err) {
       console.error('❌ Error loading indicator:', err)
       setError(`Failed to load indicator: ${indicatorCode}`)
@@ -238,6 +267,135 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
     return unsubscribe
   }, [])
 
+  // Apply indicator changes coming from the URL (back/forward navigation)
+  useEffect(() => {
+    if (unifiedData && filters.indicator !== selectedIndicator && INDICATOR_METADATA[filters.indicator]) {
+      handleIndicatorSelect(filters.indicator)
+    }
+  }, [filters.indicator, unifiedData])
+
+  // Apply country selection coming from the URL (deep link or back/forward)
+  useEffect(() => {
+    if (!spendingData.countries) return
+
+    const requestedCode = filters.countries?.[0] || null
+    const currentCode = selectedCountry?.isAggregate
+      ? selectedCountry.code
+      : selectedCountry ? (getIso3(selectedCountry.code) || getIso3(selectedCountry.name)) : null
+    if (requestedCode === currentCode) return
+
+    const aggregate = aggregationService.getAggregate(requestedCode)
+    if (aggregate) {
+      setSelectedCountry({ name: aggregate.name, code: aggregate.code, isAggregate: true })
+      return
+    }
+
+    const record = requestedCode ? findCountryRecord(requestedCode, spendingData.countries) : null
+    setSelectedCountry(record ? {
+      name: record.name,
+      code: record.code,
+      region: getCountryRegion(record.name)
+    } : null)
+  }, [filters.countries, spendingData.countries])
+
+  // Load GDP the first time '% of GDP' is selected
+  useEffect(() => {
+    if (!requiresGdp(filters.normalization) || gdpData) return
+
+    let cancelled = false
+    setLoading(true)
+    loadGdpForNormalization()
+      .then(data => {
+        if (!cancelled) setGdpData(data)
+      })
+      .catch(err => {
+        console.error('❌ Error loading GDP for normalization:', err)
+        if (!cancelled) handleNormalizationChange(DEFAULT_NORMALIZATION)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [filters.normalization, gdpData])
+
+  // Load population the first time 'Per capita' is selected
+  useEffect(() => {
+    if (!requiresPopulation(filters.normalization) || populationData) return
+
+    let cancelled = false
+    setLoading(true)
+    loadPopulationForNormalization()
+      .then(data => {
+        if (!cancelled) setPopulationData(data)
+      })
+      .catch(err => {
+        console.error('❌ Error loading population for per capita values:', err)
+        if (!cancelled) {
+          setPopulationUnavailable(true)
+          handleNormalizationChange(DEFAULT_NORMALIZATION)
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [filters.normalization, populationData])
+
+  // Nominal or real (constant base-year prices) values and market-rate or PPP dollars
+  // from the header selectors
+  const { baseYear } = usePriceBasis()
+  const { currency } = useCurrencyConversion()
+
+  const pricedSpendingData = useMemo(() => {
+    if ((!baseYear && currency === 'market') || !spendingData.countries || spendingData.years.length === 0) {
+      return spendingData
+    }
+    const years = spendingData.years
+    return getIndicatorData(spendingData.indicator, [years[0], years[years.length - 1]], { baseYear, currency }) || spendingData
+  }, [spendingData, baseYear, currency])
+
+  const pricedUnifiedData = useMemo(
+    () => convertUnifiedData(unifiedData, { baseYear, currency }),
+    [unifiedData, baseYear, currency]
+  )
+
+  // Values shown on the map, legend and rankings: raw, % of GDP, % of total expense or per capita
+  // Shares are price- and currency-neutral, so they are always computed from nominal market-rate values
+  const mapData = useMemo(() => {
+    if (!spendingData.countries) return spendingData
+    const source = requiresGdp(filters.normalization) || filters.normalization === 'totalExpense'
+      ? spendingData
+      : pricedSpendingData
+    return normalizeIndicatorData(source, filters.normalization, { unifiedData, gdpData, populationData })
+  }, [spendingData, pricedSpendingData, filters.normalization, unifiedData, gdpData, populationData])
+
+  const legendUnit = useMemo(() => {
+    let unit = NORMALIZATION_MODES[filters.normalization]?.unit
+    if (mapData.currency === 'ppp') unit = unit.replace('USD', 'Int$ (PPP)')
+    return mapData.priceBasis ? `${unit} (${mapData.priceBasis} prices)` : unit
+  }, [filters.normalization, mapData.priceBasis, mapData.currency])
+
+  const colorExtent = useMemo(() => getDisplayExtent(mapData), [mapData])
+
+  const colorScale = useMemo(() => {
+    if (!colorExtent) return null
+    return MapColorService.createMapColorScale(mapData, 'category', {
+      minValue: colorExtent[0],
+      maxValue: colorExtent[1]
+    })
+  }, [mapData, colorExtent])
+
+  const handleNormalizationChange = (mode) => {
+    setFilters(prev => ({ ...prev, normalization: mode }))
+    filterStateManager.updateFilters({ normalization: mode }, true)
+  }
+
   const handleFilterChange = useCallback((newFilters) => {
     setFilters(prev => ({
       ...prev,
@@ -265,6 +423,16 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
         }
       }
 
+      // Apply income level filter (classification in the last year of the range)
+      if (!incomeClassificationService.matchesIncomeLevels(country.code, currentFilters.incomeLevels, currentFilters.yearRange?.[1])) {
+        return
+      }
+
+      // Apply country group filter
+      if (!countryGroupService.matchesGroup(country.code, currentFilters.countryGroup)) {
+        return
+      }
+
       // Apply value range filter
       if (country.spending) {
         const spendingValue = country.spending.average || 0
@@ -290,70 +458,6 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
     filterStateManager.setFilterCount(matchingCount)
   }
 
-  // Helper function to get country region
-  const getCountryRegion = (countryCode) => {
-    // This should match the region mapping used in the map service
-    const regionMap = {
-      // Africa
-      'DZA': 'Africa', 'AGO': 'Africa', 'BEN': 'Africa', 'BWA': 'Africa', 'BFA': 'Africa',
-      'BDI': 'Africa', 'CMR': 'Africa', 'CPV': 'Africa', 'CAF': 'Africa', 'TCD': 'Africa',
-      'COM': 'Africa', 'COG': 'Africa', 'COD': 'Africa', 'CIV': 'Africa', 'DJI': 'Africa',
-      'EGY': 'Africa', 'GNQ': 'Africa', 'ERI': 'Africa', 'ETH': 'Africa', 'GAB': 'Africa',
-      'GMB': 'Africa', 'GHA': 'Africa', 'GIN': 'Africa', 'GNB': 'Africa', 'KEN': 'Africa',
-      'LSO': 'Africa', 'LBR': 'Africa', 'LBY': 'Africa', 'MDG': 'Africa', 'MWI': 'Africa',
-      'MLI': 'Africa', 'MRT': 'Africa', 'MUS': 'Africa', 'MAR': 'Africa', 'MOZ': 'Africa',
-      'NAM': 'Africa', 'NER': 'Africa', 'NGA': 'Africa', 'RWA': 'Africa', 'STP': 'Africa',
-      'SEN': 'Africa', 'SYC': 'Africa', 'SLE': 'Africa', 'SOM': 'Africa', 'ZAF': 'Africa',
-      'SSD': 'Africa', 'SDN': 'Africa', 'SWZ': 'Africa', 'TZA': 'Africa', 'TGO': 'Africa',
-      'TUN': 'Africa', 'UGA': 'Africa', 'ZMB': 'Africa', 'ZWE': 'Africa',
-      
-      // Asia
-      'AFG': 'Asia', 'ARM': 'Asia', 'AZE': 'Asia', 'BHR': 'Asia', 'BGD': 'Asia',
-      'BTN': 'Asia', 'BRN': 'Asia', 'KHM': 'Asia', 'CHN': 'Asia', 'GEO': 'Asia',
-      'IND': 'Asia', 'IDN': 'Asia', 'IRN': 'Asia', 'IRQ': 'Asia', 'ISR': 'Asia',
-      'JPN': 'Asia', 'JOR': 'Asia', 'KAZ': 'Asia', 'KWT': 'Asia', 'KGZ': 'Asia',
-      'LAO': 'Asia', 'LBN': 'Asia', 'MYS': 'Asia', 'MDV': 'Asia', 'MNG': 'Asia',
-      'MMR': 'Asia', 'NPL': 'Asia', 'PRK': 'Asia', 'OMN': 'Asia', 'PAK': 'Asia',
-      'PSE': 'Asia', 'PHL': 'Asia', 'QAT': 'Asia', 'SAU': 'Asia', 'SGP': 'Asia',
-      'KOR': 'Asia', 'LKA': 'Asia', 'SYR': 'Asia', 'TWN': 'Asia', 'TJK': 'Asia',
-      'THA': 'Asia', 'TLS': 'Asia', 'TUR': 'Asia', 'TKM': 'Asia', 'ARE': 'Asia',
-      'UZB': 'Asia', 'VNM': 'Asia', 'YEM': 'Asia',
-      
-      // Europe
-      'ALB': 'Europe', 'AND': 'Europe', 'AUT': 'Europe', 'BLR': 'Europe', 'BEL': 'Europe',
-      'BIH': 'Europe', 'BGR': 'Europe', 'HRV': 'Europe', 'CYP': 'Europe', 'CZE': 'Europe',
-      'DNK': 'Europe', 'EST': 'Europe', 'FIN': 'Europe', 'FRA': 'Europe', 'DEU': 'Europe',
-      'GRC': 'Europe', 'HUN': 'Europe', 'ISL': 'Europe', 'IRL': 'Europe', 'ITA': 'Europe',
-      'XKX': 'Europe', 'LVA': 'Europe', 'LIE': 'Europe', 'LTU': 'Europe', 'LUX': 'Europe',
-      'MKD': 'Europe', 'MLT': 'Europe', 'MDA': 'Europe', 'MCO': 'Europe', 'MNE': 'Europe',
-      'NLD': 'Europe', 'NOR': 'Europe', 'POL': 'Europe', 'PRT': 'Europe', 'ROU': 'Europe',
-      'RUS': 'Europe', 'SMR': 'Europe', 'SRB': 'Europe', 'SVK': 'Europe', 'SVN': 'Europe',
-      'ESP': 'Europe', 'SWE': 'Europe', 'CHE': 'Europe', 'UKR': 'Europe', 'GBR': 'Europe',
-      'VAT': 'Europe',
-      
-      // North America
-      'ATG': 'North America', 'BHS': 'North America', 'BRB': 'North America', 'BLZ': 'North America',
-      'CAN': 'North America', 'CRI': 'North America', 'CUB': 'North America', 'DMA': 'North America',
-      'DOM': 'North America', 'SLV': 'North America', 'GRD': 'North America', 'GTM': 'North America',
-      'HTI': 'North America', 'HND': 'North America', 'JAM': 'North America', 'MEX': 'North America',
-      'NIC': 'North America', 'PAN': 'North America', 'KNA': 'North America', 'LCA': 'North America',
-      'VCT': 'North America', 'TTO': 'North America', 'USA': 'North America',
-      
-      // South America
-      'ARG': 'South America', 'BOL': 'South America', 'BRA': 'South America', 'CHL': 'South America',
-      'COL': 'South America', 'ECU': 'South America', 'GUY': 'South America', 'PRY': 'South America',
-      'PER': 'South America', 'SUR': 'South America', 'URY': 'South America', 'VEN': 'South America',
-      
-      // Oceania
-      'AUS': 'Oceania', 'FJI': 'Oceania', 'KIR': 'Oceania', 'MHL': 'Oceania',
-      'FSM': 'Oceania', 'NRU': 'Oceania', 'NZL': 'Oceania', 'PLW': 'Oceania',
-      'PNG': 'Oceania', 'WSM': 'Oceania', 'SLB': 'Oceania', 'TON': 'Oceania',
-      'TUV': 'Oceania', 'VUT': 'Oceania'
-    }
-    
-    return regionMap[countryCode] || 'Other'
-  }
-
   // Update matching countries count when filters or data change
   useEffect(() => {
     updateMatchingCountriesCount(filters)
@@ -366,6 +470,14 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
 
   const handleCountrySelect = useCallback((country) => {
     setSelectedCountry(country)
+
+    // Aggregates keep the year range; their panel shows coverage for each year
+    if (country?.isAggregate) {
+      filterStateManager.updateFilters({ countries: [country.code] }, true)
+      return
+    }
+
+    const countryCodes = country ? [getIso3(country.code) || getIso3(country.name)].filter(Boolean) : []
     
     // Auto-adjust year range to match country's available data for the current indicator
     if (country && unifiedData?.countries[country.name]) {
@@ -402,7 +514,9 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
           ...prev,
           yearRange: newYearRange
         }))
-        filterStateManager.updateFilters({ yearRange: newYearRange }, true)
+        filterStateManager.updateFilters({ yearRange: newYearRange, countries: countryCodes }, true)
+      } else {
+        filterStateManager.updateFilters({ countries: countryCodes }, true)
       }
     } else if (!country) {
       // Reset to default range when deselecting country
@@ -413,7 +527,9 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
         ...prev,
         yearRange: defaultRange
       }))
-      filterStateManager.updateFilters({ yearRange: defaultRange }, true)
+      filterStateManager.updateFilters({ yearRange: defaultRange, countries: [] }, true)
+    } else {
+      filterStateManager.updateFilters({ countries: countryCodes }, true)
     }
   }, [unifiedData, selectedIndicator])
 
@@ -601,27 +717,61 @@ const SpendingAnalysis = ({ onLoadingChange }) => {
 
         {/* Center - Map */}
         <div className="map-container">
+          {/* Normalize by selector */}
+          <div className="normalize-selector" role="group" aria-label="Normalize values by">
+            <span className="normalize-label">Normalize by:</span>
+            {Object.entries(NORMALIZATION_MODES).map(([mode, meta]) => {
+              const unavailable = requiresPopulation(mode) && populationUnavailable
+              return (
+                <button
+                  key={mode}
+                  className={`normalize-option ${filters.normalization === mode ? 'active' : ''}`}
+                  onClick={() => handleNormalizationChange(mode)}
+                  disabled={loading || unavailable}
+                  title={unavailable ? 'Population data (population.csv) is not available' : meta.description}
+                  aria-pressed={filters.normalization === mode}
+                >
+                  {meta.label}
+                </button>
+              )
+            })}
+          </div>
+
           <SpendingWorldMap
             worldData={worldData}
-            spendingData={spendingData}
+            spendingData={mapData}
             colorScale={colorScale}
             filters={filters}
             selectedCountry={selectedCountry}
             onCountrySelect={handleCountrySelect}
           />
+
+          <SpendingLegend
+            extent={colorExtent}
+            colorScale={colorScale}
+            spendingData={mapData}
+            unit={legendUnit}
+            formatValue={mapData.normalization === 'perCapita'
+              ? (value) => ValueFormatUtils.formatPerCapita(value)
+              : mapData.normalization
+                ? (value) => `${value.toFixed(value < 1 ? 2 : 1)}%`
+                : (value) => `$${formatSpendingValue(value)}`}
+          />
         </div>
 
         {/* Insights Panel - Right Side (Similar to GDP) */}
         <SpendingInsightsPanel
-          unifiedData={unifiedData}
+          unifiedData={pricedUnifiedData}
           selectedCategory={selectedCategory}
           selectedCountry={selectedCountry}
           yearRange={filters.yearRange}
           onCountrySelect={handleCountrySelect}
-          spendingData={spendingData}
+          spendingData={pricedSpendingData}
           filters={filters}
           onFilterChange={handleFilterChange}
           selectedIndicator={selectedIndicator}
+          normalizedData={mapData.normalization ? mapData : null}
+          populationData={filters.normalization === 'perCapita' ? populationData : null}
         />
 
       </div>
@@ -8,6 +8,10 @@ import { MapColorService } from '../../../shared/services/MapColorService.js'
 import { getCurrencyCode } from '../../../shared/utils/CurrencyMapping.js'
 import FilterStatusIndicator from '../../../shared/components/FilterStatusIndicator.jsx'
 import CountrySearch from '../../../shared/components/CountrySearch.jsx'
+import AggregateSelect from '../../../shared/components/AggregateSelect.jsx'
+import CountryGroupSelect from '../../../shared/components/CountryGroupSelect.jsx'
+import { aggregationService } from '../../../shared/services/AggregationService.js'
+import { INCOME_LEVELS, incomeClassificationService } from '../../../shared/services/IncomeClassificationService.js'
 import '../styles/SpendingFilters.css'
 
 const SpendingFilters = ({ 
@@ -117,6 +121,19 @@ const SpendingFilters = ({
     filterStateManager.updateFilters({ regions: newRegions })
   }
 
+  const handleIncomeLevelToggle = (level) => {
+    const currentLevels = filterStateManager.getFilters().incomeLevels || []
+    const newLevels = currentLevels.includes(level)
+      ? currentLevels.filter(l => l !== level)
+      : [...currentLevels, level]
+    
+    filterStateManager.updateFilters({ incomeLevels: newLevels })
+  }
+
+  const handleCountryGroupChange = (groupId) => {
+    filterStateManager.updateFilters({ countryGroup: groupId })
+  }
+
   const handleRegionKeyDown = (e, region) => {
     if (e.key === 'Enter' || e.key === ' ') {
       e.preventDefault()
@@ -140,6 +157,12 @@ const SpendingFilters = ({
     }
   }
 
+  const handleAggregateSelect = (code) => {
+    if (!onCountrySelect) return
+    const aggregate = aggregationService.getAggregate(code)
+    onCountrySelect(aggregate ? { name: aggregate.name, code: aggregate.code, isAggregate: true } : null)
+  }
+
   return (
     <div className="spending-filters">
       <div className="filters-header">
@@ -184,7 +207,17 @@ const SpendingFilters = ({
         </div>
       )}
 
-
+      {(!selectedCountry || selectedCountry.isAggregate) && (
+        <div className="filter-group aggregate-group">
+          <label className="filter-label" htmlFor="spending-aggregate">AGGREGATE:</label>
+          <AggregateSelect
+            id="spending-aggregate"
+            className="aggregate-select"
+            value={selectedCountry?.isAggregate ? selectedCountry.code : null}
+            onChange={handleAggregateSelect}
+          />
+        </div>
+      )}
 
       <div className="filter-group year-range-group">
         <label className="filter-label" id="year-range-label">YEAR RANGE:</label>
@@ -324,7 +357,39 @@ const SpendingFilters = ({
             </div>
           </div>
 
+          <div className="filter-group">
+            <label className="filter-label" id="income-filter-label">
+              Income Level
+              {filters.incomeLevels?.length > 0 && (
+                <span className="filter-count"> ({filters.incomeLevels.length} selected)</span>
+              )}
+            </label>
+            <div className="region-chips" role="group" aria-labelledby="income-filter-label">
+              {INCOME_LEVELS.map(level => {
+                const isSelected = (filters.incomeLevels || []).includes(level.id)
+                return (
+                  <button
+                    key={level.id}
+                    className={`filter-chip ${isSelected ? 'active' : ''}`}
+                    onClick={() => handleIncomeLevelToggle(level.id)}
+                    title={`${incomeClassificationService.getSourceNote()}, in ${filters.yearRange[1]}`}
+                    aria-pressed={isSelected}
+                  >
+                    {level.label}
+                  </button>
+                )
+              })}
+            </div>
+          </div>
 
+          <div className="filter-group">
+            <label className="filter-label" htmlFor="spending-country-group">Country Group</label>
+            <CountryGroupSelect
+              id="spending-country-group"
+              value={filters.countryGroup}
+              onChange={handleCountryGroupChange}
+            />
+          </div>
         </>
       )}
       </div>
@@ -5,17 +5,28 @@
  * - Tab 1: Global Insights (filters/stats)
  * - Tab 2: Country Insights (top/bottom 10, trends)
  * - Accordion for top/bottom performers
- * - Trend chart for selected country
- * - Currency indicators (local currency + USD equivalent)
+ * - Trend chart for selected country, optionally projected past the last year
+ * - Drill-down expense breakdown (sunburst) for the selected country and year
+ * - Currency indicators (local currency + USD at market rate or PPP international dollars)
+ * - Rankings follow the map normalization (raw, % of GDP, % of total expense, per capita)
+ * - Averages by World Bank income group, using each year's classification
  * 
  * Note: USD equivalent data from expense_clean_usd.csv can be loaded
  * by modifying UnifiedDataService to load both datasets simultaneously
  */
 
 import { useState, useMemo, useEffect } from 'react'
-import { CATEGORY_COLORS, INDICATOR_METADATA } from '../services/UnifiedDataService.js'
+import { CATEGORY_COLORS, INDICATOR_METADATA, getCategoryTotalCodes, getReconciliationIssues } from '../services/UnifiedDataService.js'
 import { formatWithBothCurrencies } from '../utils/currencyMapping.js'
 import { getCountryRegion } from '../../../shared/utils/RegionMapping.js'
+import { formatNormalizedValue, NORMALIZATION_MODES } from '../services/SpendingNormalizationService.js'
+import { createPopulationLookup } from '../../comparison/services/GdpExpenseDataService.js'
+import { INCOME_LEVELS, incomeClassificationService } from '../../../shared/services/IncomeClassificationService.js'
+import { countryGroupService } from '../../../shared/services/CountryGroupService.js'
+import { projectionService, DEFAULT_PROJECTION } from '../../../shared/services/ProjectionService.js'
+import ProjectionControls from '../../../shared/components/ProjectionControls.jsx'
+import ExpenseHierarchyModal from './ExpenseHierarchyModal.jsx'
+import SpendingAggregatePanel from './SpendingAggregatePanel.jsx'
 import '../styles/SpendingInsightsPanel.css'
 
 function SpendingInsightsPanel({ 
@@ -27,13 +38,17 @@ function SpendingInsightsPanel({
   spendingData,
   filters,
   onFilterChange,
-  selectedIndicator // Add selectedIndicator prop
+  selectedIndicator, // Add selectedIndicator prop
+  normalizedData = null, // Indicator as % of GDP / % of total expense / per capita (null = raw values)
+  populationData = null // Population points, adds per-person values to the indicator breakdown
 }) {
   const [activeTab, setActiveTab] = useState('global')
   const [showTopPerformers, setShowTopPerformers] = useState(true)
   const [showBottomPerformers, setShowBottomPerformers] = useState(false)
   const [sortOrder, setSortOrder] = useState('desc') // 'desc' or 'asc'
   const [trendTooltip, setTrendTooltip] = useState({ show: false, x: 0, y: 0, year: '', value: '' })
+  const [projectionSettings, setProjectionSettings] = useState(DEFAULT_PROJECTION)
+  const [showHierarchy, setShowHierarchy] = useState(false)
   
   // Auto-switch to country tab when country is selected, back to global when deselected
   useEffect(() => {
@@ -44,15 +59,23 @@ function SpendingInsightsPanel({
     }
   }, [selectedCountry])
   
-  // Calculate dynamic global stats based on current indicator, year range, and region filters
+  // Calculate dynamic global stats based on current indicator, year range, region, income and country group filters
   const dynamicGlobalStats = useMemo(() => {
     if (!spendingData || !spendingData.countries) return null
     
-    // Check if regions filter is active
+    // Check if regions or income level filters are active
     const hasRegionFilter = filters?.regions && filters.regions.length > 0
+    const incomeLevels = filters?.incomeLevels || []
+    const countryGroup = filters?.countryGroup ? countryGroupService.getGroup(filters.countryGroup) : null
     
-    // Filter countries by selected regions (or use all if no filter)
-    const filteredCountries = Object.entries(spendingData.countries).filter(([countryName]) => {
+    // Filter countries by selected regions, income levels and country group (or use all if no filter)
+    const filteredCountries = Object.entries(spendingData.countries).filter(([countryName, countryData]) => {
+      if (!incomeClassificationService.matchesIncomeLevels(countryData.code || countryName, incomeLevels, yearRange[1])) {
+        return false
+      }
+      if (!countryGroupService.matchesGroup(countryData.code || countryName, countryGroup?.id)) {
+        return false
+      }
       if (!hasRegionFilter) return true
       const countryRegion = getCountryRegion(countryName)
       // Case-insensitive comparison with trimmed values
@@ -64,6 +87,7 @@ function SpendingInsightsPanel({
     // Recalculate stats for filtered countries within year range
     // Use USD values for consistent comparison
     const allUSDValues = []
+    const incomePoints = []
     let totalDataPoints = 0
     
     filteredCountries.forEach(([countryName, countryData]) => {
@@ -83,6 +107,7 @@ function SpendingInsightsPanel({
             
             if (usdValue && usdValue > 0) {
               allUSDValues.push(usdValue)
+              incomePoints.push({ country: countryData.code || countryName, year: yearNum, value: usdValue })
               totalDataPoints++
             }
           }
@@ -98,15 +123,51 @@ function SpendingInsightsPanel({
       avgSpending: allUSDValues.reduce((sum, v) => sum + v, 0) / allUSDValues.length,
       minSpending: Math.min(...allUSDValues),
       maxSpending: Math.max(...allUSDValues),
-      isFiltered: hasRegionFilter,
-      filterRegions: hasRegionFilter ? filters.regions : []
+      isFiltered: hasRegionFilter || incomeLevels.length > 0 || !!countryGroup,
+      filterRegions: hasRegionFilter ? filters.regions : [],
+      filterGroup: countryGroup ? [countryGroup.name] : [],
+      filterIncomeLevels: INCOME_LEVELS.filter(level => incomeLevels.includes(level.id)).map(level => level.label),
+      byIncome: incomeClassificationService.aggregateByIncomeLevel(incomePoints)
     }
-  }, [spendingData, filters?.regions, yearRange])
+  }, [spendingData, filters?.regions, filters?.incomeLevels, filters?.countryGroup, yearRange])
   
   // Calculate top and bottom countries by selected indicator (filtered by region if selected)
   const { topCountries, bottomCountries } = useMemo(() => {
     if (!unifiedData || !selectedIndicator) return { topCountries: [], bottomCountries: [] }
     
+    // Normalized ranking: average ratio over the year range
+    if (normalizedData?.countries) {
+      const ranked = []
+      
+      Object.entries(normalizedData.countries).forEach(([countryName, countryData]) => {
+        if (filters?.regions && filters.regions.length > 0) {
+          if (!filters.regions.includes(getCountryRegion(countryName))) return
+        }
+        if (!incomeClassificationService.matchesIncomeLevels(countryData.code || countryName, filters?.incomeLevels, yearRange[1])) return
+        if (!countryGroupService.matchesGroup(countryData.code || countryName, filters?.countryGroup)) return
+        
+        const values = Object.entries(countryData.data)
+          .filter(([year]) => parseInt(year) >= yearRange[0] && parseInt(year) <= yearRange[1])
+          .map(([, value]) => value)
+        
+        if (values.length > 0) {
+          ranked.push({
+            name: countryName,
+            code: countryData.code,
+            averageRatio: values.reduce((sum, v) => sum + v, 0) / values.length,
+            dataPoints: values.length
+          })
+        }
+      })
+      
+      ranked.sort((a, b) => b.averageRatio - a.averageRatio)
+      
+      return {
+        topCountries: ranked.slice(0, 10),
+        bottomCountries: ranked.slice(-10).reverse()
+      }
+    }
+    
     const countryTotals = {}
     
     Object.entries(unifiedData.countries).forEach(([countryName, countryData]) => {
@@ -117,6 +178,12 @@ function SpendingInsightsPanel({
           return // Skip countries not in selected regions
         }
       }
+      if (!incomeClassificationService.matchesIncomeLevels(countryData.code || countryName, filters?.incomeLevels, yearRange[1])) {
+        return // Skip countries outside the selected income levels
+      }
+      if (!countryGroupService.matchesGroup(countryData.code || countryName, filters?.countryGroup)) {
+        return // Skip countries outside the selected country group
+      }
       let totalLocal = 0
       let totalUSD = 0
       let dataPoints = 0
@@ -170,7 +237,20 @@ function SpendingInsightsPanel({
       topCountries: sorted.slice(0, 10),
       bottomCountries: sorted.slice(-10).reverse()
     }
-  }, [unifiedData, selectedIndicator, yearRange, filters?.regions])
+  }, [unifiedData, selectedIndicator, yearRange, filters?.regions, filters?.incomeLevels, filters?.countryGroup, normalizedData])
+  
+  // Value used for ranking bars and labels (ratio when normalized, USD else local when raw)
+  const getRankValue = (country) => {
+    if (country.averageRatio !== undefined) return country.averageRatio
+    return country.averageUSD !== null ? country.averageUSD : country.averageLocal
+  }
+  
+  const formatRankValue = (country) => {
+    if (country.averageRatio !== undefined) {
+      return formatNormalizedValue(country.averageRatio, normalizedData?.normalization, normalizedData?.currency)
+    }
+    return formatValue(country.averageLocal, country.averageUSD, country.code, country.name)
+  }
   
   // Calculate detailed indicator breakdown for selected country (all 48 indicators)
   const selectedCountryIndicators = useMemo(() => {
@@ -180,6 +260,7 @@ function SpendingInsightsPanel({
     if (!countryData) return null
     
     const indicators = []
+    const populationFor = populationData ? createPopulationLookup(populationData) : null
     
     Object.entries(INDICATOR_METADATA).forEach(([code, meta]) => {
       // Skip the overview/total expense category (GE - General Expense)
@@ -189,8 +270,11 @@ function SpendingInsightsPanel({
       if (indicatorData) {
         let totalLocal = 0
         let totalUSD = 0
+        let totalPerCapita = 0
         let dataPoints = 0
         let usdDataPoints = 0
+        let perCapitaDataPoints = 0
+        let derivedDataPoints = 0
         
         Object.entries(indicatorData).forEach(([year, valueObj]) => {
           const yearNum = parseInt(year)
@@ -207,11 +291,21 @@ function SpendingInsightsPanel({
             if (usdValue && usdValue > 0) {
               totalUSD += usdValue
               usdDataPoints++
+              
+              const population = populationFor ? populationFor(selectedCountry.code || selectedCountry.name, yearNum) : null
+              if (population) {
+                totalPerCapita += usdValue / population
+                perCapitaDataPoints++
+              }
             }
           }
         })
         
         if (dataPoints > 0) {
+          // Reported totals whose components don't add up in the selected years
+          const reconciliationIssues = getReconciliationIssues({ country: selectedCountry.name, code })
+            .filter(issue => issue.year >= yearRange[0] && issue.year <= yearRange[1])
+
           indicators.push({
             code: code,
             name: meta.name,
@@ -221,7 +315,10 @@ function SpendingInsightsPanel({
             totalUSD: totalUSD,
             averageLocal: totalLocal / dataPoints,
             averageUSD: usdDataPoints > 0 ? totalUSD / usdDataPoints : null,
+            averagePerCapita: perCapitaDataPoints > 0 ? totalPerCapita / perCapitaDataPoints : null,
             dataPoints: dataPoints,
+            derivedDataPoints,
+            reconciliationIssues,
             color: CATEGORY_COLORS[meta.category]
           })
         }
@@ -234,11 +331,15 @@ function SpendingInsightsPanel({
       const bValue = b.averageUSD !== null ? b.averageUSD : b.averageLocal
       return sortOrder === 'desc' ? bValue - aValue : aValue - bValue
     })
-  }, [unifiedData, selectedCountry, yearRange, sortOrder])
+  }, [unifiedData, selectedCountry, yearRange, sortOrder, populationData])
   
+  // USD values arrive at market rate or, when converted, in PPP international dollars
+  const currency = unifiedData?.currency || 'market'
+  const usdLabel = currency === 'ppp' ? 'Int$ (PPP)' : 'USD'
+
   const formatValue = (localValue, usdValue, countryCode, countryName = null) => {
     // Use formatWithBothCurrencies from currencyMapping.js
-    return formatWithBothCurrencies(localValue, usdValue, countryCode, countryName)
+    return formatWithBothCurrencies(localValue, usdValue, countryCode, countryName, currency)
   }
   
   const getCategoryName = (category) => {
@@ -261,9 +362,8 @@ function SpendingInsightsPanel({
     const countryData = unifiedData.countries[selectedCountry.name]
     if (!countryData) return null
     
-    const categoryIndicators = Object.entries(INDICATOR_METADATA)
-      .filter(([code, meta]) => meta.category === selectedCategory)
-      .map(([code]) => code)
+    // Top-level codes only: components are already included in their parent
+    const categoryIndicators = getCategoryTotalCodes(selectedCategory)
     
     const yearlyData = {}
     
@@ -290,6 +390,24 @@ function SpendingInsightsPanel({
       .sort((a, b) => a.year - b.year)
   }, [unifiedData, selectedCountry, selectedCategory, yearRange])
   
+  const trendProjection = useMemo(() => {
+    if (!projectionSettings.enabled || !countryTrendData) return null
+    return projectionService.project(countryTrendData, projectionSettings)
+  }, [countryTrendData, projectionSettings])
+  
+  // Trend chart positions by year, stretched over the projected years
+  const trendScale = useMemo(() => {
+    if (!countryTrendData || countryTrendData.length === 0) return null
+    const projected = trendProjection?.points || []
+    const firstYear = countryTrendData[0].year
+    const lastYear = (projected[projected.length - 1] || countryTrendData[countryTrendData.length - 1]).year
+    const maxValue = Math.max(...countryTrendData.map(d => d.value), ...projected.map(d => d.upper))
+    return {
+      x: (year) => ((year - firstYear) / Math.max(lastYear - firstYear, 1)) * 280 + 20,
+      y: (value) => 130 - (value / maxValue) * 100
+    }
+  }, [countryTrendData, trendProjection])
+  
   if (!unifiedData) return null
   
   return (
@@ -342,7 +460,7 @@ function SpendingInsightsPanel({
                       {dynamicGlobalStats?.isFiltered && (
                         <div className="indicator-stat-row" style={{ marginBottom: '8px', padding: '6px', backgroundColor: '#f0f4ff', borderRadius: '4px', border: '1px solid #667eea' }}>
                           <span style={{ fontSize: '0.85em', color: '#667eea', fontWeight: '600' }}>
-                            📍 Filtered by: {dynamicGlobalStats.filterRegions.join(', ')}
+                            📍 Filtered by: {[...dynamicGlobalStats.filterRegions, ...dynamicGlobalStats.filterIncomeLevels, ...dynamicGlobalStats.filterGroup].join(', ')}
                           </span>
                         </div>
                       )}
@@ -358,14 +476,30 @@ function SpendingInsightsPanel({
                         <span>Average:</span>
                         <span>
                           {dynamicGlobalStats.avgSpending >= 1e12 
-                            ? `$${(dynamicGlobalStats.avgSpending / 1e12).toFixed(2)}T USD`
-                            : `$${(dynamicGlobalStats.avgSpending / 1e9).toFixed(2)}B USD`}
+                            ? `$${(dynamicGlobalStats.avgSpending / 1e12).toFixed(2)}T ${usdLabel}`
+                            : `$${(dynamicGlobalStats.avgSpending / 1e9).toFixed(2)}B ${usdLabel}`}
                         </span>
                       </div>
                       <div className="indicator-stat-row">
                         <span>Data Points:</span>
                         <span>{dynamicGlobalStats.totalDataPoints}</span>
                       </div>
+                      {dynamicGlobalStats.byIncome.length > 0 && (
+                        <div className="income-group-stats">
+                          <div className="income-group-title">Average by income group</div>
+                          {dynamicGlobalStats.byIncome.map(level => (
+                            <div key={level.id} className="indicator-stat-row">
+                              <span title={`${level.countries} countries, ${level.dataPoints} data points`}>{level.label}:</span>
+                              <span>
+                                {level.average >= 1e12
+                                  ? `$${(level.average / 1e12).toFixed(2)}T`
+                                  : `$${(level.average / 1e9).toFixed(2)}B`}
+                              </span>
+                            </div>
+                          ))}
+                          <div className="income-group-note">{incomeClassificationService.getSourceNote()}</div>
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -378,7 +512,7 @@ function SpendingInsightsPanel({
                 className={`accordion-header ${showTopPerformers ? 'active' : ''}`}
                 onClick={() => setShowTopPerformers(!showTopPerformers)}
               >
-                <span>🏆 Top 10 Countries</span>
+                <span>🏆 Top 10 Countries{normalizedData ? ` (${NORMALIZATION_MODES[normalizedData.normalization]?.label})` : ''}</span>
                 <span className="accordion-icon">{showTopPerformers ? '−' : '+'}</span>
               </button>
               
@@ -396,13 +530,13 @@ function SpendingInsightsPanel({
                           <div className="country-info">
                             <div className="country-name">{country.name}</div>
                             <div className="country-value">
-                              {formatValue(country.averageLocal, country.averageUSD, country.code, country.name)}
+                              {formatRankValue(country)}
                             </div>
                           </div>
                           <div 
                             className="country-bar"
                             style={{
-                              width: `${((country.averageUSD !== null ? country.averageUSD : country.averageLocal) / (topCountries[0].averageUSD !== null ? topCountries[0].averageUSD : topCountries[0].averageLocal)) * 100}%`,
+                              width: `${(getRankValue(country) / getRankValue(topCountries[0])) * 100}%`,
                               backgroundColor: CATEGORY_COLORS[selectedCategory]
                             }}
                           />
@@ -422,7 +556,7 @@ function SpendingInsightsPanel({
                 className={`accordion-header ${showBottomPerformers ? 'active' : ''}`}
                 onClick={() => setShowBottomPerformers(!showBottomPerformers)}
               >
-                <span>📉 Bottom 10 Countries</span>
+                <span>📉 Bottom 10 Countries{normalizedData ? ` (${NORMALIZATION_MODES[normalizedData.normalization]?.label})` : ''}</span>
                 <span className="accordion-icon">{showBottomPerformers ? '−' : '+'}</span>
               </button>
               
@@ -440,13 +574,13 @@ function SpendingInsightsPanel({
                           <div className="country-info">
                             <div className="country-name">{country.name}</div>
                             <div className="country-value">
-                              {formatValue(country.averageLocal, country.averageUSD, country.code, country.name)}
+                              {formatRankValue(country)}
                             </div>
                           </div>
                           <div 
                             className="country-bar"
                             style={{
-                              width: `${((country.averageUSD !== null ? country.averageUSD : country.averageLocal) / (bottomCountries[0].averageUSD !== null ? bottomCountries[0].averageUSD : bottomCountries[0].averageLocal)) * 100}%`,
+                              width: `${(getRankValue(country) / getRankValue(bottomCountries[0])) * 100}%`,
                               backgroundColor: '#9ca3af'
                             }}
                           />
@@ -478,6 +612,26 @@ function SpendingInsightsPanel({
               </button>
             </div>
             
+            {selectedCountry.isAggregate && (
+              <SpendingAggregatePanel
+                aggregateCode={selectedCountry.code}
+                spendingData={spendingData}
+                normalizedData={normalizedData}
+                selectedIndicator={selectedIndicator}
+                yearRange={yearRange}
+              />
+            )}
+            
+            {unifiedData?.countries[selectedCountry.name] && (
+              <button
+                className="open-hierarchy-btn"
+                onClick={() => setShowHierarchy(true)}
+                title="Drill into Total Expense by component for the selected year"
+              >
+                🌳 Expense breakdown ({yearRange[1]})
+              </button>
+            )}
+            
             {/* Country Data Availability Info */}
             {unifiedData?.countries[selectedCountry.name] && (() => {
               const countryData = unifiedData.countries[selectedCountry.name]
@@ -602,9 +756,32 @@ function SpendingInsightsPanel({
                         </div>
                         <div className="indicator-details">
                           <span className="indicator-code">{indicator.code}</span>
+                          {indicator.derivedDataPoints > 0 && (
+                            <span
+                              className="indicator-flag derived"
+                              title={`${indicator.derivedDataPoints} of ${indicator.dataPoints} years not reported; summed from components`}
+                            >
+                              Σ
+                            </span>
+                          )}
+                          {indicator.reconciliationIssues.length > 0 && (
+                            <span
+                              className="indicator-flag reconciliation"
+                              title={indicator.reconciliationIssues
+                                .map(issue => `${issue.year}: components ${issue.type === 'exceeds' ? 'exceed' : 'differ from'} the reported total by ${(issue.relativeDifference * 100).toFixed(1)}%`)
+                                .join('\n')}
+                            >
+                              ⚠️
+                            </span>
+                          )}
                           <span className="indicator-value">
                             {formatValue(indicator.averageLocal, indicator.averageUSD, selectedCountry.code, selectedCountry.name)}
                           </span>
+                          {indicator.averagePerCapita !== null && (
+                            <span className="indicator-value per-capita">
+                              {formatNormalizedValue(indicator.averagePerCapita, 'perCapita', currency)}
+                            </span>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -620,14 +797,61 @@ function SpendingInsightsPanel({
                 <div className="trend-chart">
                   <svg width="100%" height="150" viewBox="0 0 320 150" preserveAspectRatio="xMidYMid meet" style={{ background: 'white', display: 'block' }}>
                     {/* Simple line chart */}
+                    {/* Projection: band and dashed line from the last actual year */}
+                    {trendProjection && (() => {
+                      const points = [
+                        { year: trendProjection.lastYear, value: trendProjection.lastValue, lower: trendProjection.lastValue, upper: trendProjection.lastValue },
+                        ...trendProjection.points
+                      ]
+                      const upper = points.map(d => `${trendScale.x(d.year)},${trendScale.y(d.upper)}`)
+                      const lower = points.map(d => `${trendScale.x(d.year)},${trendScale.y(d.lower)}`).reverse()
+                      return (
+                        <g className="trend-projection">
+                          <polygon
+                            points={[...upper, ...lower].join(' ')}
+                            fill={CATEGORY_COLORS[selectedCategory]}
+                            opacity="0.15"
+                          />
+                          <polyline
+                            points={points.map(d => `${trendScale.x(d.year)},${trendScale.y(d.value)}`).join(' ')}
+                            fill="none"
+                            stroke={CATEGORY_COLORS[selectedCategory]}
+                            strokeWidth="2"
+                            strokeDasharray="5,4"
+                          />
+                          {trendProjection.points.map(d => (
+                            <circle
+                              key={d.year}
+                              cx={trendScale.x(d.year)}
+                              cy={trendScale.y(d.value)}
+                              r="4"
+                              fill="white"
+                              stroke={CATEGORY_COLORS[selectedCategory]}
+                              style={{ cursor: 'pointer' }}
+                              onMouseEnter={(e) => {
+                                const rect = e.currentTarget.ownerSVGElement.getBoundingClientRect()
+                                setTrendTooltip({
+                                  show: true,
+                                  x: rect.left + trendScale.x(d.year),
+                                  y: rect.top + trendScale.y(d.value) - 10,
+                                  year: `${d.year} (projected)`,
+                                  value: formatValue(d.value, null, selectedCountry.code, selectedCountry.name),
+                                  range: `${formatValue(d.lower, null, selectedCountry.code, selectedCountry.name)} – ${formatValue(d.upper, null, selectedCountry.code, selectedCountry.name)}`
+                                })
+                              }}
+                              onMouseLeave={() => setTrendTooltip({ show: false, x: 0, y: 0, year: '', value: '' })}
+                            />
+                          ))}
+                        </g>
+                      )
+                    })()}
                     {countryTrendData.map((d, i) => {
                       if (i === 0) return null
                       const prev = countryTrendData[i - 1]
-                      const maxValue = Math.max(...countryTrendData.map(d => d.value))
-                      const x1 = ((i - 1) / (countryTrendData.length - 1)) * 280 + 20
-                      const x2 = (i / (countryTrendData.length - 1)) * 280 + 20
-                      const y1 = 130 - (prev.value / maxValue) * 100
-                      const y2 = 130 - (d.value / maxValue) * 100
+                      const x1 = trendScale.x(prev.year)
+                      const x2 = trendScale.x(d.year)
+                      const y1 = trendScale.y(prev.value)
+                      const y2 = trendScale.y(d.value)
                       
                       return (
                         <g key={i}>
@@ -661,9 +885,8 @@ function SpendingInsightsPanel({
                       )
                     })}
                     {/* Year labels */}
-                    {countryTrendData.filter((d, i) => i % Math.ceil(countryTrendData.length / 5) === 0).map((d, i) => {
-                      const index = countryTrendData.indexOf(d)
-                      const x = (index / (countryTrendData.length - 1)) * 280 + 20
+                    {[...countryTrendData, ...(trendProjection?.points || [])].filter((d, i, all) => i % Math.ceil(all.length / 5) === 0).map(d => {
+                      const x = trendScale.x(d.year)
                       return (
                         <text
                           key={d.year}
@@ -679,12 +902,27 @@ function SpendingInsightsPanel({
                     })}
                   </svg>
                 </div>
+                <ProjectionControls
+                  settings={projectionSettings}
+                  onChange={setProjectionSettings}
+                  lastYear={countryTrendData[countryTrendData.length - 1].year}
+                  backtests={trendProjection ? [{ label: '', backtest: trendProjection.backtest }] : []}
+                />
               </div>
             )}
           </div>
         )}
       </div>
       
+      {showHierarchy && selectedCountry && unifiedData?.countries[selectedCountry.name] && (
+        <ExpenseHierarchyModal
+          unifiedData={unifiedData}
+          country={selectedCountry}
+          initialYear={yearRange[1]}
+          onClose={() => setShowHierarchy(false)}
+        />
+      )}
+      
       {/* Trend Chart Tooltip */}
       {trendTooltip.show && (
         <div
@@ -705,6 +943,9 @@ function SpendingInsightsPanel({
         >
           <div><strong>Year:</strong> {trendTooltip.year}</div>
           <div><strong>Value:</strong> {trendTooltip.value}</div>
+          {trendTooltip.range && (
+            <div><strong>{Math.round(projectionSettings.level * 100)}% interval:</strong> {trendTooltip.range}</div>
+          )}
         </div>
       )}
     </div>
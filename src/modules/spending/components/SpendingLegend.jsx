@@ -11,7 +11,8 @@ import '../styles/SpendingLegend.css'
  * - Supports both category-based and region-based color modes
  * - Dynamic updates when color mode or indicator changes
  * - Formatted labels using ColorSchemeService.formatCategoryLabel()
- * - Value formatting in millions using ValueFormatUtils
+ * - Value formatting in millions using ValueFormatUtils (or a custom formatter,
+ *   e.g. percentages when the map is normalized by GDP or total expense)
  * 
  * Requirements: 1.1, 1.2, 1.5
  */
@@ -22,7 +23,8 @@ const SpendingLegend = ({
   unit = "USD",
   colorMode = 'category',
   category = 'overview',
-  spendingData
+  spendingData,
+  formatValue = (value) => ValueFormatUtils.formatMillions(value)
 }) => {
   // Don't render if essential props are missing
   if (!colorScale) return null
@@ -76,7 +78,7 @@ const SpendingLegend = ({
     return {
       value: value,
       color: colorScale(value),
-      label: ValueFormatUtils.formatMillions(value)
+      label: formatValue(value)
     }
   })
 
@@ -1,4 +1,5 @@
 import { useEffect, useRef, useState, useMemo } from 'react'
+import * as d3 from 'd3'
 import { 
   initializeSpendingMap,
   handleZoomIn as mapZoomIn,
@@ -8,6 +9,9 @@ import {
 } from '../services/SpendingMapService.js'
 import { formatWithBothCurrencies } from '../utils/currencyMapping.js'
 import { formatSpendingValue } from '../utils/formatUtils.js'
+import { formatNormalizedValue, NORMALIZATION_MODES } from '../services/SpendingNormalizationService.js'
+import { useLinkedSelection } from '../../../shared/hooks/useLinkedSelection.js'
+import { resolveFeature } from '../../../shared/utils/CountryRegistry.js'
 import '../styles/SpendingWorldMap.css'
 
 const SpendingWorldMap = ({ 
@@ -22,16 +26,26 @@ const SpendingWorldMap = ({
   const svgRef = useRef()
   const gRef = useRef()
   const zoomRef = useRef()
+  const hoveredRef = useRef(null)
+  const { selected, highlighted, highlight, clearHighlight } = useLinkedSelection('spending-map')
 
   const [isInfoPanelExpanded, setIsInfoPanelExpanded] = useState(false)
   const [tooltip, setTooltip] = useState({ visible: false, data: null, x: 0, y: 0 })
 
   const handleCountryHover = (data) => {
     setTooltip({ visible: true, data, x: data.x, y: data.y })
+
+    // Light the country up in the linked charts (once per country, not on every mousemove)
+    if (hoveredRef.current !== data.name) {
+      hoveredRef.current = data.name
+      highlight([data.code || data.name])
+    }
   }
 
   const handleCountryHoverEnd = () => {
     setTooltip({ visible: false, data: null, x: 0, y: 0 })
+    hoveredRef.current = null
+    clearHighlight()
   }
 
   // Create a stable key for when map should re-render
@@ -39,10 +53,13 @@ const SpendingWorldMap = ({
     return JSON.stringify({
       indicator: spendingData?.indicator || spendingData?.name,
       category: spendingData?.category,
+      normalization: spendingData?.normalization,
       countriesCount: spendingData?.countries ? Object.keys(spendingData.countries).length : 0,
       hasGlobalStats: !!spendingData?.globalStats,
       yearRange: filters?.yearRange,
       regions: filters?.regions,
+      incomeLevels: filters?.incomeLevels,
+      countryGroup: filters?.countryGroup,
       sectors: filters?.sectors,
       valueRange: filters?.valueRange,
       visualizationMode: filters?.visualizationMode
@@ -51,10 +68,13 @@ const SpendingWorldMap = ({
     spendingData?.indicator,
     spendingData?.name,
     spendingData?.category,
+    spendingData?.normalization,
     spendingData?.countries,
     spendingData?.globalStats,
     filters?.yearRange,
     filters?.regions,
+    filters?.incomeLevels,
+    filters?.countryGroup,
     filters?.sectors,
     filters?.valueRange,
     filters?.visualizationMode
@@ -81,6 +101,19 @@ const SpendingWorldMap = ({
     }
   }, [mapKey, worldData, spendingData, colorScale, selectedCountry])
 
+  // Outline countries selected or hovered in the linked charts
+  useEffect(() => {
+    if (!svgRef.current) return
+
+    const selectedSet = new Set(selected)
+    const highlightedSet = new Set(highlighted)
+
+    d3.select(svgRef.current)
+      .selectAll('path.country')
+      .classed('linked-selected', d => selectedSet.has(resolveFeature(d)?.iso3))
+      .classed('linked-highlighted', d => highlightedSet.has(resolveFeature(d)?.iso3))
+  }, [selected, highlighted, mapKey, worldData, spendingData, colorScale, selectedCountry])
+
   useEffect(() => {
     if (selectedCountry && worldData && zoomRef.current) {
       zoomToCountry(svgRef, zoomRef, worldData, selectedCountry.name)
@@ -107,6 +140,13 @@ const SpendingWorldMap = ({
     return null
   }
 
+  // Normalized data holds percentages (% of GDP or % of total expense) instead of currency values
+  const normalization = spendingData.normalization
+  const currency = spendingData.currency || 'market' // USD values at market rate or PPP (Int$)
+  const formatStat = (value) => normalization
+    ? formatNormalizedValue(value, normalization, currency)
+    : formatSpendingValue(value)
+
   return (
     <div className={`spending-world-map ${className}`}>
       <div className="map-svg-container">
@@ -177,11 +217,16 @@ const SpendingWorldMap = ({
               <div className="info-section">
                 <h5>Statistics</h5>
                 <p className="info-item">
-                  <strong>Average:</strong> {formatSpendingValue(spendingData.globalStats.avgSpending)}
+                  <strong>Average:</strong> {formatStat(spendingData.globalStats.avgSpending)}
                 </p>
                 <p className="info-item">
-                  <strong>Range:</strong> {formatSpendingValue(spendingData.globalStats.minSpending)} - {formatSpendingValue(spendingData.globalStats.maxSpending)}
+                  <strong>Range:</strong> {formatStat(spendingData.globalStats.minSpending)} - {formatStat(spendingData.globalStats.maxSpending)}
                 </p>
+                {normalization && (
+                  <p className="info-item">
+                    <strong>Normalized by:</strong> {NORMALIZATION_MODES[normalization].label}
+                  </p>
+                )}
               </div>
             )}
 
@@ -222,12 +267,15 @@ const SpendingWorldMap = ({
                 <div className="tooltip-row highlight">
                   <span className="label">Avg Value:</span>
                   <span className="value">
-                    {tooltip.data.spending !== null 
+                    {tooltip.data.spending !== null && normalization
+                      ? formatNormalizedValue(tooltip.data.spending, normalization, currency)
+                      : tooltip.data.spending !== null 
                       ? formatWithBothCurrencies(
                           tooltip.data.spending, 
                           tooltip.data.spendingUSD, 
                           tooltip.data.code, 
-                          tooltip.data.name
+                          tooltip.data.name,
+                          currency
                         )
                       : 'N/A'}
                   </span>
@@ -235,7 +283,7 @@ const SpendingWorldMap = ({
                 {tooltip.data.spendingUSD !== null && tooltip.data.spendingUSD > 0 && (
                   <div className="tooltip-row note">
                     <span className="label" style={{ fontSize: '0.85em', color: '#666' }}>
-                      USD: {formatSpendingValue(tooltip.data.spendingUSD)}
+                      {currency === 'ppp' ? 'Int$ (PPP)' : 'USD (market rate)'}: {formatSpendingValue(tooltip.data.spendingUSD)}
                     </span>
                   </div>
                 )}
@@ -1,10 +1,10 @@
 import React, { useState, useEffect } from 'react'
-import * as d3 from 'd3'
 import { 
   loadCategorySpendingData,
   createCategoryColorFunction 
 } from '../services/SimpleSpendingService.js'
 import SpendingWorldMap from '../components/SpendingWorldMap.jsx'
+import { loadWorldTopology } from '../../../shared/services/GeographyService.js'
 
 /**
  * Example component demonstrating category-based map visualization
@@ -31,7 +31,7 @@ const CategoryMapExample = () => {
 
       // Load world map data and category spending data in parallel
       const [world, categorySpendingData] = await Promise.all([
-        d3.json('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json'),
+        loadWorldTopology(),
         loadCategorySpendingData(
           ['GE', 'GECE', 'GEG', 'GEI', 'GES', 'GEOM'], // Key indicators from different categories
           [2015, 2022] // Year range
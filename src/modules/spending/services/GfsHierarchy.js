@@ -0,0 +1,252 @@
+/**
+ * GFS Hierarchy
+ * Parent/child structure of the IMF Government Finance Statistics (GFSM 2014) expense
+ * indicators, with the aggregation and reconciliation rules built on it
+ *
+ * expense_clean.csv reports parent totals next to their components (e.g. "Compensation of
+ * employees" and "Compensation of Employees: Wages and salaries"), so every line maps to
+ * its own indicator code and totals are never built by mixing the two:
+ * - Aggregation: prefer the reported parent value, otherwise sum a complete set of children
+ * - Reconciliation: flag reported parents whose children do not add up to them
+ *
+ * A node lists one or more breakdowns; each breakdown is a complete partition of the
+ * parent (social benefits split by scheme and, separately, into cash and in kind).
+ */
+
+export const GFS_HIERARCHY = {
+  GE: { breakdowns: [['GECE', 'GEOM', 'GEKC', 'GEI', 'GEGS', 'GEG', 'GES', 'GEO']] },
+
+  // 21 Compensation of employees
+  GECE: { breakdowns: [['GECEW', 'GECES']] },
+  GECES: { breakdowns: [['GECESA', 'GECESI']] },
+
+  // 24 Interest
+  GEI: { breakdowns: [['GEI_NRES', 'GEI_NGG', 'GEI_GG']] },
+
+  // 25 Subsidies
+  GEGS: { breakdowns: [['GEGSPC', 'GEGSPE', 'GEGSO']] },
+
+  // 26 Grants
+  GEG: { breakdowns: [['GEG_FG', 'GEG_IO', 'GEG_GG']] },
+  GEG_FG: { breakdowns: [['GEGC_FG', 'GEGK_FG']] },
+  GEG_IO: { breakdowns: [['GEGC_IO', 'GEGK_IO']] },
+  GEG_GG: { breakdowns: [['GEGC_GG', 'GEGK_GG']] },
+
+  // 27 Social benefits
+  GES: { breakdowns: [['GESS', 'GESA', 'GESE'], ['GES_CA', 'GES_IK']] },
+
+  // 28 Other expense
+  GEO: { breakdowns: [['GEOOP', 'GEOO', 'GENI']] },
+  GEOOP: { breakdowns: [['GEOOPD', 'GEOOPW', 'GEOOPF', 'GEOOPR', 'GEOOPI']] },
+  GEOO: { breakdowns: [['GEOOC', 'GEOOK']] },
+  GENI: { breakdowns: [['GENIC', 'GENIK']] },
+  GENIC: { breakdowns: [['GENIP', 'GENIF', 'GENICC']] }
+}
+
+// Relative gap between a reported parent and its components that counts as a mismatch
+export const RECONCILIATION_TOLERANCE = 0.01
+
+const PARENT_BY_CODE = {}
+Object.entries(GFS_HIERARCHY).forEach(([parent, node]) => {
+  node.breakdowns.flat().forEach(child => {
+    PARENT_BY_CODE[child] = parent
+  })
+})
+
+/**
+ * Direct children of an indicator (all breakdowns)
+ * @param {string} code - Indicator code
+ * @returns {Array<string>} Child codes, empty for leaves
+ */
+export function getChildCodes(code) {
+  const node = GFS_HIERARCHY[code]
+  return node ? Array.from(new Set(node.breakdowns.flat())) : []
+}
+
+/**
+ * Parent of an indicator
+ * @param {string} code - Indicator code
+ * @returns {string|null} Parent code, null for GE and unknown codes
+ */
+export function getParentCode(code) {
+  return PARENT_BY_CODE[code] || null
+}
+
+/**
+ * Path from GE down to an indicator
+ * @param {string} code - Indicator code
+ * @returns {Array<string>} e.g. ['GE', 'GECE', 'GECES']
+ */
+export function getAncestry(code) {
+  const path = [code]
+  let parent = getParentCode(code)
+  while (parent) {
+    path.unshift(parent)
+    parent = getParentCode(parent)
+  }
+  return path
+}
+
+/**
+ * Parents ordered so every child comes before its parent
+ * @private
+ */
+function getBottomUpOrder() {
+  const order = []
+  const visit = (code) => {
+    getChildCodes(code).forEach(visit)
+    if (GFS_HIERARCHY[code] && !order.includes(code)) order.push(code)
+  }
+  Object.keys(GFS_HIERARCHY).forEach(visit)
+  return order
+}
+
+const BOTTOM_UP_ORDER = getBottomUpOrder()
+
+const valueOf = (entry, key) => (typeof entry === 'object' && entry !== null ? entry[key] : key === 'local' ? entry : null)
+
+/**
+ * Fill parents that are not reported with the sum of their children
+ * Reported parents are kept as they are. A parent is derived only when every child
+ * of one breakdown has a value (reported or derived); derived values are marked { derived: true }.
+ * @param {Object} countries - Unified data countries ({ [name]: { indicators: { [code]: { [year]: { local, usd } } } } })
+ * @returns {number} Number of derived country-year values
+ */
+export function aggregateHierarchy(countries) {
+  let derivedCount = 0
+
+  Object.values(countries).forEach(country => {
+    const years = new Set()
+    Object.values(country.indicators).forEach(yearValues => {
+      Object.keys(yearValues).forEach(year => years.add(year))
+    })
+
+    BOTTOM_UP_ORDER.forEach(code => {
+      const { breakdowns } = GFS_HIERARCHY[code]
+
+      years.forEach(year => {
+        if (country.indicators[code]?.[year]) return // Reported parent wins
+
+        // Partial sums would understate the total, so only complete breakdowns count
+        const present = breakdowns.find(codes => codes.every(child => country.indicators[child]?.[year]))
+        if (!present) return
+
+        const local = present.reduce((sum, child) => sum + valueOf(country.indicators[child][year], 'local'), 0)
+        const usdValues = present.map(child => valueOf(country.indicators[child][year], 'usd'))
+        const usd = usdValues.every(v => v !== null && v !== undefined && !isNaN(v))
+          ? usdValues.reduce((sum, v) => sum + v, 0)
+          : null
+
+        if (!country.indicators[code]) country.indicators[code] = {}
+        country.indicators[code][year] = { local, usd, derived: true }
+        derivedCount++
+      })
+    })
+  })
+
+  return derivedCount
+}
+
+/**
+ * Check reported parents against their children (local currency, so no FX effects)
+ * - mismatch: every child is present and their sum differs from the parent
+ * - exceeds: some children are missing but the present ones already exceed the parent
+ * @param {Object} countries - Unified data countries (after aggregateHierarchy)
+ * @param {number} tolerance - Allowed relative gap
+ * @returns {Array<Object>} Issues ({ country, code, year, type, reported, componentsSum, difference, relativeDifference, components, missing })
+ */
+export function reconcileHierarchy(countries, tolerance = RECONCILIATION_TOLERANCE) {
+  const issues = []
+
+  Object.entries(countries).forEach(([countryName, country]) => {
+    Object.entries(GFS_HIERARCHY).forEach(([code, { breakdowns }]) => {
+      Object.entries(country.indicators[code] || {}).forEach(([year, entry]) => {
+        if (entry?.derived) return
+
+        const reported = valueOf(entry, 'local')
+        if (!reported || isNaN(reported)) return
+
+        breakdowns.forEach(components => {
+          const present = components.filter(child => country.indicators[child]?.[year])
+          if (present.length === 0) return
+
+          const componentsSum = present.reduce((sum, child) => sum + valueOf(country.indicators[child][year], 'local'), 0)
+          const difference = componentsSum - reported
+          const relativeDifference = difference / Math.abs(reported)
+          const missing = components.filter(child => !present.includes(child))
+
+          const type = missing.length === 0
+            ? (Math.abs(relativeDifference) > tolerance ? 'mismatch' : null)
+            : (relativeDifference > tolerance ? 'exceeds' : null)
+          if (!type) return
+
+          issues.push({
+            country: countryName,
+            code,
+            year: parseInt(year),
+            type,
+            reported,
+            componentsSum,
+            difference,
+            relativeDifference,
+            components,
+            missing
+          })
+        })
+      })
+    })
+  })
+
+  return issues
+}
+
+/**
+ * Nested tree of one country-year for hierarchical charts (treemap, sunburst)
+ * Each node uses the breakdown with the most children reported. When the children
+ * add up to less than the parent, the gap becomes an "unallocated" child so leaf
+ * sizes always sum to the reported total.
+ * @param {Object} indicators - One country's indicators ({ [code]: { [year]: { local, usd } } })
+ * @param {number} year - Year to read
+ * @param {string} valueKey - 'usd' or 'local', the value used for sizes
+ * @param {string} code - Root indicator code
+ * @returns {Object|null} { code, value, local, usd, derived, children }, or null if there is no value
+ */
+export function buildHierarchyTree(indicators, year, valueKey = 'usd', code = 'GE') {
+  const entry = indicators[code]?.[year]
+  const reported = entry ? valueOf(entry, valueKey) : null
+
+  const breakdowns = GFS_HIERARCHY[code]?.breakdowns || []
+  const children = breakdowns
+    .map(codes => codes
+      .map(child => buildHierarchyTree(indicators, year, valueKey, child))
+      .filter(Boolean))
+    .reduce((best, built) => (built.length > best.length ? built : best), [])
+
+  const childrenSum = children.reduce((sum, child) => sum + child.value, 0)
+  const value = reported !== null && reported !== undefined && reported > 0 ? reported : childrenSum
+  if (!(value > 0)) return null
+
+  if (children.length > 0 && value - childrenSum > value * RECONCILIATION_TOLERANCE) {
+    children.push({ code: `${code}_UNALLOCATED`, parentCode: code, unallocated: true, value: value - childrenSum })
+  }
+
+  return {
+    code,
+    value,
+    local: entry ? valueOf(entry, 'local') : null,
+    usd: entry ? valueOf(entry, 'usd') : null,
+    derived: !entry || Boolean(entry.derived),
+    children: children.length > 0 ? children : undefined
+  }
+}
+
+export default {
+  GFS_HIERARCHY,
+  RECONCILIATION_TOLERANCE,
+  getChildCodes,
+  getParentCode,
+  getAncestry,
+  aggregateHierarchy,
+  reconcileHierarchy,
+  buildHierarchyTree
+}
@@ -1,6 +1,8 @@
 import * as d3 from 'd3'
+import { dataManifestService } from '../../../shared/services/DataManifestService.js'
 import { CATEGORY_COLORS } from './UnifiedDataService.js'
 import { MapColorService } from '../../../shared/services/MapColorService.js'
+import { findCountryRecord, getIso3 } from '../../../shared/utils/CountryRegistry.js'
 
 /**
  * Simple Spending Data Service
@@ -29,8 +31,7 @@ export async function loadSpendingData(indicatorCode = 'GE') {
     const dataFile = dataFileMap[indicatorCode] || 'total_government_expense_matrix.csv'
     
     // Load CSV data
-    const { getDataPath } = await import('../../../utils/pathUtils.js')
-    const csvData = await d3.csv(getDataPath(dataFile))
+    const csvData = await dataManifestService.csv(dataFile)
     console.log(`Loaded ${csvData.length} rows from ${dataFile}`)
     
     // Process data: each row is a country with years as columns
@@ -111,19 +112,8 @@ export async function loadSpendingData(indicatorCode = 'GE') {
 export function getCountrySpendingValue(spendingData, countryName, yearRange = [2015, 2022]) {
   if (!spendingData.countries || !countryName) return null
   
-  // Try to find country data with flexible matching
-  let countryData = spendingData.countries[countryName]
-  
-  // Try alternative names if direct match fails
-  if (!countryData) {
-    const alternativeNames = getAlternativeCountryNames(countryName)
-    for (const altName of alternativeNames) {
-      if (spendingData.countries[altName]) {
-        countryData = spendingData.countries[altName]
-        break
-      }
-    }
-  }
+  // Find country data by name, alias or code via the country registry
+  const countryData = findCountryRecord(countryName, spendingData.countries)
   
   if (!countryData || !countryData.data) return null
   
@@ -153,8 +143,7 @@ export async function loadSpendingDataWithSectorFilter(indicatorCode = 'GE', sel
     console.log(`Loading spending data for ${indicatorCode} with sector filter: ${selectedSector}...`)
     
     // Load CSV data
-    const { getDataPath } = await import('../../../utils/pathUtils.js')
-    const csvData = await d3.csv(getDataPath(`48-indicators/IMF_GFSE_${indicatorCode}_G14.csv`))
+    const csvData = await dataManifestService.csv(`48-indicators/IMF_GFSE_${indicatorCode}_G14.csv`)
     console.log(`Loaded ${csvData.length} rows from CSV`)
     
     // Process data: group by country and year, filter by sector if specified
@@ -250,42 +239,6 @@ export async function loadSpendingDataWithSectorFilter(indicatorCode = 'GE', sel
   }
 }
 
-/**
- * Get alternative country names for matching
- */
-function getAlternativeCountryNames(countryName) {
-  const alternatives = []
-  
-  // Common mappings
-  const mappings = {
-    'United States of America': ['United States', 'USA'],
-    'United States': ['United States of America', 'USA'],
-    'Russia': ['Russian Federation'],
-    'Russian Federation': ['Russia'],
-    'South Korea': ['Korea, Republic of'],
-    'Korea, Republic of': ['South Korea'],
-    'Iran': ['Iran, Islamic Republic of'],
-    'Venezuela': ['Venezuela, Bolivarian Republic of'],
-    'Bolivia': ['Bolivia, Plurinational State of'],
-    'Tanzania': ['Tanzania, United Republic of'],
-    'Czech Republic': ['Czechia'],
-    'Czechia': ['Czech Republic'],
-    'UAE': ['United Arab Emirates'],
-    'United Arab Emirates': ['UAE'],
-    'UK': ['United Kingdom'],
-    'United Kingdom': ['UK']
-  }
-  
-  if (mappings[countryName]) {
-    alternatives.push(...mappings[countryName])
-  }
-  
-  // Add the original name
-  alternatives.push(countryName)
-  
-  return alternatives
-}
-
 /**
  * Get indicator display name
  */
@@ -333,8 +286,7 @@ export async function loadCategorySpendingData(indicatorCodes = ['GE', 'GECE', '
     // Load data for each indicator
     const indicatorDataPromises = indicatorCodes.map(async (code) => {
       try {
-        const { getDataPath } = await import('../../../utils/pathUtils.js')
-        const csvData = await d3.csv(getDataPath(`48-indicators/IMF_GFSE_${code}_G14.csv`))
+        const csvData = await dataManifestService.csv(`48-indicators/IMF_GFSE_${code}_G14.csv`)
         return { code, csvData, metadata: INDICATOR_METADATA[code] }
       } catch (error) {
         console.warn(`Failed to load ${code}:`, error)
@@ -456,19 +408,8 @@ export async function loadCategorySpendingData(indicatorCodes = ['GE', 'GECE', '
 export function getCountrySpendingValueForCategory(categoryData, countryName, visualizationMode = 'dominant') {
   if (!categoryData.countries || !countryName) return null
   
-  // Try to find country data with flexible matching
-  let countryData = categoryData.countries[countryName]
-  
-  // Try alternative names if direct match fails
-  if (!countryData) {
-    const alternativeNames = getAlternativeCountryNames(countryName)
-    for (const altName of alternativeNames) {
-      if (categoryData.countries[altName]) {
-        countryData = categoryData.countries[altName]
-        break
-      }
-    }
-  }
+  // Find country data by name, alias or code via the country registry
+  const countryData = findCountryRecord(countryName, categoryData.countries)
   
   if (!countryData) return null
   
@@ -521,190 +462,11 @@ export function createCategoryColorFunction(categoryData) {
   // Use MapColorService for category visualization
   return MapColorService.createCategoryVisualizationScale(categoryData, 'dominant')
 }
-/*
-*
+/**
  * Generate country code from country name
  */
 function generateCountryCode(countryName) {
-  // Comprehensive ISO 3166-1 alpha-3 country code mapping
-  const codeMap = {
-    // Major economies
-    'United States': 'USA',
-    'United Kingdom': 'GBR', 
-    'Russian Federation': 'RUS',
-    'China': 'CHN',
-    'Japan': 'JPN',
-    'Germany': 'DEU',
-    'France': 'FRA',
-    'Italy': 'ITA',
-    'Canada': 'CAN',
-    'Australia': 'AUS',
-    'Brazil': 'BRA',
-    'India': 'IND',
-    'South Korea': 'KOR',
-    'Korea, Rep.': 'KOR',
-    'Spain': 'ESP',
-    'Mexico': 'MEX',
-    'Indonesia': 'IDN',
-    'Netherlands': 'NLD',
-    'Saudi Arabia': 'SAU',
-    'Turkey': 'TUR',
-    'Turkiye': 'TUR',
-    'Switzerland': 'CHE',
-    
-    // Europe
-    'Albania': 'ALB',
-    'Austria': 'AUT',
-    'Belgium': 'BEL',
-    'Bulgaria': 'BGR',
-    'Croatia': 'HRV',
-    'Cyprus': 'CYP',
-    'Czechia': 'CZE',
-    'Czech Republic': 'CZE',
-    'Denmark': 'DNK',
-    'Estonia': 'EST',
-    'Finland': 'FIN',
-    'Greece': 'GRC',
-    'Hungary': 'HUN',
-    'Iceland': 'ISL',
-    'Ireland': 'IRL',
-    'Latvia': 'LVA',
-    'Lithuania': 'LTU',
-    'Luxembourg': 'LUX',
-    'Malta': 'MLT',
-    'Norway': 'NOR',
-    'Poland': 'POL',
-    'Portugal': 'PRT',
-    'Romania': 'ROU',
-    'Serbia': 'SRB',
-    'Slovak Republic': 'SVK',
-    'Slovakia': 'SVK',
-    'Slovenia': 'SVN',
-    'Sweden': 'SWE',
-    'Ukraine': 'UKR',
-    
-    // Asia
-    'Afghanistan': 'AFG',
-    'Bangladesh': 'BGD',
-    'Cambodia': 'KHM',
-    'Hong Kong': 'HKG',
-    'Iran, Islamic Rep.': 'IRN',
-    'Iraq': 'IRQ',
-    'Israel': 'ISR',
-    'Jordan': 'JOR',
-    'Kazakhstan': 'KAZ',
-    'Kuwait': 'KWT',
-    'Kyrgyz Republic': 'KGZ',
-    'Lao PDR': 'LAO',
-    'Lebanon': 'LBN',
-    'Malaysia': 'MYS',
-    'Mongolia': 'MNG',
-    'Myanmar': 'MMR',
-    'Nepal': 'NPL',
-    'Oman': 'OMN',
-    'Pakistan': 'PAK',
-    'Philippines': 'PHL',
-    'Qatar': 'QAT',
-    'Singapore': 'SGP',
-    'Sri Lanka': 'LKA',
-    'Syrian Arab Republic': 'SYR',
-    'Taiwan': 'TWN',
-    'Thailand': 'THA',
-    'Timor-Leste': 'TLS',
-    'United Arab Emirates': 'ARE',
-    'Uzbekistan': 'UZB',
-    'Viet Nam': 'VNM',
-    'Vietnam': 'VNM',
-    'Yemen, Rep.': 'YEM',
-    
-    // Africa
-    'Algeria': 'DZA',
-    'Angola': 'AGO',
-    'Benin': 'BEN',
-    'Botswana': 'BWA',
-    'Burkina Faso': 'BFA',
-    'Burundi': 'BDI',
-    'Cameroon': 'CMR',
-    'Cabo Verde': 'CPV',
-    'Central African Republic': 'CAF',
-    'Chad': 'TCD',
-    'Congo, Rep.': 'COG',
-    'Congo, Dem. Rep.': 'COD',
-    'Cote d\'Ivoire': 'CIV',
-    'Egypt, Arab Rep.': 'EGY',
-    'Ethiopia': 'ETH',
-    'Gabon': 'GAB',
-    'Gambia, The': 'GMB',
-    'Ghana': 'GHA',
-    'Guinea': 'GIN',
-    'Kenya': 'KEN',
-    'Lesotho': 'LSO',
-    'Liberia': 'LBR',
-    'Libya': 'LBY',
-    'Madagascar': 'MDG',
-    'Malawi': 'MWI',
-    'Mali': 'MLI',
-    'Mauritania': 'MRT',
-    'Mauritius': 'MUS',
-    'Morocco': 'MAR',
-    'Mozambique': 'MOZ',
-    'Namibia': 'NAM',
-    'Niger': 'NER',
-    'Nigeria': 'NGA',
-    'Rwanda': 'RWA',
-    'Senegal': 'SEN',
-    'Seychelles': 'SYC',
-    'Sierra Leone': 'SLE',
-    'Somalia': 'SOM',
-    'South Africa': 'ZAF',
-    'South Sudan': 'SSD',
-    'Sudan': 'SDN',
-    'Eswatini': 'SWZ',
-    'Tanzania': 'TZA',
-    'Togo': 'TGO',
-    'Tunisia': 'TUN',
-    'Uganda': 'UGA',
-    'Zambia': 'ZMB',
-    'Zimbabwe': 'ZWE',
-    
-    // Americas
-    'Argentina': 'ARG',
-    'Bahamas, The': 'BHS',
-    'Barbados': 'BRB',
-    'Belize': 'BLZ',
-    'Bolivia': 'BOL',
-    'Chile': 'CHL',
-    'Colombia': 'COL',
-    'Costa Rica': 'CRI',
-    'Cuba': 'CUB',
-    'Dominican Republic': 'DOM',
-    'Ecuador': 'ECU',
-    'El Salvador': 'SLV',
-    'Guatemala': 'GTM',
-    'Guyana': 'GUY',
-    'Haiti': 'HTI',
-    'Honduras': 'HND',
-    'Jamaica': 'JAM',
-    'Nicaragua': 'NIC',
-    'Panama': 'PAN',
-    'Paraguay': 'PRY',
-    'Peru': 'PER',
-    'Suriname': 'SUR',
-    'Trinidad and Tobago': 'TTO',
-    'Uruguay': 'URY',
-    'Venezuela, RB': 'VEN',
-    
-    // Oceania
-    'Fiji': 'FJI',
-    'New Zealand': 'NZL',
-    'Papua New Guinea': 'PNG',
-    'Samoa': 'WSM',
-    'Solomon Islands': 'SLB',
-    'Tonga': 'TON',
-    'Vanuatu': 'VUT'
-  }
-  
-  return codeMap[countryName] || countryName.substring(0, 3).toUpperCase()
+  return getIso3(countryName) || countryName.substring(0, 3).toUpperCase()
 }
 
 /**
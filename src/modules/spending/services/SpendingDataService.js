@@ -1,4 +1,4 @@
-import * as d3 from 'd3'
+import { dataManifestService } from '../../../shared/services/DataManifestService.js'
 
 /**
  * Spending Data Service for 48 IMF Government Finance Statistics Indicators
@@ -392,8 +392,7 @@ export async function loadSpendingIndicator(indicatorCode) {
       throw new Error(`Indicator ${indicatorCode} not found`)
     }
 
-    const { getDataPath } = await import('../../../utils/pathUtils.js')
-    const data = await d3.csv(getDataPath(`48-indicators/${indicator.file}`))
+    const data = await dataManifestService.csv(`48-indicators/${indicator.file}`)
     
     // Process the data
     const processedData = {
@@ -1,8 +1,8 @@
 import * as d3 from 'd3'
-import * as topojson from 'topojson-client'
 import { getCountryCodeFromMapName } from '../utils/countryMapping.js'
 import { getCountryRegion } from '../../../shared/utils/RegionMapping.js'
 import { MapColorService } from '../../../shared/services/MapColorService.js'
+import { getCountryFeatures } from '../../../shared/services/GeographyService.js'
 
 export function initializeSpendingMap(svgRef, gRef, zoomRef, worldData, spendingData, colorScale, filters, callbacks) {
   if (!worldData || !spendingData?.countries) {
@@ -32,7 +32,7 @@ export function initializeSpendingMap(svgRef, gRef, zoomRef, worldData, spending
   svg.attr('width', width).attr('height', height)
 
   // Setup projection
-  const countries = topojson.feature(worldData, worldData.objects.countries)
+  const countries = getCountryFeatures(worldData)
   const projection = d3.geoNaturalEarth1()
     .fitSize([width - 40, height - 40], countries)
     .translate([width / 2, (height / 2) - 20])
@@ -438,7 +438,7 @@ export function zoomToCountry(svgRef, zoomRef, worldData, countryName) {
   const height = containerRect.height
 
   // Get the projection and path
-  const countries = topojson.feature(worldData, worldData.objects.countries)
+  const countries = getCountryFeatures(worldData)
   const projection = d3.geoNaturalEarth1()
     .fitSize([width - 40, height - 40], countries)
     .translate([width / 2, (height / 2) - 20])
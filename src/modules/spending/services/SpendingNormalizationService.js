@@ -0,0 +1,256 @@
+/**
+ * Spending Normalization Service
+ * Re-expresses an indicator as a share of GDP, of total government expense (GE) or per person
+ *
+ * Absolute values cannot be compared across economies of very different size
+ * (Luxembourg vs India); ratios can. The normalized indicator keeps the shape
+ * returned by getIndicatorData so the map, legend and insights panel can use it
+ * unchanged, with each year's value a plain number (percentage or USD per person).
+ *
+ * - % of GDP: USD value / GDP (gdp_vals.csv), joined on ISO3 via the country registry
+ * - % of total expense: local value / GE local value (same currency, no FX effects)
+ * - Per capita: USD value / population (population.csv), joined on ISO3 like GDP
+ *   (international dollars when the input was converted at PPP)
+ */
+
+import {
+  loadGDPAbsoluteData,
+  loadPopulationData,
+  createPopulationLookup,
+  calculateExpenseToGdpRatios
+} from '../../comparison/services/GdpExpenseDataService.js'
+import { getIso3, isAggregateCode } from '../../../shared/utils/CountryRegistry.js'
+import { ValueFormatUtils } from '../../../shared/utils/ValueFormatUtils.js'
+
+export const NORMALIZATION_MODES = {
+  raw: {
+    label: 'Raw value',
+    shortLabel: 'Raw',
+    unit: 'USD',
+    description: 'Reported spending (USD equivalent)'
+  },
+  gdp: {
+    label: '% of GDP',
+    shortLabel: '% GDP',
+    unit: '% of GDP',
+    description: 'Spending as a share of the economy'
+  },
+  totalExpense: {
+    label: '% of total expense',
+    shortLabel: '% GE',
+    unit: '% of total expense (GE)',
+    description: 'Share of total government expense'
+  },
+  perCapita: {
+    label: 'Per capita',
+    shortLabel: 'Per capita',
+    unit: 'USD per person',
+    description: 'Spending per resident (USD)'
+  }
+}
+
+export const DEFAULT_NORMALIZATION = 'raw'
+
+let gdpDataPromise = null
+
+/**
+ * Load GDP (millions USD) once for all normalizations
+ * @returns {Promise<Array>} GDP data points ({ countryName, countryCode, year, value })
+ */
+export function loadGdpForNormalization() {
+  if (!gdpDataPromise) {
+    gdpDataPromise = loadGDPAbsoluteData().catch(error => {
+      gdpDataPromise = null // Allow a retry
+      throw error
+    })
+  }
+  return gdpDataPromise
+}
+
+/**
+ * Load population (persons) for per capita values; cached by GdpExpenseDataService
+ * @returns {Promise<Array>} Population data points ({ countryName, countryCode, year, value })
+ */
+export function loadPopulationForNormalization() {
+  return loadPopulationData()
+}
+
+/**
+ * Check whether a normalization mode needs GDP data
+ * @param {string} mode - Normalization mode
+ * @returns {boolean} True for '% of GDP'
+ */
+export function requiresGdp(mode) {
+  return mode === 'gdp'
+}
+
+/**
+ * Check whether a normalization mode needs population data
+ * @param {string} mode - Normalization mode
+ * @returns {boolean} True for per capita
+ */
+export function requiresPopulation(mode) {
+  return mode === 'perCapita'
+}
+
+/**
+ * Normalize indicator data returned by getIndicatorData
+ * @param {Object} indicatorData - Indicator data ({ countries: { [name]: { data: { [year]: { local, usd } } } } })
+ * @param {string} mode - 'raw', 'gdp', 'totalExpense' or 'perCapita'
+ * @param {Object} sources - { unifiedData, gdpData, populationData }
+ * @returns {Object} Indicator data with normalized values, or the input for 'raw'
+ */
+export function normalizeIndicatorData(indicatorData, mode, { unifiedData, gdpData, populationData } = {}) {
+  if (!indicatorData?.countries || !mode || mode === 'raw' || !NORMALIZATION_MODES[mode]) {
+    return indicatorData
+  }
+
+  const ratioFor = mode === 'gdp'
+    ? createGdpRatioLookup(indicatorData, gdpData)
+    : mode === 'perCapita'
+      ? createPerCapitaLookup(populationData)
+      : createTotalExpenseRatioLookup(unifiedData)
+
+  const countries = {}
+  Object.entries(indicatorData.countries).forEach(([countryName, country]) => {
+    const data = {}
+    Object.entries(country.data || {}).forEach(([year, value]) => {
+      const ratio = ratioFor(countryName, country, parseInt(year), value)
+      if (ratio !== null && isFinite(ratio)) {
+        data[year] = ratio
+      }
+    })
+
+    if (Object.keys(data).length > 0) {
+      countries[countryName] = { ...country, data }
+    }
+  })
+
+  const allValues = Object.values(countries).flatMap(country => Object.values(country.data))
+
+  return {
+    ...indicatorData,
+    countries,
+    normalization: mode,
+    valueUnit: mode === 'perCapita' ? 'USD' : '%',
+    unit: NORMALIZATION_MODES[mode].unit,
+    globalStats: allValues.length > 0 ? {
+      minSpending: Math.min(...allValues),
+      maxSpending: Math.max(...allValues),
+      avgSpending: allValues.reduce((a, b) => a + b, 0) / allValues.length,
+      totalCountries: Object.keys(countries).length,
+      totalDataPoints: allValues.length
+    } : null
+  }
+}
+
+/**
+ * Build a ratio lookup against GDP
+ * Both sides are keyed by ISO3 so IMF and World Bank name spellings join
+ * @private
+ */
+function createGdpRatioLookup(indicatorData, gdpData = []) {
+  // GDP is loaded in millions USD; expense_clean_usd.csv values are actual USD
+  const gdpPoints = (gdpData || [])
+    .filter(d => !isAggregateCode(d.countryCode))
+    .map(d => ({ countryName: getIso3(d.countryCode) || d.countryCode, year: d.year, value: d.value }))
+
+  const expensePoints = []
+  Object.entries(indicatorData.countries).forEach(([countryName, country]) => {
+    const iso3 = getIso3(country.code) || getIso3(countryName)
+    if (!iso3) return
+
+    Object.entries(country.data || {}).forEach(([year, value]) => {
+      const usd = typeof value === 'object' && value !== null ? value.usd : null
+      if (usd !== null && !isNaN(usd)) {
+        expensePoints.push({ countryName: iso3, year: parseInt(year), value: usd / 1_000_000 })
+      }
+    })
+  })
+
+  const ratios = calculateExpenseToGdpRatios(gdpPoints, expensePoints)
+
+  return (countryName, country, year) => {
+    const iso3 = getIso3(country.code) || getIso3(countryName)
+    return iso3 ? ratios.get(`${iso3}-${year}`) ?? null : null
+  }
+}
+
+/**
+ * Build a ratio lookup against total government expense (GE)
+ * @private
+ */
+function createTotalExpenseRatioLookup(unifiedData) {
+  return (countryName, country, year, value) => {
+    const totalValue = unifiedData?.countries[countryName]?.indicators?.GE?.[year]
+    const total = typeof totalValue === 'object' && totalValue !== null ? totalValue.local : totalValue
+    const local = typeof value === 'object' && value !== null ? value.local : value
+
+    if (!total || total <= 0 || local === null || isNaN(local)) return null
+    return (local / total) * 100
+  }
+}
+
+/**
+ * Build a per-person lookup against population
+ * @private
+ */
+function createPerCapitaLookup(populationData) {
+  const populationFor = createPopulationLookup(populationData || [])
+
+  return (countryName, country, year, value) => {
+    const usd = typeof value === 'object' && value !== null ? value.usd : null
+    const population = populationFor(country.code || countryName, year) ?? populationFor(countryName, year)
+
+    if (!population || usd === null || isNaN(usd)) return null
+    return usd / population
+  }
+}
+
+/**
+ * Value range used for the map color scale and legend
+ * Raw data is colored by USD equivalent (local when USD is missing), normalized data by its normalized value
+ * @param {Object} indicatorData - Raw or normalized indicator data
+ * @returns {Array<number>|null} [min, max] or null if there are no values
+ */
+export function getDisplayExtent(indicatorData) {
+  if (!indicatorData?.countries) return null
+
+  if (indicatorData.normalization) {
+    const stats = indicatorData.globalStats
+    return stats ? [stats.minSpending, stats.maxSpending] : null
+  }
+
+  const values = []
+  Object.values(indicatorData.countries).forEach(country => {
+    Object.values(country.data || {}).forEach(value => {
+      const displayValue = typeof value === 'object' && value !== null
+        ? (value.usd ?? value.local)
+        : value
+      if (displayValue !== null && !isNaN(displayValue) && displayValue > 0) {
+        values.push(displayValue)
+      }
+    })
+  })
+
+  return values.length > 0 ? [Math.min(...values), Math.max(...values)] : null
+}
+
+/**
+ * Format a normalized value for display
+ * @param {number} value - Percentage, or USD per person for per capita
+ * @param {string} mode - Normalization mode
+ * @param {string} currency - 'market' or 'ppp', labels per capita values in international dollars
+ * @returns {string} Formatted value, e.g. "12.4% of GDP" or "$1,234 per person"
+ */
+export function formatNormalizedValue(value, mode, currency = 'market') {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A'
+
+  if (mode === 'perCapita') {
+    return `${ValueFormatUtils.formatPerCapita(value)} per person${currency === 'ppp' ? ' (Int$, PPP)' : ''}`
+  }
+
+  const digits = Math.abs(value) < 1 ? 2 : 1
+  const suffix = mode === 'gdp' ? ' of GDP' : mode === 'totalExpense' ? ' of GE' : ''
+  return `${value.toFixed(digits)}%${suffix}`
+}
@@ -1,19 +1,34 @@
 import * as d3 from 'd3'
+import { getIso3 } from '../../../shared/utils/CountryRegistry.js'
+import { priceBasisService } from '../../../shared/services/PriceBasisService.js'
+import { currencyConversionService } from '../../../shared/services/CurrencyConversionService.js'
+import { aggregateHierarchy, reconcileHierarchy, getParentCode } from './GfsHierarchy.js'
+import { dataManifestService } from '../../../shared/services/DataManifestService.js'
+import { expenseDatasetService } from '../../../shared/services/ExpenseDatasetService.js'
 
 /**
  * Unified Data Service for Government Spending Analysis
- * Pre-processes all 30 indicators into a single, optimized data structure
+ * Pre-processes all 48 indicators into a single, optimized data structure
+ *
+ * With the compact indicator files from npm run data:build (indicators/index.json), only
+ * the indicators asked for are fetched (loadIndicators) and preloadUnifiedData warms the
+ * rest in the background; without them, the expense files are loaded as a whole.
  */
 
-// All 30 indicators with their metadata (7 categories)
+// All 48 indicators with their metadata (7 categories)
 // Note: All values are in domestic currency (actual values from IMF data)
-// All 30 indicators now have data from the updated expense_clean.csv
+// Each expense category in expense_clean.csv has its own code; parents and their
+// components are related through GFS_HIERARCHY (GfsHierarchy.js)
 export const INDICATOR_METADATA = {
   // Overview
   'GE': { name: 'Total Government Expense', category: 'overview', icon: '💰' },
   
   // Personnel
   'GECE': { name: 'Compensation of Employees', category: 'personnel', icon: '👥' },
+  'GECEW': { name: 'Wages and Salaries', category: 'personnel', icon: '👥💵' },
+  'GECES': { name: 'Employers\' Social Contributions', category: 'personnel', icon: '👥🛡️' },
+  'GECESA': { name: 'Actual Employers\' Social Contributions', category: 'personnel', icon: '👥🧾' },
+  'GECESI': { name: 'Imputed Employers\' Social Contributions', category: 'personnel', icon: '👥📐' },
   
   // Transfers & Grants
   'GEG': { name: 'Total Grants', category: 'transfers', icon: '🎁' },
@@ -27,6 +42,9 @@ export const INDICATOR_METADATA = {
   'GEGK_GG': { name: 'Capital General Government Grants', category: 'transfers', icon: '🏢🏗️' },
   'GEGK_IO': { name: 'Capital International Grants', category: 'transfers', icon: '🌍🏗️' },
   'GEGS': { name: 'Subsidies', category: 'transfers', icon: '💰🏭' },
+  'GEGSPC': { name: 'Subsidies to Public Corporations', category: 'transfers', icon: '💰🏢' },
+  'GEGSPE': { name: 'Subsidies to Private Enterprises', category: 'transfers', icon: '💰🏪' },
+  'GEGSO': { name: 'Subsidies to Other Sectors', category: 'transfers', icon: '💰❓' },
   
   // Debt & Interest
   'GEI': { name: 'Total Interest', category: 'debt', icon: '📈' },
@@ -38,10 +56,21 @@ export const INDICATOR_METADATA = {
   // Operations & Other
   'GEO': { name: 'Total Other Expenses', category: 'other', icon: '📋' },
   'GEOM': { name: 'Use of Goods and Services', category: 'operations', icon: '🛒' },
-  'GEOO': { name: 'Other Miscellaneous Expenses', category: 'other', icon: '📋❓' },
-  'GEOOC': { name: 'Other Current Expenses', category: 'other', icon: '📋💸' },
+  'GEOO': { name: 'Other Transfers', category: 'other', icon: '📋🔁' },
+  'GEOOC': { name: 'Other Current Transfers', category: 'other', icon: '📋💸' },
+  'GEOOK': { name: 'Other Capital Transfers', category: 'other', icon: '📋🏗️' },
   'GEOOP': { name: 'Other Property Expenses', category: 'other', icon: '🏠💸' },
+  'GEOOPD': { name: 'Dividend Expense', category: 'other', icon: '🏠📤' },
+  'GEOOPW': { name: 'Withdrawals from Quasi-Corporations', category: 'other', icon: '🏠🏦' },
   'GEOOPF': { name: 'Other Property Financial Expenses', category: 'other', icon: '🏠💳' },
+  'GEOOPR': { name: 'Rent Expense', category: 'other', icon: '🏠🔑' },
+  'GEOOPI': { name: 'Reinvested Earnings on FDI', category: 'other', icon: '🏠🌍' },
+  'GENI': { name: 'Insurance & Guarantee Premiums, Fees and Claims', category: 'other', icon: '🛡️📋' },
+  'GENIC': { name: 'Insurance & Guarantee Premiums, Fees and Current Claims', category: 'other', icon: '🛡️💸' },
+  'GENIP': { name: 'Insurance & Guarantee Premiums', category: 'other', icon: '🛡️🧾' },
+  'GENIF': { name: 'Insurance & Guarantee Fees', category: 'other', icon: '🛡️💳' },
+  'GENICC': { name: 'Insurance & Guarantee Current Claims', category: 'other', icon: '🛡️📄' },
+  'GENIK': { name: 'Insurance & Guarantee Capital Claims', category: 'other', icon: '🛡️🏗️' },
   
   // Social Benefits
   'GES': { name: 'Total Social Benefits', category: 'social', icon: '🤝' },
@@ -67,14 +96,27 @@ export const CATEGORY_COLORS = {
 // Category descriptions with indicator counts
 export const CATEGORY_DESCRIPTIONS = {
   overview: 'Total Government Expense (1 indicator)',
-  personnel: 'Compensation of Employees (1 indicator)',
-  transfers: 'Grants & Subsidies (13 indicators)',
+  personnel: 'Compensation of Employees (5 indicators)',
+  transfers: 'Grants & Subsidies (14 indicators)',
   debt: 'Interest & Capital (5 indicators)',
   operations: 'Goods & Services (1 indicator)',
-  other: 'Other Expenses & Property (5 indicators)',
+  other: 'Other Expenses, Property & Insurance (16 indicators)',
   social: 'Social Benefits (6 indicators)'
 }
 
+/**
+ * Indicators that together make up a category total without double counting:
+ * the category's codes whose parent in GFS_HIERARCHY belongs to another category
+ * @param {string} category - Category key (e.g. 'transfers')
+ * @returns {Array<string>} Indicator codes, e.g. ['GEG', 'GEGS']
+ */
+export function getCategoryTotalCodes(category) {
+  return Object.entries(INDICATOR_METADATA)
+    .filter(([code, meta]) => meta.category === category &&
+      INDICATOR_METADATA[getParentCode(code)]?.category !== category)
+    .map(([code]) => code)
+}
+
 /**
  * Unified data structure for all indicators
  * Structure: {
@@ -86,7 +128,8 @@ export const CATEGORY_DESCRIPTIONS = {
  *         [indicatorCode]: {
  *           [year]: {
  *             local: value,
- *             usd: value
+ *             usd: value,
+ *             derived: true   // only when summed from components (not reported)
  *           }
  *         }
  *       }
@@ -101,14 +144,27 @@ export const CATEGORY_DESCRIPTIONS = {
  *     }
  *   },
  *   years: [...],
+ *   reconciliation: [...],   // reported parents whose components don't add up
+ *   complete: boolean,       // false while compact indicator files are still loading
  *   lastUpdated: timestamp
  * }
  */
 let unifiedData = null
 let loadingPromise = null
+let warmingPromise = null
+const unifiedDataListeners = []
+
+// Compact indicator files: undefined until checked, null when not built
+const COMPACT_INDEX_FILE = 'indicators/index.json'
+const COMPACT_RECONCILIATION_FILE = 'indicators/reconciliation.json'
+let compactIndex
+let compactIndexPromise = null
+const indicatorRequests = new Map()
 let loadingStatus = {
   isLoading: false,
   progress: 0,
+  phase: null, // 'cache', 'download', 'parse', 'index', 'store' or 'done' while the expense files load
+  message: null,
   loadedIndicators: 0,
   totalIndicators: 48,
   errors: []
@@ -127,17 +183,59 @@ export function getLoadingStatus() {
  * @returns {boolean} True if unified data is cached
  */
 export function isDataLoaded() {
-  return unifiedData !== null
+  return unifiedData !== null && unifiedData.complete
+}
+
+/**
+ * Subscribe to unified data changes (each batch of indicators merged in)
+ * @param {Function} listener - Called with the unified data
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToUnifiedData(listener) {
+  unifiedDataListeners.push(listener)
+  return () => {
+    const index = unifiedDataListeners.indexOf(listener)
+    if (index !== -1) unifiedDataListeners.splice(index, 1)
+  }
+}
+
+/**
+ * Notify subscribers of new unified data
+ * @private
+ */
+function notifyUnifiedDataListeners() {
+  unifiedDataListeners.forEach(listener => {
+    try {
+      listener(unifiedData)
+    } catch (error) {
+      console.error('Error in unified data listener:', error)
+    }
+  })
 }
 
 /**
  * Preload unified data in the background
- * Can be called on app startup to load data before it's needed
+ * Can be called on app startup, or once the first indicator is shown, to load the
+ * remaining indicators before they are needed. Compact files are fetched one
+ * category at a time so an indicator the user asks for is not queued behind all of them.
  * @returns {Promise} Promise that resolves when data is loaded
  */
 export function preloadUnifiedData() {
-  console.log('🚀 Preloading all 48 indicators in background...')
-  return loadUnifiedData()
+  if (!warmingPromise) {
+    console.log('🚀 Preloading all 48 indicators in background...')
+    warmingPromise = (async () => {
+      const index = await loadCompactIndex()
+      if (!index) return loadUnifiedData()
+
+      for (const category of Object.keys(CATEGORY_COLORS)) {
+        await loadIndicators(Object.keys(index.indicators).filter(code => INDICATOR_METADATA[code]?.category === category))
+      }
+      return unifiedData
+    })().finally(() => {
+      warmingPromise = null
+    })
+  }
+  return warmingPromise
 }
 
 /**
@@ -147,7 +245,7 @@ export function preloadUnifiedData() {
  */
 export async function loadUnifiedData() {
   // Return cached data if available
-  if (unifiedData && unifiedData.hasBothCurrencies) {
+  if (unifiedData && unifiedData.hasBothCurrencies && unifiedData.complete) {
     console.log(`✅ Using cached unified data with both currencies`)
     return unifiedData
   }
@@ -164,29 +262,187 @@ export async function loadUnifiedData() {
   loadingStatus.errors = []
 
   loadingPromise = processAllIndicators()
-  unifiedData = await loadingPromise
-  loadingPromise = null
+  try {
+    unifiedData = await loadingPromise
+  } finally {
+    loadingPromise = null
+    loadingStatus.isLoading = false
+  }
   
-  loadingStatus.isLoading = false
   loadingStatus.progress = 100
+  notifyUnifiedDataListeners()
   
   return unifiedData
 }
 
+/**
+ * Load the compact indicator index (and the reconciliation issues that go with it) once
+ * @returns {Promise<Object|null>} index.json, null when the compact files were not built
+ * @private
+ */
+function loadCompactIndex() {
+  if (compactIndex !== undefined) return Promise.resolve(compactIndex)
+
+  if (!compactIndexPromise) {
+    compactIndexPromise = (async () => {
+      if (!(await dataManifestService.has(COMPACT_INDEX_FILE))) {
+        console.warn(`⚠️ ${COMPACT_INDEX_FILE} not built, loading the expense files as a whole`)
+        return null
+      }
+
+      const [index, reconciliation] = await Promise.all([
+        dataManifestService.json(COMPACT_INDEX_FILE),
+        dataManifestService.json(COMPACT_RECONCILIATION_FILE)
+      ])
+      if (!unifiedData) {
+        unifiedData = {
+          countries: {},
+          indicators: {},
+          years: [],
+          categories: Object.keys(CATEGORY_COLORS),
+          reconciliation,
+          hasBothCurrencies: true,
+          complete: Object.keys(index.indicators).length === 0,
+          lastUpdated: new Date().toISOString()
+        }
+      }
+      loadingStatus.totalIndicators = Object.keys(index.indicators).length
+      console.log(`🗂️ Compact indicator index: ${loadingStatus.totalIndicators} indicators, ${index.countries.length} countries`)
+      return index
+    })()
+      .then(index => {
+        compactIndex = index
+        return index
+      })
+      .finally(() => {
+        compactIndexPromise = null
+      })
+  }
+
+  return compactIndexPromise
+}
+
+/**
+ * Fetch one compact indicator file, sharing the request between concurrent callers
+ * @private
+ */
+function fetchCompactIndicator(code) {
+  if (!indicatorRequests.has(code)) {
+    const request = dataManifestService.json(compactIndex.indicators[code].file)
+      .finally(() => indicatorRequests.delete(code))
+    indicatorRequests.set(code, request)
+  }
+  return indicatorRequests.get(code)
+}
+
+/**
+ * Copy of the unified data with one compact indicator file merged in
+ * @private
+ */
+function mergeCompactIndicator(data, payload) {
+  const { code } = payload
+  const firstYear = compactIndex.years[0]
+  const countries = { ...data.countries }
+  const years = new Set(data.years)
+
+  const derived = new Set(payload.derived.map(([row, position]) => `${row}|${position}`))
+
+  payload.rows.forEach((countryIndex, row) => {
+    const [name, iso3] = compactIndex.countries[countryIndex]
+    const values = {}
+    payload.local[row].forEach((local, position) => {
+      if (local === null) return
+      const year = firstYear + payload.offsets[row] + position
+      values[year] = { local, usd: payload.usd[row][position] }
+      if (derived.has(`${row}|${position}`)) values[year].derived = true
+      years.add(year)
+    })
+
+    const previous = countries[name] || {
+      name,
+      code: iso3 || getIso3(name) || name.substring(0, 3).toUpperCase(),
+      indicators: {}
+    }
+    countries[name] = { ...previous, indicators: { ...previous.indicators, [code]: values } }
+  })
+
+  const result = {
+    ...data,
+    countries,
+    indicators: { ...data.indicators },
+    years: Array.from(years).sort()
+  }
+  const summary = summarizeIndicator(result, code)
+  if (summary) result.indicators[code] = summary
+  return result
+}
+
+/**
+ * Load the given indicators, fetching only those not loaded yet
+ * Falls back to loading everything (loadUnifiedData) when the compact files were not built.
+ * @param {Array<string>} indicatorCodes - Indicator codes (e.g. ['GE', 'GECE'])
+ * @returns {Promise<Object>} Unified data
+ */
+export async function loadIndicators(indicatorCodes) {
+  const index = await loadCompactIndex()
+  if (!index) return loadUnifiedData()
+
+  const wanted = indicatorCodes.filter(code => index.indicators[code] && !unifiedData.indicators[code])
+  if (wanted.length === 0) return unifiedData
+
+  const startTime = Date.now()
+  let payloads
+  try {
+    payloads = await Promise.all(wanted.map(fetchCompactIndicator))
+  } catch (error) {
+    loadingStatus.errors.push({ indicatorCode: wanted.join(', '), error: error.message })
+    throw error
+  }
+
+  // Concurrent calls may have merged some of them meanwhile
+  let data = unifiedData
+  payloads.forEach(payload => {
+    if (!data.indicators[payload.code]) data = mergeCompactIndicator(data, payload)
+  })
+  if (data === unifiedData) return unifiedData
+
+  data.complete = Object.keys(index.indicators).every(code => data.indicators[code])
+  unifiedData = data
+  loadingStatus.loadedIndicators = Object.keys(data.indicators).length
+  loadingStatus.progress = Math.round((loadingStatus.loadedIndicators / loadingStatus.totalIndicators) * 100)
+  console.log(`✓ Loaded ${wanted.join(', ')} in ${Date.now() - startTime}ms (${loadingStatus.loadedIndicators}/${loadingStatus.totalIndicators} indicators)`)
+
+  notifyUnifiedDataListeners()
+  return unifiedData
+}
+
+/**
+ * Load one indicator if needed and return it for visualization
+ * @param {string} indicatorCode - Indicator code
+ * @param {Array} yearRange - Optional year range [start, end]
+ * @param {Object} options - Same as getIndicatorData
+ * @returns {Promise<Object|null>} Indicator data, null when the indicator has no data
+ */
+export async function loadIndicatorData(indicatorCode, yearRange = null, options = {}) {
+  await loadIndicators([indicatorCode])
+  return getIndicatorData(indicatorCode, yearRange, options)
+}
+
 /**
  * Mapping of expense categories to indicator codes
- * Maps all 48 expense categories from IMF data to the 48 indicator codes
+ * One code per IMF category: parents and their components are never merged here,
+ * totals are derived from components by aggregateHierarchy only when not reported
  */
-const CATEGORY_TO_CODE = {
+export const CATEGORY_TO_CODE = {
   // Overview
   'Expense': 'GE',
   
   // Personnel / Compensation
   'Compensation of employees': 'GECE',
-  'Compensation of Employees: Wages and salaries': 'GECE',
-  'Compensation of Employees: Employers\' social contributions': 'GECE',
-  'Compensation of Employees, employer\'s social contributions: Actual employers\' social contributions': 'GECE',
-  'Compensation of Employees, employer\'s social contributions: Imputed employers\' social contributions': 'GECE',
+  'Compensation of Employees: Wages and salaries': 'GECEW',
+  'Compensation of Employees: Employers\' social contributions': 'GECES',
+  'Compensation of Employees, employer\'s social contributions: Actual employers\' social contributions': 'GECESA',
+  'Compensation of Employees, employer\'s social contributions: Imputed employers\' social contributions': 'GECESI',
   
   // Grants and Transfers
   'Grants expense': 'GEG',
@@ -200,9 +456,9 @@ const CATEGORY_TO_CODE = {
   'Grants expense to other general government: capital': 'GEGK_GG',
   'Grants expense to international organizations: capital': 'GEGK_IO',
   'Subsidies expense': 'GEGS',
-  'Subsidies expense to private enterprises': 'GEGS',
-  'Subsidies expense to public corporations': 'GEGS',
-  'Subsidies expense to other sectors': 'GEGS',
+  'Subsidies expense to private enterprises': 'GEGSPE',
+  'Subsidies expense to public corporations': 'GEGSPC',
+  'Subsidies expense to other sectors': 'GEGSO',
   
   // Interest and Debt
   'Interest expense': 'GEI',
@@ -212,21 +468,21 @@ const CATEGORY_TO_CODE = {
   'Consumption of fixed capital': 'GEKC',
   
   // Other Transfers and Expenses
-  'Expense on other transfers': 'GEO',
+  'Other expense': 'GEO',
+  'Expense on other transfers': 'GEOO',
   'Expense on other transfers, current': 'GEOOC',
-  'Expense on other transfers, capital': 'GEO',
-  'Other expense': 'GEOO',
+  'Expense on other transfers, capital': 'GEOOK',
   
   // Operations
   'Use of goods and services': 'GEOM',
   
   // Property Expenses
   'Property expense other than interest': 'GEOOP',
-  'Property expense other than interest: Dividend expense': 'GEOOP',
-  'Property expense other than interest: Rent expense': 'GEOOP',
-  'Property expense other than interest: Withdrawals of income from quasi-corporations': 'GEOOP',
+  'Property expense other than interest: Dividend expense': 'GEOOPD',
+  'Property expense other than interest: Rent expense': 'GEOOPR',
+  'Property expense other than interest: Withdrawals of income from quasi-corporations': 'GEOOPW',
   'Property expense other than interest: Property expense for investment income disbursements': 'GEOOPF',
-  'Property expense other than interest: Reinvested earnings on FDI': 'GEOOPF',
+  'Property expense other than interest: Reinvested earnings on FDI': 'GEOOPI',
   
   // Social Benefits
   'Social benefits expense': 'GES',
@@ -236,30 +492,98 @@ const CATEGORY_TO_CODE = {
   'Social benefits expense: Social assistance benefits expense': 'GESA',
   'Social benefits expense: Social security benefits expense': 'GESS',
   
-  // Insurance and Social Security
-  'Expense on NI & SGS: Premiums': 'GEO',
-  'Expense on NI & SGS: Fees': 'GEO',
-  'Expense on NI & SGS: Capital claims': 'GEO',
-  'Expense on NI & SGS: Current claims': 'GEO',
-  'Expense on NI & SGS: Premiums, fees, & claims': 'GEO',
-  'Expense on NI & SGS: Premiums, fees, & current claims': 'GEO',
+  // Insurance and Standardized Guarantee Schemes (NI & SGS)
+  'Expense on NI & SGS: Premiums, fees, & claims': 'GENI',
+  'Expense on NI & SGS: Premiums, fees, & current claims': 'GENIC',
+  'Expense on NI & SGS: Premiums': 'GENIP',
+  'Expense on NI & SGS: Fees': 'GENIF',
+  'Expense on NI & SGS: Current claims': 'GENICC',
+  'Expense on NI & SGS: Capital claims': 'GENIK',
 }
 
 /**
- * Load data from unified expense_clean.csv file
- * Now loads BOTH local and USD data simultaneously
+ * Derive unreported totals from their components, check reported totals against
+ * their components and build the per-indicator summaries
+ * @param {Object} data - Unified data with countries filled in
+ */
+function finalizeUnifiedData(data) {
+  const derivedCount = aggregateHierarchy(data.countries)
+  data.reconciliation = reconcileHierarchy(data.countries)
+
+  const indicatorCodes = new Set()
+  Object.values(data.countries).forEach(country => {
+    Object.keys(country.indicators).forEach(code => indicatorCodes.add(code))
+  })
+
+  indicatorCodes.forEach(indicatorCode => {
+    const indicatorData = summarizeIndicator(data, indicatorCode)
+    if (indicatorData) data.indicators[indicatorCode] = indicatorData
+  })
+
+  console.log(`🧮 GFS hierarchy: ${derivedCount} totals derived from components, ${data.reconciliation.length} reconciliation issues`)
+}
+
+/**
+ * Summary of one indicator across countries (metadata, countries, years, global stats)
+ * @param {Object} data - Unified data with countries filled in
+ * @param {string} indicatorCode - Indicator code
+ * @returns {Object|null} Indicator summary, null for codes without metadata
+ */
+function summarizeIndicator(data, indicatorCode) {
+  const metadata = INDICATOR_METADATA[indicatorCode]
+  if (!metadata) return null
+
+  const indicatorData = {
+    metadata,
+    countries: new Set(),
+    years: new Set(),
+    values: [],
+    globalStats: null
+  }
+
+  Object.entries(data.countries).forEach(([country, countryData]) => {
+    Object.entries(countryData.indicators[indicatorCode] || {}).forEach(([year, value]) => {
+      // Track for indicator stats (use local values for stats)
+      indicatorData.countries.add(country)
+      indicatorData.years.add(parseInt(year))
+      indicatorData.values.push(value.local)
+    })
+  })
+
+  // Calculate global statistics for indicator
+  if (indicatorData.values.length > 0) {
+    indicatorData.globalStats = {
+      minValue: Math.min(...indicatorData.values),
+      maxValue: Math.max(...indicatorData.values),
+      avgValue: indicatorData.values.reduce((a, b) => a + b, 0) / indicatorData.values.length,
+      totalCountries: indicatorData.countries.size,
+      totalDataPoints: indicatorData.values.length,
+      yearRange: [Math.min(...indicatorData.years), Math.max(...indicatorData.years)]
+    }
+  }
+
+  // Convert sets to arrays
+  indicatorData.countries = Array.from(indicatorData.countries)
+  indicatorData.years = Array.from(indicatorData.years).sort()
+
+  return indicatorData
+}
+
+/**
+ * Load data from the unified expense_clean.csv and expense_clean_usd.csv files
+ * Both are parsed and joined off the main thread by the shared expense dataset
  */
 async function loadFromUnifiedFile() {
+  // Forward download/parse/index progress to getLoadingStatus
+  const unsubscribe = expenseDatasetService.subscribe(status => {
+    loadingStatus.progress = status.progress
+    loadingStatus.phase = status.phase
+    loadingStatus.message = status.message
+  })
+
   try {
     console.log(`📊 Loading both local and USD data...`)
-    const { getDataPath } = await import('../../../utils/pathUtils.js')
-    
-    // Load both local and USD data
-    const localData = await d3.csv(getDataPath('expense_clean.csv'))
-    const usdData = await d3.csv(getDataPath('expense_clean_usd.csv'))
-    
-    console.log(`✓ Loaded expense_clean.csv with ${localData.length} rows`)
-    console.log(`✓ Loaded expense_clean_usd.csv with ${usdData.length} rows`)
+    const dataset = await expenseDatasetService.load()
     
     const data = {
       countries: {},
@@ -269,150 +593,49 @@ async function loadFromUnifiedFile() {
       lastUpdated: new Date().toISOString()
     }
 
-    // Create lookup map for USD values
-    const usdLookup = {}
-    usdData.forEach(row => {
-      const country = row['Country Name']
-      const category = row['Expense Category']
-      const year = parseInt(row['Year'])
-      const usdValue = parseFloat(row['Value_USD'])
-      
-      if (!country || !category || isNaN(year) || isNaN(usdValue)) return
-      
-      const key = `${country}|${category}|${year}`
-      usdLookup[key] = usdValue
-    })
-    
-    console.log(`✓ Created USD lookup with ${Object.keys(usdLookup).length} entries`)
-    
-    // Group by indicator code with both local and USD values
-    const indicatorGroups = {}
-    
-    localData.forEach(row => {
-      const country = row['Country Name']
-      const category = row['Expense Category']
-      const year = parseInt(row['Year'])
-      const localValue = parseFloat(row['Value'])
-      
-      if (!country || !category || isNaN(year) || isNaN(localValue)) return
-      
+    // Store each reported value under its own indicator code
+    dataset.select({ requireLocal: true }).forEach(({ country, category, year, local: localValue, usd: usdValue }) => {
       // Map category to indicator code
       const indicatorCode = CATEGORY_TO_CODE[category]
-      if (!indicatorCode) {
+      if (!indicatorCode || !INDICATOR_METADATA[indicatorCode]) {
         return // Skip unmapped categories
       }
       
-      // Get USD value from lookup
-      const key = `${country}|${category}|${year}`
-      const usdValue = usdLookup[key] || null
-      
-      // Initialize structures
-      if (!indicatorGroups[indicatorCode]) {
-        indicatorGroups[indicatorCode] = []
+      // Initialize country in unified data
+      if (!data.countries[country]) {
+        data.countries[country] = {
+          name: country,
+          code: getIso3(country) || country.substring(0, 3).toUpperCase(),
+          indicators: {}
+        }
       }
-      
-      indicatorGroups[indicatorCode].push({
-        country,
-        year,
-        localValue,
-        usdValue
-      })
-      
-      data.years.add(year)
-    })
 
-    // Process each indicator
-    Object.entries(indicatorGroups).forEach(([indicatorCode, rows]) => {
-      const metadata = INDICATOR_METADATA[indicatorCode]
-      if (!metadata) return
-      
-      const indicatorData = {
-        metadata,
-        countries: new Set(),
-        years: new Set(),
-        values: [],
-        globalStats: null
+      // Initialize indicator for country
+      const indicators = data.countries[country].indicators
+      if (!indicators[indicatorCode]) {
+        indicators[indicatorCode] = {}
       }
 
-      // Aggregate by country-year (handle multiple categories mapping to same code)
-      const countryYearData = {}
-      
-      rows.forEach(({ country, year, localValue, usdValue }) => {
-        const key = `${country}-${year}`
-        
-        if (!countryYearData[key]) {
-          countryYearData[key] = {
-            country,
-            year,
-            localValues: [],
-            usdValues: []
-          }
-        }
-        
-        countryYearData[key].localValues.push(localValue)
-        if (usdValue !== null && !isNaN(usdValue)) {
-          countryYearData[key].usdValues.push(usdValue)
-        }
-      })
-
-      // Process aggregated data
-      Object.values(countryYearData).forEach(({ country, year, localValues, usdValues }) => {
-        // Initialize country in unified data
-        if (!data.countries[country]) {
-          data.countries[country] = {
-            name: country,
-            code: country.substring(0, 3).toUpperCase(),
-            indicators: {}
-          }
-        }
-
-        // Initialize indicator for country
-        if (!data.countries[country].indicators[indicatorCode]) {
-          data.countries[country].indicators[indicatorCode] = {}
-        }
-
-        // Average multiple values if they exist
-        const aggregatedLocal = localValues.reduce((sum, v) => sum + v, 0) / localValues.length
-        const aggregatedUSD = usdValues.length > 0 
-          ? usdValues.reduce((sum, v) => sum + v, 0) / usdValues.length 
-          : null
-
-        // Store BOTH local and USD values in unified structure
-        data.countries[country].indicators[indicatorCode][year] = {
-          local: aggregatedLocal,
-          usd: aggregatedUSD
-        }
-        
-        // Track for indicator stats (use local values for stats)
-        indicatorData.countries.add(country)
-        indicatorData.years.add(year)
-        indicatorData.values.push(aggregatedLocal)
-      })
+      // Keep the first row if a category is repeated for the same year
+      if (indicators[indicatorCode][year]) return
 
-      // Calculate global statistics for indicator
-      if (indicatorData.values.length > 0) {
-        indicatorData.globalStats = {
-          minValue: Math.min(...indicatorData.values),
-          maxValue: Math.max(...indicatorData.values),
-          avgValue: indicatorData.values.reduce((a, b) => a + b, 0) / indicatorData.values.length,
-          totalCountries: indicatorData.countries.size,
-          totalDataPoints: indicatorData.values.length,
-          yearRange: [Math.min(...indicatorData.years), Math.max(...indicatorData.years)]
-        }
+      // Store BOTH local and USD values in unified structure
+      indicators[indicatorCode][year] = {
+        local: localValue,
+        usd: usdValue
       }
-
-      // Convert sets to arrays
-      indicatorData.countries = Array.from(indicatorData.countries)
-      indicatorData.years = Array.from(indicatorData.years).sort()
       
-      data.indicators[indicatorCode] = indicatorData
+      data.years.add(year)
     })
 
+    finalizeUnifiedData(data)
+
     // Convert years set to sorted array
     data.years = Array.from(data.years).sort()
     
     // Mark that we have both currencies
     data.hasBothCurrencies = true
+    data.complete = true
 
     console.log(`✅ Loaded from unified files with both local and USD data:`, {
       countries: Object.keys(data.countries).length,
@@ -427,6 +650,8 @@ async function loadFromUnifiedFile() {
     console.warn('⚠️ Failed to load from unified files:', error.message)
     console.error(error)
     return null
+  } finally {
+    unsubscribe()
   }
 }
 
@@ -436,6 +661,14 @@ async function loadFromUnifiedFile() {
  */
 async function processAllIndicators() {
   const startTime = Date.now()
+
+  // Compact per-indicator files when built (both local and USD, totals already derived)
+  const index = await loadCompactIndex()
+  if (index) {
+    const data = await loadIndicators(Object.keys(index.indicators))
+    console.log(`✅ Successfully loaded ${Object.keys(data.indicators).length} compact indicator files in ${((Date.now() - startTime) / 1000).toFixed(2)}s`)
+    return data
+  }
   
   // Try loading from unified files first (both local and USD)
   const unifiedFileData = await loadFromUnifiedFile()
@@ -467,8 +700,8 @@ async function processAllIndicators() {
       const metadata = INDICATOR_METADATA[indicatorCode]
       const fileName = `IMF_GFSE_${indicatorCode}_G14.csv`
       
-      const { getDataPath } = await import('../../../utils/pathUtils.js')
-      const csvData = await d3.csv(getDataPath(`48-indicators/${fileName}`))
+      // Derived by npm run data:build; files missing from the manifest are rejected up front
+      const csvData = await dataManifestService.csv(`48-indicators/${fileName}`)
       
       loadedCount++
       loadingStatus.loadedIndicators = loadedCount
@@ -487,19 +720,15 @@ async function processAllIndicators() {
   const results = await Promise.all(loadPromises)
   const validResults = results.filter(result => result !== null)
 
+  if (validResults.length === 0) {
+    throw new Error(`No spending data: expense_clean.csv could not be read and no indicator files were loaded (${loadingStatus.errors[0]?.error})`)
+  }
+
   const loadTime = ((Date.now() - startTime) / 1000).toFixed(2)
   console.log(`✅ Successfully loaded ${validResults.length}/${totalIndicators} indicators in ${loadTime}s`)
 
   // Process each indicator
-  validResults.forEach(({ indicatorCode, metadata, csvData }) => {
-    const indicatorData = {
-      metadata,
-      countries: new Set(),
-      years: new Set(),
-      values: [],
-      globalStats: null
-    }
-
+  validResults.forEach(({ indicatorCode, csvData }) => {
     // Process CSV rows
     const countryYearData = {}
     
@@ -515,7 +744,7 @@ async function processAllIndicators() {
       if (!data.countries[country]) {
         data.countries[country] = {
           name: country,
-          code: row.REF_AREA || country.substring(0, 3).toUpperCase(),
+          code: row.REF_AREA || getIso3(country) || country.substring(0, 3).toUpperCase(),
           indicators: {}
         }
       }
@@ -562,37 +791,18 @@ async function processAllIndicators() {
         usd: null
       }
       
-      // Track for indicator stats
-      indicatorData.countries.add(country)
-      indicatorData.years.add(year)
-      indicatorData.values.push(aggregatedValue)
       data.years.add(year)
     })
-
-    // Calculate global statistics for indicator
-    if (indicatorData.values.length > 0) {
-      indicatorData.globalStats = {
-        minValue: Math.min(...indicatorData.values),
-        maxValue: Math.max(...indicatorData.values),
-        avgValue: indicatorData.values.reduce((a, b) => a + b, 0) / indicatorData.values.length,
-        totalCountries: indicatorData.countries.size,
-        totalDataPoints: indicatorData.values.length,
-        yearRange: [Math.min(...indicatorData.years), Math.max(...indicatorData.years)]
-      }
-    }
-
-    // Convert sets to arrays
-    indicatorData.countries = Array.from(indicatorData.countries)
-    indicatorData.years = Array.from(indicatorData.years).sort()
-    
-    data.indicators[indicatorCode] = indicatorData
   })
 
+  finalizeUnifiedData(data)
+
   // Convert years set to sorted array
   data.years = Array.from(data.years).sort()
   
   // Mark that fallback only has local currency
   data.hasBothCurrencies = false
+  data.complete = true
 
   console.log('Unified data processing complete (fallback - local currency only):', {
     countries: Object.keys(data.countries).length,
@@ -605,17 +815,124 @@ async function processAllIndicators() {
   return data
 }
 
+/**
+ * Convert one { local, usd } value to the requested currency conversion and price basis
+ * PPP converts the USD value to international dollars; a base year then rebases
+ * local values with the country's deflator and USD (or Int$) values with the US deflator
+ * @param {Object|number} valueObj - Nominal value (object with local/usd, or a local number)
+ * @param {Object} country - { name, code }
+ * @param {number} year - Year of the value
+ * @param {Object} basis - { baseYear, currency } from resolveValueBasis
+ * @returns {Object|null} Converted { local, usd } (derived flag kept), or null if a conversion factor is missing
+ */
+function convertValue(valueObj, country, year, { baseYear, currency }) {
+  let local = typeof valueObj === 'object' ? valueObj.local : valueObj
+  let usd = typeof valueObj === 'object' ? valueObj.usd : null
+  if (usd === undefined) usd = null
+
+  if (currency === 'ppp') {
+    if (usd === null) return null
+    usd = currencyConversionService.toPpp(usd, country.code, year)
+      ?? currencyConversionService.toPpp(usd, country.name, year)
+    if (usd === null) return null
+  }
+
+  if (baseYear) {
+    const localFactor = priceBasisService.getFactor(country.code, year, baseYear)
+      ?? priceBasisService.getFactor(country.name, year, baseYear)
+    if (localFactor === null) return null
+
+    const usdFactor = priceBasisService.getUsdFactor(year, baseYear)
+    local = local * localFactor
+    usd = usd !== null && usdFactor !== null ? usd * usdFactor : null
+  }
+
+  return valueObj?.derived ? { local, usd, derived: true } : { local, usd }
+}
+
+/**
+ * Resolve the conversions that can be applied right now
+ * Deflators and PPP factors must be loaded first; otherwise values stay nominal / market rate
+ * @private
+ */
+function resolveValueBasis({ baseYear = null, currency = 'market' } = {}) {
+  const basis = { baseYear: null, currency: 'market' }
+
+  if (baseYear) {
+    if (priceBasisService.isLoaded()) {
+      basis.baseYear = baseYear
+    } else {
+      console.warn(`⚠️ Deflators not loaded, returning nominal values instead of ${baseYear} prices`)
+    }
+  }
+
+  if (currency === 'ppp') {
+    if (currencyConversionService.isLoaded()) {
+      basis.currency = 'ppp'
+    } else {
+      console.warn('⚠️ PPP conversion factors not loaded, returning market-rate USD values')
+    }
+  }
+
+  return basis
+}
+
+let convertedCache = { source: null, key: null, data: null }
+
+/**
+ * Copy of the unified data in a currency conversion and/or at constant prices of a base year
+ * Country-years without the needed factors are dropped so conversions never mix
+ * @param {Object} data - Unified data from loadUnifiedData
+ * @param {Object} options - { baseYear: number|null, currency: 'market'|'ppp' }
+ * @returns {Object} Converted unified data with priceBasis and currency set (the input when nothing applies)
+ */
+export function convertUnifiedData(data, options = {}) {
+  if (!data) return data
+
+  const basis = resolveValueBasis(options)
+  if (!basis.baseYear && basis.currency === 'market') return data
+
+  const key = `${basis.baseYear}|${basis.currency}`
+  if (convertedCache.source === data && convertedCache.key === key) {
+    return convertedCache.data
+  }
+
+  const countries = {}
+  Object.entries(data.countries).forEach(([countryName, countryData]) => {
+    const indicators = {}
+    Object.entries(countryData.indicators).forEach(([code, yearValues]) => {
+      const converted = {}
+      Object.entries(yearValues).forEach(([year, valueObj]) => {
+        const value = convertValue(valueObj, { name: countryName, code: countryData.code }, parseInt(year), basis)
+        if (value) converted[year] = value
+      })
+      indicators[code] = converted
+    })
+    countries[countryName] = { ...countryData, indicators }
+  })
+
+  const result = { ...data, countries, priceBasis: basis.baseYear, currency: basis.currency }
+  convertedCache = { source: data, key, data: result }
+  return result
+}
+
 /**
  * Get indicator data for visualization
+ * Only covers loaded indicators: call loadIndicators first, or use loadIndicatorData
  * @param {indicatorCode} string - Indicator code
  * @param {yearRange} Array - Optional year range [start, end]
  * @param {options} Object - Additional options
+ * @param {options.baseYear} number - Return real values at this year's prices (deflators must be loaded)
+ * @param {options.currency} string - 'ppp' for USD values in PPP international dollars (factors must be loaded)
  */
 export function getIndicatorData(indicatorCode, yearRange = null, options = {}) {
   if (!unifiedData || !unifiedData.indicators[indicatorCode]) {
     return null
   }
 
+  const basis = resolveValueBasis(options)
+  const needsConversion = basis.baseYear || basis.currency !== 'market'
+
   const indicator = unifiedData.indicators[indicatorCode]
   const countries = {}
 
@@ -629,17 +946,25 @@ export function getIndicatorData(indicatorCode, yearRange = null, options = {})
       const yearData = {}
       let hasData = false
 
-      Object.entries(countryData.indicators[indicatorCode]).forEach(([year, valueObj]) => {
+      Object.entries(countryData.indicators[indicatorCode]).forEach(([year, nominalValue]) => {
         const y = parseInt(year)
+        if (y < startYear || y > endYear) return
+
+        const valueObj = needsConversion
+          ? convertValue(nominalValue, { name: countryName, code: countryData.code }, y, basis)
+          : nominalValue
+        if (!valueObj) return
+
         // Handle both old format (number) and new format (object with local/usd)
         const localValue = typeof valueObj === 'object' ? valueObj.local : valueObj
         const usdValue = typeof valueObj === 'object' ? valueObj.usd : null
         
-        if (y >= startYear && y <= endYear && !isNaN(localValue)) {
+        if (!isNaN(localValue)) {
           yearData[year] = {
             local: localValue,
             usd: usdValue
           }
+          if (valueObj.derived) yearData[year].derived = true
           hasData = true
         }
       })
@@ -675,6 +1000,8 @@ export function getIndicatorData(indicatorCode, yearRange = null, options = {})
     icon: indicator.metadata.icon,
     unit: indicator.metadata.unit,
     hasBothCurrencies: unifiedData.hasBothCurrencies || false,
+    priceBasis: basis.baseYear,
+    currency: basis.currency,
     countries,
     years: indicator.years.filter(y => y >= startYear && y <= endYear),
     globalStats
@@ -691,13 +1018,15 @@ export function getMultiIndicatorData(indicatorCodes, yearRange = null) {
 /**
  * Get country data across all indicators
  * Returns data with both local and USD values
+ * @param {options.baseYear} number - Return real values at this year's prices (deflators must be loaded)
+ * @param {options.currency} string - 'ppp' for USD values in PPP international dollars (factors must be loaded)
  */
-export function getCountryData(countryName, indicatorCodes = null) {
+export function getCountryData(countryName, indicatorCodes = null, options = {}) {
   if (!unifiedData || !unifiedData.countries[countryName]) {
     return null
   }
 
-  const countryData = unifiedData.countries[countryName]
+  const countryData = convertUnifiedData(unifiedData, options).countries[countryName]
   const indicators = indicatorCodes || Object.keys(countryData.indicators)
   
   const result = {
@@ -734,6 +1063,21 @@ export function getSummaryStats() {
   }
 }
 
+/**
+ * Get reported totals whose components don't add up (see reconcileHierarchy)
+ * @param {Object} filter - Optional { country, code, year }
+ * @returns {Array<Object>} Reconciliation issues
+ */
+export function getReconciliationIssues({ country = null, code = null, year = null } = {}) {
+  if (!unifiedData?.reconciliation) return []
+
+  return unifiedData.reconciliation.filter(issue =>
+    (!country || issue.country === country) &&
+    (!code || issue.code === code) &&
+    (!year || issue.year === parseInt(year))
+  )
+}
+
 /**
  * Search countries by name
  */
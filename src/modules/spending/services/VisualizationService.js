@@ -1,5 +1,6 @@
 import * as d3 from 'd3'
 import { getIndicatorData, getMultiIndicatorData, getCountryData, INDICATOR_METADATA, CATEGORY_COLORS } from './UnifiedDataService.js'
+import { getContinent } from '../../../shared/utils/CountryRegistry.js'
 
 /**
  * Visualization Service for Government Spending Data
@@ -192,8 +193,7 @@ export function generateRegionalData(indicatorCode, yearRange = null) {
   const indicatorData = getIndicatorData(indicatorCode, yearRange)
   if (!indicatorData) return null
 
-  // Simple regional grouping based on country names
-  // In a real implementation, you'd have a proper country-to-region mapping
+  // Regional grouping by continent
   const regions = {
     'North America': [],
     'Europe': [],
@@ -205,22 +205,8 @@ export function generateRegionalData(indicatorCode, yearRange = null) {
   }
 
   Object.entries(indicatorData.countries).forEach(([countryName, countryData]) => {
-    // Simple heuristic for regional classification
-    let region = 'Other'
-    
-    if (['United States', 'Canada', 'Mexico'].some(c => countryName.includes(c))) {
-      region = 'North America'
-    } else if (['United Kingdom', 'Germany', 'France', 'Italy', 'Spain', 'Netherlands', 'Belgium', 'Sweden', 'Norway', 'Denmark', 'Finland', 'Austria', 'Switzerland', 'Portugal', 'Greece', 'Poland', 'Czech', 'Hungary', 'Romania', 'Bulgaria', 'Croatia', 'Slovenia', 'Slovakia', 'Estonia', 'Latvia', 'Lithuania', 'Luxembourg', 'Malta', 'Cyprus', 'Ireland', 'Iceland'].some(c => countryName.includes(c))) {
-      region = 'Europe'
-    } else if (['China', 'Japan', 'India', 'South Korea', 'Indonesia', 'Thailand', 'Malaysia', 'Singapore', 'Philippines', 'Vietnam', 'Bangladesh', 'Pakistan', 'Sri Lanka', 'Myanmar', 'Cambodia', 'Laos', 'Mongolia', 'Nepal', 'Bhutan', 'Maldives', 'Brunei'].some(c => countryName.includes(c))) {
-      region = 'Asia'
-    } else if (['South Africa', 'Nigeria', 'Egypt', 'Kenya', 'Ghana', 'Morocco', 'Tunisia', 'Algeria', 'Ethiopia', 'Uganda', 'Tanzania', 'Zimbabwe', 'Zambia', 'Botswana', 'Namibia', 'Mauritius', 'Seychelles'].some(c => countryName.includes(c))) {
-      region = 'Africa'
-    } else if (['Brazil', 'Argentina', 'Chile', 'Colombia', 'Peru', 'Venezuela', 'Ecuador', 'Bolivia', 'Paraguay', 'Uruguay', 'Guyana', 'Suriname'].some(c => countryName.includes(c))) {
-      region = 'South America'
-    } else if (['Australia', 'New Zealand', 'Fiji', 'Papua New Guinea', 'Samoa', 'Tonga', 'Vanuatu', 'Solomon Islands', 'Palau', 'Marshall Islands', 'Micronesia', 'Kiribati', 'Tuvalu', 'Nauru'].some(c => countryName.includes(c))) {
-      region = 'Oceania'
-    }
+    // Continent from the shared country registry
+    const region = getContinent(countryName, 'Other')
 
     regions[region].push({
       country: countryName,
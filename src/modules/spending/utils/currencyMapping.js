@@ -3,106 +3,16 @@
  * Maps country codes to their currency codes
  */
 
-export const COUNTRY_CURRENCY_MAP = {
-  // Major economies
-  'USA': 'USD',
-  'CHN': 'CNY',
-  'JPN': 'JPY',
-  'DEU': 'EUR',
-  'GBR': 'GBP',
-  'IND': 'INR',
-  'FRA': 'EUR',
-  'ITA': 'EUR',
-  'BRA': 'BRL',
-  'CAN': 'CAD',
-  'RUS': 'RUB',
-  'KOR': 'KRW',
-  'AUS': 'AUD',
-  'ESP': 'EUR',
-  'MEX': 'MXN',
-  'IDN': 'IDR',
-  'NLD': 'EUR',
-  'SAU': 'SAR',
-  'TUR': 'TRY',
-  'CHE': 'CHF',
-  
-  // European Union (EUR)
-  'AUT': 'EUR', 'BEL': 'EUR', 'CYP': 'EUR', 'EST': 'EUR', 'FIN': 'EUR',
-  'GRC': 'EUR', 'IRL': 'EUR', 'LVA': 'EUR', 'LTU': 'EUR', 'LUX': 'EUR',
-  'MLT': 'EUR', 'PRT': 'EUR', 'SVK': 'EUR', 'SVN': 'EUR',
-  
-  // Asia
-  'AFG': 'AFN', 'BGD': 'BDT', 'BTN': 'BTN', 'KHM': 'KHR', 'HKG': 'HKD',
-  'IRN': 'IRR', 'IRQ': 'IQD', 'ISR': 'ILS', 'JOR': 'JOD', 'KWT': 'KWD',
-  'LAO': 'LAK', 'LBN': 'LBP', 'MYS': 'MYR', 'MDV': 'MVR', 'MNG': 'MNT',
-  'MMR': 'MMK', 'NPL': 'NPR', 'OMN': 'OMR', 'PAK': 'PKR', 'PHL': 'PHP',
-  'QAT': 'QAR', 'SGP': 'SGD', 'LKA': 'LKR', 'SYR': 'SYP', 'TWN': 'TWD',
-  'THA': 'THB', 'ARE': 'AED', 'VNM': 'VND', 'YEM': 'YER',
-  
-  // Africa
-  'DZA': 'DZD', 'AGO': 'AOA', 'BWA': 'BWP', 'EGY': 'EGP', 'ETH': 'ETB',
-  'GHA': 'GHS', 'KEN': 'KES', 'LBY': 'LYD', 'MAR': 'MAD', 'NGA': 'NGN',
-  'ZAF': 'ZAR', 'TZA': 'TZS', 'TUN': 'TND', 'UGA': 'UGX', 'ZMB': 'ZMW',
-  'ZWE': 'ZWL',
-  
-  // Americas
-  'ARG': 'ARS', 'BOL': 'BOB', 'CHL': 'CLP', 'COL': 'COP', 'CRI': 'CRC',
-  'CUB': 'CUP', 'DOM': 'DOP', 'ECU': 'USD', 'SLV': 'USD', 'GTM': 'GTQ',
-  'HTI': 'HTG', 'HND': 'HNL', 'JAM': 'JMD', 'NIC': 'NIO', 'PAN': 'PAB',
-  'PRY': 'PYG', 'PER': 'PEN', 'URY': 'UYU', 'VEN': 'VES',
-  
-  // Europe (non-EUR)
-  'ALB': 'ALL', 'BLR': 'BYN', 'BIH': 'BAM', 'BGR': 'BGN', 'HRV': 'HRK',
-  'CZE': 'CZK', 'DNK': 'DKK', 'HUN': 'HUF', 'ISL': 'ISK', 'MKD': 'MKD',
-  'MDA': 'MDL', 'NOR': 'NOK', 'POL': 'PLN', 'ROU': 'RON', 'SRB': 'RSD',
-  'SWE': 'SEK', 'UKR': 'UAH',
-  
-  // Oceania
-  'FJI': 'FJD', 'NZL': 'NZD', 'PNG': 'PGK', 'WSM': 'WST', 'TON': 'TOP',
-  'VUT': 'VUV'
-}
-
-/**
- * Additional currency mappings based on common knowledge
- * Used as fallback when country code not in main map
- */
-const FALLBACK_CURRENCY_MAP = {
-  // Additional countries
-  'GEO': 'GEL', 'ARM': 'AMD', 'AZE': 'AZN', 'KAZ': 'KZT', 'UZB': 'UZS',
-  'TJK': 'TJS', 'TKM': 'TMT', 'KGZ': 'KGS', 'BRN': 'BND', 'TLS': 'USD',
-  'PRK': 'KPW', 'MAC': 'MOP', 'PSE': 'ILS', 'SSD': 'SSP', 'ERI': 'ERN',
-  'DJI': 'DJF', 'SOM': 'SOS', 'COM': 'KMF', 'SYC': 'SCR', 'MUS': 'MUR',
-  'MDG': 'MGA', 'MWI': 'MWK', 'RWA': 'RWF', 'BDI': 'BIF', 'TCD': 'XAF',
-  'CAF': 'XAF', 'CMR': 'XAF', 'COG': 'XAF', 'GAB': 'XAF', 'GNQ': 'XAF',
-  'BEN': 'XOF', 'BFA': 'XOF', 'CIV': 'XOF', 'GNB': 'XOF', 'MLI': 'XOF',
-  'NER': 'XOF', 'SEN': 'XOF', 'TGO': 'XOF', 'GIN': 'GNF', 'SLE': 'SLL',
-  'LBR': 'LRD', 'GMB': 'GMD', 'CPV': 'CVE', 'STP': 'STN', 'MRT': 'MRU',
-  'NAM': 'NAD', 'BWA': 'BWP', 'LSO': 'LSL', 'SWZ': 'SZL', 'ZWE': 'ZWL',
-  'MOZ': 'MZN', 'AGO': 'AOA', 'COD': 'CDF', 'BHS': 'BSD', 'BRB': 'BBD',
-  'BLZ': 'BZD', 'TTO': 'TTD', 'GUY': 'GYD', 'SUR': 'SRD', 'FJI': 'FJD',
-  'PNG': 'PGK', 'SLB': 'SBD', 'VUT': 'VUV', 'WSM': 'WST', 'TON': 'TOP',
-  'KIR': 'AUD', 'TUV': 'AUD', 'NRU': 'AUD', 'PLW': 'USD', 'FSM': 'USD',
-  'MHL': 'USD'
-}
+import { getCurrency } from '../../../shared/utils/CountryRegistry.js'
 
 /**
  * Get currency code for a country with fallback logic
+ * Resolved through the shared country registry
  * @param {string} countryCode - ISO 3-letter country code
  * @returns {string} Currency code (e.g., 'USD', 'INR') or 'Local' if not found
  */
 export function getCurrencyCode(countryCode) {
-  // Try main map first
-  if (COUNTRY_CURRENCY_MAP[countryCode]) {
-    return COUNTRY_CURRENCY_MAP[countryCode]
-  }
-  
-  // Try fallback map
-  if (FALLBACK_CURRENCY_MAP[countryCode]) {
-    return FALLBACK_CURRENCY_MAP[countryCode]
-  }
-  
-  // If still not found, return 'Local' as fallback
-  return 'Local'
+  return getCurrency(countryCode) || 'Local'
 }
 
 /**
@@ -254,19 +164,21 @@ export function getUSDEquivalent(value, currencyCode) {
  * Format value with both local currency and USD equivalent
  * Uses actual USD data from expense_clean_usd.csv when available
  * @param {number} localValue - Value in local currency
- * @param {number} usdValue - Value in USD (from expense_clean_usd.csv)
+ * @param {number} usdValue - Value in USD (from expense_clean_usd.csv), or Int$ when converted at PPP
  * @param {string} countryCode - ISO 3-letter country code
  * @param {string} countryName - Full country name (optional)
- * @returns {string} Formatted string with both currencies (e.g., "1.2B IDR (78M USD)")
+ * @param {string} conversion - 'market' (exchange rate USD) or 'ppp' (international dollars)
+ * @returns {string} Formatted string with both currencies (e.g., "1.2B IDR (78M USD at market rate)")
  */
-export function formatWithBothCurrencies(localValue, usdValue, countryCode, countryName = null) {
+export function formatWithBothCurrencies(localValue, usdValue, countryCode, countryName = null, conversion = 'market') {
   const currency = getCurrencyWithFallback(countryCode, countryName)
   const localFormatted = formatValueWithCurrency(localValue, currency)
+  const isPpp = conversion === 'ppp'
   
-  // Display USD value if available and different currency
-  if (usdValue && currency !== 'USD' && !isNaN(usdValue) && usdValue > 0) {
-    const usdFormatted = formatValueWithCurrency(usdValue, 'USD')
-    return `${localFormatted} (${usdFormatted})`
+  // Display the converted value if available (for USD countries only at PPP)
+  if (usdValue && (currency !== 'USD' || isPpp) && !isNaN(usdValue) && usdValue > 0) {
+    const usdFormatted = formatValueWithCurrency(usdValue, isPpp ? 'Int$' : 'USD')
+    return `${localFormatted} (${usdFormatted} ${isPpp ? 'at PPP' : 'at market rate'})`
   }
   
   return localFormatted
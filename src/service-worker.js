@@ -0,0 +1,254 @@
+/**
+ * Service Worker
+ * Makes the dashboard installable and usable offline. The serviceWorker plugin in
+ * vite.config.js prepends SHELL_VERSION and SHELL_FILES (the bundled app shell) to this
+ * file and emits it as sw.js; it is only registered in production builds.
+ *
+ * - App shell: precached per build and served cache first; pages fall back to the cached
+ *   index.html when the network is unreachable
+ * - Data: every file listed in data/manifest.json, plus the world geometry and the source
+ *   files the manifest does not cover, is cached as one data version (the manifest's
+ *   data_version). Requests under data/ are answered from that version only, so a page
+ *   never mixes files from two data builds
+ * - Updates: a newer manifest on the server is reported to the page, and only downloaded
+ *   (checked against its sha256 checksums) and switched to when the page asks for it
+ *
+ * Messages from the page: { type: 'status' }, { type: 'update-data' }
+ * Messages to the page: { type: 'data-status', version, latest, offline },
+ *   { type: 'data-progress', version, done, total }, { type: 'data-updated', version },
+ *   { type: 'data-update-failed', error }
+ */
+
+/* global SHELL_VERSION, SHELL_FILES */
+
+const SHELL_CACHE = `shell-${SHELL_VERSION}`
+const DATA_CACHE_PREFIX = 'data-'
+const META_CACHE = 'meta'
+const ACTIVE_DATA_KEY = '__active-data-version'
+const MANIFEST_FILE = 'manifest.json'
+
+// Fetched directly by the app rather than through the manifest; skipped when not deployed
+const OPTIONAL_DATA_FILES = [
+  'geo/countries-110m.json',
+  'geo/countries-50m.json',
+  'events.json'
+]
+
+const DOWNLOAD_CONCURRENCY = 4
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href
+const dataUrl = (file) => scopeUrl(`data/${file}`)
+
+let dataDownload = null
+
+/**
+ * Data version the pages are served from
+ * @returns {Promise<string|null>} Version, null before the first download completes
+ */
+async function getActiveDataVersion() {
+  const cache = await caches.open(META_CACHE)
+  const response = await cache.match(scopeUrl(ACTIVE_DATA_KEY))
+  return response ? response.text() : null
+}
+
+async function setActiveDataVersion(version) {
+  const cache = await caches.open(META_CACHE)
+  await cache.put(scopeUrl(ACTIVE_DATA_KEY), new Response(version))
+}
+
+async function sha256Hex(buffer) {
+  const hash = await crypto.subtle.digest('SHA-256', buffer)
+  return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Manifest currently on the server
+ * @returns {Promise<Object>} { manifest, text, version }
+ */
+async function fetchLatestManifest() {
+  const response = await fetch(dataUrl(MANIFEST_FILE), { cache: 'no-store' })
+  if (!response.ok) {
+    throw new Error(`${MANIFEST_FILE} returned ${response.status}`)
+  }
+
+  const text = await response.text()
+  const manifest = JSON.parse(text)
+  const version = manifest.data_version || (await sha256Hex(new TextEncoder().encode(text))).slice(0, 12)
+  return { manifest, text, version }
+}
+
+async function broadcast(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true })
+  clients.forEach(client => client.postMessage(message))
+}
+
+/**
+ * Download every file of a data version, then make it the active one
+ * Files listed with a checksum must match it, otherwise the version is not activated;
+ * files already verified stay in the version's cache for the next attempt.
+ * @param {Object} latest - From fetchLatestManifest
+ * @returns {Promise<string>} The activated version
+ */
+function downloadDataVersion(latest) {
+  if (!dataDownload) {
+    dataDownload = (async () => {
+      const { manifest, text, version } = latest
+      const cache = await caches.open(`${DATA_CACHE_PREFIX}${version}`)
+      const checksums = { ...(manifest.inputs || {}), ...(manifest.artifacts || {}) }
+      const files = [...Object.keys(checksums), ...OPTIONAL_DATA_FILES.filter(file => !checksums[file])]
+      const queue = [...files]
+      let done = 0
+
+      const downloadNext = async () => {
+        while (queue.length > 0) {
+          const file = queue.shift()
+          const url = dataUrl(file)
+          if (!(await cache.match(url))) {
+            const response = await fetch(url, { cache: 'no-cache' })
+            if (!response.ok) {
+              if (!checksums[file]) {
+                done++
+                continue
+              }
+              throw new Error(`${file} returned ${response.status}`)
+            }
+
+            const body = await response.arrayBuffer()
+            if (checksums[file]?.sha256 && await sha256Hex(body) !== checksums[file].sha256) {
+              throw new Error(`${file} does not match data version ${version}`)
+            }
+            await cache.put(url, new Response(body, { headers: response.headers }))
+          }
+          done++
+          broadcast({ type: 'data-progress', version, done, total: files.length })
+        }
+      }
+
+      await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, downloadNext))
+      await cache.put(dataUrl(MANIFEST_FILE), new Response(text, { headers: { 'Content-Type': 'application/json' } }))
+      await setActiveDataVersion(version)
+
+      const keys = await caches.keys()
+      await Promise.all(keys
+        .filter(key => key.startsWith(DATA_CACHE_PREFIX) && key !== `${DATA_CACHE_PREFIX}${version}`)
+        .map(key => caches.delete(key)))
+
+      console.log(`📦 Data version ${version} cached for offline use (${files.length} files)`)
+      return version
+    })().finally(() => {
+      dataDownload = null
+    })
+  }
+  return dataDownload
+}
+
+/**
+ * Report the active and latest data versions to one page
+ * Before any version is cached, the current one is downloaded right away.
+ * @private
+ */
+async function reportStatus(client) {
+  const version = await getActiveDataVersion()
+  let latest = null
+  try {
+    latest = await fetchLatestManifest()
+  } catch (error) {
+    // Unreachable server: keep serving the cached version
+  }
+
+  client.postMessage({ type: 'data-status', version, latest: latest?.version || null, offline: latest === null })
+
+  if (!version && latest) {
+    try {
+      const cached = await downloadDataVersion(latest)
+      broadcast({ type: 'data-status', version: cached, latest: latest.version, offline: false })
+    } catch (error) {
+      console.warn('Data not cached for offline use:', error.message)
+    }
+  }
+}
+
+/**
+ * Switch to the data version on the server (asked for by the page)
+ * @private
+ */
+async function updateData() {
+  try {
+    const version = await downloadDataVersion(await fetchLatestManifest())
+    broadcast({ type: 'data-updated', version })
+  } catch (error) {
+    console.error('Data update failed:', error)
+    broadcast({ type: 'data-update-failed', error: error.message })
+  }
+}
+
+async function handleNavigation(request) {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE)
+    return (await cache.match(scopeUrl('index.html'))) || (await cache.match(scopeUrl('./'))) || Response.error()
+  }
+}
+
+async function handleShell(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+async function handleData(request) {
+  const version = await getActiveDataVersion()
+  if (!version) return fetch(request)
+
+  const cache = await caches.open(`${DATA_CACHE_PREFIX}${version}`)
+  const cached = await cache.match(request, { ignoreSearch: true })
+  if (cached) return cached
+
+  // Not part of the version (e.g. a file added later): fetch it without caching
+  return fetch(request)
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE)
+    await cache.addAll(SHELL_FILES.map(scopeUrl))
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys()
+    await Promise.all(keys
+      .filter(key => key.startsWith('shell-') && key !== SHELL_CACHE)
+      .map(key => caches.delete(key)))
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (request.url.startsWith(scopeUrl('data/'))) {
+    event.respondWith(handleData(request))
+  } else {
+    event.respondWith(handleShell(request))
+  }
+})
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {}
+  if (type === 'status') {
+    event.waitUntil(reportStatus(event.source))
+  } else if (type === 'update-data') {
+    event.waitUntil(updateData())
+  }
+})
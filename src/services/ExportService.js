@@ -1,5 +1,6 @@
 import jsPDF from 'jspdf'
 import html2canvas from 'html2canvas'
+import { formatAnnotationYears } from '../shared/services/AnnotationService.js'
 
 /**
  * Export Service for generating PDF reports and CSV data exports
@@ -33,7 +34,7 @@ class ExportService {
    * @param {string} config.type - Report type (spending, gdp, comparison, us)
    * @param {Object} config.data - Data to include in report
    * @param {Array} config.chartElements - DOM elements containing charts
-   * @param {Object} config.metadata - Report metadata
+   * @param {Object} config.metadata - Report metadata (annotations: events drawn on the charts)
    * @returns {Promise<Blob>} PDF blob
    */
   async generatePDFReport(config) {
@@ -150,6 +151,33 @@ class ExportService {
         }
       }
 
+      // List the events annotated on the charts
+      if (metadata.annotations && metadata.annotations.length > 0) {
+        if (yPosition > pageHeight - 50) {
+          pdf.addPage()
+          yPosition = margin
+        }
+
+        pdf.setFontSize(12)
+        pdf.setFont('helvetica', 'bold')
+        pdf.text('Chart Events', margin, yPosition)
+        yPosition += 8
+
+        pdf.setFontSize(8)
+        pdf.setFont('helvetica', 'normal')
+        for (const annotation of metadata.annotations) {
+          const text = `${formatAnnotationYears(annotation)}  ${annotation.title}${annotation.description ? ` - ${annotation.description}` : ''}`
+          const lines = pdf.splitTextToSize(text, pageWidth - 2 * margin)
+          if (yPosition + lines.length * 4 > pageHeight - margin) {
+            pdf.addPage()
+            yPosition = margin
+          }
+          pdf.text(lines, margin, yPosition)
+          yPosition += lines.length * 4 + 2
+        }
+        yPosition += 8
+      }
+
       // Add data tables
       if (data.tables && data.tables.length > 0) {
         for (const table of data.tables) {
@@ -280,6 +308,7 @@ class ExportService {
         metadata: {
           dateRange: template.dateRange,
           countries: template.countries,
+          annotations: template.annotations,
           generatedAt: new Date().toISOString()
         }
       }
@@ -1,5 +1,4 @@
-import * as d3 from 'd3'
-import { getDataPath } from '../utils/pathUtils.js'
+import { dataManifestService } from '../shared/services/DataManifestService.js'
 
 class IndicatorsDataService {
   constructor() {
@@ -38,8 +37,7 @@ class IndicatorsDataService {
     if (this.metadata) return this.metadata
 
     try {
-      const response = await fetch(getDataPath('metadata.json'))
-      this.metadata = await response.json()
+      this.metadata = await dataManifestService.json('metadata.json')
       return this.metadata
     } catch (error) {
       console.error('Error loading metadata:', error)
@@ -54,8 +52,7 @@ class IndicatorsDataService {
     if (this.globalInsights) return this.globalInsights
 
     try {
-      const response = await fetch(getDataPath('global_insights.json'))
-      this.globalInsights = await response.json()
+      this.globalInsights = await dataManifestService.json('global_insights.json')
       return this.globalInsights
     } catch (error) {
       console.error('Error loading global insights:', error)
@@ -70,8 +67,7 @@ class IndicatorsDataService {
     if (this.usData) return this.usData
 
     try {
-      const response = await fetch(getDataPath('us_summary.json'))
-      this.usData = await response.json()
+      this.usData = await dataManifestService.json('us_summary.json')
       return this.usData
     } catch (error) {
       console.error('Error loading US data:', error)
@@ -91,12 +87,7 @@ class IndicatorsDataService {
 
     try {
       const fileName = `IMF_GFSE_${indicatorCode}_G14.csv`;
-      const response = await fetch(getDataPath(`48-indicators/${fileName}`));
-      if (!response.ok) {
-        throw new Error(`Failed to load ${fileName}: ${response.statusText}`);
-      }
-      const csvText = await response.text();
-      const rawData = d3.csvParse(csvText);
+      const rawData = await dataManifestService.csv(`48-indicators/${fileName}`);
       const processedData = this.transformIndicatorData(rawData, indicatorCode);
       this.cache.set(cacheKey, processedData);
       return processedData;
@@ -199,9 +190,7 @@ class IndicatorsDataService {
     }
 
     try {
-      const response = await fetch(getDataPath('us_spending_breakdown.csv'))
-      const csvText = await response.text()
-      const rawData = d3.csvParse(csvText, d => ({
+      const rawData = await dataManifestService.csv('us_spending_breakdown.csv', d => ({
         indicatorCode: d.IndicatorCode,
         indicator: d.Indicator,
         sectorGroup: d.SectorGroup,
@@ -1,6 +1,6 @@
 // US Data Service - Specialized service for US government expense data processing
 import * as d3 from 'd3'
-import { getDataPath } from '../utils/pathUtils.js'
+import { expenseDatasetService } from '../shared/services/ExpenseDatasetService.js'
 
 class USDataService {
   constructor() {
@@ -28,16 +28,16 @@ class USDataService {
   // Load and process US expense data
   async loadUSData() {
     try {
-      const data = await d3.csv(getDataPath('expense_clean.csv'))
+      const dataset = await expenseDatasetService.load()
       
-      this.usData = data
-        .filter(d => d['Country Name'] === 'United States' && d.Value && !isNaN(+d.Value))
+      this.usData = dataset
+        .select({ countries: ['United States'], requireLocal: true })
         .map(d => ({
-          country: d['Country Name'],
-          category: d['Expense Category'],
-          year: +d.Year,
-          value: +d.Value,
-          department: this.categorizeDepartment(d['Expense Category'])
+          country: d.country,
+          category: d.category,
+          year: d.year,
+          value: d.local,
+          department: this.categorizeDepartment(d.category)
         }))
         .sort((a, b) => a.year - b.year)
 
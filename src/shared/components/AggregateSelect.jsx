@@ -0,0 +1,32 @@
+import React from 'react'
+import { useAggregates } from '../hooks/useAggregates.js'
+
+/**
+ * AggregateSelect Component
+ * Dropdown of the World, regions, income groups and country groups,
+ * for picking an aggregate as a pseudo-country
+ */
+const AggregateSelect = ({ value = null, onChange, className = '', placeholder = 'None', id }) => {
+  const { aggregateOptions } = useAggregates()
+
+  return (
+    <select
+      id={id}
+      className={className}
+      value={value || ''}
+      onChange={(e) => onChange && onChange(e.target.value || null)}
+      title="Aggregates are computed from member countries with data"
+    >
+      <option value="">{placeholder}</option>
+      {aggregateOptions.map(({ kind, label, aggregates }) => (
+        <optgroup key={kind} label={label}>
+          {aggregates.map(aggregate => (
+            <option key={aggregate.code} value={aggregate.code}>{aggregate.name}</option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  )
+}
+
+export default AggregateSelect
@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react'
+import { annotationService } from '../services/AnnotationService.js'
+import AnnotationEditor from './AnnotationEditor.jsx'
+import './AnnotationEditor.css'
+
+/**
+ * AnnotationControls Component
+ * Shows or hides events on every time chart, with a button opening the event editor
+ */
+const AnnotationControls = ({ countries = [] }) => {
+  const [visible, setVisible] = useState(() => annotationService.isVisible())
+  const [editorOpen, setEditorOpen] = useState(false)
+
+  useEffect(() => annotationService.subscribe(service => setVisible(service.isVisible())), [])
+
+  return (
+    <div className="annotation-controls">
+      <label className="annotation-toggle" title="Crises, euro adoptions, currency reforms and your own events">
+        <input
+          type="checkbox"
+          checked={visible}
+          onChange={(e) => annotationService.setVisible(e.target.checked)}
+        />
+        📌 Events
+      </label>
+      <button
+        type="button"
+        onClick={() => setEditorOpen(true)}
+        title="Browse events or add your own"
+      >
+        ✏️ Edit
+      </button>
+
+      {editorOpen && (
+        <AnnotationEditor
+          defaultCountries={countries}
+          onClose={() => setEditorOpen(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default AnnotationControls
@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { annotationService, ANNOTATION_CATEGORIES, formatAnnotationYears } from '../services/AnnotationService.js'
+import { COUNTRIES, getCanonicalName, getIso3 } from '../utils/CountryRegistry.js'
+import CountrySearch from './CountrySearch.jsx'
+import FocusTrap from '../../modules/comparison/components/FocusTrap.jsx'
+import './AnnotationEditor.css'
+
+const SEARCHABLE_COUNTRIES = COUNTRIES.map(country => ({
+  name: country.name,
+  code: country.iso3,
+  region: country.continent
+}))
+
+const emptyDraft = (countries) => ({
+  title: '',
+  short: '',
+  start: '',
+  end: '',
+  countries,
+  description: ''
+})
+
+/**
+ * AnnotationEditor Component
+ * Modal listing the bundled events and the user's own, with a form for adding events.
+ * Bundled events are read-only; the user's events are kept in this browser.
+ */
+const AnnotationEditor = ({ onClose, defaultCountries = [] }) => {
+  const [events, setEvents] = useState(() => annotationService.getAll())
+  const [draft, setDraft] = useState(() => emptyDraft(defaultCountries.map(getIso3).filter(Boolean)))
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    const unsubscribe = annotationService.subscribe(service => setEvents(service.getAll()))
+    annotationService.load()
+    return unsubscribe
+  }, [])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const userEvents = events.filter(event => event.source === 'user').sort((a, b) => a.start - b.start)
+  const bundledEvents = events.filter(event => event.source !== 'user').sort((a, b) => a.start - b.start)
+
+  const searchableCountries = useMemo(
+    () => SEARCHABLE_COUNTRIES.filter(country => !draft.countries.includes(country.code)),
+    [draft.countries]
+  )
+
+  const showMessage = (text, type = 'info') => {
+    setMessage({ text, type })
+    setTimeout(() => setMessage(null), 3000)
+  }
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    const event = annotationService.addAnnotation(draft)
+    if (event) {
+      setDraft(emptyDraft(draft.countries))
+      showMessage(`Added "${event.title}"`)
+    } else {
+      showMessage('An event needs a title and a start year', 'error')
+    }
+  }
+
+  const handleDelete = (event) => {
+    if (!window.confirm(`Delete event "${event.title}"?`)) return
+    annotationService.deleteAnnotation(event.id)
+  }
+
+  const describeCountries = (event) => (event.countries
+    ? event.countries.map(code => getCanonicalName(code) || code).join(', ')
+    : 'All countries')
+
+  const renderEvent = (event, deletable) => (
+    <li key={event.id} className="annotation-editor-item" title={event.description || undefined}>
+      <span
+        className="annotation-editor-swatch"
+        style={{ background: ANNOTATION_CATEGORIES[event.category]?.color }}
+        aria-hidden="true"
+      />
+      <span className="annotation-editor-text">
+        <strong>{formatAnnotationYears(event)}</strong> {event.title}
+        <span className="annotation-editor-countries">{describeCountries(event)}</span>
+      </span>
+      {deletable && (
+        <button type="button" onClick={() => handleDelete(event)} aria-label={`Delete ${event.title}`}>
+          ×
+        </button>
+      )}
+    </li>
+  )
+
+  const canAdd = draft.title.trim() && draft.start !== ''
+
+  return (
+    <>
+      <div className="annotation-editor-overlay" onClick={onClose} />
+      <div
+        className="annotation-editor"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="annotation-editor-title"
+      >
+        <FocusTrap>
+          <div className="annotation-editor-header">
+            <h3 id="annotation-editor-title">📌 Chart events</h3>
+            <button className="close-btn" onClick={onClose} title="Close" aria-label="Close">×</button>
+          </div>
+
+          <div className="annotation-editor-body">
+            <div className="annotation-editor-lists">
+              <span className="annotation-editor-label">My events ({userEvents.length})</span>
+              <ul className="annotation-editor-list">
+                {userEvents.length === 0 && (
+                  <li className="annotation-editor-note">Events you add are kept in this browser</li>
+                )}
+                {userEvents.map(event => renderEvent(event, true))}
+              </ul>
+
+              <span className="annotation-editor-label">Bundled ({bundledEvents.length})</span>
+              <ul className="annotation-editor-list">
+                {bundledEvents.map(event => renderEvent(event, false))}
+              </ul>
+            </div>
+
+            <form className="annotation-editor-form" onSubmit={handleAdd}>
+              <label className="annotation-editor-label" htmlFor="annotation-title">Title</label>
+              <input
+                id="annotation-title"
+                type="text"
+                value={draft.title}
+                onChange={(e) => update({ title: e.target.value })}
+                placeholder="e.g. Pension reform"
+                maxLength={80}
+              />
+
+              <label className="annotation-editor-label" htmlFor="annotation-short">Chart label</label>
+              <input
+                id="annotation-short"
+                type="text"
+                value={draft.short}
+                onChange={(e) => update({ short: e.target.value })}
+                placeholder="Short label, defaults to the title"
+                maxLength={12}
+              />
+
+              <div className="annotation-editor-years">
+                <label>
+                  <span className="annotation-editor-label">From</span>
+                  <input
+                    type="number"
+                    value={draft.start}
+                    onChange={(e) => update({ start: e.target.value })}
+                    min={1900}
+                    max={2100}
+                    required
+                  />
+                </label>
+                <label>
+                  <span className="annotation-editor-label">To (optional)</span>
+                  <input
+                    type="number"
+                    value={draft.end}
+                    onChange={(e) => update({ end: e.target.value })}
+                    min={1900}
+                    max={2100}
+                  />
+                </label>
+              </div>
+
+              <span className="annotation-editor-label">
+                Countries
+                <span className="annotation-editor-note"> – leave empty to show on every chart</span>
+              </span>
+              <div className="annotation-editor-members">
+                {draft.countries.map(code => (
+                  <span key={code} className="annotation-editor-chip" title={getCanonicalName(code) || code}>
+                    {code}
+                    <button
+                      type="button"
+                      onClick={() => update({ countries: draft.countries.filter(c => c !== code) })}
+                      aria-label={`Remove ${getCanonicalName(code) || code}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+              <CountrySearch
+                key={draft.countries.length}
+                countries={searchableCountries}
+                onCountrySelect={(country) => country && update({ countries: [...draft.countries, country.code] })}
+                placeholder="Add a country by name or code..."
+              />
+
+              <label className="annotation-editor-label" htmlFor="annotation-description">Details</label>
+              <textarea
+                id="annotation-description"
+                value={draft.description}
+                onChange={(e) => update({ description: e.target.value })}
+                rows={3}
+                maxLength={500}
+                placeholder="Shown when hovering the event"
+              />
+
+              <div className="annotation-editor-actions">
+                <button type="submit" className="primary" disabled={!canAdd}>Add event</button>
+              </div>
+
+              {message && (
+                <div className={`annotation-editor-message ${message.type}`}>{message.text}</div>
+              )}
+            </form>
+          </div>
+        </FocusTrap>
+      </div>
+    </>
+  )
+}
+
+export default AnnotationEditor
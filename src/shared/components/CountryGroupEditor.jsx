@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { countryGroupService } from '../services/CountryGroupService.js'
+import { COUNTRIES, getCanonicalName } from '../utils/CountryRegistry.js'
+import CountrySearch from './CountrySearch.jsx'
+import FocusTrap from '../../modules/comparison/components/FocusTrap.jsx'
+import './CountryGroupEditor.css'
+
+const NEW_GROUP = 'new'
+
+const SEARCHABLE_COUNTRIES = COUNTRIES.map(country => ({
+  name: country.name,
+  code: country.iso3,
+  region: country.continent
+}))
+
+/**
+ * CountryGroupEditor Component
+ * Modal for creating, editing, duplicating and deleting country groups,
+ * with JSON/CSV import and export of the user's groups. Presets are read-only.
+ */
+const CountryGroupEditor = ({ onClose, initialGroupId = null }) => {
+  const [groups, setGroups] = useState(() => countryGroupService.getGroups())
+  const [selectedId, setSelectedId] = useState(() => initialGroupId || countryGroupService.getGroups()[0]?.id || NEW_GROUP)
+  const [draft, setDraft] = useState({ name: '', countries: [] })
+  const [message, setMessage] = useState(null)
+  const fileInputRef = useRef(null)
+
+  useEffect(() => countryGroupService.subscribe(setGroups), [])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const selectedGroup = selectedId === NEW_GROUP ? null : countryGroupService.getGroup(selectedId)
+  const isPreset = !!selectedGroup?.preset
+
+  // Load the selected group into the form
+  useEffect(() => {
+    setDraft(selectedGroup
+      ? { name: selectedGroup.name, countries: [...selectedGroup.countries] }
+      : { name: '', countries: [] })
+  }, [selectedId])
+
+  const searchableCountries = useMemo(
+    () => SEARCHABLE_COUNTRIES.filter(country => !draft.countries.includes(country.code)),
+    [draft.countries]
+  )
+
+  const showMessage = (text, type = 'info') => {
+    setMessage({ text, type })
+    setTimeout(() => setMessage(null), 3000)
+  }
+
+  const addCountry = (country) => {
+    if (!country || draft.countries.includes(country.code)) return
+    setDraft(prev => ({ ...prev, countries: [...prev.countries, country.code] }))
+  }
+
+  const removeCountry = (code) => {
+    setDraft(prev => ({ ...prev, countries: prev.countries.filter(c => c !== code) }))
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (selectedId === NEW_GROUP) {
+      const group = countryGroupService.createGroup(draft.name, draft.countries)
+      if (group) {
+        setSelectedId(group.id)
+        showMessage(`Created "${group.name}"`)
+      }
+    } else if (countryGroupService.updateGroup(selectedId, draft)) {
+      showMessage('Group saved')
+    }
+  }
+
+  const handleDuplicate = () => {
+    const copy = countryGroupService.duplicateGroup(selectedId)
+    if (copy) {
+      setSelectedId(copy.id)
+      showMessage(`Created "${copy.name}"`)
+    }
+  }
+
+  const handleDelete = () => {
+    if (!selectedGroup || !window.confirm(`Delete country group "${selectedGroup.name}"?`)) return
+    countryGroupService.deleteGroup(selectedId)
+    setSelectedId(countryGroupService.getGroups()[0]?.id || NEW_GROUP)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json'
+    const result = countryGroupService.importGroups(await file.text(), format)
+    if (result.error) {
+      showMessage(result.error, 'error')
+    } else {
+      showMessage(`Imported ${result.imported}, updated ${result.updated} group(s)${result.skipped ? `, skipped ${result.skipped} invalid` : ''}`)
+    }
+  }
+
+  const hasUserGroups = groups.some(group => !group.preset)
+  const canSave = !isPreset && draft.name.trim() && draft.countries.length > 0
+
+  return (
+    <>
+      <div className="country-group-overlay" onClick={onClose} />
+      <div
+        className="country-group-editor"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="country-group-editor-title"
+      >
+        <FocusTrap>
+          <div className="country-group-header">
+            <h3 id="country-group-editor-title">🌐 Country groups</h3>
+            <button className="close-btn" onClick={onClose} title="Close" aria-label="Close">×</button>
+          </div>
+
+          <div className="country-group-body">
+            <ul className="country-group-list">
+              {groups.map(group => (
+                <li key={group.id}>
+                  <button
+                    className={`country-group-item ${group.id === selectedId ? 'active' : ''}`}
+                    onClick={() => setSelectedId(group.id)}
+                  >
+                    <span className="country-group-name">{group.name}</span>
+                    <span className="country-group-count">
+                      {group.preset ? 'Preset · ' : ''}{group.countries.length}
+                    </span>
+                  </button>
+                </li>
+              ))}
+              <li>
+                <button
+                  className={`country-group-item new ${selectedId === NEW_GROUP ? 'active' : ''}`}
+                  onClick={() => setSelectedId(NEW_GROUP)}
+                >
+                  + New group
+                </button>
+              </li>
+            </ul>
+
+            <form className="country-group-form" onSubmit={handleSave}>
+              <label className="country-group-label" htmlFor="country-group-name">Name</label>
+              <input
+                id="country-group-name"
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Nordics or Our client countries"
+                maxLength={100}
+                disabled={isPreset}
+              />
+
+              <span className="country-group-label">
+                Countries ({draft.countries.length})
+                {isPreset && <span className="country-group-note"> – presets are read-only, duplicate to edit</span>}
+              </span>
+              <div className="country-group-members">
+                {draft.countries.length === 0 && (
+                  <span className="country-group-note">Add countries with the search below</span>
+                )}
+                {draft.countries.map(code => (
+                  <span key={code} className="country-group-chip" title={getCanonicalName(code) || code}>
+                    {code}
+                    {!isPreset && (
+                      <button
+                        type="button"
+                        onClick={() => removeCountry(code)}
+                        aria-label={`Remove ${getCanonicalName(code) || code}`}
+                      >
+                        ×
+                      </button>
+                    )}
+                  </span>
+                ))}
+              </div>
+
+              {!isPreset && (
+                <CountrySearch
+                  key={draft.countries.length}
+                  countries={searchableCountries}
+                  onCountrySelect={addCountry}
+                  placeholder="Add a country by name or code..."
+                />
+              )}
+
+              <div className="country-group-actions">
+                {!isPreset && (
+                  <button type="submit" className="primary" disabled={!canSave}>
+                    {selectedId === NEW_GROUP ? 'Create group' : 'Save'}
+                  </button>
+                )}
+                {selectedGroup && (
+                  <button type="button" onClick={handleDuplicate}>Duplicate</button>
+                )}
+                {selectedGroup && !isPreset && (
+                  <button type="button" onClick={handleDelete}>Delete</button>
+                )}
+              </div>
+            </form>
+          </div>
+
+          {message && (
+            <div className={`country-group-message ${message.type}`}>{message.text}</div>
+          )}
+
+          <div className="country-group-footer">
+            <button onClick={() => countryGroupService.downloadGroups('json')} disabled={!hasUserGroups}>
+              Export JSON
+            </button>
+            <button onClick={() => countryGroupService.downloadGroups('csv')} disabled={!hasUserGroups}>
+              Export CSV
+            </button>
+            <button onClick={() => fileInputRef.current?.click()}>
+              Import JSON/CSV
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json,text/csv,.csv"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </div>
+        </FocusTrap>
+      </div>
+    </>
+  )
+}
+
+export default CountryGroupEditor
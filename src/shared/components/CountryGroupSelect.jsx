@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react'
+import { countryGroupService } from '../services/CountryGroupService.js'
+import CountryGroupEditor from './CountryGroupEditor.jsx'
+import './CountryGroupEditor.css'
+
+/**
+ * CountryGroupSelect Component
+ * Dropdown of preset and saved country groups, with a button opening the group editor
+ */
+const CountryGroupSelect = ({ value = null, onChange, id, placeholder = 'All countries' }) => {
+  const [groups, setGroups] = useState(() => countryGroupService.getGroups())
+  const [editorOpen, setEditorOpen] = useState(false)
+
+  useEffect(() => countryGroupService.subscribe(setGroups), [])
+
+  const presets = groups.filter(group => group.preset)
+  const userGroups = groups.filter(group => !group.preset)
+  const selected = value && groups.some(group => group.id === value) ? value : ''
+
+  return (
+    <div className="country-group-select">
+      <select
+        id={id}
+        value={selected}
+        onChange={(e) => onChange && onChange(e.target.value || null)}
+      >
+        <option value="">{placeholder}</option>
+        <optgroup label="Presets">
+          {presets.map(group => (
+            <option key={group.id} value={group.id}>{group.name} ({group.countries.length})</option>
+          ))}
+        </optgroup>
+        {userGroups.length > 0 && (
+          <optgroup label="My groups">
+            {userGroups.map(group => (
+              <option key={group.id} value={group.id}>{group.name} ({group.countries.length})</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <button
+        type="button"
+        onClick={() => setEditorOpen(true)}
+        title="Create, edit, import or export country groups"
+      >
+        ✏️ Groups
+      </button>
+
+      {editorOpen && (
+        <CountryGroupEditor
+          initialGroupId={selected || null}
+          onClose={() => setEditorOpen(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default CountryGroupSelect
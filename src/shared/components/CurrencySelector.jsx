@@ -0,0 +1,38 @@
+import React from 'react'
+import { filterStateManager } from '../services/FilterStateManager.js'
+import { CURRENCY_CONVERSIONS } from '../services/CurrencyConversionService.js'
+import { useCurrencyConversion } from '../hooks/useCurrencyConversion.js'
+
+/**
+ * CurrencySelector Component
+ * Header toggle between market-exchange-rate USD and PPP international dollars
+ * The choice is shared by every module through FilterStateManager
+ */
+const CurrencySelector = () => {
+  const { requestedCurrency, isLoading, unavailable } = useCurrencyConversion()
+
+  const handleChange = (event) => {
+    filterStateManager.updateFilters({ currency: event.target.value }, true)
+  }
+
+  return (
+    <label
+      className="header-select"
+      title={unavailable
+        ? 'PPP data (ppp_conversion.csv) is not available'
+        : 'Convert local currency values to USD at market exchange rates or at purchasing power parity'}
+    >
+      <span className="header-select-label">Currency</span>
+      <select value={requestedCurrency} onChange={handleChange}>
+        {Object.entries(CURRENCY_CONVERSIONS).map(([currency, meta]) => (
+          <option key={currency} value={currency} disabled={currency === 'ppp' && unavailable}>
+            {meta.label}
+          </option>
+        ))}
+      </select>
+      {isLoading && <span className="header-select-status">Loading…</span>}
+    </label>
+  )
+}
+
+export default CurrencySelector
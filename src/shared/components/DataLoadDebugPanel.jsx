@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react'
+import { dataLoadStatsService } from '../services/DataLoadStatsService.js'
+import './DataLoadDebugPanel.css'
+
+/**
+ * Format a byte count (B, KB, MB)
+ * @private
+ */
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '—'
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+}
+
+const formatDuration = (ms) => (ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`)
+
+/**
+ * DataLoadDebugPanel Component
+ * Lists every data file loaded so far with its size, the bytes transferred and the
+ * load time, newest first. Toggled with Alt+Shift+D.
+ */
+const DataLoadDebugPanel = ({ onClose }) => {
+  const [entries, setEntries] = useState(() => dataLoadStatsService.getEntries())
+
+  useEffect(() => {
+    return dataLoadStatsService.subscribe(setEntries)
+  }, [])
+
+  const totals = dataLoadStatsService.getTotals()
+
+  return (
+    <div className="data-load-debug" role="region" aria-label="Data loading statistics">
+      <div className="data-load-debug-header">
+        <strong>Data loading</strong>
+        <span className="data-load-debug-totals">
+          {totals.files} files · {formatBytes(totals.bytes)} · {formatBytes(totals.transferred)} transferred · {formatDuration(totals.elapsed)}
+          {totals.errors > 0 && ` · ${totals.errors} failed`}
+        </span>
+        <button onClick={() => dataLoadStatsService.clear()} title="Clear the list">Clear</button>
+        <button onClick={onClose} title="Close (Alt+Shift+D)" aria-label="Close">×</button>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="data-load-debug-empty">No data files loaded yet</p>
+      ) : (
+        <div className="data-load-debug-table">
+          <table>
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Source</th>
+                <th>Size</th>
+                <th title="Bytes over the network (0 from the HTTP cache, — when not reported)">Transferred</th>
+                <th>Start</th>
+                <th>Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...entries].reverse().map((entry, i) => (
+                <tr key={`${entry.file}-${entry.startTime}-${i}`} className={entry.error ? 'failed' : ''} title={entry.error || undefined}>
+                  <td className="file">{entry.file}</td>
+                  <td>{entry.error ? 'failed' : entry.source}</td>
+                  <td>{formatBytes(entry.bytes)}</td>
+                  <td>{formatBytes(entry.transferred)}</td>
+                  <td>{formatDuration(entry.startTime)}</td>
+                  <td>{formatDuration(entry.duration)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DataLoadDebugPanel
@@ -1,5 +1,6 @@
 import React, { useState } from 'react'
 import { exportService } from '../../services/ExportService.js'
+import { annotationService } from '../services/AnnotationService.js'
 import '../styles/ExportButton.css'
 
 /**
@@ -16,6 +17,10 @@ const ExportButton = ({
   const [isOpen, setIsOpen] = useState(false)
   const [isExporting, setIsExporting] = useState(false)
 
+  // Events shown on the report's charts, unless the caller lists them
+  const getAnnotations = () => metadata.annotations ||
+    (annotationService.isVisible() ? annotationService.getAnnotations({ countries: metadata.countries }) : [])
+
   const handlePDFExport = async () => {
     try {
       setIsExporting(true)
@@ -31,7 +36,8 @@ const ExportButton = ({
         metadata: {
           ...metadata,
           dateRange: metadata.dateRange || 'All available data',
-          countries: metadata.countries || []
+          countries: metadata.countries || [],
+          annotations: getAnnotations()
         }
       }
 
@@ -85,7 +91,8 @@ const ExportButton = ({
         title: `Custom ${reportType.charAt(0).toUpperCase() + reportType.slice(1)} Report`,
         sections: ['overview', 'trends', 'comparisons', 'insights'],
         dateRange: metadata.dateRange,
-        countries: metadata.countries
+        countries: metadata.countries,
+        annotations: getAnnotations()
       }
 
       const reportConfig = await exportService.createCustomReport(template, data)
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react'
+import { useLinkedSelection } from '../hooks/useLinkedSelection.js'
+import { chartInteractionManager } from '../../modules/comparison/services/ChartInteractionManager.js'
+import { countryGroupService } from '../services/CountryGroupService.js'
+import { getCanonicalName } from '../utils/CountryRegistry.js'
+import './LinkedSelectionBar.css'
+
+const MAX_CHIPS = 6
+
+/**
+ * LinkedSelectionBar Component
+ * Shows the countries selected across linked charts and maps, with undo/redo
+ * from the interaction history, clear, and saving the selection as a country group
+ */
+const LinkedSelectionBar = ({ barId = 'linked-selection-bar' }) => {
+  const { selected, select, toggle } = useLinkedSelection(barId)
+  const [undoState, setUndoState] = useState(() => chartInteractionManager.getUndoState())
+  const [groupName, setGroupName] = useState('')
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    chartInteractionManager.addEventListener('historyChanged', setUndoState)
+    return () => chartInteractionManager.removeEventListener('historyChanged', setUndoState)
+  }, [])
+
+  const handleSaveGroup = (e) => {
+    e.preventDefault()
+    const group = countryGroupService.createGroup(groupName, selected)
+    if (group) {
+      setGroupName('')
+      setMessage(`Saved "${group.name}"`)
+      setTimeout(() => setMessage(null), 3000)
+    }
+  }
+
+  if (selected.length === 0 && !undoState.canUndo && !undoState.canRedo) {
+    return null
+  }
+
+  return (
+    <div className="linked-selection-bar" role="region" aria-label="Linked country selection">
+      <span className="linked-selection-count">
+        🔗 {selected.length === 0 ? 'No countries selected' : `${selected.length} selected`}
+      </span>
+
+      <div className="linked-selection-chips">
+        {selected.slice(0, MAX_CHIPS).map(code => (
+          <button
+            key={code}
+            className="linked-selection-chip"
+            onClick={() => toggle(code)}
+            title={`Remove ${getCanonicalName(code) || code} from the selection`}
+          >
+            {code} ×
+          </button>
+        ))}
+        {selected.length > MAX_CHIPS && (
+          <span className="linked-selection-more">+{selected.length - MAX_CHIPS}</span>
+        )}
+      </div>
+
+      <div className="linked-selection-actions">
+        <button
+          onClick={() => chartInteractionManager.undo()}
+          disabled={!undoState.canUndo}
+          title="Undo the last selection change"
+          aria-label="Undo"
+        >
+          ↶
+        </button>
+        <button
+          onClick={() => chartInteractionManager.redo()}
+          disabled={!undoState.canRedo}
+          title="Redo"
+          aria-label="Redo"
+        >
+          ↷
+        </button>
+        <button onClick={() => select([])} disabled={selected.length === 0}>
+          Clear
+        </button>
+      </div>
+
+      {selected.length > 0 && (
+        <form className="linked-selection-save" onSubmit={handleSaveGroup}>
+          <input
+            type="text"
+            value={groupName}
+            onChange={(e) => setGroupName(e.target.value)}
+            placeholder="Group name"
+            aria-label="Country group name"
+            maxLength={100}
+          />
+          <button type="submit" disabled={!groupName.trim()}>
+            Save as group
+          </button>
+        </form>
+      )}
+
+      {message && <span className="linked-selection-message">{message}</span>}
+    </div>
+  )
+}
+
+export default LinkedSelectionBar
@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react'
+import { offlineService } from '../services/OfflineService.js'
+import './OfflineBadge.css'
+
+/**
+ * OfflineBadge Component
+ * Header badge with the connection state and the data version in use, plus an
+ * "Update data" action when the server has a newer data version
+ */
+const OfflineBadge = () => {
+  const [status, setStatus] = useState(() => offlineService.getStatus())
+
+  useEffect(() => {
+    return offlineService.subscribe(setStatus)
+  }, [])
+
+  const { online, dataVersion, offlineReady, updateAvailable, updating, progress, latestVersion, supported, error } = status
+
+  let title = dataVersion ? `Data version ${dataVersion}` : 'Data version unknown (run npm run data:build)'
+  if (supported) {
+    title += offlineReady ? ', available offline' : ', not yet saved for offline use'
+  }
+  if (error) title += ` (${error})`
+
+  const savingOffline = supported && !offlineReady && !updating && progress && progress.done < progress.total
+
+  return (
+    <div className={`offline-badge ${online ? 'online' : 'offline'}`} title={title}>
+      <span className="offline-badge-state">{online ? '● Online' : '○ Offline'}</span>
+      <span className="offline-badge-version">data {dataVersion || '—'}</span>
+      {savingOffline && (
+        <span className="offline-badge-progress">saving offline {progress.done}/{progress.total}</span>
+      )}
+      {(updateAvailable || updating) && online && (
+        <button
+          className="offline-badge-update"
+          onClick={() => offlineService.updateData()}
+          disabled={updating}
+          title={`Download data version ${latestVersion} and reload`}
+        >
+          {updating
+            ? `Updating${progress ? ` ${progress.done}/${progress.total}` : '...'}`
+            : '⟳ Update data'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default OfflineBadge
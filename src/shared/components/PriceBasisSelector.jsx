@@ -0,0 +1,43 @@
+import React from 'react'
+import { filterStateManager } from '../services/FilterStateManager.js'
+import { priceBasisService } from '../services/PriceBasisService.js'
+import { usePriceBasis } from '../hooks/usePriceBasis.js'
+
+/**
+ * PriceBasisSelector Component
+ * Header toggle between nominal (current price) values and real values at a base year's prices
+ * The choice is shared by every module through FilterStateManager
+ */
+const PriceBasisSelector = () => {
+  const { requestedBaseYear, isLoading, unavailable } = usePriceBasis()
+  const baseYears = priceBasisService.getBaseYears()
+
+  const handleChange = (event) => {
+    const value = event.target.value
+    filterStateManager.updateFilters({ baseYear: value ? parseInt(value) : null }, true)
+  }
+
+  return (
+    <label
+      className="header-select"
+      title={unavailable
+        ? 'Deflator data (gdp_deflator.csv) is not available'
+        : 'Show monetary values at current prices or at constant prices of a base year'}
+    >
+      <span className="header-select-label">Prices</span>
+      <select
+        value={requestedBaseYear || ''}
+        onChange={handleChange}
+        disabled={unavailable}
+      >
+        <option value="">Nominal</option>
+        {baseYears.map(year => (
+          <option key={year} value={year}>Real ({year} prices)</option>
+        ))}
+      </select>
+      {isLoading && <span className="header-select-status">Loading…</span>}
+    </label>
+  )
+}
+
+export default PriceBasisSelector
@@ -0,0 +1,79 @@
+import React from 'react'
+import {
+  PROJECTION_MODELS,
+  PROJECTION_HORIZONS,
+  CONFIDENCE_LEVELS,
+  describeBacktest
+} from '../services/ProjectionService.js'
+import './ProjectionControls.css'
+
+/**
+ * ProjectionControls Component
+ * Toggle and settings (model, horizon, interval) for projecting a trend chart,
+ * with the backtest accuracy of each projected series
+ */
+const ProjectionControls = ({ settings, onChange, backtests = [], lastYear = null }) => {
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  return (
+    <div className="projection-controls">
+      <label className="projection-toggle">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        📈 Project{lastYear ? ` beyond ${lastYear}` : ''}
+      </label>
+
+      {settings.enabled && (
+        <>
+          <div className="projection-settings">
+            <select
+              value={settings.model}
+              onChange={(e) => update({ model: e.target.value })}
+              aria-label="Projection model"
+              title={PROJECTION_MODELS[settings.model].description}
+            >
+              {Object.entries(PROJECTION_MODELS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={settings.horizon}
+              onChange={(e) => update({ horizon: parseInt(e.target.value) })}
+              aria-label="Years to project"
+            >
+              {PROJECTION_HORIZONS.map(horizon => (
+                <option key={horizon} value={horizon}>+{horizon} yr{horizon > 1 ? 's' : ''}</option>
+              ))}
+            </select>
+            <select
+              value={settings.level}
+              onChange={(e) => update({ level: parseFloat(e.target.value) })}
+              aria-label="Prediction interval"
+            >
+              {Object.keys(CONFIDENCE_LEVELS).map(level => (
+                <option key={level} value={level}>{Math.round(level * 100)}% interval</option>
+              ))}
+            </select>
+          </div>
+
+          <ul className="projection-backtests">
+            {backtests.length === 0 && (
+              <li>Not enough consecutive years to project</li>
+            )}
+            {backtests.map(({ label, backtest }) => (
+              <li key={label || 'series'}>
+                {label && <strong>{label}: </strong>}
+                {describeBacktest(backtest)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ProjectionControls
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { savedViewsService } from '../services/SavedViewsService.js'
+import './SavedViewsMenu.css'
+
+const MODULE_LABELS = {
+  about: 'About',
+  spending: 'Spending',
+  gdp: 'GDP',
+  comparison: 'Comparison',
+  quality: 'Data Quality'
+}
+
+/**
+ * SavedViewsMenu Component
+ * Header dropdown for saving, applying and managing named dashboard views
+ * Supports rename, duplicate, delete and JSON import/export of the collection
+ */
+const SavedViewsMenu = ({ onApplyView }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [views, setViews] = useState(() => savedViewsService.getViews())
+  const [newName, setNewName] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editingName, setEditingName] = useState('')
+  const [message, setMessage] = useState(null)
+  const menuRef = useRef(null)
+  const fileInputRef = useRef(null)
+
+  useEffect(() => {
+    return savedViewsService.subscribe(setViews)
+  }, [])
+
+  // Close when clicking outside the menu
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false)
+        setEditingId(null)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [isOpen])
+
+  const showMessage = (text, type = 'info') => {
+    setMessage({ text, type })
+    setTimeout(() => setMessage(null), 3000)
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (savedViewsService.saveCurrentView(newName)) {
+      setNewName('')
+      showMessage('View saved')
+    }
+  }
+
+  const handleApply = (view) => {
+    const result = savedViewsService.applyView(view.id)
+    if (!result.success) {
+      showMessage(result.error, 'error')
+      return
+    }
+    if (onApplyView) {
+      onApplyView(result.module)
+    }
+    setIsOpen(false)
+  }
+
+  const startRename = (view) => {
+    setEditingId(view.id)
+    setEditingName(view.name)
+  }
+
+  const handleRename = (e) => {
+    e.preventDefault()
+    savedViewsService.renameView(editingId, editingName)
+    setEditingId(null)
+  }
+
+  const handleDelete = (view) => {
+    if (window.confirm(`Delete saved view "${view.name}"?`)) {
+      savedViewsService.deleteView(view.id)
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    const result = savedViewsService.importViews(await file.text())
+    if (result.error) {
+      showMessage(result.error, 'error')
+    } else {
+      showMessage(`Imported ${result.imported} view(s)${result.skipped ? `, skipped ${result.skipped} invalid` : ''}`)
+    }
+  }
+
+  return (
+    <div className="saved-views-menu" ref={menuRef}>
+      <button
+        className="saved-views-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Saved views"
+      >
+        ⭐ Saved views{views.length > 0 ? ` (${views.length})` : ''}
+      </button>
+
+      {isOpen && (
+        <div className="saved-views-dropdown">
+          <form className="saved-views-save" onSubmit={handleSave}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Name this view, e.g. OECD social benefits 2010-2020"
+              maxLength={100}
+            />
+            <button type="submit" disabled={!newName.trim()}>Save</button>
+          </form>
+
+          {message && (
+            <div className={`saved-views-message ${message.type}`}>{message.text}</div>
+          )}
+
+          {views.length === 0 ? (
+            <p className="saved-views-empty">No saved views yet</p>
+          ) : (
+            <ul className="saved-views-list">
+              {views.map(view => {
+                const valid = savedViewsService.isValidView(view)
+                return (
+                  <li key={view.id} className={`saved-view-item ${valid ? '' : 'invalid'}`}>
+                    {editingId === view.id ? (
+                      <form className="saved-view-rename" onSubmit={handleRename}>
+                        <input
+                          type="text"
+                          value={editingName}
+                          onChange={(e) => setEditingName(e.target.value)}
+                          maxLength={100}
+                          autoFocus
+                        />
+                        <button type="submit">✓</button>
+                        <button type="button" onClick={() => setEditingId(null)}>×</button>
+                      </form>
+                    ) : (
+                      <>
+                        <button
+                          className="saved-view-apply"
+                          onClick={() => handleApply(view)}
+                          disabled={!valid}
+                          title={valid ? 'Open this view' : 'This view is invalid or outdated'}
+                        >
+                          <span className="saved-view-name">{valid ? '' : '⚠️ '}{view.name}</span>
+                          <span className="saved-view-module">{MODULE_LABELS[view.module] || view.module}</span>
+                        </button>
+                        <div className="saved-view-actions">
+                          <button onClick={() => startRename(view)} title="Rename">✏️</button>
+                          <button onClick={() => savedViewsService.duplicateView(view.id)} title="Duplicate">⧉</button>
+                          <button onClick={() => handleDelete(view)} title="Delete">🗑️</button>
+                        </div>
+                      </>
+                    )}
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+
+          <div className="saved-views-footer">
+            <button onClick={() => savedViewsService.downloadViews()} disabled={views.length === 0}>
+              Export JSON
+            </button>
+            <button onClick={() => fileInputRef.current?.click()}>
+              Import JSON
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SavedViewsMenu
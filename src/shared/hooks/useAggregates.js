@@ -0,0 +1,34 @@
+/**
+ * useAggregates Hook
+ * Aggregates selectable as pseudo-countries, grouped by kind for dropdowns,
+ * and kept current as country groups are created, renamed or deleted
+ *
+ * Usage:
+ * const { aggregates, aggregateOptions } = useAggregates()
+ * aggregateOptions: [{ kind, label, aggregates: [{ code, name, kind }] }]
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { aggregationService, AGGREGATE_KINDS } from '../services/AggregationService.js'
+import { countryGroupService } from '../services/CountryGroupService.js'
+
+export function useAggregates() {
+  const [groups, setGroups] = useState(() => countryGroupService.getGroups())
+
+  useEffect(() => countryGroupService.subscribe(setGroups), [])
+
+  const aggregates = useMemo(() => aggregationService.getAggregates(), [groups])
+
+  const aggregateOptions = useMemo(() => {
+    const byKind = new Map()
+    aggregates.forEach(aggregate => {
+      if (!byKind.has(aggregate.kind)) byKind.set(aggregate.kind, [])
+      byKind.get(aggregate.kind).push(aggregate)
+    })
+    return Array.from(byKind, ([kind, list]) => ({ kind, label: AGGREGATE_KINDS[kind].label, aggregates: list }))
+  }, [aggregates])
+
+  return { aggregates, aggregateOptions }
+}
+
+export default useAggregates
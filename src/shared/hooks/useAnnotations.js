@@ -0,0 +1,37 @@
+/**
+ * useAnnotations Hook
+ * Events to draw on a time chart, kept current as bundled events load,
+ * the user adds or deletes events, or switches events off
+ *
+ * Usage:
+ * const annotations = useAnnotations(['GRC'], [2000, 2023])
+ * Returns [] while events are hidden; pass null countries for global events only
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { annotationService } from '../services/AnnotationService.js'
+
+export function useAnnotations(countries = null, yearRange = null) {
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    const unsubscribe = annotationService.subscribe(() => setVersion(v => v + 1))
+    annotationService.load()
+    return unsubscribe
+  }, [])
+
+  // Callers usually pass fresh arrays, so depend on their contents
+  const countryKey = (countries || []).filter(Boolean).join('|')
+  const startYear = yearRange?.[0] ?? null
+  const endYear = yearRange?.[1] ?? null
+
+  return useMemo(() => {
+    if (!annotationService.isVisible()) return []
+    return annotationService.getAnnotations({
+      countries: countryKey ? countryKey.split('|') : null,
+      yearRange: startYear !== null && endYear !== null ? [startYear, endYear] : null
+    })
+  }, [version, countryKey, startYear, endYear])
+}
+
+export default useAnnotations
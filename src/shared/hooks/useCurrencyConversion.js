@@ -0,0 +1,60 @@
+/**
+ * useCurrencyConversion Hook
+ * Current USD conversion (market exchange rate or PPP) from the shared filter state,
+ * loading the PPP dataset the first time PPP is requested
+ *
+ * Usage:
+ * const { currency, isLoading, unavailable } = useCurrencyConversion()
+ * currency is 'market' until PPP factors are loaded
+ */
+
+import { useState, useEffect } from 'react'
+import { filterStateManager } from '../services/FilterStateManager.js'
+import { currencyConversionService, DEFAULT_CURRENCY } from '../services/CurrencyConversionService.js'
+
+export function useCurrencyConversion() {
+  const [requestedCurrency, setRequestedCurrency] = useState(() => filterStateManager.getFilters().currency || DEFAULT_CURRENCY)
+  const [isLoaded, setIsLoaded] = useState(() => currencyConversionService.isLoaded())
+  const [unavailable, setUnavailable] = useState(() => currencyConversionService.isUnavailable())
+
+  // Follow the shared conversion (header selector, saved views, shared links)
+  useEffect(() => {
+    const unsubscribe = filterStateManager.subscribe((filters) => {
+      setRequestedCurrency(filters.currency || DEFAULT_CURRENCY)
+    })
+    return unsubscribe
+  }, [])
+
+  useEffect(() => {
+    if (requestedCurrency !== 'ppp' || isLoaded) return
+
+    let cancelled = false
+    currencyConversionService.load()
+      .then(() => {
+        if (!cancelled) {
+          setIsLoaded(true)
+          setUnavailable(false)
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          // Fall back to market exchange rates everywhere
+          setUnavailable(true)
+          filterStateManager.updateFilters({ currency: DEFAULT_CURRENCY }, true)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [requestedCurrency, isLoaded])
+
+  return {
+    currency: requestedCurrency === 'ppp' && isLoaded ? 'ppp' : DEFAULT_CURRENCY,
+    requestedCurrency,
+    isLoading: requestedCurrency === 'ppp' && !isLoaded && !unavailable,
+    unavailable
+  }
+}
+
+export default useCurrencyConversion
@@ -0,0 +1,39 @@
+/**
+ * useIncomeClassification Hook
+ * Loads the historical World Bank income classification once and re-renders
+ * when per-year groups become available
+ *
+ * Usage:
+ * const { ready, hasHistory, sourceNote } = useIncomeClassification()
+ * Lookups go through incomeClassificationService; before `ready` they use the FY2025 groups
+ */
+
+import { useState, useEffect } from 'react'
+import { incomeClassificationService } from '../services/IncomeClassificationService.js'
+
+export function useIncomeClassification() {
+  const [ready, setReady] = useState(() => incomeClassificationService.hasHistory())
+  const [hasHistory, setHasHistory] = useState(() => incomeClassificationService.hasHistory())
+
+  useEffect(() => {
+    let cancelled = false
+    incomeClassificationService.load().then(() => {
+      if (!cancelled) {
+        setHasHistory(incomeClassificationService.hasHistory())
+        setReady(true)
+      }
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  return {
+    ready,
+    hasHistory,
+    sourceNote: incomeClassificationService.getSourceNote()
+  }
+}
+
+export default useIncomeClassification
@@ -0,0 +1,86 @@
+/**
+ * useLinkedSelection Hook
+ * Registers a chart or map with the shared ChartInteractionManager so brushing,
+ * selection and hover are coordinated across views (and survive switching views)
+ *
+ * Countries are exchanged as ISO3 codes; any identifier the country registry
+ * understands (name, alias, ISO3, ISO numeric) is accepted by the setters.
+ *
+ * Usage:
+ * const { selected, highlighted, isSelected, select, toggle, highlight, clearHighlight } = useLinkedSelection('spending-map')
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { chartInteractionManager } from '../../modules/comparison/services/ChartInteractionManager.js'
+import { getIso3 } from '../utils/CountryRegistry.js'
+
+/**
+ * Resolve country identifiers to unique ISO3 codes
+ * @param {Array} countries - Country names or codes
+ * @returns {Array<string>} ISO3 codes
+ */
+export function toCountryCodes(countries) {
+  return [...new Set((countries || []).map(getIso3).filter(Boolean))]
+}
+
+export function useLinkedSelection(chartId, { type = chartId } = {}) {
+  const [selected, setSelected] = useState(() => chartInteractionManager.getGlobalState().selectedCountries)
+  const [highlighted, setHighlighted] = useState([])
+
+  useEffect(() => {
+    chartInteractionManager.registerChart(chartId, {
+      type,
+      updateSelection: (codes) => setSelected([...codes]),
+      highlightCountries: (codes) => setHighlighted([...codes]),
+      clearHighlights: () => setHighlighted([]),
+      updateZoom: () => {},
+      updateFilters: () => {},
+      getSelection: () => chartInteractionManager.getGlobalState().selectedCountries
+    })
+    return () => chartInteractionManager.unregisterChart(chartId)
+  }, [chartId, type])
+
+  const select = useCallback((countries) => {
+    const codes = toCountryCodes(countries)
+    setSelected(codes)
+    chartInteractionManager.updateSelection(codes, chartId)
+  }, [chartId])
+
+  const toggle = useCallback((country) => {
+    const code = getIso3(country)
+    if (!code) return
+
+    const current = chartInteractionManager.getGlobalState().selectedCountries
+    select(current.includes(code) ? current.filter(c => c !== code) : [...current, code])
+  }, [select])
+
+  const highlight = useCallback((countries) => {
+    const codes = toCountryCodes(countries)
+    setHighlighted(codes)
+    chartInteractionManager.highlightCountries(codes, chartId)
+  }, [chartId])
+
+  const clearHighlight = useCallback(() => {
+    setHighlighted([])
+    chartInteractionManager.clearHighlights(chartId)
+  }, [chartId])
+
+  const selectedSet = useMemo(() => new Set(selected), [selected])
+  const highlightedSet = useMemo(() => new Set(highlighted), [highlighted])
+
+  const isSelected = useCallback((country) => selectedSet.has(getIso3(country)), [selectedSet])
+  const isHighlighted = useCallback((country) => highlightedSet.has(getIso3(country)), [highlightedSet])
+
+  return {
+    selected,
+    highlighted,
+    isSelected,
+    isHighlighted,
+    select,
+    toggle,
+    highlight,
+    clearHighlight
+  }
+}
+
+export default useLinkedSelection
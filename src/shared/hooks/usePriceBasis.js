@@ -0,0 +1,60 @@
+/**
+ * usePriceBasis Hook
+ * Current price basis (nominal or real at a base year) from the shared filter state,
+ * loading the deflator dataset the first time real prices are requested
+ *
+ * Usage:
+ * const { baseYear, isLoading, unavailable } = usePriceBasis()
+ * baseYear is null for nominal values and stays null until deflators are loaded
+ */
+
+import { useState, useEffect } from 'react'
+import { filterStateManager } from '../services/FilterStateManager.js'
+import { priceBasisService } from '../services/PriceBasisService.js'
+
+export function usePriceBasis() {
+  const [requestedBaseYear, setRequestedBaseYear] = useState(() => filterStateManager.getFilters().baseYear || null)
+  const [isLoaded, setIsLoaded] = useState(() => priceBasisService.isLoaded())
+  const [unavailable, setUnavailable] = useState(() => priceBasisService.isUnavailable())
+
+  // Follow the shared price basis (header selector, saved views, shared links)
+  useEffect(() => {
+    const unsubscribe = filterStateManager.subscribe((filters) => {
+      setRequestedBaseYear(filters.baseYear || null)
+    })
+    return unsubscribe
+  }, [])
+
+  useEffect(() => {
+    if (!requestedBaseYear || isLoaded) return
+
+    let cancelled = false
+    priceBasisService.load()
+      .then(() => {
+        if (!cancelled) {
+          setIsLoaded(true)
+          setUnavailable(false)
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          // Fall back to nominal values everywhere
+          setUnavailable(true)
+          filterStateManager.updateFilters({ baseYear: null }, true)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [requestedBaseYear, isLoaded])
+
+  return {
+    baseYear: requestedBaseYear && isLoaded ? requestedBaseYear : null,
+    requestedBaseYear,
+    isLoading: !!requestedBaseYear && !isLoaded && !unavailable,
+    unavailable
+  }
+}
+
+export default usePriceBasis
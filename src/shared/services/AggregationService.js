@@ -0,0 +1,247 @@
+/**
+ * Aggregation Service
+ * Region, income-group and custom-group series built from country data
+ *
+ * World Bank aggregate rows (WLD, EAS, HIC, ...) are dropped when the CSVs are loaded,
+ * because they cannot follow our filters, price bases or custom groups. Aggregates are
+ * computed here from the member countries instead, and say how much of the group they cover.
+ *
+ * This service:
+ * - Lists aggregates as pseudo-countries: World, World Bank regions, income groups
+ *   (members follow each year's classification) and the user's country groups
+ * - Aggregates country values per year by sum, simple mean, GDP-weighted mean or median
+ * - Reports coverage per year (members with data, and their share of the group's GDP)
+ *   and leaves years below the coverage threshold empty rather than understating them
+ *
+ * Example: Sub-Saharan Africa spending in 2015 = sum over the members that report it,
+ * "covers 87% of regional GDP (31 of 48 countries)"
+ */
+
+import * as d3 from 'd3'
+import { COUNTRIES, WORLD_BANK_REGIONS, getIso3, listCountries } from '../utils/CountryRegistry.js'
+import { INCOME_LEVELS, incomeClassificationService } from './IncomeClassificationService.js'
+import { countryGroupService } from './CountryGroupService.js'
+
+export const WORLD_CODE = 'WLD'
+
+export const AGGREGATE_KINDS = {
+  world: { label: 'World', coverageScope: 'world' },
+  region: { label: 'Regions', coverageScope: 'regional' },
+  income: { label: 'Income groups', coverageScope: 'group' },
+  group: { label: 'Country groups', coverageScope: 'group' }
+}
+
+export const AGGREGATION_METHODS = {
+  sum: { label: 'Sum', description: 'Total over the member countries with data' },
+  mean: { label: 'Simple mean', description: 'Average of the member countries, each counted once' },
+  gdpWeighted: { label: 'GDP-weighted mean', description: 'Average weighted by each member\'s GDP in the same year' },
+  median: { label: 'Median', description: 'Middle value of the member countries' }
+}
+
+export const DEFAULT_METHOD = 'sum'
+
+// Share of the group (by GDP when known, else by country count) a year needs to get a value
+export const DEFAULT_MIN_COVERAGE = 0.5
+export const COVERAGE_THRESHOLDS = [0, 0.5, 0.75, 0.9]
+
+// World Bank codes of the seven regions, in WORLD_BANK_REGIONS order
+const REGION_CODES = ['EAS', 'ECS', 'LCN', 'MEA', 'NAC', 'SAS', 'SSF']
+
+const ALL_MEMBERS = COUNTRIES.map(country => country.iso3)
+
+const STATIC_AGGREGATES = [
+  { code: WORLD_CODE, name: 'World', kind: 'world' },
+  ...WORLD_BANK_REGIONS.map((region, index) => ({ code: REGION_CODES[index], name: region, kind: 'region' })),
+  ...INCOME_LEVELS.map(level => ({ code: level.shortLabel, name: level.label, kind: 'income', group: level.group }))
+]
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+/**
+ * Aggregate one year's member values
+ * @param {Array<Object>} entries - { value, weight } of members with a value
+ * @param {string} method - Key of AGGREGATION_METHODS
+ * @returns {number|null} Aggregate, or null when it cannot be computed (e.g. no weights)
+ */
+export function aggregateValues(entries, method = DEFAULT_METHOD) {
+  if (!entries || entries.length === 0) return null
+
+  switch (method) {
+    case 'sum':
+      return d3.sum(entries, entry => entry.value)
+    case 'mean':
+      return d3.mean(entries, entry => entry.value)
+    case 'median':
+      return d3.median(entries, entry => entry.value)
+    case 'gdpWeighted': {
+      const weighted = entries.filter(entry => isNumber(entry.weight) && entry.weight > 0)
+      const totalWeight = d3.sum(weighted, entry => entry.weight)
+      return totalWeight > 0 ? d3.sum(weighted, entry => entry.value * entry.weight) / totalWeight : null
+    }
+    default:
+      throw new Error(`Unknown aggregation method: ${method}`)
+  }
+}
+
+/**
+ * Build a (country, year) => value lookup from records
+ * @param {Array<Object>} records - Any records carrying a country identifier, a year and a value
+ * @param {Object} accessors - { country, year, value } functions
+ * @returns {Function} (iso3, year) => number or null
+ */
+export function createValueLookup(records, { country, year, value }) {
+  const values = new Map()
+  records.forEach(record => {
+    const iso3 = getIso3(country(record))
+    const v = value(record)
+    if (iso3 && isNumber(v)) {
+      values.set(`${iso3}-${year(record)}`, v)
+    }
+  })
+  return (iso3, y) => values.get(`${iso3}-${y}`) ?? null
+}
+
+/**
+ * Describe a year's coverage for labels and tooltips
+ * @param {Object} point - Series point from buildSeries
+ * @param {string} [kind] - Aggregate kind, for the GDP wording
+ * @returns {string} e.g. "covers 87% of regional GDP (31 of 48 countries)"
+ */
+export function describeCoverage(point, kind = 'group') {
+  if (!point) return ''
+  const countries = `${point.reporting} of ${point.members} countries`
+  if (point.gdpCoverage === null) return `covers ${countries}`
+  const scope = AGGREGATE_KINDS[kind]?.coverageScope || 'group'
+  return `covers ${Math.round(point.gdpCoverage * 100)}% of ${scope} GDP (${countries})`
+}
+
+class AggregationService {
+  /**
+   * All aggregates, grouped in display order: World, regions, income groups, country groups
+   * @returns {Array<Object>} Aggregates ({ code, name, kind })
+   */
+  getAggregates() {
+    const groups = countryGroupService.getGroups().map(group => ({
+      code: group.id,
+      name: group.name,
+      kind: 'group'
+    }))
+    return [...STATIC_AGGREGATES, ...groups]
+  }
+
+  /**
+   * Find an aggregate by code (WLD, EAS, HIC or a country group id)
+   * Codes never clash with ISO3 country codes, so either can be stored in the same list
+   * @param {string} code - Aggregate code
+   * @returns {Object|null} Aggregate ({ code, name, kind }) or null for countries
+   */
+  getAggregate(code) {
+    if (!code || typeof code !== 'string') return null
+    const key = code.trim()
+    return this.getAggregates().find(aggregate => aggregate.code === key || aggregate.code === key.toUpperCase()) || null
+  }
+
+  /**
+   * Check whether a code names an aggregate rather than a country
+   * @param {string} code - Aggregate or country code
+   * @returns {boolean} True for aggregates
+   */
+  isAggregate(code) {
+    return this.getAggregate(code) !== null
+  }
+
+  /**
+   * Member countries of an aggregate
+   * Income group membership follows the classification of the given year
+   * @param {string} code - Aggregate code
+   * @param {number} [year] - GNI data year for income groups
+   * @returns {Array<string>} ISO3 codes
+   */
+  getMembers(code, year) {
+    const aggregate = this.getAggregate(code)
+    if (!aggregate) return []
+
+    switch (aggregate.kind) {
+      case 'world':
+        return ALL_MEMBERS
+      case 'region':
+        return listCountries({ wbRegion: aggregate.name }).map(country => country.iso3)
+      case 'income':
+        return ALL_MEMBERS.filter(iso3 => incomeClassificationService.getIncomeGroup(iso3, year) === aggregate.group)
+      case 'group':
+        return countryGroupService.getGroup(aggregate.code)?.countries || []
+      default:
+        return []
+    }
+  }
+
+  /**
+   * Aggregate series for the given years
+   * A year gets a value only when the members with data cover at least minCoverage of the
+   * group: of its GDP when weightFor is given, else of its member count.
+   * @param {string} code - Aggregate code
+   * @param {Function} valueFor - (iso3, year) => number or null
+   * @param {Array<number>} years - Years to aggregate
+   * @param {Object} [options] - { method, weightFor: (iso3, year) => GDP, minCoverage }
+   * @returns {Object|null} { code, name, kind, method, minCoverage, points: [{ year, value, members, reporting, countryCoverage, gdpCoverage, coverage, sufficient }] }
+   */
+  buildSeries(code, valueFor, years, options = {}) {
+    const aggregate = this.getAggregate(code)
+    if (!aggregate) return null
+
+    const { method = DEFAULT_METHOD, weightFor = null, minCoverage = DEFAULT_MIN_COVERAGE } = options
+    if (!AGGREGATION_METHODS[method]) {
+      throw new Error(`Unknown aggregation method: ${method}`)
+    }
+
+    const points = years.map(year => {
+      const members = this.getMembers(aggregate.code, year)
+      const entries = []
+      let totalWeight = 0
+      let coveredWeight = 0
+
+      members.forEach(iso3 => {
+        const value = valueFor(iso3, year)
+        const weight = weightFor ? weightFor(iso3, year) : null
+        const hasWeight = isNumber(weight) && weight > 0
+
+        if (hasWeight) totalWeight += weight
+        if (!isNumber(value)) return
+
+        entries.push({ iso3, value, weight })
+        if (hasWeight) coveredWeight += weight
+      })
+
+      const countryCoverage = members.length > 0 ? entries.length / members.length : 0
+      const gdpCoverage = totalWeight > 0 ? coveredWeight / totalWeight : null
+      const coverage = gdpCoverage ?? countryCoverage
+      const sufficient = entries.length > 0 && coverage >= minCoverage
+
+      return {
+        year,
+        value: sufficient ? aggregateValues(entries, method) : null,
+        members: members.length,
+        reporting: entries.length,
+        countryCoverage,
+        gdpCoverage,
+        coverage,
+        sufficient
+      }
+    })
+
+    return {
+      code: aggregate.code,
+      name: aggregate.name,
+      kind: aggregate.kind,
+      method,
+      minCoverage,
+      points
+    }
+  }
+}
+
+// Export singleton instance
+export const aggregationService = new AggregationService()
+
+// Export class for testing
+export default AggregationService
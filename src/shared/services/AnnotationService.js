@@ -0,0 +1,287 @@
+/**
+ * Annotation Service
+ * Events drawn on time charts: global shocks, country events and the user's own notes
+ *
+ * This service:
+ * - Loads bundled events (crises, euro adoptions, currency redenominations) from public/data/events.json
+ * - Stores the user's own events in localStorage
+ * - Returns the events relevant to a chart: global events plus those of the charted countries,
+ *   overlapping its years
+ * - Keeps one show/hide switch for all charts and notifies subscribers on change
+ *
+ * Example: getAnnotations({ countries: ['GRC'], yearRange: [2005, 2022] })
+ * → Global Financial Crisis, European sovereign debt crisis, COVID-19 pandemic
+ */
+
+import * as d3 from 'd3'
+import { getDataPath } from '../../utils/pathUtils.js'
+import { getIso3 } from '../utils/CountryRegistry.js'
+
+const EVENTS_FILE = 'events.json'
+const STORAGE_KEY = 'dashboardAnnotations'
+const VISIBILITY_KEY = 'dashboardAnnotationsVisible'
+
+const MAX_TITLE_LENGTH = 80
+const MAX_SHORT_LENGTH = 12
+const MAX_DESCRIPTION_LENGTH = 500
+
+export const ANNOTATION_CATEGORIES = {
+  crisis: { label: 'Crisis', color: '#dc2626' },
+  currency: { label: 'Currency', color: '#7c3aed' },
+  policy: { label: 'Policy', color: '#0891b2' },
+  custom: { label: 'My events', color: '#d97706' }
+}
+
+/**
+ * Generate a reasonably unique id for a user event
+ * @private
+ */
+function createId() {
+  return `event-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Chart label of at most MAX_SHORT_LENGTH characters
+ * @private
+ */
+function shortLabel(text) {
+  return text.length > MAX_SHORT_LENGTH ? `${text.slice(0, MAX_SHORT_LENGTH - 1).trim()}…` : text
+}
+
+/**
+ * Validate and normalize an event; returns null when it has no title or start year
+ * @private
+ */
+function cleanEvent(event, defaults = {}) {
+  const title = String(event?.title || '').trim().slice(0, MAX_TITLE_LENGTH)
+  const start = parseInt(event?.start)
+  if (!title || isNaN(start)) return null
+
+  const end = parseInt(event.end)
+  const countries = Array.isArray(event.countries)
+    ? [...new Set(event.countries.map(getIso3).filter(Boolean))]
+    : []
+
+  return {
+    ...defaults,
+    id: event.id || defaults.id,
+    title,
+    short: shortLabel(String(event.short || '').trim() || title),
+    category: ANNOTATION_CATEGORIES[event.category] ? event.category : (defaults.category || 'policy'),
+    start,
+    end: !isNaN(end) && end > start ? end : start,
+    // No countries = global event
+    countries: countries.length > 0 ? countries : null,
+    description: String(event.description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH)
+  }
+}
+
+/**
+ * Describe an event's years
+ * @param {Object} annotation - Event
+ * @returns {string} e.g. "2008-2009" or "2016"
+ */
+export function formatAnnotationYears(annotation) {
+  return annotation.end > annotation.start ? `${annotation.start}-${annotation.end}` : `${annotation.start}`
+}
+
+class AnnotationService {
+  constructor() {
+    this.listeners = []
+    this.bundled = []
+    this.loadPromise = null
+    this.userEvents = this.loadFromStorage()
+    this.visible = this.loadVisibility()
+  }
+
+  /**
+   * Load the bundled events once; resolves with an empty list when the file is missing
+   * @returns {Promise<AnnotationService>} This service
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = d3.json(getDataPath(EVENTS_FILE))
+        .then(data => {
+          this.bundled = (data?.events || [])
+            .map(event => cleanEvent(event, { source: 'bundled' }))
+            .filter(Boolean)
+          console.log(`📌 Loaded ${this.bundled.length} events from ${EVENTS_FILE}`)
+        })
+        .catch(error => {
+          console.warn(`${EVENTS_FILE} not available (${error.message}), showing only your own events`)
+        })
+        .then(() => {
+          this.notify()
+          return this
+        })
+    }
+    return this.loadPromise
+  }
+
+  /**
+   * Events for a chart: global events plus those of the given countries, overlapping the years
+   * @param {Object} [options] - { countries: names or codes (omit for global events only), yearRange: [start, end] }
+   * @returns {Array<Object>} Events ({ id, title, short, category, start, end, countries, description, source }) by start year
+   */
+  getAnnotations({ countries = null, yearRange = null } = {}) {
+    const codes = new Set((countries || []).map(getIso3).filter(Boolean))
+    return this.getAll()
+      .filter(event => !event.countries || event.countries.some(code => codes.has(code)))
+      .filter(event => !yearRange || (event.end >= yearRange[0] && event.start <= yearRange[1]))
+      .sort((a, b) => a.start - b.start || a.title.localeCompare(b.title))
+  }
+
+  /**
+   * Bundled and user events
+   * @returns {Array<Object>} Events
+   */
+  getAll() {
+    return [...this.bundled, ...this.userEvents]
+  }
+
+  /**
+   * The user's own events
+   * @returns {Array<Object>} Events sorted by start year
+   */
+  getUserEvents() {
+    return [...this.userEvents].sort((a, b) => a.start - b.start)
+  }
+
+  /**
+   * Add a user event
+   * @param {Object} event - { title, short?, start, end?, countries?, description? }
+   * @returns {Object|null} The new event, or null without a title or start year
+   */
+  addAnnotation(event) {
+    const annotation = cleanEvent({ ...event, category: 'custom' }, {
+      id: createId(),
+      source: 'user',
+      createdAt: new Date().toISOString()
+    })
+    if (!annotation) {
+      console.warn('AnnotationService: An event needs a title and a start year')
+      return null
+    }
+
+    this.userEvents.push(annotation)
+    this.commit()
+    console.log(`📌 Added event "${annotation.title}" (${formatAnnotationYears(annotation)})`)
+    return annotation
+  }
+
+  /**
+   * Delete a user event (bundled events cannot be deleted)
+   * @param {string} id - Event id
+   * @returns {boolean} True if deleted
+   */
+  deleteAnnotation(id) {
+    const before = this.userEvents.length
+    this.userEvents = this.userEvents.filter(event => event.id !== id)
+    if (this.userEvents.length === before) return false
+    this.commit()
+    return true
+  }
+
+  /**
+   * Whether charts draw events
+   * @returns {boolean} True when shown
+   */
+  isVisible() {
+    return this.visible
+  }
+
+  /**
+   * Show or hide events on every chart
+   * @param {boolean} visible - Show events
+   */
+  setVisible(visible) {
+    this.visible = Boolean(visible)
+    try {
+      localStorage.setItem(VISIBILITY_KEY, JSON.stringify(this.visible))
+    } catch (error) {
+      console.error('AnnotationService: Error saving visibility', error)
+    }
+    this.notify()
+  }
+
+  /**
+   * Subscribe to event and visibility changes
+   * @param {Function} listener - Called with the service
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      console.error('AnnotationService: Listener must be a function')
+      return () => {}
+    }
+
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+  }
+
+  /**
+   * Persist user events and notify subscribers
+   * @private
+   */
+  commit() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ events: this.userEvents }))
+    } catch (error) {
+      console.error('AnnotationService: Error saving events', error)
+    }
+    this.notify()
+  }
+
+  /**
+   * @private
+   */
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this)
+      } catch (error) {
+        console.error('AnnotationService: Error in listener callback', error)
+      }
+    })
+  }
+
+  /**
+   * @private
+   */
+  loadFromStorage() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY)
+      if (stored) {
+        const data = JSON.parse(stored)
+        if (data && Array.isArray(data.events)) {
+          return data.events
+            .map(event => cleanEvent({ ...event, category: 'custom' }, { source: 'user' }))
+            .filter(event => event && event.id)
+        }
+      }
+    } catch (error) {
+      console.error('AnnotationService: Error loading events', error)
+    }
+    return []
+  }
+
+  /**
+   * @private
+   */
+  loadVisibility() {
+    try {
+      const stored = localStorage.getItem(VISIBILITY_KEY)
+      return stored === null ? true : JSON.parse(stored) !== false
+    } catch (error) {
+      return true
+    }
+  }
+}
+
+// Export singleton instance
+export const annotationService = new AnnotationService()
+
+// Export class for testing
+export default AnnotationService
@@ -0,0 +1,373 @@
+/**
+ * Anomaly Detection Service
+ * Flags unusual spending years against each country's own history
+ *
+ * Fixed cutoffs (ratio above 40%, spending up 50%) flag every high-spending welfare
+ * state every year and miss shocks in countries that are usually stable. This service
+ * judges each country against itself instead:
+ * - Change points: lasting shifts in the mean expense-to-GDP ratio (binary segmentation)
+ * - Robust z-scores (median / MAD) of the expense-to-GDP ratio within each regime,
+ *   and of yearly spending changes
+ * - Currency redenominations: local values jumping by a power of ten while USD values do not
+ *
+ * Every flag carries a plain-language explanation and a confidence between 0 and 1.
+ *
+ * Example: detect([{ country: 'Greece', code: 'GRC', points: [{ year, value, gdp, usd, local }] }])
+ */
+
+import * as d3 from 'd3'
+
+export const ANOMALY_METHODS = {
+  robustZ: {
+    label: 'Unusual for this country',
+    description: 'Robust z-score against the country\'s own median and median absolute deviation'
+  },
+  changePoint: {
+    label: 'Regime change',
+    description: 'Lasting shift in the mean expense-to-GDP ratio'
+  },
+  redenomination: {
+    label: 'Currency redenomination',
+    description: 'Local currency values jump by a power of ten while USD values stay level'
+  }
+}
+
+export const DEFAULT_ANOMALY_OPTIONS = {
+  zThreshold: 3.5, // Iglewicz and Hoaglin's cutoff for modified z-scores
+  minPoints: 6, // Years a country needs before z-scores or change points are computed
+  minSegment: 3, // Shortest regime, in years
+  maxBreaks: 2, // Change points per country
+  breakThreshold: 3, // t statistic a change point needs
+  minShift: 1 // Percentage points of GDP a change point needs
+}
+
+// A jump within 10^±0.15 (about ±40%) of a power of ten counts as a rescaling
+const SCALE_TOLERANCE = 0.15
+
+// USD values moving less than 10^0.3 (2×) confirm that only the currency unit changed
+const USD_STABILITY = 0.3
+
+const SEVERITY_LEVELS = [
+  { min: 0.8, severity: 'high' },
+  { min: 0.65, severity: 'medium' },
+  { min: 0, severity: 'low' }
+]
+
+const formatPercent = d3.format('.1f')
+const formatChange = d3.format('+.0%')
+const formatFactor = d3.format(',')
+
+/**
+ * Modified z-scores: 0.6745 × (x − median) / MAD
+ * When more than half the values are equal (MAD = 0) the mean absolute deviation is used instead
+ * @param {Array<number>} values - Values of one country
+ * @returns {Object} { median, scale, scores } where scale is the spread behind the scores (0 = no spread)
+ */
+export function robustZScores(values) {
+  const median = d3.median(values)
+  const deviations = values.map(value => Math.abs(value - median))
+  const mad = d3.median(deviations)
+
+  let scale = mad / 0.6745
+  if (!(scale > 0)) {
+    scale = 1.253314 * d3.mean(deviations)
+  }
+  const scores = values.map(value => (scale > 0 ? (value - median) / scale : 0))
+  return { median, scale, scores }
+}
+
+/**
+ * Lasting shifts in the mean of a series, by binary segmentation
+ * The split with the largest drop in squared error is tested with a two-sample t statistic;
+ * significant splits are searched again on both sides until maxBreaks is reached.
+ * @param {Array<number>} values - Series in time order
+ * @param {Object} [options] - { minSegment, maxBreaks, breakThreshold, minShift }
+ * @returns {Array<Object>} Breaks ({ index, before, after, t, startBefore, endAfter }) in time order
+ */
+export function detectChangePoints(values, options = {}) {
+  const { minSegment, maxBreaks, breakThreshold, minShift } = { ...DEFAULT_ANOMALY_OPTIONS, ...options }
+  const sse = (segment) => {
+    const mean = d3.mean(segment)
+    return d3.sum(segment, value => (value - mean) ** 2)
+  }
+
+  const bestSplit = (start, end) => {
+    let best = null
+    for (let k = start + minSegment; k <= end - minSegment; k++) {
+      const left = values.slice(start, k)
+      const right = values.slice(k, end)
+      const residual = sse(left) + sse(right)
+      if (!best || residual < best.residual) {
+        best = { index: k, residual, left, right }
+      }
+    }
+    if (!best) return null
+
+    const before = d3.mean(best.left)
+    const after = d3.mean(best.right)
+    const n = end - start
+    const spread = Math.sqrt(best.residual / Math.max(n - 2, 1))
+    const se = spread * Math.sqrt(1 / best.left.length + 1 / best.right.length)
+    // A perfectly flat regime on each side is as clear as a break gets
+    const t = se > 0 ? (after - before) / se : Math.sign(after - before) * Infinity
+
+    if (Math.abs(t) < breakThreshold || Math.abs(after - before) < minShift) return null
+    return { index: best.index, before, after, t, startBefore: start, endAfter: end }
+  }
+
+  const breaks = []
+  let segments = [[0, values.length]]
+  while (breaks.length < maxBreaks) {
+    const candidates = segments
+      .map(segment => ({ segment, split: bestSplit(segment[0], segment[1]) }))
+      .filter(candidate => candidate.split)
+    if (candidates.length === 0) break
+
+    const strongest = candidates.reduce((a, b) => (Math.abs(b.split.t) > Math.abs(a.split.t) ? b : a))
+    breaks.push(strongest.split)
+    const [start, end] = strongest.segment
+    segments = segments
+      .filter(segment => segment !== strongest.segment)
+      .concat([[start, strongest.split.index], [strongest.split.index, end]])
+  }
+
+  return breaks.sort((a, b) => a.index - b.index)
+}
+
+/**
+ * Confidence of a score that passed its threshold: 0.5 at the threshold, rising towards 1,
+ * scaled down for short series
+ * @private
+ */
+function scoreConfidence(score, threshold, sampleSize) {
+  const strength = Number.isFinite(score) ? 1 - 0.5 * threshold / Math.abs(score) : 0.99
+  const sampleFactor = Math.min(1, 0.5 + sampleSize / 20)
+  return Math.min(0.99, strength * sampleFactor)
+}
+
+/**
+ * @private
+ */
+function severityFor(confidence) {
+  return SEVERITY_LEVELS.find(level => confidence >= level.min).severity
+}
+
+/**
+ * @private
+ */
+function createFlag(entry, fields) {
+  return {
+    country: entry.country,
+    code: entry.code || null,
+    ...fields,
+    confidence: Math.round(fields.confidence * 100) / 100,
+    severity: severityFor(fields.confidence)
+  }
+}
+
+class AnomalyDetectionService {
+  /**
+   * Detect anomalies for many countries
+   * @param {Array<Object>} entries - { country, code, points: [{ year, value, gdp?, usd?, local? }] };
+   *   value and gdp share a unit, local is in local currency and usd is its USD equivalent
+   * @param {Object} [options] - Overrides of DEFAULT_ANOMALY_OPTIONS
+   * @returns {Array<Object>} Flags, most confident first
+   */
+  detect(entries, options = {}) {
+    return (entries || [])
+      .flatMap(entry => this.detectCountry(entry, options))
+      .sort((a, b) => b.confidence - a.confidence || b.year - a.year)
+  }
+
+  /**
+   * Detect anomalies in one country's series
+   * @param {Object} entry - { country, code, points }
+   * @param {Object} [options] - Overrides of DEFAULT_ANOMALY_OPTIONS
+   * @returns {Array<Object>} Flags ({ country, code, year, method, type, direction, value, ratio?, change?,
+   *   score?, explanation, confidence, severity })
+   */
+  detectCountry(entry, options = {}) {
+    const settings = { ...DEFAULT_ANOMALY_OPTIONS, ...options }
+    const points = [...(entry?.points || [])]
+      .filter(point => Number.isFinite(point.year))
+      .sort((a, b) => a.year - b.year)
+    const withRatio = points
+      .filter(point => point.gdp > 0 && Number.isFinite(point.value))
+      .map(point => ({ ...point, ratio: (point.value / point.gdp) * 100 }))
+    const breaks = withRatio.length >= Math.max(settings.minPoints, settings.minSegment * 2)
+      ? detectChangePoints(withRatio.map(point => point.ratio), settings)
+      : []
+
+    return [
+      ...this.detectRedenominations(entry, points),
+      ...this.detectRegimeChanges(entry, withRatio, breaks, settings),
+      ...this.detectRatioOutliers(entry, withRatio, breaks, settings),
+      ...this.detectChangeShocks(entry, points, settings)
+    ]
+  }
+
+  /**
+   * Local values rescaled by a power of ten between consecutive years
+   * A rescaling undone the next year is reported as a one-year unit error instead
+   * @private
+   */
+  detectRedenominations(entry, points) {
+    const flags = []
+    const steps = []
+    for (let i = 1; i < points.length; i++) {
+      const previous = points[i - 1]
+      const current = points[i]
+      if (current.year - previous.year !== 1 || !(previous.local > 0) || !(current.local > 0)) continue
+
+      const shift = Math.log10(current.local / previous.local)
+      const power = Math.round(shift)
+      if (power === 0 || Math.abs(shift - power) > SCALE_TOLERANCE) continue
+
+      const hasUsd = previous.usd > 0 && current.usd > 0
+      const usdShift = hasUsd ? Math.log10(current.usd / previous.usd) : null
+      // USD values rescaled as well: a data unit problem rather than a new currency, left to the other checks
+      if (hasUsd && Math.abs(usdShift) >= USD_STABILITY) continue
+
+      steps.push({ index: i, power, shift, hasUsd, usdShift })
+    }
+
+    steps.forEach((step, i) => {
+      const next = steps[i + 1]
+      const previous = steps[i - 1]
+      if (previous && previous.index === step.index - 1 && previous.power === -step.power) return
+
+      const point = points[step.index]
+      const factor = formatFactor(10 ** Math.abs(step.power))
+      const direction = step.power < 0 ? 'low' : 'high'
+      const usdNote = step.hasUsd
+        ? ` while USD values moved ${formatChange(10 ** step.usdShift - 1)}`
+        : ' (no USD values to confirm)'
+      const closeness = 1 - Math.abs(step.shift - step.power) / SCALE_TOLERANCE
+
+      if (next && next.index === step.index + 1 && next.power === -step.power) {
+        flags.push(createFlag(entry, {
+          year: point.year,
+          method: 'redenomination',
+          type: 'Unit Error',
+          direction,
+          value: point.value,
+          explanation: `Local values are ${factor}× ${step.power < 0 ? 'lower' : 'higher'} in ${point.year} only${usdNote}: likely a unit error in that year`,
+          confidence: (step.hasUsd ? 0.75 : 0.55) + 0.2 * closeness
+        }))
+        return
+      }
+
+      flags.push(createFlag(entry, {
+        year: point.year,
+        method: 'redenomination',
+        type: 'Currency Redenomination',
+        direction,
+        value: point.value,
+        explanation: `Local values ${step.power < 0 ? 'fall' : 'rise'} ${factor}× in ${point.year}${usdNote}: likely a currency redenomination, compare local values across ${point.year} with care`,
+        confidence: (step.hasUsd ? 0.75 : 0.5) + 0.2 * closeness
+      }))
+    })
+
+    return flags
+  }
+
+  /**
+   * Expense-to-GDP ratios far from the median of their regime
+   * Deviations from each regime's median are scored together, so a regime change
+   * does not make every year of the earlier regime look unusual
+   * @private
+   */
+  detectRatioOutliers(entry, withRatio, breaks, settings) {
+    if (withRatio.length < settings.minPoints) return []
+
+    const bounds = [0, ...breaks.map(split => split.index), withRatio.length]
+    const usual = withRatio.map((point, i) => {
+      const segment = bounds.findIndex(bound => bound > i)
+      return d3.median(withRatio.slice(bounds[segment - 1], bounds[segment]), d => d.ratio)
+    })
+    const { scale, scores } = robustZScores(withRatio.map((point, i) => point.ratio - usual[i]))
+    if (!(scale > 0)) return []
+
+    return withRatio
+      .map((point, i) => ({ point, score: scores[i], median: usual[i] }))
+      .filter(({ score }) => Math.abs(score) > settings.zThreshold)
+      .map(({ point, score, median }) => createFlag(entry, {
+        year: point.year,
+        method: 'robustZ',
+        type: score > 0 ? 'Unusually High Ratio' : 'Unusually Low Ratio',
+        direction: score > 0 ? 'high' : 'low',
+        value: point.value,
+        ratio: point.ratio,
+        score,
+        explanation: `Spending was ${formatPercent(point.ratio)}% of GDP in ${point.year}, ${score > 0 ? 'above' : 'below'} this country's usual ${formatPercent(median)}% (robust z ${formatPercent(score)})`,
+        confidence: scoreConfidence(score, settings.zThreshold, withRatio.length)
+      }))
+  }
+
+  /**
+   * Year-over-year spending changes far from the country's typical change
+   * @private
+   */
+  detectChangeShocks(entry, points, settings) {
+    const changes = []
+    for (let i = 1; i < points.length; i++) {
+      const previous = points[i - 1]
+      const current = points[i]
+      if (current.year - previous.year === 1 && previous.value > 0 && current.value > 0) {
+        changes.push({ point: current, logChange: Math.log(current.value / previous.value) })
+      }
+    }
+    if (changes.length < settings.minPoints) return []
+
+    const { median, scale, scores } = robustZScores(changes.map(change => change.logChange))
+    if (!(scale > 0)) return []
+
+    return changes
+      .map((change, i) => ({ ...change, score: scores[i] }))
+      .filter(({ score }) => Math.abs(score) > settings.zThreshold)
+      .map(({ point, logChange, score }) => {
+        const change = Math.exp(logChange) - 1
+        return createFlag(entry, {
+          year: point.year,
+          method: 'robustZ',
+          type: score > 0 ? 'Spending Spike' : 'Spending Drop',
+          direction: score > 0 ? 'high' : 'low',
+          value: point.value,
+          change: change * 100,
+          score,
+          explanation: `Spending ${change >= 0 ? 'rose' : 'fell'} ${formatChange(Math.abs(change)).replace('+', '')} in ${point.year}, against a typical ${formatChange(Math.exp(median) - 1)} a year for this country (robust z ${formatPercent(score)})`,
+          confidence: scoreConfidence(score, settings.zThreshold, changes.length)
+        })
+      })
+  }
+
+  /**
+   * Lasting shifts in the expense-to-GDP ratio
+   * @private
+   */
+  detectRegimeChanges(entry, withRatio, breaks, settings) {
+    return breaks.map(split => {
+      const first = withRatio[split.index]
+      const before = `${withRatio[split.startBefore].year}-${withRatio[split.index - 1].year}`
+      const after = `${first.year}-${withRatio[split.endAfter - 1].year}`
+      const up = split.after > split.before
+      return createFlag(entry, {
+        year: first.year,
+        method: 'changePoint',
+        type: up ? 'Regime Shift Up' : 'Regime Shift Down',
+        direction: up ? 'high' : 'low',
+        value: first.value,
+        ratio: split.after,
+        score: split.t,
+        explanation: `Spending ${up ? 'rose' : 'fell'} to ${formatPercent(split.after)}% of GDP on average in ${after}, from ${formatPercent(split.before)}% in ${before}`,
+        confidence: scoreConfidence(split.t, settings.breakThreshold, withRatio.length)
+      })
+    })
+  }
+}
+
+// Export singleton instance
+export const anomalyDetectionService = new AnomalyDetectionService()
+
+// Export class for testing
+export default AnomalyDetectionService
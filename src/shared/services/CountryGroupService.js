@@ -0,0 +1,433 @@
+/**
+ * Country Group Service
+ * Named country groups (custom peer sets) persisted in localStorage
+ *
+ * This service:
+ * - Ships read-only presets (G7, G20, EU27, OECD, BRICS, ASEAN) alongside the user's groups
+ * - Stores groups as ISO3 code lists under a name
+ * - Creates groups from a selection (e.g. a brushed set of countries) or the group editor
+ * - Supports edit, duplicate and delete, and notifies subscribers on change
+ * - Imports/exports the user's groups as JSON or CSV so a team can share its peer sets
+ *
+ * Example: "Nordics" = DNK, FIN, ISL, NOR, SWE
+ */
+
+import * as d3 from 'd3'
+import { getIso3, getCanonicalName } from '../utils/CountryRegistry.js'
+
+const STORAGE_KEY = 'dashboardCountryGroups'
+export const SCHEMA_VERSION = 1
+
+const MAX_NAME_LENGTH = 100
+
+// Current membership; the EU and African Union seats of the G20 are not countries
+export const PRESET_GROUPS = [
+  {
+    id: 'preset-g7',
+    name: 'G7',
+    countries: ['CAN', 'FRA', 'DEU', 'ITA', 'JPN', 'GBR', 'USA']
+  },
+  {
+    id: 'preset-g20',
+    name: 'G20',
+    countries: ['ARG', 'AUS', 'BRA', 'CAN', 'CHN', 'FRA', 'DEU', 'IND', 'IDN', 'ITA', 'JPN', 'KOR', 'MEX', 'RUS', 'SAU', 'ZAF', 'TUR', 'GBR', 'USA']
+  },
+  {
+    id: 'preset-eu27',
+    name: 'EU27',
+    countries: ['AUT', 'BEL', 'BGR', 'HRV', 'CYP', 'CZE', 'DNK', 'EST', 'FIN', 'FRA', 'DEU', 'GRC', 'HUN', 'IRL', 'ITA', 'LVA', 'LTU', 'LUX', 'MLT', 'NLD', 'POL', 'PRT', 'ROU', 'SVK', 'SVN', 'ESP', 'SWE']
+  },
+  {
+    id: 'preset-oecd',
+    name: 'OECD',
+    countries: ['AUS', 'AUT', 'BEL', 'CAN', 'CHL', 'COL', 'CRI', 'CZE', 'DNK', 'EST', 'FIN', 'FRA', 'DEU', 'GRC', 'HUN', 'ISL', 'IRL', 'ISR', 'ITA', 'JPN', 'KOR', 'LVA', 'LTU', 'LUX', 'MEX', 'NLD', 'NZL', 'NOR', 'POL', 'PRT', 'SVK', 'SVN', 'ESP', 'SWE', 'CHE', 'TUR', 'GBR', 'USA']
+  },
+  {
+    id: 'preset-brics',
+    name: 'BRICS',
+    countries: ['BRA', 'RUS', 'IND', 'CHN', 'ZAF', 'EGY', 'ETH', 'IRN', 'ARE', 'IDN']
+  },
+  {
+    id: 'preset-asean',
+    name: 'ASEAN',
+    countries: ['BRN', 'KHM', 'IDN', 'LAO', 'MYS', 'MMR', 'PHL', 'SGP', 'THA', 'TLS', 'VNM']
+  }
+].map(group => Object.freeze({ ...group, countries: Object.freeze(group.countries), preset: true }))
+
+/**
+ * Generate a reasonably unique id for a group
+ * @private
+ */
+function createId() {
+  return `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Trim and bound a group name
+ * @private
+ */
+function cleanName(name) {
+  return String(name || '').trim().slice(0, MAX_NAME_LENGTH)
+}
+
+/**
+ * Resolve identifiers to unique, known ISO3 codes
+ * @private
+ */
+function cleanCountries(countries) {
+  return [...new Set((countries || []).map(getIso3).filter(Boolean))]
+}
+
+/**
+ * CountryGroupService - manages the country group collection
+ */
+class CountryGroupService {
+  constructor() {
+    this.listeners = []
+    this.groups = this.loadFromStorage()
+  }
+
+  /**
+   * Get all groups: presets first, then the user's groups sorted by name
+   * @returns {Array<Object>} Groups ({ id, name, countries, preset?, createdAt, updatedAt })
+   */
+  getGroups() {
+    return [...PRESET_GROUPS, ...this.getUserGroups()]
+  }
+
+  /**
+   * Get the user's groups sorted by name
+   * @returns {Array<Object>} Groups ({ id, name, countries, createdAt, updatedAt })
+   */
+  getUserGroups() {
+    return [...this.groups].sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  /**
+   * Get a group or preset by id
+   * @param {string} id - Group id
+   * @returns {Object|null} Group or null
+   */
+  getGroup(id) {
+    return PRESET_GROUPS.find(group => group.id === id) || this.groups.find(group => group.id === id) || null
+  }
+
+  /**
+   * Check whether a group is a read-only preset
+   * @param {string} id - Group id
+   * @returns {boolean} True for presets
+   */
+  isPreset(id) {
+    return PRESET_GROUPS.some(group => group.id === id)
+  }
+
+  /**
+   * Check a country against a country group filter
+   * @param {string} country - ISO3 code or country name
+   * @param {string} groupId - Selected group id (null means all countries)
+   * @returns {boolean} True if no group is selected (or it no longer exists) or the country is a member
+   */
+  matchesGroup(country, groupId) {
+    if (!groupId) return true
+    const group = this.getGroup(groupId)
+    if (!group) return true
+    return group.countries.includes(getIso3(country))
+  }
+
+  /**
+   * Create a group
+   * @param {string} name - Group name
+   * @param {Array} countries - Country names or codes
+   * @returns {Object|null} The new group, or null if the name or country list is empty
+   */
+  createGroup(name, countries) {
+    const groupName = cleanName(name)
+    const codes = cleanCountries(countries)
+    if (!groupName || codes.length === 0) {
+      console.warn('CountryGroupService: A group needs a name and at least one country')
+      return null
+    }
+
+    const now = new Date().toISOString()
+    const group = {
+      id: createId(),
+      name: groupName,
+      countries: codes,
+      createdAt: now,
+      updatedAt: now
+    }
+
+    this.groups.push(group)
+    this.commit()
+    console.log(`🌐 Saved country group "${groupName}" (${codes.length} countries)`)
+    return group
+  }
+
+  /**
+   * Rename a group
+   * @param {string} id - Group id
+   * @param {string} name - New name
+   * @returns {boolean} True if renamed
+   */
+  renameGroup(id, name) {
+    return this.updateGroup(id, { name })
+  }
+
+  /**
+   * Change a group's name and/or countries
+   * Presets are read-only; duplicate them to edit
+   * @param {string} id - Group id
+   * @param {Object} changes - { name, countries }
+   * @returns {boolean} True if updated
+   */
+  updateGroup(id, { name, countries } = {}) {
+    const group = this.groups.find(g => g.id === id)
+    if (!group) return false
+
+    const groupName = name === undefined ? group.name : cleanName(name)
+    const codes = countries === undefined ? group.countries : cleanCountries(countries)
+    if (!groupName || codes.length === 0) return false
+
+    group.name = groupName
+    group.countries = codes
+    group.updatedAt = new Date().toISOString()
+    this.commit()
+    return true
+  }
+
+  /**
+   * Copy a group or preset into a new editable group
+   * @param {string} id - Group id
+   * @returns {Object|null} The copy, or null if the group does not exist
+   */
+  duplicateGroup(id) {
+    const group = this.getGroup(id)
+    if (!group) return null
+    return this.createGroup(`${group.name} (copy)`.slice(0, MAX_NAME_LENGTH), group.countries)
+  }
+
+  /**
+   * Delete a group
+   * @param {string} id - Group id
+   * @returns {boolean} True if deleted
+   */
+  deleteGroup(id) {
+    const count = this.groups.length
+    this.groups = this.groups.filter(group => group.id !== id)
+    if (this.groups.length === count) return false
+
+    this.commit()
+    return true
+  }
+
+  /**
+   * Export the user's groups (presets ship with the dashboard)
+   * JSON keeps the collection document; CSV has one row per group member
+   * @param {string} format - 'json' or 'csv'
+   * @returns {string} JSON ({ schemaVersion, exportedAt, groups }) or CSV (group, country_code, country_name)
+   */
+  exportGroups(format = 'json') {
+    const groups = this.getUserGroups()
+
+    if (format === 'csv') {
+      const rows = groups.flatMap(group => group.countries.map(code => ({
+        group: group.name,
+        country_code: code,
+        country_name: getCanonicalName(code) || ''
+      })))
+      return d3.csvFormat(rows, ['group', 'country_code', 'country_name'])
+    }
+
+    return JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      groups: groups.map(({ name, countries }) => ({ name, countries }))
+    }, null, 2)
+  }
+
+  /**
+   * Download the user's groups as a JSON or CSV file
+   * @param {string} format - 'json' or 'csv'
+   * @param {string} filename - File name without extension
+   */
+  downloadGroups(format = 'json', filename = 'country-groups') {
+    const type = format === 'csv' ? 'text/csv' : 'application/json'
+    const blob = new Blob([this.exportGroups(format)], { type })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${filename}.${format}`
+    link.style.display = 'none'
+
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+
+    setTimeout(() => URL.revokeObjectURL(url), 100)
+  }
+
+  /**
+   * Import groups from a JSON or CSV document
+   * JSON: { groups: [{ name, countries }] } or a bare array of groups.
+   * CSV: a group (or name) column and a country_code (or country, iso3) column, one row per member.
+   * Unknown countries are dropped; a group whose name matches one of the user's groups replaces
+   * its countries, and groups left without countries are skipped.
+   * @param {string} text - File contents
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Object} { imported, updated, skipped, error }
+   */
+  importGroups(text, format = 'json') {
+    const parsed = format === 'csv' ? this.parseCsvGroups(text) : this.parseJsonGroups(text)
+    if (parsed.error) {
+      return { imported: 0, updated: 0, skipped: 0, error: parsed.error }
+    }
+
+    let imported = 0
+    let updated = 0
+    let skipped = 0
+    const now = new Date().toISOString()
+
+    parsed.groups.forEach(entry => {
+      const name = cleanName(entry?.name)
+      const codes = cleanCountries(entry?.countries)
+      if (!name || codes.length === 0) {
+        skipped++
+        return
+      }
+
+      const existing = this.groups.find(group => group.name.toLowerCase() === name.toLowerCase())
+      if (existing) {
+        existing.countries = codes
+        existing.updatedAt = now
+        updated++
+      } else {
+        this.groups.push({ id: createId(), name, countries: codes, createdAt: now, updatedAt: now })
+        imported++
+      }
+    })
+
+    this.commit()
+    console.log(`🌐 Imported ${imported} country group(s), updated ${updated}${skipped ? `, skipped ${skipped} invalid` : ''}`)
+    return { imported, updated, skipped, error: null }
+  }
+
+  /**
+   * Read groups from a JSON document
+   * @private
+   */
+  parseJsonGroups(text) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      return { error: 'File is not valid JSON' }
+    }
+
+    if (Array.isArray(data)) {
+      return { groups: data }
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.groups)) {
+      return { error: 'Unsupported country groups file' }
+    }
+    if (typeof data.schemaVersion === 'number' && data.schemaVersion > SCHEMA_VERSION) {
+      return { error: `Unsupported schema version ${data.schemaVersion}` }
+    }
+    return { groups: data.groups }
+  }
+
+  /**
+   * Read groups from CSV rows (one row per member)
+   * @private
+   */
+  parseCsvGroups(text) {
+    const rows = d3.csvParse(text || '')
+    const columns = rows.columns.map(column => column.trim().toLowerCase())
+    const groupColumn = rows.columns[columns.findIndex(column => column === 'group' || column === 'name')]
+    const countryColumn = rows.columns[columns.findIndex(column => ['country_code', 'country', 'iso3', 'code'].includes(column))]
+    if (!groupColumn || !countryColumn) {
+      return { error: 'CSV needs a "group" and a "country_code" column' }
+    }
+
+    const groups = new Map()
+    rows.forEach(row => {
+      const name = (row[groupColumn] || '').trim()
+      if (!name) return
+      if (!groups.has(name)) groups.set(name, [])
+      groups.get(name).push(row[countryColumn])
+    })
+    return { groups: Array.from(groups, ([name, countries]) => ({ name, countries })) }
+  }
+
+  /**
+   * Subscribe to collection changes
+   * @param {Function} listener - Called with the groups array
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      console.error('CountryGroupService: Listener must be a function')
+      return () => {}
+    }
+
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+  }
+
+  /**
+   * Persist and notify listeners
+   * @private
+   */
+  commit() {
+    this.saveToStorage()
+    const groups = this.getGroups()
+    this.listeners.forEach(listener => {
+      try {
+        listener(groups)
+      } catch (error) {
+        console.error('CountryGroupService: Error in listener callback', error)
+      }
+    })
+  }
+
+  /**
+   * Load the collection from localStorage
+   * @private
+   */
+  loadFromStorage() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY)
+      if (stored) {
+        const data = JSON.parse(stored)
+        if (data && Array.isArray(data.groups)) {
+          return data.groups.filter(group => group && group.id && Array.isArray(group.countries))
+        }
+      }
+    } catch (error) {
+      console.error('CountryGroupService: Error loading country groups', error)
+    }
+    return []
+  }
+
+  /**
+   * Save the collection to localStorage
+   * @private
+   */
+  saveToStorage() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        groups: this.groups
+      }))
+    } catch (error) {
+      console.error('CountryGroupService: Error saving country groups', error)
+    }
+  }
+}
+
+// Export singleton instance
+export const countryGroupService = new CountryGroupService()
+
+// Export class for testing
+export default CountryGroupService
@@ -0,0 +1,130 @@
+/**
+ * Currency Conversion Service
+ * Converts market-exchange-rate USD values to purchasing power parity (PPP) international dollars
+ *
+ * Market exchange rates understate the size of economies with low price levels, so
+ * government size compared in USD is biased towards rich countries. The World Bank
+ * price level ratio (PA.NUS.PPPC.RF = PPP conversion factor / market exchange rate)
+ * converts USD values directly: international $ = USD / ratio.
+ * For a value converted at the market rate this equals local value / PPP conversion factor.
+ *
+ * The selected conversion is part of the shared filter state ('market' or 'ppp').
+ */
+
+import { loadWorldBankIndicatorFile } from '../../modules/comparison/services/GdpExpenseDataService.js'
+import { getIso3 } from '../utils/CountryRegistry.js'
+
+export const PPP_FILE = 'ppp_conversion.csv'
+
+export const CURRENCY_CONVERSIONS = {
+  market: {
+    label: 'Market rate USD',
+    currencyLabel: 'USD',
+    description: 'US dollars at market exchange rates'
+  },
+  ppp: {
+    label: 'PPP international $',
+    currencyLabel: 'Int$',
+    description: 'International dollars at purchasing power parity'
+  }
+}
+
+export const DEFAULT_CURRENCY = 'market'
+
+class CurrencyConversionService {
+  constructor() {
+    this.priceLevels = null // ISO3 -> Map(year -> price level ratio)
+    this.loadPromise = null
+    this.unavailable = false
+  }
+
+  /**
+   * Load the PPP dataset once
+   * @returns {Promise<CurrencyConversionService>} Resolves when PPP factors are available
+   */
+  load() {
+    if (this.priceLevels) return Promise.resolve(this)
+
+    if (!this.loadPromise) {
+      this.loadPromise = loadWorldBankIndicatorFile(PPP_FILE)
+        .then(points => {
+          const priceLevels = new Map()
+          points.forEach(({ countryCode, year, value }) => {
+            if (!priceLevels.has(countryCode)) {
+              priceLevels.set(countryCode, new Map())
+            }
+            priceLevels.get(countryCode).set(year, value)
+          })
+
+          this.priceLevels = priceLevels
+          this.unavailable = false
+          console.log(`💱 Loaded PPP factors for ${priceLevels.size} countries from ${PPP_FILE}`)
+          return this
+        })
+        .catch(error => {
+          console.error(`Failed to load ${PPP_FILE}:`, error)
+          this.loadPromise = null // Allow a retry
+          this.unavailable = true
+          throw new Error(`PPP data (${PPP_FILE}) is not available`)
+        })
+    }
+
+    return this.loadPromise
+  }
+
+  /**
+   * Check whether PPP factors are loaded
+   * @returns {boolean} True once load() has resolved
+   */
+  isLoaded() {
+    return this.priceLevels !== null
+  }
+
+  /**
+   * Check whether the last load attempt failed
+   * @returns {boolean} True if the PPP file could not be loaded
+   */
+  isUnavailable() {
+    return this.unavailable
+  }
+
+  /**
+   * Price level ratio (PPP conversion factor / market exchange rate) for a country-year
+   * @param {string} country - ISO3 code or country name
+   * @param {number} year - Year
+   * @returns {number|null} Ratio, or null if unknown
+   */
+  getPriceLevelRatio(country, year) {
+    if (!this.priceLevels) return null
+
+    const ratio = this.priceLevels.get(getIso3(country) || country)?.get(year)
+    return ratio > 0 ? ratio : null
+  }
+
+  /**
+   * Convert a market-rate USD value to PPP international dollars
+   * @param {number} usdValue - Value in USD at the market exchange rate
+   * @param {string} country - ISO3 code or country name
+   * @param {number} year - Year of the value
+   * @returns {number|null} Value in international dollars, or null if no factor is available
+   */
+  toPpp(usdValue, country, year) {
+    const ratio = this.getPriceLevelRatio(country, year)
+    return ratio ? usdValue / ratio : null
+  }
+
+  /**
+   * Currency label for a conversion, for axis titles, legends and tooltips
+   * @param {string} currency - 'market' or 'ppp'
+   * @returns {string} e.g. "USD (market rate)" or "Int$ (PPP)"
+   */
+  describe(currency) {
+    return currency === 'ppp' ? 'Int$ (PPP)' : 'USD (market rate)'
+  }
+}
+
+// Export singleton instance
+export const currencyConversionService = new CurrencyConversionService()
+
+// Export class for testing
+export default CurrencyConversionService
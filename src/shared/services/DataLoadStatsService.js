@@ -0,0 +1,133 @@
+/**
+ * Data Load Stats Service
+ * Records how long each data file took to load and how many bytes it cost, for the
+ * data loading debug panel
+ *
+ * This service:
+ * - Times derived files fetched through DataManifestService and the expense dataset
+ * - Reports the file size from the data manifest and, where the browser exposes it
+ *   (Resource Timing), the bytes actually transferred: 0 when served from the HTTP cache
+ * - Notifies subscribers on every new entry
+ */
+
+const MAX_ENTRIES = 200
+
+class DataLoadStatsService {
+  constructor() {
+    this.entries = []
+    this.listeners = []
+  }
+
+  /**
+   * Time a load and record it
+   * @param {Object} file - { file, url, bytes, source } (url is used to look up the transfer size)
+   * @param {Function} load - Returns a promise of the loaded data
+   * @returns {Promise<*>} Result of load
+   */
+  async measure({ file, url = null, bytes = null, source = 'network' }, load) {
+    const start = performance.now()
+    try {
+      const result = await load()
+      this.record({ file, bytes, source, start, duration: performance.now() - start, transferred: this.getTransferSize(url) })
+      return result
+    } catch (error) {
+      this.record({ file, bytes, source, start, duration: performance.now() - start, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Record a finished load
+   * @param {Object} entry - { file, bytes, transferred, source, start, duration, error }
+   */
+  record({ file, bytes = null, transferred = null, source = 'network', start = null, duration = 0, error = null }) {
+    const startTime = start ?? performance.now() - duration
+    this.entries = [...this.entries, { file, bytes, transferred, source, startTime, duration, error }].slice(-MAX_ENTRIES)
+    this.notifyListeners()
+  }
+
+  /**
+   * Bytes transferred for a URL according to Resource Timing
+   * @param {string} url - Requested URL (absolute or relative to the page)
+   * @returns {number|null} Transfer size, null when not exposed
+   * @private
+   */
+  getTransferSize(url) {
+    if (!url || typeof performance === 'undefined' || !performance.getEntriesByName) return null
+
+    const timings = performance.getEntriesByName(new URL(url, self.location.href).href, 'resource')
+    const timing = timings[timings.length - 1]
+    return timing && typeof timing.transferSize === 'number' ? timing.transferSize : null
+  }
+
+  /**
+   * Recorded loads, oldest first
+   * @returns {Array<Object>} Entries
+   */
+  getEntries() {
+    return this.entries
+  }
+
+  /**
+   * Totals over the recorded loads
+   * @returns {Object} { files, bytes, transferred, errors, elapsed } (elapsed: first start to last finish, ms)
+   */
+  getTotals() {
+    const loaded = this.entries.filter(entry => !entry.error)
+    const first = Math.min(...loaded.map(entry => entry.startTime))
+    const last = Math.max(...loaded.map(entry => entry.startTime + entry.duration))
+
+    return {
+      files: loaded.length,
+      bytes: loaded.reduce((sum, entry) => sum + (entry.bytes || 0), 0),
+      transferred: loaded.reduce((sum, entry) => sum + (entry.transferred || 0), 0),
+      errors: this.entries.length - loaded.length,
+      elapsed: loaded.length > 0 ? last - first : 0
+    }
+  }
+
+  /**
+   * Forget the recorded loads
+   */
+  clear() {
+    this.entries = []
+    this.notifyListeners()
+  }
+
+  /**
+   * Subscribe to new entries
+   * @param {Function} listener - Called with the entries
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      console.error('DataLoadStatsService: Listener must be a function')
+      return () => {}
+    }
+
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+  }
+
+  /**
+   * Notify subscribers
+   * @private
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.entries)
+      } catch (error) {
+        console.error('DataLoadStatsService listener error:', error)
+      }
+    })
+  }
+}
+
+// Export singleton instance
+export const dataLoadStatsService = new DataLoadStatsService()
+
+// Export class for testing
+export default DataLoadStatsService
@@ -0,0 +1,133 @@
+/**
+ * Data Manifest Service
+ * Runtime view of public/data/manifest.json, written by `npm run data:build`
+ *
+ * The indicator files, sector matrices and summary JSON files are derived from the
+ * source datasets at build time. Loaders fetch them through this service, which:
+ * - Loads the manifest once
+ * - Rejects a file the manifest does not list with an error naming it and the build
+ *   step, instead of fetching a path that does not exist
+ * - Reports which of a set of files are available, so partial data degrades openly
+ * - Times every fetch for the data loading debug panel (DataLoadStatsService)
+ *
+ * Source datasets (expense_clean.csv, gdp_vals.csv, population.csv, ...) are not in
+ * the manifest and are still fetched directly.
+ */
+
+import * as d3 from 'd3'
+import { getDataPath } from '../../utils/pathUtils.js'
+import { dataLoadStatsService } from './DataLoadStatsService.js'
+
+export const MANIFEST_FILE = 'manifest.json'
+export const DATA_BUILD_COMMAND = 'npm run data:build'
+
+class DataManifestService {
+  constructor() {
+    this.manifest = null
+    this.loadPromise = null
+    this.unavailable = false
+  }
+
+  /**
+   * Load the manifest once
+   * Resolves either way: without the manifest every derived file is unavailable
+   * @returns {Promise<Object|null>} The manifest, null when it could not be loaded
+   */
+  load() {
+    if (this.manifest || this.unavailable) return Promise.resolve(this.manifest)
+
+    if (!this.loadPromise) {
+      this.loadPromise = d3.json(getDataPath(MANIFEST_FILE))
+        .then(manifest => {
+          if (!manifest || !manifest.artifacts) {
+            throw new Error('no artifacts listed')
+          }
+          this.manifest = manifest
+          console.log(`🗂️ Data manifest lists ${Object.keys(manifest.artifacts).length} derived files`)
+          return manifest
+        })
+        .catch(error => {
+          console.error(`❌ ${MANIFEST_FILE} not available (${error.message}), derived data files will not load. Run ${DATA_BUILD_COMMAND}`)
+          this.unavailable = true
+          return null
+        })
+        .finally(() => {
+          this.loadPromise = null
+        })
+    }
+
+    return this.loadPromise
+  }
+
+  /**
+   * Manifest entry of a derived file
+   * @param {string} file - Path relative to the data directory (e.g. '48-indicators/IMF_GFSE_GE_G14.csv')
+   * @returns {Promise<Object|null>} { sha256, bytes, rows }, null when not listed
+   */
+  async getEntry(file) {
+    const manifest = await this.load()
+    return manifest?.artifacts[file] || null
+  }
+
+  /**
+   * Check whether a derived file was built
+   * @param {string} file - Path relative to the data directory
+   * @returns {Promise<boolean>} True if the manifest lists it
+   */
+  async has(file) {
+    return (await this.getEntry(file)) !== null
+  }
+
+  /**
+   * Keep the files the manifest lists
+   * @param {Array<string>} files - Paths relative to the data directory
+   * @returns {Promise<Array<string>>} Listed files, in the given order
+   */
+  async filterAvailable(files) {
+    const manifest = await this.load()
+    return manifest ? files.filter(file => manifest.artifacts[file]) : []
+  }
+
+  /**
+   * Manifest entry of a derived file, throwing when it was not built
+   * @param {string} file - Path relative to the data directory
+   * @returns {Promise<Object>} { sha256, bytes, rows }
+   */
+  async require(file) {
+    const entry = await this.getEntry(file)
+    if (!entry) {
+      const reason = this.manifest ? 'is not in the data manifest' : `cannot be loaded without ${MANIFEST_FILE}`
+      throw new Error(`${file} ${reason}. Run ${DATA_BUILD_COMMAND}`)
+    }
+    return entry
+  }
+
+  /**
+   * Fetch a derived CSV file
+   * @param {string} file - Path relative to the data directory
+   * @param {Function} row - Optional d3.csv row conversion
+   * @returns {Promise<Array>} Parsed rows
+   */
+  async csv(file, row) {
+    const { bytes } = await this.require(file)
+    const url = getDataPath(file)
+    return dataLoadStatsService.measure({ file, url, bytes }, () => d3.csv(url, row))
+  }
+
+  /**
+   * Fetch a derived JSON file
+   * @param {string} file - Path relative to the data directory
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async json(file) {
+    const { bytes } = await this.require(file)
+    const url = getDataPath(file)
+    return dataLoadStatsService.measure({ file, url, bytes }, () => d3.json(url))
+  }
+}
+
+// Export singleton instance
+export const dataManifestService = new DataManifestService()
+
+// Export class for testing
+export default DataManifestService
@@ -5,17 +5,19 @@
  * This service:
  * - Loads all indicator data in parallel on app initialization
  * - Caches data in memory for instant access
- * - Provides loading progress feedback
+ * - Provides loading progress feedback (download, parse and index of the expense files)
  * - Handles errors gracefully with retry logic
  */
 
 import { loadUnifiedData, getSummaryStats } from '../../modules/spending/services/UnifiedDataService.js'
+import { expenseDatasetService } from './ExpenseDatasetService.js'
 
 class DataPreloadService {
   constructor() {
     this.isLoaded = false
     this.isLoading = false
     this.loadingProgress = 0
+    this.loadingMessage = null
     this.error = null
     this.listeners = []
     this.unifiedData = null
@@ -36,6 +38,14 @@ class DataPreloadService {
       return this.waitForLoad()
     }
 
+    // Progress comes from the expense dataset worker; indicator processing follows it
+    const unsubscribe = expenseDatasetService.subscribe(({ isLoading, progress, message, phase }) => {
+      if (!isLoading) return
+      this.loadingProgress = progress
+      this.loadingMessage = message
+      this.notifyListeners({ status: 'loading', progress, message, phase })
+    })
+
     try {
       this.isLoading = true
       this.error = null
@@ -81,6 +91,8 @@ class DataPreloadService {
         error: error.message 
       })
       throw error
+    } finally {
+      unsubscribe()
     }
   }
 
@@ -127,6 +139,7 @@ class DataPreloadService {
       isLoading: this.isLoading,
       isLoaded: this.isLoaded,
       progress: this.loadingProgress,
+      message: this.loadingMessage,
       error: this.error
     }
   }
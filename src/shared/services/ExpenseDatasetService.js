@@ -0,0 +1,271 @@
+/**
+ * Expense Dataset Service
+ * One shared, columnar copy of expense_clean.csv and expense_clean_usd.csv for every module
+ *
+ * This service:
+ * - Downloads, parses and indexes both files in a Web Worker, so the UI stays responsive
+ * - Reports download, parse and index progress to subscribers
+ * - Persists the parsed dataset in IndexedDB, keyed by the files' sha256 from the data
+ *   manifest (npm run data:build), so reloads skip the download and parse entirely
+ * - Falls back to building the dataset on the main thread where workers are unavailable
+ *
+ * Without a manifest the dataset is still built, just not cached between visits.
+ */
+
+import { dataManifestService } from './DataManifestService.js'
+import { getDataPath } from '../../utils/pathUtils.js'
+import { loadExpenseDataset, expenseCacheKey, EXPENSE_CACHE_PREFIX } from '../utils/ExpenseDatasetBuilder.js'
+import { clearDatasets } from '../utils/DatasetCache.js'
+import { dataLoadStatsService } from './DataLoadStatsService.js'
+
+export const EXPENSE_FILES = {
+  local: 'expense_clean.csv',
+  usd: 'expense_clean_usd.csv'
+}
+
+const IDLE_STATUS = {
+  isLoading: false,
+  isLoaded: false,
+  phase: null,
+  progress: 0,
+  message: null,
+  loadedBytes: 0,
+  totalBytes: null,
+  fromCache: false,
+  error: null
+}
+
+/**
+ * Read-only view over the columnar dataset
+ */
+export class ExpenseDataset {
+  constructor(payload) {
+    this.countries = payload.countries
+    this.categories = payload.categories
+    this.columns = {
+      country: payload.country,
+      category: payload.category,
+      year: payload.year,
+      local: payload.local,
+      usd: payload.usd
+    }
+  }
+
+  /**
+   * Number of country-category-year rows
+   * @returns {number} Row count
+   */
+  get size() {
+    return this.columns.year.length
+  }
+
+  /**
+   * Rows matching the filters as plain objects
+   * @param {Object} filters - { category, countries (names), yearRange, requireLocal, requireUsd }
+   * @returns {Array<Object>} [{ country, category, year, local, usd }], missing values as null
+   */
+  select({ category = null, countries = null, yearRange = null, requireLocal = false, requireUsd = false } = {}) {
+    const { country, category: categoryColumn, year, local, usd } = this.columns
+
+    const categoryId = category === null ? -1 : this.categories.indexOf(category)
+    if (category !== null && categoryId === -1) return []
+
+    const countryIds = countries && countries.length > 0
+      ? new Set(countries.map(name => this.countries.indexOf(name)).filter(id => id !== -1))
+      : null
+    if (countryIds && countryIds.size === 0) return []
+
+    const rows = []
+    for (let i = 0; i < year.length; i++) {
+      if (categoryId !== -1 && categoryColumn[i] !== categoryId) continue
+      if (countryIds && !countryIds.has(country[i])) continue
+      if (yearRange && (year[i] < yearRange[0] || year[i] > yearRange[1])) continue
+      if (requireLocal && isNaN(local[i])) continue
+      if (requireUsd && isNaN(usd[i])) continue
+
+      rows.push({
+        country: this.countries[country[i]],
+        category: this.categories[categoryColumn[i]],
+        year: year[i],
+        local: isNaN(local[i]) ? null : local[i],
+        usd: isNaN(usd[i]) ? null : usd[i]
+      })
+    }
+    return rows
+  }
+}
+
+class ExpenseDatasetService {
+  constructor() {
+    this.dataset = null
+    this.loadPromise = null
+    this.status = { ...IDLE_STATUS }
+    this.listeners = []
+  }
+
+  /**
+   * Load the shared dataset once
+   * @returns {Promise<ExpenseDataset>} The dataset
+   */
+  load() {
+    if (this.dataset) return Promise.resolve(this.dataset)
+
+    if (!this.loadPromise) {
+      const start = performance.now()
+      this.loadPromise = this.build()
+        .then(({ dataset, fromCache }) => {
+          this.dataset = new ExpenseDataset(dataset)
+          this.update({ isLoading: false, isLoaded: true, phase: 'done', progress: 100, fromCache })
+          dataLoadStatsService.record({
+            file: Object.values(EXPENSE_FILES).join(' + '),
+            bytes: fromCache ? null : this.status.loadedBytes,
+            transferred: fromCache ? 0 : null,
+            source: fromCache ? 'IndexedDB' : 'network',
+            start,
+            duration: performance.now() - start
+          })
+          console.log(`${fromCache ? '⚡' : '📊'} Expense dataset ready: ${this.dataset.size} rows, ${this.dataset.countries.length} countries${fromCache ? ' (from cache)' : ''}`)
+          return this.dataset
+        })
+        .catch(error => {
+          this.update({ isLoading: false, error: error.message })
+          throw error
+        })
+        .finally(() => {
+          this.loadPromise = null
+        })
+    }
+
+    return this.loadPromise
+  }
+
+  /**
+   * Resolve file URLs and the cache key, then build the dataset
+   * @private
+   */
+  async build() {
+    this.update({ ...IDLE_STATUS, isLoading: true, message: 'Loading spending data...' })
+
+    const manifest = await dataManifestService.load()
+    const files = {}
+    Object.entries(EXPENSE_FILES).forEach(([name, file]) => {
+      files[name] = {
+        // Absolute, because a worker resolves relative URLs against its own script
+        url: new URL(getDataPath(file), self.location.href).href,
+        bytes: manifest?.inputs?.[file]?.bytes || null
+      }
+    })
+    const cacheKey = expenseCacheKey(manifest?.inputs?.[EXPENSE_FILES.local]?.sha256, manifest?.inputs?.[EXPENSE_FILES.usd]?.sha256)
+    if (!cacheKey) {
+      console.warn('Expense files have no checksums in the data manifest, the parsed dataset will not be cached')
+    }
+
+    const request = { type: 'load', files, cacheKey }
+    if (typeof Worker === 'undefined') {
+      return loadExpenseDataset(request, progress => this.update(progress))
+    }
+
+    try {
+      return await this.runWorker(request)
+    } catch (error) {
+      console.warn(`Expense dataset worker failed (${error.message}), loading on the main thread`)
+      return loadExpenseDataset(request, progress => this.update(progress))
+    }
+  }
+
+  /**
+   * Build the dataset in a worker
+   * @private
+   */
+  runWorker(request) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../workers/expenseDataset.worker.js', import.meta.url), { type: 'module' })
+      const finish = (callback) => {
+        worker.terminate()
+        callback()
+      }
+
+      worker.onmessage = (event) => {
+        const { type, ...data } = event.data
+        if (type === 'progress') {
+          this.update(data)
+        } else if (type === 'done') {
+          finish(() => resolve({ dataset: data.dataset, fromCache: data.fromCache }))
+        } else if (type === 'error') {
+          finish(() => reject(new Error(data.message)))
+        }
+      }
+      worker.onerror = (event) => {
+        event.preventDefault?.()
+        finish(() => reject(new Error(event.message || 'worker error')))
+      }
+
+      worker.postMessage(request)
+    })
+  }
+
+  /**
+   * Get the dataset if already loaded
+   * @returns {ExpenseDataset|null} The dataset
+   */
+  getDataset() {
+    return this.dataset
+  }
+
+  /**
+   * Current loading status
+   * @returns {Object} { isLoading, isLoaded, phase, progress, message, loadedBytes, totalBytes, fromCache, error }
+   */
+  getStatus() {
+    return { ...this.status }
+  }
+
+  /**
+   * Drop the in-memory copy and the cached copies in IndexedDB
+   * @returns {Promise<boolean>} True if the IndexedDB cache was reachable
+   */
+  async clearCache() {
+    this.dataset = null
+    this.status = { ...IDLE_STATUS }
+    return clearDatasets(EXPENSE_CACHE_PREFIX)
+  }
+
+  /**
+   * Subscribe to status changes
+   * @param {Function} listener - Called with the status
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      console.error('ExpenseDatasetService: Listener must be a function')
+      return () => {}
+    }
+
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+  }
+
+  /**
+   * Merge a status change and notify subscribers
+   * @private
+   */
+  update(changes) {
+    this.status = { ...this.status, ...changes }
+    const status = this.getStatus()
+    this.listeners.forEach(listener => {
+      try {
+        listener(status)
+      } catch (error) {
+        console.error('ExpenseDatasetService listener error:', error)
+      }
+    })
+  }
+}
+
+// Export singleton instance
+export const expenseDatasetService = new ExpenseDatasetService()
+
+// Export class for testing
+export default ExpenseDatasetService
@@ -5,7 +5,7 @@
  * This service provides:
  * - Centralized filter state management
  * - Real-time filter updates via subscription system
- * - Session storage persistence
+ * - Session storage persistence (mirrored to the URL by UrlStateService)
  * - Default filter values
  * - Cross-module filter sharing
  * - Debounced updates to prevent excessive re-renders
@@ -15,11 +15,27 @@
  * Requirements: 5.1, 5.2, 5.3, 5.4, 7.1, 7.2, 7.4, 7.5, 8.1, 8.2, 8.3
  */
 
+import { INCOME_LEVELS } from './IncomeClassificationService.js'
+
 const STORAGE_KEY = 'dashboardFilters'
 const MODULE_STORAGE_KEY = 'dashboardCurrentModule'
 const DEBOUNCE_DELAY = 300 // 300ms debounce delay
 const LOADING_THRESHOLD = 500 // Show loading indicator after 500ms
 
+// Allowed values of the enumerated filters (also used to parse deep links)
+export const NORMALIZATIONS = ['raw', 'gdp', 'totalExpense', 'perCapita']
+export const CURRENCIES = ['market', 'ppp']
+export const COLOR_MODES = ['category', 'region']
+export const MIN_YEAR = 1960
+export const MAX_YEAR = 2100
+
+const INCOME_LEVEL_IDS = INCOME_LEVELS.map(level => level.id)
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string')
+const isRange = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isFinite)
+const isYear = (value) => Number.isInteger(value) && value >= MIN_YEAR && value <= MAX_YEAR
+const isOptional = (value, check) => value === undefined || value === null || check(value)
+
 /**
  * FilterStateManager - Manages application-wide filter state
  */
@@ -59,6 +75,8 @@ export class FilterStateManager {
     if (module === 'gdp') {
       return {
         regions: filters.regions || [],
+        incomeLevels: filters.incomeLevels || [],
+        countryGroup: filters.countryGroup || null,
         yearRange: filters.yearRange || [2005, 2022],
         gdpRange: filters.gdpRange || [-100, 100],
         countries: filters.countries || []
@@ -66,6 +84,8 @@ export class FilterStateManager {
     } else if (module === 'spending') {
       return {
         regions: filters.regions || [],
+        incomeLevels: filters.incomeLevels || [],
+        countryGroup: filters.countryGroup || null,
         yearRange: filters.yearRange || [2005, 2022], // Last 2 decades
         valueRange: filters.valueRange || [0, 100000],
         sectors: filters.sectors || [],
@@ -93,7 +113,7 @@ export class FilterStateManager {
     }
     
     // Don't count categories as an active filter (it's always set)
-    const filtersToCheck = ['regions', 'sectors', 'countries']
+    const filtersToCheck = ['regions', 'incomeLevels', 'sectors', 'countries']
     
     filtersToCheck.forEach(key => {
       const current = currentFilters[key]
@@ -107,6 +127,10 @@ export class FilterStateManager {
         }
       }
     })
+
+    if (currentFilters.countryGroup) {
+      count++
+    }
     
     // Check year range (only if different from module-specific or global default)
     if (currentFilters.yearRange) {
@@ -199,6 +223,8 @@ export class FilterStateManager {
       this.currentFilters = {
         ...this.currentFilters,
         regions: defaults.regions,
+        incomeLevels: defaults.incomeLevels,
+        countryGroup: defaults.countryGroup,
         yearRange: [2005, 2022],
         gdpRange: defaults.gdpRange,
         countries: defaults.countries || []
@@ -207,14 +233,23 @@ export class FilterStateManager {
       this.currentFilters = {
         ...this.currentFilters,
         regions: defaults.regions,
+        incomeLevels: defaults.incomeLevels,
+        countryGroup: defaults.countryGroup,
         yearRange: [2005, 2022], // Last 2 decades
         valueRange: defaults.valueRange,
         sectors: defaults.sectors,
         categories: defaults.categories
       }
     } else {
-      // Reset all filters
-      this.currentFilters = defaults
+      // Reset all filters, keeping the selected indicator and chart type (view, not filter)
+      this.currentFilters = {
+        ...defaults,
+        indicator: this.currentFilters.indicator || defaults.indicator,
+        chartType: this.currentFilters.chartType || defaults.chartType,
+        normalization: this.currentFilters.normalization || defaults.normalization,
+        baseYear: this.currentFilters.baseYear || defaults.baseYear,
+        currency: this.currentFilters.currency || defaults.currency
+      }
     }
     
     this.saveFiltersToStorage()
@@ -371,6 +406,12 @@ export class FilterStateManager {
       // Region selection - empty means all regions
       regions: [],
       
+      // World Bank income levels ('high', 'upper-middle', 'lower-middle', 'low') - empty means all
+      incomeLevels: [],
+      
+      // Country group id (preset or user group, see CountryGroupService) - null means all countries
+      countryGroup: null,
+      
       // Year range - default to reliable data range (2005-2022) consistent across all modules
       yearRange: [2005, 2022],
       
@@ -389,6 +430,24 @@ export class FilterStateManager {
       // Selected country (for detail views)
       selectedCountry: null,
       
+      // Selected countries (ISO3 codes, or aggregate codes such as EAS or HIC) - shared across modules and deep links
+      countries: [],
+      
+      // Selected spending indicator code
+      indicator: 'GE',
+      
+      // Chart type on the comparison page (null = page default)
+      chartType: null,
+      
+      // Spending map normalization - 'raw', 'gdp' (% of GDP), 'totalExpense' (% of GE) or 'perCapita'
+      normalization: 'raw',
+      
+      // Price basis - null for nominal values, or the base year of real (constant price) values
+      baseYear: null,
+      
+      // USD conversion of local currency values - 'market' (exchange rate) or 'ppp'
+      currency: 'market',
+      
       // Color mode for visualizations
       colorMode: 'category' // 'category' or 'region'
     }
@@ -396,13 +455,14 @@ export class FilterStateManager {
 
   /**
    * Validate filter state structure
-   * Ensures loaded data has expected properties
+   * Ensures loaded or imported data has the expected properties and value types,
+   * so a malformed session entry or saved view file cannot reach the URL or the charts
    * @param {Object} state - Filter state to validate
    * @returns {boolean} True if valid
    * @private
    */
   isValidFilterState(state) {
-    if (!state || typeof state !== 'object') {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
       return false
     }
 
@@ -414,20 +474,33 @@ export class FilterStateManager {
       return false
     }
 
-    // Validate array properties
-    if (!Array.isArray(state.regions) || !Array.isArray(state.sectors) || !Array.isArray(state.categories)) {
+    // Validate list properties
+    if (!isStringList(state.regions) || !isStringList(state.sectors) || !isStringList(state.categories)) {
       return false
     }
 
     // Validate range properties
-    if (!Array.isArray(state.yearRange) || state.yearRange.length !== 2) {
+    if (!isRange(state.yearRange) || state.yearRange[0] > state.yearRange[1]) {
       return false
     }
-    if (!Array.isArray(state.valueRange) || state.valueRange.length !== 2) {
+    if (!isRange(state.valueRange) || !isOptional(state.gdpRange, isRange)) {
       return false
     }
 
-    return true
+    // Properties added after the first release are optional, but must be well-formed when present
+    const validOptional =
+      isOptional(state.countries, isStringList) &&
+      isOptional(state.incomeLevels, levels => isStringList(levels) && levels.every(level => INCOME_LEVEL_IDS.includes(level))) &&
+      isOptional(state.countryGroup, group => typeof group === 'string') &&
+      isOptional(state.selectedCountry, country => typeof country === 'string') &&
+      isOptional(state.indicator, indicator => typeof indicator === 'string' && /^[A-Z0-9_]+$/i.test(indicator)) &&
+      isOptional(state.chartType, chartType => typeof chartType === 'string' && /^[A-Za-z]+$/.test(chartType)) &&
+      isOptional(state.normalization, normalization => NORMALIZATIONS.includes(normalization)) &&
+      isOptional(state.baseYear, isYear) &&
+      isOptional(state.currency, currency => CURRENCIES.includes(currency)) &&
+      isOptional(state.colorMode, colorMode => COLOR_MODES.includes(colorMode))
+
+    return validOptional
   }
 
   /**
@@ -442,6 +515,8 @@ export class FilterStateManager {
 
     // Common filters
     if (this.currentFilters.regions && this.currentFilters.regions.length > 0) count++
+    if (this.currentFilters.incomeLevels && this.currentFilters.incomeLevels.length > 0) count++
+    if (this.currentFilters.countryGroup) count++
     if (this.currentFilters.countries && this.currentFilters.countries.length > 0) count++
     
     // Module-specific filters
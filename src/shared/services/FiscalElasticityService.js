@@ -0,0 +1,378 @@
+/**
+ * Fiscal Elasticity Service
+ * Lead/lag statistics between government spending growth and GDP growth
+ *
+ * This service:
+ * - Turns yearly levels into growth rates (log changes, in %) over consecutive years
+ * - Cross-correlates spending growth with GDP growth at lags -3..+3
+ *   (lag k pairs spending growth in year t with GDP growth in year t + k,
+ *   so positive lags mean spending moves first)
+ * - Estimates the elasticity of spending to GDP: the slope of spending growth on GDP growth
+ * - Computes rolling-window correlations to show how the relationship changes over time
+ *
+ * Significance uses a two-sided t-test on each correlation. Yearly growth rates are often
+ * autocorrelated, which overstates the information in a short series, so correlation tests use
+ * Bartlett's effective sample size n × (1 - a·b) / (1 + a·b), where a and b are the lag-1
+ * autocorrelations of the two series. With 15-20 years these are indications, not causal
+ * multipliers.
+ *
+ * Example: analyze({ spending: [{ year: 2005, value: 1.2e6 }, ...], gdp: [...] })
+ */
+
+import * as d3 from 'd3'
+
+export const MAX_LAG = 3
+
+export const ROLLING_WINDOWS = [6, 8, 10]
+
+export const DEFAULT_ELASTICITY_OPTIONS = {
+  maxLag: MAX_LAG,
+  window: 8,
+  alpha: 0.05
+}
+
+// Fewest pairs a correlation or regression is reported for
+const MIN_PAIRS = 5
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @private
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ]
+  let y = x
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5)
+  let series = 1.000000000190015
+  coefficients.forEach(c => {
+    y += 1
+    series += c / y
+  })
+  return -tmp + Math.log(2.5066282746310005 * series / x)
+}
+
+/**
+ * Continued fraction for the incomplete beta function
+ * @private
+ */
+function betaContinuedFraction(a, b, x) {
+  const EPSILON = 3e-14
+  const TINY = 1e-300
+  let c = 1
+  let d = 1 - (a + b) * x / (a + 1)
+  if (Math.abs(d) < TINY) d = TINY
+  d = 1 / d
+  let h = d
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2))
+    d = 1 + aa * d
+    if (Math.abs(d) < TINY) d = TINY
+    c = 1 + aa / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    h *= d * c
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))
+    d = 1 + aa * d
+    if (Math.abs(d) < TINY) d = TINY
+    c = 1 + aa / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    const delta = d * c
+    h *= delta
+    if (Math.abs(delta - 1) < EPSILON) break
+  }
+  return h
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @private
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0
+  if (x >= 1) return 1
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x))
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b
+}
+
+/**
+ * Two-sided p-value of a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(|T| >= |t|)
+ */
+export function tTestPValue(t, df) {
+  if (!Number.isFinite(t)) return 0
+  if (!(df > 0)) return 1
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5)
+}
+
+/**
+ * Two-sided critical t value by bisection
+ * @private
+ */
+function criticalT(df, alpha) {
+  let low = 0
+  let high = 100
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2
+    if (tTestPValue(mid, df) > alpha) low = mid
+    else high = mid
+  }
+  return (low + high) / 2
+}
+
+/**
+ * Pearson correlation of paired values
+ * @param {Array<number>} xs - First values
+ * @param {Array<number>} ys - Second values (same length)
+ * @returns {number|null} r, or null with fewer than 3 pairs or no variation
+ */
+export function pearson(xs, ys) {
+  const n = xs.length
+  if (n < 3) return null
+  const xMean = d3.mean(xs)
+  const yMean = d3.mean(ys)
+  const sxy = d3.sum(xs, (x, i) => (x - xMean) * (ys[i] - yMean))
+  const sxx = d3.sum(xs, x => (x - xMean) ** 2)
+  const syy = d3.sum(ys, y => (y - yMean) ** 2)
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null
+}
+
+/**
+ * Lag-1 autocorrelation of a series of consecutive years
+ * @private
+ */
+function lagOneAutocorrelation(values) {
+  return values.length > 3 ? pearson(values.slice(0, -1), values.slice(1)) || 0 : 0
+}
+
+/**
+ * Test a correlation: t statistic, p-value and Fisher-z confidence interval
+ * @param {number} r - Correlation
+ * @param {number} n - Sample size (or effective sample size)
+ * @param {number} [alpha] - Significance level
+ * @returns {Object} { r, n, t, p, lower, upper, significant }
+ */
+export function testCorrelation(r, n, alpha = DEFAULT_ELASTICITY_OPTIONS.alpha) {
+  const df = n - 2
+  const bounded = Math.max(-0.999999, Math.min(0.999999, r))
+  const t = bounded * Math.sqrt(df / (1 - bounded * bounded))
+  const p = tTestPValue(t, df)
+
+  // Fisher z interval needs n > 3
+  const z = Math.atanh(bounded)
+  const se = n > 3 ? 1 / Math.sqrt(n - 3) : Infinity
+  const zCritical = 1.959964
+
+  return {
+    r,
+    n,
+    t,
+    p,
+    lower: Number.isFinite(se) ? Math.tanh(z - zCritical * se) : -1,
+    upper: Number.isFinite(se) ? Math.tanh(z + zCritical * se) : 1,
+    significant: p < alpha
+  }
+}
+
+/**
+ * Correlation an n-point sample must exceed to be significant
+ * @param {number} n - Sample size
+ * @param {number} [alpha] - Significance level
+ * @returns {number|null} |r| threshold, or null for n < 4
+ */
+export function criticalCorrelation(n, alpha = DEFAULT_ELASTICITY_OPTIONS.alpha) {
+  if (n < 4) return null
+  const t = criticalT(n - 2, alpha)
+  return t / Math.sqrt(n - 2 + t * t)
+}
+
+/**
+ * Growth rates over consecutive years as log changes in percent
+ * @param {Array<Object>} points - { year, value } with positive values
+ * @returns {Array<Object>} { year, growth } for years whose previous year is present
+ */
+export function growthRates(points) {
+  const byYear = new Map()
+  ;(points || []).forEach(point => {
+    if (point && Number.isFinite(point.value) && point.value > 0) {
+      byYear.set(point.year, point.value)
+    }
+  })
+
+  return Array.from(byYear.keys())
+    .sort((a, b) => a - b)
+    .filter(year => byYear.has(year - 1))
+    .map(year => ({ year, growth: Math.log(byYear.get(year) / byYear.get(year - 1)) * 100 }))
+}
+
+/**
+ * Describe a correlation's direction and strength
+ * @param {number} r - Correlation
+ * @returns {string} e.g. "strong positive"
+ */
+export function describeCorrelation(r) {
+  if (r === null || r === undefined) return 'n/a'
+  const abs = Math.abs(r)
+  const strength = abs >= 0.7 ? 'strong' : abs >= 0.4 ? 'moderate' : abs >= 0.2 ? 'weak' : 'negligible'
+  return strength === 'negligible' ? strength : `${strength} ${r > 0 ? 'positive' : 'negative'}`
+}
+
+/**
+ * Describe a lag
+ * @param {number} lag - Lag in years (spending year + lag = GDP year)
+ * @returns {string} e.g. "Spending leads by 2 yrs"
+ */
+export function describeLag(lag) {
+  if (lag === 0) return 'Same year'
+  const years = `${Math.abs(lag)} yr${Math.abs(lag) > 1 ? 's' : ''}`
+  return lag > 0 ? `Spending leads by ${years}` : `GDP leads by ${years}`
+}
+
+class FiscalElasticityService {
+  /**
+   * Lead/lag analysis of spending and GDP
+   * @param {Object} series - { spending, gdp } yearly levels ({ year, value }), or
+   *   { growth: [{ year, spending, gdp }] } with growth rates already computed (log changes in %)
+   * @param {Object} [options] - { maxLag, window, alpha }
+   * @returns {Object|null} { growth, crossCorrelation, peak, elasticity, rolling, window, alpha, years },
+   *   or null with fewer than MIN_PAIRS years of growth
+   */
+  analyze(series, options = {}) {
+    const { maxLag, window, alpha } = { ...DEFAULT_ELASTICITY_OPTIONS, ...options }
+    const growth = series.growth
+      ? series.growth.filter(d => Number.isFinite(d.spending) && Number.isFinite(d.gdp))
+      : this.joinGrowth(series.spending, series.gdp)
+
+    if (growth.length < MIN_PAIRS) return null
+
+    const crossCorrelation = d3.range(-maxLag, maxLag + 1).map(lag => this.lagCorrelation(growth, lag, alpha))
+    const reported = crossCorrelation.filter(d => d.r !== null)
+    const peak = reported.length > 0 ? d3.greatest(reported, d => Math.abs(d.r)) : null
+
+    return {
+      growth,
+      crossCorrelation,
+      peak,
+      elasticity: this.elasticity(growth, alpha),
+      rolling: this.rollingCorrelation(growth, window, alpha),
+      window,
+      alpha,
+      years: [growth[0].year, growth[growth.length - 1].year]
+    }
+  }
+
+  /**
+   * Growth of both series in the years where both are available
+   * @private
+   */
+  joinGrowth(spending, gdp) {
+    const gdpGrowth = new Map(growthRates(gdp).map(d => [d.year, d.growth]))
+    return growthRates(spending)
+      .filter(d => gdpGrowth.has(d.year))
+      .map(d => ({ year: d.year, spending: d.growth, gdp: gdpGrowth.get(d.year) }))
+  }
+
+  /**
+   * Correlation of spending growth in year t with GDP growth in year t + lag
+   * @param {Array<Object>} growth - { year, spending, gdp }
+   * @param {number} lag - Lag in years
+   * @param {number} [alpha] - Significance level
+   * @returns {Object} { lag, r, n, effectiveN, t, p, lower, upper, significant } (r null when too few pairs)
+   */
+  lagCorrelation(growth, lag, alpha = DEFAULT_ELASTICITY_OPTIONS.alpha) {
+    const gdpByYear = new Map(growth.map(d => [d.year, d.gdp]))
+    const pairs = growth
+      .filter(d => gdpByYear.has(d.year + lag))
+      .map(d => [d.spending, gdpByYear.get(d.year + lag)])
+
+    const n = pairs.length
+    const r = n >= MIN_PAIRS ? pearson(pairs.map(p => p[0]), pairs.map(p => p[1])) : null
+    if (r === null) {
+      return { lag, r: null, n, effectiveN: n, t: null, p: null, lower: null, upper: null, significant: false }
+    }
+
+    const persistence = lagOneAutocorrelation(growth.map(d => d.spending)) * lagOneAutocorrelation(growth.map(d => d.gdp))
+    const effectiveN = Math.max(4, Math.min(n, n * (1 - persistence) / (1 + persistence)))
+
+    return { lag, ...testCorrelation(r, effectiveN, alpha), n, effectiveN }
+  }
+
+  /**
+   * Elasticity of spending to GDP: OLS slope of spending growth on GDP growth
+   * An elasticity of 1.2 means spending grew 1.2% for each 1% of GDP growth.
+   * @param {Array<Object>} growth - { year, spending, gdp }
+   * @param {number} [alpha] - Significance level
+   * @returns {Object|null} { elasticity, intercept, se, t, p, lower, upper, r2, n, significant }
+   */
+  elasticity(growth, alpha = DEFAULT_ELASTICITY_OPTIONS.alpha) {
+    const n = growth.length
+    if (n < MIN_PAIRS) return null
+
+    const xMean = d3.mean(growth, d => d.gdp)
+    const yMean = d3.mean(growth, d => d.spending)
+    const sxx = d3.sum(growth, d => (d.gdp - xMean) ** 2)
+    if (!(sxx > 0)) return null
+
+    const slope = d3.sum(growth, d => (d.gdp - xMean) * (d.spending - yMean)) / sxx
+    const intercept = yMean - slope * xMean
+    const sse = d3.sum(growth, d => (d.spending - intercept - slope * d.gdp) ** 2)
+    const sst = d3.sum(growth, d => (d.spending - yMean) ** 2)
+    const df = n - 2
+    const se = Math.sqrt(sse / df / sxx)
+    const t = se > 0 ? slope / se : Infinity
+    const p = tTestPValue(t, df)
+    const margin = criticalT(df, alpha) * se
+
+    return {
+      elasticity: slope,
+      intercept,
+      se,
+      t,
+      p,
+      lower: slope - margin,
+      upper: slope + margin,
+      r2: sst > 0 ? 1 - sse / sst : null,
+      n,
+      significant: p < alpha
+    }
+  }
+
+  /**
+   * Same-year correlation over a moving window of consecutive years
+   * @param {Array<Object>} growth - { year, spending, gdp }
+   * @param {number} window - Window length in years
+   * @param {number} [alpha] - Significance level
+   * @returns {Array<Object>} { year (window end), startYear, r, n, p, critical, significant }
+   */
+  rollingCorrelation(growth, window, alpha = DEFAULT_ELASTICITY_OPTIONS.alpha) {
+    const byYear = new Map(growth.map(d => [d.year, d]))
+    const critical = criticalCorrelation(window, alpha)
+
+    return growth
+      .filter(d => d.year - window + 1 >= growth[0].year)
+      .map(d => {
+        const inWindow = d3.range(d.year - window + 1, d.year + 1).map(year => byYear.get(year)).filter(Boolean)
+        if (inWindow.length < window) return null
+        const r = pearson(inWindow.map(w => w.spending), inWindow.map(w => w.gdp))
+        if (r === null) return null
+        const { p, significant } = testCorrelation(r, window, alpha)
+        return { year: d.year, startYear: d.year - window + 1, r, n: window, p, critical, significant }
+      })
+      .filter(Boolean)
+  }
+}
+
+// Export singleton instance
+export const fiscalElasticityService = new FiscalElasticityService()
+
+// Export class for testing
+export default FiscalElasticityService
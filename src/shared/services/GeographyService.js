@@ -0,0 +1,140 @@
+/**
+ * Geography Service
+ * Shared loader for the world country geometry used by every map
+ *
+ * This service:
+ * - Serves the vendored Natural Earth TopoJSON from public/data/geo (no CDN access needed)
+ * - Supports the 110m (default) and 50m resolutions
+ * - Caches the topology and the decoded GeoJSON features across modules
+ * - Falls back to the next available resolution when a file is missing
+ */
+
+import * as d3 from 'd3'
+import * as topojson from 'topojson-client'
+import { getDataPath } from '../../utils/pathUtils.js'
+
+/**
+ * Vendored geometry files (world-atlas@2, ISC licensed)
+ */
+export const GEOGRAPHY_FILES = {
+  '110m': 'geo/countries-110m.json',
+  '50m': 'geo/countries-50m.json'
+}
+
+// Deployments can opt into the finer geometry with VITE_MAP_RESOLUTION=50m
+export const DEFAULT_RESOLUTION = import.meta.env.VITE_MAP_RESOLUTION || '110m'
+
+// Features decoded per topology object, so callers holding the same topology share one copy
+const featureCache = new WeakMap()
+
+class GeographyService {
+  constructor() {
+    this.topologies = new Map() // resolution -> topology
+    this.pending = new Map() // resolution -> Promise<topology>
+  }
+
+  /**
+   * Load the world topology at the requested resolution
+   * Falls back to the other vendored resolution if the requested file is missing
+   * @param {Object} options - Load options
+   * @param {string} options.resolution - '110m' or '50m'
+   * @returns {Promise<Object>} TopoJSON topology with a `countries` object
+   */
+  async loadWorldTopology({ resolution = DEFAULT_RESOLUTION } = {}) {
+    if (!GEOGRAPHY_FILES[resolution]) {
+      console.warn(`Unknown map resolution "${resolution}", using 110m`)
+      resolution = '110m'
+    }
+
+    const candidates = [resolution, ...Object.keys(GEOGRAPHY_FILES).filter(r => r !== resolution)]
+    const errors = []
+
+    for (const candidate of candidates) {
+      try {
+        const topology = await this.loadResolution(candidate)
+        if (candidate !== resolution) {
+          console.warn(`⚠️ ${resolution} geometry unavailable, using ${candidate} instead`)
+        }
+        return topology
+      } catch (error) {
+        errors.push(`${candidate}: ${error.message}`)
+      }
+    }
+
+    throw new Error(`World map geometry could not be loaded (${errors.join('; ')})`)
+  }
+
+  /**
+   * Load a single resolution, sharing in-flight requests between callers
+   * @param {string} resolution - '110m' or '50m'
+   * @returns {Promise<Object>} TopoJSON topology
+   */
+  async loadResolution(resolution) {
+    if (this.topologies.has(resolution)) {
+      return this.topologies.get(resolution)
+    }
+
+    if (!this.pending.has(resolution)) {
+      const request = d3.json(getDataPath(GEOGRAPHY_FILES[resolution]))
+        .then(topology => {
+          if (!topology?.objects?.countries) {
+            throw new Error('file has no countries object')
+          }
+          this.topologies.set(resolution, topology)
+          return topology
+        })
+        .finally(() => {
+          this.pending.delete(resolution)
+        })
+
+      this.pending.set(resolution, request)
+    }
+
+    return this.pending.get(resolution)
+  }
+
+  /**
+   * Load the world geometry already decoded to GeoJSON
+   * @param {Object} options - Same options as loadWorldTopology
+   * @returns {Promise<Object>} GeoJSON FeatureCollection of countries
+   */
+  async loadCountryFeatures(options = {}) {
+    const topology = await this.loadWorldTopology(options)
+    return getCountryFeatures(topology)
+  }
+
+  /**
+   * Clear cached geometry (for testing or memory management)
+   */
+  clearCache() {
+    this.topologies.clear()
+    this.pending.clear()
+  }
+}
+
+/**
+ * Decode the countries object of a topology to GeoJSON, once per topology
+ * @param {Object} topology - TopoJSON topology returned by loadWorldTopology
+ * @returns {Object} GeoJSON FeatureCollection of countries
+ */
+export function getCountryFeatures(topology) {
+  if (!featureCache.has(topology)) {
+    featureCache.set(topology, topojson.feature(topology, topology.objects.countries))
+  }
+  return featureCache.get(topology)
+}
+
+// Export singleton instance
+export const geographyService = new GeographyService()
+
+/**
+ * Convenience wrapper around the singleton
+ * @param {Object} options - Load options ({ resolution })
+ * @returns {Promise<Object>} TopoJSON topology
+ */
+export function loadWorldTopology(options) {
+  return geographyService.loadWorldTopology(options)
+}
+
+// Export class for testing
+export default GeographyService
@@ -0,0 +1,223 @@
+/**
+ * Income Classification Service
+ * World Bank income group of a country in a given year
+ *
+ * Countries move between income groups (China, for example, moved from lower middle
+ * to upper middle income in the July 2010 classification), so filters and groupings
+ * over 2005-2022 need the classification of each year rather than today's.
+ *
+ * This service:
+ * - Loads the historical classification (income_history.csv, converted from the
+ *   World Bank OGHIST workbook with `npm run data:income`)
+ * - Falls back to the registry's FY2025 classification for countries or years
+ *   the history does not cover, so everything works without the file
+ * - Filters and aggregates countries by income level for a year
+ *
+ * Years are GNI data years: the classification for data year Y is the one the
+ * World Bank published in July Y+1 (fiscal year Y+2).
+ */
+
+import * as d3 from 'd3'
+import { getDataPath } from '../../utils/pathUtils.js'
+import { getIso3, getIncomeGroup as getCurrentIncomeGroup, INCOME_GROUPS } from '../utils/CountryRegistry.js'
+
+export const INCOME_HISTORY_FILE = 'income_history.csv'
+
+// Income levels as used by filters (ids) with their World Bank group names
+export const INCOME_LEVELS = [
+  { id: 'high', group: INCOME_GROUPS[0], label: 'High income', shortLabel: 'HIC' },
+  { id: 'upper-middle', group: INCOME_GROUPS[1], label: 'Upper middle income', shortLabel: 'UMC' },
+  { id: 'lower-middle', group: INCOME_GROUPS[2], label: 'Lower middle income', shortLabel: 'LMC' },
+  { id: 'low', group: INCOME_GROUPS[3], label: 'Low income', shortLabel: 'LIC' }
+]
+
+// OGHIST cell codes
+const OGHIST_CODES = {
+  H: INCOME_GROUPS[0],
+  UM: INCOME_GROUPS[1],
+  LM: INCOME_GROUPS[2],
+  L: INCOME_GROUPS[3]
+}
+
+const LEVEL_BY_GROUP = new Map(INCOME_LEVELS.map(level => [level.group, level]))
+
+/**
+ * Income level entry for a World Bank group name
+ * @param {string} group - e.g. 'Upper middle income'
+ * @returns {Object|null} Level ({ id, group, label, shortLabel })
+ */
+export function getIncomeLevelForGroup(group) {
+  return LEVEL_BY_GROUP.get(group) || null
+}
+
+/**
+ * Normalize an OGHIST code or group name to a World Bank group name
+ * @private
+ */
+function parseGroup(value) {
+  const text = String(value || '').trim().replace(/\*$/, '')
+  if (OGHIST_CODES[text.toUpperCase()]) return OGHIST_CODES[text.toUpperCase()]
+  return INCOME_GROUPS.find(group => group.toLowerCase() === text.toLowerCase()) || null
+}
+
+class IncomeClassificationService {
+  constructor() {
+    this.history = null // ISO3 -> sorted [{ year, group }]
+    this.loadPromise = null
+    this.unavailable = false
+  }
+
+  /**
+   * Load the historical classification once
+   * Resolves either way: without the file, lookups use the FY2025 classification
+   * @returns {Promise<IncomeClassificationService>} Resolves when lookups are ready
+   */
+  load() {
+    if (this.history || this.unavailable) return Promise.resolve(this)
+
+    if (!this.loadPromise) {
+      this.loadPromise = d3.csv(getDataPath(INCOME_HISTORY_FILE))
+        .then(rows => {
+          const history = new Map()
+          rows.forEach(row => {
+            const code = getIso3(row['Country Code'])
+            const year = parseInt(row.Year)
+            const group = parseGroup(row['Income Group'])
+            if (!code || isNaN(year) || !group) return
+
+            if (!history.has(code)) {
+              history.set(code, [])
+            }
+            history.get(code).push({ year, group })
+          })
+
+          if (history.size === 0) {
+            throw new Error('no classifications found')
+          }
+
+          history.forEach(entries => entries.sort((a, b) => a.year - b.year))
+          this.history = history
+          console.log(`🏦 Loaded income classification history for ${history.size} countries from ${INCOME_HISTORY_FILE}`)
+          return this
+        })
+        .catch(error => {
+          console.warn(`${INCOME_HISTORY_FILE} not available (${error.message}), using the FY2025 income classification for all years`)
+          this.unavailable = true
+          return this
+        })
+        .finally(() => {
+          this.loadPromise = null
+        })
+    }
+
+    return this.loadPromise
+  }
+
+  /**
+   * Check whether the historical classification is loaded
+   * @returns {boolean} True if per-year groups are available
+   */
+  hasHistory() {
+    return this.history !== null
+  }
+
+  /**
+   * Short description of the classification in use, for notes under charts and panels
+   * @returns {string} Source note
+   */
+  getSourceNote() {
+    return this.history
+      ? 'World Bank income groups of each year'
+      : 'World Bank income groups (FY2025 classification for all years)'
+  }
+
+  /**
+   * World Bank income group of a country in a year
+   * Uses the closest earlier classification (or the first one) when the year is not covered
+   * @param {string} country - ISO3 code or country name
+   * @param {number} [year] - GNI data year; omitted for the latest classification
+   * @returns {string|null} Group name, e.g. 'High income'
+   */
+  getIncomeGroup(country, year) {
+    const code = getIso3(country)
+    if (!code) return null
+
+    const entries = this.history?.get(code)
+    if (!entries || entries.length === 0) {
+      return getCurrentIncomeGroup(code)
+    }
+    if (year === undefined || year === null) {
+      return entries[entries.length - 1].group
+    }
+
+    let match = entries[0]
+    for (const entry of entries) {
+      if (entry.year > year) break
+      match = entry
+    }
+    return match.group
+  }
+
+  /**
+   * Income level id of a country in a year
+   * @param {string} country - ISO3 code or country name
+   * @param {number} [year] - GNI data year
+   * @returns {string|null} Level id ('high', 'upper-middle', 'lower-middle' or 'low')
+   */
+  getIncomeLevel(country, year) {
+    return getIncomeLevelForGroup(this.getIncomeGroup(country, year))?.id || null
+  }
+
+  /**
+   * Check a country against an income level filter
+   * @param {string} country - ISO3 code or country name
+   * @param {Array<string>} levels - Selected level ids (empty means all)
+   * @param {number} [year] - GNI data year the filter applies to
+   * @returns {boolean} True if no levels are selected or the country is in one of them
+   */
+  matchesIncomeLevels(country, levels, year) {
+    if (!levels || levels.length === 0) return true
+    return levels.includes(this.getIncomeLevel(country, year))
+  }
+
+  /**
+   * Aggregate country-year values by the income group of each year
+   * @param {Array<Object>} points - { country, year, value }
+   * @returns {Array<Object>} One entry per level with data: { ...level, countries, dataPoints, total, average, median }
+   */
+  aggregateByIncomeLevel(points) {
+    const groups = new Map()
+
+    points.forEach(({ country, year, value }) => {
+      if (value === null || value === undefined || isNaN(value)) return
+      const level = this.getIncomeLevel(country, year)
+      if (!level) return
+
+      if (!groups.has(level)) {
+        groups.set(level, { countries: new Set(), values: [] })
+      }
+      groups.get(level).countries.add(getIso3(country))
+      groups.get(level).values.push(value)
+    })
+
+    return INCOME_LEVELS
+      .filter(level => groups.has(level.id))
+      .map(level => {
+        const { countries, values } = groups.get(level.id)
+        return {
+          ...level,
+          countries: countries.size,
+          dataPoints: values.length,
+          total: d3.sum(values),
+          average: d3.mean(values),
+          median: d3.median(values)
+        }
+      })
+  }
+}
+
+// Export singleton instance
+export const incomeClassificationService = new IncomeClassificationService()
+
+// Export class for testing
+export default IncomeClassificationService
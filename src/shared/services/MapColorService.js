@@ -9,7 +9,9 @@
 import * as d3 from 'd3'
 import { ColorSchemeService } from './ColorSchemeService.js'
 import { getCountryRegion } from '../utils/RegionMapping.js'
-import { getCountryCodeFromMapName } from '../../modules/spending/utils/countryMapping.js'
+import { incomeClassificationService } from './IncomeClassificationService.js'
+import { countryGroupService } from './CountryGroupService.js'
+import { findCountryRecord, getCanonicalName } from '../utils/CountryRegistry.js'
 
 /**
  * MapColorService - Centralized map color management
@@ -146,6 +148,16 @@ export const MapColorService = {
         }
       }
 
+      // Income level filter - classification in the last year of the range
+      if (!incomeClassificationService.matchesIncomeLevels(countryData.code || countryName, filters?.incomeLevels, filters?.yearRange?.[1])) {
+        return false
+      }
+
+      // Country group filter - members of the selected preset or user group
+      if (!countryGroupService.matchesGroup(countryData.code || countryName, filters?.countryGroup)) {
+        return false
+      }
+
       // Value range filter - DISABLED
       // Since countries use different currencies (USD, EUR, INR, etc.), 
       // filtering by absolute spending values doesn't make sense
@@ -180,223 +192,25 @@ export const MapColorService = {
 
   /**
    * Normalize country name for matching
+   * Map aliases (e.g. 'Dem. Rep. Congo') resolve to the canonical dataset name
    * @param {string} name - Country name
-   * @returns {string} Normalized name
+   * @returns {string} Canonical name, or the input when the registry has no match
    */
   normalizeCountryName(name) {
     if (!name) return name
-    
-    // Exclude non-countries that appear in map data
-    const excludedTerritories = [
-      'Antarctica',
-      'Fr. S. Antarctic Lands',
-      'French Southern and Antarctic Lands',
-      'Greenland',
-      'N. Cyprus',
-      'Somaliland',
-      'W. Sahara',
-      'Falkland Is.',
-      'Puerto Rico'
-    ]
-    
-    if (excludedTerritories.includes(name)) {
-      return null // Return null to indicate no data should exist
-    }
-    
-    // Comprehensive name variations - maps GeoJSON names to spending data names
-    const nameMap = {
-      // Americas
-      'United States of America': 'United States',
-      'The Bahamas': 'Bahamas, The',
-      'Bahamas': 'Bahamas, The',
-      'Saint Kitts and Nevis': 'St. Kitts and Nevis',
-      'St Kitts and Nevis': 'St. Kitts and Nevis',
-      'Saint Lucia': 'St. Lucia',
-      'St Lucia': 'St. Lucia',
-      'Saint Vincent and the Grenadines': 'St. Vincent and the Grenadines',
-      'St Vincent and the Grenadines': 'St. Vincent and the Grenadines',
-      'St. Vin. and Gren.': 'St. Vincent and the Grenadines',
-      'Antigua and Barb.': 'Antigua and Barbuda',
-      'Dominican Rep.': 'Dominican Republic',
-      'Trinidad and Tobago': 'Trinidad and Tobago',
-      
-      // Asia
-      'Russia': 'Russian Federation',
-      'Korea, Republic of': 'Korea, Rep.',
-      'South Korea': 'Korea, Rep.',
-      'Korea': 'Korea, Rep.',
-      'Korea, Democratic People\'s Republic of': 'Korea, Dem. People\'s Rep.',
-      'North Korea': 'Korea, Dem. People\'s Rep.',
-      'Iran, Islamic Republic of': 'Iran, Islamic Rep.',
-      'Iran': 'Iran, Islamic Rep.',
-      'Laos': 'Lao PDR',
-      'Lao People\'s Democratic Republic': 'Lao PDR',
-      'Syria': 'Syrian Arab Republic',
-      'Syrian Arab Republic': 'Syrian Arab Republic',
-      'Vietnam': 'Viet Nam',
-      'Viet Nam': 'Viet Nam',
-      'Burma': 'Myanmar',
-      'Brunei': 'Brunei Darussalam',
-      'Brunei Darussalam': 'Brunei Darussalam',
-      'Hong Kong': 'Hong Kong SAR, China',
-      'Hong Kong S.A.R.': 'Hong Kong SAR, China',
-      'Macao': 'Macao SAR, China',
-      'Macau': 'Macao SAR, China',
-      'Macao S.A.R': 'Macao SAR, China',
-      'Palestine': 'West Bank and Gaza',
-      'West Bank': 'West Bank and Gaza',
-      'Kyrgyzstan': 'Kyrgyz Republic',
-      'Turkey': 'Turkiye',
-      'Türkiye': 'Turkiye',
-      'Timor': 'Timor-Leste',
-      'East Timor': 'Timor-Leste',
-      'Timor-Leste': 'Timor-Leste',
-      'Micronesia': 'Micronesia, Fed. Sts.',
-      'Federated States of Micronesia': 'Micronesia, Fed. Sts.',
-      'United Arab Emirates': 'United Arab Emirates',
-      'U.A.E.': 'United Arab Emirates',
-      
-      // Africa
-      'The Gambia': 'Gambia, The',
-      'Gambia': 'Gambia, The',
-      'Democratic Republic of the Congo': 'Congo, Dem. Rep.',
-      'Dem. Rep. Congo': 'Congo, Dem. Rep.',
-      'Congo, Dem. Rep.': 'Congo, Dem. Rep.',
-      'Congo (Kinshasa)': 'Congo, Dem. Rep.',
-      'Republic of the Congo': 'Congo, Rep.',
-      'Congo': 'Congo, Rep.',
-      'Congo, Rep.': 'Congo, Rep.',
-      'Congo (Brazzaville)': 'Congo, Rep.',
-      'Ivory Coast': 'Cote d\'Ivoire',
-      'Côte d\'Ivoire': 'Cote d\'Ivoire',
-      'Cote d\'Ivoire': 'Cote d\'Ivoire',
-      'Egypt': 'Egypt, Arab Rep.',
-      'Egypt, Arab Rep.': 'Egypt, Arab Rep.',
-      'Cape Verde': 'Cabo Verde',
-      'Cabo Verde': 'Cabo Verde',
-      'Swaziland': 'Eswatini',
-      'eSwatini': 'Eswatini',
-      'Macedonia': 'North Macedonia',
-      'North Macedonia': 'North Macedonia',
-      'São Tomé and Príncipe': 'Sao Tome and Principe',
-      'Sao Tome and Principe': 'Sao Tome and Principe',
-      'S. Tomé and Principe': 'Sao Tome and Principe',
-      'Morocco': 'Morocco',
-      'Mozambique': 'Mozambique',
-      'Central African Rep.': 'Central African Republic',
-      'Eq. Guinea': 'Equatorial Guinea',
-      'Equatorial Guinea': 'Equatorial Guinea',
-      'South Sudan': 'South Sudan',
-      'S. Sudan': 'South Sudan',
-      
-      // South America
-      'Venezuela, Bolivarian Republic of': 'Venezuela, RB',
-      'Venezuela': 'Venezuela, RB',
-      'Bolivia, Plurinational State of': 'Bolivia',
-      'Bolivia': 'Bolivia',
-      'Argentina': 'Argentina',
-      'Uruguay': 'Uruguay',
-      
-      // Europe
-      'Czech Republic': 'Czechia',
-      'Czech Rep.': 'Czechia',
-      'Czechia': 'Czechia',
-      'Slovakia': 'Slovak Republic',
-      'Slovak Republic': 'Slovak Republic',
-      'Great Britain': 'United Kingdom',
-      'UK': 'United Kingdom',
-      'United Kingdom': 'United Kingdom',
-      'Bosnia and Herz.': 'Bosnia and Herzegovina',
-      'Bosnia and Herzegovina': 'Bosnia and Herzegovina',
-      'Serbia': 'Serbia',
-      'Montenegro': 'Montenegro',
-      'Kosovo': 'Kosovo',
-      
-      // Oceania
-      'Solomon Is.': 'Solomon Islands',
-      'Solomon Islands': 'Solomon Islands',
-      'Papua New Guinea': 'Papua New Guinea',
-      'New Zealand': 'New Zealand',
-      'Australia': 'Australia',
-      'Fiji': 'Fiji',
-      'Vanuatu': 'Vanuatu',
-      'Samoa': 'Samoa',
-      'Tonga': 'Tonga',
-      'Kiribati': 'Kiribati',
-      'Marshall Islands': 'Marshall Islands',
-      'Palau': 'Palau',
-      'Nauru': 'Nauru',
-      
-      // Middle East
-      'Tanzania, United Republic of': 'Tanzania',
-      'Tanzania': 'Tanzania',
-      'Yemen': 'Yemen, Rep.',
-      'Yemen, Rep.': 'Yemen, Rep.',
-      'United Arab Emirates': 'United Arab Emirates',
-      'Saudi Arabia': 'Saudi Arabia',
-      'Oman': 'Oman',
-      'Kuwait': 'Kuwait',
-      'Qatar': 'Qatar',
-      'Bahrain': 'Bahrain',
-      'Jordan': 'Jordan',
-      'Lebanon': 'Lebanon',
-      'Israel': 'Israel',
-      'Iraq': 'Iraq'
-    }
-    
-    return nameMap[name] || name
+    return getCanonicalName(name) || name
   },
 
   /**
    * Find country data in spending data (handles both code and name lookups)
-   * @param {string} mapName - Country name from map
+   * Non-country map features (Antarctica, N. Cyprus, ...) resolve to no data
+   * @param {string|Object} mapName - Country name from map, or the map feature itself
    * @param {Object} spendingData - Spending data
    * @returns {Object|null} Country data or null
    */
   findCountryData(mapName, spendingData) {
     if (!mapName || !spendingData?.countries) return null
-    
-    // Try 1: Direct name match
-    let countryData = spendingData.countries[mapName]
-    if (countryData) return countryData
-    
-    // Try 2: Normalized name
-    const normalizedName = this.normalizeCountryName(mapName)
-    
-    // If normalization returns null, this territory should have no data
-    if (normalizedName === null) return null
-    
-    if (normalizedName !== mapName) {
-      countryData = spendingData.countries[normalizedName]
-      if (countryData) return countryData
-    }
-    
-    // Try 3: Code lookup
-    const countryCode = getCountryCodeFromMapName(mapName)
-    if (countryCode) {
-      countryData = spendingData.countries[countryCode]
-      if (countryData) return countryData
-    }
-    
-    // Try 4: Search by name property in data
-    const countryEntries = Object.entries(spendingData.countries)
-    const match = countryEntries.find(([key, data]) => {
-      if (!data) return false
-      
-      // Check if data.name matches
-      if (data.name === mapName || data.name === normalizedName) return true
-      
-      // Check if data.code matches
-      if (data.code === countryCode) return true
-      
-      // Check if key matches (case-insensitive)
-      if (key.toLowerCase() === mapName.toLowerCase() || 
-          key.toLowerCase() === normalizedName.toLowerCase()) return true
-      
-      return false
-    })
-    
-    return match ? match[1] : null
+    return findCountryRecord(mapName, spendingData.countries)
   },
 
   /**
@@ -425,6 +239,16 @@ export const MapColorService = {
       }
     }
 
+    // Income level filter
+    if (!incomeClassificationService.matchesIncomeLevels(countryData.code || countryName, filters.incomeLevels, filters.yearRange?.[1])) {
+      return false
+    }
+
+    // Country group filter
+    if (!countryGroupService.matchesGroup(countryData.code || countryName, filters.countryGroup)) {
+      return false
+    }
+
     // Value range filter - DISABLED
     // Since countries use different currencies, filtering by absolute values doesn't make sense
 
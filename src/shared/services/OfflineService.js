@@ -0,0 +1,160 @@
+/**
+ * Offline Service
+ * Registers the service worker (production builds only) and tracks what the header
+ * badge shows: connectivity, the data version in use and whether it is cached
+ *
+ * This service:
+ * - Reports online/offline changes
+ * - Reports the data version this page loaded (data_version in manifest.json) and the
+ *   one the service worker keeps for offline use
+ * - Reports a newer data version on the server, and switches to it only when asked
+ *   (updateData): the service worker downloads it completely, then the page reloads so
+ *   no view mixes data from two versions
+ */
+
+import { dataManifestService } from './DataManifestService.js'
+
+class OfflineService {
+  constructor() {
+    this.status = {
+      online: typeof navigator === 'undefined' ? true : navigator.onLine,
+      supported: typeof navigator !== 'undefined' && 'serviceWorker' in navigator && import.meta.env.PROD,
+      dataVersion: null, // Version this page loaded
+      cachedVersion: null, // Version the service worker serves offline
+      latestVersion: null, // Version on the server, null when unreachable
+      updating: false,
+      progress: null, // { done, total } while the service worker downloads a version
+      error: null
+    }
+    this.listeners = []
+    this.initialized = false
+  }
+
+  /**
+   * Register the service worker and start tracking connectivity (once)
+   */
+  init() {
+    if (this.initialized || typeof window === 'undefined') return
+    this.initialized = true
+
+    window.addEventListener('online', () => {
+      this.update({ online: true })
+      this.requestStatus()
+    })
+    window.addEventListener('offline', () => this.update({ online: false }))
+
+    dataManifestService.load().then(manifest => {
+      if (manifest?.data_version) this.update({ dataVersion: manifest.data_version })
+    })
+
+    if (!this.status.supported) return
+
+    navigator.serviceWorker.addEventListener('message', (event) => this.handleMessage(event.data))
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .then(() => this.requestStatus())
+      .catch(error => {
+        console.warn('⚠️ Service worker registration failed, the app will not work offline:', error.message)
+        this.update({ supported: false, error: error.message })
+      })
+  }
+
+  /**
+   * Ask the service worker for the cached and latest data versions
+   * @private
+   */
+  async requestStatus() {
+    if (!this.status.supported) return
+    const registration = await navigator.serviceWorker.ready
+    registration.active?.postMessage({ type: 'status' })
+  }
+
+  /**
+   * Handle a message from the service worker
+   * @private
+   */
+  handleMessage(message) {
+    switch (message?.type) {
+      case 'data-status':
+        this.update({ cachedVersion: message.version, latestVersion: message.latest })
+        break
+      case 'data-progress':
+        this.update({ progress: { done: message.done, total: message.total } })
+        break
+      case 'data-updated':
+        console.log(`📦 Data version ${message.version} downloaded, reloading`)
+        window.location.reload()
+        break
+      case 'data-update-failed':
+        this.update({ updating: false, progress: null, error: message.error })
+        break
+      default:
+        break
+    }
+  }
+
+  /**
+   * Download the data version on the server and reload with it
+   * @returns {Promise<boolean>} True if the update was started
+   */
+  async updateData() {
+    if (!this.status.supported || this.status.updating) return false
+
+    this.update({ updating: true, progress: null, error: null })
+    const registration = await navigator.serviceWorker.ready
+    registration.active.postMessage({ type: 'update-data' })
+    return true
+  }
+
+  /**
+   * Current status
+   * @returns {Object} Status plus offlineReady (this page's data version is cached) and
+   *   updateAvailable (the server has another version)
+   */
+  getStatus() {
+    const { dataVersion, cachedVersion, latestVersion } = this.status
+    return {
+      ...this.status,
+      offlineReady: dataVersion !== null && cachedVersion === dataVersion,
+      updateAvailable: dataVersion !== null && latestVersion !== null && latestVersion !== dataVersion
+    }
+  }
+
+  /**
+   * Subscribe to status changes
+   * @param {Function} listener - Called with the status
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      console.error('OfflineService: Listener must be a function')
+      return () => {}
+    }
+
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+  }
+
+  /**
+   * Merge a status change and notify subscribers
+   * @private
+   */
+  update(changes) {
+    this.status = { ...this.status, ...changes }
+    const status = this.getStatus()
+    this.listeners.forEach(listener => {
+      try {
+        listener(status)
+      } catch (error) {
+        console.error('OfflineService listener error:', error)
+      }
+    })
+  }
+}
+
+// Export singleton instance
+export const offlineService = new OfflineService()
+
+// Export class for testing
+export default OfflineService
@@ -0,0 +1,141 @@
+/**
+ * Price Basis Service
+ * Converts nominal (current price) values to real values at constant prices of a base year
+ *
+ * All source data is nominal, so "growth" partly reflects inflation. A deflator
+ * (World Bank GDP deflator, NY.GDP.DEFL.ZS, or any price index in the same layout)
+ * rebases a series as: real(t) = nominal(t) × index(base) / index(t).
+ *
+ * - Local currency values use the country's own deflator
+ * - USD values use the United States deflator (constant base-year US dollars)
+ *
+ * The selected base year is part of the shared filter state (null = nominal).
+ */
+
+import { loadWorldBankIndicatorFile } from '../../modules/comparison/services/GdpExpenseDataService.js'
+import { getIso3 } from '../utils/CountryRegistry.js'
+
+export const DEFLATOR_FILE = 'gdp_deflator.csv'
+
+// Deflator used for USD values
+export const USD_PRICE_COUNTRY = 'USA'
+
+export const DEFAULT_BASE_YEAR = 2015
+
+const BASE_YEAR_RANGE = [2005, 2022]
+
+class PriceBasisService {
+  constructor() {
+    this.deflators = null // ISO3 -> Map(year -> index)
+    this.loadPromise = null
+    this.unavailable = false
+  }
+
+  /**
+   * Load the deflator dataset once
+   * @returns {Promise<PriceBasisService>} Resolves when deflators are available
+   */
+  load() {
+    if (this.deflators) return Promise.resolve(this)
+
+    if (!this.loadPromise) {
+      this.loadPromise = loadWorldBankIndicatorFile(DEFLATOR_FILE)
+        .then(points => {
+          const deflators = new Map()
+          points.forEach(({ countryCode, year, value }) => {
+            if (!deflators.has(countryCode)) {
+              deflators.set(countryCode, new Map())
+            }
+            deflators.get(countryCode).set(year, value)
+          })
+
+          this.deflators = deflators
+          this.unavailable = false
+          console.log(`💲 Loaded deflators for ${deflators.size} countries from ${DEFLATOR_FILE}`)
+          return this
+        })
+        .catch(error => {
+          console.error(`Failed to load ${DEFLATOR_FILE}:`, error)
+          this.loadPromise = null // Allow a retry
+          this.unavailable = true
+          throw new Error(`Deflator data (${DEFLATOR_FILE}) is not available`)
+        })
+    }
+
+    return this.loadPromise
+  }
+
+  /**
+   * Check whether deflators are loaded
+   * @returns {boolean} True once load() has resolved
+   */
+  isLoaded() {
+    return this.deflators !== null
+  }
+
+  /**
+   * Check whether the last load attempt failed
+   * @returns {boolean} True if the deflator file could not be loaded
+   */
+  isUnavailable() {
+    return this.unavailable
+  }
+
+  /**
+   * Base years that can be selected (years with a USD deflator once loaded)
+   * @returns {Array<number>} Base years
+   */
+  getBaseYears() {
+    const years = []
+    for (let year = BASE_YEAR_RANGE[0]; year <= BASE_YEAR_RANGE[1]; year++) {
+      years.push(year)
+    }
+
+    if (!this.deflators) return years
+
+    const usd = this.deflators.get(USD_PRICE_COUNTRY)
+    return usd ? years.filter(year => usd.has(year)) : years
+  }
+
+  /**
+   * Rebasing factor index(base) / index(year) for a country
+   * @param {string} country - ISO3 code or country name
+   * @param {number} year - Year of the nominal value
+   * @param {number} baseYear - Base year of the constant prices
+   * @returns {number|null} Factor, or null if either index is missing
+   */
+  getFactor(country, year, baseYear) {
+    if (!this.deflators) return null
+
+    const series = this.deflators.get(getIso3(country) || country)
+    const current = series?.get(year)
+    const base = series?.get(baseYear)
+
+    return current && base ? base / current : null
+  }
+
+  /**
+   * Rebasing factor for USD values (United States deflator)
+   * @param {number} year - Year of the nominal value
+   * @param {number} baseYear - Base year of the constant prices
+   * @returns {number|null} Factor, or null if either index is missing
+   */
+  getUsdFactor(year, baseYear) {
+    return this.getFactor(USD_PRICE_COUNTRY, year, baseYear)
+  }
+
+  /**
+   * Describe a price basis for labels and tooltips
+   * @param {number|null} baseYear - Base year, null for nominal
+   * @returns {string} e.g. "nominal" or "real, 2015 prices"
+   */
+  describe(baseYear) {
+    return baseYear ? `real, ${baseYear} prices` : 'nominal'
+  }
+}
+
+// Export singleton instance
+export const priceBasisService = new PriceBasisService()
+
+// Export class for testing
+export default PriceBasisService
@@ -0,0 +1,297 @@
+/**
+ * Projection Service
+ * Extends a yearly series (a country or an aggregate) past its last observed year
+ *
+ * This service:
+ * - Fits one of three small models to the series: linear trend, Holt's exponential
+ *   smoothing (level + trend) or AR(1) on yearly changes (ARIMA(1,1,0) with drift)
+ * - Projects a configurable number of years with prediction intervals (80% or 95%)
+ * - Backtests the model by refitting without the last years and comparing the projection
+ *   with what was actually reported
+ *
+ * Models are fitted on the latest run of consecutive years, since Holt and AR(1) step one
+ * year at a time. Intervals assume normally distributed errors; with 15-20 yearly points
+ * they are indicative, not calibrated forecasts.
+ *
+ * Example: project([{ year: 2005, value: 1.2e12 }, ...], { model: 'holt', horizon: 5 })
+ */
+
+import * as d3 from 'd3'
+
+export const PROJECTION_MODELS = {
+  linear: {
+    label: 'Linear trend',
+    shortLabel: 'Linear',
+    description: 'Least-squares straight line through the observed years',
+    minPoints: 3
+  },
+  holt: {
+    label: 'Exponential smoothing (Holt)',
+    shortLabel: 'Holt',
+    description: 'Level and trend updated year by year, recent years weigh more',
+    minPoints: 4
+  },
+  ar1: {
+    label: 'AR(1) on yearly changes',
+    shortLabel: 'AR(1)',
+    description: 'ARIMA(1,1,0): each yearly change is a drift plus a share of the previous change',
+    minPoints: 5
+  }
+}
+
+export const PROJECTION_HORIZONS = [1, 2, 3, 5, 8, 10]
+
+// Two-sided normal quantiles of the supported interval levels
+export const CONFIDENCE_LEVELS = {
+  0.8: 1.2816,
+  0.95: 1.96
+}
+
+export const DEFAULT_PROJECTION = {
+  enabled: false,
+  model: 'holt',
+  horizon: 5,
+  level: 0.8
+}
+
+// Years held out to measure accuracy
+export const BACKTEST_YEARS = 3
+
+// Holt smoothing parameters are chosen from this grid by one-step-ahead squared error
+const SMOOTHING_GRID = d3.range(0.1, 1, 0.1).map(value => Math.round(value * 10) / 10)
+
+const MAX_AR_COEFFICIENT = 0.95
+
+/**
+ * Sorted points with finite values, limited to the latest run of consecutive years
+ * @private
+ */
+function prepareSeries(series) {
+  const byYear = new Map()
+  ;(series || []).forEach(point => {
+    const year = Number(point?.year)
+    const value = point?.value
+    if (Number.isInteger(year) && typeof value === 'number' && Number.isFinite(value)) {
+      byYear.set(year, value)
+    }
+  })
+
+  const points = Array.from(byYear, ([year, value]) => ({ year, value })).sort((a, b) => a.year - b.year)
+  let start = points.length - 1
+  while (start > 0 && points[start].year - points[start - 1].year === 1) {
+    start--
+  }
+  return points.slice(Math.max(start, 0))
+}
+
+/**
+ * Least-squares line; forecast error grows away from the centre of the data
+ * @private
+ */
+function fitLinear(values) {
+  const n = values.length
+  const xs = d3.range(n)
+  const xMean = d3.mean(xs)
+  const yMean = d3.mean(values)
+  const sxx = d3.sum(xs, x => (x - xMean) ** 2)
+  const slope = d3.sum(xs, (x, i) => (x - xMean) * (values[i] - yMean)) / sxx
+  const intercept = yMean - slope * xMean
+  const sse = d3.sum(values, (y, i) => (y - (intercept + slope * i)) ** 2)
+  const sigma = Math.sqrt(sse / Math.max(n - 2, 1))
+
+  return (horizon) => d3.range(1, horizon + 1).map(h => {
+    const x = n - 1 + h
+    return {
+      value: intercept + slope * x,
+      se: sigma * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx)
+    }
+  })
+}
+
+/**
+ * Holt's linear method with (alpha, beta) picked by one-step-ahead error
+ * @private
+ */
+function fitHolt(values) {
+  const run = (alpha, beta) => {
+    let level = values[0]
+    let trend = values[1] - values[0]
+    let sse = 0
+    let count = 0
+
+    for (let t = 1; t < values.length; t++) {
+      const forecast = level + trend
+      // The first step reproduces values[1] by construction, so it carries no error information
+      if (t > 1) {
+        sse += (values[t] - forecast) ** 2
+        count++
+      }
+      const nextLevel = alpha * values[t] + (1 - alpha) * forecast
+      trend = beta * (nextLevel - level) + (1 - beta) * trend
+      level = nextLevel
+    }
+    return { alpha, beta, level, trend, sse, count }
+  }
+
+  let best = null
+  SMOOTHING_GRID.forEach(alpha => {
+    SMOOTHING_GRID.forEach(beta => {
+      const fit = run(alpha, beta)
+      if (!best || fit.sse < best.sse) best = fit
+    })
+  })
+
+  const { alpha, beta, level, trend } = best
+  const sigma = Math.sqrt(best.sse / Math.max(best.count, 1))
+  // The ETS(A,A,N) variance is written with the error-correction trend weight, alpha × beta
+  const trendWeight = alpha * beta
+
+  return (horizon) => d3.range(1, horizon + 1).map(h => ({
+    value: level + h * trend,
+    se: sigma * Math.sqrt(1 + (h - 1) * (alpha ** 2 + alpha * trendWeight * h + (trendWeight ** 2 * h * (2 * h - 1)) / 6))
+  }))
+}
+
+/**
+ * AR(1) with drift on first differences, i.e. ARIMA(1,1,0)
+ * @private
+ */
+function fitAr1(values) {
+  const changes = values.slice(1).map((value, i) => value - values[i])
+  const previous = changes.slice(0, -1)
+  const current = changes.slice(1)
+
+  const xMean = d3.mean(previous)
+  const yMean = d3.mean(current)
+  const sxx = d3.sum(previous, x => (x - xMean) ** 2)
+  const rawPhi = sxx > 0 ? d3.sum(previous, (x, i) => (x - xMean) * (current[i] - yMean)) / sxx : 0
+  const phi = Math.max(-MAX_AR_COEFFICIENT, Math.min(MAX_AR_COEFFICIENT, rawPhi))
+  const drift = yMean - phi * xMean
+  const sse = d3.sum(current, (y, i) => (y - (drift + phi * previous[i])) ** 2)
+  const sigma = Math.sqrt(sse / Math.max(current.length - 2, 1))
+
+  return (horizon) => {
+    const forecasts = []
+    let level = values[values.length - 1]
+    let change = changes[changes.length - 1]
+    let variance = 0
+    let weight = 0
+
+    for (let h = 1; h <= horizon; h++) {
+      change = drift + phi * change
+      level += change
+      // Level error weights are cumulative sums of phi^i
+      weight += phi ** (h - 1)
+      variance += weight ** 2
+      forecasts.push({ value: level, se: sigma * Math.sqrt(variance) })
+    }
+    return forecasts
+  }
+}
+
+const FITTERS = {
+  linear: fitLinear,
+  holt: fitHolt,
+  ar1: fitAr1
+}
+
+/**
+ * Describe a backtest for readouts under charts
+ * @param {Object} backtest - Backtest from project() or backtest()
+ * @returns {string} e.g. "Backtest 2020-2022: 4.2% mean error, 3 of 3 years inside the 80% band"
+ */
+export function describeBacktest(backtest) {
+  if (!backtest) return 'Backtest needs more years of data'
+  const error = backtest.mape === null ? 'error n/a' : `${(backtest.mape * 100).toFixed(1)}% mean error`
+  return `Backtest ${backtest.fromYear}-${backtest.toYear}: ${error}, ${backtest.withinBand} of ${backtest.years} years inside the ${Math.round(backtest.level * 100)}% band`
+}
+
+class ProjectionService {
+  /**
+   * Project a yearly series
+   * @param {Array<Object>} series - { year, value } points (unsorted, gaps allowed)
+   * @param {Object} [options] - { model, horizon, level }
+   * @returns {Object|null} { model, level, lastYear, lastValue, points: [{ year, value, lower, upper }], backtest },
+   *   or null when the series is too short for the model
+   */
+  project(series, options = {}) {
+    const { model = DEFAULT_PROJECTION.model, horizon = DEFAULT_PROJECTION.horizon, level = DEFAULT_PROJECTION.level } = options
+    if (!PROJECTION_MODELS[model]) {
+      throw new Error(`Unknown projection model: ${model}`)
+    }
+
+    const points = prepareSeries(series)
+    const projected = this.forecast(points, model, horizon, level)
+    if (!projected) return null
+
+    const last = points[points.length - 1]
+    return {
+      model,
+      level,
+      lastYear: last.year,
+      lastValue: last.value,
+      points: projected,
+      backtest: this.backtest(points, { model, level })
+    }
+  }
+
+  /**
+   * Refit without the last years and compare the projection with the reported values
+   * @param {Array<Object>} series - { year, value } points
+   * @param {Object} [options] - { model, level, years }
+   * @returns {Object|null} { years, fromYear, toYear, level, mape, mae, withinBand }, or null when too short
+   */
+  backtest(series, options = {}) {
+    const { model = DEFAULT_PROJECTION.model, level = DEFAULT_PROJECTION.level, years = BACKTEST_YEARS } = options
+    const points = prepareSeries(series)
+    if (points.length - years < PROJECTION_MODELS[model].minPoints) return null
+
+    const training = points.slice(0, -years)
+    const actual = points.slice(-years)
+    const projected = this.forecast(training, model, years, level)
+    if (!projected) return null
+
+    const errors = actual.map((point, i) => Math.abs(point.value - projected[i].value))
+    const relative = actual
+      .map((point, i) => (point.value !== 0 ? errors[i] / Math.abs(point.value) : null))
+      .filter(value => value !== null)
+
+    return {
+      years,
+      fromYear: actual[0].year,
+      toYear: actual[actual.length - 1].year,
+      level,
+      mape: relative.length > 0 ? d3.mean(relative) : null,
+      mae: d3.mean(errors),
+      withinBand: actual.filter((point, i) => point.value >= projected[i].lower && point.value <= projected[i].upper).length
+    }
+  }
+
+  /**
+   * Fit a model to prepared points and forecast with intervals
+   * Series that never go negative (GDP, spending) get intervals floored at zero
+   * @private
+   */
+  forecast(points, model, horizon, level) {
+    if (points.length < PROJECTION_MODELS[model].minPoints || horizon < 1) return null
+
+    const values = points.map(point => point.value)
+    const z = CONFIDENCE_LEVELS[level] || CONFIDENCE_LEVELS[DEFAULT_PROJECTION.level]
+    const nonNegative = values.every(value => value >= 0)
+    const lastYear = points[points.length - 1].year
+    const floor = (value) => (nonNegative ? Math.max(value, 0) : value)
+
+    return FITTERS[model](values)(horizon).map(({ value, se }, i) => ({
+      year: lastYear + i + 1,
+      value: floor(value),
+      lower: floor(value - z * se),
+      upper: floor(value + z * se)
+    }))
+  }
+}
+
+// Export singleton instance
+export const projectionService = new ProjectionService()
+
+// Export class for testing
+export default ProjectionService
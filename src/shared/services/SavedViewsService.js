@@ -0,0 +1,365 @@
+/**
+ * Saved Views Service
+ * Library of named dashboard configurations ("bookmarks") persisted in localStorage
+ *
+ * This service:
+ * - Captures the current view from FilterStateManager (module + filters) under a name
+ * - Stores the collection in localStorage with a schema version
+ * - Supports rename, delete and duplicate
+ * - Imports/exports the collection as JSON so a team can share a curated set
+ * - Validates entries with FilterStateManager.isValidFilterState before applying them
+ *
+ * Example: "OECD social benefits 2010-2020"
+ */
+
+import { filterStateManager } from './FilterStateManager.js'
+
+const STORAGE_KEY = 'dashboardSavedViews'
+export const SCHEMA_VERSION = 1
+
+const MODULES = ['about', 'spending', 'gdp', 'comparison', 'quality']
+const MAX_NAME_LENGTH = 100
+
+/**
+ * Generate a reasonably unique id for a saved view
+ * @private
+ */
+function createId() {
+  return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Trim and bound a view name
+ * @private
+ */
+function cleanName(name) {
+  return String(name || '').trim().slice(0, MAX_NAME_LENGTH)
+}
+
+/**
+ * SavedViewsService - manages the saved views collection
+ */
+class SavedViewsService {
+  constructor() {
+    this.listeners = []
+    this.views = this.loadFromStorage()
+  }
+
+  /**
+   * Get all saved views, most recently updated first
+   * @returns {Array<Object>} Saved views ({ id, name, module, filters, createdAt, updatedAt })
+   */
+  getViews() {
+    return [...this.views].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+  }
+
+  /**
+   * Get a saved view by id
+   * @param {string} id - View id
+   * @returns {Object|null} Saved view or null
+   */
+  getView(id) {
+    return this.views.find(view => view.id === id) || null
+  }
+
+  /**
+   * Check whether a saved view can be applied
+   * @param {Object} view - Saved view
+   * @returns {boolean} True if the module and filters are valid
+   */
+  isValidView(view) {
+    return Boolean(
+      view &&
+      typeof view === 'object' &&
+      cleanName(view.name) &&
+      MODULES.includes(view.module) &&
+      filterStateManager.isValidFilterState(view.filters)
+    )
+  }
+
+  /**
+   * Save the current dashboard state under a name
+   * @param {string} name - View name
+   * @returns {Object|null} The new view, or null if the name is empty
+   */
+  saveCurrentView(name) {
+    const viewName = cleanName(name)
+    if (!viewName) {
+      console.warn('SavedViewsService: A view needs a name')
+      return null
+    }
+
+    const now = new Date().toISOString()
+    const view = {
+      id: createId(),
+      name: viewName,
+      module: filterStateManager.getCurrentModule(),
+      filters: filterStateManager.getFilters(),
+      createdAt: now,
+      updatedAt: now
+    }
+
+    this.views.push(view)
+    this.commit()
+    console.log(`⭐ Saved view "${viewName}"`)
+    return view
+  }
+
+  /**
+   * Apply a saved view to the dashboard
+   * Outdated entries are completed with the current defaults once they pass validation
+   * @param {string} id - View id
+   * @returns {Object} { success, module, error }
+   */
+  applyView(id) {
+    const view = this.getView(id)
+    if (!view) {
+      return { success: false, error: 'View not found' }
+    }
+
+    if (!this.isValidView(view)) {
+      console.warn(`SavedViewsService: View "${view.name}" is invalid or outdated and was not applied`)
+      return { success: false, error: 'This view is invalid or was saved by an incompatible version' }
+    }
+
+    const filters = {
+      ...filterStateManager.getDefaultFilters(),
+      ...view.filters
+    }
+
+    filterStateManager.restoreFiltersForModule(view.module)
+    filterStateManager.updateFilters(filters, true, view.module)
+
+    console.log(`⭐ Applied view "${view.name}"`)
+    return { success: true, module: view.module }
+  }
+
+  /**
+   * Rename a saved view
+   * @param {string} id - View id
+   * @param {string} name - New name
+   * @returns {boolean} True if renamed
+   */
+  renameView(id, name) {
+    const view = this.getView(id)
+    const viewName = cleanName(name)
+    if (!view || !viewName) return false
+
+    view.name = viewName
+    view.updatedAt = new Date().toISOString()
+    this.commit()
+    return true
+  }
+
+  /**
+   * Delete a saved view
+   * @param {string} id - View id
+   * @returns {boolean} True if deleted
+   */
+  deleteView(id) {
+    const count = this.views.length
+    this.views = this.views.filter(view => view.id !== id)
+    if (this.views.length === count) return false
+
+    this.commit()
+    return true
+  }
+
+  /**
+   * Duplicate a saved view as "<name> (copy)"
+   * @param {string} id - View id
+   * @returns {Object|null} The copy, or null if the view does not exist
+   */
+  duplicateView(id) {
+    const view = this.getView(id)
+    if (!view) return null
+
+    const now = new Date().toISOString()
+    const copy = {
+      ...JSON.parse(JSON.stringify(view)),
+      id: createId(),
+      name: cleanName(`${view.name} (copy)`),
+      createdAt: now,
+      updatedAt: now
+    }
+
+    this.views.push(copy)
+    this.commit()
+    return copy
+  }
+
+  /**
+   * Export the collection as a JSON string
+   * @returns {string} JSON document ({ schemaVersion, exportedAt, views })
+   */
+  exportViews() {
+    return JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      views: this.views
+    }, null, 2)
+  }
+
+  /**
+   * Download the collection as a JSON file
+   * @param {string} filename - File name
+   */
+  downloadViews(filename = 'saved-views.json') {
+    const blob = new Blob([this.exportViews()], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.style.display = 'none'
+
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+
+    setTimeout(() => URL.revokeObjectURL(url), 100)
+  }
+
+  /**
+   * Import views from a JSON document produced by exportViews
+   * Invalid entries are skipped; ids that already exist get a new id
+   * @param {string|Object} json - JSON string or parsed document
+   * @param {Object} options - { replace: drop the existing collection first }
+   * @returns {Object} { imported, skipped, error }
+   */
+  importViews(json, { replace = false } = {}) {
+    let data
+    try {
+      data = typeof json === 'string' ? JSON.parse(json) : json
+    } catch (error) {
+      return { imported: 0, skipped: 0, error: 'File is not valid JSON' }
+    }
+
+    const migrated = this.migrate(data)
+    if (!migrated) {
+      return { imported: 0, skipped: 0, error: 'Unsupported saved views file' }
+    }
+
+    const valid = migrated.filter(view => this.isValidView(view))
+    const skipped = migrated.length - valid.length
+    const existing = replace ? [] : this.views
+    const existingIds = new Set(existing.map(view => view.id))
+    const now = new Date().toISOString()
+
+    const imported = valid.map(view => {
+      const id = view.id && !existingIds.has(view.id) ? view.id : createId()
+      existingIds.add(id)
+      return {
+        id,
+        name: cleanName(view.name),
+        module: view.module,
+        filters: view.filters,
+        createdAt: view.createdAt || now,
+        updatedAt: view.updatedAt || now
+      }
+    })
+
+    this.views = [...existing, ...imported]
+    this.commit()
+
+    console.log(`⭐ Imported ${imported.length} saved view(s)${skipped ? `, skipped ${skipped} invalid` : ''}`)
+    return { imported: imported.length, skipped, error: null }
+  }
+
+  /**
+   * Bring a stored or imported document up to the current schema
+   * Unversioned documents (a bare array of views) are treated as version 0
+   * @param {Object|Array} data - Parsed document
+   * @returns {Array<Object>|null} Views, or null if the document is not recognized
+   * @private
+   */
+  migrate(data) {
+    if (Array.isArray(data)) {
+      return data
+    }
+
+    if (!data || typeof data !== 'object' || !Array.isArray(data.views)) {
+      return null
+    }
+
+    if (typeof data.schemaVersion !== 'number' || data.schemaVersion > SCHEMA_VERSION) {
+      console.warn(`SavedViewsService: Unsupported schema version ${data.schemaVersion}`)
+      return null
+    }
+
+    return data.views
+  }
+
+  /**
+   * Subscribe to collection changes
+   * @param {Function} listener - Called with the views array
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      console.error('SavedViewsService: Listener must be a function')
+      return () => {}
+    }
+
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+  }
+
+  /**
+   * Persist and notify listeners
+   * @private
+   */
+  commit() {
+    this.saveToStorage()
+    const views = this.getViews()
+    this.listeners.forEach(listener => {
+      try {
+        listener(views)
+      } catch (error) {
+        console.error('SavedViewsService: Error in listener callback', error)
+      }
+    })
+  }
+
+  /**
+   * Load the collection from localStorage
+   * Entries are kept even if invalid so they can be inspected, renamed or deleted
+   * @private
+   */
+  loadFromStorage() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY)
+      if (stored) {
+        const views = this.migrate(JSON.parse(stored))
+        if (views) {
+          return views.filter(view => view && typeof view === 'object' && view.id)
+        }
+      }
+    } catch (error) {
+      console.error('SavedViewsService: Error loading saved views', error)
+    }
+    return []
+  }
+
+  /**
+   * Save the collection to localStorage
+   * @private
+   */
+  saveToStorage() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        views: this.views
+      }))
+    } catch (error) {
+      console.error('SavedViewsService: Error saving views', error)
+    }
+  }
+}
+
+// Export singleton instance
+export const savedViewsService = new SavedViewsService()
+
+// Export class for testing
+export default SavedViewsService
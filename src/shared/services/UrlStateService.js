@@ -0,0 +1,403 @@
+/**
+ * URL State Service
+ * Mirrors the dashboard view into the query string so any view can be shared as a link
+ *
+ * This service:
+ * - Serializes module, year range, regions, income levels, country group, selected countries, indicator, chart type,
+ *   spending normalization, price basis (base year of real values) and USD conversion (market or PPP)
+ * - Restores that state from the URL on load (URL wins over session storage)
+ * - Pushes a history entry when the view changes (module, indicator, countries, chart type,
+ *   normalization, price basis, currency)
+ *   and replaces the current entry for fine-grained changes (year range, regions, income levels, country group)
+ * - Applies browser back/forward by feeding the URL state back into FilterStateManager
+ *
+ * Example: ?view=spending&years=2010-2020&regions=Asia,Europe&income=high,upper-middle&countries=USA,CHN&indicator=GECE&norm=gdp&base=2015
+ */
+
+import { filterStateManager, NORMALIZATIONS, CURRENCIES, MIN_YEAR, MAX_YEAR } from './FilterStateManager.js'
+import { getIso3 } from '../utils/CountryRegistry.js'
+import { INCOME_LEVELS } from './IncomeClassificationService.js'
+import { aggregationService } from './AggregationService.js'
+import { countryGroupService } from './CountryGroupService.js'
+
+export const MODULES = ['about', 'spending', 'gdp', 'comparison', 'quality']
+
+// Query parameter names
+export const URL_PARAMS = {
+  module: 'view',
+  yearRange: 'years',
+  regions: 'regions',
+  incomeLevels: 'income',
+  countryGroup: 'group',
+  countries: 'countries',
+  indicator: 'indicator',
+  chartType: 'chart',
+  normalization: 'norm',
+  baseYear: 'base',
+  currency: 'currency'
+}
+
+/**
+ * Parse the year range parameter ("2010-2020" or a single "2015")
+ * @param {string} value - Parameter value
+ * @returns {Array<number>|null} [start, end] or null if invalid
+ */
+function parseYearRange(value) {
+  const match = /^(\d{4})(?:-(\d{4}))?$/.exec(value || '')
+  if (!match) return null
+
+  const start = parseInt(match[1])
+  const end = match[2] ? parseInt(match[2]) : start
+  if (start < MIN_YEAR || end > MAX_YEAR || start > end) return null
+
+  return [start, end]
+}
+
+/**
+ * Split a comma-separated list parameter
+ * @param {string} value - Parameter value
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+}
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((item, i) => item === b[i])
+
+/**
+ * UrlStateService - keeps the address bar and the dashboard state in sync
+ */
+class UrlStateService {
+  constructor() {
+    this.listeners = []
+    this.initialized = false
+    this.applying = false // True while URL state is being applied (suppresses write-back)
+    this.lastViewKey = null
+    this.unsubscribeFilters = null
+    this.handlePopState = this.handlePopState.bind(this)
+  }
+
+  /**
+   * Parse dashboard state from a query string
+   * Unknown or malformed values are ignored so a bad link still opens the dashboard
+   * @param {string} search - Query string (defaults to the current location)
+   * @returns {Object} { module, filters } with only the values present in the URL
+   */
+  parse(search = window.location.search) {
+    const params = new URLSearchParams(search)
+    const state = { module: null, filters: {} }
+
+    const module = params.get(URL_PARAMS.module)
+    if (MODULES.includes(module)) {
+      state.module = module
+    }
+
+    const yearRange = parseYearRange(params.get(URL_PARAMS.yearRange))
+    if (yearRange) {
+      state.filters.yearRange = yearRange
+    }
+
+    if (params.has(URL_PARAMS.regions)) {
+      state.filters.regions = parseList(params.get(URL_PARAMS.regions))
+    }
+
+    if (params.has(URL_PARAMS.incomeLevels)) {
+      const levelIds = INCOME_LEVELS.map(level => level.id)
+      state.filters.incomeLevels = parseList(params.get(URL_PARAMS.incomeLevels))
+        .filter(level => levelIds.includes(level))
+    }
+
+    // Presets resolve everywhere; the user's own groups only in the browser that saved them
+    const countryGroup = params.get(URL_PARAMS.countryGroup)
+    if (countryGroup && countryGroupService.getGroup(countryGroup)) {
+      state.filters.countryGroup = countryGroup
+    }
+
+    if (params.has(URL_PARAMS.countries)) {
+      // Accept ISO3 codes or names; store canonical ISO3 (aggregates such as EAS or HIC keep their code)
+      state.filters.countries = parseList(params.get(URL_PARAMS.countries))
+        .map(value => getIso3(value) || aggregationService.getAggregate(value)?.code)
+        .filter(Boolean)
+    }
+
+    const indicator = params.get(URL_PARAMS.indicator)
+    if (indicator && /^[A-Z0-9_]+$/i.test(indicator)) {
+      state.filters.indicator = indicator.toUpperCase()
+    }
+
+    const chartType = params.get(URL_PARAMS.chartType)
+    if (chartType && /^[A-Za-z]+$/.test(chartType)) {
+      state.filters.chartType = chartType
+    }
+
+    const normalization = params.get(URL_PARAMS.normalization)
+    if (NORMALIZATIONS.includes(normalization)) {
+      state.filters.normalization = normalization
+    }
+
+    const currency = params.get(URL_PARAMS.currency)
+    if (CURRENCIES.includes(currency)) {
+      state.filters.currency = currency
+    }
+
+    const baseYear = parseInt(params.get(URL_PARAMS.baseYear))
+    if (baseYear >= MIN_YEAR && baseYear <= MAX_YEAR) {
+      state.filters.baseYear = baseYear
+    }
+
+    return state
+  }
+
+  /**
+   * Serialize dashboard state to a query string
+   * Values equal to the defaults are omitted to keep links short
+   * @param {string} module - Current module
+   * @param {Object} filters - Filter state from FilterStateManager
+   * @returns {string} Query string including the leading '?', or '' for the default view
+   */
+  serialize(module, filters) {
+    const defaults = filterStateManager.getDefaultFilters()
+    const params = new URLSearchParams()
+
+    if (module && module !== 'about') {
+      params.set(URL_PARAMS.module, module)
+    }
+
+    // The about page has no filters worth sharing
+    if (module && module !== 'about') {
+      const yearRange = filters.yearRange
+      if (Array.isArray(yearRange) && !sameList(yearRange, defaults.yearRange)) {
+        params.set(URL_PARAMS.yearRange, yearRange[0] === yearRange[1]
+          ? `${yearRange[0]}`
+          : `${yearRange[0]}-${yearRange[1]}`)
+      }
+
+      if (filters.regions?.length > 0) {
+        params.set(URL_PARAMS.regions, filters.regions.join(','))
+      }
+
+      if (filters.incomeLevels?.length > 0) {
+        params.set(URL_PARAMS.incomeLevels, filters.incomeLevels.join(','))
+      }
+
+      if (filters.countryGroup) {
+        params.set(URL_PARAMS.countryGroup, filters.countryGroup)
+      }
+
+      if (filters.countries?.length > 0) {
+        params.set(URL_PARAMS.countries, filters.countries.join(','))
+      }
+
+      if (filters.indicator && filters.indicator !== defaults.indicator) {
+        params.set(URL_PARAMS.indicator, filters.indicator)
+      }
+
+      if (filters.chartType && filters.chartType !== defaults.chartType) {
+        params.set(URL_PARAMS.chartType, filters.chartType)
+      }
+
+      if (filters.normalization && filters.normalization !== defaults.normalization) {
+        params.set(URL_PARAMS.normalization, filters.normalization)
+      }
+
+      if (filters.currency && filters.currency !== defaults.currency) {
+        params.set(URL_PARAMS.currency, filters.currency)
+      }
+
+      if (filters.baseYear) {
+        params.set(URL_PARAMS.baseYear, filters.baseYear)
+      }
+    }
+
+    // Keep commas readable in shared links
+    const query = params.toString().replace(/%2C/g, ',')
+    return query ? `?${query}` : ''
+  }
+
+  /**
+   * Key of the "view" part of the state; a change creates a new history entry
+   * @private
+   */
+  getViewKey(module, filters) {
+    return [
+      module,
+      filters.indicator || '',
+      (filters.countries || []).join(','),
+      filters.chartType || '',
+      filters.normalization || '',
+      filters.baseYear || '',
+      filters.currency || ''
+    ].join('|')
+  }
+
+  /**
+   * Initialize from the current URL and start syncing
+   * Call once before the first render so modules read the restored filters
+   * @returns {string|null} Module requested by the URL, if any
+   */
+  init() {
+    if (this.initialized) {
+      return this.parse().module
+    }
+    this.initialized = true
+
+    const { module, filters } = this.parse()
+    if (module || Object.keys(filters).length > 0) {
+      this.applyState({ module, filters })
+      console.log('🔗 Restored dashboard state from URL', { module, filters })
+    }
+
+    const currentModule = filterStateManager.getCurrentModule()
+    const current = filterStateManager.getFilters()
+    this.lastViewKey = this.getViewKey(currentModule, current)
+    this.writeUrl(currentModule, current, 'replace')
+
+    this.unsubscribeFilters = filterStateManager.subscribe(() => this.sync())
+    window.addEventListener('popstate', this.handlePopState)
+
+    return module
+  }
+
+  /**
+   * Write the current FilterStateManager state to the URL
+   * @param {Object} options - { push: force a new history entry }
+   */
+  sync({ push = false } = {}) {
+    if (this.applying) return
+
+    const module = filterStateManager.getCurrentModule()
+    const filters = filterStateManager.getFilters()
+    const viewKey = this.getViewKey(module, filters)
+    const mode = push || viewKey !== this.lastViewKey ? 'push' : 'replace'
+
+    this.lastViewKey = viewKey
+    this.writeUrl(module, filters, mode)
+  }
+
+  /**
+   * Update the address bar without reloading
+   * @private
+   */
+  writeUrl(module, filters, mode) {
+    const query = this.serialize(module, filters)
+    const url = `${window.location.pathname}${query}${window.location.hash}`
+
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      return
+    }
+
+    try {
+      if (mode === 'push') {
+        window.history.pushState({ dashboard: true }, '', url)
+      } else {
+        window.history.replaceState({ dashboard: true }, '', url)
+      }
+    } catch (error) {
+      console.error('UrlStateService: Error updating URL', error)
+    }
+  }
+
+  /**
+   * Apply parsed URL state to FilterStateManager
+   * @private
+   */
+  applyState({ module, filters }) {
+    this.applying = true
+    try {
+      const targetModule = module || 'about'
+      if (targetModule !== filterStateManager.getCurrentModule()) {
+        filterStateManager.restoreFiltersForModule(targetModule)
+      }
+
+      // Missing parameters mean "default" for a shared link
+      const defaults = filterStateManager.getDefaultFilters()
+      filterStateManager.updateFilters({
+        yearRange: filters.yearRange || defaults.yearRange,
+        regions: filters.regions || [],
+        incomeLevels: filters.incomeLevels || [],
+        countryGroup: filters.countryGroup || null,
+        countries: filters.countries || [],
+        indicator: filters.indicator || defaults.indicator,
+        chartType: filters.chartType || defaults.chartType,
+        normalization: filters.normalization || defaults.normalization,
+        baseYear: filters.baseYear || defaults.baseYear,
+        currency: filters.currency || defaults.currency
+      }, true, targetModule)
+    } finally {
+      this.applying = false
+    }
+  }
+
+  /**
+   * Handle browser back/forward
+   * @private
+   */
+  handlePopState() {
+    const state = this.parse()
+    this.applyState(state)
+    this.lastViewKey = this.getViewKey(filterStateManager.getCurrentModule(), filterStateManager.getFilters())
+    this.notifyListeners(filterStateManager.getCurrentModule())
+  }
+
+  /**
+   * Subscribe to module changes caused by back/forward navigation
+   * @param {Function} listener - Called with the module name
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      console.error('UrlStateService: Listener must be a function')
+      return () => {}
+    }
+
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+  }
+
+  /**
+   * Notify listeners of a module change
+   * @private
+   */
+  notifyListeners(module) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(module)
+      } catch (error) {
+        console.error('UrlStateService: Error in listener callback', error)
+      }
+    })
+  }
+
+  /**
+   * Get an absolute link to the current view
+   * @returns {string} Shareable URL
+   */
+  getShareableUrl() {
+    const query = this.serialize(filterStateManager.getCurrentModule(), filterStateManager.getFilters())
+    return `${window.location.origin}${window.location.pathname}${query}`
+  }
+
+  /**
+   * Stop syncing (for testing or teardown)
+   */
+  destroy() {
+    if (this.unsubscribeFilters) {
+      this.unsubscribeFilters()
+      this.unsubscribeFilters = null
+    }
+    window.removeEventListener('popstate', this.handlePopState)
+    this.listeners = []
+    this.initialized = false
+  }
+}
+
+// Export singleton instance
+export const urlStateService = new UrlStateService()
+
+// Export class for testing
+export default UrlStateService
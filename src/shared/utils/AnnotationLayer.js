@@ -0,0 +1,141 @@
+/**
+ * Annotation layer for D3 time charts
+ * Draws events as shaded spans (multi-year) or dashed markers (single year) with labels
+ * along the top of the plot; hovering a label shows the event details
+ *
+ * Usage:
+ * const layer = drawAnnotations(g, annotations, { x: xScale, height: innerHeight })
+ * layer.update(zoomedXScale) // after zoom or pan
+ *
+ * Spans and markers ignore the pointer so chart tooltips keep working underneath;
+ * call drawAnnotations after the chart's hover overlay so the labels stay hoverable.
+ */
+
+import * as d3 from 'd3'
+import { ANNOTATION_CATEGORIES, formatAnnotationYears } from '../services/AnnotationService.js'
+
+const LABEL_ROW_HEIGHT = 11
+const LABEL_ROWS = 3
+const LABEL_GAP = 4
+
+/**
+ * Color of an event's category
+ * @param {Object} annotation - Event
+ * @returns {string} CSS color
+ */
+export function getAnnotationColor(annotation) {
+  return (ANNOTATION_CATEGORIES[annotation.category] || ANNOTATION_CATEGORIES.policy).color
+}
+
+/**
+ * Hover text for an event
+ * @param {Object} annotation - Event
+ * @returns {string} Title, years and description on separate lines
+ */
+export function describeAnnotation(annotation) {
+  const category = ANNOTATION_CATEGORIES[annotation.category]?.label
+  return [
+    `${annotation.title} (${formatAnnotationYears(annotation)})`,
+    category,
+    annotation.description
+  ].filter(Boolean).join('\n')
+}
+
+/**
+ * Events covering a year, for chart tooltips
+ * @param {Array<Object>} annotations - Events
+ * @param {number} year - Year
+ * @returns {Array<Object>} Events with start <= year <= end
+ */
+export function annotationsForYear(annotations, year) {
+  return (annotations || []).filter(annotation => annotation.start <= year && annotation.end >= year)
+}
+
+/**
+ * Draw events into a chart group
+ * @param {d3.Selection} container - Plot group (already translated by the chart margins)
+ * @param {Array<Object>} annotations - Events from annotationService / useAnnotations
+ * @param {Object} options - { x: linear year scale, height: plot height }
+ * @returns {{ update: Function, remove: Function }} Reposition for a new x scale, or remove the layer
+ */
+export function drawAnnotations(container, annotations, { x, height }) {
+  const layer = container.append('g')
+    .attr('class', 'annotation-layer')
+
+  const items = layer.selectAll('.annotation')
+    .data(annotations || [], d => d.id)
+    .enter()
+    .append('g')
+    .attr('class', d => `annotation annotation-${d.category}`)
+
+  items.filter(d => d.end > d.start)
+    .append('rect')
+    .attr('class', 'annotation-span')
+    .attr('y', 0)
+    .attr('height', height)
+    .attr('fill', getAnnotationColor)
+    .attr('opacity', 0.08)
+    .style('pointer-events', 'none')
+
+  items.filter(d => d.end === d.start)
+    .append('line')
+    .attr('class', 'annotation-marker')
+    .attr('y1', 0)
+    .attr('y2', height)
+    .attr('stroke', getAnnotationColor)
+    .attr('stroke-width', 1)
+    .attr('stroke-dasharray', '3,3')
+    .attr('opacity', 0.7)
+    .style('pointer-events', 'none')
+
+  const labels = items.append('text')
+    .attr('class', 'annotation-label')
+    .attr('font-size', '9px')
+    .attr('font-weight', 600)
+    .attr('fill', getAnnotationColor)
+    .attr('stroke', '#fff')
+    .attr('stroke-width', 3)
+    .attr('paint-order', 'stroke')
+    .style('cursor', 'help')
+    .text(d => d.short)
+
+  labels.append('title').text(describeAnnotation)
+
+  const update = (scale) => {
+    const [rangeStart, rangeEnd] = scale.range()
+    const clamp = value => Math.max(rangeStart, Math.min(rangeEnd, value))
+    const visible = d => scale(d.end) >= rangeStart && scale(d.start) <= rangeEnd
+
+    items.style('display', d => (visible(d) ? null : 'none'))
+
+    items.select('.annotation-span')
+      .attr('x', d => clamp(scale(d.start)))
+      .attr('width', d => Math.max(0, clamp(scale(d.end)) - clamp(scale(d.start))))
+
+    items.select('.annotation-marker')
+      .attr('x1', d => scale(d.start))
+      .attr('x2', d => scale(d.start))
+
+    // Stack labels into rows so neighbouring events stay readable
+    const rowEnds = new Array(LABEL_ROWS).fill(-Infinity)
+    labels.each(function(d) {
+      if (!visible(d)) return
+      const left = clamp(scale(d.start)) + 2
+      const width = this.getComputedTextLength ? this.getComputedTextLength() : d.short.length * 5
+      let row = rowEnds.findIndex(end => left > end + LABEL_GAP)
+      if (row === -1) row = rowEnds.indexOf(Math.min(...rowEnds))
+      rowEnds[row] = left + width
+
+      d3.select(this)
+        .attr('x', Math.min(left, rangeEnd - width))
+        .attr('y', 9 + row * LABEL_ROW_HEIGHT)
+    })
+  }
+
+  update(x)
+
+  return {
+    update,
+    remove: () => layer.remove()
+  }
+}
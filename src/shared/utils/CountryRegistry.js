@@ -0,0 +1,507 @@
+/**
+ * Country Registry
+ * Single source of truth for country identity across all modules
+ *
+ * Every country is keyed by ISO 3166 alpha-3 (the code used by the World Bank
+ * and IMF datasets) and ISO 3166 numeric (the `id` of the world-atlas TopoJSON
+ * features). Each entry carries:
+ * - name: canonical World Bank name (as used in gdp_vals.csv and the expense CSVs)
+ * - aliases: other spellings seen in the map geometry and legacy lookups
+ * - continent: display region used by filters, legends and map coloring
+ * - wbRegion: World Bank geographic region
+ * - incomeGroup: World Bank income group (FY2025 classification)
+ * - currency: ISO 4217 code of the local-currency values as reported in the
+ *   datasets (pre-redenomination codes such as HRK and SLL for 2005-2022 data)
+ *
+ * This module has no browser or Vite dependencies so Node scripts can import it.
+ */
+
+// Continents (display regions)
+const AF = 'Africa'
+const AS = 'Asia'
+const EU = 'Europe'
+const NAM = 'North America'
+const SAM = 'South America'
+const OC = 'Oceania'
+
+// World Bank regions
+const EAP = 'East Asia & Pacific'
+const ECA = 'Europe & Central Asia'
+const LAC = 'Latin America & Caribbean'
+const MNA = 'Middle East & North Africa'
+const NAC = 'North America'
+const SAS = 'South Asia'
+const SSA = 'Sub-Saharan Africa'
+
+// World Bank income groups
+const HIC = 'High income'
+const UMC = 'Upper middle income'
+const LMC = 'Lower middle income'
+const LIC = 'Low income'
+
+export const CONTINENTS = [AF, AS, EU, NAM, OC, SAM]
+export const WORLD_BANK_REGIONS = [EAP, ECA, LAC, MNA, NAC, SAS, SSA]
+export const INCOME_GROUPS = [HIC, UMC, LMC, LIC]
+
+/**
+ * Registry rows: [iso3, isoNumeric, name, continent, wbRegion, incomeGroup, currency, aliases]
+ */
+const COUNTRY_ROWS = [
+  ['ABW', '533', 'Aruba', NAM, LAC, HIC, 'AWG'],
+  ['AFG', '004', 'Afghanistan', AS, SAS, LIC, 'AFN'],
+  ['AGO', '024', 'Angola', AF, SSA, LMC, 'AOA'],
+  ['ALB', '008', 'Albania', EU, ECA, UMC, 'ALL'],
+  ['AND', '020', 'Andorra', EU, ECA, HIC, 'EUR'],
+  ['ARE', '784', 'United Arab Emirates', AS, MNA, HIC, 'AED', ['UAE', 'U.A.E.']],
+  ['ARG', '032', 'Argentina', SAM, LAC, UMC, 'ARS'],
+  ['ARM', '051', 'Armenia', AS, ECA, UMC, 'AMD'],
+  ['ASM', '016', 'American Samoa', OC, EAP, HIC, 'USD'],
+  ['ATG', '028', 'Antigua and Barbuda', NAM, LAC, HIC, 'XCD', ['Antigua and Barb.']],
+  ['AUS', '036', 'Australia', OC, EAP, HIC, 'AUD'],
+  ['AUT', '040', 'Austria', EU, ECA, HIC, 'EUR'],
+  ['AZE', '031', 'Azerbaijan', AS, ECA, UMC, 'AZN'],
+  ['BDI', '108', 'Burundi', AF, SSA, LIC, 'BIF'],
+  ['BEL', '056', 'Belgium', EU, ECA, HIC, 'EUR'],
+  ['BEN', '204', 'Benin', AF, SSA, LMC, 'XOF'],
+  ['BFA', '854', 'Burkina Faso', AF, SSA, LIC, 'XOF'],
+  ['BGD', '050', 'Bangladesh', AS, SAS, LMC, 'BDT'],
+  ['BGR', '100', 'Bulgaria', EU, ECA, HIC, 'BGN'],
+  ['BHR', '048', 'Bahrain', AS, MNA, HIC, 'BHD'],
+  ['BHS', '044', 'Bahamas, The', NAM, LAC, HIC, 'BSD', ['Bahamas', 'The Bahamas']],
+  ['BIH', '070', 'Bosnia and Herzegovina', EU, ECA, UMC, 'BAM', ['Bosnia and Herz.']],
+  ['BLR', '112', 'Belarus', EU, ECA, UMC, 'BYN'],
+  ['BLZ', '084', 'Belize', NAM, LAC, UMC, 'BZD'],
+  ['BMU', '060', 'Bermuda', NAM, NAC, HIC, 'BMD'],
+  ['BOL', '068', 'Bolivia', SAM, LAC, LMC, 'BOB', ['Bolivia, Plurinational State of']],
+  ['BRA', '076', 'Brazil', SAM, LAC, UMC, 'BRL'],
+  ['BRB', '052', 'Barbados', NAM, LAC, HIC, 'BBD'],
+  ['BRN', '096', 'Brunei Darussalam', AS, EAP, HIC, 'BND', ['Brunei']],
+  ['BTN', '064', 'Bhutan', AS, SAS, LMC, 'BTN'],
+  ['BWA', '072', 'Botswana', AF, SSA, UMC, 'BWP'],
+  ['CAF', '140', 'Central African Republic', AF, SSA, LIC, 'XAF', ['Central African Rep.']],
+  ['CAN', '124', 'Canada', NAM, NAC, HIC, 'CAD'],
+  ['CHE', '756', 'Switzerland', EU, ECA, HIC, 'CHF'],
+  ['CHI', '830', 'Channel Islands', EU, ECA, HIC, 'GBP', ['Jersey', 'Guernsey']],
+  ['CHL', '152', 'Chile', SAM, LAC, HIC, 'CLP'],
+  ['CHN', '156', 'China', AS, EAP, UMC, 'CNY'],
+  ['CIV', '384', 'Cote d\'Ivoire', AF, SSA, LMC, 'XOF', ['Ivory Coast']],
+  ['CMR', '120', 'Cameroon', AF, SSA, LMC, 'XAF'],
+  ['COD', '180', 'Congo, Dem. Rep.', AF, SSA, LIC, 'CDF', ['Democratic Republic of the Congo', 'Dem. Rep. Congo', 'DR Congo', 'Congo (Kinshasa)']],
+  ['COG', '178', 'Congo, Rep.', AF, SSA, LMC, 'XAF', ['Congo', 'Republic of the Congo', 'Congo (Brazzaville)']],
+  ['COL', '170', 'Colombia', SAM, LAC, UMC, 'COP'],
+  ['COM', '174', 'Comoros', AF, SSA, LMC, 'KMF'],
+  ['CPV', '132', 'Cabo Verde', AF, SSA, LMC, 'CVE', ['Cape Verde']],
+  ['CRI', '188', 'Costa Rica', NAM, LAC, UMC, 'CRC'],
+  ['CUB', '192', 'Cuba', NAM, LAC, UMC, 'CUP'],
+  ['CUW', '531', 'Curacao', NAM, LAC, HIC, 'ANG'],
+  ['CYM', '136', 'Cayman Islands', NAM, LAC, HIC, 'KYD', ['Cayman Is.']],
+  ['CYP', '196', 'Cyprus', EU, ECA, HIC, 'EUR'],
+  ['CZE', '203', 'Czechia', EU, ECA, HIC, 'CZK', ['Czech Republic', 'Czech Rep.']],
+  ['DEU', '276', 'Germany', EU, ECA, HIC, 'EUR'],
+  ['DJI', '262', 'Djibouti', AF, MNA, LMC, 'DJF'],
+  ['DMA', '212', 'Dominica', NAM, LAC, UMC, 'XCD'],
+  ['DNK', '208', 'Denmark', EU, ECA, HIC, 'DKK'],
+  ['DOM', '214', 'Dominican Republic', NAM, LAC, UMC, 'DOP', ['Dominican Rep.']],
+  ['DZA', '012', 'Algeria', AF, MNA, UMC, 'DZD'],
+  ['ECU', '218', 'Ecuador', SAM, LAC, UMC, 'USD'],
+  ['EGY', '818', 'Egypt, Arab Rep.', AF, MNA, LMC, 'EGP', ['Egypt']],
+  ['ERI', '232', 'Eritrea', AF, SSA, LIC, 'ERN'],
+  ['ESP', '724', 'Spain', EU, ECA, HIC, 'EUR'],
+  ['EST', '233', 'Estonia', EU, ECA, HIC, 'EUR'],
+  ['ETH', '231', 'Ethiopia', AF, SSA, LIC, 'ETB'],
+  ['FIN', '246', 'Finland', EU, ECA, HIC, 'EUR'],
+  ['FJI', '242', 'Fiji', OC, EAP, UMC, 'FJD'],
+  ['FRA', '250', 'France', EU, ECA, HIC, 'EUR'],
+  ['FRO', '234', 'Faroe Islands', EU, ECA, HIC, 'DKK', ['Faeroe Is.']],
+  ['FSM', '583', 'Micronesia, Fed. Sts.', OC, EAP, LMC, 'USD', ['Micronesia', 'Federated States of Micronesia']],
+  ['GAB', '266', 'Gabon', AF, SSA, UMC, 'XAF'],
+  ['GBR', '826', 'United Kingdom', EU, ECA, HIC, 'GBP', ['UK', 'Great Britain']],
+  ['GEO', '268', 'Georgia', AS, ECA, UMC, 'GEL'],
+  ['GHA', '288', 'Ghana', AF, SSA, LMC, 'GHS'],
+  ['GIB', '292', 'Gibraltar', EU, ECA, HIC, 'GIP'],
+  ['GIN', '324', 'Guinea', AF, SSA, LMC, 'GNF'],
+  ['GMB', '270', 'Gambia, The', AF, SSA, LIC, 'GMD', ['Gambia', 'The Gambia']],
+  ['GNB', '624', 'Guinea-Bissau', AF, SSA, LIC, 'XOF'],
+  ['GNQ', '226', 'Equatorial Guinea', AF, SSA, UMC, 'XAF', ['Eq. Guinea']],
+  ['GRC', '300', 'Greece', EU, ECA, HIC, 'EUR'],
+  ['GRD', '308', 'Grenada', NAM, LAC, UMC, 'XCD'],
+  ['GRL', '304', 'Greenland', NAM, ECA, HIC, 'DKK'],
+  ['GTM', '320', 'Guatemala', NAM, LAC, UMC, 'GTQ'],
+  ['GUM', '316', 'Guam', OC, EAP, HIC, 'USD'],
+  ['GUY', '328', 'Guyana', SAM, LAC, HIC, 'GYD'],
+  ['HKG', '344', 'Hong Kong SAR, China', AS, EAP, HIC, 'HKD', ['Hong Kong', 'Hong Kong S.A.R.']],
+  ['HND', '340', 'Honduras', NAM, LAC, LMC, 'HNL'],
+  ['HRV', '191', 'Croatia', EU, ECA, HIC, 'HRK'],
+  ['HTI', '332', 'Haiti', NAM, LAC, LMC, 'HTG'],
+  ['HUN', '348', 'Hungary', EU, ECA, HIC, 'HUF'],
+  ['IDN', '360', 'Indonesia', AS, EAP, UMC, 'IDR'],
+  ['IMN', '833', 'Isle of Man', EU, ECA, HIC, 'GBP'],
+  ['IND', '356', 'India', AS, SAS, LMC, 'INR'],
+  ['IRL', '372', 'Ireland', EU, ECA, HIC, 'EUR'],
+  ['IRN', '364', 'Iran, Islamic Rep.', AS, MNA, UMC, 'IRR', ['Iran', 'Iran, Islamic Republic of']],
+  ['IRQ', '368', 'Iraq', AS, MNA, UMC, 'IQD'],
+  ['ISL', '352', 'Iceland', EU, ECA, HIC, 'ISK'],
+  ['ISR', '376', 'Israel', AS, MNA, HIC, 'ILS'],
+  ['ITA', '380', 'Italy', EU, ECA, HIC, 'EUR'],
+  ['JAM', '388', 'Jamaica', NAM, LAC, UMC, 'JMD'],
+  ['JOR', '400', 'Jordan', AS, MNA, UMC, 'JOD'],
+  ['JPN', '392', 'Japan', AS, EAP, HIC, 'JPY'],
+  ['KAZ', '398', 'Kazakhstan', AS, ECA, UMC, 'KZT'],
+  ['KEN', '404', 'Kenya', AF, SSA, LMC, 'KES'],
+  ['KGZ', '417', 'Kyrgyz Republic', AS, ECA, LMC, 'KGS', ['Kyrgyzstan']],
+  ['KHM', '116', 'Cambodia', AS, EAP, LMC, 'KHR'],
+  ['KIR', '296', 'Kiribati', OC, EAP, LMC, 'AUD'],
+  ['KNA', '659', 'St. Kitts and Nevis', NAM, LAC, HIC, 'XCD', ['Saint Kitts and Nevis']],
+  ['KOR', '410', 'Korea, Rep.', AS, EAP, HIC, 'KRW', ['South Korea', 'Korea, Republic of', 'Korea']],
+  ['KWT', '414', 'Kuwait', AS, MNA, HIC, 'KWD'],
+  ['LAO', '418', 'Lao PDR', AS, EAP, LMC, 'LAK', ['Laos', 'Lao People\'s Democratic Republic']],
+  ['LBN', '422', 'Lebanon', AS, MNA, LMC, 'LBP'],
+  ['LBR', '430', 'Liberia', AF, SSA, LIC, 'LRD'],
+  ['LBY', '434', 'Libya', AF, MNA, UMC, 'LYD'],
+  ['LCA', '662', 'St. Lucia', NAM, LAC, UMC, 'XCD', ['Saint Lucia']],
+  ['LIE', '438', 'Liechtenstein', EU, ECA, HIC, 'CHF'],
+  ['LKA', '144', 'Sri Lanka', AS, SAS, LMC, 'LKR'],
+  ['LSO', '426', 'Lesotho', AF, SSA, LMC, 'LSL'],
+  ['LTU', '440', 'Lithuania', EU, ECA, HIC, 'EUR'],
+  ['LUX', '442', 'Luxembourg', EU, ECA, HIC, 'EUR'],
+  ['LVA', '428', 'Latvia', EU, ECA, HIC, 'EUR'],
+  ['MAC', '446', 'Macao SAR, China', AS, EAP, HIC, 'MOP', ['Macao', 'Macau', 'Macao S.A.R']],
+  ['MAF', '663', 'St. Martin (French part)', NAM, LAC, HIC, 'EUR', ['St-Martin', 'Saint Martin']],
+  ['MAR', '504', 'Morocco', AF, MNA, LMC, 'MAD'],
+  ['MCO', '492', 'Monaco', EU, ECA, HIC, 'EUR'],
+  ['MDA', '498', 'Moldova', EU, ECA, UMC, 'MDL'],
+  ['MDG', '450', 'Madagascar', AF, SSA, LIC, 'MGA'],
+  ['MDV', '462', 'Maldives', AS, SAS, UMC, 'MVR'],
+  ['MEX', '484', 'Mexico', NAM, LAC, UMC, 'MXN'],
+  ['MHL', '584', 'Marshall Islands', OC, EAP, UMC, 'USD', ['Marshall Is.']],
+  ['MKD', '807', 'North Macedonia', EU, ECA, UMC, 'MKD', ['Macedonia']],
+  ['MLI', '466', 'Mali', AF, SSA, LIC, 'XOF'],
+  ['MLT', '470', 'Malta', EU, MNA, HIC, 'EUR'],
+  ['MMR', '104', 'Myanmar', AS, EAP, LMC, 'MMK', ['Burma']],
+  ['MNE', '499', 'Montenegro', EU, ECA, UMC, 'EUR'],
+  ['MNG', '496', 'Mongolia', AS, EAP, UMC, 'MNT'],
+  ['MNP', '580', 'Northern Mariana Islands', OC, EAP, HIC, 'USD', ['N. Mariana Is.']],
+  ['MOZ', '508', 'Mozambique', AF, SSA, LIC, 'MZN'],
+  ['MRT', '478', 'Mauritania', AF, SSA, LMC, 'MRU'],
+  ['MUS', '480', 'Mauritius', AF, SSA, UMC, 'MUR'],
+  ['MWI', '454', 'Malawi', AF, SSA, LIC, 'MWK'],
+  ['MYS', '458', 'Malaysia', AS, EAP, UMC, 'MYR'],
+  ['NAM', '516', 'Namibia', AF, SSA, UMC, 'NAD'],
+  ['NCL', '540', 'New Caledonia', OC, EAP, HIC, 'XPF'],
+  ['NER', '562', 'Niger', AF, SSA, LIC, 'XOF'],
+  ['NGA', '566', 'Nigeria', AF, SSA, LMC, 'NGN'],
+  ['NIC', '558', 'Nicaragua', NAM, LAC, LMC, 'NIO'],
+  ['NLD', '528', 'Netherlands', EU, ECA, HIC, 'EUR'],
+  ['NOR', '578', 'Norway', EU, ECA, HIC, 'NOK'],
+  ['NPL', '524', 'Nepal', AS, SAS, LMC, 'NPR'],
+  ['NRU', '520', 'Nauru', OC, EAP, HIC, 'AUD'],
+  ['NZL', '554', 'New Zealand', OC, EAP, HIC, 'NZD'],
+  ['OMN', '512', 'Oman', AS, MNA, HIC, 'OMR'],
+  ['PAK', '586', 'Pakistan', AS, SAS, LMC, 'PKR'],
+  ['PAN', '591', 'Panama', NAM, LAC, HIC, 'PAB'],
+  ['PER', '604', 'Peru', SAM, LAC, UMC, 'PEN'],
+  ['PHL', '608', 'Philippines', AS, EAP, LMC, 'PHP'],
+  ['PLW', '585', 'Palau', OC, EAP, HIC, 'USD'],
+  ['PNG', '598', 'Papua New Guinea', OC, EAP, LMC, 'PGK'],
+  ['POL', '616', 'Poland', EU, ECA, HIC, 'PLN'],
+  ['PRI', '630', 'Puerto Rico', NAM, LAC, HIC, 'USD'],
+  ['PRK', '408', 'Korea, Dem. People\'s Rep.', AS, EAP, LIC, 'KPW', ['North Korea', 'Democratic People\'s Republic of Korea', 'Korea, Democratic People\'s Republic of']],
+  ['PRT', '620', 'Portugal', EU, ECA, HIC, 'EUR'],
+  ['PRY', '600', 'Paraguay', SAM, LAC, UMC, 'PYG'],
+  ['PSE', '275', 'West Bank and Gaza', AS, MNA, LMC, 'ILS', ['Palestine', 'West Bank']],
+  ['PYF', '258', 'French Polynesia', OC, EAP, HIC, 'XPF', ['Fr. Polynesia']],
+  ['QAT', '634', 'Qatar', AS, MNA, HIC, 'QAR'],
+  ['ROU', '642', 'Romania', EU, ECA, HIC, 'RON'],
+  ['RUS', '643', 'Russian Federation', EU, ECA, HIC, 'RUB', ['Russia']],
+  ['RWA', '646', 'Rwanda', AF, SSA, LIC, 'RWF'],
+  ['SAU', '682', 'Saudi Arabia', AS, MNA, HIC, 'SAR'],
+  ['SDN', '729', 'Sudan', AF, SSA, LIC, 'SDG'],
+  ['SEN', '686', 'Senegal', AF, SSA, LMC, 'XOF'],
+  ['SGP', '702', 'Singapore', AS, EAP, HIC, 'SGD'],
+  ['SLB', '090', 'Solomon Islands', OC, EAP, LMC, 'SBD', ['Solomon Is.']],
+  ['SLE', '694', 'Sierra Leone', AF, SSA, LIC, 'SLL'],
+  ['SLV', '222', 'El Salvador', NAM, LAC, UMC, 'USD'],
+  ['SMR', '674', 'San Marino', EU, ECA, HIC, 'EUR'],
+  ['SOM', '706', 'Somalia', AF, SSA, LIC, 'SOS'],
+  ['SRB', '688', 'Serbia', EU, ECA, UMC, 'RSD'],
+  ['SSD', '728', 'South Sudan', AF, SSA, LIC, 'SSP', ['S. Sudan']],
+  ['STP', '678', 'Sao Tome and Principe', AF, SSA, LMC, 'STN', ['S. Tome and Principe']],
+  ['SUR', '740', 'Suriname', SAM, LAC, UMC, 'SRD'],
+  ['SVK', '703', 'Slovak Republic', EU, ECA, HIC, 'EUR', ['Slovakia']],
+  ['SVN', '705', 'Slovenia', EU, ECA, HIC, 'EUR'],
+  ['SWE', '752', 'Sweden', EU, ECA, HIC, 'SEK'],
+  ['SWZ', '748', 'Eswatini', AF, SSA, LMC, 'SZL', ['Swaziland']],
+  ['SXM', '534', 'Sint Maarten (Dutch part)', NAM, LAC, HIC, 'ANG', ['Sint Maarten']],
+  ['SYC', '690', 'Seychelles', AF, SSA, HIC, 'SCR'],
+  ['SYR', '760', 'Syrian Arab Republic', AS, MNA, LIC, 'SYP', ['Syria']],
+  ['TCA', '796', 'Turks and Caicos Islands', NAM, LAC, HIC, 'USD', ['Turks and Caicos Is.']],
+  ['TCD', '148', 'Chad', AF, SSA, LIC, 'XAF'],
+  ['TGO', '768', 'Togo', AF, SSA, LIC, 'XOF'],
+  ['THA', '764', 'Thailand', AS, EAP, UMC, 'THB'],
+  ['TJK', '762', 'Tajikistan', AS, ECA, LMC, 'TJS'],
+  ['TKM', '795', 'Turkmenistan', AS, ECA, UMC, 'TMT'],
+  ['TLS', '626', 'Timor-Leste', AS, EAP, LMC, 'USD', ['East Timor', 'Timor']],
+  ['TON', '776', 'Tonga', OC, EAP, UMC, 'TOP'],
+  ['TTO', '780', 'Trinidad and Tobago', NAM, LAC, HIC, 'TTD'],
+  ['TUN', '788', 'Tunisia', AF, MNA, LMC, 'TND'],
+  ['TUR', '792', 'Turkiye', AS, ECA, UMC, 'TRY', ['Turkey']],
+  ['TUV', '798', 'Tuvalu', OC, EAP, UMC, 'AUD'],
+  ['TZA', '834', 'Tanzania', AF, SSA, LMC, 'TZS', ['Tanzania, United Republic of']],
+  ['UGA', '800', 'Uganda', AF, SSA, LIC, 'UGX'],
+  ['UKR', '804', 'Ukraine', EU, ECA, UMC, 'UAH'],
+  ['URY', '858', 'Uruguay', SAM, LAC, HIC, 'UYU'],
+  ['USA', '840', 'United States', NAM, NAC, HIC, 'USD', ['United States of America', 'US']],
+  ['UZB', '860', 'Uzbekistan', AS, ECA, LMC, 'UZS'],
+  ['VCT', '670', 'St. Vincent and the Grenadines', NAM, LAC, UMC, 'XCD', ['Saint Vincent and the Grenadines', 'St. Vin. and Gren.']],
+  ['VEN', '862', 'Venezuela, RB', SAM, LAC, null, 'VES', ['Venezuela', 'Venezuela, Bolivarian Republic of']],
+  ['VGB', '092', 'British Virgin Islands', NAM, LAC, HIC, 'USD', ['British Virgin Is.']],
+  ['VIR', '850', 'Virgin Islands (U.S.)', NAM, LAC, HIC, 'USD', ['U.S. Virgin Is.']],
+  ['VNM', '704', 'Viet Nam', AS, EAP, LMC, 'VND', ['Vietnam']],
+  ['VUT', '548', 'Vanuatu', OC, EAP, LMC, 'VUV'],
+  ['WSM', '882', 'Samoa', OC, EAP, LMC, 'WST'],
+  ['XKX', null, 'Kosovo', EU, ECA, UMC, 'EUR'],
+  ['YEM', '887', 'Yemen, Rep.', AS, MNA, LIC, 'YER', ['Yemen']],
+  ['ZAF', '710', 'South Africa', AF, SSA, UMC, 'ZAR'],
+  ['ZMB', '894', 'Zambia', AF, SSA, LMC, 'ZMW'],
+  ['ZWE', '716', 'Zimbabwe', AF, SSA, LMC, 'ZWL'],
+
+  // Territories outside the World Bank economy list (map geometry only)
+  ['ESH', '732', 'Western Sahara', AF, null, null, 'MAD', ['W. Sahara']],
+  ['FLK', '238', 'Falkland Islands', SAM, null, null, 'FKP', ['Falkland Is.']],
+  ['TWN', '158', 'Taiwan, China', AS, EAP, null, 'TWD', ['Taiwan']],
+  ['VAT', '336', 'Vatican City', EU, null, null, 'EUR', ['Vatican']]
+]
+
+/**
+ * World Bank aggregate codes (regions, income groups, lending groups)
+ * These rows appear in gdp_vals.csv alongside countries
+ */
+export const WORLD_BANK_AGGREGATE_CODES = new Set([
+  'AFE', 'AFW', 'ARB', 'CEB', 'CSS', 'EAP', 'EAR', 'EAS', 'ECA', 'ECS', 'EMU', 'EUU',
+  'FCS', 'HIC', 'HPC', 'IBD', 'IBT', 'IDA', 'IDB', 'IDX', 'INX', 'LAC', 'LCN', 'LDC',
+  'LIC', 'LMC', 'LMY', 'LTE', 'MEA', 'MIC', 'MNA', 'NAC', 'OED', 'OSS', 'PRE', 'PSS',
+  'PST', 'SAS', 'SSA', 'SSF', 'SST', 'TEA', 'TEC', 'TLA', 'TMN', 'TSA', 'TSS', 'UMC', 'WLD'
+])
+
+/**
+ * Normalize a name for alias matching
+ * Case, diacritics and punctuation differences are ignored
+ * @param {string} name - Country name or alias
+ * @returns {string} Normalized key
+ */
+export function normalizeNameKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+export const COUNTRIES = COUNTRY_ROWS.map(([iso3, isoNumeric, name, continent, wbRegion, incomeGroup, currency, aliases = []]) =>
+  Object.freeze({
+    iso3,
+    isoNumeric,
+    name,
+    continent,
+    wbRegion,
+    incomeGroup,
+    currency,
+    aliases: Object.freeze([...aliases])
+  })
+)
+
+const byIso3 = new Map()
+const byNumeric = new Map()
+const byName = new Map()
+
+COUNTRIES.forEach(country => {
+  byIso3.set(country.iso3, country)
+  if (country.isoNumeric) {
+    byNumeric.set(country.isoNumeric, country)
+  }
+  ;[country.name, ...country.aliases].forEach(name => {
+    byName.set(normalizeNameKey(name), country)
+  })
+})
+
+/**
+ * Resolve any country identifier to its registry entry
+ * Accepts ISO3 codes, ISO numeric codes (string or number), canonical names and aliases
+ * @param {string|number} value - Country identifier
+ * @returns {Object|null} Registry entry or null if unknown
+ */
+export function resolveCountry(value) {
+  if (value === null || value === undefined || value === '') return null
+
+  if (typeof value === 'number') {
+    return byNumeric.get(String(value).padStart(3, '0')) || null
+  }
+
+  const text = String(value).trim()
+
+  if (/^[A-Za-z]{3}$/.test(text) && byIso3.has(text.toUpperCase())) {
+    return byIso3.get(text.toUpperCase())
+  }
+
+  if (/^\d{1,3}$/.test(text)) {
+    return byNumeric.get(text.padStart(3, '0')) || null
+  }
+
+  return byName.get(normalizeNameKey(text)) || null
+}
+
+/**
+ * Resolve a map feature (world-atlas TopoJSON) to its registry entry
+ * Uses the ISO numeric feature id first and falls back to the feature name
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Object|null} Registry entry or null
+ */
+export function resolveFeature(feature) {
+  if (!feature) return null
+  return (feature.id !== undefined && resolveCountry(String(feature.id))) ||
+    resolveCountry(feature.properties?.name) ||
+    null
+}
+
+/**
+ * Get ISO3 code for any identifier
+ * @param {string|number} value - Country identifier
+ * @returns {string|null} ISO3 code
+ */
+export function getIso3(value) {
+  return resolveCountry(value)?.iso3 || null
+}
+
+/**
+ * Get canonical (World Bank) name for any identifier
+ * @param {string|number} value - Country identifier
+ * @returns {string|null} Canonical name
+ */
+export function getCanonicalName(value) {
+  return resolveCountry(value)?.name || null
+}
+
+/**
+ * Get display continent for any identifier
+ * @param {string|number} value - Country identifier
+ * @param {string} fallback - Returned when the country is unknown
+ * @returns {string} Continent name
+ */
+export function getContinent(value, fallback = 'Unknown') {
+  return resolveCountry(value)?.continent || fallback
+}
+
+/**
+ * Get World Bank region for any identifier
+ * @param {string|number} value - Country identifier
+ * @returns {string|null} World Bank region
+ */
+export function getWorldBankRegion(value) {
+  return resolveCountry(value)?.wbRegion || null
+}
+
+/**
+ * Get World Bank income group for any identifier
+ * @param {string|number} value - Country identifier
+ * @returns {string|null} Income group
+ */
+export function getIncomeGroup(value) {
+  return resolveCountry(value)?.incomeGroup || null
+}
+
+/**
+ * Get ISO 4217 currency for any identifier
+ * @param {string|number} value - Country identifier
+ * @returns {string|null} Currency code
+ */
+export function getCurrency(value) {
+  return resolveCountry(value)?.currency || null
+}
+
+/**
+ * Check whether a code is a World Bank aggregate rather than a country
+ * @param {string} code - ISO3-style code
+ * @returns {boolean} True for aggregates such as WLD or EUU
+ */
+export function isAggregateCode(code) {
+  return WORLD_BANK_AGGREGATE_CODES.has(String(code).toUpperCase())
+}
+
+/**
+ * List registry entries matching a predicate on continent/region/income
+ * @param {Object} criteria - { continent, wbRegion, incomeGroup }
+ * @returns {Array<Object>} Matching registry entries
+ */
+export function listCountries(criteria = {}) {
+  return COUNTRIES.filter(country =>
+    Object.entries(criteria).every(([key, expected]) => !expected || country[key] === expected)
+  )
+}
+
+// Per-collection index so repeated lookups (one per map feature) stay O(1)
+// Rebuilt when the collection gains or loses entries
+const collectionIndexes = new WeakMap()
+
+function indexCollection(collection) {
+  const keys = Object.keys(collection)
+  const cached = collectionIndexes.get(collection)
+  if (cached && cached.size === keys.length) {
+    return cached.index
+  }
+
+  const index = new Map()
+  keys.forEach(key => {
+    const record = collection[key]
+    const country = resolveCountry(record?.code) || resolveCountry(record?.name) || resolveCountry(key)
+    if (country && !index.has(country.iso3)) {
+      index.set(country.iso3, record)
+    }
+  })
+  collectionIndexes.set(collection, { size: keys.length, index })
+  return index
+}
+
+/**
+ * Find the record for a country in a collection keyed by name or code
+ * Works for any object whose values carry `name` and/or `code`
+ * (spending `countries`, GDP data by code, etc.)
+ * @param {string|number|Object} value - Country identifier or map feature
+ * @param {Object} collection - Object of country records
+ * @returns {Object|null} Matching record or null
+ */
+export function findCountryRecord(value, collection) {
+  if (!collection || value === null || value === undefined) return null
+
+  const country = typeof value === 'object' ? resolveFeature(value) : resolveCountry(value)
+
+  if (typeof value !== 'object' && collection[value]) {
+    return collection[value]
+  }
+
+  if (!country) return null
+
+  return collection[country.iso3] ||
+    collection[country.name] ||
+    indexCollection(collection).get(country.iso3) ||
+    null
+}
+
+export default {
+  COUNTRIES,
+  CONTINENTS,
+  WORLD_BANK_REGIONS,
+  INCOME_GROUPS,
+  resolveCountry,
+  resolveFeature,
+  getIso3,
+  getCanonicalName,
+  getContinent,
+  getWorldBankRegion,
+  getIncomeGroup,
+  getCurrency,
+  isAggregateCode,
+  listCountries,
+  findCountryRecord
+}
@@ -0,0 +1,110 @@
+/**
+ * Dataset Cache
+ * IndexedDB store for parsed datasets, usable from the main thread and from workers
+ *
+ * Entries are keyed by the checksums of the files they were built from, so a data
+ * refresh produces a new key; writing an entry removes older entries with the same
+ * key prefix. Every function resolves to null/false instead of throwing when IndexedDB
+ * is unavailable (private browsing, old browsers), and callers then parse as usual.
+ */
+
+const DB_NAME = 'government-spending-explorer'
+const DB_VERSION = 1
+const STORE = 'datasets'
+
+let databasePromise = null
+
+/**
+ * Open the cache database once
+ * @returns {Promise<IDBDatabase|null>} Database, null when IndexedDB cannot be used
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE)) {
+          request.result.createObjectStore(STORE)
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.warn('IndexedDB not available, datasets will not be cached:', request.error?.message)
+        resolve(null)
+      }
+    })
+  }
+  return databasePromise
+}
+
+/**
+ * Run one request in a transaction
+ * @returns {Promise<Object|null>} { result } once the transaction completes, null on failure
+ * @private
+ */
+async function run(mode, makeRequest) {
+  const database = await openDatabase()
+  if (!database) return null
+
+  return new Promise(resolve => {
+    try {
+      const transaction = database.transaction(STORE, mode)
+      const request = makeRequest(transaction.objectStore(STORE))
+      transaction.oncomplete = () => resolve({ result: request.result })
+      transaction.onerror = () => resolve(null)
+      transaction.onabort = () => resolve(null)
+    } catch (error) {
+      console.warn('Dataset cache request failed:', error.message)
+      resolve(null)
+    }
+  })
+}
+
+/**
+ * Read a cached dataset
+ * @param {string} key - Cache key
+ * @returns {Promise<*|null>} Stored value, null when missing or unavailable
+ */
+export async function readDataset(key) {
+  const response = await run('readonly', store => store.get(key))
+  return response?.result ?? null
+}
+
+/**
+ * Store a dataset and drop older entries sharing its prefix
+ * @param {string} key - Cache key (e.g. 'expense:1:<sha256>:<sha256>')
+ * @param {*} value - Structured-cloneable value (typed arrays are stored as is)
+ * @param {string} prefix - Entries starting with this prefix and a different key are deleted
+ * @returns {Promise<boolean>} True if stored
+ */
+export async function writeDataset(key, value, prefix) {
+  const response = await run('readonly', store => store.getAllKeys())
+  const stale = (response?.result || []).filter(existing => existing !== key && String(existing).startsWith(prefix))
+
+  const stored = await run('readwrite', store => {
+    stale.forEach(existing => store.delete(existing))
+    return store.put(value, key)
+  })
+  return stored !== null
+}
+
+/**
+ * Delete cached datasets
+ * @param {string} prefix - Entries starting with this prefix are deleted
+ * @returns {Promise<boolean>} True if the cache was reachable
+ */
+export async function clearDatasets(prefix) {
+  const response = await run('readonly', store => store.getAllKeys())
+  if (!response) return false
+
+  const result = await run('readwrite', store => {
+    response.result.filter(key => String(key).startsWith(prefix)).forEach(key => store.delete(key))
+    return store.count()
+  })
+  return result !== null
+}
@@ -0,0 +1,231 @@
+/**
+ * Expense Dataset Builder
+ * Downloads, parses and indexes expense_clean.csv and expense_clean_usd.csv into one
+ * columnar dataset. Runs inside the expense dataset worker (and on the main thread
+ * where workers are unavailable), so it touches no DOM and no window APIs.
+ *
+ * The dataset has one row per country, expense category and year, with the local
+ * currency value from expense_clean.csv and the USD value from expense_clean_usd.csv:
+ * - countries, categories: name dictionaries
+ * - country, category, year: Uint16Array columns (dictionary indexes and years)
+ * - local, usd: Float64Array columns, NaN where a file has no value
+ *
+ * The first value found for a country, category and year is kept. A row missing from
+ * expense_clean.csv takes its local value from the Value column of expense_clean_usd.csv.
+ */
+
+import { csvParseRows } from 'd3'
+import { readDataset, writeDataset } from './DatasetCache.js'
+
+// Bump when the dataset layout changes, so cached copies are rebuilt
+export const EXPENSE_DATASET_VERSION = 1
+export const EXPENSE_CACHE_PREFIX = 'expense:'
+
+// Progress (0-100) at the start of each phase
+const PHASES = {
+  cache: 0,
+  download: 2,
+  parse: 60,
+  index: 85,
+  store: 98
+}
+
+/**
+ * Cache key of the dataset built from two files
+ * @param {string} localChecksum - sha256 of expense_clean.csv
+ * @param {string} usdChecksum - sha256 of expense_clean_usd.csv
+ * @returns {string|null} Key, null when a checksum is unknown
+ */
+export function expenseCacheKey(localChecksum, usdChecksum) {
+  if (!localChecksum || !usdChecksum) return null
+  return `${EXPENSE_CACHE_PREFIX}${EXPENSE_DATASET_VERSION}:${localChecksum}:${usdChecksum}`
+}
+
+/**
+ * Download a file as text, reporting bytes as they arrive
+ * @private
+ */
+async function fetchText(url, onBytes) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`)
+  }
+
+  const length = parseInt(response.headers.get('content-length'))
+  if (!response.body || !response.body.getReader) {
+    const text = await response.text()
+    onBytes(text.length, text.length)
+    return text
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  const parts = []
+  let received = 0
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    received += value.length
+    parts.push(decoder.decode(value, { stream: true }))
+    onBytes(received, isNaN(length) ? null : length)
+  }
+  parts.push(decoder.decode())
+  return parts.join('')
+}
+
+/**
+ * Column positions in a parsed header, throwing when a required column is absent
+ * @private
+ */
+function columnIndexes(header, file, names) {
+  const indexes = {}
+  names.forEach(name => {
+    indexes[name] = header.indexOf(name)
+    if (indexes[name] === -1) {
+      throw new Error(`${file} has no "${name}" column`)
+    }
+  })
+  return indexes
+}
+
+/**
+ * Join the parsed rows of both files into columns
+ * @param {Array<Array<string>>} localRows - csvParseRows of expense_clean.csv (header first)
+ * @param {Array<Array<string>>} usdRows - csvParseRows of expense_clean_usd.csv (header first)
+ * @param {Function} onProgress - (fraction 0-1) while indexing
+ * @returns {Object} Dataset payload (see file header)
+ */
+export function indexExpenseRows(localRows, usdRows, onProgress = () => {}) {
+  const countries = []
+  const categories = []
+  const countryIds = new Map()
+  const categoryIds = new Map()
+  const rowByKey = new Map()
+  const columns = { country: [], category: [], year: [], local: [], usd: [] }
+
+  const idOf = (name, ids, names) => {
+    let id = ids.get(name)
+    if (id === undefined) {
+      id = names.length
+      ids.set(name, id)
+      names.push(name)
+    }
+    return id
+  }
+
+  const total = Math.max(1, localRows.length + usdRows.length)
+  let processed = 0
+
+  const addRows = (rows, file, valueColumns) => {
+    const index = columnIndexes(rows[0] || [], file, ['Country Name', 'Expense Category', 'Year', ...valueColumns])
+
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i]
+      const countryName = row[index['Country Name']]
+      const categoryName = row[index['Expense Category']]
+      const year = parseInt(row[index.Year])
+      if (countryName && categoryName && !isNaN(year)) {
+        const countryId = idOf(countryName, countryIds, countries)
+        const categoryId = idOf(categoryName, categoryIds, categories)
+        // Numeric key: at most 65536 countries x 1024 categories x 4096 years
+        const key = (countryId * 1024 + categoryId) * 4096 + year
+        let rowId = rowByKey.get(key)
+        if (rowId === undefined) {
+          rowId = columns.country.length
+          rowByKey.set(key, rowId)
+          columns.country.push(countryId)
+          columns.category.push(categoryId)
+          columns.year.push(year)
+          columns.local.push(NaN)
+          columns.usd.push(NaN)
+        }
+
+        const local = parseFloat(row[index.Value])
+        if (isNaN(columns.local[rowId]) && !isNaN(local)) columns.local[rowId] = local
+        if (index.Value_USD !== undefined) {
+          const usd = parseFloat(row[index.Value_USD])
+          if (isNaN(columns.usd[rowId]) && !isNaN(usd)) columns.usd[rowId] = usd
+        }
+      }
+
+      if (++processed % 20000 === 0) onProgress(processed / total)
+    }
+  }
+
+  addRows(localRows, 'expense_clean.csv', ['Value'])
+  addRows(usdRows, 'expense_clean_usd.csv', ['Value', 'Value_USD'])
+  onProgress(1)
+
+  return {
+    version: EXPENSE_DATASET_VERSION,
+    countries,
+    categories,
+    country: Uint16Array.from(columns.country),
+    category: Uint16Array.from(columns.category),
+    year: Uint16Array.from(columns.year),
+    local: Float64Array.from(columns.local),
+    usd: Float64Array.from(columns.usd)
+  }
+}
+
+/**
+ * Load the expense dataset, from the cache when the checksums match
+ * @param {Object} request - { files: { local: { url, bytes }, usd: { url, bytes } }, cacheKey }
+ * @param {Function} onProgress - ({ phase, progress, message, loadedBytes, totalBytes }) updates
+ * @returns {Promise<Object>} { dataset, fromCache }
+ */
+export async function loadExpenseDataset({ files, cacheKey }, onProgress = () => {}) {
+  let lastProgress = -1
+  const report = (phase, progress, message, extra = {}) => {
+    const rounded = Math.floor(progress)
+    if (rounded === lastProgress && phase !== 'done') return
+    lastProgress = rounded
+    onProgress({ phase, progress: rounded, message, ...extra })
+  }
+
+  if (cacheKey) {
+    report('cache', PHASES.cache, 'Checking cached spending data...')
+    const cached = await readDataset(cacheKey)
+    if (cached && cached.version === EXPENSE_DATASET_VERSION) {
+      report('done', 100, 'Loaded spending data from cache')
+      return { dataset: cached, fromCache: true }
+    }
+  }
+
+  // Download both files in parallel; sizes come from Content-Length or the data manifest
+  const received = { local: 0, usd: 0 }
+  const expected = { local: files.local.bytes || null, usd: files.usd.bytes || null }
+  const reportBytes = () => {
+    const loadedBytes = received.local + received.usd
+    const totalBytes = expected.local && expected.usd ? expected.local + expected.usd : null
+    const fraction = totalBytes ? Math.min(1, loadedBytes / totalBytes) : 0
+    report('download', PHASES.download + fraction * (PHASES.parse - PHASES.download),
+      `Downloading spending data (${(loadedBytes / 1e6).toFixed(1)} MB)...`, { loadedBytes, totalBytes })
+  }
+  const download = (name) => fetchText(files[name].url, (bytes, length) => {
+    received[name] = bytes
+    if (length) expected[name] = length
+    reportBytes()
+  })
+  const [localText, usdText] = await Promise.all([download('local'), download('usd')])
+
+  report('parse', PHASES.parse, 'Parsing expense_clean.csv...')
+  const localRows = csvParseRows(localText)
+  const parseMiddle = (PHASES.parse + PHASES.index) / 2
+  report('parse', parseMiddle, 'Parsing expense_clean_usd.csv...')
+  const usdRows = csvParseRows(usdText)
+
+  report('index', PHASES.index, 'Indexing spending data...')
+  const dataset = indexExpenseRows(localRows, usdRows, fraction => {
+    report('index', PHASES.index + fraction * (PHASES.store - PHASES.index), 'Indexing spending data...')
+  })
+
+  if (cacheKey) {
+    report('store', PHASES.store, 'Caching spending data...')
+    await writeDataset(cacheKey, dataset, EXPENSE_CACHE_PREFIX)
+  }
+
+  report('done', 100, `Indexed ${dataset.country.length} spending values`)
+  return { dataset, fromCache: false }
+}
@@ -1,6 +1,6 @@
 /**
  * Standardized value formatting utilities
- * All values displayed in millions of USD
+ * All values displayed in millions of USD, except per capita values (USD per person)
  */
 
 export const ValueFormatUtils = {
@@ -26,6 +26,20 @@ export const ValueFormatUtils = {
     }
   },
 
+  /**
+   * Format a per-person value in USD (per capita views use USD, not millions)
+   * @param {number} value - USD per person
+   * @returns {string} Formatted value (e.g., "$12,345" or "$0.42")
+   */
+  formatPerCapita(value) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return 'N/A'
+    }
+
+    const digits = Math.abs(value) < 10 ? 2 : 0
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`
+  },
+
   /**
    * Format number with comma separators
    * @param {number|string} value - Number to format
@@ -0,0 +1,24 @@
+/**
+ * Expense dataset worker
+ * Builds the columnar expense dataset off the main thread (see ExpenseDatasetBuilder.js)
+ *
+ * Messages in: { type: 'load', files, cacheKey }
+ * Messages out: { type: 'progress', ... }, { type: 'done', dataset, fromCache }, { type: 'error', message }
+ * The dataset's typed arrays are transferred, not copied.
+ */
+
+import { loadExpenseDataset } from '../utils/ExpenseDatasetBuilder.js'
+
+self.onmessage = async (event) => {
+  if (event.data?.type !== 'load') return
+
+  try {
+    const { dataset, fromCache } = await loadExpenseDataset(event.data, progress => {
+      self.postMessage({ type: 'progress', ...progress })
+    })
+    const buffers = [dataset.country, dataset.category, dataset.year, dataset.local, dataset.usd].map(column => column.buffer)
+    self.postMessage({ type: 'done', dataset, fromCache }, buffers)
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
@@ -1,5 +1,56 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import path from 'path'
+import fs from 'fs'
+import crypto from 'crypto'
+import { verifyManifest, describeManifestProblems } from './scripts/data-manifest.js'
+
+// Check public/data against manifest.json (npm run data:build) before bundling it, so a
+// missing derived file fails the build instead of leaving an empty panel in the app.
+// Development-mode builds only warn when the data has never been built.
+function dataManifestCheck({ strict }) {
+  return {
+    name: 'data-manifest-check',
+    apply: 'build',
+    buildStart() {
+      const result = verifyManifest(path.resolve('public/data'))
+      const problems = describeManifestProblems(result)
+      if (!result.manifest) {
+        const message = `${problems}: derived data files will be missing, run npm run data:build`
+        if (strict) this.error(message)
+        else this.warn(message)
+      } else if (problems) {
+        this.error(`Derived data is not up to date (${problems}), run npm run data:build`)
+      }
+    }
+  }
+}
+
+// Emit sw.js from src/service-worker.js with the app shell to precache (the bundle, the
+// web app manifest and the icons); the shell version changes whenever a bundled file does
+function serviceWorker() {
+  const PUBLIC_SHELL_FILES = ['./', 'manifest.webmanifest', 'icons/icon-192.png', 'icons/icon-512.png']
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const shellFiles = [
+        ...PUBLIC_SHELL_FILES,
+        ...Object.keys(bundle).filter(file => !file.endsWith('.map')).sort()
+      ]
+      const version = crypto.createHash('sha256').update(shellFiles.join('\n')).digest('hex').slice(0, 12)
+      const source = fs.readFileSync(path.resolve('src/service-worker.js'), 'utf8')
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const SHELL_VERSION = '${version}'\nconst SHELL_FILES = ${JSON.stringify(shellFiles)}\n\n${source}`
+      })
+    }
+  }
+}
 
 export default defineConfig(({ command, mode }) => {
   // GitHub Pages deployment configuration
@@ -7,7 +58,7 @@ export default defineConfig(({ command, mode }) => {
   const isGitHubPages = isProduction && (process.env.GITHUB_ACTIONS || process.env.DEPLOY_TARGET === 'github-pages')
   
   return {
-    plugins: [react()],
+    plugins: [react(), dataManifestCheck({ strict: isProduction }), serviceWorker()],
     server: {
       port: 5173,
       host: 'localhost',